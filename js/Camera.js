@@ -39,24 +39,40 @@ export class Camera {
     
     /**
      * Snap camera to entity position
-     * Converts from game coords (x, y, z) to Three.js coords (x, y, z)
+     * Converts from game coords (x, y, z) to Three.js coords (x, y, z).
+     * The offset follows the entity's local up, so it also works around a planet.
      */
     _snapToEntity(entity) {
-        const fwd = entity.getForwardVector2D();
+        const fwd = entity.getForwardVector
+            ? entity.getForwardVector()
+            : { ...entity.getForwardVector2D(), z: 0 };
+        const up = entity.getUpVector ? entity.getUpVector() : { x: 0, y: 0, z: 1 };
+        const p = entity.position;
 
-        const offsetX = -fwd.x * this.cameraDistance;
-        const offsetZ = -fwd.y * this.cameraDistance;
+        const camX = p.x - fwd.x * this.cameraDistance + up.x * this.cameraHeight;
+        const camY = p.y - fwd.y * this.cameraDistance + up.y * this.cameraHeight;
+        const camZ = p.z - fwd.z * this.cameraDistance + up.z * this.cameraHeight;
         
-        this.position.x = entity.position.x + offsetX;
-        this.position.y = entity.position.z + this.cameraHeight;
-        this.position.z = entity.position.y + offsetZ;
+        this.position.x = camX;
+        this.position.y = camZ;
+        this.position.z = camY;
         
-        const targetOffsetX = fwd.x * this.lookAheadDistance;
-        const targetOffsetZ = fwd.y * this.lookAheadDistance;
+        const targetX = p.x + fwd.x * this.lookAheadDistance + up.x * this.lookAheadHeight;
+        const targetY = p.y + fwd.y * this.lookAheadDistance + up.y * this.lookAheadHeight;
+        const targetZ = p.z + fwd.z * this.lookAheadDistance + up.z * this.lookAheadHeight;
         
-        this.target.x = entity.position.x + targetOffsetX;
-        this.target.y = entity.position.z + this.lookAheadHeight;
-        this.target.z = entity.position.y + targetOffsetZ;
+        this.target.x = targetX;
+        this.target.y = targetZ;
+        this.target.z = targetY;
+    }
+
+    /**
+     * Keep up with the followed entity (follow mode, once per frame).
+     */
+    update() {
+        if (this.following) {
+            this._snapToEntity(this.following);
+        }
     }
 
     
@@ -131,6 +147,64 @@ export class Camera {
         this.cameraDistance = Math.max(5, Math.min(100, this.cameraDistance));
     }
 
+    /**
+     * Apply one frame of InputActionMap actions: orbit/zoom while following,
+     * fly and look otherwise.
+     * @param {InputActionFrame} input
+     */
+    handleInput(input, deltaTime) {
+        const lookX = input.value('lookX');
+        const lookY = input.value('lookY');
+
+        if (this.following) {
+            if (lookX !== 0 || lookY !== 0) {
+                this.handleOrbitInput(lookX, lookY);
+            }
+            const zoom = input.value('zoom');
+            if (zoom !== 0) {
+                this.handleZoom(zoom);
+            }
+            return;
+        }
+
+        let moveSpeed = 50 * deltaTime;
+        if (input.isDown('boost')) moveSpeed *= 3;
+
+        const forward = input.value('moveForward') * moveSpeed;
+        const right = input.value('moveRight') * moveSpeed;
+        const up = input.value('moveUp') * moveSpeed;
+        if (forward !== 0 || right !== 0 || up !== 0) {
+            this.moveRelative(forward, right, up);
+        }
+
+        if (lookX !== 0 || lookY !== 0) {
+            this.handleManualLook(lookX, lookY);
+        }
+    }
+
+    toJSON() {
+        return {
+            position: { ...this.position },
+            target: { ...this.target },
+            fov: this.fov,
+            near: this.near,
+            far: this.far,
+            cameraDistance: this.cameraDistance,
+            orbitYaw: this.orbitYaw,
+            orbitPitch: this.orbitPitch,
+            manualYaw: this.manualYaw,
+            manualPitch: this.manualPitch
+        };
+    }
+
+    loadState(state) {
+        if (state.position) this.position = { ...state.position };
+        if (state.target) this.target = { ...state.target };
+        for (const key of ['fov', 'near', 'far', 'cameraDistance', 'orbitYaw', 'orbitPitch', 'manualYaw', 'manualPitch']) {
+            if (state[key] !== undefined) this[key] = state[key];
+        }
+    }
+
     setPosition(x, y, z) {
         this.position.x = x;
         this.position.y = y;
@@ -1,5 +1,6 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { PlanetaryChunkAddress } from './planet/planetaryChunkAddress.js';
+import { CubeSphereCoords } from './planet/cubeSphereCoords.js';
 
 export class ChunkManager {
     constructor(worldGenerator, options = {}) {
@@ -9,6 +10,9 @@ export class ChunkManager {
         
         this.sphericalMapper = options.sphericalMapper || null;
         this.useSphericalProjection = options.useSphericalProjection && this.sphericalMapper !== null;
+        // Optional TerrainEditLayer replayed over every generated chunk
+        this.terrainEdits = options.terrainEdits || null;
+        this._attachTerrainEdits();
         
         console.log(` ChunkManager mode: ${this.useSphericalProjection ? 'SPHERICAL' : 'FLAT'}`);
 
@@ -23,6 +27,49 @@ export class ChunkManager {
         
         this.lastPlayerChunk = null;
         this._debugFrameCount = 0;
+        // Bumped by setPlanet(); chunks generated for an older planet are dropped
+        this._planetGeneration = 0;
+    }
+
+    /**
+     * Switch streaming to another planet. Every loaded, pending and queued
+     * chunk belongs to the old planet, so all of them are dropped.
+     * @param {SphericalChunkMapper} sphericalMapper - mapper of the new planet
+     * @param {TerrainEditLayer|null} terrainEdits - the new planet's edit layer
+     * @returns {Promise} settles when generation already started for the old
+     *          planet has finished (its results are discarded)
+     */
+    setPlanet(sphericalMapper, terrainEdits = this.terrainEdits) {
+        const inFlight = Array.from(this.pendingChunks.values());
+        this._planetGeneration++;
+        this.sphericalMapper = sphericalMapper;
+        this.useSphericalProjection = sphericalMapper !== null;
+        this.terrainEdits = terrainEdits;
+        this._attachTerrainEdits();
+
+        this.loadedChunks.clear();
+        this.pendingChunks.clear();
+        this.chunkQueue = [];
+        this.chunkReadyCallbacks.clear();
+        this.lastPlayerChunk = null;
+        this._debugFrameCount = 0;
+
+        console.log(` ChunkManager switched planet (${sphericalMapper?.config?.name ?? 'flat'})`);
+        this._notifyProgress();
+        return Promise.allSettled(inFlight);
+    }
+
+    /**
+     * Give the edit layer this world's face grid and height field, which
+     * cross-face stamps and seam-consistent smoothing rely on.
+     */
+    _attachTerrainEdits() {
+        if (!this.terrainEdits) return;
+        const generator = this.worldGenerator;
+        this.terrainEdits.setSurface({
+            chunksPerFace: this.useSphericalProjection ? this.sphericalMapper.chunksPerFace : null,
+            heightAt: generator.sampleSurfaceHeight ? (face, x, y) => generator.sampleSurfaceHeight(face, x, y) : null
+        });
     }
 
     async initialize() {
@@ -82,10 +129,14 @@ export class ChunkManager {
             });
         }
         
-        const chunkKeys = this.sphericalMapper.getChunksInRadius(
-            cameraRenderPos, 
-            this.chunkLoadRadius * this.chunkSize
-        );
+        // Quadtree leaves cover the whole planet at varying LOD; without one,
+        // fall back to a fixed LOD 0 radius around the camera
+        const chunkKeys = this.sphericalMapper.quadtree
+            ? this.sphericalMapper.updateQuadtree(cameraRenderPos)
+            : this.sphericalMapper.getChunksInRadius(
+                cameraRenderPos, 
+                this.chunkLoadRadius * this.chunkSize
+            );
         
         if (this._debugFrameCount === 1) {
             console.log(` First spherical update:`, {
@@ -226,16 +277,20 @@ export class ChunkManager {
     async _startChunkGeneration(chunkRequest) {
         const { chunkKey, onReady } = chunkRequest;
 
-        let chunkX, chunkY, face = null, lod = 0;
+        let chunkX, chunkY, face = null, lod = 0, span = 1;
         
         if (chunkKey.includes(':')) {
             // Planetary format: "face:x,y:lod" e.g., "2:7,7:0"
             try {
                 const address = PlanetaryChunkAddress.fromKey(chunkKey);
+                // Generators address chunks on the LOD 0 grid; a coarser
+                // quadtree node is generated over its span x span base chunks
+                const base = address.getBaseCoords();
                 face = address.face;
-                chunkX = address.x;
-                chunkY = address.y;
+                chunkX = base.x;
+                chunkY = base.y;
                 lod = address.lod;
+                span = base.span;
                 
                 // Debug log for first few chunks
                 if (this.loadedChunks.size < 5) {
@@ -264,23 +319,29 @@ export class ChunkManager {
             this.chunkReadyCallbacks.get(chunkKey).push(onReady);
         }
 
-        // Compute LOD for this chunk using hierarchical atlas distances if available
-        try {
-            const distance = this._estimateChunkDistance(chunkX, chunkY, face);
-            const computedLOD = this.worldGenerator?.lodAtlasConfig?.getLODForDistance(distance);
-            if (typeof computedLOD === 'number') {
-                lod = computedLOD;
+        // Compute LOD for this chunk using hierarchical atlas distances if available.
+        // Quadtree keys already carry their LOD.
+        const lodFromQuadtree = face !== null && !!this.sphericalMapper?.quadtree;
+        if (!lodFromQuadtree) {
+            try {
+                const distance = this._estimateChunkDistance(chunkX, chunkY, face);
+                const computedLOD = this.worldGenerator?.lodAtlasConfig?.getLODForDistance(distance);
+                if (typeof computedLOD === 'number') {
+                    lod = computedLOD;
+                }
+            } catch (e) {
+                console.warn('Failed to compute LOD for chunk', chunkKey, e);
             }
-        } catch (e) {
-            console.warn('Failed to compute LOD for chunk', chunkKey, e);
         }
 
         
-        const chunkPromise = this._generateChunkAsync(chunkX, chunkY, face, lod);
+        const planetGeneration = this._planetGeneration;
+        const chunkPromise = this._generateChunkAsync(chunkX, chunkY, face, lod, span);
         this.pendingChunks.set(chunkKey, chunkPromise);
     
         try {
             const chunkData = await chunkPromise;
+            if (planetGeneration !== this._planetGeneration) return;
             this.loadedChunks.set(chunkKey, chunkData);
     
             // Call callbacks
@@ -297,22 +358,65 @@ export class ChunkManager {
         } catch (error) {
             console.error(` Failed to generate chunk ${chunkKey}:`, error);
         } finally {
-            this.pendingChunks.delete(chunkKey);
+            if (this.pendingChunks.get(chunkKey) === chunkPromise) {
+                this.pendingChunks.delete(chunkKey);
+            }
             setTimeout(() => this._processChunkQueue(), 0);
         }
     }
 
-    async _generateChunkAsync(chunkX, chunkY, face = null, lod = 0) {
+    async _generateChunkAsync(chunkX, chunkY, face = null, lod = 0, span = 1) {
         const chunkData = await this.worldGenerator.generateChunk(
             chunkX, 
             chunkY, 
             face, 
-            lod
+            lod,
+            span
         );
+        this._applyTerrainEdits(chunkData);
         this._generateFeaturesAsync(chunkData, chunkX, chunkY);
         return chunkData;
     }
 
+    _applyTerrainEdits(chunkData) {
+        if (!this.terrainEdits || !this.terrainEdits.applyToChunk(chunkData)) return;
+
+        this.worldGenerator.refreshChunkTextures?.(chunkData);
+        if (this.worldGenerator.globalWaterLevel !== undefined) {
+            chunkData.calculateWaterVisibility(this.worldGenerator.globalWaterLevel);
+        }
+    }
+
+    /**
+     * Record a brush stamp and patch the loaded chunks it touches in place.
+     * Chunks generated later pick it up through _applyTerrainEdits.
+     * @returns {ChunkData[]} loaded chunks that changed
+     */
+    applyTerrainEdit(stampOptions) {
+        if (!this.terrainEdits) {
+            console.warn('applyTerrainEdit: ChunkManager has no terrain edit layer');
+            return [];
+        }
+
+        // A stamp near a cube edge touches the next face as a separate placement
+        const { chunks } = this.terrainEdits.addStamp(stampOptions);
+        const touched = new Map(chunks.map(c => [`${c.face ?? ''}|${c.chunkX},${c.chunkY}`, c.stamp]));
+
+        const updated = [];
+        for (const chunkData of this.loadedChunks.values()) {
+            if ((chunkData.span ?? 1) > 1) continue;
+            const placed = touched.get(`${chunkData.face ?? ''}|${chunkData.chunkX},${chunkData.chunkY}`);
+            if (!placed) continue;
+            this.terrainEdits.applyStamp(chunkData, placed);
+            this.worldGenerator.refreshChunkTextures?.(chunkData);
+            if (this.worldGenerator.globalWaterLevel !== undefined) {
+                chunkData.calculateWaterVisibility(this.worldGenerator.globalWaterLevel);
+            }
+            updated.push(chunkData);
+        }
+        return updated;
+    }
+
     async _generateFeaturesAsync(chunkData, chunkX, chunkY) {
         try {
             if (this.worldGenerator.featureGenerator) {
@@ -355,6 +459,39 @@ export class ChunkManager {
         return this.loadedChunks.get(chunkKey) || null;
     }
 
+    /**
+     * Terrain height (chunk height units, before heightScale) under a
+     * render-space position on the planet, read from the loaded quadtree leaf
+     * that contains it. Null when that chunk isn't loaded.
+     */
+    getSphericalHeight(renderPosition) {
+        return this._sampleSphericalChunk(renderPosition, (chunk, x, y) => chunk.getHeight(x, y));
+    }
+
+    /**
+     * Water surface height (chunk height units) under a render-space
+     * position on the planet: a lake or river surface, else sea level.
+     * Null when that chunk isn't loaded.
+     */
+    getSphericalWaterHeight(renderPosition) {
+        return this._sampleSphericalChunk(renderPosition, (chunk, x, y) => chunk.getWaterHeight(x, y));
+    }
+
+    _sampleSphericalChunk(renderPosition, read) {
+        if (!this.useSphericalProjection) return null;
+        const mapper = this.sphericalMapper;
+        const address = mapper.worldPositionToChunkAddress(renderPosition);
+        const chunk = this.loadedChunks.get(address.key);
+        if (!chunk) return null;
+
+        const relative = new THREE.Vector3().subVectors(renderPosition, mapper.origin);
+        const { u, v } = CubeSphereCoords.worldPositionToFaceUV(relative, mapper.radius);
+        const gridSize = address.getGridSize(mapper.chunksPerFace);
+        const localU = THREE.MathUtils.clamp((u + 1) * 0.5 * gridSize - address.x, 0, 1);
+        const localV = THREE.MathUtils.clamp((v + 1) * 0.5 * gridSize - address.y, 0, 1);
+        return read(chunk, localU * chunk.size, localV * chunk.size) ?? null;
+    }
+
     worldToChunkCoords(worldX, worldZ) {
         return {
             chunkX: Math.floor(worldX / this.chunkSize),
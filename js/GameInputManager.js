@@ -9,6 +9,15 @@ export class GameInputManager {
         this.isLeftMouseDown = false;
         this.isRightMouseDown = false;
         this.wheelDelta = 0;
+
+        // Touch: the first touch on the left half of the canvas is a virtual
+        // stick, other touches drag (look/orbit) and two of them pinch
+        this.touchStickRadius = 60;
+        this.touchStick = { id: null, originX: 0, originY: 0, x: 0, y: 0 };
+        this.touchDrag = { x: 0, y: 0 };
+        this.touchPinch = 0;
+        this._touches = new Map();
+        this._pinchDistance = null;
         
         this._lastMouseX = 0;
         this._lastMouseY = 0;
@@ -20,6 +29,9 @@ export class GameInputManager {
         this._onMouseUp = this._onMouseUp.bind(this);
         this._onWheel = this._onWheel.bind(this);
         this._onContextMenu = this._onContextMenu.bind(this);
+        this._onTouchStart = this._onTouchStart.bind(this);
+        this._onTouchMove = this._onTouchMove.bind(this);
+        this._onTouchEnd = this._onTouchEnd.bind(this);
     }
 
     start() {
@@ -31,6 +43,10 @@ export class GameInputManager {
         this.canvas.addEventListener('mouseup', this._onMouseUp);
         this.canvas.addEventListener('wheel', this._onWheel, { passive: false });
         this.canvas.addEventListener('contextmenu', this._onContextMenu);
+        this.canvas.addEventListener('touchstart', this._onTouchStart, { passive: false });
+        this.canvas.addEventListener('touchmove', this._onTouchMove, { passive: false });
+        this.canvas.addEventListener('touchend', this._onTouchEnd);
+        this.canvas.addEventListener('touchcancel', this._onTouchEnd);
     }
 
     stop() {
@@ -42,6 +58,10 @@ export class GameInputManager {
         this.canvas.removeEventListener('mouseup', this._onMouseUp);
         this.canvas.removeEventListener('wheel', this._onWheel);
         this.canvas.removeEventListener('contextmenu', this._onContextMenu);
+        this.canvas.removeEventListener('touchstart', this._onTouchStart);
+        this.canvas.removeEventListener('touchmove', this._onTouchMove);
+        this.canvas.removeEventListener('touchend', this._onTouchEnd);
+        this.canvas.removeEventListener('touchcancel', this._onTouchEnd);
     }
 
     _onKeyDown(event) {
@@ -95,6 +115,111 @@ export class GameInputManager {
     _onContextMenu(event) {
         event.preventDefault();
     }
+
+    _onTouchStart(event) {
+        event.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        for (const touch of event.changedTouches) {
+            const x = touch.clientX - rect.left;
+            const y = touch.clientY - rect.top;
+            if (this.touchStick.id === null && x < rect.width / 2) {
+                Object.assign(this.touchStick, { id: touch.identifier, originX: x, originY: y, x: 0, y: 0 });
+            } else {
+                this._touches.set(touch.identifier, { x, y });
+            }
+        }
+        this._pinchDistance = this._getPinchDistance();
+    }
+
+    _onTouchMove(event) {
+        event.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        for (const touch of event.changedTouches) {
+            const x = touch.clientX - rect.left;
+            const y = touch.clientY - rect.top;
+            if (touch.identifier === this.touchStick.id) {
+                // Offset from where the thumb landed, -1..1 at touchStickRadius
+                const r = this.touchStickRadius;
+                this.touchStick.x = Math.max(-1, Math.min(1, (x - this.touchStick.originX) / r));
+                this.touchStick.y = Math.max(-1, Math.min(1, (y - this.touchStick.originY) / r));
+                continue;
+            }
+            const last = this._touches.get(touch.identifier);
+            if (!last) continue;
+            // One finger drags; with two the pinch takes over
+            if (this._touches.size === 1) {
+                this.touchDrag.x += x - last.x;
+                this.touchDrag.y += y - last.y;
+            }
+            last.x = x;
+            last.y = y;
+        }
+
+        const distance = this._getPinchDistance();
+        if (distance !== null && this._pinchDistance !== null) {
+            this.touchPinch += distance - this._pinchDistance;
+        }
+        this._pinchDistance = distance;
+    }
+
+    _onTouchEnd(event) {
+        for (const touch of event.changedTouches) {
+            if (touch.identifier === this.touchStick.id) {
+                Object.assign(this.touchStick, { id: null, x: 0, y: 0 });
+            }
+            this._touches.delete(touch.identifier);
+        }
+        this._pinchDistance = this._getPinchDistance();
+    }
+
+    _getPinchDistance() {
+        if (this._touches.size !== 2) return null;
+        const [a, b] = this._touches.values();
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Connected gamepads as plain {axes, buttons} value arrays.
+     */
+    pollGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        const pads = [];
+        for (const pad of navigator.getGamepads()) {
+            if (!pad || !pad.connected) continue;
+            pads.push({
+                axes: Array.from(pad.axes),
+                buttons: pad.buttons.map(button => button.value)
+            });
+        }
+        return pads;
+    }
+
+    /**
+     * Raw state of every device for InputActionMap.update(). Consumes the
+     * mouse, wheel, touch drag and pinch deltas.
+     */
+    getDeviceState() {
+        const mouseButtons = new Set();
+        if (this.isLeftMouseDown) mouseButtons.add(0);
+        if (this.isRightMouseDown) mouseButtons.add(2);
+
+        const state = {
+            keys: new Set(this.keys),
+            mouseButtons,
+            mouseDelta: this.getMouseDelta(),
+            wheelDelta: this.getWheelDelta(),
+            gamepads: this.pollGamepads(),
+            touch: {
+                leftStick: { x: this.touchStick.x, y: this.touchStick.y },
+                drag: { x: this.touchDrag.x, y: this.touchDrag.y },
+                pinch: this.touchPinch
+            }
+        };
+        this.touchDrag.x = 0;
+        this.touchDrag.y = 0;
+        this.touchPinch = 0;
+        return state;
+    }
     
     getKeys() {
         const keyMap = {};
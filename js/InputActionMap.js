@@ -0,0 +1,372 @@
+// js/InputActionMap.js
+// Named input actions on top of GameInputManager's raw device state. Game
+// code reads actions ('throttle', 'lookX', 'toggleCamera', ...) from an
+// InputActionFrame instead of key codes, so keyboard, mouse, gamepad and
+// touch all drive the same controls and players can rebind them. Bindings
+// and per-action curve settings are persisted to localStorage.
+
+import { DEFAULT_INPUT_ACTIONS, INPUT_BINDINGS_STORAGE_KEY } from './config/inputBindings.js';
+
+const DEFAULT_SETTINGS = { deadZone: 0, exponent: 1, sensitivity: 1 };
+
+// Pixels per second from held sources (keys, sticks) bound to delta actions
+const HELD_DELTA_SCALE = 600;
+
+// Analog values this far from rest count as "moved" when capturing a rebind
+const REBIND_AXIS_THRESHOLD = 0.6;
+
+/**
+ * Dead zone, response curve and sensitivity for one analog value.
+ */
+export function shapeAxis(value, { deadZone = 0, exponent = 1, sensitivity = 1 } = {}) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) return 0;
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    return Math.sign(value) * Math.pow(scaled, exponent) * sensitivity;
+}
+
+/**
+ * Resolved actions for one frame. Replays rebuild these from recordings,
+ * so everything the simulation reads has to be in `values` and `pressed`.
+ */
+export class InputActionFrame {
+    /**
+     * @param {Object} values - action name -> number
+     * @param {Iterable<string>} pressed - buttons that went down this frame
+     */
+    constructor(values = {}, pressed = []) {
+        this.values = values;
+        this.pressed = new Set(pressed);
+    }
+
+    value(action) {
+        return this.values[action] ?? 0;
+    }
+
+    isDown(action) {
+        return this.value(action) >= 0.5;
+    }
+
+    wasPressed(action) {
+        return this.pressed.has(action);
+    }
+}
+
+export class InputActionMap {
+    /**
+     * @param {Object} actions - action definitions (see config/inputBindings.js)
+     * @param {Object} options - storageKey (null disables persistence)
+     */
+    constructor(actions = DEFAULT_INPUT_ACTIONS, options = {}) {
+        this.defaults = actions;
+        this.storageKey = options.storageKey === undefined ? INPUT_BINDINGS_STORAGE_KEY : options.storageKey;
+        this.actions = {};
+        this._buttonsDown = new Set();
+        this._rebind = null;
+        this._previousDevices = null;
+        this.resetBindings();
+    }
+
+    getActionNames() {
+        return Object.keys(this.actions);
+    }
+
+    getBindings(action) {
+        return this._getAction(action).bindings;
+    }
+
+    getSettings(action) {
+        return this._getAction(action).settings;
+    }
+
+    _getAction(action) {
+        const entry = this.actions[action];
+        if (!entry) throw new Error(`InputActionMap: unknown action "${action}"`);
+        return entry;
+    }
+
+    // ==================== Rebinding ====================
+
+    /**
+     * Restore the default bindings of one action, or of all of them.
+     */
+    resetBindings(action = null) {
+        const names = action ? [action] : Object.keys(this.defaults);
+        for (const name of names) {
+            const def = this.defaults[name];
+            this.actions[name] = {
+                type: def.type,
+                bindings: def.bindings.map(binding => ({ ...binding })),
+                settings: { ...DEFAULT_SETTINGS, ...(def.settings || {}) }
+            };
+        }
+    }
+
+    addBinding(action, binding) {
+        this._getAction(action).bindings.push({ ...binding });
+    }
+
+    setBinding(action, index, binding) {
+        this._getAction(action).bindings[index] = { ...binding };
+    }
+
+    removeBinding(action, index) {
+        this._getAction(action).bindings.splice(index, 1);
+    }
+
+    /**
+     * @param {Object} settings - deadZone, exponent, sensitivity
+     */
+    setSettings(action, settings) {
+        Object.assign(this._getAction(action).settings, settings);
+    }
+
+    /**
+     * Bind the next key, mouse button, gamepad button or stick movement to
+     * `action`. Axis actions take keys and buttons for one `direction`
+     * ('positive' or 'negative'); a stick binds the whole axis. Escape
+     * cancels (resolves null).
+     * @returns {Promise<Object|null>} the new binding
+     */
+    rebind(action, { index = null, direction = 'positive' } = {}) {
+        this._getAction(action);
+        if (this._rebind) this._rebind.resolve(null);
+        return new Promise(resolve => {
+            this._rebind = { action, index, direction, resolve };
+        });
+    }
+
+    get isRebinding() {
+        return this._rebind !== null;
+    }
+
+    _captureRebind(devices) {
+        const previous = this._previousDevices;
+        if (!previous) return;
+
+        if (devices.keys.has('Escape')) {
+            this._finishRebind(null);
+            return;
+        }
+
+        const newKey = [...devices.keys].find(code => !previous.keys.has(code));
+        if (newKey) {
+            this._finishRebind(this._buttonBinding({ device: 'keyboard' }, newKey, 'code', 'positive', 'negative'));
+            return;
+        }
+
+        const newMouseButton = [...devices.mouseButtons].find(button => !previous.mouseButtons.has(button));
+        if (newMouseButton !== undefined && this.actions[this._rebind.action].type === 'button') {
+            this._finishRebind({ device: 'mouse', button: newMouseButton });
+            return;
+        }
+
+        for (let p = 0; p < devices.gamepads.length; p++) {
+            const pad = devices.gamepads[p];
+            const before = previous.gamepads[p];
+            if (!pad || !before) continue;
+            const button = pad.buttons.findIndex((value, i) => value >= 0.5 && (before.buttons[i] ?? 0) < 0.5);
+            if (button >= 0) {
+                this._finishRebind(this._buttonBinding({ device: 'gamepad' }, button, 'button', 'positiveButton', 'negativeButton'));
+                return;
+            }
+            const axis = pad.axes.findIndex((value, i) =>
+                Math.abs(value) >= REBIND_AXIS_THRESHOLD && Math.abs(before.axes[i] ?? 0) < REBIND_AXIS_THRESHOLD);
+            if (axis >= 0 && this.actions[this._rebind.action].type !== 'button') {
+                const invert = this._rebind.direction === 'negative' ? pad.axes[axis] > 0 : pad.axes[axis] < 0;
+                this._finishRebind({ device: 'gamepad', axis, ...(invert ? { invert: true } : {}) });
+                return;
+            }
+        }
+    }
+
+    /**
+     * A keyboard/gamepad button binding; for axis actions it fills in one
+     * direction, keeping the other from the binding being replaced.
+     */
+    _buttonBinding(base, value, buttonKey, positiveKey, negativeKey) {
+        const { action, index, direction } = this._rebind;
+        const entry = this.actions[action];
+        if (entry.type === 'button') return { ...base, [buttonKey]: value };
+
+        const existing = index !== null ? entry.bindings[index] : null;
+        const binding = existing && existing.device === base.device ? { ...existing } : { ...base };
+        binding[direction === 'negative' ? negativeKey : positiveKey] = value;
+        return binding;
+    }
+
+    _finishRebind(binding) {
+        const { action, index, resolve } = this._rebind;
+        this._rebind = null;
+        // The key that was just bound is still down; don't let it fire
+        for (const [name, entry] of Object.entries(this.actions)) {
+            if (entry.type === 'button') this._buttonsDown.add(name);
+        }
+        if (binding) {
+            if (index !== null && index < this.actions[action].bindings.length) {
+                this.setBinding(action, index, binding);
+            } else {
+                this.addBinding(action, binding);
+            }
+            this.save();
+            console.log(`Bound ${action}:`, binding);
+        }
+        resolve(binding);
+    }
+
+    // ==================== Persistence ====================
+
+    save() {
+        if (!this.storageKey || typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (e) {
+            console.warn('Could not save input bindings:', e);
+        }
+    }
+
+    load() {
+        if (!this.storageKey || typeof localStorage === 'undefined') return false;
+        try {
+            const json = localStorage.getItem(this.storageKey);
+            if (!json) return false;
+            this.loadState(JSON.parse(json));
+            return true;
+        } catch (e) {
+            console.warn('Could not load input bindings:', e);
+            return false;
+        }
+    }
+
+    toJSON() {
+        const actions = {};
+        for (const [name, entry] of Object.entries(this.actions)) {
+            actions[name] = { bindings: entry.bindings, settings: entry.settings };
+        }
+        return { version: 1, actions };
+    }
+
+    /**
+     * Apply saved bindings over the defaults; actions the save doesn't know
+     * (added since) keep their defaults, and unknown ones are dropped.
+     */
+    loadState(state) {
+        this.resetBindings();
+        for (const [name, saved] of Object.entries(state.actions || {})) {
+            const entry = this.actions[name];
+            if (!entry) continue;
+            if (Array.isArray(saved.bindings)) entry.bindings = saved.bindings.map(binding => ({ ...binding }));
+            if (saved.settings) Object.assign(entry.settings, saved.settings);
+        }
+    }
+
+    // ==================== Resolving ====================
+
+    /**
+     * Resolve every action from this frame's device state.
+     * @param {Object} devices - GameInputManager.getDeviceState()
+     * @returns {InputActionFrame}
+     */
+    update(deltaTime, devices) {
+        if (this._rebind) {
+            this._captureRebind(devices);
+            this._previousDevices = devices;
+            // Swallow input while waiting for a binding
+            return new InputActionFrame();
+        }
+        this._previousDevices = devices;
+
+        const values = {};
+        const pressed = [];
+        for (const [name, entry] of Object.entries(this.actions)) {
+            values[name] = this._resolve(entry, devices, deltaTime);
+            if (entry.type === 'button') {
+                const down = values[name] >= 0.5;
+                if (down && !this._buttonsDown.has(name)) pressed.push(name);
+                if (down) this._buttonsDown.add(name);
+                else this._buttonsDown.delete(name);
+            }
+        }
+        return new InputActionFrame(values, pressed);
+    }
+
+    _resolve(entry, devices, deltaTime) {
+        if (entry.type === 'delta') {
+            let total = 0;
+            for (const binding of entry.bindings) {
+                total += this._readDelta(binding, entry.settings, devices, deltaTime);
+            }
+            return total * entry.settings.sensitivity;
+        }
+
+        let best = 0;
+        for (const binding of entry.bindings) {
+            const value = this._readAxis(binding, entry.settings, devices);
+            if (Math.abs(value) > Math.abs(best)) best = value;
+        }
+        if (entry.type === 'button') return Math.abs(best) >= 0.5 ? 1 : 0;
+        return Math.max(-1, Math.min(1, best * entry.settings.sensitivity));
+    }
+
+    /**
+     * Held value of a binding in -1..1; analog sources get the curve.
+     */
+    _readAxis(binding, settings, devices) {
+        const sign = binding.invert ? -1 : 1;
+        switch (binding.device) {
+            case 'keyboard': {
+                if (binding.code !== undefined) return devices.keys.has(binding.code) ? sign : 0;
+                const positive = binding.positive !== undefined && devices.keys.has(binding.positive) ? 1 : 0;
+                const negative = binding.negative !== undefined && devices.keys.has(binding.negative) ? 1 : 0;
+                return sign * (positive - negative);
+            }
+            case 'mouse':
+                return binding.button !== undefined && devices.mouseButtons.has(binding.button) ? sign : 0;
+            case 'gamepad': {
+                let value = 0;
+                for (const pad of devices.gamepads) {
+                    if (!pad) continue;
+                    const v = this._readGamepad(binding, pad);
+                    if (Math.abs(v) > Math.abs(value)) value = v;
+                }
+                return sign * shapeAxis(value, { ...settings, sensitivity: 1 });
+            }
+            case 'touch': {
+                if (binding.control !== 'leftStick') return 0;
+                const stick = devices.touch.leftStick;
+                return sign * shapeAxis(binding.axis === 'y' ? stick.y : stick.x, { ...settings, sensitivity: 1 });
+            }
+            default:
+                return 0;
+        }
+    }
+
+    _readGamepad(binding, pad) {
+        if (binding.axis !== undefined) return pad.axes[binding.axis] ?? 0;
+        if (binding.button !== undefined) return pad.buttons[binding.button] ?? 0;
+        const positive = binding.positiveButton !== undefined ? pad.buttons[binding.positiveButton] ?? 0 : 0;
+        const negative = binding.negativeButton !== undefined ? pad.buttons[binding.negativeButton] ?? 0 : 0;
+        return positive - negative;
+    }
+
+    /**
+     * Per-frame pixels of a binding: pointer movement directly (times
+     * `scale`), held sources as `scale` pixels per second.
+     */
+    _readDelta(binding, settings, devices, deltaTime) {
+        const sign = binding.invert ? -1 : 1;
+        if (binding.device === 'mouse') {
+            if (binding.whileButton !== undefined && !devices.mouseButtons.has(binding.whileButton)) return 0;
+            const delta = binding.axis === 'wheel' ? devices.wheelDelta
+                : binding.axis === 'y' ? devices.mouseDelta.y : devices.mouseDelta.x;
+            return sign * delta * (binding.scale ?? 1);
+        }
+        if (binding.device === 'touch' && binding.control !== 'leftStick') {
+            const touch = devices.touch;
+            const delta = binding.control === 'pinch' ? touch.pinch
+                : binding.axis === 'y' ? touch.drag.y : touch.drag.x;
+            return sign * delta * (binding.scale ?? 1);
+        }
+        return this._readAxis(binding, settings, devices) * (binding.scale ?? HELD_DELTA_SCALE) * deltaTime;
+    }
+}
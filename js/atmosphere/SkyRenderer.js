@@ -1,16 +1,30 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { Geometry } from '../renderer/resources/geometry.js';
 import { Material } from '../renderer/resources/material.js';
-
+import { RenderTarget } from '../renderer/resources/renderTarget.js';
+import { TextureFormat, TextureFilter } from '../renderer/resources/texture.js';
+import {
+    ATMOSPHERE_LUT_SAMPLING_WGSL,
+    ATMOSPHERE_LUT_SAMPLING_GLSL
+} from '../renderer/atmosphere/shaders/aerialPerspectiveCommon.js';
+
+/**
+ * Fullscreen sky from the atmosphere's sky-view LUT (see
+ * AtmosphericScatteringLUT.updateViewLUTs), which is built for the same
+ * camera earlier in the frame.
+ */
 export class SkyRenderer {
     constructor(backend, atmosphereLUT) {
         this.backend = backend;
         this.atmosphereLUT = atmosphereLUT;
         this.enabled = true;
-        this.numSamples = 16;
         this.initialized = false;
         this.skyMaterial = null;
         this.fullscreenGeometry = null;
+
+        this.environmentMaterial = null;
+        this.environmentTarget = null;
+        this.environmentSize = { width: 128, height: 64 };
     }
 
     async initialize() {
@@ -35,8 +49,16 @@ export class SkyRenderer {
         this.vertexWGSL = this._getSkyVertexWGSL();
         this.fragmentWGSL = this._getSkyFragmentWGSL();
         this.fullscreenGeometry = this._createFullscreenTriangle();
-        this.skyMaterial = new Material({
-            name: 'SkyRenderer_WebGPU',
+        this.skyMaterial = this._createWebGPUMaterial('SkyRenderer_WebGPU');
+        this.environmentMaterial = this._createWebGPUMaterial('SkyRenderer_WebGPU_Environment');
+        if (this.backend.compileShader) {
+            this.backend.compileShader(this.skyMaterial);
+        }
+    }
+
+    _createWebGPUMaterial(name) {
+        return new Material({
+            name,
             vertexShader: this.vertexWGSL,
             fragmentShader: this.fragmentWGSL,
             bindGroupLayoutSpec: [
@@ -48,27 +70,24 @@ export class SkyRenderer {
                     ]
                 },
                 {
-                    label: 'Transmittance',
+                    label: 'SkyView',
                     entries: [
-                        { binding: 0, visibility: 'fragment', texture: { sampleType: 'float' }, name: 'transmittanceLUT' },
-                        { binding: 1, visibility: 'fragment', sampler: { type: 'filtering' }, name: 'transmittanceSampler' }
+                        { binding: 0, visibility: 'fragment', texture: { sampleType: 'float' }, name: 'skyViewLUT' },
+                        { binding: 1, visibility: 'fragment', sampler: { type: 'filtering' }, name: 'skyViewSampler' }
                     ]
                 }
             ],
             uniforms: {
-                skyUniforms: { value: new Float32Array(24) },
+                skyUniforms: { value: new Float32Array(16) },
                 invViewProj: { value: new Float32Array(16) },
-                transmittanceLUT: { value: this.atmosphereLUT?.transmittanceLUT || null },
-                transmittanceSampler: { value: 'linear' }
+                skyViewLUT: { value: null },
+                skyViewSampler: { value: 'linear' }
             },
             vertexLayout: [], // vertex_index based fullscreen triangle
             depthTest: true,   // ensure pipeline matches render pass depth attachment
             depthWrite: false,
             side: 'double'
         });
-        if (this.backend.compileShader) {
-            this.backend.compileShader(this.skyMaterial);
-        }
     }
 
     async _initializeWebGL2() {
@@ -76,8 +95,17 @@ export class SkyRenderer {
         this.fragmentShader = this._getSkyFragmentGLSL();
 
         this.fullscreenGeometry = this._createFullscreenTriangle();
-        this.skyMaterial = new Material({
-            name: 'SkyRenderer_WebGL2',
+        this.skyMaterial = this._createWebGL2Material('SkyRenderer_WebGL2');
+        this.environmentMaterial = this._createWebGL2Material('SkyRenderer_WebGL2_Environment');
+
+        if (this.backend.compileShader) {
+            this.backend.compileShader(this.skyMaterial);
+        }
+    }
+
+    _createWebGL2Material(name) {
+        return new Material({
+            name,
             vertexShader: this.vertexShader,
             fragmentShader: this.fragmentShader,
             uniforms: {
@@ -87,25 +115,16 @@ export class SkyRenderer {
                 planetCenter: { value: new THREE.Vector3(0, 0, 0) },
                 planetRadius: { value: 50000 },
                 atmosphereRadius: { value: 60000 },
-                scaleHeightRayleigh: { value: 800 },
-                scaleHeightMie: { value: 120 },
-                mieAnisotropy: { value: 0.8 },
-                rayleighScattering: { value: new THREE.Vector3(5.5e-5, 13.0e-5, 22.4e-5) },
-                mieScattering: { value: 21e-5 },
                 sunIntensity: { value: 20.0 },
-                numSamples: { value: this.numSamples },
                 hasLUT: { value: 0.0 },
+                equirect: { value: 0.0 },
                 invViewProjMatrix: { value: new THREE.Matrix4() },
-                transmittanceLUT: { value: this.atmosphereLUT?.transmittanceLUT || null },
+                skyViewLUT: { value: null },
             },
             depthTest: false,
             depthWrite: false,
             side: 'double'
         });
-
-        if (this.backend.compileShader) {
-            this.backend.compileShader(this.skyMaterial);
-        }
     }
 
     render(camera, atmosphereSettings, sunDir, uniformManager) {
@@ -114,36 +133,62 @@ export class SkyRenderer {
         const apiName = this.backend.getAPIName?.() || 'webgl2';
 
         if (apiName === 'webgpu') {
-            this._renderWebGPU(camera, atmosphereSettings, sunDir, uniformManager);
+            this._renderWebGPU(camera, atmosphereSettings, sunDir, uniformManager, this.skyMaterial, 0.0);
         } else {
-            this._renderWebGL2(camera, atmosphereSettings, sunDir, uniformManager);
+            this._renderWebGL2(camera, atmosphereSettings, sunDir, uniformManager, this.skyMaterial, 0.0);
         }
     }
 
-    _renderWebGPU(camera, atmosphereSettings, sunDir, uniformManager) {
-        if (!this.skyMaterial || !this.fullscreenGeometry) return;
-        // If LUT not ready, render a simple gradient to avoid stalls/crashes
-        const hasLUT = !!(this.atmosphereLUT?.transmittanceLUT && this.atmosphereLUT.transmittanceLUT._gpuTexture);
+    /**
+     * Render the sky around the camera into a small lat-long map (see
+     * equirectDirection in the shaders). Screen-space effects use it for
+     * directions that leave the screen, e.g. missed water reflections.
+     * Leaves the swapchain bound.
+     */
+    renderEnvironment(camera, atmosphereSettings, sunDir, uniformManager) {
+        if (!this.enabled || !this.initialized || !this.environmentMaterial) return null;
+
+        if (!this.environmentTarget) {
+            this.environmentTarget = new RenderTarget(this.environmentSize.width, this.environmentSize.height, {
+                format: TextureFormat.RGBA16F,
+                minFilter: TextureFilter.LINEAR,
+                magFilter: TextureFilter.LINEAR,
+                depthBuffer: false
+            });
+        }
 
-        const u = this.skyMaterial.uniforms.skyUniforms.value;
+        this.backend.setRenderTarget(this.environmentTarget);
+        this.backend.setViewport(0, 0, this.environmentSize.width, this.environmentSize.height);
+        this.backend.clear(true, false, false);
+
+        if (this.backend.getAPIName?.() === 'webgpu') {
+            this._renderWebGPU(camera, atmosphereSettings, sunDir, uniformManager, this.environmentMaterial, 1.0);
+        } else {
+            this._renderWebGL2(camera, atmosphereSettings, sunDir, uniformManager, this.environmentMaterial, 1.0);
+        }
+
+        this.backend.setRenderTarget(null);
+        this.backend.setViewport(0, 0, this.backend.canvas.width, this.backend.canvas.height);
+        return this.environmentTarget.texture;
+    }
+
+    get environmentTexture() {
+        return this.environmentTarget?.texture || null;
+    }
+
+    _renderWebGPU(camera, atmosphereSettings, sunDir, uniformManager, material, equirect) {
+        if (!material || !this.fullscreenGeometry) return;
+        // Until the first view LUT pass only the gradient floor is drawn
+        const hasLUT = !!(this.atmosphereLUT?.viewLUTsReady && this.atmosphereLUT.skyViewLUT?._gpuTexture);
+
+        const u = material.uniforms.skyUniforms.value;
         const planetCenter = uniformManager?.uniforms?.planetCenter?.value || new THREE.Vector3();
         const planetRadius = atmosphereSettings?.planetRadius ??
             uniformManager?.uniforms?.atmospherePlanetRadius?.value ?? 50000;
         const atmosphereRadius = atmosphereSettings?.atmosphereRadius ??
             uniformManager?.uniforms?.atmosphereRadius?.value ?? planetRadius + 10000;
-        const rayleigh = atmosphereSettings?.rayleighScattering ??
-            uniformManager?.uniforms?.atmosphereRayleighScattering?.value ??
-            new THREE.Vector3(5.5e-6, 13.0e-6, 22.4e-6);
-        const mieScattering = atmosphereSettings?.mieScattering ??
-            uniformManager?.uniforms?.atmosphereMieScattering?.value ?? 21e-6;
-        const mieAnisotropy = atmosphereSettings?.mieAnisotropy ??
-            uniformManager?.uniforms?.atmosphereMieAnisotropy?.value ?? 0.758;
         const sunIntensity = atmosphereSettings?.sunIntensity ??
             uniformManager?.uniforms?.atmosphereSunIntensity?.value ?? 20.0;
-        const scaleHeightR = atmosphereSettings?.scaleHeightRayleigh ??
-            uniformManager?.uniforms?.atmosphereScaleHeightRayleigh?.value ?? 8000;
-        const scaleHeightM = atmosphereSettings?.scaleHeightMie ??
-            uniformManager?.uniforms?.atmosphereScaleHeightMie?.value ?? 1200;
 
         const sDir = (sunDir || uniformManager?.uniforms?.sunLightDirection?.value || new THREE.Vector3(0.5, 1.0, 0.3)).clone().normalize();
 
@@ -151,46 +196,36 @@ export class SkyRenderer {
         u[0] = camera.position.x;
         u[1] = camera.position.y;
         u[2] = camera.position.z;
-        u[3] = 0; // viewerAltitude (filled below)
+        u[3] = Math.max(0, camera.position.distanceTo(planetCenter) - planetRadius);
         u[4] = sDir.x;
         u[5] = sDir.y;
         u[6] = sDir.z;
-        u[7] = 0;
+        u[7] = equirect;
         u[8] = planetCenter.x;
         u[9] = planetCenter.y;
         u[10] = planetCenter.z;
         u[11] = planetRadius;
         u[12] = atmosphereRadius;
-        u[13] = scaleHeightR;
-        u[14] = scaleHeightM;
-        u[15] = mieAnisotropy;
-        u[16] = rayleigh.x;
-        u[17] = rayleigh.y;
-        u[18] = rayleigh.z;
-        u[19] = mieScattering;
-        u[20] = sunIntensity;
-        u[21] = this.numSamples;
-        u[22] = hasLUT ? 1.0 : 0.0;
-        u[23] = 0;
+        u[13] = sunIntensity;
+        u[14] = hasLUT ? 1.0 : 0.0;
+        u[15] = 0;
 
         const viewProj = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
-        const inv = this.skyMaterial.uniforms.invViewProj.value;
+        const inv = material.uniforms.invViewProj.value;
         inv.set(viewProj.clone().invert().elements);
 
-        const viewerAlt = Math.max(0, camera.position.length() - planetRadius);
-        u[3] = viewerAlt;
-
-        this.skyMaterial.uniforms.transmittanceLUT.value = hasLUT ? this.atmosphereLUT.transmittanceLUT : null;
-        this.backend.draw(this.fullscreenGeometry, this.skyMaterial);
+        material.uniforms.skyViewLUT.value = hasLUT ? this.atmosphereLUT.skyViewLUT : null;
+        this.backend.draw(this.fullscreenGeometry, material);
     }
 
-    _renderWebGL2(camera, atmosphereSettings, sunDir, uniformManager) {
-        if (!this.skyMaterial || !this.fullscreenGeometry) {
+    _renderWebGL2(camera, atmosphereSettings, sunDir, uniformManager, material, equirect) {
+        if (!material || !this.fullscreenGeometry) {
             console.warn('[SkyRenderer] WebGL2 resources missing');
             return;
         }
 
-        const uniforms = this.skyMaterial.uniforms;
+        const uniforms = material.uniforms;
+        uniforms.equirect.value = equirect;
         const uManager = uniformManager || {};
         const global = uManager.uniforms || {};
 
@@ -207,16 +242,6 @@ export class SkyRenderer {
             global.atmosphereRadius?.value ??
             planetRadius + (atmosphereSettings?.atmosphereHeight ?? 10000);
 
-        uniforms.scaleHeightRayleigh.value = atmosphereSettings?.scaleHeightRayleigh ?? global.atmosphereScaleHeightRayleigh?.value ?? 8000;
-        uniforms.scaleHeightMie.value = atmosphereSettings?.scaleHeightMie ?? global.atmosphereScaleHeightMie?.value ?? 1200;
-        uniforms.rayleighScattering.value.copy(
-            atmosphereSettings?.rayleighScattering ?? global.atmosphereRayleighScattering?.value ?? new THREE.Vector3(5.5e-6, 13.0e-6, 22.4e-6)
-        );
-        uniforms.mieScattering.value = atmosphereSettings?.mieScattering ?? global.atmosphereMieScattering?.value ?? 21e-6;
-        uniforms.mieAnisotropy.value = atmosphereSettings?.mieAnisotropy ?? global.atmosphereMieAnisotropy?.value ?? 0.758;
-        uniforms.sunIntensity.value = atmosphereSettings?.sunIntensity ?? global.atmosphereSunIntensity?.value ?? 20.0;
-        uniforms.numSamples.value = this.numSamples;
-
         const sunDirValue = (sunDir || global.sunLightDirection?.value || new THREE.Vector3(0.5, 1.0, 0.3)).clone().normalize();
         uniforms.sunDirection.value.copy(sunDirValue);
 
@@ -224,18 +249,18 @@ export class SkyRenderer {
         const baseSunIntensity = atmosphereSettings?.sunIntensity ?? global.atmosphereSunIntensity?.value ?? 20.0;
         uniforms.sunIntensity.value = baseSunIntensity * sunStrength;
 
-        const hasLUT = !!(this.atmosphereLUT?.transmittanceLUT);
+        const hasLUT = !!(this.atmosphereLUT?.viewLUTsReady && this.atmosphereLUT.skyViewLUT);
         uniforms.hasLUT.value = hasLUT ? 1.0 : 0.0;
-        uniforms.transmittanceLUT.value = hasLUT ? this.atmosphereLUT.transmittanceLUT : null;
+        uniforms.skyViewLUT.value = hasLUT ? this.atmosphereLUT.skyViewLUT : null;
 
         const viewProj = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
         uniforms.invViewProjMatrix.value.copy(viewProj).invert();
 
         const viewerAlt = global.viewerAltitude?.value ??
-            Math.max(0, camera.position.length() - planetRadius);
+            Math.max(0, camera.position.distanceTo(planetCenter) - planetRadius);
         uniforms.viewerAltitude.value = viewerAlt;
 
-        this.backend.draw(this.fullscreenGeometry, this.skyMaterial);
+        this.backend.draw(this.fullscreenGeometry, material);
     }
 
     _getSkyVertexWGSL() {
@@ -244,19 +269,13 @@ struct SkyUniforms {
     cameraPosition: vec3<f32>,
     viewerAltitude: f32,
     sunDirection: vec3<f32>,
-    _pad0: f32,
+    equirect: f32,
     planetCenter: vec3<f32>,
     planetRadius: f32,
     atmosphereRadius: f32,
-    scaleHeightRayleigh: f32,
-    scaleHeightMie: f32,
-    mieAnisotropy: f32,
-    rayleighScattering: vec3<f32>,
-    mieScattering: f32,
     sunIntensity: f32,
-    numSamples: f32,
     hasLUT: f32,
-    _pad2: f32,
+    _pad0: f32,
 }
 
 struct VertexOutput {
@@ -289,19 +308,13 @@ struct SkyUniforms {
     cameraPosition: vec3<f32>,
     viewerAltitude: f32,
     sunDirection: vec3<f32>,
-    _pad0: f32,
+    equirect: f32,
     planetCenter: vec3<f32>,
     planetRadius: f32,
     atmosphereRadius: f32,
-    scaleHeightRayleigh: f32,
-    scaleHeightMie: f32,
-    mieAnisotropy: f32,
-    rayleighScattering: vec3<f32>,
-    mieScattering: f32,
     sunIntensity: f32,
-    numSamples: f32,
     hasLUT: f32,
-    _pad2: f32,
+    _pad0: f32,
 }
 
 struct VertexOutput {
@@ -311,10 +324,10 @@ struct VertexOutput {
 
 @group(0) @binding(0) var<uniform> uniforms: SkyUniforms;
 @group(0) @binding(1) var<uniform> invViewProjMatrix: mat4x4<f32>;
-@group(1) @binding(0) var transmittanceLUT: texture_2d<f32>;
-@group(1) @binding(1) var transmittanceSampler: sampler;
+@group(1) @binding(0) var skyViewLUT: texture_2d<f32>;
+@group(1) @binding(1) var skyViewSampler: sampler;
 
-const PI: f32 = 3.14159265359;
+${ATMOSPHERE_LUT_SAMPLING_WGSL}
 
 fn raySphereIntersect(origin: vec3<f32>, dir: vec3<f32>, center: vec3<f32>, radius: f32) -> vec2<f32> {
     let oc = origin - center;
@@ -331,42 +344,17 @@ fn raySphereIntersect(origin: vec3<f32>, dir: vec3<f32>, center: vec3<f32>, radi
     return vec2<f32>(t1, t2);
 }
 
-fn rayleighPhase(cosTheta: f32) -> f32 {
-    return (3.0 / (16.0 * PI)) * (1.0 + cosTheta * cosTheta);
-}
-
-fn miePhase(cosTheta: f32, g: f32) -> f32 {
-    let g2 = g * g;
-    let num = (1.0 - g2);
-    let denom = 4.0 * PI * pow(1.0 + g2 - 2.0 * g * cosTheta, 1.5);
-    return num / max(denom, 0.0001);
-}
-
-fn getTransmittanceUV(altitude: f32, cosTheta: f32) -> vec2<f32> {
-    let H = sqrt(max(0.0, uniforms.atmosphereRadius * uniforms.atmosphereRadius - uniforms.planetRadius * uniforms.planetRadius));
-    let rho = sqrt(max(0.0, (uniforms.planetRadius + altitude) * (uniforms.planetRadius + altitude) - uniforms.planetRadius * uniforms.planetRadius));
-    let u = clamp(rho / max(H, 0.001), 0.0, 1.0);
-    let r = uniforms.planetRadius + altitude;
-    let dMin = uniforms.atmosphereRadius - r;
-    let dMax = rho + H;
-    let cosT = clamp(cosTheta, -1.0, 1.0);
-    let d = dMin + (cosT * 0.5 + 0.5) * (dMax - dMin);
-    let v = clamp((d - dMin) / max(dMax - dMin, 0.001), 0.0, 1.0);
-    return vec2<f32>(u, v);
-}
-
-fn sampleTransmittance(altitude: f32, cosTheta: f32) -> vec3<f32> {
-    let uv = getTransmittanceUV(altitude, cosTheta);
-    return textureSample(transmittanceLUT, transmittanceSampler, uv).rgb;
-}
-
-fn getDensity(altitude: f32) -> vec2<f32> {
-    let densityR = exp(-max(0.0, altitude) / uniforms.scaleHeightRayleigh);
-    let densityM = exp(-max(0.0, altitude) / uniforms.scaleHeightMie);
-    return vec2<f32>(densityR, densityM);
+// Lat-long environment map: u = azimuth around +Y, v = elevation (up at uv.y = 1)
+fn equirectDirection(uv: vec2<f32>) -> vec3<f32> {
+    let azimuth = (uv.x - 0.5) * 2.0 * LUT_PI;
+    let elevation = (uv.y - 0.5) * LUT_PI;
+    return vec3<f32>(cos(elevation) * sin(azimuth), sin(elevation), cos(elevation) * cos(azimuth));
 }
 
 fn getRayDirection(uv: vec2<f32>) -> vec3<f32> {
+    if (uniforms.equirect > 0.5) {
+        return equirectDirection(uv);
+    }
     let ndc = vec4<f32>(uv.x * 2.0 - 1.0, uv.y * 2.0 - 1.0, 1.0, 1.0);
     var worldPos = invViewProjMatrix * ndc;
     worldPos /= worldPos.w;
@@ -379,50 +367,15 @@ fn main(input: VertexOutput) -> @location(0) vec4<f32> {
     let rayOrigin = uniforms.cameraPosition;
 
     let planetHit = raySphereIntersect(rayOrigin, rayDir, uniforms.planetCenter, uniforms.planetRadius);
-    let atmoHit = raySphereIntersect(rayOrigin, rayDir, uniforms.planetCenter, uniforms.atmosphereRadius);
-    let atmoMask = select(0.0, 1.0, atmoHit.y >= 0.0);
     let planetMask = select(1.0, 0.0, planetHit.x > 0.0);
 
-    let tStart = max(0.0, atmoHit.x) * atmoMask;
-    let tEnd = atmoHit.y * atmoMask;
-    let marchLength = max(tEnd - tStart, 0.0);
-
-    let numSteps = i32(uniforms.numSamples);
-    let stepSize = marchLength / max(uniforms.numSamples, 1.0);
-
-    var inscatter = vec3<f32>(0.0);
-    var transmittance = vec3<f32>(1.0);
-
-    let cosTheta = dot(rayDir, uniforms.sunDirection);
-    let phaseR = rayleighPhase(cosTheta);
-    let phaseM = miePhase(cosTheta, uniforms.mieAnisotropy);
-
-    for (var i: i32 = 0; i < numSteps; i++) {
-        let t = tStart + (f32(i) + 0.5) * stepSize;
-        let samplePos = rayOrigin + rayDir * t;
-        let sampleAltitude = length(samplePos - uniforms.planetCenter) - uniforms.planetRadius;
-
-        let sampleMask = select(0.0, 1.0, sampleAltitude >= 0.0);
-
-        let density = getDensity(sampleAltitude);
-
-        let upAtSample = normalize(samplePos - uniforms.planetCenter);
-        let cosSunZenith = dot(uniforms.sunDirection, upAtSample);
-        let sunVisibility = max(cosSunZenith, 0.0);
-        let sunTransmittance = sampleTransmittance(sampleAltitude, cosSunZenith) * sunVisibility;
+    // The LUT pass keeps the viewer inside the atmosphere shell; match it
+    let toViewer = rayOrigin - uniforms.planetCenter;
+    let viewRadius = clamp(length(toViewer), uniforms.planetRadius + 1.0, uniforms.atmosphereRadius - 1.0);
+    let lutUV = lut_skyViewUV(rayDir, normalize(toViewer), uniforms.sunDirection, viewRadius, uniforms.planetRadius);
+    let inscatter = textureSampleLevel(skyViewLUT, skyViewSampler, lutUV, 0.0).rgb;
 
-        let scatterR = uniforms.rayleighScattering * density.x * phaseR;
-        let scatterM = vec3<f32>(uniforms.mieScattering * density.y * phaseM);
-
-        let scatterContrib = (scatterR + scatterM) * sunTransmittance * sunVisibility * stepSize * sampleMask;
-        inscatter += transmittance * scatterContrib;
-
-        let extinctionR = uniforms.rayleighScattering * density.x * sampleMask;
-        let extinctionM = vec3<f32>(uniforms.mieScattering * density.y * 1.1 * sampleMask);
-        transmittance *= exp(-(extinctionR + extinctionM) * stepSize);
-    }
-
-    var skyColor = inscatter * uniforms.sunIntensity * atmoMask * planetMask;
+    var skyColor = inscatter * uniforms.sunIntensity * uniforms.hasLUT * planetMask;
 
     let altitudeFade = smoothstep(15000.0, 50000.0, uniforms.viewerAltitude);
     skyColor *= (1.0 - altitudeFade);
@@ -431,7 +384,8 @@ fn main(input: VertexOutput) -> @location(0) vec4<f32> {
     let sunAlt = clamp(uniforms.sunDirection.y * 0.5 + 0.5, 0.0, 1.0);
     let horizonColor = mix(vec3<f32>(0.6, 0.7, 0.8), vec3<f32>(0.9, 0.6, 0.3), 1.0 - sunAlt);
     let zenithColor = mix(vec3<f32>(0.15, 0.25, 0.6), vec3<f32>(0.4, 0.5, 0.7), sunAlt);
-    let gradT = pow(clamp(1.0 - input.uv.y, 0.0, 1.0), 2.0);
+    let gradUv = select(input.uv.y, rayDir.y * 0.5 + 0.5, uniforms.equirect > 0.5);
+    let gradT = pow(clamp(1.0 - gradUv, 0.0, 1.0), 2.0);
     let gradientSky = mix(zenithColor, horizonColor, gradT);
 
     // Always keep a gradient floor so the sky is never flat white
@@ -477,19 +431,14 @@ uniform vec3 sunDirection;
 uniform vec3 planetCenter;
 uniform float planetRadius;
 uniform float atmosphereRadius;
-uniform float scaleHeightRayleigh;
-uniform float scaleHeightMie;
-uniform float mieAnisotropy;
-uniform vec3 rayleighScattering;
-uniform float mieScattering;
 uniform float sunIntensity;
-uniform int numSamples;
 uniform mat4 invViewProjMatrix;
 uniform float hasLUT;
+uniform float equirect;
 
-uniform sampler2D transmittanceLUT;
+uniform sampler2D skyViewLUT;
 
-const float PI = 3.14159265359;
+${ATMOSPHERE_LUT_SAMPLING_GLSL}
 
 vec2 raySphereIntersect(vec3 origin, vec3 dir, vec3 center, float radius) {
     vec3 oc = origin - center;
@@ -506,42 +455,17 @@ vec2 raySphereIntersect(vec3 origin, vec3 dir, vec3 center, float radius) {
     return vec2(t1, t2);
 }
 
-float rayleighPhase(float cosTheta) {
-    return (3.0 / (16.0 * PI)) * (1.0 + cosTheta * cosTheta);
-}
-
-float miePhase(float cosTheta, float g) {
-    float g2 = g * g;
-    float num = (1.0 - g2);
-    float denom = 4.0 * PI * pow(1.0 + g2 - 2.0 * g * cosTheta, 1.5);
-    return num / max(denom, 0.0001);
-}
-
-vec2 getTransmittanceUV(float altitude, float cosTheta) {
-    float H = sqrt(max(0.0, atmosphereRadius * atmosphereRadius - planetRadius * planetRadius));
-    float rho = sqrt(max(0.0, (planetRadius + altitude) * (planetRadius + altitude) - planetRadius * planetRadius));
-    float u = clamp(rho / max(H, 0.001), 0.0, 1.0);
-    float r = planetRadius + altitude;
-    float dMin = atmosphereRadius - r;
-    float dMax = rho + H;
-    float cosT = clamp(cosTheta, -1.0, 1.0);
-    float d = dMin + (cosT * 0.5 + 0.5) * (dMax - dMin);
-    float v = clamp((d - dMin) / max(dMax - dMin, 0.001), 0.0, 1.0);
-    return vec2(u, v);
-}
-
-vec3 sampleTransmittance(float altitude, float cosTheta) {
-    vec2 uv = getTransmittanceUV(altitude, cosTheta);
-    return texture(transmittanceLUT, uv).rgb;
-}
-
-vec2 getDensity(float altitude) {
-    float densityR = exp(-max(0.0, altitude) / scaleHeightRayleigh);
-    float densityM = exp(-max(0.0, altitude) / scaleHeightMie);
-    return vec2(densityR, densityM);
+// Lat-long environment map: u = azimuth around +Y, v = elevation (up at uv.y = 1)
+vec3 equirectDirection(vec2 uv) {
+    float azimuth = (uv.x - 0.5) * 2.0 * LUT_PI;
+    float elevation = (uv.y - 0.5) * LUT_PI;
+    return vec3(cos(elevation) * sin(azimuth), sin(elevation), cos(elevation) * cos(azimuth));
 }
 
 vec3 getRayDirection(vec2 uv) {
+    if (equirect > 0.5) {
+        return equirectDirection(uv);
+    }
     vec4 ndc = vec4(uv.x * 2.0 - 1.0, uv.y * 2.0 - 1.0, 1.0, 1.0);
     vec4 worldPos = invViewProjMatrix * ndc;
     worldPos /= worldPos.w;
@@ -558,51 +482,11 @@ void main() {
         return;
     }
 
-    vec2 atmoHit = raySphereIntersect(rayOrigin, rayDir, planetCenter, atmosphereRadius);
-    if (atmoHit.y < 0.0) {
-        fragColor = vec4(0.0, 0.0, 0.0, 1.0);
-        return;
-    }
-
-    float tStart = max(0.0, atmoHit.x);
-    float tEnd = atmoHit.y;
-    float marchLength = tEnd - tStart;
-
-    float stepSize = marchLength / float(numSamples);
-
-    vec3 inscatter = vec3(0.0);
-    vec3 transmittance = vec3(1.0);
-
-    float cosTheta = dot(rayDir, sunDirection);
-    float phaseR = rayleighPhase(cosTheta);
-    float phaseM = miePhase(cosTheta, mieAnisotropy);
-
-    for (int i = 0; i < 64; i++) {
-        if (i >= numSamples) break;
-
-        float t = tStart + (float(i) + 0.5) * stepSize;
-        vec3 samplePos = rayOrigin + rayDir * t;
-        float sampleAltitude = length(samplePos - planetCenter) - planetRadius;
-
-        if (sampleAltitude < 0.0) continue;
-
-        vec2 density = getDensity(sampleAltitude);
-
-        vec3 upAtSample = normalize(samplePos - planetCenter);
-        float cosSunZenith = dot(sunDirection, upAtSample);
-        float sunVisibility = max(cosSunZenith, 0.0); // Only light-facing samples contribute
-        vec3 sunTransmittance = sampleTransmittance(sampleAltitude, cosSunZenith) * sunVisibility;
-
-        vec3 scatterR = rayleighScattering * density.x * phaseR;
-        vec3 scatterM = vec3(mieScattering * density.y * phaseM);
-
-        vec3 scatterContrib = (scatterR + scatterM) * sunTransmittance * sunVisibility * stepSize;
-        inscatter += transmittance * scatterContrib;
-
-        vec3 extinctionR = rayleighScattering * density.x;
-        vec3 extinctionM = vec3(mieScattering * density.y * 1.1);
-        transmittance *= exp(-(extinctionR + extinctionM) * stepSize);
-    }
+    // The LUT pass keeps the viewer inside the atmosphere shell; match it
+    vec3 toViewer = rayOrigin - planetCenter;
+    float viewRadius = clamp(length(toViewer), planetRadius + 1.0, atmosphereRadius - 1.0);
+    vec2 lutUV = lut_skyViewUV(rayDir, normalize(toViewer), sunDirection, viewRadius, planetRadius);
+    vec3 inscatter = hasLUT > 0.5 ? textureLod(skyViewLUT, lutUV, 0.0).rgb : vec3(0.0);
 
     vec3 skyColor = inscatter * sunIntensity;
 
@@ -613,7 +497,8 @@ void main() {
     float sunAlt = clamp(sunDirection.y * 0.5 + 0.5, 0.0, 1.0);
     vec3 horizonColor = mix(vec3(0.6, 0.7, 0.8), vec3(0.9, 0.6, 0.3), 1.0 - sunAlt);
     vec3 zenithColor = mix(vec3(0.15, 0.25, 0.6), vec3(0.4, 0.5, 0.7), sunAlt);
-    float gradT = pow(clamp(1.0 - vUv.y, 0.0, 1.0), 2.0);
+    float gradUv = equirect > 0.5 ? rayDir.y * 0.5 + 0.5 : vUv.y;
+    float gradT = pow(clamp(1.0 - gradUv, 0.0, 1.0), 2.0);
     vec3 gradientSky = mix(zenithColor, horizonColor, gradT);
 
     // Always keep a gradient floor so the sky is never flat white
@@ -629,7 +514,13 @@ void main() {
 
     dispose() {
         this.initialized = false;
+        if (this.environmentTarget) {
+            this.backend.deleteRenderTarget(this.environmentTarget);
+            this.environmentTarget.dispose();
+            this.environmentTarget = null;
+        }
         this.skyMaterial = null;
+        this.environmentMaterial = null;
         this.fullscreenGeometry = null;
     }
 
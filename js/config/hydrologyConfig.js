@@ -0,0 +1,30 @@
+/**
+ * Planetary hydrology pass (HydrologyMap, WaterMeshManager).
+ *
+ * The pass runs on a cube-sphere grid of `faceResolution` cells along each
+ * face edge. Heights and depths are chunk height units (ChunkData.heights,
+ * before heightScale); widths and bank widths are tiles. The terrain noise
+ * is rough at the cell spacing (at 128 cells per face the largest catchment
+ * of the default seed is 7 cells), so the grid is fine and the river
+ * threshold low; a build takes several seconds once per planet.
+ *
+ * A cell becomes river once `riverThreshold` cells drain through it; width
+ * and depth grow with the square root of the drained area up to their max.
+ * Filled basins become lakes when they are at least `minLakeDepth` deep and
+ * `minLakeCells` cells large, otherwise rivers run straight through them.
+ */
+
+export const HYDROLOGY_CONFIG = {
+    faceResolution: 512,
+
+    riverThreshold: 16,
+    riverWidth: { min: 2.0, max: 16.0 },
+    riverDepth: { min: 0.05, max: 0.5 },
+    bankWidth: 4.0,
+
+    minLakeDepth: 0.1,
+    minLakeCells: 3,
+
+    // Surface speed for the water shader: min + slope * perSlope, clamped to max
+    flowSpeed: { min: 0.3, max: 2.5, perSlope: 20.0 }
+};
@@ -0,0 +1,149 @@
+/**
+ * Default action map for InputActionMap.
+ *
+ * `axis` actions are held values in -1..1 (the strongest binding wins);
+ * `delta` actions are per-frame amounts in screen pixels (bindings add up,
+ * held keys and sticks contribute `scale` pixels per second, 600 by default); `button` actions are
+ * 0/1 with a `pressed` edge on the frame they go down.
+ *
+ * Binding devices:
+ *   keyboard - `code` (button), or `positive`/`negative` codes (axis)
+ *   mouse    - `button` (button), or `axis` 'x' | 'y' | 'wheel' (delta),
+ *              optionally only while `whileButton` is held
+ *   gamepad  - `axis` index, `button` index, or `positiveButton`/`negativeButton`
+ *              (standard mapping: 0-1 left stick, 2-3 right stick, 6/7 triggers)
+ *   touch    - `control` 'leftStick' | 'drag' | 'pinch' and `axis` 'x' | 'y'
+ * Any binding can set `invert` and `scale`.
+ *
+ * `settings` shape analog sources (gamepad sticks/triggers, the touch
+ * stick): values inside `deadZone` read 0, the rest is rescaled to 0..1,
+ * raised to `exponent` and multiplied by `sensitivity`.
+ */
+
+export const INPUT_BINDINGS_STORAGE_KEY = 'spaceship.inputBindings';
+
+const STICK = { deadZone: 0.15, exponent: 1.5, sensitivity: 1.0 };
+
+export const DEFAULT_INPUT_ACTIONS = {
+    // Flight (follow camera)
+    throttle: {
+        type: 'axis',
+        settings: { ...STICK, exponent: 1.0 },
+        bindings: [
+            { device: 'keyboard', positive: 'KeyW', negative: 'KeyS' },
+            { device: 'gamepad', positiveButton: 7, negativeButton: 6 },
+            { device: 'touch', control: 'leftStick', axis: 'y', invert: true }
+        ]
+    },
+    yaw: {
+        type: 'axis',
+        settings: STICK,
+        bindings: [
+            { device: 'keyboard', positive: 'KeyD', negative: 'KeyA' },
+            { device: 'gamepad', axis: 0 },
+            { device: 'touch', control: 'leftStick', axis: 'x' }
+        ]
+    },
+    pitch: {
+        type: 'axis',
+        settings: STICK,
+        bindings: [
+            { device: 'keyboard', positive: 'KeyX', negative: 'KeyZ' },
+            { device: 'gamepad', axis: 1 }
+        ]
+    },
+    vertical: {
+        type: 'axis',
+        settings: STICK,
+        bindings: [
+            { device: 'keyboard', positive: 'KeyE', negative: 'KeyQ' },
+            { device: 'gamepad', positiveButton: 5, negativeButton: 4 }
+        ]
+    },
+    toggleHover: {
+        type: 'button',
+        bindings: [
+            { device: 'keyboard', code: 'KeyH' },
+            { device: 'gamepad', button: 3 }
+        ]
+    },
+
+    // Free camera
+    moveForward: {
+        type: 'axis',
+        settings: STICK,
+        bindings: [
+            { device: 'keyboard', positive: 'KeyW', negative: 'KeyS' },
+            { device: 'gamepad', axis: 1, invert: true },
+            { device: 'touch', control: 'leftStick', axis: 'y', invert: true }
+        ]
+    },
+    moveRight: {
+        type: 'axis',
+        settings: STICK,
+        bindings: [
+            { device: 'keyboard', positive: 'KeyD', negative: 'KeyA' },
+            { device: 'gamepad', axis: 0 },
+            { device: 'touch', control: 'leftStick', axis: 'x' }
+        ]
+    },
+    moveUp: {
+        type: 'axis',
+        settings: STICK,
+        bindings: [
+            { device: 'keyboard', positive: 'KeyE', negative: 'KeyQ' },
+            { device: 'gamepad', positiveButton: 5, negativeButton: 4 }
+        ]
+    },
+    boost: {
+        type: 'button',
+        bindings: [
+            { device: 'keyboard', code: 'ShiftLeft' },
+            { device: 'keyboard', code: 'ShiftRight' },
+            { device: 'gamepad', button: 10 }
+        ]
+    },
+
+    // Camera look (free camera) and orbit (follow camera)
+    lookX: {
+        type: 'delta',
+        settings: STICK,
+        bindings: [
+            { device: 'mouse', axis: 'x', whileButton: 0 },
+            { device: 'gamepad', axis: 2 },
+            { device: 'touch', control: 'drag', axis: 'x' }
+        ]
+    },
+    lookY: {
+        type: 'delta',
+        settings: STICK,
+        bindings: [
+            { device: 'mouse', axis: 'y', whileButton: 0 },
+            { device: 'gamepad', axis: 3 },
+            { device: 'touch', control: 'drag', axis: 'y' }
+        ]
+    },
+    zoom: {
+        type: 'delta',
+        bindings: [
+            { device: 'mouse', axis: 'wheel' },
+            { device: 'gamepad', positiveButton: 13, negativeButton: 12 },
+            { device: 'touch', control: 'pinch', axis: 'x', invert: true, scale: 4 }
+        ]
+    },
+
+    // Game
+    toggleCamera: {
+        type: 'button',
+        bindings: [
+            { device: 'keyboard', code: 'KeyV' },
+            { device: 'gamepad', button: 8 }
+        ]
+    },
+    toggleRecording: {
+        type: 'button',
+        bindings: [
+            { device: 'keyboard', code: 'F9' }
+        ]
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Orbital planet bake (PlanetSurfaceBaker, OrbitalSphereRenderer).
+ *
+ * `faceSize` is the texel count along each edge of a cube face in the baked
+ * albedo, normal and height maps; `meshSegments` the grid quads along each
+ * face edge of the displaced orbital mesh.
+ *
+ * Albedo takes each tile's summer base colour from the procedural texture
+ * config; `tileColors` covers tiles without one (hex, keyed by tile id).
+ */
+
+import { TILE_TYPES } from '../types.js';
+
+export const ORBITAL_BAKE_CONFIG = {
+    faceSize: 128,
+    meshSegments: 48,
+    tileColors: {
+        [TILE_TYPES.SAND]: '#c9b27c',
+        [TILE_TYPES.TREE]: '#3d6b25',
+        [TILE_TYPES.FOREST_FLOOR]: '#4a5a2a',
+        [TILE_TYPES.SWAMP]: '#4b5a3a',
+        [TILE_TYPES.DIRT]: '#7a5c3a'
+    },
+    defaultColor: '#808080'
+};
@@ -0,0 +1,51 @@
+/**
+ * Road and trail network (RoadNetwork).
+ *
+ * Each `regionChunks` x `regionChunks` block of chunks gets at most one
+ * settlement, placed on the flattest dry spot of `siteAttempts` seeded
+ * candidates. A settlement links to its `linksPerSite` nearest neighbours
+ * within `maxLinkDistance`, each link routed by A* over a lattice of
+ * `gridStep` tiles. Heights are chunk height units (before heightScale) and
+ * widths are tiles. Grades are rendered rise over run in world units: height
+ * times renderHeightScale / generationHeightScale over the tile's world
+ * length (one unit on flat worlds, the face arc over its tiles on a planet).
+ * The terrain is steep at tile scale (the median 8-tile grade is about 7),
+ * so the limits sit far above road-engineering values.
+ *
+ * A step costs length * (1 + slopeCost * grade^2); steps steeper than
+ * `maxGrade` are impassable. Roads keep to `seaLevel + shoreMargin` or
+ * above: water up to `maxFordDepth` deep is crossed on a raised causeway at
+ * `fordCost` times the cost, deeper water is impassable.
+ */
+
+export const ROAD_CONFIG = {
+    regionChunks: 4,
+    siteChance: 0.85,
+    siteAttempts: 16,
+    siteMaxSlope: 15.0,
+    siteMinElevation: 0.5,
+
+    linksPerSite: 2,
+    maxLinkDistance: 800,
+
+    gridStep: 8,
+    searchMargin: 96,
+    slopeCost: 0.008,
+    maxGrade: 30.0,
+    shoreMargin: 0.3,
+    maxFordDepth: 3.0,
+    fordCost: 6.0,
+
+    // Resampled route spacing and the along-road height smoothing window (in points)
+    pointSpacing: 2.0,
+    gradeSmoothing: 6,
+
+    roadWidth: 4.0,
+    shoulderWidth: 3.0,
+    // Cross slope per unit of curvature (1 / turn radius in tiles), clamped to maxBank
+    bankPerCurvature: 4.0,
+    maxBank: 0.08,
+
+    // Routes kept in memory; older ones are recomputed on demand
+    routeCacheSize: 128
+};
@@ -0,0 +1,70 @@
+/**
+ * Shadow atlas for point and spot lights (LocalLightShadowRenderer).
+ *
+ * The atlas is one square depth texture cut into `tileSize` tiles. A spot
+ * light takes one tile, a point light six (one per cube face). Each update
+ * the lights with `castShadow` are ranked by how much they matter to the
+ * camera and given tiles until `maxShadowedLights` or the tiles run out;
+ * the rest light unshadowed. The whole atlas is re-rendered every
+ * `updateInterval` frames.
+ *
+ * `depthBias` is a fraction of the receiver's light-space depth; the
+ * normal offset is `normalBias` texels of the tile at the receiver's
+ * distance.
+ */
+
+export const LOCAL_LIGHT_SHADOW_CONFIG = {
+    atlasSize: 4096,
+    tileSize: 512,
+    maxShadowedLights: 8,
+    updateInterval: 2,
+    nearPlane: 0.1,
+    depthBias: 0.01,
+    normalBias: 1.5
+};
+
+export const ShadowFilter = {
+    HARD: 0,
+    PCF: 1,
+    PCSS: 2
+};
+
+/**
+ * Sun shadows (CascadedShadowMapRenderer).
+ *
+ * Cascades cover view depth slices up to `maxShadowDistance`. Split
+ * schemes: 'log', 'linear', 'pssm' (log/linear blend by `splitLambda`) or
+ * 'manual' (`cascadeSplits`, far distance of each cascade). Each cascade is
+ * the bounding sphere of its slice, snapped to whole texels in light space,
+ * so its projection neither resizes nor slides as the camera turns and moves.
+ *
+ * The last `cachedCascades` cascades are fitted `cacheMargin` larger and
+ * only re-rendered when the camera's slice leaves them, the sun turns more
+ * than `sunUpdateThreshold` degrees or the terrain chunks under them change.
+ *
+ * Receivers cross-fade into the next cascade over the last `blendBand`
+ * fraction of a cascade's depth range. `filter` is a ShadowFilter; PCF
+ * taps over `pcfRadius` texels, PCSS widens that with the blocker
+ * distance for a sun of `sunAngularRadius` degrees. `depthBias` is in
+ * world units along the sun direction, `normalBias` in texels of the
+ * receiver's cascade.
+ */
+export const CASCADED_SHADOW_CONFIG = {
+    numCascades: 3,
+    shadowMapSize: 2048,
+    splitScheme: 'pssm',
+    splitLambda: 0.75,
+    cascadeSplits: [30, 90, 200],
+    maxShadowDistance: 200,
+    // Casters this far towards the sun beyond a cascade's sphere still land in it
+    casterDistance: 400,
+    cachedCascades: 1,
+    cacheMargin: 0.25,
+    sunUpdateThreshold: 0.25,
+    blendBand: 0.15,
+    filter: ShadowFilter.PCF,
+    pcfRadius: 1.5,
+    sunAngularRadius: 0.27,
+    depthBias: 0.05,
+    normalBias: 1.0
+};
@@ -0,0 +1,31 @@
+/**
+ * Procedural tree LODs (TreeGeometryGenerator, FeatureMeshManager).
+ *
+ * LOD 0 is the full branch structure with twigs, LOD 1 a reduced mesh with
+ * fewer, larger leaf cards, LOD 2 an octahedral impostor and LOD 3 removal.
+ * `lodDistances[i]` is where LOD i hands over to LOD i + 1. Each mesh
+ * detail caps its branch tubes, twigs and leaf cards, which keeps LOD 0
+ * under roughly 16k vertices per tree whatever the species asks for.
+ *
+ * Each species has `variantsPerSpecies` shapes; a feature's shapeSeed picks
+ * one, so every shape's impostor fits in the PROP atlas. An impostor is a
+ * `framesPerSide` x `framesPerSide` grid of views over the upper hemisphere
+ * (hemi-octahedral), albedo and normal each taking one atlas slot.
+ */
+
+export const TREE_LOD_CONFIG = {
+    lodDistances: [60, 150, 800],
+    variantsPerSpecies: 3,
+
+    meshDetail: [
+        { radialSegments: 8, lengthSegments: 5, maxLevel: Infinity, maxBranches: 160, twigs: true, maxTwigs: 600, leafFraction: 1.0, maxLeafCards: 1500 },
+        { radialSegments: 4, lengthSegments: 2, maxLevel: 2, maxBranches: 40, twigs: false, maxTwigs: 0, leafFraction: 0.25, maxLeafCards: 400 }
+    ],
+
+    impostor: {
+        framesPerSide: 8,
+        alphaCutoff: 0.5,
+        fallbackBarkColor: '#5a4632',
+        fallbackLeafColor: '#3f6b2a'
+    }
+};
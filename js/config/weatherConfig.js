@@ -0,0 +1,97 @@
+/**
+ * Weather state machine for WeatherSystem.
+ *
+ * Each weather cell holds one state for a random duration, then picks the
+ * next state from `transitions[current]` (relative weights). A season entry
+ * replaces the rows it lists for that season. Biome entries then scale
+ * (`multiply`) or add to (`add`) the weights of the target states, using the
+ * biome under the cell. Durations are simulation seconds.
+ *
+ * `accumulation` drives EnvironmentState's ground wetness and snow cover,
+ * which the terrain and streamed-feature shaders read.
+ */
+
+export const WEATHER_TYPES = ['clear', 'rain', 'storm', 'foggy', 'snow'];
+
+export const DEFAULT_WEATHER_CONFIG = {
+    states: {
+        clear: { intensity: [0.0, 0.0], duration: [120, 300] },
+        rain: { intensity: [0.6, 0.8], duration: [90, 240] },
+        storm: { intensity: [0.8, 1.0], duration: [60, 150] },
+        foggy: { intensity: [0.3, 0.6], duration: [60, 180] },
+        snow: { intensity: [0.4, 0.8], duration: [120, 300] }
+    },
+
+    transitions: {
+        clear: { clear: 0.5, rain: 0.25, foggy: 0.25 },
+        rain: { storm: 0.3, clear: 0.7 },
+        storm: { rain: 0.6, clear: 0.4 },
+        foggy: { clear: 1.0 },
+        snow: { clear: 1.0 }
+    },
+
+    seasons: {
+        Winter: {
+            clear: { snow: 0.4, clear: 0.3, rain: 0.15, foggy: 0.15 },
+            foggy: { snow: 0.5, clear: 0.5 }
+        }
+    },
+
+    // Keys are BiomeRegistry biome names ('ocean' below sea level) and
+    // latitude bands; a cell uses the biome under its centre and its band.
+    // Without terrain to sample, the planet's biome preset
+    // (PlanetConfig.biomes) replaces the biome.
+    biomes: {
+        // Default registry
+        grassland: {},
+        rock: { multiply: { foggy: 1.3 } },
+        tundra: { multiply: { rain: 0.4, storm: 0.2 }, add: { snow: 0.2 } },
+        // Desert registry
+        dunes: { multiply: { rain: 0.2, storm: 0.3, foggy: 0.1, snow: 0 } },
+        mesa: { multiply: { rain: 0.3, storm: 0.4, foggy: 0.2, snow: 0 } },
+        oasis: { multiply: { rain: 0.6, snow: 0 }, add: { foggy: 0.1 } },
+        // Tundra registry
+        steppe: { multiply: { rain: 0.7, storm: 0.5 }, add: { snow: 0.1 } },
+        scree: { multiply: { rain: 0.5, storm: 0.3 }, add: { snow: 0.3 } },
+        ocean: { multiply: { storm: 1.4, foggy: 1.5 } },
+
+        // Presets, used when there is no terrain to sample
+        default: {},
+        desert: { multiply: { rain: 0.25, storm: 0.3, foggy: 0.2, snow: 0 } },
+
+        tropical: { multiply: { rain: 1.5, storm: 1.5, snow: 0 } },
+        temperate: {},
+        polar: { multiply: { rain: 0.3, storm: 0.2, snow: 2.0 } }
+    },
+
+    // Latitude band limits in degrees (flat worlds are temperate)
+    latitudeBands: { tropical: 23, polar: 60 },
+
+    cells: {
+        count: 48,
+        // Angular radius on spherical planets (radians)
+        radius: [0.2, 0.45],
+        // Radius and wrap-around extent on flat terrain (meters)
+        flatRadius: [1500, 4000],
+        flatExtent: 24000,
+        // Cells travel this many times faster than the surface wind
+        driftScale: 20,
+        // Seconds for a cell's intensity to reach a new target
+        rampTime: 30
+    },
+
+    // Ground wetness and snow cover (0..1) at the camera. Rates are per
+    // simulation second at full intensity.
+    accumulation: {
+        wetRate: { rain: 1 / 120, storm: 1 / 60, snow: 0, foggy: 1 / 1800 },
+        dryRate: 1 / 900,
+        snowRate: 1 / 600,
+        meltRate: 1 / 1200,
+        // Melt (and drying) multiplier per season
+        seasonMelt: { Winter: 0.05, Spring: 1.5, Summer: 3.0, Autumn: 1.0 },
+        // Rain melts snow this many times faster
+        rainMelt: 4.0,
+        // Fraction of the melted snow that ends up as wetness
+        meltWetness: 0.5
+    }
+};
@@ -1,8 +1,17 @@
 // Updated EnvironmentState.js - Optimized version
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { SeededRandom } from '../seededRandom.js';
+import { WeatherSystem } from './WeatherSystem.js';
+import { DEFAULT_WEATHER_CONFIG } from '../config/weatherConfig.js';
 
 export class EnvironmentState {
-    constructor(gameTime, planetConfig = null) {
+    /**
+     * @param {GameTime} gameTime - simulation clock; thunder timing runs on it
+     * @param {PlanetConfig} planetConfig - its seed seeds the weather RNG
+     * @param {Object} options - seed overrides the planet seed; weatherConfig,
+     *        terrain, seaLevel and biomeResolver are handed to the WeatherSystem
+     */
+    constructor(gameTime, planetConfig = null, options = {}) {
         this.gameTime = gameTime;
         this.planetConfig = planetConfig;
         this.windDirection = new THREE.Vector2(1, 0);
@@ -10,9 +19,22 @@ export class EnvironmentState {
         this.targetWindDirection = new THREE.Vector2(1, 0);
         this.targetWindSpeed = 5.0;
 
+        // Local weather at the camera, sampled from the weather cells
         this.currentWeather = 'clear';
         this.weatherIntensity = 0;
         this.targetWeatherIntensity = 0;
+        this._localWeather = { weather: 'clear', intensity: 0, cell: null };
+        this._cameraPosition = new THREE.Vector3();
+        this._lastWeatherTime = gameTime?.elapsedMs ?? 0;
+
+        // 0..1 ground wetness and snow cover at the camera, built up and
+        // melted over simulation time (weatherConfig.accumulation)
+        this.groundWetness = 0;
+        this.snowAccumulation = 0;
+        this.accumulationConfig = {
+            ...DEFAULT_WEATHER_CONFIG.accumulation,
+            ...(options.weatherConfig?.accumulation || {})
+        };
         
         this.sunLightColor = new THREE.Color(0xffffff);
         this.sunLightIntensity = 1;
@@ -38,8 +60,19 @@ export class EnvironmentState {
         this.weatherMultiplier = 1.0;
         this.humidity = 0.5;
         
-        this.nextThunderTime = Date.now();
-        this._rnd = Math.random;
+        // Weather, wind and lightning draw from separate streams of one seed,
+        // so the same seed replays the same sequence of each
+        this.seed = options.seed ?? planetConfig?.seed ?? 0;
+        this.setSeed(this.seed);
+        this.weatherSystem = new WeatherSystem(this.weatherRng, {
+            planetConfig,
+            config: options.weatherConfig,
+            terrain: options.terrain,
+            seaLevel: options.seaLevel,
+            biomeResolver: options.biomeResolver
+        });
+        // Simulation milliseconds (GameTime.elapsedMs)
+        this.nextThunderTime = 0;
 
         // NEW: Caching and throttling
         this._cachedSkyAmbient = new THREE.Color().setHSL(0.6, 0.6, 0.85);
@@ -85,12 +118,95 @@ export class EnvironmentState {
         this.playerLight.position.set(0, 2, 0);
     }
 
-    setPlanetConfig(planetConfig) {
+    /**
+     * @param {CPUTerrainGenerator} [terrain] - the new planet's terrain, for
+     *        the biomes under the weather cells; the old one is kept if omitted
+     */
+    setPlanetConfig(planetConfig, terrain = this.weatherSystem.terrain) {
         this.planetConfig = planetConfig;
+        // New planet, new cells: re-seeding scatters them, otherwise do it here
+        this.weatherSystem.planetConfig = planetConfig;
+        this.weatherSystem.terrain = terrain;
+        if (planetConfig && planetConfig.seed !== this.seed) {
+            this.setSeed(planetConfig.seed);
+        } else {
+            this.weatherSystem.reset(this.weatherRng);
+        }
+    }
+
+    /**
+     * Restart the weather, wind and lightning sequences from a seed.
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        const rng = new SeededRandom(seed);
+        this.weatherRng = rng.fork('weather');
+        this.windRng = rng.fork('wind');
+        this.lightningRng = rng.fork('lightning');
+        this.nextThunderTime = 0;
+        this.weatherSystem?.reset(this.weatherRng);
+    }
+
+    getRandomState() {
+        return {
+            seed: this.seed,
+            weather: this.weatherRng.getState(),
+            wind: this.windRng.getState(),
+            lightning: this.lightningRng.getState(),
+            nextThunderTime: this.nextThunderTime,
+            weatherCells: this.weatherSystem.getState()
+        };
+    }
+
+    setRandomState(state) {
+        if (state.seed !== undefined) this.setSeed(state.seed);
+        if (state.weather !== undefined) this.weatherRng.setState(state.weather);
+        if (state.wind !== undefined) this.windRng.setState(state.wind);
+        if (state.lightning !== undefined) this.lightningRng.setState(state.lightning);
+        this.nextThunderTime = state.nextThunderTime ?? this.nextThunderTime;
+        if (state.weatherCells) this.weatherSystem.setState(state.weatherCells);
+    }
+
+    /**
+     * Everything update() carries from one frame to the next (random
+     * streams, wind, local weather, accumulation, throttle counter), so a
+     * flight replay can jump to a keyframe and continue identically.
+     */
+    getSimulationState() {
+        return {
+            random: this.getRandomState(),
+            frameCount: this._frameCount,
+            lastWeatherTime: this._lastWeatherTime,
+            windDirection: this.windDirection.toArray(),
+            windSpeed: this.windSpeed,
+            targetWindDirection: this.targetWindDirection.toArray(),
+            targetWindSpeed: this.targetWindSpeed,
+            currentWeather: this.currentWeather,
+            weatherIntensity: this.weatherIntensity,
+            targetWeatherIntensity: this.targetWeatherIntensity,
+            groundWetness: this.groundWetness,
+            snowAccumulation: this.snowAccumulation,
+            weatherMultiplier: this.weatherMultiplier,
+            thunderLightIntensity: this.thunderLightIntensity
+        };
+    }
+
+    setSimulationState(state) {
+        if (state.random) this.setRandomState(state.random);
+        this._frameCount = state.frameCount ?? this._frameCount;
+        this._lastWeatherTime = state.lastWeatherTime ?? this._lastWeatherTime;
+        if (state.windDirection) this.windDirection.fromArray(state.windDirection);
+        if (state.targetWindDirection) this.targetWindDirection.fromArray(state.targetWindDirection);
+        for (const key of ['windSpeed', 'targetWindSpeed', 'currentWeather', 'weatherIntensity', 'targetWeatherIntensity',
+            'groundWetness', 'snowAccumulation', 'weatherMultiplier', 'thunderLightIntensity']) {
+            if (state[key] !== undefined) this[key] = state[key];
+        }
     }
 
     update(gameState) {
         this._frameCount++;
+        const cameraPosition = gameState?.camera?.position;
+        if (cameraPosition) this._cameraPosition.copy(cameraPosition);
         
         // Always update lighting (relatively cheap)
         this.updateLighting(gameState);
@@ -152,18 +268,18 @@ export class EnvironmentState {
     }
 
     updateWind() {
-        if (Math.random() < 0.03) { // Increased from 0.001 since we check less often
-            const angle = Math.random() * Math.PI * 2;
+        if (this.windRng.next() < 0.03) { // Increased from 0.001 since we check less often
+            const angle = this.windRng.next() * Math.PI * 2;
             this.targetWindDirection.set(Math.cos(angle), Math.sin(angle));
 
             if (this.currentWeather === 'storm') {
-                this.targetWindSpeed = 15.0 + Math.random() * 10.0;
+                this.targetWindSpeed = 15.0 + this.windRng.next() * 10.0;
             } else if (this.currentWeather === 'rain') {
-                this.targetWindSpeed = 8.0 + Math.random() * 5.0;
+                this.targetWindSpeed = 8.0 + this.windRng.next() * 5.0;
             } else if (this.currentWeather === 'clear') {
-                this.targetWindSpeed = 3.0 + Math.random() * 4.0;
+                this.targetWindSpeed = 3.0 + this.windRng.next() * 4.0;
             } else {
-                this.targetWindSpeed = 5.0 + Math.random() * 3.0;
+                this.targetWindSpeed = 5.0 + this.windRng.next() * 3.0;
             }
         }
 
@@ -339,70 +455,65 @@ export class EnvironmentState {
     }
 
     updateWeather(gameState) {
-        if (this._rnd() < 0.006) { // Adjusted for less frequent checks
-            const season = this.gameTime.getSeason();
-            const weathers = ['clear', 'rain', 'storm', 'foggy'];
-            if (season === 'Winter') weathers.push('snow');
-    
-            let newWeather;
-    
-            if (this.currentWeather === 'clear') {
-                if (season === 'Winter') {
-                    const roll = this._rnd();
-                    newWeather = roll < 0.4 ? 'snow' : (roll < 0.7 ? 'clear' : (roll < 0.85 ? 'rain' : 'foggy'));
-                    // Winter: 40% snow, 30% stays clear, 15% rain, 15% foggy
-                } else {
-                    const roll = this._rnd();
-                    newWeather = roll < 0.5 ? 'clear' : (roll < 0.75 ? 'rain' : 'foggy');
-                    // Non-winter: 50% stays clear, 25% rain, 25% foggy
-                }
-            } else if (this.currentWeather === 'rain') {
-                newWeather = this._rnd() < 0.3 ? 'storm' : 'clear';
-            } else if (this.currentWeather === 'storm') {
-                newWeather = this._rnd() < 0.6 ? 'rain' : 'clear';
-            } else if (this.currentWeather === 'foggy') {
-                // Foggy clears faster
-                if (season === 'Winter') {
-                    newWeather = this._rnd() < 0.5 ? 'snow' : 'clear';
-                } else {
-                    newWeather = 'clear'; // Always clears to clear (not to another weather)
-                }
-            } else if (this.currentWeather === 'snow') {
-                newWeather = 'clear';
-            }
-    
-            this.currentWeather = newWeather || 'clear';
-        }
-    
-        // Set target intensity
-        if (this.currentWeather === 'clear') {
-            this.targetWeatherIntensity = 0;
-        } else if (this.currentWeather === 'rain') {
-            this.targetWeatherIntensity = 0.6 + this._rnd() * 0.2;
-        } else if (this.currentWeather === 'storm') {
-            this.targetWeatherIntensity = 0.8 + this._rnd() * 0.2;
-        } else if (this.currentWeather === 'foggy') {
-            // REDUCED: Was 0.5-0.8, now 0.3-0.6
-            this.targetWeatherIntensity = 0.3 + this._rnd() * 0.3;
-        } else if (this.currentWeather === 'snow') {
-            this.targetWeatherIntensity = 0.4 + this._rnd() * 0.4;
-        }
+        const now = this.gameTime.elapsedMs;
+        const deltaTime = (now - this._lastWeatherTime) / 1000;
+        this._lastWeatherTime = now;
+
+        this.weatherSystem.update(deltaTime, this.windDirection, this.windSpeed, this.gameTime.getSeason(), this._cameraPosition);
+        const local = this.weatherSystem.sample(this._cameraPosition, this._localWeather);
+        this.currentWeather = local.weather;
+        this.targetWeatherIntensity = local.intensity;
+        this.updateSurfaceAccumulation(deltaTime);
 
         // Thunder
         if (this.currentWeather === 'storm' && this.weatherIntensity > 0.5 && this.gameTime.getSeason() !== 'Winter') {
-            const now = Date.now();
             if (now > this.nextThunderTime) {
-                this.thunderLightIntensity = 2 + this._rnd() * 3 * this.weatherIntensity;
+                const lightning = this.lightningRng;
+                this.thunderLightIntensity = 2 + lightning.next() * 3 * this.weatherIntensity;
                 this.thunderLightPosition.set(
-                    (this._rnd() - 0.5) * 200,
-                    50 + this._rnd() * 50,
-                    (this._rnd() - 0.5) * 200
+                    (lightning.next() - 0.5) * 200,
+                    50 + lightning.next() * 50,
+                    (lightning.next() - 0.5) * 200
                 );
-                this.nextThunderTime = now + 5000 * (2 - this.weatherIntensity) + this._rnd() * 5000 * (2 - this.weatherIntensity);
+                this.nextThunderTime = now + 5000 * (2 - this.weatherIntensity) + lightning.next() * 5000 * (2 - this.weatherIntensity);
             }
         }
     }
 
+    /**
+     * Wet the ground under rain, pile up snow under snowfall, and dry / melt
+     * both again otherwise. Melt runs faster in warm seasons and in rain.
+     * @param {number} deltaTime - simulation seconds
+     */
+    updateSurfaceAccumulation(deltaTime) {
+        if (deltaTime <= 0) return;
+        const cfg = this.accumulationConfig;
+        const weather = this.currentWeather;
+        const intensity = this.weatherIntensity;
+        const seasonMelt = cfg.seasonMelt?.[this.gameTime.getSeason()] ?? 1.0;
+
+        let snow = this.snowAccumulation;
+        if (weather === 'snow') {
+            snow += cfg.snowRate * intensity * deltaTime;
+        } else {
+            const raining = weather === 'rain' || weather === 'storm';
+            const rainMelt = raining ? 1 + (cfg.rainMelt - 1) * intensity : 1;
+            snow -= cfg.meltRate * seasonMelt * rainMelt * deltaTime;
+        }
+        snow = THREE.MathUtils.clamp(snow, 0, 1);
+        const melted = Math.max(0, this.snowAccumulation - snow);
+        this.snowAccumulation = snow;
+
+        let wetness = this.groundWetness + melted * cfg.meltWetness;
+        const wetRate = cfg.wetRate?.[weather] ?? 0;
+        if (wetRate > 0 && intensity > 0) {
+            wetness += wetRate * intensity * deltaTime;
+        } else {
+            wetness -= cfg.dryRate * seasonMelt * deltaTime;
+        }
+        this.groundWetness = THREE.MathUtils.clamp(wetness, 0, 1);
+    }
+
     updateFog() {
         let fogDensity = this.baseFogDensity;
         const period = this.gameTime.getCurrentPeriod();
@@ -506,8 +617,13 @@ export class EnvironmentState {
         }
     }
 
+    /**
+     * Force weather at the camera. The covering weather cell is moved over
+     * the camera and switched, so the change persists and drifts on from there.
+     */
     setWeather(weather, intensity = null) {
         if (['clear', 'rain', 'storm', 'foggy', 'snow'].includes(weather)) {
+            this.weatherSystem.forceWeather(this._cameraPosition, weather, intensity);
             this.currentWeather = weather;
             if (intensity !== null) {
                 this.weatherIntensity = Math.max(0, Math.min(1, intensity));
@@ -516,11 +632,21 @@ export class EnvironmentState {
         }
     }
 
+    /**
+     * Weather at any world position (render frame, before the floating origin).
+     */
+    sampleWeather(worldPosition, target) {
+        return this.weatherSystem.sample(worldPosition, target);
+    }
+
     getWeatherInfo() {
         return {
             weather: this.currentWeather,
             intensity: this.weatherIntensity,
-            targetIntensity: this.targetWeatherIntensity
+            targetIntensity: this.targetWeatherIntensity,
+            groundWetness: this.groundWetness,
+            snowAccumulation: this.snowAccumulation,
+            cellId: this._localWeather.cell?.id ?? null
         };
     }
 
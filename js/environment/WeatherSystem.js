@@ -0,0 +1,341 @@
+// js/environment/WeatherSystem.js
+// Regional weather. The planet is covered by weather cells that each run
+// the transition table from weatherConfig.js and drift with the wind, over
+// the cube-sphere on planets or over a wrapped plane on flat terrain.
+// EnvironmentState samples the cells at the camera; the froxel clouds sample
+// them per column.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { DEFAULT_WEATHER_CONFIG, WEATHER_TYPES } from '../config/weatherConfig.js';
+
+const _poleAxis = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Overrides merged section by section, so a partial `states` or
+ * `transitions` table keeps the default entries it doesn't list. Season
+ * overrides merge per season; rows are replaced whole.
+ */
+function mergeWeatherConfig(overrides = {}) {
+    const config = { ...DEFAULT_WEATHER_CONFIG, ...overrides };
+    for (const section of ['states', 'transitions', 'biomes', 'latitudeBands', 'cells', 'accumulation']) {
+        config[section] = { ...DEFAULT_WEATHER_CONFIG[section], ...(overrides[section] || {}) };
+    }
+    config.seasons = { ...DEFAULT_WEATHER_CONFIG.seasons };
+    for (const [season, rows] of Object.entries(overrides.seasons || {})) {
+        config.seasons[season] = { ...(config.seasons[season] || {}), ...rows };
+    }
+    return config;
+}
+
+export class WeatherSystem {
+    /**
+     * @param {SeededRandom} rng - all cell placement and transitions draw from it
+     * @param {Object} options - planetConfig, config (weatherConfig overrides),
+     *        terrain (CPUTerrainGenerator the biome under a cell is sampled
+     *        from) with seaLevel (generation height units), and
+     *        biomeResolver(cell) returning biome names, which replaces the sampling
+     */
+    constructor(rng, options = {}) {
+        this.config = mergeWeatherConfig(options.config || {});
+        this.cellConfig = this.config.cells;
+        this.planetConfig = options.planetConfig || null;
+        this.biomeResolver = options.biomeResolver || null;
+        this.terrain = options.terrain || null;
+        this.seaLevel = options.seaLevel ?? 0;
+
+        this.cells = [];
+        this.season = null;
+
+        this._east = new THREE.Vector3();
+        this._north = new THREE.Vector3();
+        this._dir = new THREE.Vector3();
+
+        this.reset(rng);
+    }
+
+    get spherical() {
+        return !!this.planetConfig && this.planetConfig.radius > 0;
+    }
+
+    /**
+     * Scatter a fresh set of cells. Same rng state, same cells.
+     */
+    reset(rng) {
+        this.rng = rng;
+        this.cells = [];
+        const cfg = this.cellConfig;
+
+        for (let i = 0; i < cfg.count; i++) {
+            const cell = {
+                id: i,
+                // Unit direction from the planet center (spherical)
+                direction: new THREE.Vector3(),
+                // World x/z (flat)
+                position: new THREE.Vector2(),
+                radius: 0,
+                state: 'clear',
+                intensity: 0,
+                targetIntensity: 0,
+                remaining: 0
+            };
+
+            if (this.spherical) {
+                // Uniform on the sphere
+                const z = rng.range(-1, 1);
+                const phi = rng.range(0, Math.PI * 2);
+                const r = Math.sqrt(1 - z * z);
+                cell.direction.set(r * Math.cos(phi), z, r * Math.sin(phi));
+                cell.radius = rng.range(cfg.radius[0], cfg.radius[1]);
+            } else {
+                cell.position.set(
+                    rng.range(-0.5, 0.5) * cfg.flatExtent,
+                    rng.range(-0.5, 0.5) * cfg.flatExtent
+                );
+                cell.radius = rng.range(cfg.flatRadius[0], cfg.flatRadius[1]);
+            }
+
+            this._enterState(cell, this._chooseNextState(cell));
+            cell.intensity = cell.targetIntensity;
+            // Stagger the first transitions
+            cell.remaining *= rng.next();
+            this.cells.push(cell);
+        }
+    }
+
+    /**
+     * @param {number} deltaTime - simulation seconds
+     * @param {THREE.Vector2} windDirection - (east, north) on planets, (x, z) on flat terrain
+     * @param {number} windSpeed - m/s
+     * @param {string} season - GameTime.getSeason()
+     * @param {THREE.Vector3} focusPosition - world position flat cells wrap around
+     */
+    update(deltaTime, windDirection, windSpeed, season, focusPosition = null) {
+        if (deltaTime <= 0) return;
+        this.season = season;
+        const cfg = this.cellConfig;
+        const drift = windSpeed * cfg.driftScale * deltaTime;
+        const ramp = Math.min(1, deltaTime / cfg.rampTime);
+
+        for (const cell of this.cells) {
+            if (this.spherical) {
+                this._driftOnSphere(cell, windDirection, drift / this.planetConfig.radius);
+            } else {
+                cell.position.addScaledVector(windDirection, drift);
+                if (focusPosition) this._wrapAround(cell, focusPosition);
+            }
+
+            cell.remaining -= deltaTime;
+            if (cell.remaining <= 0) {
+                this._enterState(cell, this._chooseNextState(cell));
+            }
+            cell.intensity += (cell.targetIntensity - cell.intensity) * ramp;
+        }
+    }
+
+    _driftOnSphere(cell, windDirection, angle) {
+        const dir = cell.direction;
+        this._east.crossVectors(_poleAxis, dir);
+        if (this._east.lengthSq() < 1e-8) this._east.set(1, 0, 0);
+        this._east.normalize();
+        this._north.crossVectors(dir, this._east);
+
+        dir.addScaledVector(this._east, windDirection.x * angle)
+            .addScaledVector(this._north, windDirection.y * angle)
+            .normalize();
+    }
+
+    _wrapAround(cell, focusPosition) {
+        const extent = this.cellConfig.flatExtent;
+        const half = extent * 0.5;
+        const p = cell.position;
+        while (p.x - focusPosition.x > half) p.x -= extent;
+        while (p.x - focusPosition.x < -half) p.x += extent;
+        while (p.y - focusPosition.z > half) p.y -= extent;
+        while (p.y - focusPosition.z < -half) p.y += extent;
+    }
+
+    _enterState(cell, state) {
+        const def = this.config.states[state] || this.config.states.clear;
+        cell.state = state;
+        cell.targetIntensity = this.rng.range(def.intensity[0], def.intensity[1]);
+        cell.remaining = this.rng.range(def.duration[0], def.duration[1]);
+    }
+
+    /**
+     * Roll the next state from the transition table, with the season's
+     * overrides and the cell's biome weights applied.
+     */
+    _chooseNextState(cell) {
+        const seasonRows = this.config.seasons?.[this.season] || {};
+        const row = seasonRows[cell.state] || this.config.transitions[cell.state] || { clear: 1 };
+
+        const weights = {};
+        for (const type of WEATHER_TYPES) weights[type] = row[type] || 0;
+        for (const biomeName of this._getCellBiomes(cell)) {
+            const biome = this.config.biomes?.[biomeName];
+            if (!biome) continue;
+            for (const [type, factor] of Object.entries(biome.multiply || {})) {
+                weights[type] = (weights[type] || 0) * factor;
+            }
+            for (const [type, extra] of Object.entries(biome.add || {})) {
+                weights[type] = (weights[type] || 0) + extra;
+            }
+        }
+
+        let total = 0;
+        for (const type of WEATHER_TYPES) total += weights[type];
+        if (total <= 0) return 'clear';
+
+        let roll = this.rng.next() * total;
+        for (const type of WEATHER_TYPES) {
+            roll -= weights[type];
+            if (roll < 0) return type;
+        }
+        return 'clear';
+    }
+
+    /**
+     * Biome entries that weight a cell's transitions: the registry biome
+     * under the cell centre ('ocean' below sea level) and its latitude band.
+     * Without a terrain sampler the planet's biome preset stands in for the
+     * local biome.
+     */
+    _getCellBiomes(cell) {
+        if (this.biomeResolver) {
+            const resolved = this.biomeResolver(cell);
+            return Array.isArray(resolved) ? resolved : [resolved];
+        }
+
+        let band = 'temperate';
+        if (this.spherical) {
+            const bands = this.config.latitudeBands;
+            const latitude = THREE.MathUtils.radToDeg(Math.asin(Math.min(1, Math.abs(cell.direction.y))));
+            band = latitude >= bands.polar ? 'polar' : (latitude <= bands.tropical ? 'tropical' : 'temperate');
+        }
+
+        if (this.terrain) {
+            return [this._sampleBiome(cell), band];
+        }
+        const preset = typeof this.planetConfig?.biomes === 'string' ? this.planetConfig.biomes : 'default';
+        return [preset, band];
+    }
+
+    _sampleBiome(cell) {
+        const terrain = this.terrain;
+        let wx, wy, lat = 0.0;
+        if (this.spherical) {
+            const d = cell.direction;
+            [wx, wy, lat] = terrain.getSphereCoord(d.x, d.y, d.z);
+        } else {
+            // Flat terrain: world x/z are tile coordinates
+            wx = cell.position.x;
+            wy = cell.position.y;
+        }
+        if (terrain.sampleHeight(wx, wy) < this.seaLevel) return 'ocean';
+        return terrain.sampleBiome(wx, wy, lat).name;
+    }
+
+    /**
+     * 0..1 weight of a cell at a world position, 1 in its core and fading out
+     * over the outer half of its radius.
+     */
+    getCellWeight(cell, worldPosition) {
+        let distance;
+        if (this.spherical) {
+            this._dir.copy(worldPosition).sub(this.planetConfig.origin);
+            if (this._dir.lengthSq() < 1e-6) return 0;
+            this._dir.normalize();
+            distance = Math.acos(THREE.MathUtils.clamp(this._dir.dot(cell.direction), -1, 1));
+        } else {
+            const extent = this.cellConfig.flatExtent;
+            let dx = Math.abs(worldPosition.x - cell.position.x) % extent;
+            let dz = Math.abs(worldPosition.z - cell.position.y) % extent;
+            dx = Math.min(dx, extent - dx);
+            dz = Math.min(dz, extent - dz);
+            distance = Math.sqrt(dx * dx + dz * dz);
+        }
+        return 1 - THREE.MathUtils.smoothstep(distance, cell.radius * 0.5, cell.radius);
+    }
+
+    /**
+     * Local weather at a world position: the strongest cell covering it
+     * wins, its intensity scaled by how deep inside the cell the position is.
+     * @returns {{weather: string, intensity: number, cell: Object|null}}
+     */
+    sample(worldPosition, target = { weather: 'clear', intensity: 0, cell: null }) {
+        target.weather = 'clear';
+        target.intensity = 0;
+        target.cell = null;
+
+        let best = 0;
+        for (const cell of this.cells) {
+            if (cell.state === 'clear') continue;
+            const weight = this.getCellWeight(cell, worldPosition);
+            const strength = weight * cell.intensity;
+            if (strength > best) {
+                best = strength;
+                target.weather = cell.state;
+                target.intensity = strength;
+                target.cell = cell;
+            }
+        }
+        return target;
+    }
+
+    /**
+     * Put a cell in `weather` right over a world position (debug / scripted weather).
+     */
+    forceWeather(worldPosition, weather, intensity = null) {
+        let nearest = null;
+        let nearestWeight = -1;
+        for (const cell of this.cells) {
+            const weight = this.getCellWeight(cell, worldPosition);
+            if (weight > nearestWeight) {
+                nearest = cell;
+                nearestWeight = weight;
+            }
+        }
+        if (!nearest) return null;
+
+        if (this.spherical) {
+            this._dir.copy(worldPosition).sub(this.planetConfig.origin);
+            if (this._dir.lengthSq() > 1e-6) nearest.direction.copy(this._dir).normalize();
+        } else {
+            nearest.position.set(worldPosition.x, worldPosition.z);
+        }
+        this._enterState(nearest, weather);
+        if (intensity !== null) nearest.targetIntensity = THREE.MathUtils.clamp(intensity, 0, 1);
+        nearest.intensity = nearest.targetIntensity;
+        return nearest;
+    }
+
+    getState() {
+        return {
+            season: this.season,
+            cells: this.cells.map(cell => ({
+                direction: cell.direction.toArray(),
+                position: cell.position.toArray(),
+                radius: cell.radius,
+                state: cell.state,
+                intensity: cell.intensity,
+                targetIntensity: cell.targetIntensity,
+                remaining: cell.remaining
+            }))
+        };
+    }
+
+    setState(state) {
+        this.season = state.season ?? this.season;
+        (state.cells || []).forEach((saved, i) => {
+            const cell = this.cells[i];
+            if (!cell) return;
+            cell.direction.fromArray(saved.direction);
+            cell.position.fromArray(saved.position);
+            cell.radius = saved.radius;
+            cell.state = saved.state;
+            cell.intensity = saved.intensity;
+            cell.targetIntensity = saved.targetIntensity;
+            cell.remaining = saved.remaining;
+        });
+    }
+}
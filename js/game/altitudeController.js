@@ -1,69 +1,70 @@
 export class AltitudeController {
     constructor(spaceship) {
         this.spaceship = spaceship;
-        this.mode = 'keyboard';
+        this.mode = 'actions';
     }
     
-    update(deltaTime, keys) {
-        if (this.mode === 'keyboard') {
-            this.updateKeyboard(deltaTime, keys);
+    /**
+     * @param {InputActionFrame} input - see js/InputActionMap.js
+     */
+    update(deltaTime, input) {
+        if (this.mode === 'actions') {
+            this.updateFromActions(deltaTime, input);
         }
     }
     
-    updateKeyboard(deltaTime, keys) {
-        let turningLeft = false;
-        let turningRight = false;
-        let pitchingUp = false;
-        let pitchingDown = false;
-        let thrustingUp = false;
-        let thrustingDown = false;
+    /**
+     * Flight actions onto the ship. Axis values scale the control's rate,
+     * so half stick turns at half speed; keys are always full deflection.
+     */
+    updateFromActions(deltaTime, input) {
+        const throttle = input.value('throttle');
+        const yaw = input.value('yaw');
+        const pitch = input.value('pitch');
+        const vertical = input.value('vertical');
         
-        // W/S - Speed
-        if (keys['w']) {
-            this.spaceship.increaseSpeed(deltaTime);
-        }
-        if (keys['s']) {
-            this.spaceship.decreaseSpeed(deltaTime);
+        // Speed / throttle
+        if (throttle > 0) {
+            this.spaceship.increaseSpeed(deltaTime * throttle);
+        } else if (throttle < 0) {
+            this.spaceship.decreaseSpeed(deltaTime * -throttle);
         }
         
-        // A/D - Turn (yaw)
-        if (keys['a']) {
-            this.spaceship.turnLeft(deltaTime);
-            turningLeft = true;
-        }
-        if (keys['d']) {
-            this.spaceship.turnRight(deltaTime);
-            turningRight = true;
+        // Turn (yaw)
+        if (yaw < 0) {
+            this.spaceship.turnLeft(deltaTime * -yaw);
+        } else if (yaw > 0) {
+            this.spaceship.turnRight(deltaTime * yaw);
         }
         
-        // Z/X - Pitch
-        if (keys['z']) {
-            this.spaceship.pitchDown(deltaTime);
-            pitchingDown = true;
-        }
-        if (keys['x']) {
-            this.spaceship.pitchUp(deltaTime);
-            pitchingUp = true;
+        // Pitch
+        if (pitch > 0) {
+            this.spaceship.pitchUp(deltaTime * pitch);
+        } else if (pitch < 0) {
+            this.spaceship.pitchDown(deltaTime * -pitch);
         }
         
-        // Q/E - Vertical thrust (no direction change)
-        if (keys['q']) {
-            this.spaceship.thrustDown(deltaTime);
-            thrustingDown = true;
+        // Vertical thrust (no direction change)
+        if (vertical > 0) {
+            this.spaceship.thrustUp(deltaTime * vertical);
+        } else if (vertical < 0) {
+            this.spaceship.thrustDown(deltaTime * -vertical);
         }
-        if (keys['e']) {
-            this.spaceship.thrustUp(deltaTime);
-            thrustingUp = true;
+        
+        // Hover assist (planetary flight), once per press
+        if (input.wasPressed('toggleHover')) {
+            this.spaceship.toggleHoverAssist();
         }
         
         // Auto-return to neutral
-        if (!turningLeft && !turningRight) {
+        if (yaw === 0) {
             this.spaceship.neutralizeRoll(deltaTime);
         }
-        if (!pitchingUp && !pitchingDown) {
+        if (pitch === 0) {
             this.spaceship.neutralizePitch(deltaTime);
         }
-        // Note: vertical thrust decays automatically in update()
+        // Note: vertical thrust decays automatically in update(), and
+        // planetary flight holds its pitch (see Spaceship.neutralizePitch)
     }
     
     setupPitchInput(pitchCallback) {
@@ -71,7 +72,7 @@ export class AltitudeController {
         this.pitchCallback = pitchCallback;
     }
     
-    useKeyboard() {
-        this.mode = 'keyboard';
+    useActions() {
+        this.mode = 'actions';
     }
 }
\ No newline at end of file
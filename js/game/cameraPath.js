@@ -0,0 +1,304 @@
+// js/game/cameraPath.js
+// Keyframed camera paths for trailers and benchmark flythroughs. Keyframes
+// hold a camera position and look-at target in the same render coordinates
+// as Camera.position/target; the view's up vector still comes from the
+// planet (Frontend._updateCameraMatrices). Positions and targets follow a
+// time-parameterised Catmull-Rom spline, or great circles around the planet
+// center with a Catmull-Rom altitude profile. Optional tracks animate the
+// field of view and the time of day.
+//
+// JSON layout:
+// {
+//   "name": "Intro",
+//   "interpolation": "catmullRom" | "greatCircle",
+//   "loop": false,
+//   "keyframes": [{ "time": 0, "position": {x,y,z}, "target": {x,y,z} }],
+//   "fov": [{ "time": 0, "value": 60 }],
+//   "timeOfDay": [{ "time": 0, "value": 17.5 }]
+// }
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+
+export const CameraPathInterpolation = {
+    CATMULL_ROM: 'catmullRom',
+    GREAT_CIRCLE: 'greatCircle'
+};
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _m0 = new THREE.Vector3();
+const _m1 = new THREE.Vector3();
+
+/**
+ * Cubic Hermite basis for a segment of length `dt` at local t in [0, 1].
+ */
+function hermite(p0, p1, m0, m1, t, dt) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (2 * t3 - 3 * t2 + 1) * p0 +
+        (t3 - 2 * t2 + t) * dt * m0 +
+        (-2 * t3 + 3 * t2) * p1 +
+        (t3 - t2) * dt * m1;
+}
+
+export class CameraPath {
+    /**
+     * @param {Object} data - see the JSON layout above
+     */
+    constructor(data = {}) {
+        this.name = data.name || 'Camera Path';
+        this.interpolation = data.interpolation || CameraPathInterpolation.CATMULL_ROM;
+        // A looping path should end on its first keyframe; the spline then
+        // runs smoothly through the seam
+        this.loop = data.loop ?? false;
+        this.keyframes = (data.keyframes || []).map(k => ({
+            time: k.time,
+            position: { x: k.position.x, y: k.position.y, z: k.position.z },
+            target: { x: k.target.x, y: k.target.y, z: k.target.z }
+        }));
+        this.fov = (data.fov || []).map(k => ({ time: k.time, value: k.value }));
+        // Hours; values past 24 continue into the next day
+        this.timeOfDay = (data.timeOfDay || []).map(k => ({ time: k.time, value: k.value }));
+        this._sort();
+    }
+
+    static fromJSON(json) {
+        return new CameraPath(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            interpolation: this.interpolation,
+            loop: this.loop,
+            keyframes: this.keyframes.map(k => ({ time: k.time, position: { ...k.position }, target: { ...k.target } })),
+            fov: this.fov.map(k => ({ ...k })),
+            timeOfDay: this.timeOfDay.map(k => ({ ...k }))
+        };
+    }
+
+    /**
+     * A benchmark flyover: a great circle at constant altitude, looking
+     * ahead and down at the horizon, around `planetConfig`.
+     * @param {Object} options - altitude (m), duration (s), arc (radians),
+     *        startAngle (radians in the render x/y plane; the default starts
+     *        above the spawn point), lookAhead (radians of arc), keyframeCount
+     */
+    static createGreatCircleFlyover(planetConfig, options = {}) {
+        const altitude = options.altitude ?? 2000;
+        const duration = options.duration ?? 60;
+        const arc = options.arc ?? Math.PI / 8;
+        const start = options.startAngle ?? Math.PI / 2;
+        const lookAhead = options.lookAhead ?? arc / 16;
+        const steps = options.keyframeCount ?? 5;
+
+        const center = planetConfig.origin;
+        const radius = planetConfig.radius;
+        const point = (angle, r) => ({
+            x: center.x + Math.cos(angle) * r,
+            y: center.y + Math.sin(angle) * r,
+            z: center.z
+        });
+
+        const keyframes = [];
+        for (let i = 0; i < steps; i++) {
+            const angle = start + arc * i / (steps - 1);
+            keyframes.push({
+                time: duration * i / (steps - 1),
+                position: point(angle, radius + altitude),
+                target: point(angle + lookAhead, radius)
+            });
+        }
+        return new CameraPath({
+            name: options.name || `Flyover ${planetConfig.name}`,
+            interpolation: CameraPathInterpolation.GREAT_CIRCLE,
+            keyframes
+        });
+    }
+
+    get duration() {
+        const last = this.keyframes[this.keyframes.length - 1];
+        return last ? last.time : 0;
+    }
+
+    /**
+     * Insert a keyframe at `time` from a Camera's current pose, replacing
+     * any keyframe already at that time.
+     */
+    addKeyframe(time, camera) {
+        this.keyframes = this.keyframes.filter(k => k.time !== time);
+        this.keyframes.push({ time, position: { ...camera.position }, target: { ...camera.target } });
+        if (camera.fov !== undefined && this.fov.length > 0) {
+            this.fov = this.fov.filter(k => k.time !== time);
+            this.fov.push({ time, value: camera.fov });
+        }
+        this._sort();
+    }
+
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+    }
+
+    _sort() {
+        const byTime = (a, b) => a.time - b.time;
+        this.keyframes.sort(byTime);
+        this.fov.sort(byTime);
+        this.timeOfDay.sort(byTime);
+    }
+
+    /**
+     * Camera pose at `time` seconds.
+     * @param {THREE.Vector3} center - planet center in render coordinates,
+     *        used by great-circle paths
+     * @returns {Object} {position, target, fov (or null), timeOfDay (or null)}
+     */
+    evaluate(time, center = null, out = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: null, timeOfDay: null }) {
+        time = this._wrapTime(time);
+        const keys = this.keyframes;
+        if (keys.length === 0) {
+            out.position.set(0, 0, 0);
+            out.target.set(0, 0, -1);
+        } else if (this.interpolation === CameraPathInterpolation.GREAT_CIRCLE && center) {
+            this._evaluateGreatCircle(keys, 'position', time, center, out.position);
+            this._evaluateGreatCircle(keys, 'target', time, center, out.target);
+        } else {
+            this._evaluateCatmullRom(keys, 'position', time, out.position);
+            this._evaluateCatmullRom(keys, 'target', time, out.target);
+        }
+        out.fov = this.fov.length > 0 ? this._evaluateScalar(this.fov, time, true) : null;
+        out.timeOfDay = this.timeOfDay.length > 0
+            ? ((this._evaluateScalar(this.timeOfDay, time, false) % 24) + 24) % 24
+            : null;
+        return out;
+    }
+
+    /**
+     * Evenly spaced positions along the path, for the preview overlay.
+     */
+    sample(count = 256, center = null) {
+        const points = [];
+        const pose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: null, timeOfDay: null };
+        const duration = this.duration;
+        for (let i = 0; i < count; i++) {
+            const time = count > 1 ? duration * i / (count - 1) : 0;
+            this.evaluate(time, center, pose);
+            points.push(pose.position.clone());
+        }
+        return points;
+    }
+
+    _wrapTime(time) {
+        const duration = this.duration;
+        if (duration <= 0) return 0;
+        if (this.loop) return ((time % duration) + duration) % duration;
+        return Math.min(Math.max(time, this.keyframes[0].time), duration);
+    }
+
+    /**
+     * Segment index and local t around `time`.
+     */
+    _findSegment(keys, time) {
+        let i = 0;
+        while (i < keys.length - 2 && keys[i + 1].time <= time) i++;
+        const dt = keys[i + 1].time - keys[i].time;
+        const t = dt > 0 ? Math.min(Math.max((time - keys[i].time) / dt, 0), 1) : 0;
+        return { i, t, dt };
+    }
+
+    /**
+     * Neighbours used for the tangent at key i: across the seam on a loop
+     * (whose last key repeats the first), otherwise one-sided at the ends.
+     */
+    _neighbours(keys, i) {
+        const n = keys.length;
+        if (this.loop && n > 2 && (i === 0 || i === n - 1)) {
+            const before = keys[n - 2];
+            const after = keys[1];
+            const span = (keys[n - 1].time - before.time) + (after.time - keys[0].time);
+            return { before, after, span };
+        }
+        const before = keys[Math.max(0, i - 1)];
+        const after = keys[Math.min(n - 1, i + 1)];
+        return { before, after, span: after.time - before.time };
+    }
+
+    _tangent(keys, i, field, target) {
+        const { before, after, span } = this._neighbours(keys, i);
+        if (span <= 0) return target.set(0, 0, 0);
+        return target.set(
+            (after[field].x - before[field].x) / span,
+            (after[field].y - before[field].y) / span,
+            (after[field].z - before[field].z) / span
+        );
+    }
+
+    _evaluateCatmullRom(keys, field, time, target) {
+        if (keys.length === 1) return target.copy(keys[0][field]);
+        const { i, t, dt } = this._findSegment(keys, time);
+        const p0 = keys[i][field];
+        const p1 = keys[i + 1][field];
+        this._tangent(keys, i, field, _m0);
+        this._tangent(keys, i + 1, field, _m1);
+        return target.set(
+            hermite(p0.x, p1.x, _m0.x, _m1.x, t, dt),
+            hermite(p0.y, p1.y, _m0.y, _m1.y, t, dt),
+            hermite(p0.z, p1.z, _m0.z, _m1.z, t, dt)
+        );
+    }
+
+    /**
+     * Direction from the center slerps along the great circle between keys;
+     * the distance from the center is a Catmull-Rom curve, so altitude
+     * changes stay smooth across keys.
+     */
+    _evaluateGreatCircle(keys, field, time, center, target) {
+        if (keys.length === 1) return target.copy(keys[0][field]);
+        const { i, t, dt } = this._findSegment(keys, time);
+        _a.copy(keys[i][field]).sub(center);
+        _b.copy(keys[i + 1][field]).sub(center);
+        const r0 = _a.length();
+        const r1 = _b.length();
+        if (r0 < 1e-6 || r1 < 1e-6) {
+            return this._evaluateCatmullRom(keys, field, time, target);
+        }
+
+        const radius = this._evaluateRadius(keys, field, i, t, dt, center);
+        _a.divideScalar(r0);
+        _b.divideScalar(r1);
+        const angle = Math.acos(THREE.MathUtils.clamp(_a.dot(_b), -1, 1));
+        if (angle < 1e-9) {
+            target.copy(_a);
+        } else {
+            const s = Math.sin(angle);
+            target.copy(_a).multiplyScalar(Math.sin((1 - t) * angle) / s)
+                .addScaledVector(_b, Math.sin(t * angle) / s);
+        }
+        return target.multiplyScalar(radius).add(center);
+    }
+
+    _evaluateRadius(keys, field, i, t, dt, center) {
+        const radiusAt = key => _m0.copy(key[field]).sub(center).length();
+        const slope = index => {
+            const { before, after, span } = this._neighbours(keys, index);
+            return span > 0 ? (radiusAt(after) - radiusAt(before)) / span : 0;
+        };
+        return hermite(radiusAt(keys[i]), radiusAt(keys[i + 1]), slope(i), slope(i + 1), t, dt);
+    }
+
+    _evaluateScalar(keys, time, smooth) {
+        if (keys.length === 1 || time <= keys[0].time) return keys[0].value;
+        const last = keys[keys.length - 1];
+        if (time >= last.time) return last.value;
+        const { i, t, dt } = this._findSegment(keys, time);
+        const v0 = keys[i].value;
+        const v1 = keys[i + 1].value;
+        if (!smooth) return v0 + (v1 - v0) * t;
+        const slope = index => {
+            const before = keys[Math.max(0, index - 1)];
+            const after = keys[Math.min(keys.length - 1, index + 1)];
+            const span = after.time - before.time;
+            return span > 0 ? (after.value - before.value) / span : 0;
+        };
+        return hermite(v0, v1, slope(i), slope(i + 1), t, dt);
+    }
+}
@@ -0,0 +1,211 @@
+// js/game/cameraSequencer.js
+// Plays a sequence of CameraPath shots back to back on a Camera, with hard
+// cuts between shots. Drives Camera.position/target/fov and, when a shot has
+// a time-of-day track, the GameTime clock. With `fixedStep` every update
+// advances the same amount regardless of frame rate, which keeps benchmark
+// flythroughs identical from run to run; the real frame times are collected
+// for getBenchmarkResults().
+//
+// Sequence JSON: { "name": "Trailer", "loop": false, "shots": [CameraPath JSON, ...] }
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { CameraPath } from './cameraPath.js';
+
+export class CameraSequencer {
+    /**
+     * @param {Object} options - loop, speed, fixedStep (seconds per update,
+     *        0 for real time), benchmark (collect frame times)
+     */
+    constructor(options = {}) {
+        this.name = 'Sequence';
+        this.shots = [];
+        this.loop = options.loop ?? false;
+        this.speed = options.speed ?? 1;
+        this.fixedStep = options.fixedStep ?? 0;
+        this.benchmark = options.benchmark ?? false;
+
+        this.time = 0;
+        this.playing = false;
+        this.frameTimes = [];
+        this._lastFrameTime = null;
+        this._pose = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: null, timeOfDay: null };
+        // Day and hour the time-of-day track last set; null until it drives the clock
+        this._clockDay = null;
+        this._clockHours = null;
+    }
+
+    /**
+     * @param {Object|string|CameraPath} sequence - sequence JSON, or a single
+     *        path (JSON or CameraPath) played as a one-shot sequence
+     */
+    load(sequence) {
+        if (typeof sequence === 'string') sequence = JSON.parse(sequence);
+        if (sequence instanceof CameraPath || sequence.keyframes) {
+            const path = sequence instanceof CameraPath ? sequence : CameraPath.fromJSON(sequence);
+            this.name = path.name;
+            this.shots = [path];
+        } else {
+            this.name = sequence.name || 'Sequence';
+            this.loop = sequence.loop ?? this.loop;
+            this.shots = (sequence.shots || []).map(shot =>
+                shot instanceof CameraPath ? shot : CameraPath.fromJSON(shot));
+        }
+        this.time = 0;
+        this.frameTimes = [];
+        this._lastFrameTime = null;
+        this._clockDay = null;
+        return this;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            loop: this.loop,
+            shots: this.shots.map(shot => shot.toJSON())
+        };
+    }
+
+    get duration() {
+        return this.shots.reduce((total, shot) => total + shot.duration, 0);
+    }
+
+    get finished() {
+        return !this.loop && this.time >= this.duration;
+    }
+
+    play() {
+        if (this.finished) this.time = 0;
+        this.playing = true;
+        this.frameTimes = [];
+        this._lastFrameTime = null;
+        this._clockDay = null;
+    }
+
+    pause() {
+        this.playing = false;
+        this._lastFrameTime = null;
+    }
+
+    stop() {
+        this.playing = false;
+        this.time = 0;
+        this._clockDay = null;
+    }
+
+    seek(time) {
+        const duration = this.duration;
+        this.time = this.loop && duration > 0
+            ? ((time % duration) + duration) % duration
+            : THREE.MathUtils.clamp(time, 0, duration);
+    }
+
+    /**
+     * Shot playing at `time` and the time inside it.
+     */
+    getShotAt(time = this.time) {
+        let start = 0;
+        for (let i = 0; i < this.shots.length; i++) {
+            const shot = this.shots[i];
+            if (time < start + shot.duration || i === this.shots.length - 1) {
+                return { shot, index: i, localTime: time - start };
+            }
+            start += shot.duration;
+        }
+        return null;
+    }
+
+    /**
+     * Advance playback and apply the pose.
+     * @param {number} deltaTime - seconds since the last update (the game
+     *        loop's clamped step; benchmark frame times are measured with
+     *        performance.now() instead)
+     * @param {Camera} camera
+     * @param {Object} options - center (planet center, render coordinates,
+     *        for great-circle shots) and gameTime (for time-of-day tracks)
+     * @returns {boolean} false once a non-looping sequence has ended
+     */
+    update(deltaTime, camera, { center = null, gameTime = null } = {}) {
+        if (!this.playing || this.shots.length === 0) return false;
+        if (this.benchmark) this._recordFrameTime();
+
+        const step = this.fixedStep > 0 ? this.fixedStep : deltaTime;
+        this.seek(this.time + step * this.speed);
+        this.apply(camera, { center, gameTime });
+
+        if (this.finished) {
+            this.playing = false;
+            console.log(`Camera sequence "${this.name}" finished`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Wall-clock time since the previous update; the first update of a run
+     * only starts the clock.
+     */
+    _recordFrameTime() {
+        const now = performance.now();
+        if (this._lastFrameTime !== null) {
+            this.frameTimes.push((now - this._lastFrameTime) / 1000);
+        }
+        this._lastFrameTime = now;
+    }
+
+    /**
+     * Put the camera (and clock) at the current playback time.
+     */
+    apply(camera, { center = null, gameTime = null } = {}) {
+        const current = this.getShotAt();
+        if (!current) return;
+        const pose = current.shot.evaluate(current.localTime, center, this._pose);
+
+        camera.position.x = pose.position.x;
+        camera.position.y = pose.position.y;
+        camera.position.z = pose.position.z;
+        camera.target.x = pose.target.x;
+        camera.target.y = pose.target.y;
+        camera.target.z = pose.target.z;
+        if (pose.fov !== null) camera.fov = pose.fov;
+        if (pose.timeOfDay !== null && gameTime) this._applyTimeOfDay(pose.timeOfDay, gameTime);
+    }
+
+    /**
+     * Set the clock to the track's hour on the day the sequence started,
+     * overriding whatever the clock advanced since the last frame. The day
+     * only changes when the track itself crosses midnight.
+     */
+    _applyTimeOfDay(hours, gameTime) {
+        if (this._clockDay === null) {
+            this._clockDay = gameTime.currentDay;
+        } else if (hours < this._clockHours - 12) {
+            this._clockDay++;
+        } else if (hours > this._clockHours + 12) {
+            this._clockDay--;
+        }
+        this._clockHours = hours;
+        gameTime.setDayAndTime(this._clockDay, hours);
+    }
+
+    /**
+     * Frame-time summary of the last benchmark run (real seconds per
+     * update), or null if nothing was collected.
+     */
+    getBenchmarkResults() {
+        const count = this.frameTimes.length;
+        if (count === 0) return null;
+        const sorted = [...this.frameTimes].sort((a, b) => a - b);
+        const total = sorted.reduce((sum, dt) => sum + dt, 0);
+        const percentile = p => sorted[Math.min(count - 1, Math.floor(p * count))];
+        return {
+            name: this.name,
+            frames: count,
+            averageFrameMs: total / count * 1000,
+            medianFrameMs: percentile(0.5) * 1000,
+            p95FrameMs: percentile(0.95) * 1000,
+            p99FrameMs: percentile(0.99) * 1000,
+            worstFrameMs: sorted[count - 1] * 1000,
+            averageFps: count / total
+        };
+    }
+}
@@ -0,0 +1,446 @@
+// js/game/flightRecorder.js
+// Flight recorder and replay. A recording holds one record per simulated
+// frame (delta time, simulation time, input, terrain height under the ship,
+// resulting ship state and camera pose) plus full engine-state keyframes
+// every few seconds for seeking. Replaying feeds the recorded input and
+// terrain height back into the same simulation step, so the flight comes
+// out identical regardless of how chunk streaming behaves this time.
+//
+// File layout (little endian): 'LFR1', u32 version, u32 header byte length,
+// UTF-8 JSON header (action names, keyframes, world snapshot), padding to 8
+// bytes, then fixed-size frame records (see FRAME_LAYOUT).
+//
+// Frames record resolved InputActionMap actions rather than raw keys and
+// mouse movement, so gamepad and touch flights replay too.
+
+export const FLIGHT_RECORDING_MAGIC = 'LFR1';
+export const FLIGHT_RECORDING_VERSION = 1;
+
+const SHIP_STATES = ['flying', 'outOfControl', 'crashed'];
+
+const FLAG_FOLLOW_CAMERA = 1;
+const FLAG_LANDED = 2;
+
+// Byte offsets inside a frame record. At FIXED_BYTES follow one f64 value
+// per action (f64 so analog values replay bit-exact), then the pressed bit
+// words.
+const FRAME_LAYOUT = {
+    time: 0,            // f64 seconds from the start of the recording
+    deltaTime: 8,       // f64 seconds
+    terrainHeight: 16,  // f64 as handed to Spaceship.update()
+    shipPosition: 24,   // 3 x f64
+    cameraPosition: 48, // 3 x f64
+    cameraTarget: 72,   // 3 x f64
+    shipVelocity: 96,   // 3 x f32
+    shipDirection: 108, // f32
+    shipPitch: 112,     // f32
+    shipRoll: 116,      // f32
+    shipThrottle: 120,  // f32
+    flags: 124,         // u8
+    shipState: 125      // u8 index into SHIP_STATES
+};
+const FIXED_BYTES = 128;
+
+function getFrameStride(actionCount) {
+    return FIXED_BYTES + actionCount * 8 + Math.ceil(actionCount / 32) * 4;
+}
+
+/**
+ * A finished recording: frames in memory plus the header data.
+ */
+export class FlightRecording {
+    /**
+     * @param {Object} data - frames, keyframes ({frame, state}), actionNames,
+     *        world (WorldFile snapshot or null), createdAt
+     */
+    constructor(data = {}) {
+        this.frames = data.frames || [];
+        this.keyframes = data.keyframes || [];
+        this.actionNames = data.actionNames || [];
+        this.world = data.world || null;
+        this.createdAt = data.createdAt || null;
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * Recorded simulation seconds.
+     */
+    get duration() {
+        return this.getFrameTime(this.frames.length);
+    }
+
+    /**
+     * Seconds from the start of the recording to the start of a frame.
+     */
+    getFrameTime(index) {
+        if (this.frames.length === 0) return 0;
+        if (index >= this.frames.length) {
+            const last = this.frames[this.frames.length - 1];
+            return last.time + last.deltaTime;
+        }
+        return this.frames[index].time;
+    }
+
+    /**
+     * Index of the frame running at `seconds` into the recording.
+     */
+    findFrame(seconds) {
+        let lo = 0;
+        let hi = this.frames.length - 1;
+        if (hi < 0 || seconds <= 0) return 0;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.getFrameTime(mid) <= seconds) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    /**
+     * Latest keyframe at or before a frame index.
+     */
+    findKeyframe(frameIndex) {
+        let best = null;
+        for (const keyframe of this.keyframes) {
+            if (keyframe.frame > frameIndex) break;
+            best = keyframe;
+        }
+        return best;
+    }
+
+    /**
+     * A frame's input as InputActionFrame arguments.
+     * @returns {{values: Object, pressed: string[]}}
+     */
+    getInput(frame) {
+        const values = {};
+        this.actionNames.forEach((name, i) => {
+            if (frame.actions[i] !== 0) values[name] = frame.actions[i];
+        });
+        return { values, pressed: frame.pressed.map(index => this.actionNames[index]) };
+    }
+
+    toArrayBuffer() {
+        const actionCount = this.actionNames.length;
+        const stride = getFrameStride(actionCount);
+        const header = new TextEncoder().encode(JSON.stringify({
+            createdAt: this.createdAt,
+            frameCount: this.frames.length,
+            actionNames: this.actionNames,
+            keyframes: this.keyframes,
+            world: this.world
+        }));
+        const framesOffset = Math.ceil((12 + header.length) / 8) * 8;
+        const buffer = new ArrayBuffer(framesOffset + stride * this.frames.length);
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < 4; i++) bytes[i] = FLIGHT_RECORDING_MAGIC.charCodeAt(i);
+        view.setUint32(4, FLIGHT_RECORDING_VERSION, true);
+        view.setUint32(8, header.length, true);
+        bytes.set(header, 12);
+
+        this.frames.forEach((frame, i) => {
+            writeFrame(view, framesOffset + i * stride, frame, actionCount);
+        });
+        return buffer;
+    }
+
+    static fromArrayBuffer(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+        if (magic !== FLIGHT_RECORDING_MAGIC) {
+            throw new Error('FlightRecording: not a flight recording');
+        }
+        const version = view.getUint32(4, true);
+        if (version > FLIGHT_RECORDING_VERSION) {
+            throw new Error(`FlightRecording: version ${version} is newer than this build (${FLIGHT_RECORDING_VERSION})`);
+        }
+
+        const headerLength = view.getUint32(8, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+        const actionCount = header.actionNames.length;
+        const stride = getFrameStride(actionCount);
+        const framesOffset = Math.ceil((12 + headerLength) / 8) * 8;
+
+        const frames = [];
+        for (let i = 0; i < header.frameCount; i++) {
+            frames.push(readFrame(view, framesOffset + i * stride, actionCount));
+        }
+        return new FlightRecording({ ...header, frames });
+    }
+}
+
+function writeVec3(view, offset, v, size) {
+    const set = size === 8 ? view.setFloat64.bind(view) : view.setFloat32.bind(view);
+    set(offset, v.x, true);
+    set(offset + size, v.y, true);
+    set(offset + size * 2, v.z, true);
+}
+
+function readVec3(view, offset, size) {
+    const get = size === 8 ? view.getFloat64.bind(view) : view.getFloat32.bind(view);
+    return { x: get(offset, true), y: get(offset + size, true), z: get(offset + size * 2, true) };
+}
+
+function writeFrame(view, base, frame, actionCount) {
+    const L = FRAME_LAYOUT;
+    view.setFloat64(base + L.time, frame.time, true);
+    view.setFloat64(base + L.deltaTime, frame.deltaTime, true);
+    view.setFloat64(base + L.terrainHeight, frame.terrainHeight, true);
+    writeVec3(view, base + L.shipPosition, frame.ship.position, 8);
+    writeVec3(view, base + L.cameraPosition, frame.camera.position, 8);
+    writeVec3(view, base + L.cameraTarget, frame.camera.target, 8);
+    writeVec3(view, base + L.shipVelocity, frame.ship.velocity, 4);
+    view.setFloat32(base + L.shipDirection, frame.ship.direction, true);
+    view.setFloat32(base + L.shipPitch, frame.ship.pitch, true);
+    view.setFloat32(base + L.shipRoll, frame.ship.roll, true);
+    view.setFloat32(base + L.shipThrottle, frame.ship.throttle, true);
+
+    let flags = 0;
+    if (frame.cameraMode === 'follow') flags |= FLAG_FOLLOW_CAMERA;
+    if (frame.ship.landed) flags |= FLAG_LANDED;
+    view.setUint8(base + L.flags, flags);
+    view.setUint8(base + L.shipState, Math.max(0, SHIP_STATES.indexOf(frame.ship.state)));
+
+    for (let i = 0; i < actionCount; i++) {
+        view.setFloat64(base + FIXED_BYTES + i * 8, frame.actions[i], true);
+    }
+    const wordsOffset = base + FIXED_BYTES + actionCount * 8;
+    const words = new Uint32Array(Math.ceil(actionCount / 32));
+    for (const index of frame.pressed) words[index >> 5] |= 1 << (index & 31);
+    for (let w = 0; w < words.length; w++) {
+        view.setUint32(wordsOffset + w * 4, words[w], true);
+    }
+}
+
+function readFrame(view, base, actionCount) {
+    const L = FRAME_LAYOUT;
+    const flags = view.getUint8(base + L.flags);
+    const actions = [];
+    for (let i = 0; i < actionCount; i++) {
+        actions.push(view.getFloat64(base + FIXED_BYTES + i * 8, true));
+    }
+    const wordsOffset = base + FIXED_BYTES + actionCount * 8;
+    const pressed = [];
+    for (let w = 0; w < Math.ceil(actionCount / 32); w++) {
+        const word = view.getUint32(wordsOffset + w * 4, true);
+        for (let bit = 0; bit < 32; bit++) {
+            if (word & (1 << bit)) pressed.push(w * 32 + bit);
+        }
+    }
+
+    return {
+        time: view.getFloat64(base + L.time, true),
+        deltaTime: view.getFloat64(base + L.deltaTime, true),
+        terrainHeight: view.getFloat64(base + L.terrainHeight, true),
+        actions,
+        pressed,
+        cameraMode: (flags & FLAG_FOLLOW_CAMERA) !== 0 ? 'follow' : 'manual',
+        ship: {
+            position: readVec3(view, base + L.shipPosition, 8),
+            velocity: readVec3(view, base + L.shipVelocity, 4),
+            direction: view.getFloat32(base + L.shipDirection, true),
+            pitch: view.getFloat32(base + L.shipPitch, true),
+            roll: view.getFloat32(base + L.shipRoll, true),
+            throttle: view.getFloat32(base + L.shipThrottle, true),
+            state: SHIP_STATES[view.getUint8(base + L.shipState)] || 'flying',
+            landed: (flags & FLAG_LANDED) !== 0
+        },
+        camera: {
+            position: readVec3(view, base + L.cameraPosition, 8),
+            target: readVec3(view, base + L.cameraTarget, 8)
+        }
+    };
+}
+
+/**
+ * Collects frames while the engine runs. The engine asks for a keyframe at
+ * the start of a frame (needsKeyframe) and hands over the finished frame
+ * after simulating it (recordFrame).
+ */
+export class FlightRecorder {
+    /**
+     * @param {Object} options - keyframeInterval (simulation seconds)
+     */
+    constructor(options = {}) {
+        this.keyframeInterval = options.keyframeInterval ?? 5;
+        this.recording = null;
+        this._sinceKeyframe = 0;
+        this._elapsed = 0;
+    }
+
+    get isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * @param {Object|null} world - WorldFile snapshot, so the recording can be
+     *        replayed in the world it was made in
+     * @param {string[]} actionNames - InputActionMap.getActionNames(); the
+     *        actions each frame's input is recorded for
+     */
+    start(world = null, actionNames = []) {
+        this.recording = new FlightRecording({
+            world,
+            actionNames: [...actionNames],
+            createdAt: new Date().toISOString()
+        });
+        this._sinceKeyframe = Infinity;
+        this._elapsed = 0;
+        console.log('Flight recording started');
+    }
+
+    needsKeyframe() {
+        return this.isRecording && this._sinceKeyframe >= this.keyframeInterval;
+    }
+
+    addKeyframe(state) {
+        this.recording.keyframes.push({ frame: this.recording.frames.length, state });
+        this._sinceKeyframe = 0;
+    }
+
+    /**
+     * @param {Object} frame - deltaTime, terrainHeight, input
+     *        (InputActionFrame), cameraMode, ship (Spaceship.getState()) and
+     *        camera ({position, target})
+     */
+    recordFrame(frame) {
+        if (!this.isRecording) return;
+        const names = this.recording.actionNames;
+        const actions = names.map(name => frame.input.value(name));
+        const pressed = [];
+        names.forEach((name, i) => {
+            if (frame.input.wasPressed(name)) pressed.push(i);
+        });
+
+        const ship = frame.ship;
+        this.recording.frames.push({
+            time: this._elapsed,
+            deltaTime: frame.deltaTime,
+            terrainHeight: frame.terrainHeight,
+            actions,
+            pressed,
+            cameraMode: frame.cameraMode,
+            ship: {
+                position: { ...ship.position },
+                velocity: { ...ship.velocity },
+                direction: ship.direction,
+                pitch: ship.pitch,
+                roll: ship.roll,
+                throttle: ship.throttle ?? 0,
+                state: ship.state,
+                landed: !!ship.landed
+            },
+            camera: {
+                position: { ...frame.camera.position },
+                target: { ...frame.camera.target }
+            }
+        });
+        this._sinceKeyframe += frame.deltaTime;
+        this._elapsed += frame.deltaTime;
+    }
+
+    stop() {
+        const recording = this.recording;
+        this.recording = null;
+        if (recording) {
+            console.log(`Flight recording stopped: ${recording.frameCount} frames, ${recording.duration.toFixed(1)}s`);
+        }
+        return recording;
+    }
+}
+
+/**
+ * Playback position and speed over a recording. The engine asks it which
+ * recorded frames to simulate for each rendered frame.
+ */
+export class FlightReplay {
+    /**
+     * @param {FlightRecording} recording
+     * @param {Object} options - speed, detachCamera, loop, maxFramesPerUpdate
+     */
+    constructor(recording, options = {}) {
+        this.recording = recording;
+        this.speed = options.speed ?? 1;
+        this.detachCamera = options.detachCamera ?? false;
+        this.loop = options.loop ?? false;
+        // Caps the catch-up work per rendered frame at high speeds
+        this.maxFramesPerUpdate = options.maxFramesPerUpdate ?? 240;
+        this.paused = false;
+        this.frameIndex = 0;
+        this._accumulator = 0;
+        // First frame whose simulated ship left the recorded path, if any
+        this.divergedAt = null;
+    }
+
+    get finished() {
+        return this.frameIndex >= this.recording.frameCount;
+    }
+
+    get time() {
+        return this.recording.getFrameTime(this.frameIndex);
+    }
+
+    get duration() {
+        return this.recording.duration;
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0, speed);
+    }
+
+    /**
+     * Recorded frames due after `wallDelta` seconds of real time.
+     */
+    takeFrames(wallDelta) {
+        const due = [];
+        if (this.paused || this.finished) return due;
+
+        this._accumulator += wallDelta * this.speed;
+        while (!this.finished && due.length < this.maxFramesPerUpdate) {
+            const frame = this.recording.frames[this.frameIndex];
+            if (this._accumulator < frame.deltaTime) break;
+            this._accumulator -= frame.deltaTime;
+            due.push(frame);
+            this.frameIndex++;
+        }
+        if (due.length === this.maxFramesPerUpdate) this._accumulator = 0;
+        return due;
+    }
+
+    /**
+     * Continue playback from `frameIndex`.
+     */
+    jumpTo(frameIndex) {
+        this.frameIndex = Math.max(0, Math.min(frameIndex, this.recording.frameCount));
+        this._accumulator = 0;
+    }
+
+    /**
+     * Where to restart for a seek: the keyframe to restore and the frames to
+     * re-simulate from it to reach `seconds`.
+     */
+    planSeek(seconds) {
+        const target = this.recording.findFrame(Math.max(0, Math.min(seconds, this.duration)));
+        const keyframe = this.recording.findKeyframe(target);
+        return { keyframe, targetFrame: target, frames: this.recording.frames.slice(keyframe ? keyframe.frame : 0, target) };
+    }
+
+    /**
+     * Check a simulated frame against the recording; returns false (once)
+     * when the ship has drifted from the recorded position.
+     */
+    verifyFrame(frame, shipPosition, frameIndex, tolerance = 0.01) {
+        if (this.divergedAt !== null) return true;
+        const p = frame.ship.position;
+        const error = Math.hypot(shipPosition.x - p.x, shipPosition.y - p.y, shipPosition.z - p.z);
+        if (error <= tolerance) return true;
+        this.divergedAt = frameIndex;
+        return false;
+    }
+}
@@ -0,0 +1,226 @@
+// js/game/planetaryFlightModel.js
+// Flight physics around a spherical planet, in planet-centered game
+// coordinates (game x/y/z = render x/z/y). Gravity falls off with the
+// inverse square of the distance from PlanetConfig.radius, drag follows the
+// PlanetAtmosphereSettings density, and the ship flies on a main engine,
+// RCS translation and an optional hover assist near the ground.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+
+export const DEFAULT_FLIGHT_PARAMS = {
+    mass: 10000,               // kg
+    dragCoefficient: 0.8,
+    referenceArea: 10,         // m²
+    maxThrust: 20,             // m/s² along the nose at full throttle
+    throttleRate: 0.5,         // throttle change per second
+    rcsAcceleration: 10,       // m/s² for the Q/E translation thrusters
+    hoverAcceleration: 25,     // m/s² budget of the hover assist
+    hoverDamping: 0.8,         // 1/s, how quickly hover assist kills drift
+    landingSpeed: 5,           // max sink rate for a touchdown (m/s)
+    landingSlideSpeed: 10,     // max ground speed for a touchdown (m/s)
+    groundFriction: 2.0,       // 1/s
+    maxStep: 1 / 60            // s, physics substep
+};
+
+const _r = new THREE.Vector3();
+const _v = new THREE.Vector3();
+const _accel = new THREE.Vector3();
+const _hover = new THREE.Vector3();
+const _horizontal = new THREE.Vector3();
+const _h = new THREE.Vector3();
+const _e = new THREE.Vector3();
+
+export class PlanetaryFlightModel {
+    /**
+     * @param {PlanetConfig} planetConfig
+     * @param {Object} params - DEFAULT_FLIGHT_PARAMS overrides
+     */
+    constructor(planetConfig, params = {}) {
+        this.params = { ...DEFAULT_FLIGHT_PARAMS, ...params };
+        this.center = new THREE.Vector3();
+        this.setPlanet(planetConfig);
+    }
+
+    setPlanet(planetConfig) {
+        this.planetConfig = planetConfig;
+        this.radius = planetConfig.radius;
+        this.mu = planetConfig.gravitationalParameter;
+        this.atmosphere = planetConfig.atmosphereSettings;
+        // Hover assist hands over to free flight at the top of the low zone
+        this.hoverCeiling = planetConfig.altitudeZones.low;
+        this.updateCenter();
+    }
+
+    /**
+     * Planet center in game coordinates. Call after the solar system has
+     * moved the planet's render-frame origin.
+     */
+    updateCenter() {
+        const origin = this.planetConfig.origin;
+        this.center.set(origin.x, origin.z, origin.y);
+        return this.center;
+    }
+
+    getGravity(distance) {
+        return this.mu / (distance * distance);
+    }
+
+    getAirDensity(altitude) {
+        return this.atmosphere ? this.atmosphere.getAirDensity(altitude) : 0;
+    }
+
+    /**
+     * Local horizon frame at a game position: `up` away from the planet
+     * center, `east`/`north` around the planet's rotation axis.
+     */
+    getLocalFrame(position, target = { up: new THREE.Vector3(), east: new THREE.Vector3(), north: new THREE.Vector3() }) {
+        target.up.set(position.x, position.y, position.z).sub(this.center).normalize();
+        const axis = this.planetConfig.rotationAxis;
+        _h.set(axis.x, axis.z, axis.y);
+        target.east.crossVectors(_h, target.up);
+        if (target.east.lengthSq() < 1e-8) target.east.set(1, 0, 0);
+        target.east.normalize();
+        target.north.crossVectors(target.up, target.east);
+        return target;
+    }
+
+    /**
+     * Advance the ship's position and velocity by deltaTime, in substeps.
+     * @param {Spaceship} ship - position, velocity, heading, pitch, throttle,
+     *        verticalThrust and hoverAssist are read; position, velocity and
+     *        heading are written
+     * @param {number} surfaceAltitude - terrain height above `radius` below the ship
+     * @returns {'flying'|'landed'|'crashed'}
+     */
+    step(ship, deltaTime, surfaceAltitude = 0) {
+        const steps = Math.max(1, Math.ceil(deltaTime / this.params.maxStep));
+        const dt = deltaTime / steps;
+        let result = 'flying';
+        for (let i = 0; i < steps; i++) {
+            result = this._substep(ship, dt, surfaceAltitude);
+            if (result === 'crashed') break;
+        }
+        return result;
+    }
+
+    _substep(ship, dt, surfaceAltitude) {
+        const p = this.params;
+        _r.set(ship.position.x, ship.position.y, ship.position.z).sub(this.center);
+        _v.set(ship.velocity.x, ship.velocity.y, ship.velocity.z);
+        const distance = _r.length();
+        const up = _r.divideScalar(distance);
+        const altitude = distance - this.radius;
+
+        // Keep the heading in the local horizontal plane as the ship moves
+        // around the planet (parallel transport, so there's no pole singularity)
+        _h.set(ship.heading.x, ship.heading.y, ship.heading.z);
+        _h.addScaledVector(up, -_h.dot(up));
+        if (_h.lengthSq() < 1e-8) {
+            _h.set(Math.abs(up.x) < 0.9 ? 1 : 0, Math.abs(up.x) < 0.9 ? 0 : 1, 0);
+            _h.addScaledVector(up, -_h.dot(up));
+        }
+        _h.normalize();
+
+        const cosPitch = Math.cos(ship.pitch);
+        const sinPitch = Math.sin(ship.pitch);
+        const g = this.getGravity(distance);
+
+        _accel.copy(up).multiplyScalar(-g);
+
+        // Main engine along the nose
+        _accel.addScaledVector(_h, ship.throttle * p.maxThrust * cosPitch);
+        _accel.addScaledVector(up, ship.throttle * p.maxThrust * sinPitch);
+
+        // RCS translation along the ship's up axis
+        const rcs = THREE.MathUtils.clamp(ship.verticalThrust, -p.rcsAcceleration, p.rcsAcceleration);
+        _accel.addScaledVector(up, rcs * cosPitch);
+        _accel.addScaledVector(_h, -rcs * sinPitch);
+
+        // Hover assist: cancel gravity and, when nothing is commanding it,
+        // bleed off vertical and horizontal drift
+        const hovering = ship.hoverAssist && altitude < this.hoverCeiling;
+        if (hovering) {
+            const verticalSpeed = _v.dot(up);
+            _hover.copy(up).multiplyScalar(g);
+            if (Math.abs(rcs) < 0.01 && ship.throttle * sinPitch < 0.01) {
+                _hover.addScaledVector(up, -verticalSpeed * p.hoverDamping);
+            }
+            if (ship.throttle < 0.01) {
+                _horizontal.copy(_v).addScaledVector(up, -verticalSpeed);
+                _hover.addScaledVector(_horizontal, -p.hoverDamping);
+            }
+            const magnitude = _hover.length();
+            if (magnitude > p.hoverAcceleration) _hover.multiplyScalar(p.hoverAcceleration / magnitude);
+            _accel.add(_hover);
+        }
+
+        // Quadratic drag against still air
+        const density = this.getAirDensity(altitude);
+        if (density > 0) {
+            const speed = _v.length();
+            const k = 0.5 * density * speed * p.dragCoefficient * p.referenceArea / p.mass;
+            _accel.addScaledVector(_v, -k);
+        }
+
+        // Semi-implicit Euler keeps orbits from spiralling out
+        _v.addScaledVector(_accel, dt);
+        _e.copy(up).multiplyScalar(distance).add(this.center).addScaledVector(_v, dt);
+
+        let result = 'flying';
+        _r.copy(_e).sub(this.center);
+        const newDistance = _r.length();
+        const groundDistance = this.radius + surfaceAltitude + ship.minSafeAltitude;
+        if (newDistance < groundDistance) {
+            _r.divideScalar(newDistance);
+            const sinkRate = -_v.dot(_r);
+            _horizontal.copy(_v).addScaledVector(_r, sinkRate);
+            if (sinkRate > p.landingSpeed || _horizontal.length() > p.landingSlideSpeed) {
+                return 'crashed';
+            }
+            _e.copy(_r).multiplyScalar(groundDistance).add(this.center);
+            if (sinkRate > 0) _v.addScaledVector(_r, sinkRate);
+            _v.multiplyScalar(Math.max(0, 1 - p.groundFriction * dt));
+            result = 'landed';
+        }
+
+        ship.position.x = _e.x; ship.position.y = _e.y; ship.position.z = _e.z;
+        ship.velocity.x = _v.x; ship.velocity.y = _v.y; ship.velocity.z = _v.z;
+        ship.heading.x = _h.x; ship.heading.y = _h.y; ship.heading.z = _h.z;
+        return result;
+    }
+
+    /**
+     * Keplerian summary of a state vector (game coordinates). Apoapsis and
+     * periapsis are altitudes above `radius`; an escape trajectory
+     * (positive energy) has an infinite apoapsis and period.
+     */
+    getOrbitalElements(position, velocity) {
+        _r.set(position.x, position.y, position.z).sub(this.center);
+        _v.set(velocity.x, velocity.y, velocity.z);
+        const distance = _r.length();
+        const speed = _v.length();
+        const mu = this.mu;
+
+        const energy = speed * speed / 2 - mu / distance;
+        const angularMomentum = _h.crossVectors(_r, _v).length();
+        const eccentricity = Math.sqrt(Math.max(0, 1 + 2 * energy * angularMomentum * angularMomentum / (mu * mu)));
+        const semiMajorAxis = energy < 0 ? -mu / (2 * energy) : Infinity;
+        const periapsis = angularMomentum * angularMomentum / (mu * (1 + eccentricity));
+        const bound = energy < 0;
+
+        return {
+            altitude: distance - this.radius,
+            speed,
+            verticalSpeed: _v.dot(_r) / distance,
+            circularSpeed: Math.sqrt(mu / distance),
+            escapeSpeed: Math.sqrt(2 * mu / distance),
+            eccentricity,
+            semiMajorAxis,
+            periapsisAltitude: periapsis - this.radius,
+            apoapsisAltitude: bound ? semiMajorAxis * (1 + eccentricity) - this.radius : Infinity,
+            period: bound ? 2 * Math.PI * Math.sqrt(semiMajorAxis * semiMajorAxis * semiMajorAxis / mu) : Infinity,
+            // A periapsis above the atmosphere (and terrain) never comes back down
+            stable: bound && periapsis - this.radius > Math.max(this.planetConfig.atmosphereRadius - this.radius, this.planetConfig.maxTerrainHeight)
+        };
+    }
+}
@@ -1,5 +1,18 @@
+import { PlanetaryFlightModel } from './planetaryFlightModel.js';
+
+/**
+ * Player ship. Without a planet it flies the original arcade model over a
+ * flat plane (position.z is altitude); after setPlanet() it flies
+ * PlanetaryFlightModel physics in planet-centered game coordinates.
+ */
 export class Spaceship {
-    constructor() {
+    /**
+     * @param {Object} options - flightParams (PlanetaryFlightModel overrides)
+     */
+    constructor(options = {}) {
+        this.flightParams = options.flightParams || {};
+        this.flightModel = null;
+
         this.position = { x: 0, y: 0, z: 15 };
         this.velocity = { x: 0, y: 0, z: 0 };
         
@@ -31,10 +44,45 @@ export class Spaceship {
         this.state = 'flying';
         this.spinSpeed = 0;
         this.controlLoss = 0;
+
+        // Planetary flight: horizontal nose direction (game coords, kept
+        // tangent to the surface), main engine throttle 0..1 and hover assist
+        this.heading = { x: 1, y: 0, z: 0 };
+        this.throttle = 0;
+        this.hoverAssist = true;
+        this.landed = false;
+        this.maxPlanetaryPitch = Math.PI / 2;
     }
-    
+
+    get isPlanetary() {
+        return this.flightModel !== null;
+    }
+
+    /**
+     * Fly around `planetConfig` (null or an infinite radius goes back to the
+     * flat model). Position and velocity are kept, so an SOI handover
+     * carries the ship's state over to the new planet.
+     */
+    setPlanet(planetConfig) {
+        if (!planetConfig || !Number.isFinite(planetConfig.radius)) {
+            this.flightModel = null;
+            return;
+        }
+        if (this.flightModel) {
+            this.flightModel.setPlanet(planetConfig);
+        } else {
+            this.flightModel = new PlanetaryFlightModel(planetConfig, this.flightParams);
+        }
+        this._syncHeading();
+    }
+
+    /**
+     * @param {number} terrainHeight - flat: terrain z below the ship;
+     *        planetary: terrain altitude above the planet radius
+     */
     update(deltaTime, terrainHeight) {
         if (this.state === 'crashed') return 'crashed';
+        if (this.flightModel) return this._updatePlanetary(deltaTime, terrainHeight);
         
         // Clamp deltaTime to prevent huge jumps
         deltaTime = Math.min(deltaTime, 1/30); // Max 33ms
@@ -99,46 +147,105 @@ export class Spaceship {
             }
         }
         
-        // Decay vertical thrust
+        this._decayVerticalThrust(deltaTime);
+        
+        return this.state;
+    }
+
+    _updatePlanetary(deltaTime, surfaceAltitude) {
+        this.flightModel.updateCenter();
+        const result = this.flightModel.step(this, deltaTime, surfaceAltitude);
+        if (result === 'crashed') {
+            this.crash();
+            return 'crashed';
+        }
+
+        this.landed = result === 'landed';
+        this.speed = Math.hypot(this.velocity.x, this.velocity.y, this.velocity.z);
+        this.targetVelocity = { ...this.velocity };
+        this._syncHeading();
+        this._decayVerticalThrust(deltaTime);
+        return this.state;
+    }
+
+    _decayVerticalThrust(deltaTime) {
         const thrustDecay = 5.0 * deltaTime;
         if (Math.abs(this.verticalThrust) > thrustDecay) {
             this.verticalThrust -= Math.sign(this.verticalThrust) * thrustDecay;
         } else {
             this.verticalThrust = 0;
         }
-        
-        return this.state;
+    }
+
+    /**
+     * Keep `direction` (radians from local east towards north) and `heading`
+     * in step; the flight model moves `heading`, yaw input moves `direction`.
+     */
+    _syncHeading() {
+        const frame = this.flightModel.getLocalFrame(this.position);
+        const h = this.heading;
+        const east = h.x * frame.east.x + h.y * frame.east.y + h.z * frame.east.z;
+        const north = h.x * frame.north.x + h.y * frame.north.y + h.z * frame.north.z;
+        if (east * east + north * north > 1e-8) {
+            this.direction = Math.atan2(north, east);
+        }
+        this._headingFromDirection(frame);
+    }
+
+    _headingFromDirection(frame = this.flightModel.getLocalFrame(this.position)) {
+        const c = Math.cos(this.direction);
+        const s = Math.sin(this.direction);
+        this.heading.x = frame.east.x * c + frame.north.x * s;
+        this.heading.y = frame.east.y * c + frame.north.y * s;
+        this.heading.z = frame.east.z * c + frame.north.z * s;
     }
     
     turnLeft(deltaTime) {
         if (this.state !== 'flying') return;
         this.direction -= this.turnRate * deltaTime;
         this.roll = Math.min(0.6, this.roll + deltaTime * 3);
+        if (this.flightModel) this._headingFromDirection();
     }
     
     turnRight(deltaTime) {
         if (this.state !== 'flying') return;
         this.direction += this.turnRate * deltaTime;
         this.roll = Math.max(-0.6, this.roll - deltaTime * 3);
+        if (this.flightModel) this._headingFromDirection();
     }
     
     increaseSpeed(deltaTime) {
         if (this.state !== 'flying') return;
+        if (this.flightModel) {
+            this.throttle = Math.min(1, this.throttle + this.flightModel.params.throttleRate * deltaTime);
+            return;
+        }
         this.speed = Math.min(this.maxSpeed, this.speed + this.acceleration * deltaTime);
     }
     
     decreaseSpeed(deltaTime) {
+        if (this.flightModel) {
+            this.throttle = Math.max(0, this.throttle - this.flightModel.params.throttleRate * deltaTime);
+            return;
+        }
         this.speed = Math.max(0, this.speed - this.deceleration * deltaTime);
     }
     
     pitchUp(deltaTime) {
         if (this.state !== 'flying') return;
-        this.pitch = Math.min(this.maxPitch, this.pitch + this.pitchRate * deltaTime);
+        const maxPitch = this.flightModel ? this.maxPlanetaryPitch : this.maxPitch;
+        this.pitch = Math.min(maxPitch, this.pitch + this.pitchRate * deltaTime);
     }
     
     pitchDown(deltaTime) {
         if (this.state !== 'flying') return;
-        this.pitch = Math.max(-this.maxPitch, this.pitch - this.pitchRate * deltaTime);
+        const maxPitch = this.flightModel ? this.maxPlanetaryPitch : this.maxPitch;
+        this.pitch = Math.max(-maxPitch, this.pitch - this.pitchRate * deltaTime);
+    }
+
+    toggleHoverAssist() {
+        this.hoverAssist = !this.hoverAssist;
+        console.log('Hover assist:', this.hoverAssist ? 'on' : 'off');
     }
     
     thrustUp(deltaTime) {
@@ -158,6 +265,8 @@ export class Spaceship {
     }
     
     neutralizePitch(deltaTime) {
+        // RCS holds the commanded attitude around planets (climbs and burns need it)
+        if (this.flightModel) return;
         const returnSpeed = 1.5;
         if (Math.abs(this.pitch) > 0.01) {
             this.pitch -= Math.sign(this.pitch) * Math.min(Math.abs(this.pitch), returnSpeed * deltaTime);
@@ -181,6 +290,7 @@ export class Spaceship {
         this.velocity = { x: 0, y: 0, z: 0 };
         this.targetVelocity = { x: 0, y: 0, z: 0 };
         this.verticalThrust = 0;
+        this.throttle = 0;
         console.log('CRASHED at position:', this.position);
     }
     
@@ -196,10 +306,16 @@ export class Spaceship {
         this.state = 'flying';
         this.spinSpeed = 0;
         this.controlLoss = 0;
+        this.throttle = 0;
+        this.landed = false;
+        if (this.flightModel) {
+            this.speed = 0;
+            this._headingFromDirection();
+        }
     }
     
     getState() {
-        return {
+        const state = {
             position: { ...this.position },
             velocity: { ...this.velocity },
             direction: this.direction,
@@ -208,9 +324,50 @@ export class Spaceship {
             speed: this.speed,
             verticalThrust: this.verticalThrust,
             state: this.state,
-            controlLoss: this.controlLoss
+            controlLoss: this.controlLoss,
+            throttle: this.throttle,
+            hoverAssist: this.hoverAssist,
+            landed: this.landed
+        };
+        if (this.flightModel) {
+            state.heading = { ...this.heading };
+            state.up = this.getUpVector();
+            state.orbit = this.getOrbitalElements();
+        }
+        return state;
+    }
+
+    /**
+     * Apoapsis/periapsis, eccentricity, period etc. around the current
+     * planet (null on flat terrain). See PlanetaryFlightModel.getOrbitalElements.
+     */
+    getOrbitalElements() {
+        if (!this.flightModel) return null;
+        return this.flightModel.getOrbitalElements(this.position, this.velocity);
+    }
+    
+    toJSON() {
+        return {
+            ...this.getState(),
+            targetVelocity: { ...this.targetVelocity },
+            spinSpeed: this.spinSpeed,
+            heading: { ...this.heading }
         };
     }
+
+    loadState(state) {
+        if (state.position) this.position = { ...state.position };
+        if (state.velocity) this.velocity = { ...state.velocity };
+        if (state.targetVelocity) this.targetVelocity = { ...state.targetVelocity };
+        if (state.heading) this.heading = { ...state.heading };
+        for (const key of ['direction', 'pitch', 'roll', 'speed', 'verticalThrust', 'state', 'controlLoss', 'spinSpeed', 'throttle', 'hoverAssist']) {
+            if (state[key] !== undefined) this[key] = state[key];
+        }
+        if (this.flightModel) {
+            if (state.heading) this._syncHeading();
+            else this._headingFromDirection();
+        }
+    }
     
     getForwardVector2D() {
         return {
@@ -218,4 +375,22 @@ export class Spaceship {
             y: Math.sin(this.direction)
         };
     }
+
+    /**
+     * Horizontal nose direction in game coordinates.
+     */
+    getForwardVector() {
+        if (this.flightModel) return { ...this.heading };
+        const fwd = this.getForwardVector2D();
+        return { x: fwd.x, y: fwd.y, z: 0 };
+    }
+
+    /**
+     * Local "up" in game coordinates: away from the planet center, or +z on flat terrain.
+     */
+    getUpVector() {
+        if (!this.flightModel) return { x: 0, y: 0, z: 1 };
+        const up = this.flightModel.getLocalFrame(this.position).up;
+        return { x: up.x, y: up.y, z: up.z };
+    }
 }
\ No newline at end of file
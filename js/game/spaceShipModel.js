@@ -1,5 +1,13 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 
+const _right = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+const _attitude = new THREE.Quaternion();
+const _pitchRoll = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
 export class SpaceshipModel {
     constructor() {
         this.mesh = this.createMesh();
@@ -96,9 +104,13 @@ export class SpaceshipModel {
         );
         
         this.mesh.rotation.order = 'YXZ';
-        this.mesh.rotation.y = -(spaceshipState.direction - Math.PI / 2);
-        this.mesh.rotation.x = -spaceshipState.pitch;
-        this.mesh.rotation.z = -spaceshipState.roll;
+        if (spaceshipState.heading && spaceshipState.up) {
+            this._orientToHorizon(spaceshipState);
+        } else {
+            this.mesh.rotation.y = -(spaceshipState.direction - Math.PI / 2);
+            this.mesh.rotation.x = -spaceshipState.pitch;
+            this.mesh.rotation.z = -spaceshipState.roll;
+        }
         
         if (spaceshipState.state === 'outOfControl') {
             const wobble = Math.sin(Date.now() * 0.01) * 0.2;
@@ -106,6 +118,22 @@ export class SpaceshipModel {
         }
     }
     
+    /**
+     * Planetary flight: pitch and roll are relative to the local horizon
+     * frame (heading, up), which turns as the ship moves around the planet.
+     */
+    _orientToHorizon(spaceshipState) {
+        const { heading, up } = spaceshipState;
+        _forward.set(heading.x, heading.z, heading.y);
+        _up.set(up.x, up.z, up.y);
+        _right.crossVectors(_up, _forward);
+        _basis.makeBasis(_right, _up, _forward);
+        _attitude.setFromRotationMatrix(_basis);
+
+        _euler.set(-spaceshipState.pitch, 0, -spaceshipState.roll, 'YXZ');
+        this.mesh.quaternion.copy(_attitude).multiply(_pitchRoll.setFromEuler(_euler));
+    }
+    
     addToScene(scene) {
         if (this.mesh) {
             scene.add(this.mesh);
@@ -10,12 +10,20 @@ import { Spaceship } from './game/spaceShip.js';
 import { SpaceshipModel } from './game/spaceShipModel.js';
 import { AltitudeController } from './game/altitudeController.js';
 import { GameInputManager } from './GameInputManager.js';
+import { InputActionMap, InputActionFrame } from './InputActionMap.js';
+import { FlightRecorder, FlightRecording, FlightReplay } from './game/flightRecorder.js';
+import { CameraPath } from './game/cameraPath.js';
+import { CameraSequencer } from './game/cameraSequencer.js';
 import { TextureCache } from './texture/textureCache.js';
 import { WebGL2WorldGenerator } from './world/webgl2WorldGenerator.js';
 import { AltitudeZoneManager } from './planet/altitudeZoneManager.js';
 import { PlanetConfig } from './planet/planetConfig.js';
 import { SphericalChunkMapper } from './planet/sphericalChunkMapper.js';
+import { SolarSystem } from './planet/solarSystem.js';
 import { TextureAtlasKey } from './world/textureAtlasKey.js';
+import { WorldFile } from './world/worldFile.js';
+import { TerrainEditLayer } from './world/terrainEdits.js';
+import { BiomeRegistry } from './world/biomeRegistry.js';
 
 import { DEFAULT_ATLAS_CONFIG } from './world/dataTextureConfiguration.js';
 function updateCanvasResolution(canvas) {
@@ -92,19 +100,43 @@ function debugSphericalRendering() {
 }
 
 export class GameEngine {
-    constructor(canvasId) {
+    /**
+     * @param {string} canvasId
+     * @param {Object} [options]
+     * @param {'gpu'|'cpu'} [options.worldGenerator='gpu'] - 'gpu' follows the
+     *        render backend, 'cpu' runs the JavaScript reference generator
+     */
+    constructor(canvasId, options = {}) {
         this.canvas = document.getElementById(canvasId);
         if (!this.canvas) {
             throw new Error('Canvas element not found');
         }
         updateCanvasResolution(this.canvas);
         this.chunkSize = 128;
+        this.worldGeneratorType = options.worldGenerator === 'cpu' ? 'cpu' : 'gpu';
         this.textureCache = new TextureCache();
         window.gameEngine = this;
         window.debug = debugSphericalRendering;
         this._fps = 0;
         this._fpsFrames = 0;
         this._fpsLastSample = performance.now();
+        // Set by loadWorld(); consumed by start()
+        this.worldFile = null;
+        this.solarSystem = null;
+        // TerrainEditLayer per planet name; the active one is this.terrainEdits
+        this.planetEdits = new Map();
+        this._planetHandover = null;
+        // Flight recording / replay (see js/game/flightRecorder.js)
+        this.flightRecorder = null;
+        this.flightReplay = null;
+        this.freeCamera = null;
+        this._preReplayState = null;
+        // Simulation seconds until the ship respawns after a crash
+        this._crashResetTimer = null;
+        // Scripted camera paths (see js/game/cameraSequencer.js)
+        this.cameraSequencer = null;
+        this._preSequenceCamera = null;
+        this._onSequenceFinished = null;
     }
 
     diagnoseChunkKeys() {
@@ -127,7 +159,14 @@ export class GameEngine {
         console.log('==================');
     }
     toggleCameraMode() {
-        this.cameraMode = this.cameraMode === 'manual' ? 'follow' : 'manual';
+        // A replay's camera mode comes from the recording; look around it
+        // with setReplayCameraDetached() instead
+        if (this.flightReplay) return;
+        this._setCameraMode(this.cameraMode === 'manual' ? 'follow' : 'manual');
+    }
+
+    _setCameraMode(mode) {
+        this.cameraMode = mode;
         console.log('Camera mode:', this.cameraMode);
     
         if (this.cameraMode === 'follow') {
@@ -137,32 +176,6 @@ export class GameEngine {
             this.camera.unfollow();
         }
     }
-    updateManualCamera(deltaTime, keys, mouseDelta) {
-        const moveSpeed = 50 * deltaTime;
-    
-        let forward = 0, right = 0, up = 0;
-    
-        if (keys['w'] || keys['W']) forward += moveSpeed;
-        if (keys['s'] || keys['S']) forward -= moveSpeed;
-        if (keys['a'] || keys['A']) right -= moveSpeed;
-        if (keys['d'] || keys['D']) right += moveSpeed;
-        if (keys['q'] || keys['Q']) up -= moveSpeed;
-        if (keys['e'] || keys['E']) up += moveSpeed;
-        
-        if (keys['Shift']) {
-            forward *= 3;
-            right *= 3;
-            up *= 3;
-        }
-    
-        if (forward !== 0 || right !== 0 || up !== 0) {
-            this.camera.moveRelative(forward, right, up);
-        }
-    
-        if (this.inputManager.isLeftDragging()) {
-            this.camera.handleManualLook(mouseDelta.x, mouseDelta.y);
-        }
-    }
     async start() {
         console.log('Starting game engine...');
         if (!this.chunkSize || this.chunkSize <= 0) {
@@ -173,7 +186,14 @@ export class GameEngine {
 
         const usePlanetaryMode = true;
    
-        if (usePlanetaryMode) {
+        if (usePlanetaryMode && this.worldFile?.solarSystem) {
+            this.solarSystem = WorldFile.createSolarSystem(this.worldFile);
+            this.planetConfig = this.solarSystem.activePlanet;
+            console.log('Solar system restored from world file, active planet: ' + this.planetConfig.name);
+        } else if (usePlanetaryMode && this.worldFile?.planet) {
+            this.planetConfig = WorldFile.createPlanetConfig(this.worldFile);
+            console.log('Planet restored from world file: ' + this.planetConfig.name);
+        } else if (usePlanetaryMode) {
             this.planetConfig = PlanetConfig.createSmallMoon({ 
                 name: 'TestPlanet',
                 radius: 50000,
@@ -187,12 +207,21 @@ export class GameEngine {
                 originY: 0,
                 originZ: 0,
             });
-        
+        }
 
+        if (usePlanetaryMode) {
             this.altitudeZoneManager = new AltitudeZoneManager(this.planetConfig);
     
             this.planetConfig.altitudeZoneManager = this.altitudeZoneManager;
-            this.sphericalMapper = new SphericalChunkMapper(this.planetConfig, 16);
+            this.sphericalMapper = new SphericalChunkMapper(this.planetConfig);
+            if (!this.solarSystem) {
+                this.solarSystem = SolarSystem.createDefault(this.planetConfig);
+            }
+            this.solarSystem.onHandover((planetConfig) => {
+                this._planetHandover = this.handoverPlanet(planetConfig)
+                    .catch(error => console.error('Planet handover failed:', error))
+                    .finally(() => { this._planetHandover = null; });
+            });
         } else {
             console.log('Using FLAT TERRAIN mode (no planetary projection)');
             this.planetConfig = null;
@@ -203,6 +232,10 @@ export class GameEngine {
         updateCanvasResolution(this.canvas);
     
         this.inputManager = new GameInputManager(this.canvas);
+        // Named actions over keyboard/mouse/gamepad/touch, with the player's
+        // saved bindings
+        this.inputActions = new InputActionMap();
+        this.inputActions.load();
         this.gameTime = new GameTime();
     
         const useWebGPU = true;
@@ -214,6 +247,9 @@ export class GameEngine {
             backendType: backendType
         });
         await this.renderer.initialize(this.planetConfig, this.sphericalMapper);
+        if (this.solarSystem) {
+            await this.renderer.setSolarSystem(this.solarSystem);
+        }
     
         
         const actualApiName = this.renderer.getBackendType();
@@ -266,14 +302,26 @@ console.log('=== TextureAtlasKey tests complete ===\n');
 
 
     
-        if (useWebGPU && 'gpu' in navigator) {
+        const worldGeneratorType = this.worldGeneratorType;
+        const worldSeed = this.worldFile?.terrain?.seed ?? 12345;
+
+        if (worldGeneratorType === 'cpu') {
+            console.log("Running CPU mode for world generation");
+            const { CPUWorldGenerator } = await import('./world/cpuWorldGenerator.js');
+            this.worldGenerator = new CPUWorldGenerator(
+                this.renderer.getBackend(),
+                this.textureCache,
+                this.chunkSize,
+                worldSeed
+            );
+        } else if (useWebGPU && 'gpu' in navigator) {
             console.log("Running WebGPU mode for world generation");
             const { WebGPUWorldGenerator } = await import('./world/webgpuWorldGenerator.js');
             this.worldGenerator = new WebGPUWorldGenerator(
                 this.renderer.getBackend(),
                 this.textureCache,
                 this.chunkSize,
-                12345
+                worldSeed
             );
         } else {
             console.log("Running WebGL2 mode for world generation");
@@ -281,25 +329,53 @@ console.log('=== TextureAtlasKey tests complete ===\n');
                 this.renderer.getBackend(),
                 this.textureCache,
                 this.chunkSize,
-                12345
+                worldSeed
             );
         }
     
         await this.worldGenerator._ready;
+        if (this.planetConfig) {
+            this.worldGenerator.setPlanetConfig(this.planetConfig, this.sphericalMapper.chunksPerFace);
+        }
+
+        if (this.planetConfig?.biomes) {
+            await this.worldGenerator.setBiomeRegistry(BiomeRegistry.fromJSON(this.planetConfig.biomes));
+        }
+
+        this.terrainEdits = new TerrainEditLayer(this.chunkSize);
+        if (this.planetConfig) {
+            this.planetEdits.set(this.planetConfig.name, this.terrainEdits);
+        }
+
+        if (this.worldFile) {
+            await WorldFile.restore(this.worldFile, {
+                worldGenerator: this.worldGenerator,
+                terrainEdits: this.terrainEdits,
+                planetEdits: this.planetEdits
+            });
+        }
 
         // Share world generator with terrain mesh manager so it can request missing LOD atlases
         if (this.renderer?.masterChunkLoader?.terrainMeshManager?.setWorldGenerator) {
             this.renderer.masterChunkLoader.terrainMeshManager.setWorldGenerator(this.worldGenerator);
         }
+        this._bakeOrbitalSurface();
     
-        this.environmentState = new EnvironmentState(this.gameTime, this.planetConfig);
+        this.environmentState = new EnvironmentState(this.gameTime, this.planetConfig, {
+            seed: this.planetConfig?.seed ?? worldSeed,
+            // Weather cells weight their transitions by the biome under them
+            terrain: this.worldGenerator.getCPUTerrain(),
+            seaLevel: this.worldGenerator.globalWaterLevel
+        });
     
         this.spaceship = new Spaceship();
+        this.spaceship.setPlanet(this.planetConfig);
         this.spaceshipModel = new SpaceshipModel();
         this.altitudeController = new AltitudeController(this.spaceship);
         this.chunkManager = new ChunkManager(this.worldGenerator, {
             sphericalMapper: this.sphericalMapper,
             useSphericalProjection: usePlanetaryMode,
+            terrainEdits: this.terrainEdits,
         });
     
         this.cameraMode = 'manual';
@@ -320,11 +396,6 @@ console.log('=== TextureAtlasKey tests complete ===\n');
         if (this.spaceshipModel && this.spaceshipModel.mesh) {
             this.renderer.genericMeshRenderer.addMesh('spaceship', this.spaceshipModel.mesh);
         }
-        window.addEventListener('keydown', (e) => {
-            if (e.key === 'v') {
-                this.toggleCameraMode();
-            }
-        });
     
         this._resizeHandler = () => this.handleResize();
         this.isGameActive = false;
@@ -409,16 +480,406 @@ console.log('========== RENDER DIAGNOSTIC END ==========');
                 calculatedSpawnZ: spawnZ
             });
         }
+        this._spawnPosition = { x: spawnX, y: spawnY, z: spawnZ };
         this.spaceship.reset(spawnX, spawnY, spawnZ);
         console.log(' Spaceship spawned at:', this.spaceship.position);
         this.camera.follow(this.spaceship);
         console.log(' Camera snapped to:', this.camera.position);
+
+        if (this.worldFile) {
+            await WorldFile.restore(this.worldFile, {
+                camera: this.camera,
+                spaceship: this.spaceship,
+                gameTime: this.gameTime
+            });
+            console.log(' World file state restored');
+        }
         
         this.inputManager.start();
         this.isGameActive = true;
         
         console.log('Game engine started');
     }
+    /**
+     * Serialize the current world to a versioned world file (JSON string).
+     */
+    saveWorld() {
+        return WorldFile.stringify(this._captureWorld());
+    }
+
+    /**
+     * Play a camera sequence (or a single CameraPath / path JSON) on the
+     * game camera. The ship holds still meanwhile; the camera goes back to
+     * where it was when the sequence ends or is stopped.
+     * @param {Object} options - CameraSequencer options (loop, speed,
+     *        fixedStep, benchmark)
+     */
+    playCameraSequence(sequence, options = {}) {
+        if (this.flightReplay) this.stopReplay();
+        if (this.flightRecorder) {
+            console.warn('Camera sequences are not recorded; stopping the flight recording');
+            this.stopRecording();
+        }
+        if (this.cameraSequencer) this.stopCameraSequence();
+
+        this.cameraSequencer = new CameraSequencer(options).load(sequence);
+        this._preSequenceCamera = this.camera.toJSON();
+        this.cameraSequencer.play();
+        this.cameraSequencer.apply(this.camera, this._getSequenceContext());
+        console.log(`Playing camera sequence "${this.cameraSequencer.name}" (${this.cameraSequencer.duration.toFixed(1)}s)`);
+        return this.cameraSequencer;
+    }
+
+    stopCameraSequence() {
+        if (!this.cameraSequencer) return;
+        this.cameraSequencer.stop();
+        this.cameraSequencer = null;
+        if (this._preSequenceCamera) {
+            this.camera.loadState(this._preSequenceCamera);
+            this._preSequenceCamera = null;
+        }
+    }
+
+    /**
+     * Fly a fixed great-circle path at a fixed time step and resolve with
+     * the frame-time summary (CameraSequencer.getBenchmarkResults).
+     * @param {Object} options - CameraPath.createGreatCircleFlyover options
+     */
+    runBenchmarkFlythrough(options = {}) {
+        const path = CameraPath.createGreatCircleFlyover(this.planetConfig, options);
+        return new Promise(resolve => {
+            this.playCameraSequence(path, { fixedStep: options.fixedStep ?? 1 / 60, benchmark: true });
+            this._onSequenceFinished = resolve;
+        });
+    }
+
+    /**
+     * Show `path` as a spline overlay, or hide it with null.
+     */
+    previewCameraPath(path) {
+        if (path && !(path instanceof CameraPath)) path = CameraPath.fromJSON(path);
+        this.renderer?.setCameraPathOverlay(path);
+    }
+
+    _getSequenceContext() {
+        return {
+            // Great-circle shots wrap around the planet center (render coords)
+            center: this.spaceship.isPlanetary ? this.planetConfig.origin : null,
+            gameTime: this.gameTime
+        };
+    }
+
+    _updateCameraSequence(deltaTime) {
+        const sequencer = this.cameraSequencer;
+        if (sequencer.update(deltaTime, this.camera, this._getSequenceContext())) return;
+
+        const results = sequencer.benchmark ? sequencer.getBenchmarkResults() : null;
+        if (results) console.log('Flythrough benchmark:', results);
+        const onFinished = this._onSequenceFinished;
+        this._onSequenceFinished = null;
+        this.stopCameraSequence();
+        if (onFinished) onFinished(results);
+    }
+
+    _captureWorld() {
+        return WorldFile.capture({
+            planetConfig: this.planetConfig,
+            worldGenerator: this.worldGenerator,
+            terrainEdits: this.terrainEdits,
+            solarSystem: this.solarSystem,
+            planetEdits: this.planetEdits,
+            camera: this.camera,
+            spaceship: this.spaceship,
+            gameTime: this.gameTime
+        });
+    }
+
+    /**
+     * Start a flight recording. The current world is embedded, so the file
+     * can be replayed elsewhere: loadWorld(recording.world) before start(),
+     * then startReplay(recording).
+     * @param {Object} options - keyframeInterval (simulation seconds)
+     */
+    startRecording(options = {}) {
+        if (this.flightReplay) {
+            console.warn('startRecording: stop the replay first');
+            return null;
+        }
+        this.flightRecorder = new FlightRecorder(options);
+        this.flightRecorder.start(this._captureWorld(), this.inputActions.getActionNames());
+        return this.flightRecorder;
+    }
+
+    /**
+     * @returns {FlightRecording|null}
+     */
+    stopRecording() {
+        const recording = this.flightRecorder ? this.flightRecorder.stop() : null;
+        this.flightRecorder = null;
+        return recording;
+    }
+
+    /**
+     * F9: start recording, or stop and download the recording.
+     */
+    toggleRecording() {
+        if (this.flightRecorder) {
+            const recording = this.stopRecording();
+            if (recording && recording.frameCount > 0) this.downloadRecording(recording);
+        } else {
+            this.startRecording();
+        }
+    }
+
+    downloadRecording(recording, filename = `flight-${Date.now()}.lfr`) {
+        const blob = new Blob([recording.toArrayBuffer()], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Replay a recording (FlightRecording or the ArrayBuffer of a saved one)
+     * from its first frame. The live game state is put back by stopReplay().
+     * @param {Object} options - speed, detachCamera, loop
+     */
+    startReplay(recording, options = {}) {
+        if (recording instanceof ArrayBuffer) {
+            recording = FlightRecording.fromArrayBuffer(recording);
+        }
+        if (recording.keyframes.length === 0 || recording.keyframes[0].frame !== 0) {
+            throw new Error('startReplay: recording has no starting keyframe');
+        }
+        if (this.flightRecorder) this.stopRecording();
+        if (this.flightReplay) this.stopReplay();
+
+        const recordedPlanet = recording.world?.planet?.name;
+        if (recordedPlanet && this.planetConfig && recordedPlanet !== this.planetConfig.name) {
+            console.warn(`Replay was recorded on ${recordedPlanet}, current planet is ${this.planetConfig.name}`);
+        }
+
+        this._preReplayState = this._captureReplayState();
+        this.flightReplay = new FlightReplay(recording, options);
+        this._restoreReplayState(recording.keyframes[0].state);
+        if (this.flightReplay.detachCamera) {
+            this._detachReplayCamera();
+        }
+        console.log(`Replaying ${recording.frameCount} frames (${recording.duration.toFixed(1)}s)`);
+        return this.flightReplay;
+    }
+
+    stopReplay() {
+        if (!this.flightReplay) return;
+        this.flightReplay = null;
+        this.freeCamera = null;
+        if (this._preReplayState) {
+            this._restoreReplayState(this._preReplayState);
+            this._preReplayState = null;
+        }
+        console.log('Replay stopped');
+    }
+
+    /**
+     * Jump to `seconds` into the replay: restore the keyframe before it and
+     * re-simulate the recorded frames up to it.
+     */
+    seekReplay(seconds) {
+        const replay = this.flightReplay;
+        if (!replay) return;
+        const { keyframe, targetFrame, frames } = replay.planSeek(seconds);
+        this._restoreReplayState(keyframe.state);
+        let index = keyframe.frame;
+        for (const frame of frames) {
+            this._replayFrame(frame, index++);
+        }
+        replay.jumpTo(targetFrame);
+    }
+
+    setReplaySpeed(speed) {
+        this.flightReplay?.setSpeed(speed);
+    }
+
+    setReplayPaused(paused) {
+        if (this.flightReplay) this.flightReplay.paused = paused;
+    }
+
+    /**
+     * Look around with a free camera while the recorded flight (and its own
+     * camera, which the simulation still updates) keeps playing.
+     */
+    setReplayCameraDetached(detached) {
+        const replay = this.flightReplay;
+        if (!replay) return;
+        replay.detachCamera = detached;
+        if (detached) {
+            this._detachReplayCamera();
+        } else {
+            this.freeCamera = null;
+        }
+        console.log('Replay camera:', detached ? 'detached' : 'recorded');
+    }
+
+    _detachReplayCamera() {
+        this.freeCamera = new Camera({
+            aspect: this.camera.aspect,
+            fov: this.camera.fov,
+            near: this.camera.near,
+            far: this.camera.far
+        });
+        this.freeCamera.loadState(this.camera.toJSON());
+    }
+
+    _getViewCamera() {
+        return this.flightReplay?.detachCamera && this.freeCamera ? this.freeCamera : this.camera;
+    }
+
+    _updateReplay(wallDelta, liveInput) {
+        const replay = this.flightReplay;
+        if (replay.detachCamera && this.freeCamera) {
+            this.freeCamera.handleInput(liveInput, wallDelta);
+        }
+
+        const wasFinished = replay.finished;
+        let index = replay.frameIndex;
+        for (const frame of replay.takeFrames(wallDelta)) {
+            this._replayFrame(frame, index++);
+        }
+
+        if (replay.finished && !wasFinished) {
+            if (replay.loop) {
+                this.seekReplay(0);
+            } else {
+                console.log('Replay finished');
+            }
+        }
+    }
+
+    _replayFrame(frame, index) {
+        const replay = this.flightReplay;
+        if (frame.cameraMode !== this.cameraMode) {
+            this._setCameraMode(frame.cameraMode);
+        }
+        const { values, pressed } = replay.recording.getInput(frame);
+        this._simulateFrame(frame.deltaTime, new InputActionFrame(values, pressed), frame.terrainHeight);
+
+        if (!replay.verifyFrame(frame, this.spaceship.position, index)) {
+            console.warn(`Replay diverged from the recording at frame ${index} (${replay.recording.getFrameTime(index).toFixed(2)}s)`);
+        }
+    }
+
+    /**
+     * Everything the per-frame simulation carries over between frames.
+     */
+    _captureReplayState() {
+        return {
+            spaceship: this.spaceship.toJSON(),
+            camera: this.camera.toJSON(),
+            cameraMode: this.cameraMode,
+            gameTime: this.gameTime.toJSON(),
+            environment: this.environmentState.getSimulationState(),
+            solarTime: this.solarSystem ? this.solarSystem.time : null,
+            crashResetTimer: this._crashResetTimer
+        };
+    }
+
+    _restoreReplayState(state) {
+        this.spaceship.loadState(state.spaceship);
+        if (state.cameraMode !== this.cameraMode) {
+            this._setCameraMode(state.cameraMode);
+        }
+        this.camera.loadState(state.camera);
+        this.gameTime.loadState(state.gameTime);
+        this.environmentState.setSimulationState(state.environment);
+        if (this.solarSystem && state.solarTime !== null) {
+            this.solarSystem.time = state.solarTime;
+            this.solarSystem.update(0);
+        }
+        this._crashResetTimer = state.crashResetTimer;
+        if (this._crashResetTimer === null) {
+            this.hideCrashScreen();
+        } else {
+            this.showCrashScreen();
+        }
+    }
+
+    /**
+     * Load a world file. Call before start() to regenerate the saved planet;
+     * on a running engine only generator params and camera/ship/time state are
+     * applied, and chunks already generated keep their old terrain.
+     */
+    async loadWorld(text) {
+        this.worldFile = typeof text === 'string' ? WorldFile.parse(text) : WorldFile.migrate(text);
+
+        if (this.isGameActive) {
+            console.warn('loadWorld on a running engine: planet changes need a restart');
+            await WorldFile.restore(this.worldFile, {
+                worldGenerator: this.worldGenerator,
+                terrainEdits: this.terrainEdits,
+                planetEdits: this.planetEdits,
+                solarSystem: this.solarSystem,
+                camera: this.camera,
+                spaceship: this.spaceship,
+                gameTime: this.gameTime
+            });
+        }
+        return this.worldFile;
+    }
+
+    /**
+     * SolarSystem SOI handover: stream terrain for the planet the ship has
+     * just entered. The old planet's chunks are dropped (its edits are kept
+     * for when the ship returns) and chunk streaming pauses until the
+     * generator is set up for the new planet.
+     */
+    async handoverPlanet(planetConfig) {
+        this.planetConfig = planetConfig;
+        this.altitudeZoneManager = new AltitudeZoneManager(planetConfig);
+        planetConfig.altitudeZoneManager = this.altitudeZoneManager;
+        this.sphericalMapper = new SphericalChunkMapper(planetConfig);
+        this.spaceship.setPlanet(planetConfig);
+
+        if (!this.planetEdits.has(planetConfig.name)) {
+            this.planetEdits.set(planetConfig.name, new TerrainEditLayer(this.chunkSize));
+        }
+        this.terrainEdits = this.planetEdits.get(planetConfig.name);
+
+        // Let the old planet's in-flight chunks land before the cache is cleared
+        await this.chunkManager.setPlanet(this.sphericalMapper, this.terrainEdits);
+        await this.worldGenerator.applyTerrainParams({
+            seed: planetConfig.seed,
+            biomes: planetConfig.biomes ?? 'default'
+        });
+        this.worldGenerator.setPlanetConfig(planetConfig, this.sphericalMapper.chunksPerFace);
+        this.textureCache.clear();
+
+        this.environmentState.setPlanetConfig(planetConfig, this.worldGenerator.getCPUTerrain());
+        await this.renderer.switchPlanet(planetConfig, this.sphericalMapper);
+        this._bakeOrbitalSurface();
+        console.log('Active planet: ' + planetConfig.name);
+    }
+
+    /**
+     * Bake the active planet's orbital surface maps in the background; the
+     * sphere keeps its current maps until the bake lands.
+     */
+    _bakeOrbitalSurface() {
+        if (!this.renderer?.bakeOrbitalSurface) return;
+        this.renderer.bakeOrbitalSurface(this.worldGenerator, this.terrainEdits).catch(error => {
+            console.error('Orbital surface bake failed:', error);
+        });
+    }
+
+    /**
+     * Sculpt the terrain with a brush stamp (see TerrainStamp). The stamp is
+     * kept in the edit layer, so it survives chunk regeneration and world saves.
+     */
+    applyTerrainEdit(stampOptions) {
+        return this.chunkManager.applyTerrainEdit(stampOptions);
+    }
+
     stop() {
         this.isGameActive = false;
         this.inputManager.stop();
@@ -440,7 +901,60 @@ update(deltaTime) {
         this._fpsFrames = 0;
         this._fpsLastSample = nowMs;
     }
-    this.gameTime.update();
+
+    const input = this.inputActions.update(deltaTime, this.inputManager.getDeviceState());
+    if (input.wasPressed('toggleRecording')) this.toggleRecording();
+
+    if (this.flightReplay) {
+        // Recorded input drives the replay; live input only reaches the free camera
+        this._updateReplay(deltaTime, input);
+    } else {
+        if (input.wasPressed('toggleCamera')) this.toggleCameraMode();
+        this._simulateFrame(deltaTime, input);
+    }
+
+    this.spaceshipModel.update(this.spaceship.getState());
+    if (this.renderer && this.renderer.genericMeshRenderer) {
+        this.renderer.genericMeshRenderer.updateMesh('spaceship');
+    }
+
+    // Stream terrain around whatever camera is being looked through
+    const viewCamera = this._getViewCamera();
+    if (this.gameState) this.gameState.camera = viewCamera;
+    if (!this._planetHandover) {
+        this.chunkManager.update(
+            viewCamera.position.x,
+            viewCamera.position.z,
+            viewCamera.position.y
+        );
+    }
+
+    this.updateUI();
+}
+
+/**
+ * One simulation step: time, solar system, ship/camera from `input` and the
+ * environment. Recordings capture exactly what goes in here, and replays
+ * feed it back in.
+ * @param {InputActionFrame} input - resolved actions for this frame
+ * @param {number|null} terrainHeight - recorded terrain height (replay), or null to sample it
+ */
+_simulateFrame(deltaTime, input, terrainHeight = null) {
+    if (terrainHeight === null) {
+        terrainHeight = this.spaceship.isPlanetary
+            ? this.getTerrainAltitudeAt(this.spaceship.position)
+            : this.getTerrainHeightAt(
+                this.spaceship.position.x,
+                this.spaceship.position.y,
+                this.spaceship.position.z
+            );
+    }
+
+    const recorder = this.flightRecorder;
+    if (recorder?.needsKeyframe()) {
+        recorder.addKeyframe(this._captureReplayState());
+    }
+    this.gameTime.update(deltaTime);
 
     const cameraRenderPos = new THREE.Vector3(
         this.camera.position.x,
@@ -448,63 +962,49 @@ update(deltaTime) {
         this.camera.position.z
     );
 
+    if (this.solarSystem) {
+        // Game coords are z-up; the solar system works in render coords.
+        // Orbits keep moving during a handover, but SOI checks wait for it
+        const ship = this.spaceship.position;
+        const focus = this._planetHandover ? null : new THREE.Vector3(ship.x, ship.z, ship.y);
+        this.solarSystem.update(deltaTime, focus);
+    }
+
     if (this.altitudeZoneManager) {
         this.altitudeZoneManager.update(cameraRenderPos, deltaTime);
     }
 
-    const cameraGameX = cameraRenderPos.x;
-    const cameraGameY = cameraRenderPos.z;
-    const cameraGameZ = cameraRenderPos.y;
-
-    const terrainHeight = this.getTerrainHeightAt(
-        this.spaceship.position.x,
-        this.spaceship.position.y,
-        this.spaceship.position.z
-    );
-
-
-    const keys = this.inputManager.getKeys();
-    const mouseDelta = this.inputManager.getMouseDelta();
-    const wheelDelta = this.inputManager.getWheelDelta();
-
-    if (this.cameraMode === 'manual') {
-        this.updateManualCamera(deltaTime, keys, mouseDelta);
-        
+    if (this.cameraSequencer?.playing) {
+        this._updateCameraSequence(deltaTime);
+    } else if (this.cameraMode === 'manual') {
+        this.camera.handleInput(input, deltaTime);
     } else {
-        this.altitudeController.update(deltaTime, keys);
+        this.altitudeController.update(deltaTime, input);
 
         const shipState = this.spaceship.update(deltaTime, terrainHeight);
 
-        if (shipState === 'crashed') {
+        if (shipState === 'crashed' && this._crashResetTimer === null) {
             this.onCrash();
         }
 
-        if (this.inputManager.isLeftDragging()) {
-            this.camera.handleOrbitInput(mouseDelta.x, mouseDelta.y);
-        }
-
-        if (wheelDelta !== 0) {
-            this.camera.handleZoom(wheelDelta);
-        }
-
+        this.camera.handleInput(input, deltaTime);
         this.camera.update();
     }
 
-    this.spaceshipModel.update(this.spaceship.getState());
-    if (this.renderer && this.renderer.genericMeshRenderer) {
-        this.renderer.genericMeshRenderer.updateMesh('spaceship');
+    // Crash respawn runs on simulation time so replays reset on the same frame
+    if (this._crashResetTimer !== null) {
+        this._crashResetTimer -= deltaTime;
+        if (this._crashResetTimer <= 0) {
+            this.resetGame();
+        }
     }
-    this.chunkManager.update(
-        cameraGameX,
-        cameraGameY,
-        cameraGameZ
-    );
 
     this.gameState = {
         time: performance.now(),
         player: this.spaceship,
         spaceship: this.spaceship,
         terrain: this.chunkManager.loadedChunks,
+        chunkManager: this.chunkManager,
         objects: new Map(),
         camera: this.camera,
         altitudeZoneManager: this.altitudeZoneManager
@@ -512,7 +1012,16 @@ update(deltaTime) {
     
     this.environmentState.update(this.gameState);
 
-    this.updateUI();
+    if (recorder?.isRecording) {
+        recorder.recordFrame({
+            deltaTime,
+            terrainHeight,
+            input,
+            cameraMode: this.cameraMode,
+            ship: this.spaceship.getState(),
+            camera: this.camera
+        });
+    }
 }
 
 getTerrainHeightAt(gameX, gameY, gameZ = null) {
@@ -534,8 +1043,23 @@ getTerrainHeightAt(gameX, gameY, gameZ = null) {
     const localX = gameX - (chunkX * chunkSize);
     const localY = gameY - (chunkY * chunkSize);
     
+    // Terrain edits are replayed into chunk heights on load, so this is the edited surface
     return chunk.getHeight(localX, localY);
 }
+
+/**
+ * Terrain height above the planet radius under a game-space position
+ * (0 where the chunk below isn't loaded yet).
+ */
+getTerrainAltitudeAt(gamePosition) {
+    const renderPosition = new THREE.Vector3(gamePosition.x, gamePosition.z, gamePosition.y);
+    const height = this.chunkManager.getSphericalHeight(renderPosition);
+    if (height === null) return 0;
+
+    const renderScale = this.worldGenerator?.renderHeightScale;
+    const genScale = this.worldGenerator?.generationHeightScale || renderScale || 1.0;
+    return height * (renderScale ? renderScale / genScale : 1.0);
+}
     async render(deltaTime) {
         if (!this.isGameActive) return;
         if (this.renderer && this.gameState) {
@@ -548,14 +1072,13 @@ getTerrainHeightAt(gameX, gameY, gameZ = null) {
     onCrash() {
         console.log('GAME OVER - Crashed!');
         this.showCrashScreen();
-        
-        setTimeout(() => {
-            this.resetGame();
-        }, 3000);
+        this._crashResetTimer = 3;
     }
 
     resetGame() {
-        this.spaceship.reset(0, 0, 15);
+        const spawn = this._spawnPosition || { x: 0, y: 0, z: 15 };
+        this.spaceship.reset(spawn.x, spawn.y, spawn.z);
+        this._crashResetTimer = null;
         this.hideCrashScreen();
     }
 
@@ -615,8 +1138,10 @@ getTerrainHeightAt(gameX, gameY, gameZ = null) {
                 <div style="font-size: 10px; line-height: 1.3; margin-left: 10px;">
                     W/S: Throttle | A/D: Turn<br>
                     Z/X: Pitch | Q/E: Vertical<br>
+                    H: Hover Assist<br>
                     Mouse Drag: Orbit Camera<br>
-                    Wheel: Zoom | V: Free Cam
+                    Wheel: Zoom | V: Free Cam<br>
+                    F9: Record Flight
                 </div>
             </div>
         ` : `
@@ -630,12 +1155,20 @@ getTerrainHeightAt(gameX, gameY, gameZ = null) {
             </div>
         `;
     
+        const orbit = shipState.orbit;
+        const orbitInfo = orbit ? `<br>
+                Throttle: ${(shipState.throttle * 100).toFixed(0)}% | Hover: ${shipState.hoverAssist ? 'ON' : 'OFF'}<br>
+                V/S: ${orbit.verticalSpeed.toFixed(1)} | Orbit V: ${orbit.circularSpeed.toFixed(0)}<br>
+                Ap: ${Number.isFinite(orbit.apoapsisAltitude) ? orbit.apoapsisAltitude.toFixed(0) + 'm' : 'escape'} | Pe: ${orbit.periapsisAltitude.toFixed(0)}m${orbit.stable ? ' <span style="color: #0f0;">ORBIT</span>' : ''}
+        ` : '';
+
         const flightInfo = `
             <div style="margin-top: 8px; border-top: 1px solid #555; padding-top: 5px;">
                 <strong style="font-size: 11px;">SHIP</strong><br>
                 <div style="font-family: 'Courier New'; font-size: 10px; line-height: 1.3;">
                 Speed: <span style="color: #0ff;">${shipState.speed.toFixed(1)}</span><br>
                 Pos: ${shipState.position.x.toFixed(0)}, ${shipState.position.y.toFixed(0)}, ${shipState.position.z.toFixed(0)}
+                ${orbitInfo}
                 </div>
             </div>
         `;
@@ -653,7 +1186,30 @@ getTerrainHeightAt(gameX, gameY, gameZ = null) {
             </div>
         ` : '';
     
-        this.uiElement.innerHTML = fpsInfo + controlsInfo + flightInfo + altitudeInfo;
+        const replay = this.flightReplay;
+        let recordingInfo = '';
+        if (replay) {
+            recordingInfo = `
+            <div style="font-size: 11px; color: #f80; margin-bottom: 6px;">
+                REPLAY ${replay.time.toFixed(1)} / ${replay.duration.toFixed(1)}s x${replay.speed}${replay.paused ? ' (paused)' : ''}${replay.detachCamera ? ' | free cam' : ''}${replay.divergedAt !== null ? ' | DIVERGED' : ''}
+            </div>
+        `;
+        } else if (this.cameraSequencer) {
+            const sequencer = this.cameraSequencer;
+            recordingInfo = `
+            <div style="font-size: 11px; color: #c8f; margin-bottom: 6px;">
+                CAMERA PATH ${sequencer.name} ${sequencer.time.toFixed(1)} / ${sequencer.duration.toFixed(1)}s
+            </div>
+        `;
+        } else if (this.flightRecorder) {
+            recordingInfo = `
+            <div style="font-size: 11px; color: #f33; margin-bottom: 6px;">
+                REC ${this.flightRecorder.recording.frameCount} frames
+            </div>
+        `;
+        }
+    
+        this.uiElement.innerHTML = fpsInfo + recordingInfo + controlsInfo + flightInfo + altitudeInfo;
     }
     showCrashScreen() {
         if (this.crashScreen) {
@@ -686,6 +1242,7 @@ getTerrainHeightAt(gameX, gameY, gameZ = null) {
             
             if (this.camera) {
                 this.camera.aspect = result.width / result.height;
+                if (this.freeCamera) this.freeCamera.aspect = this.camera.aspect;
                 
                 if (this.renderer && this.renderer.camera) {
                     this.renderer.camera.aspect = result.width / result.height;
@@ -1,14 +1,17 @@
 export class GameTime {
 
-    constructor(gameEngine) {
+    constructor(gameEngine, options = {}) {
         this.gameEngine = gameEngine; 
-        this.dayDurationMs = 1 * 60 * 1000; // 24 minutes real time = 1 game day
-        this.startDay = 190;
+        this.dayDurationMs = options.dayDurationMs ?? 1 * 60 * 1000; // 24 minutes real time = 1 game day
+        this.startDay = options.startDay ?? 190;
         this.currentDay = this.startDay;
-        const startHour = 12; // Start near noon for brighter initial lighting
-    
-        const offsetMs = (startHour / 24) * this.dayDurationMs;
-        this.dayStartTime = Date.now() - offsetMs;
+        const startHour = options.startHour ?? 12; // Start near noon for brighter initial lighting
+
+        // Simulation clock: advanced only by update(deltaTime), never read from
+        // the wall clock, so the same frame deltas always give the same time
+        this.elapsedMs = (startHour / 24) * this.dayDurationMs;
+        this.timeScale = options.timeScale ?? 1.0;
+        this.paused = false;
         this.seasonData = [
             { name: 'Winter', length: 95 },
             { name: 'Spring', length: 90 },
@@ -26,6 +29,7 @@ export class GameTime {
             { name: "Night", startHour: 22, lightLevel: 0.3 }
         ];
         this.seasons = ['Spring', 'Summer', 'Autumn', 'Winter']; // or use your own names
+        this._updateCalendar();
     }
 
     getRunningSeasonInfo() {
@@ -44,13 +48,83 @@ export class GameTime {
         return [this.seasonData[0].length, this.seasonData[0]]; // fallback, should not reach
     }
 
-    update() {
-        const elapsed = Date.now() - this.dayStartTime;
-        const daysPassed = Math.floor(elapsed / this.dayDurationMs);
+    /**
+     * Advance the clock.
+     * @param {number} deltaTime - seconds of simulation time, scaled by timeScale
+     */
+    update(deltaTime = 0) {
+        if (!this.paused) {
+            this.elapsedMs += Math.max(0, deltaTime) * 1000 * this.timeScale;
+        }
+        this._updateCalendar();
+    }
+
+    _updateCalendar() {
+        const daysPassed = Math.floor(this.elapsedMs / this.dayDurationMs);
         this.currentDay = this.startDay + daysPassed;
-        const dayProgress = (elapsed % this.dayDurationMs) / this.dayDurationMs;
+        const dayProgress = (this.elapsedMs - daysPassed * this.dayDurationMs) / this.dayDurationMs;
         this.timeOfDay = dayProgress * 24;
     }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    /**
+     * Jump to an hour of the current day, keeping the day.
+     */
+    setTimeOfDay(hours) {
+        const wrapped = ((hours % 24) + 24) % 24;
+        const daysPassed = this.currentDay - this.startDay;
+        this.elapsedMs = (daysPassed + wrapped / 24) * this.dayDurationMs;
+        this._updateCalendar();
+    }
+
+    /**
+     * Jump to an hour of a calendar day.
+     */
+    setDayAndTime(day, hours) {
+        this.elapsedMs = Math.max(0, day - this.startDay + hours / 24) * this.dayDurationMs;
+        this._updateCalendar();
+    }
+
+    /**
+     * Jump to a calendar day, keeping the time of day.
+     */
+    setDay(day) {
+        const dayProgress = (this.timeOfDay ?? 0) / 24;
+        this.elapsedMs = Math.max(0, day - this.startDay + dayProgress) * this.dayDurationMs;
+        this._updateCalendar();
+    }
+
+    toJSON() {
+        return {
+            startDay: this.startDay,
+            dayDurationMs: this.dayDurationMs,
+            elapsedMs: this.elapsedMs,
+            timeScale: this.timeScale,
+            paused: this.paused
+        };
+    }
+
+    // Resume the clock at the saved point
+    loadState(state) {
+        this.startDay = state.startDay ?? this.startDay;
+        this.dayDurationMs = state.dayDurationMs ?? this.dayDurationMs;
+        this.elapsedMs = state.elapsedMs || 0;
+        this.timeScale = state.timeScale ?? this.timeScale;
+        this.paused = state.paused ?? this.paused;
+        this._updateCalendar();
+    }
+
     getSeason() {
         const totalSeasonLength = this.seasonData.reduce((a, b) => a + b.length, 0);
         const dayOfYear = (this.currentDay - 1) % totalSeasonLength; // 0-indexed
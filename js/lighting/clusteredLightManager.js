@@ -31,6 +31,10 @@ export class ClusteredLightManager {
 
         this.globalLightBounds = new THREE.Box3();
 
+        // Light positions are world space; the GPU buffers and the view-space
+        // cluster test use them relative to the renderer's floating origin
+        this.renderOrigin = new THREE.Vector3();
+
         this._viewSpaceLights = new Array(this.maxLights);
         for (let i = 0; i < this.maxLights; i++) {
             this._viewSpaceLights[i] = {
@@ -58,6 +62,10 @@ export class ClusteredLightManager {
     }
 
     addLight(type, options = {}) {
+        if (this.lights.length >= this.maxLights) {
+            console.warn(`ClusteredLightManager: light limit reached (${this.maxLights})`);
+            return null;
+        }
         const light = new Light(type, options);
         this.lights.push(light);
 
@@ -87,6 +95,13 @@ export class ClusteredLightManager {
         return light;
     }
 
+    setRenderOrigin(origin) {
+        if (this.renderOrigin.equals(origin)) return;
+        this.renderOrigin.copy(origin);
+        // Cached static positions were transformed relative to the old origin
+        this.staticLightCache.clear();
+    }
+
     assignLightsToClusters(camera, forceUpdate = false) {
         if (!forceUpdate && this.framesSinceUpdate < this.updateFrequency) {
             this.framesSinceUpdate++;
@@ -167,9 +182,9 @@ export class ClusteredLightManager {
             }
 
             const worldPos = new THREE.Vector4(
-                light.position.x,
-                light.position.y,
-                light.position.z,
+                light.position.x - this.renderOrigin.x,
+                light.position.y - this.renderOrigin.y,
+                light.position.z - this.renderOrigin.z,
                 1.0
             );
 
@@ -239,13 +254,23 @@ export class ClusteredLightManager {
     }
 
     buildGPUBuffers() {
+        this._packLightBuffer();
+        return this._createOptimizedTextures();
+    }
+
+    /**
+     * 16 floats per light (see fetchClusteredLight in the lighting modules),
+     * positions relative to the render origin. The last float is the light's
+     * first shadow atlas tile, -1 without one.
+     */
+    _packLightBuffer() {
         for (let i = 0; i < this.lights.length; i++) {
             const light = this.lights[i];
             const offset = i * 16;
 
-            this.lightBuffer[offset + 0] = light.position.x;
-            this.lightBuffer[offset + 1] = light.position.y;
-            this.lightBuffer[offset + 2] = light.position.z;
+            this.lightBuffer[offset + 0] = light.position.x - this.renderOrigin.x;
+            this.lightBuffer[offset + 1] = light.position.y - this.renderOrigin.y;
+            this.lightBuffer[offset + 2] = light.position.z - this.renderOrigin.z;
             this.lightBuffer[offset + 3] = light.radius;
 
             this.lightBuffer[offset + 4] = light.color.r;
@@ -261,10 +286,8 @@ export class ClusteredLightManager {
             this.lightBuffer[offset + 12] = light.angle;
             this.lightBuffer[offset + 13] = light.penumbra;
             this.lightBuffer[offset + 14] = light.decay;
-            this.lightBuffer[offset + 15] = light.castShadow ? 1.0 : 0.0;
+            this.lightBuffer[offset + 15] = light.castShadow ? light.shadowMapIndex : -1.0;
         }
-
-        return this._createOptimizedTextures();
     }
 
 // Fixed ClusteredLightManager._createOptimizedTextures()
@@ -317,7 +340,8 @@ _createOptimizedTextures() {
     };
 }
     _lightIntersectsAABB(viewLight, aabb) {
-        if (viewLight.type === LightType.POINT) {
+        // Spots are tested by their bounding sphere, like the WebGPU cull
+        if (viewLight.type === LightType.POINT || viewLight.type === LightType.SPOT) {
             const closest = new THREE.Vector3(
                 Math.max(aabb.min.x, Math.min(viewLight.position.x, aabb.max.x)),
                 Math.max(aabb.min.y, Math.min(viewLight.position.y, aabb.max.y)),
@@ -19,6 +19,13 @@ uniform float cameraNear;
 uniform float cameraFar;
 uniform mat4 projectionMatrix;
 
+// WebGL2LocalLightShadowRenderer: depth atlas, one mat4 per tile (4 texels)
+uniform sampler2D localShadowAtlas;
+uniform sampler2D localShadowMatrices;
+// atlasSize, tileSize, near, depthBias
+uniform vec4 localShadowParams;
+uniform float localShadowNormalOffset;
+
 struct ClusteredLight {
     vec3 position;
     float radius;
@@ -29,7 +36,7 @@ struct ClusteredLight {
     float angle;
     float penumbra;
     float decay;
-    float castShadow;
+    float shadowIndex;
 };
 
 int getClusterIndex(vec3 viewPos) {
@@ -83,11 +90,68 @@ ClusteredLight fetchClusteredLight(int lightIndex) {
     light.angle = data3.x;
     light.penumbra = data3.y;
     light.decay = data3.z;
-    light.castShadow = data3.w;
+    light.shadowIndex = data3.w;
     
     return light;
 }
 
+// +X, -X, +Y, -Y, +Z, -Z, the order of LocalLightShadowRenderer's cube tiles
+int localShadowCubeFace(vec3 v) {
+    vec3 a = abs(v);
+    if (a.x >= a.y && a.x >= a.z) return v.x > 0.0 ? 0 : 1;
+    if (a.y >= a.z) return v.y > 0.0 ? 2 : 3;
+    return v.z > 0.0 ? 4 : 5;
+}
+
+mat4 fetchLocalShadowMatrix(int tile) {
+    int base = tile * 4;
+    return mat4(
+        texelFetch(localShadowMatrices, ivec2(base, 0), 0),
+        texelFetch(localShadowMatrices, ivec2(base + 1, 0), 0),
+        texelFetch(localShadowMatrices, ivec2(base + 2, 0), 0),
+        texelFetch(localShadowMatrices, ivec2(base + 3, 0), 0)
+    );
+}
+
+// Stored depth is window depth of a projection with the light's radius as
+// far plane
+float localShadowLinearDepth(float storedDepth, float far) {
+    float near = localShadowParams.z;
+    float ndcZ = storedDepth * 2.0 - 1.0;
+    return 2.0 * near * far / (far + near - ndcZ * (far - near));
+}
+
+float sampleLocalShadow(ClusteredLight light, vec3 worldPos, vec3 normal) {
+    if (light.shadowIndex < -0.5 || localShadowParams.y < 1.0) return 1.0;
+
+    vec3 fromLight = worldPos - light.position;
+    int tile = int(light.shadowIndex + 0.5);
+    if (light.lightType < 1.5) tile += localShadowCubeFace(fromLight);
+
+    vec3 offsetPos = worldPos + normal * (localShadowNormalOffset * length(fromLight));
+    vec4 p = fetchLocalShadowMatrix(tile) * vec4(offsetPos, 1.0);
+    if (p.w <= localShadowParams.z) return 1.0;
+
+    float tileSize = localShadowParams.y;
+    float tilesPerRow = floor(localShadowParams.x / tileSize);
+    vec2 tileMin = vec2(mod(float(tile), tilesPerRow), floor(float(tile) / tilesPerRow)) * tileSize;
+    vec2 tileMax = tileMin + vec2(tileSize - 1.0);
+
+    // 2x2 texels around the sample point, bilinearly weighted
+    vec2 texel = p.xy / p.w - 0.5;
+    vec2 base = floor(texel);
+    vec2 f = texel - base;
+    float depth = p.w * (1.0 - localShadowParams.w);
+
+    vec4 taps = vec4(0.0);
+    for (int i = 0; i < 4; i++) {
+        ivec2 coord = ivec2(clamp(base + vec2(float(i & 1), float(i >> 1)), tileMin, tileMax));
+        float stored = texelFetch(localShadowAtlas, coord, 0).r;
+        taps[i] = depth <= localShadowLinearDepth(stored, light.radius) ? 1.0 : 0.0;
+    }
+    return mix(mix(taps.x, taps.y, f.x), mix(taps.z, taps.w, f.x), f.y);
+}
+
 vec3 calculatePointLight(
     ClusteredLight light,
     vec3 worldPos,
@@ -188,12 +252,18 @@ vec3 evaluateClusteredLights(
         
         ClusteredLight light = fetchClusteredLight(lightIndex);
         
+        vec3 contribution = vec3(0.0);
         if (light.lightType < 0.5) {
         } else if (light.lightType < 1.5) {
-            totalLight += calculatePointLight(light, worldPos, normal, viewDir, albedo);
+            contribution = calculatePointLight(light, worldPos, normal, viewDir, albedo);
         } else if (light.lightType < 2.5) {
-            totalLight += calculateSpotLight(light, worldPos, normal, viewDir, albedo);
+            contribution = calculateSpotLight(light, worldPos, normal, viewDir, albedo);
+        }
+
+        if (light.shadowIndex > -0.5 && any(greaterThan(contribution, vec3(0.0)))) {
+            contribution *= sampleLocalShadow(light, worldPos, normal);
         }
+        totalLight += contribution;
     }
     
     return totalLight;
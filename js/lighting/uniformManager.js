@@ -12,6 +12,18 @@ export class UniformManager {
             clusterDataTexture: { value: null },
             lightDataTexture: { value: null },
             lightIndicesTexture: { value: null },
+            // WebGPU: storage/uniform buffers written by the light culling pass
+            clusterLightBuffer: { value: null },
+            clusterGridBuffer: { value: null },
+            clusterIndexBuffer: { value: null },
+            clusterParamsBuffer: { value: null },
+            // Local light shadow atlas (LocalLightShadowRenderer)
+            localShadowAtlas: { value: null },
+            localShadowMatrices: { value: null },
+            localShadowParams: { value: new THREE.Vector4(0, 0, 0.1, 0) },
+            localShadowNormalOffset: { value: 0.0 },
+            localShadowMatrixBuffer: { value: null },
+            localShadowParamsBuffer: { value: null },
             numLights: { value: 0 },
             maxLightsPerCluster: { value: 32 },
             sunLightColor: { value: new THREE.Color(0xffffff) },
@@ -36,6 +48,8 @@ export class UniformManager {
             fogScaleHeight: { value: 1200 },
             weatherIntensity: { value: 0.0 },
             currentWeather: { value: 0 },
+            surfaceWetness: { value: 0.0 },
+            snowCover: { value: 0.0 },
             shadowMapCascade0: { value: null },
             shadowMapCascade1: { value: null },
             shadowMapCascade2: { value: null },
@@ -43,11 +57,19 @@ export class UniformManager {
             shadowMatrixCascade1: { value: new THREE.Matrix4() },
             shadowMatrixCascade2: { value: new THREE.Matrix4() },
             cascadeSplits: { value: new THREE.Vector3(30, 90, 200) },
-            numCascades: { value: 3 },
-            shadowBias: { value: 0.001 },
-            shadowNormalBias: { value: 0.1 },
+            numCascades: { value: 0 },
+            shadowBias: { value: 0.05 },
+            shadowNormalBias: { value: 1.0 },
             shadowMapSize: { value: 2048.0 },
             receiveShadow: { value: 1.0 },
+            shadowCascadeTexelSize: { value: new THREE.Vector3() },
+            shadowCascadeDepthRange: { value: new THREE.Vector3(1, 1, 1) },
+            shadowBlendBand: { value: 0.15 },
+            shadowFilterMode: { value: 1.0 },
+            shadowPCFRadius: { value: 1.5 },
+            shadowPenumbraScale: { value: 0.0 },
+            // WebGPU: SunShadowParams, packed by CascadedShadowMapRenderer
+            sunShadowParamsBuffer: { value: null },
 
             atmospherePlanetRadius: { value: 50000 },
             atmosphereRadius: { value: 55000 },
@@ -63,12 +85,23 @@ export class UniformManager {
 
             transmittanceLUT: { value: null },
             multiScatterLUT: { value: null },
-            skyViewLUT: { value: null }
+            skyViewLUT: { value: null },
+            aerialPerspectiveLUT: { value: null },
+            // (projection [0][0], [1][1], max distance, slice count); no
+            // slices until AtmosphericScatteringLUT.updateViewLUTs runs
+            aerialPerspectiveParams: { value: new THREE.Vector4() },
+            // WebGPU: the same params as a uniform buffer
+            aerialPerspectiveParamsBuffer: { value: null }
         };
 
         this.materials = new Set();
         this.currentEnvironmentState = null;
         this.currentPlanetConfig = null;
+        // Floating origin: cameraPosition and planetCenter are render space
+        // (relative to renderOrigin); CPU code wanting the world camera reads
+        // cameraWorldPosition
+        this.renderOrigin = new THREE.Vector3();
+        this.cameraWorldPosition = new THREE.Vector3();
         this._dirtyUniforms = new Set();
         this._needsUpdate = false;
 
@@ -103,7 +136,23 @@ export class UniformManager {
         this._needsUpdate = true;
     }
 
+    setRenderOrigin(origin) {
+        this.renderOrigin.copy(origin);
+        this._updatePlanetCenter();
+    }
+
+    _updatePlanetCenter() {
+        if (!this.currentPlanetConfig) return;
+        this.uniforms.planetCenter.value.subVectors(this.currentPlanetConfig.origin, this.renderOrigin);
+    }
+
     updateCameraParameters(camera) {
+        if (camera.worldPosition) {
+            this.cameraWorldPosition.copy(camera.worldPosition);
+        } else if (camera.position) {
+            this.cameraWorldPosition.copy(camera.position).add(this.renderOrigin);
+        }
+
         if (camera.position) {
             if (camera.position.isVector3) {
                 this.uniforms.cameraPosition.value.copy(camera.position);
@@ -124,7 +173,7 @@ export class UniformManager {
         }
 
         if (this.currentPlanetConfig) {
-            const altitude = this._calculateAltitude(this.uniforms.cameraPosition.value);
+            const altitude = this._calculateAltitude(this.cameraWorldPosition);
             this.uniforms.viewerAltitude.value = altitude;
         }
     }
@@ -166,7 +215,7 @@ export class UniformManager {
             this.uniforms.atmosphereRadius.value = planetConfig.radius + planetConfig.atmosphereHeight;
             return;
         }
-        this.uniforms.planetCenter.value.copy(planetConfig.origin);
+        this._updatePlanetCenter();
         this.uniforms.aerialPerspectiveEnabled.value = planetConfig.hasAtmosphere ? 1.0 : 0.0;
         
         this.uniforms.atmospherePlanetRadius.value = atmo.planetRadius;
@@ -190,7 +239,7 @@ export class UniformManager {
         });
     }
 
-    setAtmosphereLUTs(transmittance, multiScatter, skyView) {
+    setAtmosphereLUTs(transmittance, multiScatter, skyView, aerialPerspective) {
         if (transmittance) {
             this.uniforms.transmittanceLUT.value = transmittance;
             this._markUniformDirty('transmittanceLUT');
@@ -203,6 +252,16 @@ export class UniformManager {
             this.uniforms.skyViewLUT.value = skyView;
             this._markUniformDirty('skyViewLUT');
         }
+        if (aerialPerspective) {
+            this.uniforms.aerialPerspectiveLUT.value = aerialPerspective;
+            this._markUniformDirty('aerialPerspectiveLUT');
+        }
+    }
+
+    updateAerialPerspectiveParams(params, paramsBuffer = null) {
+        this.uniforms.aerialPerspectiveParams.value.copy(params);
+        this.uniforms.aerialPerspectiveParamsBuffer.value = paramsBuffer;
+        this._markUniformDirty('aerialPerspectiveParams');
     }
 
     getAtmosphereUniformBuffer() {
@@ -307,28 +366,39 @@ export class UniformManager {
         if (environmentState.currentWeather !== undefined) {
             u.currentWeather.value = this._encodeWeather(environmentState.currentWeather);
         }
+        if (environmentState.groundWetness !== undefined) {
+            u.surfaceWetness.value = environmentState.groundWetness;
+        }
+        if (environmentState.snowAccumulation !== undefined) {
+            u.snowCover.value = environmentState.snowAccumulation;
+        }
     }
 
     updateFromShadowRenderer(shadowData) {
         if (!shadowData) return;
 
+        const u = this.uniforms;
         if (shadowData.cascades) {
-            this.uniforms.numCascades.value = shadowData.numCascades;
+            u.numCascades.value = shadowData.numCascades;
 
             for (let i = 0; i < Math.min(3, shadowData.cascades.length); i++) {
                 const cascade = shadowData.cascades[i];
-                this.uniforms[`shadowMapCascade${i}`].value = cascade.renderTarget.texture;
-                this.uniforms[`shadowMatrixCascade${i}`].value.copy(cascade.shadowMatrix);
-            }
-
-            if (shadowData.cascades.length >= 3) {
-                this.uniforms.cascadeSplits.value.set(
-                    shadowData.cascades[0].split.far,
-                    shadowData.cascades[1].split.far,
-                    shadowData.cascades[2].split.far
-                );
+                u[`shadowMapCascade${i}`].value = cascade.renderTarget.depthAttachment;
+                u[`shadowMatrixCascade${i}`].value.copy(cascade.shadowMatrix);
+                u.cascadeSplits.value.setComponent(i, shadowData.splits[i]);
+                u.shadowCascadeTexelSize.value.setComponent(i, cascade.texelSize);
+                u.shadowCascadeDepthRange.value.setComponent(i, cascade.depthRange);
             }
         }
+
+        u.shadowBias.value = shadowData.shadowBias;
+        u.shadowNormalBias.value = shadowData.shadowNormalBias;
+        u.shadowMapSize.value = shadowData.shadowMapSize;
+        u.shadowBlendBand.value = shadowData.blendBand;
+        u.shadowFilterMode.value = shadowData.filter;
+        u.shadowPCFRadius.value = shadowData.pcfRadius;
+        u.shadowPenumbraScale.value = shadowData.penumbraScale;
+        u.sunShadowParamsBuffer.value = shadowData.paramsBuffer;
     }
 
     updateFromClusteredLights(clusterGrid, clusteredLightManager, textures) {
@@ -336,7 +406,28 @@ export class UniformManager {
         this.uniforms.clusterDataTexture.value = textures.clusterData;
         this.uniforms.lightDataTexture.value = textures.lightData;
         this.uniforms.lightIndicesTexture.value = textures.lightIndices;
+        if (textures.buffers) {
+            this.uniforms.clusterLightBuffer.value = textures.buffers.lights;
+            this.uniforms.clusterGridBuffer.value = textures.buffers.clusterGrid;
+            this.uniforms.clusterIndexBuffer.value = textures.buffers.lightIndices;
+            this.uniforms.clusterParamsBuffer.value = textures.buffers.params;
+        }
         this.uniforms.numLights.value = clusteredLightManager.lights.length;
+        this.uniforms.maxLightsPerCluster.value = clusteredLightManager.maxLightsPerCluster;
+    }
+
+    updateFromLocalShadows(shadowData) {
+        if (!shadowData) return;
+
+        this.uniforms.localShadowAtlas.value = shadowData.atlas;
+        this.uniforms.localShadowParams.value.copy(shadowData.params);
+        this.uniforms.localShadowNormalOffset.value = shadowData.normalOffset;
+        if (shadowData.paramsBuffer) {
+            this.uniforms.localShadowMatrixBuffer.value = shadowData.matrices;
+            this.uniforms.localShadowParamsBuffer.value = shadowData.paramsBuffer;
+        } else {
+            this.uniforms.localShadowMatrices.value = shadowData.matrices;
+        }
     }
 
     updateFromLightManager(lightManager) {
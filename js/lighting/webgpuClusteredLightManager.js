@@ -0,0 +1,345 @@
+// js/lighting/webgpuClusteredLightManager.js
+// Clustered light assignment on the GPU. One compute pass builds the
+// view-space cluster AABBs from ClusterGrid's depth slices (only when the
+// projection changes), a second culls every point/spot light against every
+// cluster and writes the per-cluster index lists. The terrain shader reads
+// the same storage buffers (mesh/terrain/shaders/webgpu/clusteredLighting.js),
+// so nothing is read back and the light count is no longer bound by the CPU
+// loop. ClusteredLightManager remains the WebGL2 path.
+//
+// Each cluster owns a fixed slot of maxLightsPerCluster indices, so the cull
+// needs no atomics and keeps lights in index order.
+
+import { ClusteredLightManager } from './clusteredLightManager.js';
+
+const WORKGROUP_SIZE = 64;
+// Floats in the ClusterParams uniform (struct below, padded to 16 bytes)
+const PARAMS_FLOATS = 48;
+
+const CLUSTER_STRUCTS_WGSL = /* wgsl */`
+struct ClusterParams {
+    viewMatrix : mat4x4<f32>,
+    projectionMatrix : mat4x4<f32>,
+    clusterDimensions : vec3<f32>,
+    numLights : f32,
+    near : f32,
+    far : f32,
+    maxLightsPerCluster : f32,
+    logarithmicDepth : f32,
+    tanHalfFov : f32,
+    aspect : f32,
+    _pad0 : f32,
+    _pad1 : f32,
+};
+
+struct ClusterBounds {
+    minPoint : vec4<f32>,
+    maxPoint : vec4<f32>,
+};
+
+struct ClusteredLight {
+    position : vec3<f32>,
+    radius : f32,
+    color : vec3<f32>,
+    intensity : f32,
+    direction : vec3<f32>,
+    lightType : f32,
+    angle : f32,
+    penumbra : f32,
+    decay : f32,
+    shadowIndex : f32,
+};
+
+fn clusterCount() -> u32 {
+    let dims = vec3<u32>(params.clusterDimensions);
+    return dims.x * dims.y * dims.z;
+}`;
+
+export class WebGPUClusteredLightManager extends ClusteredLightManager {
+    constructor(backend, clusterGrid, options = {}) {
+        super(clusterGrid, {
+            ...options,
+            maxLights: options.maxLights || 4096,
+            maxLightsPerCluster: options.maxLightsPerCluster || 64
+        });
+        this.backend = backend;
+        this.maxLightIndices = this.clusterGrid.totalClusters * this.maxLightsPerCluster;
+        // The GPU pass is cheap enough to run every frame
+        this.updateFrequency = 0;
+
+        this.buffers = null;
+        this._params = new Float32Array(PARAMS_FLOATS);
+        this._boundsKey = null;
+        this._buildPipeline = null;
+        this._cullPipeline = null;
+        this._buildBindGroup = null;
+        this._cullBindGroup = null;
+        this.initialized = false;
+    }
+
+    initialize() {
+        const totalClusters = this.clusterGrid.totalClusters;
+        this.buffers = {
+            lights: this.backend.createBuffer(new Float32Array(this.maxLights * 16), 'storage'),
+            clusterBounds: this.backend.createBuffer(new Float32Array(totalClusters * 8), 'storage'),
+            clusterGrid: this.backend.createBuffer(new Uint32Array(totalClusters * 2), 'storage'),
+            lightIndices: this.backend.createBuffer(new Uint32Array(this.maxLightIndices), 'storage'),
+            params: this.backend.createBuffer(this._params, 'uniform')
+        };
+
+        const build = this.backend.createComputePipeline({
+            label: 'Cluster Bounds',
+            shaderSource: this._getBuildShader(),
+            bindGroupLayouts: [{
+                entries: [
+                    { binding: 0, type: 'uniform' },
+                    { binding: 1, type: 'storage' }
+                ]
+            }]
+        });
+        this._buildPipeline = build.pipeline;
+        this._buildBindGroup = this.backend.createBindGroup(build.bindGroupLayout, [
+            { binding: 0, resource: this.buffers.params },
+            { binding: 1, resource: this.buffers.clusterBounds }
+        ]);
+
+        const cull = this.backend.createComputePipeline({
+            label: 'Cluster Light Cull',
+            shaderSource: this._getCullShader(),
+            bindGroupLayouts: [{
+                entries: [
+                    { binding: 0, type: 'uniform' },
+                    { binding: 1, type: 'read-only-storage' },
+                    { binding: 2, type: 'read-only-storage' },
+                    { binding: 3, type: 'storage' },
+                    { binding: 4, type: 'storage' }
+                ]
+            }]
+        });
+        this._cullPipeline = cull.pipeline;
+        this._cullBindGroup = this.backend.createBindGroup(cull.bindGroupLayout, [
+            { binding: 0, resource: this.buffers.params },
+            { binding: 1, resource: this.buffers.lights },
+            { binding: 2, resource: this.buffers.clusterBounds },
+            { binding: 3, resource: this.buffers.clusterGrid },
+            { binding: 4, resource: this.buffers.lightIndices }
+        ]);
+
+        this.initialized = true;
+        console.log(`WebGPUClusteredLightManager initialized: ${this.maxLights} lights, ${this.maxLightsPerCluster} per cluster`);
+    }
+
+    /**
+     * Upload the lights and cull them into the cluster lists on the GPU.
+     * Call after ClusterGrid.updateFromCamera().
+     */
+    assignLightsToClusters(camera, forceUpdate = false) {
+        if (!this.initialized) return false;
+        if (!forceUpdate && this.framesSinceUpdate < this.updateFrequency) {
+            this.framesSinceUpdate++;
+            return false;
+        }
+        this.framesSinceUpdate = 0;
+
+        const numLights = this.lights.length;
+        this._packLightBuffer();
+        if (numLights > 0) {
+            this.backend.updateBuffer(this.buffers.lights, this.lightBuffer.subarray(0, numLights * 16));
+        }
+        this._writeParams(camera, numLights);
+
+        const workgroups = Math.ceil(this.clusterGrid.totalClusters / WORKGROUP_SIZE);
+        const boundsKey = this._getBoundsKey();
+        if (boundsKey !== this._boundsKey) {
+            this.backend.dispatchCompute(this._buildPipeline, this._buildBindGroup, workgroups);
+            this._boundsKey = boundsKey;
+        }
+        this.backend.dispatchCompute(this._cullPipeline, this._cullBindGroup, workgroups);
+
+        // Per-cluster counts stay on the GPU
+        this.stats.totalLights = numLights;
+        return true;
+    }
+
+    /**
+     * Storage buffers for the WebGPU clustered lighting module; the texture
+     * slots of the WebGL2 path are left empty.
+     */
+    buildGPUBuffers() {
+        return {
+            lightData: null,
+            clusterData: null,
+            lightIndices: null,
+            buffers: this.buffers,
+            metadata: {
+                maxLights: this.maxLights,
+                numLights: this.lights.length,
+                maxLightsPerCluster: this.maxLightsPerCluster
+            }
+        };
+    }
+
+    /**
+     * Disabled lights keep their slot (indices stay stable) with radius 0,
+     * which the cull pass skips.
+     */
+    _packLightBuffer() {
+        super._packLightBuffer();
+        for (let i = 0; i < this.lights.length; i++) {
+            if (!this.lights[i].enabled) this.lightBuffer[i * 16 + 3] = 0;
+        }
+    }
+
+    _writeParams(camera, numLights) {
+        const grid = this.clusterGrid;
+        const p = this._params;
+        p.set(camera.matrixWorldInverse.elements, 0);
+        p.set(camera.projectionMatrix.elements, 16);
+        p[32] = grid.gridSizeX;
+        p[33] = grid.gridSizeY;
+        p[34] = grid.gridSizeZ;
+        p[35] = numLights;
+        p[36] = grid.nearPlane;
+        p[37] = grid.farPlane;
+        p[38] = this.maxLightsPerCluster;
+        p[39] = grid.useLogarithmicDepth ? 1 : 0;
+        p[40] = Math.tan(grid.fieldOfView * Math.PI / 360);
+        p[41] = grid.aspectRatio;
+        this.backend.updateBuffer(this.buffers.params, p);
+    }
+
+    _getBoundsKey() {
+        const grid = this.clusterGrid;
+        return `${grid.nearPlane}|${grid.farPlane}|${grid.fieldOfView}|${grid.aspectRatio}|${grid.useLogarithmicDepth}`;
+    }
+
+    /**
+     * Same slicing as ClusterGrid.buildClusterAABBs.
+     */
+    _getBuildShader() {
+        return /* wgsl */`
+@group(0) @binding(0) var<uniform> params : ClusterParams;
+@group(0) @binding(1) var<storage, read_write> clusterBounds : array<ClusterBounds>;
+
+${CLUSTER_STRUCTS_WGSL}
+
+fn sliceDepth(slice : u32) -> f32 {
+    let t = f32(slice) / params.clusterDimensions.z;
+    if (params.logarithmicDepth > 0.5) {
+        return params.near * pow(params.far / params.near, t);
+    }
+    return params.near + t * (params.far - params.near);
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id : vec3<u32>) {
+    let index = id.x;
+    if (index >= clusterCount()) {
+        return;
+    }
+    let dims = vec3<u32>(params.clusterDimensions);
+    let x = index % dims.x;
+    let y = (index / dims.x) % dims.y;
+    let z = index / (dims.x * dims.y);
+
+    let nearDepth = sliceDepth(z);
+    let farDepth = sliceDepth(z + 1u);
+    let nearHalf = vec2<f32>(nearDepth * params.tanHalfFov * params.aspect, nearDepth * params.tanHalfFov);
+    let farHalf = vec2<f32>(farDepth * params.tanHalfFov * params.aspect, farDepth * params.tanHalfFov);
+
+    let ndcMin = vec2<f32>(f32(x), f32(y)) / vec2<f32>(f32(dims.x), f32(dims.y)) * 2.0 - 1.0;
+    let ndcMax = vec2<f32>(f32(x + 1u), f32(y + 1u)) / vec2<f32>(f32(dims.x), f32(dims.y)) * 2.0 - 1.0;
+
+    // View space looks down -Z
+    let minXY = min(ndcMin * nearHalf, ndcMin * farHalf);
+    let maxXY = max(ndcMax * nearHalf, ndcMax * farHalf);
+    clusterBounds[index].minPoint = vec4<f32>(minXY, -farDepth, 0.0);
+    clusterBounds[index].maxPoint = vec4<f32>(maxXY, -nearDepth, 0.0);
+}`;
+    }
+
+    /**
+     * One invocation per cluster. Lights are staged through workgroup
+     * memory a tile at a time, transformed to view space once per tile.
+     */
+    _getCullShader() {
+        return /* wgsl */`
+@group(0) @binding(0) var<uniform> params : ClusterParams;
+@group(0) @binding(1) var<storage, read> lights : array<ClusteredLight>;
+@group(0) @binding(2) var<storage, read> clusterBounds : array<ClusterBounds>;
+@group(0) @binding(3) var<storage, read_write> clusterGrid : array<vec2<u32>>;
+@group(0) @binding(4) var<storage, read_write> lightIndices : array<u32>;
+
+${CLUSTER_STRUCTS_WGSL}
+
+const TILE_SIZE : u32 = ${WORKGROUP_SIZE}u;
+
+// View-space position and radius; radius 0 marks an empty slot
+var<workgroup> tile : array<vec4<f32>, ${WORKGROUP_SIZE}>;
+
+fn sphereIntersectsBounds(center : vec3<f32>, radius : f32, bounds : ClusterBounds) -> bool {
+    let closest = clamp(center, bounds.minPoint.xyz, bounds.maxPoint.xyz);
+    let offset = closest - center;
+    return dot(offset, offset) <= radius * radius;
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id : vec3<u32>,
+        @builtin(local_invocation_index) local : u32) {
+    let cluster = id.x;
+    // Out-of-range invocations still load tiles, so no early return
+    let active = cluster < clusterCount();
+    var bounds : ClusterBounds;
+    if (active) {
+        bounds = clusterBounds[cluster];
+    }
+
+    let numLights = u32(params.numLights);
+    let maxCount = u32(params.maxLightsPerCluster);
+    let offset = cluster * maxCount;
+    var count = 0u;
+
+    for (var base = 0u; base < numLights; base += TILE_SIZE) {
+        let lightIndex = base + local;
+        var entry = vec4<f32>(0.0);
+        if (lightIndex < numLights) {
+            let light = lights[lightIndex];
+            // Point (1) and spot (2); spots are culled by their bounding sphere
+            if (light.lightType > 0.5 && light.lightType < 2.5 && light.radius > 0.0) {
+                entry = vec4<f32>((params.viewMatrix * vec4<f32>(light.position, 1.0)).xyz, light.radius);
+            }
+        }
+        tile[local] = entry;
+        workgroupBarrier();
+
+        if (active) {
+            let tileCount = min(TILE_SIZE, numLights - base);
+            for (var i = 0u; i < tileCount; i++) {
+                let candidate = tile[i];
+                if (candidate.w > 0.0 && count < maxCount &&
+                    sphereIntersectsBounds(candidate.xyz, candidate.w, bounds)) {
+                    lightIndices[offset + count] = base + i;
+                    count++;
+                }
+            }
+        }
+        workgroupBarrier();
+    }
+
+    if (active) {
+        clusterGrid[cluster] = vec2<u32>(count, offset);
+    }
+}`;
+    }
+
+    cleanup() {
+        if (this.buffers) {
+            for (const buffer of Object.values(this.buffers)) {
+                this.backend.deleteBuffer(buffer);
+            }
+            this.buffers = null;
+        }
+        this.initialized = false;
+        super.cleanup();
+    }
+}
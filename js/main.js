@@ -1,6 +1,10 @@
 import { GameEngine } from './gameEngine.js';
 
-const gameEngine = new GameEngine('gameCanvas');
+// ?generator=cpu switches world generation to the JavaScript reference generator
+const params = new URLSearchParams(window.location.search);
+const gameEngine = new GameEngine('gameCanvas', {
+    worldGenerator: params.get('generator') || 'gpu'
+});
 
 // Start the game
 async function init() {
@@ -1,7 +1,7 @@
 export class GeometryLodMap {
     constructor() {
         // Map: lodLevel (int) -> { mesh, type, ... }
-        // type: 'mesh', 'sprite', or special 'remove'
+        // type: 'mesh', 'sprite', 'impostor', or special 'remove'
         this.lodMap = new Map();
         this.removeLod = null; // mark which lod means "remove from scene"
     }
@@ -20,6 +20,14 @@ export class GeometryLodMap {
         this.lodMap.set(lodLevel, { type: 'sprite', spriteFactory });
     }
 
+    /**
+     * Octahedral impostor: `geometry` is the unit billboard quad, `impostor`
+     * the bake result ({ albedoKey, normalKey, framesPerSide, center, radius }).
+     */
+    setImpostorLod(lodLevel, geometry, impostor) {
+        this.lodMap.set(lodLevel, { type: 'impostor', geometry, impostor });
+    }
+
     setRemoveLod(lodLevel) {
         this.lodMap.set(lodLevel, { type: 'remove' });
         this.removeLod = lodLevel;
@@ -2,6 +2,7 @@ import { TerrainMeshManager } from "./terrain/TerrainMeshManager.js";
 import { WaterMeshManager } from './water/WaterMeshManager.js';
 import { ChunkLoadQueue } from './chunkLoadQueue.js';
 import { ChunkKey } from '../world/chunkKey.js';
+import { PlanetaryChunkAddress } from '../planet/planetaryChunkAddress.js';
 import { TextureAtlasKey } from '../world/textureAtlasKey.js';
 import { StreamedFeatureManager } from './streamed/StreamedFeatureManager.js';
 
@@ -224,10 +225,12 @@ export class MasterChunkLoader {
 
         // Parse key to support both Flat ("x,y") and Spherical ("face:x,y:lod")
         const keyObj = ChunkKey.fromString(chunkKeyStr);
-        const chunkX = keyObj.x;
-        const chunkY = keyObj.y;
         const face = keyObj.face; // null for flat
-
+        // Planetary keys name a quadtree node; textures are addressed by its base chunk
+        const base = face !== null ? PlanetaryChunkAddress.fromKey(chunkKeyStr).getBaseCoords() : null;
+        const chunkX = base ? base.x : keyObj.x;
+        const chunkY = base ? base.y : keyObj.y;
+        const span = chunkData.span ?? 1;
 
         let hasTextures = false;
         let useAtlas = false;
@@ -249,12 +252,17 @@ export class MasterChunkLoader {
         }
         chunkData.lodLevel = lodLevel;
 
+        // Coarse nodes generated outside an atlas carry their own textures
+        if (span > 1 && !chunkData.useAtlasMode && chunkData.textureRefs?.heightTexture) {
+            hasTextures = true;
+        }
+
         // Prefer LOD-aware atlas lookup first
-        if (this.textureCache.getLODAtlasForChunk && lodCfg) {
+        if (!hasTextures && this.textureCache.getLODAtlasForChunk && lodCfg) {
             let atlasLOD = lodLevel;
-            let atlasData = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'height', atlasLOD, face, lodCfg);
-            // Fallback to nearest lower LOD if specific one missing
-            if (!atlasData) {
+            let atlasData = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'height', atlasLOD, face, lodCfg, span);
+            // Fallback to nearest lower LOD if specific one missing (finer levels may not cover a coarse node)
+            if (!atlasData && span === 1) {
                 for (let l = atlasLOD - 1; l >= 0 && !atlasData; l--) {
                     atlasData = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'height', l, face, lodCfg);
                     if (atlasData) {
@@ -314,9 +322,12 @@ export class MasterChunkLoader {
         const loadStart = performance.now();
         const environmentState = this.uniformManager?.currentEnvironmentState || {};
 
-        chunkData.chunkX = chunkX;
-        chunkData.chunkY = chunkY;
-        if (face !== null) chunkData.face = face;
+        if (face === null) {
+            chunkData.chunkX = chunkX;
+            chunkData.chunkY = chunkY;
+        } else {
+            chunkData.face = face;
+        }
 
         const meshEntry = await this.terrainMeshManager.addChunk(chunkData, environmentState, chunkKeyStr, planetConfig, sphericalMapper);
 
@@ -329,7 +340,7 @@ export class MasterChunkLoader {
 
         // Load Water (Optional)
         const waterMeshes = await this.loadWaterFeatures(
-            chunkKeyStr, chunkData.waterFeatures || [], chunkData, environmentState
+            chunkKeyStr, chunkData.waterFeatures || [], chunkData, environmentState, planetConfig, sphericalMapper
         );
 
         // Store in loaded map
@@ -342,10 +353,10 @@ export class MasterChunkLoader {
 
     }
 
-    async loadWaterFeatures(chunkKey, waterFeatures, chunkData, environmentState) {
+    async loadWaterFeatures(chunkKey, waterFeatures, chunkData, environmentState, planetConfig, sphericalMapper) {
         if (!this.waterMeshManager) return [];
         return await this.waterMeshManager.loadWaterFeatures(
-            chunkKey, waterFeatures, chunkData, environmentState
+            chunkKey, waterFeatures, chunkData, environmentState, planetConfig, sphericalMapper
         );
     }
 
@@ -359,12 +370,7 @@ export class MasterChunkLoader {
             entry.terrainFeatureBatch.geometry.dispose();
             entry.terrainFeatureBatch.material.dispose();
         }
-        if (entry.waterMeshes) {
-            for (const waterMesh of entry.waterMeshes) {
-                waterMesh.geometry.dispose();
-                waterMesh.material.dispose();
-            }
-        }
+        if (this.waterMeshManager) this.waterMeshManager.unloadChunk(chunkKeyStr);
 
         // 2. Notify Managers
         const keyObj = ChunkKey.fromString(chunkKeyStr);
@@ -389,6 +395,23 @@ export class MasterChunkLoader {
         this.loadedChunks.delete(chunkKeyStr);
     }
 
+    /**
+     * Drop every mesh and queued load of the current planet; the next
+     * update() streams in the chunks of the newly active one.
+     */
+    resetForPlanet(altitudeZoneManager) {
+        if (this.terrainMeshManager) this.terrainMeshManager.cleanup();
+        if (this.waterMeshManager) this.waterMeshManager.cleanup();
+        if (this.streamedFeatureManager) this.streamedFeatureManager.activeChunks.clear();
+
+        this.altitudeZoneManager = altitudeZoneManager;
+        this.chunkLifecycle.clear();
+        this.loadedChunks.clear();
+        this.loadQueue.clear();
+        this.chunkDataCache.clear();
+        console.log("MasterChunkLoader reset for new planet");
+    }
+
     cleanupAll() {
         if (this.terrainMeshManager) this.terrainMeshManager.cleanup();
         if (this.waterMeshManager) this.waterMeshManager.cleanup();
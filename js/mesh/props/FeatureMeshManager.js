@@ -1,9 +1,12 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { SeededRandom } from '../../seededRandom.js';
 
 function meshKey(type, shapeSeed, additionalShapeParams = {}) {
     const parts = [type, shapeSeed];
+    if (additionalShapeParams.subtype !== undefined)    parts.push(`s${additionalShapeParams.subtype}`);
     if (additionalShapeParams.complexity !== undefined) parts.push(`c${additionalShapeParams.complexity}`);
     if (additionalShapeParams.variant !== undefined)    parts.push(`v${additionalShapeParams.variant}`);
+    if (additionalShapeParams.config !== undefined)     parts.push(`h${additionalShapeParams.config}`);
     return parts.join('|');
 }
 
@@ -17,10 +20,25 @@ export class FeatureMeshManager {
         this.singletonTracker = new Map();
         this.progressCallbacks = new Set();
         this.usageStats = new Map();
+        this.lodDistances = new Map();
     }
 
-    registerGenerator(type, generator) {
+    /**
+     * @param {Array<number>} [lodDistances] - Camera distance at which each
+     *   LOD hands over to the next (e.g. TREE_LOD_CONFIG.lodDistances); without
+     *   it the type always uses LOD 0.
+     */
+    registerGenerator(type, generator, lodDistances = null) {
         this.generatorMap.set(type, generator);
+        if (lodDistances) this.lodDistances.set(type, lodDistances);
+    }
+
+    getLodForDistance(type, distance) {
+        const distances = this.lodDistances.get(type);
+        if (!distances) return 0;
+        let lod = 0;
+        while (lod < distances.length && distance >= distances[lod]) lod++;
+        return lod;
     }
     _lodMeshKey(meshType, shapeSeed, params, lod) {
         return meshKey(meshType, shapeSeed, params) + `|lod${lod}`;
@@ -93,25 +111,27 @@ export class FeatureMeshManager {
                 return null;
             }
             
-            if (info.type !== 'mesh' && info.type !== 'sprite') {
+            if (info.type !== 'mesh' && info.type !== 'sprite' && info.type !== 'impostor') {
                 console.error(`Unsupported LOD type: ${info.type}`);
                 return null;
             }
             
-            const material = this.materialFactory.getMaterialForFeature(
-                firstFeature, 
-                heightTexture, 
-                normalTexture, 
-                chunkBounds, 
-                environmentState
-            );
+            const material = info.type === 'impostor'
+                ? this.materialFactory.getImpostorMaterial(firstFeature, info.impostor)
+                : this.materialFactory.getMaterialForFeature(
+                    firstFeature, 
+                    heightTexture, 
+                    normalTexture, 
+                    chunkBounds, 
+                    environmentState
+                );
             
             if (!material) {
                 console.error(`Failed to create material for ${firstFeature.type}/${firstFeature.subtype}`);
                 return null;
             }
             
-            if (info.type === 'mesh') {
+            if (info.type === 'mesh' || info.type === 'impostor') {
                 const geometry = info.geometry;
                 if (!geometry) {
                     console.error(`No geometry in LOD info for ${meshType} at LOD ${lod}`);
@@ -148,8 +168,10 @@ export class FeatureMeshManager {
                 }
                 
                 instancedMesh.instanceMatrix.needsUpdate = true;
-                instancedMesh.frustumCulled = true;
+                // The impostor quad is sized in the vertex shader, so its bounds don't apply
+                instancedMesh.frustumCulled = info.type !== 'impostor';
                 instancedMesh.userData.featureGroup = featureGroup;
+                instancedMesh.userData.lod = lod;
                 
                 console.log(`Successfully created instanced mesh with ${featureGroup.length} instances`);
                 console.log(`Geometry vertices: ${geometry.attributes.position.count}, triangles: ${geometry.index.count / 3}`);
@@ -172,6 +194,21 @@ export class FeatureMeshManager {
         return null;
     }
 
+    /**
+     * Instanced mesh for the LOD matching `distance` (see registerGenerator).
+     * Pass the current mesh to swap: it is returned unchanged while the LOD
+     * holds, otherwise a mesh for the new LOD (null once removed) replaces it.
+     */
+    async getInstancedMeshForDistance(featureGroup, distance, heightTexture, normalTexture, chunkBounds, environmentState = null, currentMesh = null) {
+        if (!Array.isArray(featureGroup) || featureGroup.length === 0) return null;
+
+        const lod = this.getLodForDistance(featureGroup[0].getType(), distance);
+        if (currentMesh && currentMesh.userData.lod === lod) {
+            return currentMesh;
+        }
+        return this.getInstancedMeshLOD(featureGroup, heightTexture, normalTexture, chunkBounds, environmentState, lod);
+    }
+
     async getGeometryForLod(feature, lod = 0) {
         const { info } = await this._getLodInfo(feature, lod);
         return info && info.geometry;
@@ -207,12 +244,17 @@ export class FeatureMeshManager {
     // --- Extraction, transforms, cache utilities as in your draft ---
     _extractShapeParams(feature) {
         const params = {};
+        if (feature.subtype !== undefined)
+            params.subtype = feature.subtype;
         if (feature.parameters) {
             if (feature.parameters.complexity !== undefined)
                 params.complexity = Math.floor(feature.parameters.complexity * 10);
             if (feature.parameters.variant !== undefined)
                 params.variant = feature.parameters.variant;
         }
+        // Per-feature shape config (TreeFeature.treeConfig) changes the geometry too
+        if (feature.treeConfig)
+            params.config = SeededRandom.hashSeed(JSON.stringify(feature.treeConfig)).toString(16);
         return params;
     }
 
@@ -12,6 +12,9 @@ import { buildGrassVertexShader } from '../../renderer/shaders/grass/grassVertex
 import { buildGrassFragmentShader } from '../../renderer/shaders/grass/grassFragmentShader.js';
 import { buildTreeVertexShader } from '../../renderer/shaders/tree/treeVertexShader.js';
 import { buildTreeFragmentShader } from '../../renderer/shaders/tree/treeFragmentShader.js';
+import { buildTreeImpostorVertexShader } from '../../renderer/shaders/tree/treeImpostorVertexShader.js';
+import { buildTreeImpostorFragmentShader } from '../../renderer/shaders/tree/treeImpostorFragmentShader.js';
+import { TREE_LOD_CONFIG } from '../../config/treeConfig.js';
 
 export class PropMaterialFactory {
     constructor(textureManager, uniformManager, options = {}) {
@@ -313,6 +316,75 @@ export class PropMaterialFactory {
         return null;
     }
     
+    /**
+     * Material for a baked tree impostor (see TreeImpostorBaker), shared by
+     * every feature using that impostor.
+     */
+    getImpostorMaterial(feature, impostor) {
+        const key = `impostor_${impostor.albedoKey}`;
+        if (this.featureMaterialCache.has(key)) {
+            return this.featureMaterialCache.get(key);
+        }
+
+        const atlasTex = this.textureManager.getAtlasTexture(TEXTURE_LEVELS.PROP);
+        const albedoUV = this.textureManager.getTextureUV(TEXTURE_LEVELS.PROP, impostor.albedoKey);
+        const normalUV = this.textureManager.getTextureUV(TEXTURE_LEVELS.PROP, impostor.normalKey);
+        if (!atlasTex || !albedoUV || !normalUV) {
+            console.warn(`No PROP atlas slots for impostor ${impostor.albedoKey}`);
+            return null;
+        }
+
+        const materialUniforms = {
+            map: { value: atlasTex },
+            albedoUVRect: { value: new THREE.Vector4(albedoUV.u1, albedoUV.v1, albedoUV.u2, albedoUV.v2) },
+            normalUVRect: { value: new THREE.Vector4(normalUV.u1, normalUV.v1, normalUV.u2, normalUV.v2) },
+            impostorCenter: { value: impostor.center.clone() },
+            impostorRadius: { value: impostor.radius },
+            framesPerSide: { value: impostor.framesPerSide },
+            alphaCutoff: { value: TREE_LOD_CONFIG.impostor.alphaCutoff }
+        };
+
+        let uniforms;
+        if (this.uniformManager) {
+            uniforms = { ...materialUniforms, ...this.uniformManager.getLightingUniforms() };
+        } else {
+            uniforms = {
+                ...materialUniforms,
+                sunLightColor: { value: new THREE.Color(0xffffff) },
+                sunLightIntensity: { value: 1.0 },
+                sunLightDirection: { value: new THREE.Vector3(0.5, 1.0, 0.3).normalize() },
+                ambientLightColor: { value: new THREE.Color(0x404040) },
+                ambientLightIntensity: { value: 0.2 },
+                skyAmbientColor: { value: new THREE.Color(0x87baff) },
+                groundAmbientColor: { value: new THREE.Color(0x554630) },
+                fogColor: { value: new THREE.Color(0xcccccc) },
+                fogDensity: { value: 0.005 }
+            };
+        }
+
+        const isInstanced = feature.isInstanced !== false;
+        const material = new THREE.ShaderMaterial({
+            uniforms: uniforms,
+            vertexShader: buildTreeImpostorVertexShader(isInstanced),
+            fragmentShader: buildTreeImpostorFragmentShader(),
+            side: THREE.DoubleSide,
+            depthWrite: true,
+            defines: isInstanced ? { USE_INSTANCING: '' } : {}
+        });
+
+        if (this.uniformManager) {
+            this.uniformManager.registerMaterial(material);
+            const originalDispose = material.dispose.bind(material);
+            material.dispose = () => {
+                this.uniformManager.unregisterMaterial(material);
+                originalDispose();
+            };
+        }
+
+        this.featureMaterialCache.set(key, material);
+        return material;
+    }
+
     createDefaultTexture() {
         const data = new Float32Array([0]);
         const texture = new THREE.DataTexture(data, 1, 1, THREE.RedFormat, THREE.FloatType);
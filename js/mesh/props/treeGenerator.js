@@ -2,44 +2,394 @@
 
 // ./js/mesh/props/treeGenerator.js
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
-// Assuming GeometryLodMap is in the same directory or correctly imported
-import { GeometryLodMap } from '../GeometryLodMap.js'; 
-
-// Function to generate the trunk geometry (from your snippet, simplified)
-function generateTrunk(config) {
-    const radius = config.trunkRadius || 0.8;
-    const height = config.trunkHeight || 8;
-    const segments = 8;
-    // Generate a simple cylinder with top/bottom
-    const geometry = new THREE.CylinderGeometry(
-        radius * config.trunkTaper, // Top radius (tapered)
-        radius,                     // Bottom radius
-        height,                     // Height
-        segments,                   // Radial segments
-        1                           // Height segments
-    );
-    geometry.translate(0, height / 2, 0); // Center pivot at base
-    return geometry;
+import { GeometryGeneratorBase } from '../geometryGeneratorBase.js';
+import { GeometryLodMap } from '../GeometryLodMap.js';
+import { TreeImpostorBaker } from './treeImpostorBaker.js';
+import { TREE_LOD_CONFIG } from '../../config/treeConfig.js';
+import { SeededRandom } from '../../seededRandom.js';
+
+const GOLDEN_ANGLE = 2.399963;
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Seeded generator, one per tree shape (same LCG as the shrub generator).
+ */
+function createSeededRandom(seed) {
+    let currentSeed = Math.abs(Math.floor(seed)) % 233280;
+    return () => {
+        currentSeed = (currentSeed * 9301 + 49297) % 233280;
+        return currentSeed / 233280;
+    };
+}
+
+/**
+ * Unit vector perpendicular to `dir`.
+ */
+function perpendicular(dir, out = new THREE.Vector3()) {
+    const axis = Math.abs(dir.y) < 0.9 ? UP : new THREE.Vector3(1, 0, 0);
+    return out.crossVectors(dir, axis).normalize();
 }
 
-// Function to generate a simple canopy cone (from your snippet, simplified)
-function generateCanopyCone(config, trunkHeight) {
-    const canopyRadius = config.canopyRadius || 6;
-    const canopyHeight = config.canopyHeight || 10;
-    const canopyY = trunkHeight * (config.canopyBottom || 0.4);
-
-    const geometry = new THREE.ConeGeometry(
-        canopyRadius, 
-        canopyHeight, 
-        16 // radial segments
-    );
-    geometry.translate(0, canopyY + canopyHeight / 2, 0);
-    return geometry;
+/**
+ * Accumulates tubes and leaf cards into one indexed geometry. Vertex colour
+ * r marks leaves (1) against bark (0), as the tree shader expects; g is the
+ * normalised height for wind.
+ */
+class TreeMeshBuilder {
+    constructor(treeHeight) {
+        this.treeHeight = treeHeight;
+        this.positions = [];
+        this.normals = [];
+        this.uvs = [];
+        this.colors = [];
+        this.indices = [];
+        this.vertexCount = 0;
+    }
+
+    /**
+     * Tube through `points` with per-point `radii`, framed by parallel
+     * transport so it doesn't twist along bends.
+     */
+    addTube(points, radii, radialSegments) {
+        const base = this.vertexCount;
+        const tangent = new THREE.Vector3();
+        const normal = perpendicular(new THREE.Vector3().subVectors(points[1], points[0]).normalize());
+        const binormal = new THREE.Vector3();
+        const radial = new THREE.Vector3();
+        const prevTangent = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+
+        let length = 0;
+        for (let i = 0; i < points.length; i++) {
+            if (i < points.length - 1) {
+                tangent.subVectors(points[i + 1], points[i]).normalize();
+            }
+            if (i > 0) {
+                length += points[i].distanceTo(points[i - 1]);
+                rotation.setFromUnitVectors(prevTangent, tangent);
+                normal.applyQuaternion(rotation);
+            }
+            prevTangent.copy(tangent);
+            binormal.crossVectors(tangent, normal).normalize();
+
+            const v = length / (Math.PI * 2 * Math.max(radii[0], 0.05));
+            const heightNorm = points[i].y / this.treeHeight;
+            for (let s = 0; s <= radialSegments; s++) {
+                const angle = (s / radialSegments) * Math.PI * 2;
+                radial.copy(normal).multiplyScalar(Math.cos(angle))
+                    .addScaledVector(binormal, Math.sin(angle));
+
+                this.positions.push(
+                    points[i].x + radial.x * radii[i],
+                    points[i].y + radial.y * radii[i],
+                    points[i].z + radial.z * radii[i]
+                );
+                this.normals.push(radial.x, radial.y, radial.z);
+                this.uvs.push(s / radialSegments, v - Math.floor(v));
+                this.colors.push(0, heightNorm, 0);
+            }
+        }
+
+        const ring = radialSegments + 1;
+        for (let i = 0; i < points.length - 1; i++) {
+            for (let s = 0; s < radialSegments; s++) {
+                const a = base + i * ring + s;
+                const b = a + ring;
+                this.indices.push(a, b, a + 1, a + 1, b, b + 1);
+            }
+        }
+        this.vertexCount += points.length * ring;
+    }
+
+    /**
+     * Square leaf card of half-size `size` centred on `center`, facing `facing`.
+     */
+    addLeafCard(center, facing, size, spin) {
+        const base = this.vertexCount;
+        const right = perpendicular(facing).applyAxisAngle(facing, spin);
+        const up = new THREE.Vector3().crossVectors(facing, right);
+        const heightNorm = center.y / this.treeHeight;
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+        for (const [cx, cy] of corners) {
+            this.positions.push(
+                center.x + (right.x * cx + up.x * cy) * size,
+                center.y + (right.y * cx + up.y * cy) * size,
+                center.z + (right.z * cx + up.z * cy) * size
+            );
+            this.normals.push(facing.x, facing.y, facing.z);
+            this.uvs.push(cx * 0.5 + 0.5, cy * 0.5 + 0.5);
+            this.colors.push(1, heightNorm, 0);
+        }
+        this.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        this.vertexCount += 4;
+    }
+
+    build() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(this.positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(this.normals, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(this.uvs, 2));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(this.colors, 3));
+        geometry.setIndex(this.indices);
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+}
+
+/**
+ * Recursive branch generator for one tree shape at one level of detail.
+ *
+ * The trunk (level 0) may fork into co-dominant leaders at `trunkSplits`.
+ * A branch at level L carries `branchesPerLevel[L]` children up to
+ * `branchingLevels`; children are `branchThicknessRatio` as thick as their
+ * parent at the fork and stop below `minBranchThickness`. Terminal branches
+ * carry `twigLevels` of twigs, and the leaf cards go on twig tips (or on
+ * terminal branches when twigs are off).
+ *
+ * Branches grow breadth-first so the detail's `maxBranches` cuts the finest
+ * level first; a branch whose children are cut becomes terminal.
+ */
+class TreeBranchGenerator {
+    constructor(config, seed, detail) {
+        this.config = config;
+        this.detail = detail;
+        this.random = createSeededRandom(seed);
+        this.builder = new TreeMeshBuilder(config.trunkHeight + (config.canopyHeight || 0) * 0.5);
+        this.terminals = [];
+        this.leafAnchors = [];
+        this.pending = [];
+        this.branchCount = 0;
+    }
+
+    generate() {
+        const config = this.config;
+        const trunkDir = new THREE.Vector3(
+            (this.random() - 0.5) * 0.08, 1, (this.random() - 0.5) * 0.08
+        ).normalize();
+
+        const trunk = this._growBranch(
+            0, new THREE.Vector3(0, 0, 0), trunkDir,
+            config.trunkHeight, config.trunkRadius, config.trunkTaper, config.branchStartHeight
+        );
+        this._splitTrunk(trunk);
+
+        for (let i = 0; i < this.pending.length; i++) {
+            const child = this.pending[i];
+            if (this.branchCount >= this.detail.maxBranches) {
+                if (!child.parent.terminal) {
+                    child.parent.terminal = true;
+                    this.terminals.push(child.parent);
+                }
+                continue;
+            }
+            this._growBranch(
+                child.level, child.start, child.dir, child.length,
+                child.radius, child.tipRatio, child.childStart
+            );
+        }
+
+        if (this.detail.twigs && config.twigLevels > 0) {
+            this._growTwigs();
+        } else {
+            for (const branch of this.terminals) {
+                for (let i = Math.floor(branch.points.length / 2); i < branch.points.length; i++) {
+                    this.leafAnchors.push({ position: branch.points[i], origin: branch.points[0] });
+                }
+            }
+        }
+        this._placeLeaves();
+
+        return this.builder.build();
+    }
+
+    /**
+     * Emit one branch and queue its children. Returns the branch centreline
+     * so the trunk can be split afterwards.
+     */
+    _growBranch(level, start, dir, length, radius, tipRatio, childStart) {
+        const config = this.config;
+        const segments = Math.max(1, this.detail.lengthSegments - Math.min(level, 2));
+        const radialSegments = Math.max(3, this.detail.radialSegments >> Math.min(level, 2));
+        const droop = (config.layerDroop || 0.15) * (level > 0 ? 1 : 0);
+
+        const points = [start.clone()];
+        const radii = [radius];
+        const heading = dir.clone();
+        const wobble = new THREE.Vector3();
+        for (let i = 1; i <= segments; i++) {
+            wobble.set(this.random() - 0.5, this.random() - 0.5, this.random() - 0.5)
+                .multiplyScalar(config.branchAngleVariance * 0.25);
+            heading.add(wobble).addScaledVector(UP, -droop / segments).normalize();
+            points.push(points[i - 1].clone().addScaledVector(heading, length / segments));
+            radii.push(radius * (1 - (1 - tipRatio) * (i / segments)));
+        }
+        this.builder.addTube(points, radii, radialSegments);
+        this.branchCount++;
+
+        const branch = { level, points, radii, length, terminal: false };
+        const childLevel = level + 1;
+        const childCount = config.branchesPerLevel[level] || 0;
+        const canGrow = childLevel <= config.branchingLevels &&
+            childLevel <= this.detail.maxLevel &&
+            radius * config.branchThicknessRatio >= config.minBranchThickness;
+
+        if (!canGrow || childCount === 0) {
+            branch.terminal = true;
+            this.terminals.push(branch);
+            return branch;
+        }
+
+        const azimuthOffset = this.random() * Math.PI * 2;
+        const side = new THREE.Vector3();
+        for (let k = 0; k < childCount; k++) {
+            const t = childStart + (1 - childStart) * ((k + 0.3 + this.random() * 0.4) / childCount);
+            const { position, radius: parentRadius, tangent } = this._sampleBranch(branch, t);
+
+            // Fork angle from the parent: wider with branchSpreadFactor, jittered by the variance
+            const pitch = THREE.MathUtils.clamp(
+                0.45 * config.branchSpreadFactor + (this.random() - 0.5) * config.branchAngleVariance * 2,
+                0.2, 1.45
+            );
+            perpendicular(tangent, side).applyAxisAngle(tangent, azimuthOffset + k * GOLDEN_ANGLE);
+            const childDir = tangent.clone().multiplyScalar(Math.cos(pitch))
+                .addScaledVector(side, Math.sin(pitch)).normalize();
+
+            const childLength = level === 0
+                ? config.canopyRadius * (0.55 + 0.45 * this.random()) * (1 - 0.55 * t)
+                : length * (0.45 + 0.25 * this.random()) * (1 - 0.4 * t);
+
+            this.pending.push({
+                parent: branch, level: childLevel, start: position, dir: childDir, length: childLength,
+                radius: parentRadius * config.branchThicknessRatio, tipRatio: 0.35, childStart: 0.25
+            });
+        }
+        return branch;
+    }
+
+    /**
+     * Co-dominant leaders off the main trunk at each of `trunkSplits`.
+     */
+    _splitTrunk(trunk) {
+        const config = this.config;
+        for (const split of config.trunkSplits || []) {
+            if (this.random() >= config.splitProbability) continue;
+
+            const { position, radius, tangent } = this._sampleBranch(trunk, split);
+            const lean = perpendicular(tangent).applyAxisAngle(tangent, this.random() * Math.PI * 2);
+            const angle = 0.25 + this.random() * 0.25;
+            const dir = tangent.clone().multiplyScalar(Math.cos(angle)).addScaledVector(lean, Math.sin(angle)).normalize();
+
+            // A leader carries first-order branches, so it grows as level 1
+            this._growBranch(
+                1, position, dir, config.trunkHeight * (1 - split) * (0.8 + 0.2 * this.random()),
+                radius * 0.75, config.trunkTaper, 0.15
+            );
+        }
+    }
+
+    /**
+     * Position, radius and direction at fraction `t` along a branch.
+     */
+    _sampleBranch(branch, t) {
+        const { points, radii } = branch;
+        const f = THREE.MathUtils.clamp(t, 0, 1) * (points.length - 1);
+        const i = Math.min(Math.floor(f), points.length - 2);
+        const frac = f - i;
+        return {
+            position: points[i].clone().lerp(points[i + 1], frac),
+            radius: THREE.MathUtils.lerp(radii[i], radii[i + 1], frac),
+            tangent: new THREE.Vector3().subVectors(points[i + 1], points[i]).normalize()
+        };
+    }
+
+    /**
+     * Primary twigs along the outer half of each terminal branch and
+     * secondary twigs on those, scaled back to the detail's twig budget.
+     */
+    _growTwigs() {
+        const config = this.config;
+        const primary = config.primaryTwigCount;
+        const secondary = config.twigLevels > 1 ? config.secondaryTwigCount : 0;
+        const perTerminal = primary * (1 + secondary);
+        const budget = this.detail.maxTwigs / Math.max(1, perTerminal * this.terminals.length);
+        const keep = Math.min(1, budget);
+        const side = new THREE.Vector3();
+
+        const addTwig = (position, parentDir, length, azimuth) => {
+            perpendicular(parentDir, side).applyAxisAngle(parentDir, azimuth);
+            const dir = parentDir.clone().multiplyScalar(0.5).add(side).normalize();
+            const tip = position.clone().addScaledVector(dir, length);
+            this.builder.addTube([position, tip], [config.twigThickness, config.twigThickness * 0.4], 3);
+            return { tip, dir };
+        };
+
+        for (const branch of this.terminals) {
+            for (let p = 0; p < primary; p++) {
+                if (this.random() > keep) continue;
+                const { position, tangent } = this._sampleBranch(branch, 0.5 + 0.5 * (p + this.random()) / primary);
+                const twig = addTwig(
+                    position, tangent, config.primaryTwigLength * (0.7 + 0.6 * this.random()),
+                    p * GOLDEN_ANGLE + this.random()
+                );
+                this.leafAnchors.push({ position: twig.tip, origin: branch.points[0] });
+
+                for (let s = 0; s < secondary; s++) {
+                    const base = position.clone().lerp(twig.tip, 0.4 + 0.5 * this.random());
+                    const sub = addTwig(
+                        base, twig.dir, config.secondaryTwigLength * (0.7 + 0.6 * this.random()),
+                        s * GOLDEN_ANGLE + this.random() * Math.PI
+                    );
+                    this.leafAnchors.push({ position: sub.tip, origin: position });
+                }
+            }
+        }
+    }
+
+    /**
+     * Spread the detail's share of `totalLeafCount`, capped at its
+     * `maxLeafCards`, over the anchors. Cards grow as their count drops so
+     * the canopy keeps its coverage.
+     */
+    _placeLeaves() {
+        if (this.leafAnchors.length === 0) return;
+        const config = this.config;
+        const count = Math.max(1, Math.min(
+            this.detail.maxLeafCards,
+            Math.round(config.totalLeafCount * this.detail.leafFraction)
+        ));
+        const size = config.leafSize * 0.5 / Math.sqrt(count / Math.max(1, config.totalLeafCount));
+
+        const outward = new THREE.Vector3();
+        const jitter = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            const anchor = this.leafAnchors[Math.floor(this.random() * this.leafAnchors.length)];
+            jitter.set(this.random() - 0.5, this.random() - 0.5, this.random() - 0.5).multiplyScalar(size * 2);
+            const center = anchor.position.clone().add(jitter);
+
+            outward.subVectors(center, anchor.origin);
+            outward.y = Math.max(outward.y, 0) + 0.3;
+            const facing = outward.normalize().clone()
+                .add(jitter.normalize().multiplyScalar(0.6)).normalize();
+
+            this.builder.addLeafCard(center, facing, size * (0.8 + 0.4 * this.random()), this.random() * Math.PI * 2);
+        }
+    }
 }
 
 
-export class TreeGeometryGenerator {
-    constructor() {
+export class TreeGeometryGenerator extends GeometryGeneratorBase {
+    /**
+     * @param {TextureAtlasManager} [textureManager] - Source of bark/leaf
+     *   textures and home of the baked impostors; without it the far LOD
+     *   falls back to the reduced mesh.
+     */
+    constructor(textureManager = null) {
+        super();
+        this.textureManager = textureManager;
+        this.impostorBaker = textureManager ? new TreeImpostorBaker(textureManager) : null;
+        this._lodCache = new Map();
         this.treeConfigs = {
             OAK: {
                 trunkRadius: 0.8,
@@ -156,62 +506,65 @@ export class TreeGeometryGenerator {
     }
 
     /**
-     * Builds LODs for a single tree, including its leaf stream definition.
-     * @param {Object} config - The tree type configuration.
-     * @returns {GeometryLodMap} - The map of LOD geometries.
+     * Shape variant of a feature: its shapeSeed folded into the species'
+     * `variantsPerSpecies` shapes.
      */
-    async buildGeometry(config) {
-        const lodMap = new GeometryLodMap();
-        const trunkHeight = config.trunkHeight || 8;
-        
-        // --- LOD 0: Full Geometry (Trunk + Instanced Leaf Definition) ---
-        // This mesh is the highest detail trunk/branch structure.
-        const trunkGeometry = generateTrunk(config);
-        
-        // Combine trunk and branch stubs for max LOD mesh (if detailed branches exist)
-        // For simplicity here, we only use the trunk.
-        lodMap.setMeshLod(0, trunkGeometry);
-        
-        // Attach the leaf definition to LOD 0's entry for the streaming system
-        // We'll create a dedicated leaf feature for streaming later.
-        lodMap.getLod(0).leafFeature = {
-            typeName: config.leafType || 'OAK_LEAF', // e.g., 'BIRCH_LEAF'
-            // We pass parameters needed for the streamed leaf placement
-            height: config.canopyHeight || 10,
-            radius: config.canopyRadius || 6,
-            center: new THREE.Vector3(0, (trunkHeight * 0.4) + (config.canopyHeight || 10) / 2, 0),
-            // The StreamedFeatureManager will use this to find the instanced leaves
-        };
+    getShapeVariant(feature) {
+        const seed = feature.getShapeSeed?.() ?? feature.shapeSeed ?? 0;
+        return Math.abs(Math.floor(seed)) % TREE_LOD_CONFIG.variantsPerSpecies;
+    }
 
+    /**
+     * Builds LODs for a single tree: full and reduced branch meshes, then an
+     * impostor baked into the PROP atlas (the reduced mesh again when there
+     * is no atlas or it is full), then removal.
+     * @param {TreeFeature} feature - Tree feature (subtype, shapeSeed).
+     * @returns {Promise<{lodMap: GeometryLodMap}>} - The map of LOD geometries.
+     */
+    async buildGeometry(feature) {
+        const subtype = this.treeConfigs[feature.subtype] ? feature.subtype : 'OAK';
+        const variant = this.getShapeVariant(feature);
+        // A feature with its own treeConfig gets its own LODs and impostor
+        const configHash = feature.treeConfig ? `_${SeededRandom.hashSeed(JSON.stringify(feature.treeConfig)).toString(16)}` : '';
+        const key = `TREE_${subtype}_${variant}${configHash}`;
+        if (this._lodCache.has(key)) {
+            return { lodMap: this._lodCache.get(key) };
+        }
 
-        // --- LOD 1: Simple Trunk + Textured Canopy Polygon ---
-        // Mid-distance: Less trunk detail, one simple poly for canopy (e.g., green hexagon)
-        const simpleTrunk = new THREE.CylinderGeometry(0.3, 0.4, trunkHeight, 5, 1);
-        simpleTrunk.translate(0, trunkHeight / 2, 0);
-        
-        const canopyMesh = generateCanopyCone(config, trunkHeight);
-        
-        // Merged geometry for LOD 1
-        const combinedGeometry = THREE.BufferGeometryUtils.mergeGeometries([simpleTrunk, canopyMesh]);
-        lodMap.setMeshLod(1, combinedGeometry);
-
-
-        // --- LOD 2: Billboard Sprite (furthest visible range) ---
-        // Far distance: A 2D texture (pre-rendered from the tree)
-        const spriteFactory = (position, scale) => {
-            // This function would return a configured THREE.Sprite
-            const sprite = new THREE.Sprite(/* material with tree image */);
-            sprite.scale.set(scale, scale, 1);
-            return sprite;
-        };
-        lodMap.setSpriteLod(2, spriteFactory);
+        const config = feature.treeConfig || this.treeConfigs[subtype];
+        const speciesIndex = Object.keys(this.treeConfigs).indexOf(subtype);
+        const seed = 1 + speciesIndex * 7919 + variant * 104729;
+        const [fullDetail, reducedDetail] = TREE_LOD_CONFIG.meshDetail;
 
+        const lodMap = new GeometryLodMap();
+        const fullGeometry = new TreeBranchGenerator(config, seed, fullDetail).generate();
+        const reducedGeometry = new TreeBranchGenerator(config, seed, reducedDetail).generate();
+        lodMap.setMeshLod(0, fullGeometry);
+        lodMap.setMeshLod(1, reducedGeometry);
+
+        const impostor = this.impostorBaker
+            ? this.impostorBaker.bake(key, fullGeometry, config.barkTexture, config.leafTexture)
+            : null;
+        if (impostor) {
+            lodMap.setImpostorLod(2, new THREE.PlaneGeometry(1, 1), impostor);
+        } else {
+            lodMap.setMeshLod(2, reducedGeometry);
+        }
+        lodMap.setRemoveLod(3);
 
-        // --- LOD 3: Remove from scene (or simple sphere) ---
-        // Beyond render distance, but still within streaming range.
-        lodMap.setRemoveLod(3); 
-        
-        return lodMap;
+        this._lodCache.set(key, lodMap);
+        return { lodMap };
     }
 
+    getMaterialProfile(feature) {
+        return {
+            materialType: 'tree',
+            options: {
+                subtype: feature.subtype,
+                transparent: true,
+                alphaTest: 0.15,
+                side: THREE.DoubleSide
+            }
+        };
+    }
 }
\ No newline at end of file
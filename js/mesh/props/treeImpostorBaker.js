@@ -0,0 +1,269 @@
+// js/mesh/props/treeImpostorBaker.js
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { TEXTURE_LEVELS } from '../../texture/TileConfig.js';
+import { TREE_LOD_CONFIG } from '../../config/treeConfig.js';
+
+/**
+ * Hemi-octahedral mapping of the upper hemisphere (y up) onto [-1, 1]^2.
+ * Must match hemiOctEncode/hemiOctDecode in the impostor vertex shader.
+ */
+export function hemiOctEncode(dir) {
+    const y = Math.max(dir.y, 0);
+    const sum = Math.abs(dir.x) + y + Math.abs(dir.z);
+    const x = dir.x / sum;
+    const z = dir.z / sum;
+    return [x + z, x - z];
+}
+
+export function hemiOctDecode(ex, ey, out = new THREE.Vector3()) {
+    const x = (ex + ey) * 0.5;
+    const z = (ex - ey) * 0.5;
+    return out.set(x, 1 - Math.abs(x) - Math.abs(z), z).normalize();
+}
+
+/**
+ * Billboard basis for a view direction (towards the camera); same
+ * construction as the impostor vertex shader.
+ */
+export function impostorBasis(dir) {
+    const right = Math.abs(dir.y) > 0.999
+        ? new THREE.Vector3(1, 0, 0)
+        : new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), dir).normalize();
+    const up = new THREE.Vector3().crossVectors(dir, right);
+    return { right, up };
+}
+
+/**
+ * Bakes octahedral impostors of tree meshes into the PROP atlas with a
+ * small CPU rasteriser, so it runs before any GPU feature pipeline exists.
+ *
+ * Each impostor is a framesPerSide^2 grid of orthographic views, one atlas
+ * slot for albedo (alpha = coverage) and one for object-space normals.
+ * Frame (fx, fy) looks along hemiOctDecode of its grid position; rows are
+ * stored bottom-up so texture v follows the billboard's uv.
+ */
+export class TreeImpostorBaker {
+    constructor(textureManager, options = {}) {
+        this.textureManager = textureManager;
+        this.options = { ...TREE_LOD_CONFIG.impostor, ...options };
+        this._textureCache = new Map();
+    }
+
+    /**
+     * Bake `geometry` (tree mesh with leaf flags in colour r) under `key`.
+     * Returns the impostor description, or null when the atlas has no room.
+     */
+    bake(key, geometry, barkTexture, leafTexture) {
+        const level = TEXTURE_LEVELS.PROP;
+        const albedoKey = `${key}_IMPOSTOR_ALBEDO`;
+        const normalKey = `${key}_IMPOSTOR_NORMAL`;
+
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        const center = geometry.boundingSphere.center.clone();
+        const radius = geometry.boundingSphere.radius;
+        const framesPerSide = this.options.framesPerSide;
+
+        if (this.textureManager.getTextureIndex(level, albedoKey) < 0) {
+            const slotSize = this.textureManager.getAtlasInfo(level)?.textureSize;
+            if (!slotSize) return null;
+
+            const { albedo, normal } = this._render(geometry, center, radius, slotSize, barkTexture, leafTexture);
+
+            const albedoIndex = this.textureManager.addGeneratedTexture(level, albedoKey, { width: slotSize, height: slotSize, data: albedo });
+            const normalIndex = albedoIndex >= 0
+                ? this.textureManager.addGeneratedTexture(level, normalKey, { width: slotSize, height: slotSize, data: normal })
+                : -1;
+            if (normalIndex < 0) {
+                console.warn(`[TreeImpostorBaker] PROP atlas full, no impostor for ${key}`);
+                return null;
+            }
+        }
+
+        return { albedoKey, normalKey, framesPerSide, center, radius };
+    }
+
+    _render(geometry, center, radius, slotSize, barkTexture, leafTexture) {
+        const framesPerSide = this.options.framesPerSide;
+        const res = Math.floor(slotSize / framesPerSide);
+        const albedo = new Uint8ClampedArray(slotSize * slotSize * 4);
+        const normal = new Uint8ClampedArray(slotSize * slotSize * 4);
+        const depth = new Float32Array(res * res);
+
+        const bark = this._getTexture(barkTexture, this.options.fallbackBarkColor);
+        const leaf = this._getTexture(leafTexture, this.options.fallbackLeafColor);
+
+        const position = geometry.attributes.position.array;
+        const normals = geometry.attributes.normal.array;
+        const uvs = geometry.attributes.uv.array;
+        const colors = geometry.attributes.color.array;
+        const index = geometry.index.array;
+        const vertexCount = position.length / 3;
+        const projected = new Float32Array(vertexCount * 3);
+
+        const dir = new THREE.Vector3();
+        const scale = res / (radius * 2);
+
+        for (let fy = 0; fy < framesPerSide; fy++) {
+            for (let fx = 0; fx < framesPerSide; fx++) {
+                hemiOctDecode((fx / (framesPerSide - 1)) * 2 - 1, (fy / (framesPerSide - 1)) * 2 - 1, dir);
+                const { right, up } = impostorBasis(dir);
+
+                for (let v = 0; v < vertexCount; v++) {
+                    const px = position[v * 3] - center.x;
+                    const py = position[v * 3 + 1] - center.y;
+                    const pz = position[v * 3 + 2] - center.z;
+                    projected[v * 3] = (px * right.x + py * right.y + pz * right.z) * scale + res * 0.5;
+                    projected[v * 3 + 1] = (px * up.x + py * up.y + pz * up.z) * scale + res * 0.5;
+                    projected[v * 3 + 2] = px * dir.x + py * dir.y + pz * dir.z;
+                }
+                depth.fill(-Infinity);
+
+                const frame = { x0: fx * res, y0: fy * res, res, slotSize, dir };
+                for (let t = 0; t < index.length; t += 3) {
+                    this._rasterTriangle(
+                        index[t], index[t + 1], index[t + 2],
+                        projected, depth, frame, normals, uvs, colors, bark, leaf, albedo, normal
+                    );
+                }
+                this._dilate(albedo, normal, frame);
+            }
+        }
+        return { albedo, normal };
+    }
+
+    _rasterTriangle(a, b, c, projected, depth, frame, normals, uvs, colors, bark, leaf, albedo, normal) {
+        const ax = projected[a * 3], ay = projected[a * 3 + 1];
+        const bx = projected[b * 3], by = projected[b * 3 + 1];
+        const cx = projected[c * 3], cy = projected[c * 3 + 1];
+
+        const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+        if (Math.abs(area) < 1e-8) return;
+
+        const res = frame.res;
+        const minX = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+        const maxX = Math.min(res - 1, Math.ceil(Math.max(ax, bx, cx)));
+        const minY = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+        const maxY = Math.min(res - 1, Math.ceil(Math.max(ay, by, cy)));
+        if (minX > maxX || minY > maxY) return;
+
+        const isLeaf = colors[a * 3] > 0.5;
+        const texture = isLeaf ? leaf : bark;
+        const dir = frame.dir;
+        const cutoff = this.options.alphaCutoff * 255;
+
+        for (let y = minY; y <= maxY; y++) {
+            const sy = y + 0.5;
+            for (let x = minX; x <= maxX; x++) {
+                const sx = x + 0.5;
+                const w0 = ((bx - sx) * (cy - sy) - (by - sy) * (cx - sx)) / area;
+                const w1 = ((cx - sx) * (ay - sy) - (cy - sy) * (ax - sx)) / area;
+                const w2 = 1 - w0 - w1;
+                if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+                const z = w0 * projected[a * 3 + 2] + w1 * projected[b * 3 + 2] + w2 * projected[c * 3 + 2];
+                const depthIndex = y * res + x;
+                if (z <= depth[depthIndex]) continue;
+
+                const u = w0 * uvs[a * 2] + w1 * uvs[b * 2] + w2 * uvs[c * 2];
+                const v = w0 * uvs[a * 2 + 1] + w1 * uvs[b * 2 + 1] + w2 * uvs[c * 2 + 1];
+                const texel = this._sample(texture, u, v);
+                if (isLeaf && texel[3] < cutoff) continue;
+                depth[depthIndex] = z;
+
+                let nx = w0 * normals[a * 3] + w1 * normals[b * 3] + w2 * normals[c * 3];
+                let ny = w0 * normals[a * 3 + 1] + w1 * normals[b * 3 + 1] + w2 * normals[c * 3 + 1];
+                let nz = w0 * normals[a * 3 + 2] + w1 * normals[b * 3 + 2] + w2 * normals[c * 3 + 2];
+                // Leaf cards are two-sided: face the viewer
+                const sign = isLeaf && (nx * dir.x + ny * dir.y + nz * dir.z) < 0 ? -1 : 1;
+                const len = Math.hypot(nx, ny, nz) || 1;
+                nx = nx * sign / len;
+                ny = ny * sign / len;
+                nz = nz * sign / len;
+
+                const out = ((frame.y0 + y) * frame.slotSize + frame.x0 + x) * 4;
+                albedo[out] = texel[0];
+                albedo[out + 1] = texel[1];
+                albedo[out + 2] = texel[2];
+                albedo[out + 3] = 255;
+                normal[out] = (nx * 0.5 + 0.5) * 255;
+                normal[out + 1] = (ny * 0.5 + 0.5) * 255;
+                normal[out + 2] = (nz * 0.5 + 0.5) * 255;
+                normal[out + 3] = 255;
+            }
+        }
+    }
+
+    /**
+     * Bleed edge colours into empty texels (alpha stays 0) so filtering at
+     * the silhouette doesn't pull in black.
+     */
+    _dilate(albedo, normal, frame) {
+        const { x0, y0, res, slotSize } = frame;
+        for (let pass = 0; pass < 2; pass++) {
+            const filled = [];
+            for (let y = 0; y < res; y++) {
+                for (let x = 0; x < res; x++) {
+                    const i = ((y0 + y) * slotSize + x0 + x) * 4;
+                    if (albedo[i + 3] > 0 || normal[i + 3] > 0) continue;
+                    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                        const nx = x + dx, ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= res || ny >= res) continue;
+                        const j = ((y0 + ny) * slotSize + x0 + nx) * 4;
+                        if (normal[j + 3] > 0) {
+                            filled.push(i, j);
+                            break;
+                        }
+                    }
+                }
+            }
+            for (let k = 0; k < filled.length; k += 2) {
+                const i = filled[k], j = filled[k + 1];
+                albedo[i] = albedo[j];
+                albedo[i + 1] = albedo[j + 1];
+                albedo[i + 2] = albedo[j + 2];
+                normal[i] = normal[j];
+                normal[i + 1] = normal[j + 1];
+                normal[i + 2] = normal[j + 2];
+                // Mark as dilated (normal alpha 1) so the next pass grows from it
+                normal[i + 3] = 1;
+            }
+        }
+    }
+
+    _sample(texture, u, v) {
+        if (!texture.data) return texture.color;
+        const x = Math.min(texture.width - 1, Math.floor((u - Math.floor(u)) * texture.width));
+        const y = Math.min(texture.height - 1, Math.floor((v - Math.floor(v)) * texture.height));
+        const i = (y * texture.width + x) * 4;
+        const out = texture.color;
+        out[0] = texture.data[i];
+        out[1] = texture.data[i + 1];
+        out[2] = texture.data[i + 2];
+        out[3] = texture.data[i + 3];
+        return out;
+    }
+
+    /**
+     * Source texture from the PROP atlas, or a flat colour when it's missing.
+     */
+    _getTexture(key, fallbackColor) {
+        if (this._textureCache.has(key)) return this._textureCache.get(key);
+
+        const color = new THREE.Color(fallbackColor);
+        const texture = {
+            data: null,
+            width: 0,
+            height: 0,
+            color: [color.r * 255, color.g * 255, color.b * 255, 255]
+        };
+        const image = key ? this.textureManager.getTextureImageData?.(TEXTURE_LEVELS.PROP, key) : null;
+        if (image) {
+            texture.data = image.data;
+            texture.width = image.width;
+            texture.height = image.height;
+            texture.color = [0, 0, 0, 0];
+        }
+        this._textureCache.set(key, texture);
+        return texture;
+    }
+}
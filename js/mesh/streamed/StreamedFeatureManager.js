@@ -35,6 +35,9 @@ export class StreamedFeatureManager {
         this.lodDistances = options.lodDistances || [];
 
         this.lastCameraPos = new THREE.Vector3();
+        this._renderCameraPos = new THREE.Vector3();
+        this._renderViewMatrix = new THREE.Matrix4();
+        this._originHeightMatrix = new THREE.Matrix4();
         this.windTime = 0;
         this.lastUpdateFrame = 0;
         this.updateFrameInterval = options.updateIntervalFrames || 10;
@@ -333,6 +336,8 @@ export class StreamedFeatureManager {
             uniforms,
             lodLevel: chunkData.lodLevel,
             chunkCenter: chunkData.chunkCenter,
+            // World-space chunk corner; u_chunkOffset is re-derived from it per draw
+            chunkOffset: uniforms.u_chunkOffset.value.clone(),
             config: adjustedConfig,
             instanceCount: MAX_INSTANCES
         };
@@ -366,7 +371,7 @@ export class StreamedFeatureManager {
             u_heightTexture: { value: textures.heightTexture },
             u_tileTypeTexture: { value: textures.tileTypeTexture },
             cameraUniforms: { value: new Float32Array(36) },
-            featureParams: { value: new Float32Array(16) }
+            featureParams: { value: new Float32Array(20) }
         };
 
         this._updateFeatureParams({ uniforms });
@@ -399,27 +404,54 @@ export class StreamedFeatureManager {
         params[13] = uniforms.plantColor.value.r;
         params[14] = uniforms.plantColor.value.g;
         params[15] = uniforms.plantColor.value.b;
+
+        const global = this.uniformManager?.uniforms;
+        params[16] = global?.surfaceWetness?.value ?? 0;
+        params[17] = global?.snowCover?.value ?? 0;
+        params[18] = 0;
+        params[19] = 0;
     }
 
+    /**
+     * With a floating origin (camera.renderOrigin) the shaders work in render
+     * space: the chunk offset is moved horizontally, and since feature
+     * heights are sampled as absolute terrain heights the origin's height is
+     * folded into the view matrix instead.
+     */
     _updateCameraUniforms(meshData, camera) {
         const uniforms = meshData.uniforms || {};
-        if (uniforms.u_cameraPosition?.value && camera?.position) {
-            uniforms.u_cameraPosition.value.copy(camera.position);
+        const origin = camera?.renderOrigin;
+        let viewMatrix = camera?.matrixWorldInverse;
+        let cameraPosition = camera?.position;
+
+        if (origin && camera.position && viewMatrix) {
+            if (meshData.chunkOffset && uniforms.u_chunkOffset) {
+                uniforms.u_chunkOffset.value.set(meshData.chunkOffset.x - origin.x, meshData.chunkOffset.y - origin.z);
+                this._updateFeatureParams(meshData);
+            }
+            this._originHeightMatrix.makeTranslation(0, -origin.y, 0);
+            viewMatrix = this._renderViewMatrix.multiplyMatrices(viewMatrix, this._originHeightMatrix);
+            cameraPosition = this._renderCameraPos.copy(camera.position);
+            cameraPosition.y += origin.y;
+        }
+
+        if (uniforms.u_cameraPosition?.value && cameraPosition) {
+            uniforms.u_cameraPosition.value.copy(cameraPosition);
         }
-        if (uniforms.viewMatrix?.value && camera?.matrixWorldInverse) {
-            uniforms.viewMatrix.value.copy(camera.matrixWorldInverse);
+        if (uniforms.viewMatrix?.value && viewMatrix) {
+            uniforms.viewMatrix.value.copy(viewMatrix);
         }
         if (uniforms.projectionMatrix?.value && camera?.projectionMatrix) {
             uniforms.projectionMatrix.value.copy(camera.projectionMatrix);
         }
 
         const cameraBuf = uniforms.cameraUniforms?.value;
-        if (cameraBuf && camera?.matrixWorldInverse && camera?.projectionMatrix) {
-            cameraBuf.set(camera.matrixWorldInverse.elements, 0);
+        if (cameraBuf && viewMatrix && camera?.projectionMatrix) {
+            cameraBuf.set(viewMatrix.elements, 0);
             cameraBuf.set(camera.projectionMatrix.elements, 16);
-            cameraBuf[32] = camera.position.x;
-            cameraBuf[33] = camera.position.y;
-            cameraBuf[34] = camera.position.z;
+            cameraBuf[32] = cameraPosition.x;
+            cameraBuf[33] = cameraPosition.y;
+            cameraBuf[34] = cameraPosition.z;
             cameraBuf[35] = 1.0;
         }
     }
@@ -70,7 +70,7 @@ export class StreamedMaterialFactory {
             u_heightTexture: { value: null },
             u_tileTypeTexture: { value: null },
             cameraUniforms: { value: new Float32Array(36) },
-            featureParams: { value: new Float32Array(16) }
+            featureParams: { value: new Float32Array(20) }
         };
     }
 
@@ -123,6 +123,7 @@ struct FeatureParams {
     distances : vec4<f32>,                // instancesPerRow, maxDistance, taperStart, taperEnd
     densityWaterNoiseTime : vec4<f32>,    // density, waterLevel, noiseSeed, time
     windColor : vec4<f32>,                // windStrength, plantColor.r, plantColor.g, plantColor.b
+    weather : vec4<f32>,                  // surfaceWetness, snowCover, unused, unused
 };
 
 @group(0) @binding(0) var<uniform> camera : CameraUniforms;
@@ -131,6 +132,8 @@ struct FeatureParams {
 @group(1) @binding(1) var tileTypeTexture : texture_2d<f32>;
 @group(1) @binding(2) var featureSampler : sampler;
 
+const ROAD_TILE : f32 = 13.0;
+
 struct VertexInput {
     @location(0) position : vec3<f32>,
 };
@@ -234,6 +237,13 @@ fn main(input : VertexInput, @builtin(instance_index) instanceIndex : u32) -> Ve
         return output;
     }
 
+    // Nothing grows on roads
+    let tileId = textureSampleLevel(tileTypeTexture, featureSampler, texUv, 0.0).r * 255.0;
+    if (abs(tileId - ROAD_TILE) < 0.5) {
+        output.clipPosition = vec4<f32>(2.0, 2.0, 2.0, 0.0);
+        return output;
+    }
+
     let worldPosHeight = vec3<f32>(worldXZ.x, terrainHeight, worldXZ.y);
     if (isCulledByFrustum(worldPosHeight, 2.0)) {
         output.clipPosition = vec4<f32>(2.0, 2.0, 2.0, 0.0);
@@ -284,6 +294,7 @@ struct FeatureParams {
     distances : vec4<f32>,
     densityWaterNoiseTime : vec4<f32>,
     windColor : vec4<f32>,
+    weather : vec4<f32>,
 };
 
 @group(0) @binding(1) var<uniform> params : FeatureParams;
@@ -304,7 +315,13 @@ fn main(input : FragmentInput) -> @location(0) vec4<f32> {
     let lightDir = normalize(vec3<f32>(0.5, 1.0, 0.3));
     let diffuse = max(0.4, dot(normal, lightDir));
 
-    let plantColor = vec3<f32>(params.windColor.y, params.windColor.z, params.windColor.w);
+    // Wet plants darken; snow settles on their upward-facing parts
+    let wetness = params.weather.x;
+    let snowCover = params.weather.y;
+    var plantColor = vec3<f32>(params.windColor.y, params.windColor.z, params.windColor.w);
+    plantColor *= mix(1.0, 0.6, wetness);
+    let snowMask = clamp(snowCover * 1.5, 0.0, 1.0) * mix(0.35, 1.0, smoothstep(0.3, 0.9, abs(normal.y)));
+    plantColor = mix(plantColor, vec3<f32>(0.92, 0.94, 0.97), snowMask);
     let litColor = plantColor * diffuse;
 
     let dist = length(input.viewPos);
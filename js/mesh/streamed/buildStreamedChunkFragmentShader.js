@@ -10,6 +10,8 @@ export function buildStreamedChunkFragmentShader() {
         uniform vec3 plantColor;
         uniform vec3 u_cameraPosition;
         uniform float u_waterLevel;
+        uniform float surfaceWetness;
+        uniform float snowCover;
 
         out vec4 fragColor;
         
@@ -23,7 +25,12 @@ export function buildStreamedChunkFragmentShader() {
             vec3 lightDir = normalize(vec3(0.5, 1.0, 0.3));
             float diffuse = max(0.4, dot(normal, lightDir));
             
-            vec3 color = plantColor * diffuse;
+            // Wet plants darken; snow settles on their upward-facing parts
+            vec3 albedo = plantColor * mix(1.0, 0.6, surfaceWetness);
+            float snowMask = clamp(snowCover * 1.5, 0.0, 1.0) * mix(0.35, 1.0, smoothstep(0.3, 0.9, abs(normal.y)));
+            albedo = mix(albedo, vec3(0.92, 0.94, 0.97), snowMask);
+
+            vec3 color = albedo * diffuse;
             
             float dist = length(v_viewPos);
             float fogFactor = smoothstep(60.0, 100.0, dist);
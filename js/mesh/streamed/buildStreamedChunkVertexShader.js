@@ -33,6 +33,8 @@ out vec2 vUv;
 out float v_alpha;
 out vec3 v_viewPos;
 
+const float ROAD_TILE = 13.0;
+
 float hash(float x, float y, float seed) {
     return fract(sin(dot(vec3(x, y, seed), vec3(12.9898, 78.233, 45.164))) * 43758.5453);
 }
@@ -111,6 +113,13 @@ void main() {
         gl_Position = vec4(2.0, 2.0, 2.0, 0.0);
         return;
     }
+
+    // Nothing grows on roads
+    float tileId = texture(u_tileTypeTexture, texUv).r * 255.0;
+    if (abs(tileId - ROAD_TILE) < 0.5) {
+        gl_Position = vec4(2.0, 2.0, 2.0, 0.0);
+        return;
+    }
     
     vec3 worldPosWithHeight = vec3(worldXZ.x, terrainHeight, worldXZ.y);
     
@@ -29,6 +29,8 @@ export const StreamedAssetConfig = [
         config: {
             gridSpacing: 0.35,
             density: 0.85,
+            // Biome feature this asset renders; BiomeRegistry rewrites validTiles from it
+            feature: 'grass',
             validTiles: [3, 6], // GRASS, FOREST_FLOOR
             color: new THREE.Color(0.4, 0.7, 0.3),
             noiseSeed: GRASS_SHORT_SEED,
@@ -46,6 +48,7 @@ export const StreamedAssetConfig = [
         config: {
             gridSpacing: 0.5,
             density: 0.4,
+            feature: 'grass',
             validTiles: [3, 6],
             color: new THREE.Color(0.35, 0.65, 0.25),
             noiseSeed: GRASS_TALL_SEED,
@@ -64,6 +67,7 @@ export const StreamedAssetConfig = [
         config: {
             gridSpacing: 1.0,
             density: 0.15,
+            feature: 'flower',
             validTiles: [3],
             color: new THREE.Color(0.9, 0.7, 0.3),
             noiseSeed: FLOWER_SEED,
@@ -80,6 +84,7 @@ export const StreamedAssetConfig = [
         config: {
             gridSpacing: 2.0,
             density: 0.2,
+            feature: 'pebble',
             validTiles: [3, 4, 7], // GRASS, SAND, ROCK
             color: new THREE.Color(0.5, 0.5, 0.5),
             noiseSeed: PEBBLES_SEED,
@@ -96,6 +101,7 @@ export const StreamedAssetConfig = [
         config: {
             gridSpacing: 4.0,
             density: 0.3,
+            feature: 'bush',
             validTiles: [3, 6],
             color: new THREE.Color(0.3, 0.6, 0.3),
             noiseSeed: BUSHES_SEED,
@@ -112,6 +118,7 @@ export const StreamedAssetConfig = [
         config: {
             gridSpacing: 8.0,
             density: 0.1,
+            feature: 'tree',
             validTiles: [3, 6],
             color: new THREE.Color(0.2, 0.5, 0.2),
             noiseSeed: TREES_SEED,
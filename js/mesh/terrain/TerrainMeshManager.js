@@ -2,6 +2,7 @@ import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.m
 import { TerrainGeometryBuilder } from './terrainGeometryBuilder.js';
 import { TerrainMaterialBuilder } from './terrainMaterialBuilder.js';
 import { LODTextureAtlasKey } from '../../world/lodTextureAtlasKey.js';
+import { PlanetaryChunkAddress } from '../../planet/planetaryChunkAddress.js';
 
 export class TerrainMeshManager {
     constructor(backend, textureManager, textureCache, uniformManager, lodManager) {
@@ -100,13 +101,18 @@ export class TerrainMeshManager {
         // =============================================
         let chunkKey;
         let faceIndex = -1;
-        let localChunkX = chunkData.chunkX;
-        let localChunkY = chunkData.chunkY;
+        // A coarse quadtree node covers span x span base chunks; its
+        // chunkX/chunkY stay on the base grid
+        const span = chunkData.span ?? 1;
+        let localChunkX = chunkData.chunkX / span;
+        let localChunkY = chunkData.chunkY / span;
         
         // Check if this is a spherical chunk (has face property)
         if (chunkData.face !== undefined && chunkData.face !== null) {
             faceIndex = chunkData.face;
-            chunkKey = `${faceIndex}:${chunkData.chunkX},${chunkData.chunkY}:0`;
+            chunkKey = chunkKeyStr && chunkKeyStr.includes(':')
+                ? chunkKeyStr
+                : `${faceIndex}:${chunkData.chunkX},${chunkData.chunkY}:0`;
         } else {
             chunkKey = `${chunkData.chunkX},${chunkData.chunkY}`;
         }
@@ -139,7 +145,7 @@ export class TerrainMeshManager {
         // =============================================
         // 1. Calculate LOD (so textures/geometry use the same level)
         // =============================================
-        const cameraPos = this.uniformManager.uniforms.cameraPosition?.value || new THREE.Vector3();
+        const cameraPos = this.uniformManager.cameraWorldPosition || new THREE.Vector3();
         let lodLevel = typeof chunkData.forceLOD === 'number'
             ? chunkData.forceLOD
             : (typeof chunkData.lodLevel === 'number' ? chunkData.lodLevel : 0);
@@ -205,10 +211,12 @@ export class TerrainMeshManager {
         // =============================================
         // 3. Create Geometry
         // =============================================
-        const edgeMask = this._computeEdgeMask(chunkData, faceIndex, lodLevel);
+        // Quadtree nodes get a full-resolution grid over their larger footprint
+        const geometryLOD = Math.max(0, lodLevel - Math.log2(span));
+        const edgeMask = this._computeEdgeMask(chunkData, faceIndex, lodLevel, null, planetConfig, sphericalMapper, chunkKey);
         const geometry = this.useInstancing
-            ? this._getSharedGeometry(lodLevel, chunkData.size, edgeMask)
-            : TerrainGeometryBuilder.build(chunkData, offsetX, offsetZ, lodLevel, { edgeMask, addSkirt: false });
+            ? this._getSharedGeometry(geometryLOD, chunkData.size, edgeMask)
+            : TerrainGeometryBuilder.build(chunkData, offsetX, offsetZ, geometryLOD, { edgeMask, addSkirt: false });
         if (!geometry) {
             console.error('[TerrainMeshManager] Failed to create terrain geometry for', chunkKey);
             return null;
@@ -235,9 +243,7 @@ export class TerrainMeshManager {
             const pConfig = planetConfig || this.planetConfig || { radius: 50000, origin: { x: 0, y: 0, z: 0 } };
             const sMapper = sphericalMapper || this.sphericalMapper;
             const chunksPerFace = sMapper?.chunksPerFace || 16;
-            const renderScale = this.worldGenerator?.renderHeightScale;
-            const genScale = this.worldGenerator?.generationHeightScale || renderScale || 1.0;
-            const heightScale = chunkData.heightScale ?? (renderScale && genScale ? renderScale / genScale : renderScale ?? 1.0);
+            const heightScale = this.getHeightScale(chunkData);
 
             // =============================================
             // 6. Create Material WITH spherical parameters
@@ -259,7 +265,7 @@ export class TerrainMeshManager {
                 faceIndex: faceIndex,
                 faceU: localChunkX,
                 faceV: localChunkY,
-                faceSize: chunksPerFace,
+                faceSize: chunksPerFace / span,
                 planetConfig: pConfig,
                 useAtlasMode: textureInfo.useAtlasMode,
                 uvTransform: textureInfo.uvTransform,
@@ -297,11 +303,14 @@ export class TerrainMeshManager {
                 atlasKey: textureInfo.atlasKey,
                 uvTransform: textureInfo.uvTransform,
                 modelMatrix: new THREE.Matrix4(),
+                worldOrigin: this.getChunkWorldOrigin(material.uniforms),
                 edgeMask: edgeMask,
                 // Store spherical info for debugging
                 faceIndex: faceIndex,
                 localChunkX: localChunkX,
-                localChunkY: localChunkY
+                localChunkY: localChunkY,
+                // Coarse-node textures are not in the cache, so this entry disposes them
+                ownsTextures: textureInfo.ownsTextures
             };
             
             if (material.uniforms && !material.uniforms.modelMatrix) {
@@ -324,6 +333,34 @@ export class TerrainMeshManager {
         }
     }
 
+    /**
+     * World units per chunk height unit.
+     */
+    getHeightScale(chunkData) {
+        const renderScale = this.worldGenerator?.renderHeightScale;
+        const genScale = this.worldGenerator?.generationHeightScale || renderScale || 1.0;
+        return chunkData.heightScale ?? (renderScale && genScale ? renderScale / genScale : renderScale ?? 1.0);
+    }
+
+    /**
+     * Double-precision world position the vertex shader builds the chunk
+     * around: the sphere point under its chunkLocation corner, or the flat
+     * chunk corner. The corner goes through Math.fround so it is exactly the
+     * float32 cube point the shader reconstructs.
+     */
+    getChunkWorldOrigin(uniforms) {
+        const face = uniforms.chunkFace.value;
+        if (face < 0) {
+            const offset = uniforms.chunkOffset.value;
+            return new THREE.Vector3(offset.x, 0, offset.y);
+        }
+
+        const location = uniforms.chunkLocation.value;
+        const corner = this.getCubePoint(face, Math.fround(location.x), Math.fround(location.y));
+        const dir = new THREE.Vector3(Math.fround(corner.x), Math.fround(corner.y), Math.fround(corner.z)).normalize();
+        return dir.multiplyScalar(uniforms.planetRadius.value).add(uniforms.planetOrigin.value);
+    }
+
     getCubePoint(face, u, v) {
         const xy = { x: u * 2.0 - 1.0, y: v * 2.0 - 1.0 };
         switch (face) {
@@ -347,6 +384,23 @@ export class TerrainMeshManager {
         };
 
         const face = chunkData.face ?? null;
+        const span = chunkData.span ?? 1;
+
+        // Coarse nodes generated outside an atlas carry their own textures
+        const refs = chunkData.textureRefs;
+        if (span > 1 && !chunkData.useAtlasMode && refs?.heightTexture && refs?.tileTexture) {
+            result.valid = true;
+            result.ownsTextures = true;
+            result.textures = {
+                height: refs.heightTexture,
+                normal: refs.normalTexture || refs.heightTexture,
+                tile: refs.tileTexture,
+                splatData: refs.splatDataTexture || refs.heightTexture,
+                macro: refs.macroTexture || refs.heightTexture
+            };
+            return result;
+        }
+
         const lodCfg = this.lodManager?.atlasConfig || this.textureCache?.lodAtlasConfig;
         const lodLevel = typeof chunkData.lodLevel === 'number' ? chunkData.lodLevel : 0;
         const maxLOD = lodCfg?.maxLODLevels ? lodCfg.maxLODLevels - 1 : lodLevel;
@@ -355,11 +409,11 @@ export class TerrainMeshManager {
 
         // Prefer LOD-aware atlas if available
         if (this.textureCache.getLODAtlasForChunk && lodCfg) {
-            const hLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'height', atlasLOD, face, lodCfg);
-            const nLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'normal', atlasLOD, face, lodCfg);
-            const tLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'tile', atlasLOD, face, lodCfg);
-            const sLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'splatData', atlasLOD, face, lodCfg);
-            const mLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'macro', atlasLOD, face, lodCfg);
+            const hLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'height', atlasLOD, face, lodCfg, span);
+            const nLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'normal', atlasLOD, face, lodCfg, span);
+            const tLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'tile', atlasLOD, face, lodCfg, span);
+            const sLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'splatData', atlasLOD, face, lodCfg, span);
+            const mLod = this.textureCache.getLODAtlasForChunk(chunkX, chunkY, 'macro', atlasLOD, face, lodCfg, span);
 
             if (hLod && tLod) {
                 result.valid = true;
@@ -451,6 +505,9 @@ export class TerrainMeshManager {
 
         this.backend.deleteShader(meshEntry.material);
         meshEntry.material.dispose();
+        if (meshEntry.ownsTextures) {
+            this._disposeChunkTextures(meshEntry.chunkData);
+        }
 
         this.chunkMeshes.delete(chunkKey);
         this.chunkHeightTextures.delete(chunkKey);
@@ -460,6 +517,16 @@ export class TerrainMeshManager {
         return true;
     }
 
+    _disposeChunkTextures(chunkData) {
+        const refs = chunkData?.textureRefs;
+        if (!refs) return;
+        for (const texture of [refs.heightTexture, refs.normalTexture, refs.tileTexture,
+            refs.splatDataTexture, refs.splatWeightTexture, refs.splatTypeTexture, refs.macroTexture]) {
+            texture?.dispose?.();
+        }
+        chunkData.textureRefs = null;
+    }
+
     _isSharedGeometry(geometry) {
         for (const sharedGeo of this.sharedGeometries.values()) {
             if (sharedGeo === geometry) return true;
@@ -479,6 +546,9 @@ export class TerrainMeshManager {
             }
             this.backend.deleteShader(meshEntry.material);
             meshEntry.material.dispose();
+            if (meshEntry.ownsTextures) {
+                this._disposeChunkTextures(meshEntry.chunkData);
+            }
         }
 
         // Dispose any shared geometries that might not have been used yet
@@ -520,6 +590,14 @@ export class TerrainMeshManager {
         for (const [chunkKey, meshEntry] of this.chunkMeshes) {
             const chunkData = meshEntry.chunkData;
             const isSpherical = meshEntry.faceIndex >= 0;
+            // Quadtree chunks change level by being replaced with other nodes;
+            // only their seams follow the neighbouring leaves
+            const quadtree = isSpherical ? (sphericalMapper || this.sphericalMapper)?.quadtree : null;
+            if (quadtree) {
+                if (this._refreshQuadtreeEdges(chunkKey, meshEntry, quadtree)) changes++;
+                if (performance.now() - start > timeBudgetMs || changes >= 2) break;
+                continue;
+            }
 
             const keyStr = isSpherical
                 ? `${meshEntry.faceIndex}:${chunkData.chunkX},${chunkData.chunkY}:0`
@@ -614,6 +692,27 @@ export class TerrainMeshManager {
         }
     }
 
+    _refreshQuadtreeEdges(chunkKey, meshEntry, quadtree) {
+        const edgeMask = this._computeQuadtreeEdgeMask(quadtree, PlanetaryChunkAddress.fromKey(chunkKey));
+        if (edgeMask === (meshEntry.edgeMask || 0)) return false;
+
+        const chunkData = meshEntry.chunkData;
+        const geometryLOD = Math.max(0, meshEntry.lodLevel - Math.log2(chunkData.span ?? 1));
+        const newGeo = this.useInstancing
+            ? this._getSharedGeometry(geometryLOD, chunkData.size, edgeMask)
+            : TerrainGeometryBuilder.build(chunkData, chunkData.chunkX * chunkData.size, chunkData.chunkY * chunkData.size,
+                geometryLOD, { edgeMask, addSkirt: false });
+        if (!newGeo) return false;
+
+        const oldIsShared = this.useInstancing && this._isSharedGeometry(meshEntry.geometry);
+        if (!oldIsShared && meshEntry.geometry) {
+            meshEntry.geometry.dispose();
+        }
+        meshEntry.geometry = newGeo;
+        meshEntry.edgeMask = edgeMask;
+        return true;
+    }
+
     _estimateDistance(chunkData, faceIndex, cameraPosition, planetConfig, sphericalMapper) {
         if (faceIndex >= 0 && planetConfig && sphericalMapper) {
             const chunksPerFace = sphericalMapper.chunksPerFace;
@@ -665,7 +764,12 @@ export class TerrainMeshManager {
         this._pendingLODAtlasRequests.set(key, promise);
     }
 
-    _computeEdgeMask(chunkData, faceIndex, lodLevel, cameraPosition = null, planetConfig = null, sphericalMapper = null) {
+    _computeEdgeMask(chunkData, faceIndex, lodLevel, cameraPosition = null, planetConfig = null, sphericalMapper = null, chunkKey = null) {
+        const quadtree = faceIndex >= 0 ? (sphericalMapper || this.sphericalMapper)?.quadtree : null;
+        if (quadtree && chunkKey) {
+            return this._computeQuadtreeEdgeMask(quadtree, PlanetaryChunkAddress.fromKey(chunkKey));
+        }
+
         const neighbors = [
             { dx: 0, dy: -1, bit: 1 }, // top
             { dx: 1, dy: 0, bit: 2 },  // right
@@ -682,6 +786,27 @@ export class TerrainMeshManager {
         return mask;
     }
 
+    /**
+     * Edges bordering a coarser quadtree leaf drop every other vertex so
+     * they match it; the quadtree is balanced to one level per edge.
+     */
+    _computeQuadtreeEdgeMask(quadtree, address) {
+        const edges = [
+            { dir: 'down', bit: 1 },
+            { dir: 'right', bit: 2 },
+            { dir: 'up', bit: 4 },
+            { dir: 'left', bit: 8 },
+        ];
+        let mask = 0;
+        for (const edge of edges) {
+            const leaves = quadtree.getNeighborLeaves(address, edge.dir);
+            if (leaves.some(leaf => leaf.lod > address.lod)) {
+                mask |= edge.bit;
+            }
+        }
+        return mask;
+    }
+
     _getNeighborLOD(chunkData, faceIndex, dx, dy, cameraPosition = null, planetConfig = null, sphericalMapper = null) {
         const nx = chunkData.chunkX + dx;
         const ny = chunkData.chunkY + dy;
@@ -692,7 +817,7 @@ export class TerrainMeshManager {
         }
         // Fallback: estimate using LOD manager if available
         if (this.lodManager) {
-            const cam = cameraPosition || this.uniformManager?.uniforms?.cameraPosition?.value || { x: 0, y: 0, z: 0 };
+            const cam = cameraPosition || this.uniformManager?.cameraWorldPosition || { x: 0, y: 0, z: 0 };
             const keyStr = faceIndex >= 0 ? `${faceIndex}:${nx},${ny}:0` : `${nx},${ny}`;
             try {
                 return this.lodManager.getLODForChunkKey(keyStr, cam, null, planetConfig || this.planetConfig);
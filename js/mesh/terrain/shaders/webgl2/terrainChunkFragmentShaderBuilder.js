@@ -2,12 +2,12 @@
 // With aerial perspective integration
 
 import { getClusteredLightingModule } from '../../../../lighting/clusteredLightModule.js';
-import { getAerialPerspectiveGLSL } from '../../../../renderer/atmosphere/shaders/aerialPerspectiveCommon.js';
+import { getAtmosphereLUTSamplingGLSL } from '../../../../renderer/atmosphere/shaders/aerialPerspectiveCommon.js';
 
 export function buildTerrainChunkFragmentShader(options = {}) {
     const maxLightIndices = options.maxLightIndices || 8192;
     const clusteredModule = getClusteredLightingModule(maxLightIndices);
-    const aerialPerspectiveCode = getAerialPerspectiveGLSL();
+    const aerialPerspectiveCode = getAtmosphereLUTSamplingGLSL();
 
     return `#version 300 es
 precision highp float;
@@ -75,6 +75,9 @@ uniform vec3 skyAmbientColor;
 uniform vec3 groundAmbientColor;
 uniform float weatherIntensity;
 uniform float currentWeather;
+// Ground wetness and snow cover accumulated by EnvironmentState (0..1)
+uniform float surfaceWetness;
+uniform float snowCover;
 uniform float thunderLightIntensity;
 uniform vec3 thunderLightColor;
 uniform vec3 playerLightColor;
@@ -88,18 +91,33 @@ uniform sampler2D shadowMapCascade2;
 uniform mat4 shadowMatrixCascade0;
 uniform mat4 shadowMatrixCascade1;
 uniform mat4 shadowMatrixCascade2;
+// Far view depth of each cascade
 uniform vec3 cascadeSplits;
 uniform int numCascades;
+// World units, along the sun direction
 uniform float shadowBias;
+// Texels of the receiver's cascade
 uniform float shadowNormalBias;
 uniform float shadowMapSize;
 uniform float receiveShadow;
+uniform vec3 shadowCascadeTexelSize;
+uniform vec3 shadowCascadeDepthRange;
+uniform float shadowBlendBand;
+// ShadowFilter: 0 hard, 1 PCF, 2 PCSS
+uniform float shadowFilterMode;
+uniform float shadowPCFRadius;
+uniform float shadowPenumbraScale;
 
 // Camera uniform
 // Aerial Perspective uniforms
 uniform sampler2D transmittanceLUT;
+uniform sampler2D aerialPerspectiveLUT;
+// (projection [0][0], [1][1], max distance, slice count)
+uniform vec4 aerialPerspectiveParams;
 uniform float aerialPerspectiveEnabled;
 uniform vec3 planetCenter;
+// World position of the floating origin; vWorldPosition is relative to it
+uniform vec3 renderOrigin;
 uniform float atmospherePlanetRadius;
 uniform float atmosphereRadius;
 uniform float atmosphereScaleHeightRayleigh;
@@ -119,6 +137,7 @@ in float vDistanceToCamera;
 in vec3 vViewPosition;
 in vec2 vWorldPos;
 in float vHeight;
+in vec3 vSphereDir;
 
 in float vDebugChunkFace;
 in float vDebugChunkSizeUV;
@@ -433,7 +452,7 @@ void main() {
             if (macroTileId >= 100.0) macroTileId -= 100.0;
             
             // Procedural masking using WORLD SPACE position (matches WebGPU)
-            vec2 worldPosMeters = vWorldPosition.xz;
+            vec2 worldPosMeters = vWorldPosition.xz + renderOrigin.xz;
             float scaleMacro = 0.0008;
             float patchNoise = octaveNoise(worldPosMeters * scaleMacro, 4);
             mat2 rot = mat2(0.866, -0.5, 0.5, 0.866);
@@ -484,7 +503,7 @@ vec2 rotatedMacroLocal = clamp(rotateUV(macroLocal, macroRot), vec2(0.0), vec2(1
 
     // Micro crack / ditch detail (matches WebGPU)
     if (geometryLOD < 3) {
-        vec2 crackPos = vWorldPosition.xz;
+        vec2 crackPos = vWorldPosition.xz + renderOrigin.xz;
         float crackScale = 0.08;
         float crackNoise = octaveNoise(crackPos * crackScale, 3);
         float crackMask = smoothstep(0.4, 0.6, crackNoise);
@@ -492,6 +511,22 @@ vec2 rotatedMacroLocal = clamp(rotateUV(macroLocal, macroRot), vec2(0.0), vec2(1
         baseColor *= crackDarken;
     }
 
+    // Snow settles on flat ground first; wet ground darkens and, below,
+    // picks up a sun glint. Both match WebGPU.
+    vec3 surfaceUp = dot(vSphereDir, vSphereDir) > 0.0 ? normalize(vSphereDir) : vec3(0.0, 1.0, 0.0);
+    float flatness = clamp(dot(N, surfaceUp), 0.0, 1.0);
+    float snowMask = 0.0;
+    float wetMask = 0.0;
+    if (snowCover > 0.001 || surfaceWetness > 0.001) {
+        vec2 weatherPos = vWorldPosition.xz + renderOrigin.xz;
+        float snowNoise = octaveNoise(weatherPos * 0.35, 2) * 0.5 + 0.5;
+        float snowSlope = smoothstep(0.55, 0.85, flatness);
+        snowMask = snowSlope * smoothstep(snowNoise - 0.1, snowNoise + 0.1, snowCover * 1.2);
+        wetMask = surfaceWetness * mix(0.6, 1.0, flatness) * (1.0 - snowMask);
+        baseColor *= mix(1.0, 0.55, wetMask);
+        baseColor = mix(baseColor, vec3(0.92, 0.94, 0.97), snowMask);
+    }
+
     // ====== LIGHTING - matches WebGPU ======
     vec3 worldNormal = N;
     vec3 lightDir = normalize(sunLightDirection);
@@ -504,33 +539,36 @@ vec2 rotatedMacroLocal = clamp(rotateUV(macroLocal, macroRot), vec2(0.0), vec2(1
     // Shadow (only for close LODs)
     float shadow = 1.0;
     if (geometryLOD < 2) {
-        shadow = sampleShadowMap(vWorldPosition, N, vDistanceToCamera);
+        shadow = sampleShadowMap(vWorldPosition, vViewPosition, N);
     }
     
     vec3 finalColor = baseColor * (ambient + diffuse * shadow);
 
+    if (wetMask > 0.001) {
+        vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+        vec3 halfDir = normalize(lightDir + viewDir);
+        float wetSpec = pow(max(dot(worldNormal, halfDir), 0.0), mix(16.0, 96.0, wetMask));
+        finalColor += sunLightColor * wetSpec * wetMask * 0.6 * shadow;
+    }
+
+    // Point and spot lights
+#ifdef USE_CLUSTERED_LIGHTS
+    if (enableClusteredLights > 0.5) {
+        finalColor += evaluateClusteredLights(vWorldPosition, vViewPosition, worldNormal, baseColor);
+    }
+#endif
+
     // ========================================================================
     // AERIAL PERSPECTIVE
     // ========================================================================
     if (aerialPerspectiveEnabled > 0.5) {
-        AerialPerspectiveResult apResult = ap_computeSimple(
-            transmittanceLUT,
-            vWorldPosition,
-            cameraPosition,
-            lightDir,
-            planetCenter,
-            atmospherePlanetRadius,
-            atmosphereRadius,
-            atmosphereScaleHeightRayleigh,
-            atmosphereScaleHeightMie,
-            atmosphereRayleighScattering,
-            atmosphereMieScattering,
-            atmosphereMieAnisotropy,
-            atmosphereSunIntensity
+        vec4 ap = lut_sampleAerialPerspective(
+            aerialPerspectiveLUT,
+            lut_aerialPerspectiveUV(vViewPosition, aerialPerspectiveParams.xy),
+            length(vViewPosition),
+            aerialPerspectiveParams
         );
-
-        float apBlend = clamp(vDistanceToCamera / 50000.0, 0.0, 1.0);
-        finalColor = ap_applyWithBlend(finalColor, apResult, apBlend);
+        finalColor = finalColor * ap.a + ap.rgb * atmosphereSunIntensity;
     }
 
     // ========================================================================
@@ -555,63 +593,120 @@ vec2 rotatedMacroLocal = clamp(rotateUV(macroLocal, macroRot), vec2(0.0), vec2(1
 
 function includeShadowFunctions() {
     return `
-float sampleCascadeShadow(sampler2D shadowMap, mat4 shadowMatrix, vec3 worldPos, vec3 normal) {
-    vec3 lightDir = normalize(sunLightDirection);
-    float cosTheta = clamp(dot(normal, lightDir), 0.0, 1.0);
-    float slopeBias = shadowBias * tan(acos(cosTheta));
-    slopeBias = clamp(slopeBias, 0.0, shadowBias * 2.0);
+// Cascade maps hold window depth; the matrices map a render-space position
+// to (u, v, depth) in them
+const vec2 SUN_SHADOW_POISSON[12] = vec2[12](
+    vec2(-0.326212, -0.405805), vec2(-0.840144, -0.073580),
+    vec2(-0.695914, 0.457137), vec2(-0.203345, 0.620716),
+    vec2(0.962340, -0.194983), vec2(0.473434, -0.480026),
+    vec2(0.519456, 0.767022), vec2(0.185461, -0.893124),
+    vec2(0.507431, 0.064425), vec2(0.896420, 0.412458),
+    vec2(-0.321940, -0.932615), vec2(-0.791559, -0.597705)
+);
+
+float loadCascadeDepth(int cascade, vec2 texel) {
+    ivec2 coord = ivec2(clamp(floor(texel), vec2(0.0), vec2(shadowMapSize - 1.0)));
+    if (cascade == 0) return texelFetch(shadowMapCascade0, coord, 0).r;
+    if (cascade == 1) return texelFetch(shadowMapCascade1, coord, 0).r;
+    return texelFetch(shadowMapCascade2, coord, 0).r;
+}
 
-    float verticalFactor = abs(normal.y);
-    float adaptiveNormalBias = shadowNormalBias * mix(0.3, 1.0, verticalFactor);
+// 2x2 texels around the sample point, bilinearly weighted
+float sunShadowBilinear(int cascade, vec2 texel, float depth) {
+    vec2 t = texel - 0.5;
+    vec2 base = floor(t);
+    vec2 f = t - base;
+    float s00 = depth <= loadCascadeDepth(cascade, base + vec2(0.5, 0.5)) ? 1.0 : 0.0;
+    float s10 = depth <= loadCascadeDepth(cascade, base + vec2(1.5, 0.5)) ? 1.0 : 0.0;
+    float s01 = depth <= loadCascadeDepth(cascade, base + vec2(0.5, 1.5)) ? 1.0 : 0.0;
+    float s11 = depth <= loadCascadeDepth(cascade, base + vec2(1.5, 1.5)) ? 1.0 : 0.0;
+    return mix(mix(s00, s10, f.x), mix(s01, s11, f.x), f.y);
+}
 
-    vec3 biasedPos = worldPos + normal * adaptiveNormalBias;
-    vec4 shadowCoord = shadowMatrix * vec4(biasedPos, 1.0);
-    shadowCoord.xyz /= shadowCoord.w;
+float sunShadowPCF(int cascade, vec2 texel, float depth, float radius) {
+    float lit = 0.0;
+    for (int i = 0; i < 12; i++) {
+        float stored = loadCascadeDepth(cascade, texel + SUN_SHADOW_POISSON[i] * radius);
+        lit += depth <= stored ? 1.0 : 0.0;
+    }
+    return lit / 12.0;
+}
 
-    if (shadowCoord.x < 0.0 || shadowCoord.x > 1.0 ||
-        shadowCoord.y < 0.0 || shadowCoord.y > 1.0 ||
-        shadowCoord.z < 0.0 || shadowCoord.z > 1.0) {
-        return 1.0;
+// Penumbra from the average blocker distance; stays a plain PCF when the
+// blockers touch the receiver
+float sunShadowPCSS(int cascade, vec2 texel, float depth) {
+    float worldPerDepth = shadowCascadeDepthRange[cascade] / shadowCascadeTexelSize[cascade];
+
+    float searchRadius = clamp(depth * worldPerDepth * shadowPenumbraScale, shadowPCFRadius, 16.0);
+    float blockerSum = 0.0;
+    float blockers = 0.0;
+    for (int i = 0; i < 12; i++) {
+        float stored = loadCascadeDepth(cascade, texel + SUN_SHADOW_POISSON[i] * searchRadius);
+        if (stored < depth) {
+            blockerSum += stored;
+            blockers += 1.0;
+        }
     }
+    if (blockers < 0.5) return 1.0;
+
+    float penumbra = (depth - blockerSum / blockers) * worldPerDepth * shadowPenumbraScale;
+    return sunShadowPCF(cascade, texel, depth, clamp(penumbra, shadowPCFRadius, 16.0));
+}
 
-    vec2 poissonDisk[9];
-    poissonDisk[0] = vec2(-0.94201624, -0.39906216);
-    poissonDisk[1] = vec2(0.94558609, -0.76890725);
-    poissonDisk[2] = vec2(-0.094184101, -0.92938870);
-    poissonDisk[3] = vec2(0.34495938, 0.29387760);
-    poissonDisk[4] = vec2(-0.91588581, 0.45771432);
-    poissonDisk[5] = vec2(-0.81544232, -0.87912464);
-    poissonDisk[6] = vec2(-0.38277543, 0.27676845);
-    poissonDisk[7] = vec2(0.97484398, 0.75648379);
-    poissonDisk[8] = vec2(0.44323325, -0.97511554);
-
-    float shadow = 0.0;
-    vec2 texelSize = 1.0 / vec2(shadowMapSize);
-    float searchRadius = 1.0;
-
-    int sampleCount = geometryLOD == 0 ? 5 : (geometryLOD == 1 ? 3 : 1);
-
-    for (int i = 0; i < 9; i++) {
-        if (i >= sampleCount) break;
-        vec2 offset = poissonDisk[i] * texelSize * searchRadius;
-        float pcfDepth = texture(shadowMap, shadowCoord.xy + offset).r;
-        shadow += (shadowCoord.z - slopeBias) > pcfDepth ? 0.0 : 1.0;
+mat4 getShadowMatrix(int cascade) {
+    if (cascade == 0) return shadowMatrixCascade0;
+    if (cascade == 1) return shadowMatrixCascade1;
+    return shadowMatrixCascade2;
+}
+
+float sampleCascadeShadow(int cascade, vec3 worldPos, vec3 normal, float NdotL) {
+    float texelSize = shadowCascadeTexelSize[cascade];
+    vec3 offsetPos = worldPos + normal * (shadowNormalBias * texelSize);
+    vec4 shadowCoord = getShadowMatrix(cascade) * vec4(offsetPos, 1.0);
+
+    if (any(lessThan(shadowCoord.xyz, vec3(0.0))) || any(greaterThan(shadowCoord.xyz, vec3(1.0)))) {
+        return 1.0;
     }
 
-    return shadow / float(sampleCount);
+    // Slope-scaled, converted from world units to cascade depth
+    float slope = clamp(sqrt(1.0 - NdotL * NdotL) / max(NdotL, 0.05), 0.0, 4.0);
+    float depth = shadowCoord.z - shadowBias * (1.0 + slope) / shadowCascadeDepthRange[cascade];
+    vec2 texel = shadowCoord.xy * shadowMapSize;
+
+    if (shadowFilterMode > 1.5) return sunShadowPCSS(cascade, texel, depth);
+    if (shadowFilterMode > 0.5) return sunShadowPCF(cascade, texel, depth, shadowPCFRadius);
+    return sunShadowBilinear(cascade, texel, depth);
 }
 
-float sampleShadowMap(vec3 worldPos, vec3 normal, float distanceToCamera) {
-    if (receiveShadow < 0.5) return 1.0;
+// Cascade by view depth; cross-fades into the next cascade over the blend
+// band, and the last one fades out
+float sampleShadowMap(vec3 worldPos, vec3 viewPos, vec3 normal) {
+    if (receiveShadow < 0.5 || numCascades == 0) return 1.0;
+
+    float NdotL = dot(normal, normalize(sunLightDirection));
+    if (NdotL <= 0.0) return 1.0;
+
+    float viewDepth = -viewPos.z;
+    int cascade = -1;
+    for (int i = 0; i < 3; i++) {
+        if (i < numCascades && viewDepth < cascadeSplits[i]) {
+            cascade = i;
+            break;
+        }
+    }
+    if (cascade < 0) return 1.0;
+
+    float shadow = sampleCascadeShadow(cascade, worldPos, normal, NdotL);
 
-    if (distanceToCamera < cascadeSplits.x) {
-        return sampleCascadeShadow(shadowMapCascade0, shadowMatrixCascade0, worldPos, normal);
-    } else if (distanceToCamera < cascadeSplits.y) {
-        return sampleCascadeShadow(shadowMapCascade1, shadowMatrixCascade1, worldPos, normal);
-    } else if (distanceToCamera < cascadeSplits.z) {
-        return sampleCascadeShadow(shadowMapCascade2, shadowMatrixCascade2, worldPos, normal);
+    float splitFar = cascadeSplits[cascade];
+    float splitNear = cascade > 0 ? cascadeSplits[cascade - 1] : 0.0;
+    float bandStart = splitFar - (splitFar - splitNear) * shadowBlendBand;
+    if (viewDepth > bandStart) {
+        float t = smoothstep(bandStart, splitFar, viewDepth);
+        float next = cascade + 1 < numCascades ? sampleCascadeShadow(cascade + 1, worldPos, normal, NdotL) : 1.0;
+        shadow = mix(shadow, next, t);
     }
-    return 1.0;
+    return shadow;
 }
 `;
 }
@@ -31,7 +31,9 @@ uniform vec2 chunkOffset;
 uniform float chunkSize;
 
 uniform float planetRadius;
-uniform vec3 planetOrigin;
+// Render-space (floating origin relative) position of the chunk's corner:
+// the sphere point under chunkLocation, or the flat chunk corner
+uniform vec3 chunkOrigin;
 uniform int chunkFace;
 uniform vec2 chunkLocation;
 uniform float chunkSizeUV;
@@ -54,6 +56,16 @@ vec3 getCubePoint(int face, vec2 faceUV) {
     return vec3(-xy.x, xy.y, -1.0);
 }
 
+// Linear part of getCubePoint: the cube-space offset for a face UV offset
+vec3 getCubeOffset(int face, vec2 d) {
+    if (face == 0) return vec3(0.0, d.y, -d.x);
+    if (face == 1) return vec3(0.0, d.y, d.x);
+    if (face == 2) return vec3(d.x, 0.0, -d.y);
+    if (face == 3) return vec3(d.x, 0.0, d.y);
+    if (face == 4) return vec3(d.x, d.y, 0.0);
+    return vec3(-d.x, d.y, 0.0);
+}
+
 vec2 getAtlasSampleUV(vec2 localUV) {
     if (useAtlasMode > 0.5) {
         return atlasUVOffset + localUV * atlasUVScale;
@@ -85,13 +97,20 @@ void main() {
         vec2 faceUV = chunkLocation + uv * chunkSizeUV;
         vDebugFaceUV = faceUV;  // DEBUG
         
-        vec3 cubePoint = getCubePoint(chunkFace, faceUV);
-        sphereDir = normalize(cubePoint);
+        // Work relative to the chunk corner c so nothing large is subtracted in
+        // float32: normalize(c + delta) - normalize(c), rearranged to avoid cancellation
+        vec3 corner = getCubePoint(chunkFace, chunkLocation);
+        vec3 delta = getCubeOffset(chunkFace, uv * chunkSizeUV * 2.0);
+        vec3 cubePoint = corner + delta;
+        float lenP = length(cubePoint);
+        float lenC = length(corner);
+        sphereDir = cubePoint / lenP;
+        vec3 dirDelta = delta / lenP -
+            corner * ((2.0 * dot(corner, delta) + dot(delta, delta)) / (lenP * lenC * (lenC + lenP)));
         
         float heightMultiplier = max(heightScale, 0.0001);
-        float radius = planetRadius + (height * heightMultiplier);
         
-        worldPosition = planetOrigin + sphereDir * radius;
+        worldPosition = chunkOrigin + dirDelta * planetRadius + sphereDir * (height * heightMultiplier);
         outNormal = sphereDir;
     } else {
         // FLAT MODE
@@ -100,11 +119,7 @@ void main() {
         float heightMultiplier = max(heightScale, 0.0001);
         float yPos = height * heightMultiplier;
         
-        worldPosition = vec3(
-            position.x + chunkOffset.x,
-            yPos,
-            position.z + chunkOffset.y
-        );
+        worldPosition = chunkOrigin + vec3(position.x, yPos, position.z);
         outNormal = normal;
     }
 
@@ -1,6 +1,24 @@
-export function getClusteredLightingModule(maxLightIndices = 8192) {
+// Clustered point/spot lights for WebGPU terrain. Reads the buffers that
+// WebGPUClusteredLightManager's compute passes fill: per-cluster
+// (count, offset) pairs into the light index list, and the light records.
+// Lights with a shadowIndex look up the WebGPULocalLightShadowRenderer
+// atlas. Bindings sit in group 3 next to the atmosphere LUT.
+export function getClusteredLightingModule() {
     return `
-
+struct ClusterParams {
+    viewMatrix: mat4x4<f32>,
+    projectionMatrix: mat4x4<f32>,
+    clusterDimensions: vec3<f32>,
+    numLights: f32,
+    near: f32,
+    far: f32,
+    maxLightsPerCluster: f32,
+    logarithmicDepth: f32,
+    tanHalfFov: f32,
+    aspect: f32,
+    _pad0: f32,
+    _pad1: f32,
+}
 
 struct ClusteredLight {
     position: vec3<f32>,
@@ -12,50 +30,98 @@ struct ClusteredLight {
     angle: f32,
     penumbra: f32,
     decay: f32,
-    castShadow: f32,
+    shadowIndex: f32,
+}
+
+struct LocalShadowParams {
+    atlasSize: f32,
+    tileSize: f32,
+    near: f32,
+    depthBias: f32,
+    normalOffset: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
 }
 
+@group(3) @binding(0) var<storage, read> clusterLights: array<ClusteredLight>;
+@group(3) @binding(1) var<storage, read> clusterGrid: array<vec2<u32>>;
+@group(3) @binding(2) var<storage, read> clusterLightIndices: array<u32>;
+@group(3) @binding(3) var<uniform> clusterParams: ClusterParams;
+@group(3) @binding(4) var<storage, read> localShadowMatrices: array<mat4x4<f32>>;
+@group(3) @binding(5) var localShadowAtlas: texture_depth_2d;
+@group(3) @binding(6) var<uniform> localShadowParams: LocalShadowParams;
+
 fn getClusterIndex(viewPos: vec3<f32>) -> i32 {
     let viewZ = -viewPos.z;
-    if (viewZ <= 0.0) { return -1; }
-    if (viewZ <= fragUniforms.cameraNear) { return 0; }
-    if (viewZ >= fragUniforms.cameraFar) { return -1; }
-
-    let logDepth = log(viewZ / fragUniforms.cameraNear) / log(fragUniforms.cameraFar / fragUniforms.cameraNear);
-    let clusterZ = clamp(logDepth * fragUniforms.clusterDimensions.z, 0.0, fragUniforms.clusterDimensions.z - 1.0);
-
-    let cluster = vec3<i32>(
-        i32(floor(fragUniforms.clusterDimensions.x * 0.5)),
-        i32(floor(fragUniforms.clusterDimensions.y * 0.5)),
-        i32(floor(clusterZ))
-    );
-
-    return cluster.z * i32(fragUniforms.clusterDimensions.x * fragUniforms.clusterDimensions.y) +
-           cluster.y * i32(fragUniforms.clusterDimensions.x) +
-           cluster.x;
+    let near = clusterParams.near;
+    let far = clusterParams.far;
+    if (viewZ <= 0.0 || viewZ >= far) { return -1; }
+
+    let clipPos = clusterParams.projectionMatrix * vec4<f32>(viewPos, 1.0);
+    if (clipPos.w <= 0.0) { return -1; }
+    let ndc = clipPos.xy / clipPos.w;
+    if (abs(ndc.x) > 1.0 || abs(ndc.y) > 1.0) { return -1; }
+
+    let dims = clusterParams.clusterDimensions;
+    var depthT = 0.0;
+    if (viewZ > near) {
+        if (clusterParams.logarithmicDepth > 0.5) {
+            depthT = log(viewZ / near) / log(far / near);
+        } else {
+            depthT = (viewZ - near) / (far - near);
+        }
+    }
+
+    let clusterXY = clamp(floor((ndc * 0.5 + 0.5) * dims.xy), vec2<f32>(0.0), dims.xy - 1.0);
+    let clusterZ = clamp(floor(depthT * dims.z), 0.0, dims.z - 1.0);
+    return i32(clusterZ * dims.x * dims.y + clusterXY.y * dims.x + clusterXY.x);
+}
+
+// +X, -X, +Y, -Y, +Z, -Z, the order of LocalLightShadowRenderer's cube tiles
+fn localShadowCubeFace(v: vec3<f32>) -> u32 {
+    let a = abs(v);
+    if (a.x >= a.y && a.x >= a.z) { return select(1u, 0u, v.x > 0.0); }
+    if (a.y >= a.z) { return select(3u, 2u, v.y > 0.0); }
+    return select(5u, 4u, v.z > 0.0);
+}
+
+// Stored depth is clip z / w of a GL-style projection with the light's
+// radius as far plane
+fn localShadowLinearDepth(storedDepth: f32, far: f32) -> f32 {
+    let near = localShadowParams.near;
+    return 2.0 * near * far / (far + near - storedDepth * (far - near));
 }
 
-fn fetchClusteredLight(lightIndex: i32) -> ClusteredLight {
-    var light: ClusteredLight;
-    let basePixel = lightIndex * 4;
-    
-    let data0 = textureLoad(lightDataTexture, vec2<i32>(basePixel + 0, 0), 0);
-    let data1 = textureLoad(lightDataTexture, vec2<i32>(basePixel + 1, 0), 0);
-    let data2 = textureLoad(lightDataTexture, vec2<i32>(basePixel + 2, 0), 0);
-    let data3 = textureLoad(lightDataTexture, vec2<i32>(basePixel + 3, 0), 0);
-
-    light.position = data0.xyz;
-    light.radius = data0.w;
-    light.color = data1.xyz;
-    light.intensity = data1.w;
-    light.direction = data2.xyz;
-    light.lightType = data2.w;
-    light.angle = data3.x;
-    light.penumbra = data3.y;
-    light.decay = data3.z;
-    light.castShadow = data3.w;
-
-    return light;
+fn sampleLocalShadow(light: ClusteredLight, worldPos: vec3<f32>, normal: vec3<f32>) -> f32 {
+    if (light.shadowIndex < -0.5 || localShadowParams.tileSize < 1.0) { return 1.0; }
+
+    let fromLight = worldPos - light.position;
+    var tile = u32(light.shadowIndex + 0.5);
+    if (light.lightType < 1.5) { tile += localShadowCubeFace(fromLight); }
+
+    let offsetPos = worldPos + normal * (localShadowParams.normalOffset * length(fromLight));
+    let p = localShadowMatrices[tile] * vec4<f32>(offsetPos, 1.0);
+    if (p.w <= localShadowParams.near) { return 1.0; }
+
+    let tileSize = localShadowParams.tileSize;
+    let tilesPerRow = floor(localShadowParams.atlasSize / tileSize);
+    let tileMin = vec2<f32>(f32(tile) % tilesPerRow, floor(f32(tile) / tilesPerRow)) * tileSize;
+    let tileMax = tileMin + vec2<f32>(tileSize - 1.0);
+
+    // 2x2 texels around the sample point, bilinearly weighted
+    let texel = p.xy / p.w - 0.5;
+    let base = floor(texel);
+    let f = texel - base;
+    let depth = p.w * (1.0 - localShadowParams.depthBias);
+
+    var taps = vec4<f32>(0.0);
+    for (var i = 0u; i < 4u; i++) {
+        let coord = vec2<i32>(clamp(base + vec2<f32>(f32(i & 1u), f32(i >> 1u)), tileMin, tileMax));
+        let stored = textureLoad(localShadowAtlas, coord, 0);
+        taps[i] = select(0.0, 1.0, depth <= localShadowLinearDepth(stored, light.radius));
+    }
+    return mix(mix(taps.x, taps.y, f.x), mix(taps.z, taps.w, f.x), f.y);
 }
 
 fn calculatePointLightWGSL(light: ClusteredLight, worldPos: vec3<f32>, normal: vec3<f32>, viewDir: vec3<f32>, albedo: vec3<f32>) -> vec3<f32> {
@@ -105,38 +171,40 @@ fn calculateSpotLightWGSL(light: ClusteredLight, worldPos: vec3<f32>, normal: ve
     return (diffuse + spec) * light.color * light.intensity * attenuation * coneAttenuation;
 }
 
+// worldPos is relative to the render origin, like the light positions
 fn evaluateClusteredLights(worldPos: vec3<f32>, viewPos: vec3<f32>, normal: vec3<f32>, albedo: vec3<f32>) -> vec3<f32> {
     var totalLight = vec3<f32>(0.0);
+    if (clusterParams.numLights < 0.5) { return totalLight; }
+
     let clusterIndex = getClusterIndex(viewPos);
     if (clusterIndex < 0) { return totalLight; }
 
     let viewDir = normalize(fragUniforms.cameraPosition - worldPos);
+    let cluster = clusterGrid[clusterIndex];
+    let lightCount = min(cluster.x, u32(clusterParams.maxLightsPerCluster));
+    let numLights = u32(clusterParams.numLights);
 
-    let clusterData = textureLoad(clusterDataTexture, vec2<i32>(clusterIndex, 0), 0);
-
-    let lightCount = min(i32(clusterData.r), MAX_LIGHTS_PER_CLUSTER);
-    let lightOffset = i32(clusterData.g);
-
-    for (var i = 0; i < MAX_LIGHTS_PER_CLUSTER; i++) {
-        if (i >= lightCount) { break; }
-
-        let lightIndexF = textureLoad(lightIndicesTexture, vec2<i32>(lightOffset + i, 0), 0).r;
-        let lightIndex = i32(lightIndexF + 0.5);
-
-        if (lightIndex < 0 || lightIndex >= i32(fragUniforms.numLights)) { continue; }
-
-        let light = fetchClusteredLight(lightIndex);
+    for (var i = 0u; i < lightCount; i++) {
+        let lightIndex = clusterLightIndices[cluster.y + i];
+        if (lightIndex >= numLights) { continue; }
 
+        let light = clusterLights[lightIndex];
+        var contribution = vec3<f32>(0.0);
         if (light.lightType < 0.5) {
-            // Directional - skip
+            // Directional - lit by the main light path
         } else if (light.lightType < 1.5) {
-            totalLight += calculatePointLightWGSL(light, worldPos, normal, viewDir, albedo);
+            contribution = calculatePointLightWGSL(light, worldPos, normal, viewDir, albedo);
         } else if (light.lightType < 2.5) {
-            totalLight += calculateSpotLightWGSL(light, worldPos, normal, viewDir, albedo);
+            contribution = calculateSpotLightWGSL(light, worldPos, normal, viewDir, albedo);
         }
+
+        if (light.shadowIndex > -0.5 && any(contribution > vec3<f32>(0.0))) {
+            contribution *= sampleLocalShadow(light, worldPos, normal);
+        }
+        totalLight += contribution;
     }
 
     return totalLight;
 }
 `;
-}
\ No newline at end of file
+}
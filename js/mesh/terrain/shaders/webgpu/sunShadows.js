@@ -0,0 +1,151 @@
+// Cascaded sun shadows for WebGPU terrain. CascadedShadowMapRenderer packs
+// SunShadowParams; cascade maps hold window depth ([0, 1], near = 0) and the
+// matrices map a render-space position to (u, v, depth) in them. Receivers
+// cross-fade into the next cascade over the blend band and the last one
+// fades out. Bindings sit in group 3 after the atmosphere LUT.
+export function getSunShadowModule() {
+    return `
+struct SunShadowParams {
+    matrices: array<mat4x4<f32>, 3>,
+    // Far view depth of each cascade, w = cascade count
+    splits: vec4<f32>,
+    // World units per texel
+    texelSize: vec4<f32>,
+    // World depth covered by each cascade
+    depthRange: vec4<f32>,
+    // depthBias (world), normalBias (texels), blendBand, filter
+    bias: vec4<f32>,
+    // mapSize, pcfRadius (texels), penumbraScale, unused
+    filter: vec4<f32>,
+}
+
+@group(3) @binding(9) var shadowMapCascade0: texture_depth_2d;
+@group(3) @binding(10) var shadowMapCascade1: texture_depth_2d;
+@group(3) @binding(11) var shadowMapCascade2: texture_depth_2d;
+@group(3) @binding(12) var<uniform> sunShadowParams: SunShadowParams;
+
+fn loadCascadeDepth(cascade: i32, texel: vec2<f32>) -> f32 {
+    let size = sunShadowParams.filter.x;
+    let coord = vec2<i32>(clamp(floor(texel), vec2<f32>(0.0), vec2<f32>(size - 1.0)));
+    if (cascade == 0) { return textureLoad(shadowMapCascade0, coord, 0); }
+    if (cascade == 1) { return textureLoad(shadowMapCascade1, coord, 0); }
+    return textureLoad(shadowMapCascade2, coord, 0);
+}
+
+// 2x2 texels around the sample point, bilinearly weighted
+fn sunShadowBilinear(cascade: i32, texel: vec2<f32>, depth: f32) -> f32 {
+    let t = texel - 0.5;
+    let base = floor(t);
+    let f = t - base;
+    let s00 = select(0.0, 1.0, depth <= loadCascadeDepth(cascade, base + vec2<f32>(0.5, 0.5)));
+    let s10 = select(0.0, 1.0, depth <= loadCascadeDepth(cascade, base + vec2<f32>(1.5, 0.5)));
+    let s01 = select(0.0, 1.0, depth <= loadCascadeDepth(cascade, base + vec2<f32>(0.5, 1.5)));
+    let s11 = select(0.0, 1.0, depth <= loadCascadeDepth(cascade, base + vec2<f32>(1.5, 1.5)));
+    return mix(mix(s00, s10, f.x), mix(s01, s11, f.x), f.y);
+}
+
+fn sunShadowPCF(cascade: i32, texel: vec2<f32>, depth: f32, radius: f32) -> f32 {
+    var poisson = array<vec2<f32>, 12>(
+        vec2<f32>(-0.326212, -0.405805), vec2<f32>(-0.840144, -0.073580),
+        vec2<f32>(-0.695914, 0.457137), vec2<f32>(-0.203345, 0.620716),
+        vec2<f32>(0.962340, -0.194983), vec2<f32>(0.473434, -0.480026),
+        vec2<f32>(0.519456, 0.767022), vec2<f32>(0.185461, -0.893124),
+        vec2<f32>(0.507431, 0.064425), vec2<f32>(0.896420, 0.412458),
+        vec2<f32>(-0.321940, -0.932615), vec2<f32>(-0.791559, -0.597705)
+    );
+    var lit = 0.0;
+    for (var i = 0; i < 12; i++) {
+        let stored = loadCascadeDepth(cascade, texel + poisson[i] * radius);
+        lit += select(0.0, 1.0, depth <= stored);
+    }
+    return lit / 12.0;
+}
+
+// Penumbra from the average blocker distance; stays a plain PCF when the
+// blockers touch the receiver
+fn sunShadowPCSS(cascade: i32, texel: vec2<f32>, depth: f32) -> f32 {
+    var poisson = array<vec2<f32>, 12>(
+        vec2<f32>(-0.326212, -0.405805), vec2<f32>(-0.840144, -0.073580),
+        vec2<f32>(-0.695914, 0.457137), vec2<f32>(-0.203345, 0.620716),
+        vec2<f32>(0.962340, -0.194983), vec2<f32>(0.473434, -0.480026),
+        vec2<f32>(0.519456, 0.767022), vec2<f32>(0.185461, -0.893124),
+        vec2<f32>(0.507431, 0.064425), vec2<f32>(0.896420, 0.412458),
+        vec2<f32>(-0.321940, -0.932615), vec2<f32>(-0.791559, -0.597705)
+    );
+    let worldPerDepth = sunShadowParams.depthRange[cascade] / sunShadowParams.texelSize[cascade];
+    let penumbraScale = sunShadowParams.filter.z;
+    let pcfRadius = sunShadowParams.filter.y;
+
+    let searchRadius = clamp(depth * worldPerDepth * penumbraScale, pcfRadius, 16.0);
+    var blockerSum = 0.0;
+    var blockers = 0.0;
+    for (var i = 0; i < 12; i++) {
+        let stored = loadCascadeDepth(cascade, texel + poisson[i] * searchRadius);
+        if (stored < depth) {
+            blockerSum += stored;
+            blockers += 1.0;
+        }
+    }
+    if (blockers < 0.5) { return 1.0; }
+
+    let penumbra = (depth - blockerSum / blockers) * worldPerDepth * penumbraScale;
+    return sunShadowPCF(cascade, texel, depth, clamp(penumbra, pcfRadius, 16.0));
+}
+
+fn sampleSunShadowCascade(cascade: i32, worldPos: vec3<f32>, normal: vec3<f32>, NdotL: f32) -> f32 {
+    let texelSize = sunShadowParams.texelSize[cascade];
+    let offsetPos = worldPos + normal * (sunShadowParams.bias.y * texelSize);
+    let coord = sunShadowParams.matrices[cascade] * vec4<f32>(offsetPos, 1.0);
+
+    if (any(coord.xyz < vec3<f32>(0.0)) || any(coord.xyz > vec3<f32>(1.0))) {
+        return 1.0;
+    }
+
+    // Slope-scaled, converted from world units to cascade depth
+    let slope = clamp(sqrt(1.0 - NdotL * NdotL) / max(NdotL, 0.05), 0.0, 4.0);
+    let depth = coord.z - sunShadowParams.bias.x * (1.0 + slope) / sunShadowParams.depthRange[cascade];
+    let texel = coord.xy * sunShadowParams.filter.x;
+
+    let filterMode = sunShadowParams.bias.w;
+    if (filterMode > 1.5) {
+        return sunShadowPCSS(cascade, texel, depth);
+    }
+    if (filterMode > 0.5) {
+        return sunShadowPCF(cascade, texel, depth, sunShadowParams.filter.y);
+    }
+    return sunShadowBilinear(cascade, texel, depth);
+}
+
+fn sampleSunShadow(worldPos: vec3<f32>, viewPos: vec3<f32>, normal: vec3<f32>, lightDir: vec3<f32>) -> f32 {
+    let numCascades = i32(sunShadowParams.splits.w + 0.5);
+    let viewDepth = -viewPos.z;
+    let NdotL = dot(normal, lightDir);
+    if (numCascades == 0 || NdotL <= 0.0) { return 1.0; }
+
+    var cascade = -1;
+    for (var i = 0; i < numCascades; i++) {
+        if (viewDepth < sunShadowParams.splits[i]) {
+            cascade = i;
+            break;
+        }
+    }
+    if (cascade < 0) { return 1.0; }
+
+    var shadow = sampleSunShadowCascade(cascade, worldPos, normal, NdotL);
+
+    let splitFar = sunShadowParams.splits[cascade];
+    var splitNear = 0.0;
+    if (cascade > 0) { splitNear = sunShadowParams.splits[cascade - 1]; }
+    let bandStart = splitFar - (splitFar - splitNear) * sunShadowParams.bias.z;
+    if (viewDepth > bandStart) {
+        let t = smoothstep(bandStart, splitFar, viewDepth);
+        var next = 1.0;
+        if (cascade + 1 < numCascades) {
+            next = sampleSunShadowCascade(cascade + 1, worldPos, normal, NdotL);
+        }
+        shadow = mix(shadow, next, t);
+    }
+    return shadow;
+}
+`;
+}
@@ -1,9 +1,13 @@
 
-import { getAerialPerspectiveWGSL } from '../../../../renderer/atmosphere/shaders/aerialPerspectiveCommon.js';
+import { getAerialPerspectiveWGSL, getAtmosphereLUTSamplingWGSL } from '../../../../renderer/atmosphere/shaders/aerialPerspectiveCommon.js';
+import { getClusteredLightingModule } from './clusteredLighting.js';
+import { getSunShadowModule } from './sunShadows.js';
 
 export function buildTerrainChunkFragmentShader(options = {}) {
-    const maxLightIndices = options.maxLightIndices || 8192;
     const aerialPerspectiveCode = getAerialPerspectiveWGSL();
+    const atmosphereLUTCode = getAtmosphereLUTSamplingWGSL();
+    const clusteredLightingCode = getClusteredLightingModule();
+    const sunShadowCode = getSunShadowModule();
 
     return `
 // ============================================================================
@@ -69,6 +73,16 @@ struct FragmentUniforms {
 
     fogColor: vec3<f32>,
     _pad6: f32,
+
+    // World position of the floating origin; vWorldPosition is relative to it
+    renderOrigin: vec3<f32>,
+    // Ground wetness and snow cover accumulated by EnvironmentState (0..1)
+    surfaceWetness: f32,
+
+    snowCover: f32,
+    _pad8: f32,
+    _pad9: f32,
+    _pad10: f32,
 }
 
 struct VertexOutput {
@@ -108,9 +122,25 @@ struct VertexOutput {
 @group(2) @binding(5) var textureSampler: sampler;
 @group(2) @binding(6) var nearestSampler: sampler;
 
-// Group 3: Shadows, Clusters, and Atmosphere
+// Group 3: Shadows, Clusters, and Atmosphere (cluster bindings 0-6 and sun
+// shadow bindings 9-12 are declared by the modules below)
 @group(3) @binding(7) var transmittanceLUT: texture_2d<f32>;
 @group(3) @binding(8) var transmittanceSampler: sampler;
+@group(3) @binding(13) var aerialPerspectiveLUT: texture_2d<f32>;
+// (projection [0][0], [1][1], max distance, slice count)
+@group(3) @binding(14) var<uniform> aerialPerspectiveParams: vec4<f32>;
+
+// ============================================================================
+// CLUSTERED LIGHTS
+// ============================================================================
+
+${clusteredLightingCode}
+
+// ============================================================================
+// SUN SHADOWS
+// ============================================================================
+
+${sunShadowCode}
 
 // ============================================================================
 // AERIAL PERSPECTIVE FUNCTIONS
@@ -118,6 +148,8 @@ struct VertexOutput {
 
 ${aerialPerspectiveCode}
 
+${atmosphereLUTCode}
+
 // ============================================================================
 // ALTITUDE-BASED FOG
 // ============================================================================
@@ -479,7 +511,7 @@ fn main(input: VertexOutput) -> @location(0) vec4<f32> {
             else { macroTileId = tileSample.r * 255.0; }
             if (macroTileId >= 100.0) { macroTileId = macroTileId - 100.0; }
 
-            let worldPosMeters = input.vWorldPosition.xz;
+            let worldPosMeters = input.vWorldPosition.xz + fragUniforms.renderOrigin.xz;
             let scaleMacro = 0.0008;
             let patchNoise = octaveNoise(worldPosMeters * scaleMacro, 4);
             let rot = mat2x2<f32>(0.866, -0.5, 0.5, 0.866);
@@ -510,7 +542,7 @@ fn main(input: VertexOutput) -> @location(0) vec4<f32> {
 
     // Micro crack detail
     if (fragUniforms.geometryLOD < 3) {
-        let crackPos = input.vWorldPosition.xz;
+        let crackPos = input.vWorldPosition.xz + fragUniforms.renderOrigin.xz;
         let crackScale = 0.08;
         let crackNoise = octaveNoise(crackPos * crackScale, 3);
         let crackMask = smoothstep(0.4, 0.6, crackNoise);
@@ -518,37 +550,55 @@ fn main(input: VertexOutput) -> @location(0) vec4<f32> {
         baseColor *= crackDarken;
     }
 
-    // Lighting
+    // Snow settles on flat ground first; wet ground darkens and picks up a sun glint
     let worldNormal = calculateNormal(input);
+    var surfaceUp = vec3<f32>(0.0, 1.0, 0.0);
+    if (dot(input.vSphereDir, input.vSphereDir) > 0.0) {
+        surfaceUp = normalize(input.vSphereDir);
+    }
+    let flatness = clamp(dot(worldNormal, surfaceUp), 0.0, 1.0);
+    var snowMask = 0.0;
+    var wetMask = 0.0;
+    if (fragUniforms.snowCover > 0.001 || fragUniforms.surfaceWetness > 0.001) {
+        let weatherPos = input.vWorldPosition.xz + fragUniforms.renderOrigin.xz;
+        let snowNoise = octaveNoise(weatherPos * 0.35, 2) * 0.5 + 0.5;
+        let snowSlope = smoothstep(0.55, 0.85, flatness);
+        snowMask = snowSlope * smoothstep(snowNoise - 0.1, snowNoise + 0.1, fragUniforms.snowCover * 1.2);
+        wetMask = fragUniforms.surfaceWetness * mix(0.6, 1.0, flatness) * (1.0 - snowMask);
+        baseColor *= mix(1.0, 0.55, wetMask);
+        baseColor = mix(baseColor, vec3<f32>(0.92, 0.94, 0.97), snowMask);
+    }
+
+    // Lighting
     let lightDir = normalize(fragUniforms.lightDirection);
     let NdotL = max(dot(worldNormal, lightDir), 0.0);
     let ambient = fragUniforms.ambientColor * 0.35;
+    let shadow = sampleSunShadow(input.vWorldPosition, input.vViewPosition, worldNormal, lightDir);
     let diffuse = fragUniforms.lightColor * NdotL * 0.9;
-    var finalColor = baseColor * (ambient + diffuse);
+    var finalColor = baseColor * (ambient + diffuse * shadow);
+
+    if (wetMask > 0.001) {
+        let viewDir = normalize(fragUniforms.cameraPosition - input.vWorldPosition);
+        let halfDir = normalize(lightDir + viewDir);
+        let wetSpec = pow(max(dot(worldNormal, halfDir), 0.0), mix(16.0, 96.0, wetMask));
+        finalColor += fragUniforms.lightColor * wetSpec * wetMask * 0.6 * shadow;
+    }
+
+    // Point and spot lights
+    finalColor += evaluateClusteredLights(input.vWorldPosition, input.vViewPosition, worldNormal, baseColor);
 
     // ========================================================================
     // AERIAL PERSPECTIVE
     // ========================================================================
     if (fragUniforms.aerialPerspectiveEnabled > 0.5) {
-        let apResult = ap_computeSimple(
-            transmittanceLUT,
+        let ap = lut_sampleAerialPerspective(
+            aerialPerspectiveLUT,
             transmittanceSampler,
-            input.vWorldPosition,
-            fragUniforms.cameraPosition,
-            lightDir,
-            fragUniforms.planetCenter,
-            fragUniforms.atmospherePlanetRadius,
-            fragUniforms.atmosphereRadius,
-            fragUniforms.atmosphereScaleHeightRayleigh,
-            fragUniforms.atmosphereScaleHeightMie,
-            fragUniforms.atmosphereRayleighScattering,
-            fragUniforms.atmosphereMieScattering,
-            fragUniforms.atmosphereMieAnisotropy,
-            fragUniforms.atmosphereSunIntensity
+            lut_aerialPerspectiveUV(input.vViewPosition, aerialPerspectiveParams.xy),
+            length(input.vViewPosition),
+            aerialPerspectiveParams
         );
-
-        let apBlend = clamp(input.vDistanceToCamera / 50000.0, 0.0, 1.0);
-        finalColor = ap_applyWithBlend(finalColor, apResult, apBlend);
+        finalColor = finalColor * ap.a + ap.rgb * fragUniforms.atmosphereSunIntensity;
     }
 
     // ========================================================================
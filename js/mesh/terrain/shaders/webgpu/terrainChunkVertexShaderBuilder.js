@@ -5,6 +5,7 @@ export function buildTerrainChunkVertexShader(options = {}) {
 struct InstanceInput {
     @location(3) instanceData0: vec4<f32>,
     @location(4) instanceData1: vec4<f32>,
+    @location(5) instanceData2: vec4<f32>,
 }
 ` : '';
 
@@ -17,6 +18,7 @@ struct InstanceInput {
         : 'uniforms.chunkLocation';
     const atlasOffsetExpr = instanced ? 'instance.instanceData1.yz' : 'uniforms.atlasUVOffset';
     const atlasScaleExpr = instanced ? 'instance.instanceData1.w' : 'uniforms.atlasUVScale';
+    const chunkOriginExpr = instanced ? 'instance.instanceData2.xyz' : 'uniforms.chunkOrigin';
 
     return `
 // Debug constants: set FORCE_HEIGHT_TEST to true to force obvious displacement
@@ -40,7 +42,8 @@ struct VertexUniforms {
     _pad1: f32,
     _pad2: f32,
     
-    planetOrigin: vec3<f32>,
+    // Render-space (floating origin relative) chunk corner
+    chunkOrigin: vec3<f32>,
     _pad3: f32,
     
     chunkFace: i32,
@@ -99,6 +102,16 @@ fn getCubePoint(face: i32, uv: vec2<f32>) -> vec3<f32> {
     return vec3<f32>(-xy.x, xy.y, -1.0);                    // -Z 
 }
 
+// Linear part of getCubePoint: the cube-space offset for a face UV offset
+fn getCubeOffset(face: i32, d: vec2<f32>) -> vec3<f32> {
+    if (face == 0) { return vec3<f32>(0.0, d.y, -d.x); }
+    if (face == 1) { return vec3<f32>(0.0, d.y, d.x); }
+    if (face == 2) { return vec3<f32>(d.x, 0.0, -d.y); }
+    if (face == 3) { return vec3<f32>(d.x, 0.0, d.y); }
+    if (face == 4) { return vec3<f32>(d.x, d.y, 0.0); }
+    return vec3<f32>(-d.x, d.y, 0.0);
+}
+
 // Sample height with proper atlas UV transform
 fn sampleHeight(localUV: vec2<f32>, atlasOffset: vec2<f32>, atlasScale: f32) -> f32 {
     let texSize = vec2<f32>(textureDimensions(heightTexture));
@@ -146,6 +159,7 @@ fn main(input: VertexInput${instanceParam}) -> VertexOutput {
     var chunkFace: i32 = uniforms.chunkFace;
     var chunkOffset: vec2<f32> = uniforms.chunkOffset;
     var chunkLocation: vec2<f32> = uniforms.chunkLocation;
+    var chunkOrigin: vec3<f32> = uniforms.chunkOrigin;
     var atlasOffset: vec2<f32> = vec2<f32>(0.0);
     var atlasScale: f32 = 1.0;
     if (uniforms.useAtlasMode > 0.5) {
@@ -156,6 +170,7 @@ fn main(input: VertexInput${instanceParam}) -> VertexOutput {
         chunkFace = ${chunkFaceExpr};
         chunkOffset = ${chunkOffsetExpr};
         chunkLocation = ${chunkLocExpr};
+        chunkOrigin = ${chunkOriginExpr};
         if (uniforms.useAtlasMode > 0.5) {
             atlasOffset = ${atlasOffsetExpr};
             atlasScale = ${atlasScaleExpr};
@@ -176,25 +191,30 @@ fn main(input: VertexInput${instanceParam}) -> VertexOutput {
         // SPHERICAL MODE
         // =============================================
         
-        // Calculate face UV from chunk location + local UV
-        let faceUV = chunkLocation + input.uv * uniforms.chunkSizeUV;
-        
-        // Project to unit sphere
-        let cubePoint = getCubePoint(chunkFace, faceUV);
-        let sphereDir = normalize(cubePoint);
+        // Project to unit sphere relative to the chunk corner c, so nothing
+        // large is subtracted in float32: normalize(c + delta) - normalize(c),
+        // rearranged to avoid cancellation
+        let corner = getCubePoint(chunkFace, chunkLocation);
+        let delta = getCubeOffset(chunkFace, input.uv * uniforms.chunkSizeUV * 2.0);
+        let cubePoint = corner + delta;
+        let lenP = length(cubePoint);
+        let lenC = length(corner);
+        let sphereDir = cubePoint / lenP;
         sphereDirOut = sphereDir;
+        let dirDelta = delta / lenP -
+            corner * ((2.0 * dot(corner, delta) + dot(delta, delta)) / (lenP * lenC * (lenC + lenP)));
         
         // Apply render height scale
         var heightMultiplier = max(uniforms.heightScale, 0.0001);
         
-        // Calculate final position on sphere with height displacement
-        var radius = uniforms.planetRadius + (height * heightMultiplier);
+        // Final position on sphere with height displacement
+        var displacement = height * heightMultiplier;
         if (FORCE_HEIGHT_TEST) {
             // Force a large displacement to verify vertex sampling path
             height = FORCE_HEIGHT_VALUE;
-            radius = uniforms.planetRadius + height * FORCE_HEIGHT_MULT;
+            displacement = height * FORCE_HEIGHT_MULT;
         }
-        worldPosition = uniforms.planetOrigin + sphereDir * radius;
+        worldPosition = chunkOrigin + dirDelta * uniforms.planetRadius + sphereDir * displacement;
         
         // Normal is the sphere direction (radial outward)
         normal = sphereDir;
@@ -214,11 +234,7 @@ fn main(input: VertexInput${instanceParam}) -> VertexOutput {
             height = FORCE_HEIGHT_VALUE;
             yPos = height * FORCE_HEIGHT_MULT;
         }
-        worldPosition = vec3<f32>(
-            localPos.x + chunkOffset.x,
-            yPos,
-            localPos.z + chunkOffset.y
-        );
+        worldPosition = chunkOrigin + vec3<f32>(localPos.x, yPos, localPos.z);
         
         normal = input.normal;
         sphereDirOut = vec3<f32>(0.0, 1.0, 0.0);
@@ -240,7 +256,7 @@ fn main(input: VertexInput${instanceParam}) -> VertexOutput {
     output.vSphereDir = sphereDirOut;
     output.vHeight = height;
     // Displacement applied (for debug)
-    output.vDisplacement = worldPosition.y - uniforms.planetOrigin.y;
+    output.vDisplacement = dot(worldPosition - chunkOrigin, sphereDirOut);
 
     return output;
 }
@@ -1,6 +1,9 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { Material } from '../../renderer/resources/material.js';
 
+// 15 terrain samplers + 3 cluster textures + shadow atlas and matrices
+const CLUSTERED_LIGHT_TEXTURE_UNITS = 20;
+
 export class TerrainMaterialBuilder {
     static _shaderBuilders = new Map();
 
@@ -126,6 +129,12 @@ export class TerrainMaterialBuilder {
                 defines.USE_TILE_TEXTURE = true;
                 console.log('[TerrainMaterialBuilder] USE_TILE_TEXTURE enabled');
             }
+            // Clustered lights and their shadow atlas take five more samplers
+            // than the 16 WebGL2 guarantees; WebGPU binds them as buffers
+            if (apiName === 'webgl2' &&
+                (backend.capabilities?.maxTextureImageUnits || 0) >= CLUSTERED_LIGHT_TEXTURE_UNITS) {
+                defines.USE_CLUSTERED_LIGHTS = true;
+            }
         
             console.log('[TerrainMaterialBuilder] Defines:', defines);
         
@@ -227,6 +236,10 @@ export class TerrainMaterialBuilder {
             // =============================================
             planetRadius: { value: radius },
             planetOrigin: { value: new THREE.Vector3(origin.x, origin.y, origin.z) },
+            // Floating origin: the renderer sets both every frame from the
+            // mesh entry's double-precision worldOrigin
+            chunkOrigin: { value: new THREE.Vector3() },
+            renderOrigin: { value: new THREE.Vector3() },
             chunkFace: { value: isSpherical ? faceIndex : -1 },
             chunkLocation: { value: new THREE.Vector2(chunkLocationU, chunkLocationV) },
             chunkSizeUV: { value: chunkSizeUV },
@@ -260,15 +273,24 @@ export class TerrainMaterialBuilder {
                 'playerLightColor', 'playerLightIntensity',
                 'playerLightPosition', 'playerLightDistance',
                 'fogColor', 'fogDensity',
-                'weatherIntensity', 'currentWeather',
+                'weatherIntensity', 'currentWeather', 'surfaceWetness', 'snowCover',
                 'shadowMapCascade0', 'shadowMapCascade1', 'shadowMapCascade2',
                 'shadowMatrixCascade0', 'shadowMatrixCascade1', 'shadowMatrixCascade2',
                 'cascadeSplits', 'numCascades',
                 'shadowBias', 'shadowNormalBias', 'shadowMapSize', 'receiveShadow',
+                'shadowCascadeTexelSize', 'shadowCascadeDepthRange', 'shadowBlendBand',
+                'shadowFilterMode', 'shadowPCFRadius', 'shadowPenumbraScale',
+                'sunShadowParamsBuffer',
+                'aerialPerspectiveLUT', 'aerialPerspectiveParams', 'aerialPerspectiveParamsBuffer',
                 'cameraPosition', 'cameraNear', 'cameraFar',
                 'clusterDimensions', 'clusterDataTexture',
                 'lightDataTexture', 'lightIndicesTexture',
-                'numLights', 'maxLightsPerCluster'
+                'clusterLightBuffer', 'clusterGridBuffer',
+                'clusterIndexBuffer', 'clusterParamsBuffer',
+                'numLights', 'maxLightsPerCluster',
+                'localShadowAtlas', 'localShadowMatrices',
+                'localShadowParams', 'localShadowNormalOffset',
+                'localShadowMatrixBuffer', 'localShadowParamsBuffer'
             ];
 
             for (const key of globalUniformsToClone) {
@@ -305,7 +327,8 @@ export class TerrainMaterialBuilder {
             if (enableInstancing) {
                 vertexLayout.push(
                     { arrayStride: 16, stepMode: 'instance', attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x4' }] },
-                    { arrayStride: 16, stepMode: 'instance', attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x4' }] }
+                    { arrayStride: 16, stepMode: 'instance', attributes: [{ shaderLocation: 4, offset: 0, format: 'float32x4' }] },
+                    { arrayStride: 16, stepMode: 'instance', attributes: [{ shaderLocation: 5, offset: 0, format: 'float32x4' }] }
                 );
             }
         }
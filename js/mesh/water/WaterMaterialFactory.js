@@ -1,10 +1,58 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
-import { buildWaterVertexShader, buildWaterFragmentShader } from './waterShaderBuilder.js';
+import {
+    buildWaterVertexShader,
+    buildWaterFragmentShader,
+    buildScreenSpaceWaterFragmentGLSL,
+    buildScreenSpaceWaterFragmentWGSL
+} from './waterShaderBuilder.js';
+
+const WATER_COLOR_SHALLOW = 0x5ba3a8;
+const WATER_COLOR_DEEP = 0x1a4d5c;
+
+function colorToVec4(hex) {
+    const color = new THREE.Color(hex);
+    return [color.r, color.g, color.b, 1.0];
+}
 
 /**
  * Factory for creating water materials
  */
 export class WaterMaterialFactory {
+    /**
+     * Default params of the screen-space water material (see WaterPass).
+     * Heights are world units; foam depths are chunk height units like the
+     * mesh water material's.
+     */
+    static SCREEN_SPACE_PARAMS = {
+        invViewProj: new Array(16).fill(0),
+        viewProj: new Array(16).fill(0),
+        cameraPosition: [0, 0, 0, 1],
+        waterSurface: [0, 0, 0, 0],
+        waterMapCenter: [0, 0, 0, 1],
+        waterMapAxisX: [1, 0, 0, 0],
+        waterMapAxisZ: [0, 0, 1, 1],
+        waterMapRange: [0, 1, 0, 0],
+        sunDirection: [0.5, 1.0, 0.3, 1.0],
+        windDirection: [1, 0, 0, 0],
+        waterColorShallow: colorToVec4(WATER_COLOR_SHALLOW),
+        waterColorDeep: colorToVec4(WATER_COLOR_DEEP),
+        absorption: [0.45, 0.09, 0.06, 0.0],
+        waterLevel: 8.0,
+        heightScale: 1.0,
+        time: 0.0,
+        waveHeight: 0.35,
+        waveFrequency: 0.8,
+        windSpeed: 5.0,
+        foamIntensity: 0.9,
+        foamDepthStart: 0.0,
+        foamDepthEnd: 2.5,
+        fresnelF0: 0.02,
+        refractionStrength: 0.03,
+        ssrMaxDistance: 400.0,
+        ssrSteps: 48,
+        ssrThickness: 4.0
+    };
+
     /**
      * Creates a new WaterMaterialFactory
      * @param {Object} textureManager - The texture manager
@@ -96,8 +144,8 @@ export class WaterMaterialFactory {
             
             chunkSeed: { value: new THREE.Vector2(feature.chunkX || 0, feature.chunkY || 0) },
             
-            waterColorShallow: { value: new THREE.Color(0x5ba3a8) },
-            waterColorDeep: { value: new THREE.Color(0x1a4d5c) },
+            waterColorShallow: { value: new THREE.Color(WATER_COLOR_SHALLOW) },
+            waterColorDeep: { value: new THREE.Color(WATER_COLOR_DEEP) },
             
             waterLevel: { value: waterLevel },
             depthRange: { value: 8.0 },
@@ -162,6 +210,23 @@ export class WaterMaterialFactory {
         return material;
     }
     
+    /**
+     * Create the backend material for screen-space water: reflections marched
+     * against the scene depth (sky environment map on a miss), depth-based
+     * refraction and shoreline foam. Works on WebGL2 and WebGPU.
+     * @param {PostProcessPass} pass - The pass that owns and draws the material
+     * @returns {Material} The screen-space water material
+     */
+    createScreenSpaceMaterial(pass) {
+        return pass.createMaterial('ScreenSpaceWater', {
+            params: WaterMaterialFactory.SCREEN_SPACE_PARAMS,
+            textures: ['inputTexture', 'environmentMap', 'waterLevelMap'],
+            depthTextures: ['sceneDepth'],
+            glsl: buildScreenSpaceWaterFragmentGLSL(),
+            wgsl: buildScreenSpaceWaterFragmentWGSL()
+        });
+    }
+
     /**
      * Create a default texture if none provided
      * @returns {THREE.DataTexture} A default texture
@@ -1,6 +1,8 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { WaterMaterialFactory } from './WaterMaterialFactory.js';
 import { WaterGeometryGenerator } from './waterGeometryGenerator.js';
+import { WaterType } from '../../world/hydrology.js';
+import { Geometry } from '../../renderer/resources/geometry.js';
 
 export class WaterMeshManager {
     constructor(terrainMeshManager, textureManager, uniformManager, chunkSize) {
@@ -103,67 +105,246 @@ export class WaterMeshManager {
         return mesh;
     }
 
-    async loadWaterFeatures(chunkKey, waterFeatures, chunkData, environmentState) {
-        return;
+    /**
+     * River ribbons and lake meshes for a chunk's hydrology (see
+     * HydrologyMap.applyToChunk). Sea-level water is drawn by the
+     * screen-space WaterPass. Meshes are built on the terrain surface
+     * (the planet sphere for face chunks) and drawn by WaterMeshRenderer.
+     */
+    async loadWaterFeatures(chunkKey, waterFeatures, chunkData, environmentState, planetConfig = null, sphericalMapper = null) {
+        this.unloadChunk(chunkKey);
         if (!waterFeatures || waterFeatures.length === 0) return [];
-        if (chunkData.isFullyAboveWater) return [];
-
-        const terrainMesh = this.terrainMeshManager.chunkMeshes.get(chunkKey);
-        if (!terrainMesh) {
-            console.warn(`No terrain mesh for water chunk ${chunkKey}`);
-            return [];
-        }
 
+        const frame = this._getSurfaceFrame(chunkData, planetConfig, sphericalMapper);
         const waterMeshes = [];
-        const globalSeaLevel = 8.0;
-
         for (const feature of waterFeatures) {
             try {
-                const mesh = this.createWaterMeshSync(
-                    feature,
-                    chunkKey,
-                    chunkData,
-                    globalSeaLevel,
-                    environmentState
-                );
-
-                if (mesh) {
-                    this.scene.add(mesh);
-                    waterMeshes.push(mesh);
+                let mesh = null;
+                if (feature.type === 'river') {
+                    mesh = this.createRiverMesh(feature, chunkKey, chunkData, frame);
+                } else if (feature.type === 'lake') {
+                    mesh = this.createLakeMesh(feature, chunkKey, chunkData, frame);
                 }
+                if (mesh) waterMeshes.push(mesh);
             } catch (err) {
                 console.error('Error creating water mesh:', err);
             }
         }
 
-        this.waterMeshes.set(chunkKey, waterMeshes);
+        if (waterMeshes.length > 0) this.waterMeshes.set(chunkKey, waterMeshes);
         return waterMeshes;
     }
 
+    createRiverMesh(feature, chunkKey, chunkData, frame) {
+        const surface = this.buildRiverGeometry(chunkData.rivers || []);
+        if (!surface) return null;
+        return this._createHydrologyMesh(surface, feature, chunkKey, chunkData, frame, `River_${chunkKey}`);
+    }
+
+    createLakeMesh(feature, chunkKey, chunkData, frame) {
+        const surface = this.buildLakeGeometry(chunkData, feature.waterLevel);
+        if (!surface) return null;
+        return this._createHydrologyMesh(surface, feature, chunkKey, chunkData, frame, `Lake_${chunkKey}_${feature.lakeId}`);
+    }
+
+    /**
+     * Triangle strip along each river polyline, in chunk-local tiles at the
+     * river's surface height. uv is (across, distance downstream in widths).
+     */
+    buildRiverGeometry(rivers) {
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+
+        for (const river of rivers) {
+            const points = river.points;
+            if (points.length < 2) continue;
+
+            let distance = 0;
+            for (let k = 0; k < points.length; k++) {
+                const p = points[k];
+                const prev = points[Math.max(0, k - 1)];
+                const next = points[Math.min(points.length - 1, k + 1)];
+                let tx = next.x - prev.x, ty = next.y - prev.y;
+                const len = Math.hypot(tx, ty) || 1;
+                tx /= len;
+                ty /= len;
+
+                if (k > 0) distance += Math.hypot(p.x - points[k - 1].x, p.y - points[k - 1].y);
+                const half = p.width * 0.5;
+                const base = positions.length / 3;
+
+                // Left bank then right bank (looking downstream)
+                positions.push(p.x - ty * half, p.surface, p.y + tx * half);
+                positions.push(p.x + ty * half, p.surface, p.y - tx * half);
+                uvs.push(0, distance / p.width, 1, distance / p.width);
+
+                if (k > 0) {
+                    indices.push(base - 2, base, base - 1);
+                    indices.push(base - 1, base, base + 1);
+                }
+            }
+        }
+
+        if (indices.length === 0) return null;
+        return { positions, uvs, indices };
+    }
+
+    /**
+     * Flat lake surface over every grid cell with a corner in the lake.
+     */
+    buildLakeGeometry(chunkData, surfaceHeight) {
+        const { waterType, waterData, size } = chunkData;
+        if (!waterType || !waterData) return null;
+
+        const stride = size + 1;
+        const inLake = (index) => waterType[index] === WaterType.LAKE && Math.abs(waterData[index] - surfaceHeight) < 1e-4;
+        const vertexIndex = new Int32Array(stride * stride).fill(-1);
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+
+        const vertex = (x, y) => {
+            const index = y * stride + x;
+            if (vertexIndex[index] < 0) {
+                vertexIndex[index] = positions.length / 3;
+                positions.push(x, surfaceHeight, y);
+                uvs.push(x / size, y / size);
+            }
+            return vertexIndex[index];
+        };
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const i00 = y * stride + x;
+                if (!inLake(i00) && !inLake(i00 + 1) && !inLake(i00 + stride) && !inLake(i00 + stride + 1)) continue;
+
+                const a = vertex(x, y), b = vertex(x + 1, y);
+                const c = vertex(x, y + 1), d = vertex(x + 1, y + 1);
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        if (indices.length === 0) return null;
+        return { positions, uvs, indices };
+    }
+
+    /**
+     * Where a chunk's tiles sit in the world: the cube face and planet for
+     * face chunks (matching the terrain vertex shader), otherwise the flat
+     * chunk corner.
+     */
+    _getSurfaceFrame(chunkData, planetConfig, sphericalMapper) {
+        const terrain = this.terrainMeshManager;
+        const config = planetConfig || terrain?.planetConfig || null;
+        const mapper = sphericalMapper || terrain?.sphericalMapper || null;
+        const face = chunkData.face ?? null;
+        return {
+            face,
+            spherical: face !== null && !!config,
+            radius: config?.radius ?? 50000,
+            origin: config?.origin || { x: 0, y: 0, z: 0 },
+            chunksPerFace: mapper?.chunksPerFace || 16,
+            heightScale: terrain?.getHeightScale ? terrain.getHeightScale(chunkData) : (chunkData.heightScale ?? 1.0)
+        };
+    }
+
+    /**
+     * World position and surface normal of chunk-local tile (x, y) at
+     * height h. Doubles; callers store positions relative to an anchor.
+     */
+    _toWorld(frame, chunkData, x, h, y, out, normal) {
+        const span = chunkData.span ?? 1;
+        if (!frame.spherical) {
+            out.set(chunkData.chunkX * chunkData.size + x * span, h * frame.heightScale, chunkData.chunkY * chunkData.size + y * span);
+            normal.set(0, 1, 0);
+            return;
+        }
+
+        const u = (chunkData.chunkX + x * span / chunkData.size) / frame.chunksPerFace;
+        const v = (chunkData.chunkY + y * span / chunkData.size) / frame.chunksPerFace;
+        const cube = this.terrainMeshManager
+            ? this.terrainMeshManager.getCubePoint(frame.face, u, v)
+            : { x: 0, y: 1, z: 0 };
+        normal.set(cube.x, cube.y, cube.z).normalize();
+        out.copy(normal).multiplyScalar(frame.radius + h * frame.heightScale);
+        out.x += frame.origin.x;
+        out.y += frame.origin.y;
+        out.z += frame.origin.z;
+    }
+
+    _createHydrologyMesh(surface, feature, chunkKey, chunkData, frame, name) {
+        const { positions, uvs, indices } = surface;
+        const count = positions.length / 3;
+        const worldOrigin = new THREE.Vector3();
+        const scratch = new THREE.Vector3();
+        this._toWorld(frame, chunkData, 0, 0, 0, worldOrigin, scratch);
+
+        // float32 positions relative to the chunk corner; the renderer adds
+        // worldOrigin - renderOrigin each frame
+        const relative = new Float32Array(positions.length);
+        const normals = new Float32Array(positions.length);
+        const point = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        for (let i = 0; i < count; i++) {
+            this._toWorld(frame, chunkData, positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], point, normal);
+            relative[i * 3] = point.x - worldOrigin.x;
+            relative[i * 3 + 1] = point.y - worldOrigin.y;
+            relative[i * 3 + 2] = point.z - worldOrigin.z;
+            normals[i * 3] = normal.x;
+            normals[i * 3 + 1] = normal.y;
+            normals[i * 3 + 2] = normal.z;
+        }
+
+        const geometry = new Geometry();
+        geometry.setAttribute('position', relative, 3);
+        geometry.setAttribute('normal', normals, 3);
+        geometry.setAttribute('uv', new Float32Array(uvs), 2);
+        geometry.setIndex(new Uint32Array(indices));
+        geometry.computeBoundingSphere();
+
+        return {
+            geometry,
+            // Created by WaterMeshRenderer on first draw
+            material: null,
+            worldOrigin,
+            name,
+            userData: {
+                type: feature.type,
+                chunkKey,
+                lakeId: feature.lakeId ?? null,
+                lodLevel: chunkData.lodLevel || 0
+            }
+        };
+    }
+
     unloadChunk(chunkKey) {
         const meshes = this.waterMeshes.get(chunkKey);
-        if (meshes) {
-            for (const mesh of meshes) {
-                this.scene.remove(mesh);
-                
-                // Remove material from cache
-                if (mesh.userData.chunkKey) {
-                    const [cx, cy] = mesh.userData.chunkKey.split(',').map(Number);
-                    this.materialFactory.removeMaterial(cx, cy);
-                }
-                
-                // Don't dispose shared geometry!
-                // Material is disposed by materialFactory.removeMaterial()
+        if (!meshes) return;
+
+        const backend = this.terrainMeshManager?.backend;
+        for (const mesh of meshes) {
+            mesh.geometry.dispose();
+            if (mesh.material) {
+                backend?.deleteShader(mesh.material);
+                mesh.material.dispose();
+                mesh.material = null;
             }
-            this.waterMeshes.delete(chunkKey);
         }
+        this.waterMeshes.delete(chunkKey);
     }
 
-    dispose() {
-        // Unload all chunks
-        for (const chunkKey of this.waterMeshes.keys()) {
+    /**
+     * Release every river and lake mesh (planet switch, shutdown).
+     */
+    cleanup() {
+        for (const chunkKey of [...this.waterMeshes.keys()]) {
             this.unloadChunk(chunkKey);
         }
+    }
+
+    dispose() {
+        this.cleanup();
         
         // Dispose shared geometries
         for (const geometry of this.sharedGeometries) {
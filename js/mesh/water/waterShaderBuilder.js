@@ -8,6 +8,9 @@ uniform vec2  windDirection;
 uniform float windSpeed;
 uniform vec2  chunkSeed;
 
+// River flow (x, z) * speed from ChunkData.waterFlow; zero on still water
+attribute vec2 flow;
+
 varying vec2  vUv;
 varying vec3  vNormal;
 varying vec3  vWorldPosition;
@@ -16,6 +19,7 @@ varying float vWaveHeight;
 varying float vDistanceToCamera;
 varying vec2  vWindDirWorld;
 varying float vWavePhase;
+varying vec2  vFlow;
 
 vec2 warp(vec2 p, float t){
 float w1 = sin(dot(p, vec2(0.11, 0.07)) * 0.7 + t * 0.15);
@@ -63,6 +67,8 @@ vUv = uv;
 vec4 worldPos = modelMatrix * vec4(position, 1.0);
 
 vec3 off = waveOffset(worldPos.xyz, time);
+// Flowing water only carries small wind waves
+off.y /= 1.0 + length(flow);
 worldPos.xyz += vec3(off.x, off.y, 0.0);
 vWaveHeight = off.y;
 vWavePhase = off.z;
@@ -75,6 +81,7 @@ vViewPosition = viewPos.xyz;
 vDistanceToCamera = length(vViewPosition);
 
 vWindDirWorld = windDirection;
+vFlow = flow;
 
 gl_Position = projectionMatrix * viewPos;
 }
@@ -85,6 +92,9 @@ export function buildWaterFragmentShader() {
   return `
 precision highp float;
 
+const float FLOW_PERIOD = 5.0;
+
+uniform float time;
 uniform vec3  waterColorShallow;
 uniform vec3  waterColorDeep;
 
@@ -126,6 +136,7 @@ varying float vWaveHeight;
 varying float vDistanceToCamera;
 varying vec2  vWindDirWorld;
 varying float vWavePhase;
+varying vec2  vFlow;
 
 float sampleTerrainHeight(vec2 worldXZ) {
 vec2 uv = (worldXZ - terrainOffset) / terrainSize;
@@ -163,7 +174,8 @@ vec3 diffuse  = baseWater * (ambientLightColor * ambientLightIntensity
 vec3 specular = sunLightColor * spec * 0.3;
 
 float terrainH = sampleTerrainHeight(vWorldPosition.xz);
-float surfaceH = waterLevel + vWaveHeight;
+// Rivers and lakes sit above sea level; the surface is the displaced vertex height
+float surfaceH = vWorldPosition.y;
 float depth = max(0.0, surfaceH - terrainH);
 
 float t = clamp(depth / max(depthRange, 0.0001), 0.0, 1.0);
@@ -226,6 +238,19 @@ if (shoreNormalLength > 0.001) {
   foam = clamp(baselineFoam, 0.0, 1.0);
 }
 
+// Streaks carried downstream: two flow-map phases half a period apart,
+// cross-faded so neither one's reset is visible
+float flowSpeed = length(vFlow);
+if (flowSpeed > 0.001) {
+  float phase0 = fract(time / FLOW_PERIOD);
+  float phase1 = fract(time / FLOW_PERIOD + 0.5);
+  vec2 flowUV = vWorldPosition.xz * foamTiling * 2.0;
+  float f0 = texture2D(foamTexture, flowUV - vFlow * phase0 * FLOW_PERIOD * foamTiling * 2.0).r;
+  float f1 = texture2D(foamTexture, flowUV - vFlow * phase1 * FLOW_PERIOD * foamTiling * 2.0).r;
+  float flowFoam = mix(f0, f1, abs(1.0 - 2.0 * phase0));
+  foam = max(foam, smoothstep(0.6, 0.9, flowFoam) * clamp(flowSpeed * 0.3, 0.0, 0.6));
+}
+
 vec3 color = diffuse + specular;
 color = mix(color, vec3(1.0), foam);
 
@@ -243,4 +268,424 @@ color = mix(color, fogColor, clamp(fogF, 0.0, 1.0));
 
 gl_FragColor = vec4(color, alpha);
 }`;
-}
\ No newline at end of file
+}
+/**
+ * Screen-space water (reflections, refraction, shoreline foam), run as a
+ * PostProcessPass over the HDR scene. These are fragment bodies; params and
+ * bindings are declared by PostProcessPass.createMaterial() from
+ * WaterMaterialFactory.SCREEN_SPACE_PARAMS. waterSurface.w > 0 selects a
+ * spherical surface (planet centre in xyz, radius in w) at waterLevel above
+ * the radius, otherwise the plane y = waterLevel. Near the camera the level
+ * comes per pixel from waterLevelMap (WaterRenderer.updateWaterLevelMap):
+ * waterMapCenter.xyz/w = center and size, waterMapAxisX/Z.xyz = its ground
+ * axes, waterMapAxisX.w = enabled, waterMapAxisZ.w = resolution and
+ * waterMapRange = (min level, max - min).
+ */
+export function buildScreenSpaceWaterFragmentGLSL() {
+  return `
+const float PI = 3.14159265359;
+const int MAX_SSR_STEPS = 64;
+const float SKY_DEPTH = 0.99999;
+const int WATER_MAP_STEPS = 48;
+
+vec3 worldFromDepth(vec2 uv, float depth) {
+  vec4 p = invViewProj * vec4(uv * 2.0 - 1.0, depth * 2.0 - 1.0, 1.0);
+  return p.xyz / p.w;
+}
+
+float sceneDepthAt(vec2 uv) {
+  return texture(sceneDepth, uv).r;
+}
+
+float waterLevelAt(vec3 p) {
+  if (waterMapAxisX.w < 0.5) return waterLevel;
+  vec3 fromCenter = p - waterMapCenter.xyz;
+  vec2 uv = vec2(dot(fromCenter, waterMapAxisX.xyz), dot(fromCenter, waterMapAxisZ.xyz)) / waterMapCenter.w + 0.5;
+  if (uv.x < 0.0 || uv.y < 0.0 || uv.x >= 1.0 || uv.y >= 1.0) return waterLevel;
+  vec4 encoded = texelFetch(waterLevelMap, ivec2(uv * waterMapAxisZ.w), 0);
+  if (encoded.a < 0.5) return waterLevel;
+  return waterMapRange.x + (encoded.r * 65280.0 + encoded.g * 255.0) / 65535.0 * waterMapRange.y;
+}
+
+float surfaceHeight(vec3 p) {
+  return waterSurface.w > 0.0
+    ? length(p - waterSurface.xyz) - (waterSurface.w + waterLevelAt(p))
+    : p.y - waterLevelAt(p);
+}
+
+vec3 surfaceUp(vec3 p) {
+  return waterSurface.w > 0.0 ? normalize(p - waterSurface.xyz) : vec3(0.0, 1.0, 0.0);
+}
+
+// Distance along rd to the surface at a fixed level, or -1 when missing it
+float intersectLevel(vec3 ro, vec3 rd, float level) {
+  if (waterSurface.w > 0.0) {
+    vec3 oc = ro - waterSurface.xyz;
+    float radius = waterSurface.w + level;
+    float b = dot(oc, rd);
+    float c = dot(oc, oc) - radius * radius;
+    float h = b * b - c;
+    if (h < 0.0) return -1.0;
+    float t = -b - sqrt(h);
+    return t > 0.0 ? t : -1.0;
+  }
+  if (rd.y >= 0.0) return -1.0;
+  return (level - ro.y) / rd.y;
+}
+
+// Distance along rd to the water surface, or -1 when looking from below or missing it.
+// Inside the level map the ray is marched (denser near the camera) and the
+// crossing bisected; past it the surface is at waterLevel.
+float intersectWater(vec3 ro, vec3 rd) {
+  if (surfaceHeight(ro) <= 0.0) return -1.0;
+  if (waterMapAxisX.w < 0.5) return intersectLevel(ro, rd, waterLevel);
+
+  float reach = waterMapCenter.w * 0.5;
+  float prevT = 0.0;
+  for (int i = 1; i <= WATER_MAP_STEPS; i++) {
+    float f = float(i) / float(WATER_MAP_STEPS);
+    float t = reach * f * f;
+    if (surfaceHeight(ro + rd * t) <= 0.0) {
+      float lo = prevT;
+      float hi = t;
+      for (int k = 0; k < 6; k++) {
+        float mid = 0.5 * (lo + hi);
+        if (surfaceHeight(ro + rd * mid) <= 0.0) hi = mid; else lo = mid;
+      }
+      return hi;
+    }
+    prevT = t;
+  }
+  float tBase = intersectLevel(ro, rd, waterLevel);
+  return tBase > reach ? tBase : -1.0;
+}
+
+vec3 waveNormal(vec3 p, vec3 up) {
+  vec3 refAxis = abs(up.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(0.0, 0.0, 1.0);
+  vec3 tangent = normalize(cross(up, refAxis));
+  vec3 bitangent = cross(tangent, up);
+  vec2 q = vec2(dot(p, tangent), dot(p, bitangent));
+
+  vec2 d1 = normalize(windDirection.xy + vec2(1e-4, 0.0));
+  vec2 d2 = vec2(-d1.y, d1.x);
+  vec2 d3 = normalize(d1 + d2 * 0.5);
+  float f1 = waveFrequency * 0.25;
+  float f2 = f1 * 1.9;
+  float f3 = f1 * 3.7;
+  float a = waveHeight * 0.5;
+  float t = time * (1.0 + windSpeed * 0.12);
+
+  vec2 slope = d1 * cos(dot(q, d1) * f1 + t) * a * f1
+             + d2 * cos(dot(q, d2) * f2 + t * 1.3) * a * 0.6 * f2
+             + d3 * cos(dot(q, d3) * f3 + t * 1.7) * a * 0.3 * f3;
+  return normalize(up - tangent * slope.x - bitangent * slope.y);
+}
+
+vec3 sampleEnvironment(vec3 dir) {
+  float azimuth = atan(dir.x, dir.z);
+  float elevation = asin(clamp(dir.y, -1.0, 1.0));
+  return texture(environmentMap, vec2(azimuth / (2.0 * PI) + 0.5, elevation / PI + 0.5)).rgb;
+}
+
+// March the reflected ray in world space and test it against the depth buffer.
+// Returns rgb + confidence (0 = miss, fall back to the sky).
+vec4 traceReflection(vec3 origin, vec3 dir) {
+  float stepLength = ssrMaxDistance / ssrSteps;
+  for (int i = 1; i <= MAX_SSR_STEPS; i++) {
+    if (float(i) > ssrSteps) break;
+    vec3 q = origin + dir * stepLength * float(i);
+    vec4 clip = viewProj * vec4(q, 1.0);
+    if (clip.w <= 0.0) break;
+    vec2 uv = clip.xy / clip.w * 0.5 + 0.5;
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) break;
+
+    float depth = sceneDepthAt(uv);
+    if (depth >= SKY_DEPTH) continue;
+    float sceneDist = distance(cameraPosition.xyz, worldFromDepth(uv, depth));
+    float rayDist = distance(cameraPosition.xyz, q);
+    if (rayDist > sceneDist && rayDist - sceneDist < ssrThickness) {
+      vec2 edge = min(uv, 1.0 - uv);
+      float fade = clamp(min(edge.x, edge.y) * 10.0, 0.0, 1.0) * (1.0 - float(i) / ssrSteps);
+      return vec4(texture(inputTexture, uv).rgb, fade);
+    }
+  }
+  return vec4(0.0);
+}
+
+float foamPattern(vec2 p) {
+  float n1 = sin(p.x * 0.63 + time * 0.4) * sin(p.y * 0.63 - time * 0.3);
+  float n2 = sin(p.x * 1.57 + 1.57) * sin(p.y * 1.57 + time * 0.5);
+  float n3 = sin(p.x * 3.14 + 3.14 - time * 0.7) * sin(p.y * 3.14 + 3.14);
+  return clamp((n1 * 0.5 + n2 * 0.3 + n3 * 0.2) * 0.5 + 0.5, 0.0, 1.0);
+}
+
+void main() {
+  vec3 sceneColor = texture(inputTexture, vUv).rgb;
+  float depth = sceneDepthAt(vUv);
+  vec3 scenePos = worldFromDepth(vUv, min(depth, SKY_DEPTH));
+  vec3 camPos = cameraPosition.xyz;
+  vec3 viewDir = normalize(scenePos - camPos);
+  float sceneDist = depth >= SKY_DEPTH ? 1e30 : distance(camPos, scenePos);
+
+  float tWater = intersectWater(camPos, viewDir);
+  if (tWater < 0.0 || tWater >= sceneDist) {
+    fragColor = vec4(sceneColor, 1.0);
+    return;
+  }
+
+  vec3 surfacePos = camPos + viewDir * tWater;
+  vec3 up = surfaceUp(surfacePos);
+  vec3 normal = waveNormal(surfacePos, up);
+
+  // Refraction: offset the lookup by the wave normal, unless that lands above the water
+  float thickness = min(sceneDist - tWater, 1e4);
+  vec2 offset = (normal - up).xz * refractionStrength * clamp(thickness * 0.05, 0.0, 1.0);
+  vec2 refractUv = clamp(vUv + offset, vec2(0.0), vec2(1.0));
+  float refractDepth = sceneDepthAt(refractUv);
+  float refractDist = refractDepth >= SKY_DEPTH ? 1e30 : distance(camPos, worldFromDepth(refractUv, refractDepth));
+  if (refractDist < tWater) refractUv = vUv;
+  vec3 refracted = texture(inputTexture, refractUv).rgb;
+
+  vec3 transmittance = exp(-absorption.rgb * thickness);
+  float light = 0.35 + 0.65 * max(dot(up, sunDirection.xyz), 0.0);
+  vec3 scatter = mix(waterColorDeep.rgb, waterColorShallow.rgb, transmittance.g) * light;
+  vec3 body = refracted * transmittance + scatter * (1.0 - transmittance);
+
+  // Reflection: SSR first, the sky environment map for misses
+  vec3 reflectDir = reflect(viewDir, normal);
+  float rise = dot(reflectDir, up);
+  if (rise < 0.01) reflectDir = normalize(reflectDir + up * (0.01 - rise));
+  vec4 ssr = traceReflection(surfacePos + up * 0.05, reflectDir);
+  vec3 reflected = mix(sampleEnvironment(reflectDir), ssr.rgb, ssr.a);
+
+  float cosTheta = clamp(dot(-viewDir, normal), 0.0, 1.0);
+  float fresnel = fresnelF0 + (1.0 - fresnelF0) * pow(1.0 - cosTheta, 5.0);
+  vec3 color = mix(body, reflected, fresnel);
+  color += pow(max(dot(reflectDir, sunDirection.xyz), 0.0), 512.0) * sunDirection.w;
+
+  // Shoreline foam from the water height above the terrain under this pixel (in chunk height units)
+  float waterDepth = depth >= SKY_DEPTH ? 1e6 : -surfaceHeight(scenePos) / max(heightScale, 1e-4);
+  float shore = 1.0 - smoothstep(foamDepthStart, foamDepthEnd, waterDepth);
+  vec3 tangent = normalize(cross(up, abs(up.y) < 0.99 ? vec3(0.0, 1.0, 0.0) : vec3(0.0, 0.0, 1.0)));
+  vec2 foamUv = vec2(dot(surfacePos, tangent), dot(surfacePos, cross(tangent, up)));
+  float foam = clamp(shore * foamPattern(foamUv) * foamIntensity, 0.0, 1.0);
+  color = mix(color, vec3(light), foam);
+
+  fragColor = vec4(color, 1.0);
+}
+`;
+}
+
+export function buildScreenSpaceWaterFragmentWGSL() {
+  return `
+const PI: f32 = 3.14159265359;
+const MAX_SSR_STEPS: i32 = 64;
+const SKY_DEPTH: f32 = 0.99999;
+const WATER_MAP_STEPS: i32 = 48;
+
+// WebGPU: uv.y points down and depth is already NDC z
+fn worldFromDepth(uv: vec2<f32>, depth: f32) -> vec3<f32> {
+  let p = params.invViewProj * vec4<f32>(uv.x * 2.0 - 1.0, 1.0 - uv.y * 2.0, depth, 1.0);
+  return p.xyz / p.w;
+}
+
+fn sceneDepthAt(uv: vec2<f32>) -> f32 {
+  let dims = vec2<f32>(textureDimensions(sceneDepth));
+  let texel = vec2<i32>(clamp(uv * dims, vec2<f32>(0.0), dims - 1.0));
+  return textureLoad(sceneDepth, texel, 0);
+}
+
+fn sceneColorAt(uv: vec2<f32>) -> vec3<f32> {
+  return textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb;
+}
+
+fn waterLevelAt(p: vec3<f32>) -> f32 {
+  if (params.waterMapAxisX.w < 0.5) { return params.waterLevel; }
+  let fromCenter = p - params.waterMapCenter.xyz;
+  let uv = vec2<f32>(dot(fromCenter, params.waterMapAxisX.xyz), dot(fromCenter, params.waterMapAxisZ.xyz)) / params.waterMapCenter.w + 0.5;
+  if (uv.x < 0.0 || uv.y < 0.0 || uv.x >= 1.0 || uv.y >= 1.0) { return params.waterLevel; }
+  let encoded = textureLoad(waterLevelMap, vec2<i32>(uv * params.waterMapAxisZ.w), 0);
+  if (encoded.a < 0.5) { return params.waterLevel; }
+  return params.waterMapRange.x + (encoded.r * 65280.0 + encoded.g * 255.0) / 65535.0 * params.waterMapRange.y;
+}
+
+fn surfaceHeight(p: vec3<f32>) -> f32 {
+  if (params.waterSurface.w > 0.0) {
+    return length(p - params.waterSurface.xyz) - (params.waterSurface.w + waterLevelAt(p));
+  }
+  return p.y - waterLevelAt(p);
+}
+
+fn surfaceUp(p: vec3<f32>) -> vec3<f32> {
+  if (params.waterSurface.w > 0.0) {
+    return normalize(p - params.waterSurface.xyz);
+  }
+  return vec3<f32>(0.0, 1.0, 0.0);
+}
+
+// Distance along rd to the surface at a fixed level, or -1 when missing it
+fn intersectLevel(ro: vec3<f32>, rd: vec3<f32>, level: f32) -> f32 {
+  if (params.waterSurface.w > 0.0) {
+    let oc = ro - params.waterSurface.xyz;
+    let radius = params.waterSurface.w + level;
+    let b = dot(oc, rd);
+    let c = dot(oc, oc) - radius * radius;
+    let h = b * b - c;
+    if (h < 0.0) { return -1.0; }
+    let t = -b - sqrt(h);
+    return select(-1.0, t, t > 0.0);
+  }
+  if (rd.y >= 0.0) { return -1.0; }
+  return (level - ro.y) / rd.y;
+}
+
+// Distance along rd to the water surface, or -1 when looking from below or missing it.
+// Inside the level map the ray is marched (denser near the camera) and the
+// crossing bisected; past it the surface is at waterLevel.
+fn intersectWater(ro: vec3<f32>, rd: vec3<f32>) -> f32 {
+  if (surfaceHeight(ro) <= 0.0) { return -1.0; }
+  if (params.waterMapAxisX.w < 0.5) { return intersectLevel(ro, rd, params.waterLevel); }
+
+  let reach = params.waterMapCenter.w * 0.5;
+  var prevT = 0.0;
+  for (var i: i32 = 1; i <= WATER_MAP_STEPS; i++) {
+    let f = f32(i) / f32(WATER_MAP_STEPS);
+    let t = reach * f * f;
+    if (surfaceHeight(ro + rd * t) <= 0.0) {
+      var lo = prevT;
+      var hi = t;
+      for (var k: i32 = 0; k < 6; k++) {
+        let mid = 0.5 * (lo + hi);
+        if (surfaceHeight(ro + rd * mid) <= 0.0) { hi = mid; } else { lo = mid; }
+      }
+      return hi;
+    }
+    prevT = t;
+  }
+  let tBase = intersectLevel(ro, rd, params.waterLevel);
+  return select(-1.0, tBase, tBase > reach);
+}
+
+fn tangentFor(up: vec3<f32>) -> vec3<f32> {
+  let refAxis = select(vec3<f32>(0.0, 0.0, 1.0), vec3<f32>(0.0, 1.0, 0.0), abs(up.y) < 0.99);
+  return normalize(cross(up, refAxis));
+}
+
+fn waveNormal(p: vec3<f32>, up: vec3<f32>) -> vec3<f32> {
+  let tangent = tangentFor(up);
+  let bitangent = cross(tangent, up);
+  let q = vec2<f32>(dot(p, tangent), dot(p, bitangent));
+
+  let d1 = normalize(params.windDirection.xy + vec2<f32>(1e-4, 0.0));
+  let d2 = vec2<f32>(-d1.y, d1.x);
+  let d3 = normalize(d1 + d2 * 0.5);
+  let f1 = params.waveFrequency * 0.25;
+  let f2 = f1 * 1.9;
+  let f3 = f1 * 3.7;
+  let a = params.waveHeight * 0.5;
+  let t = params.time * (1.0 + params.windSpeed * 0.12);
+
+  let slope = d1 * cos(dot(q, d1) * f1 + t) * a * f1
+            + d2 * cos(dot(q, d2) * f2 + t * 1.3) * a * 0.6 * f2
+            + d3 * cos(dot(q, d3) * f3 + t * 1.7) * a * 0.3 * f3;
+  return normalize(up - tangent * slope.x - bitangent * slope.y);
+}
+
+fn sampleEnvironment(dir: vec3<f32>) -> vec3<f32> {
+  let azimuth = atan2(dir.x, dir.z);
+  let elevation = asin(clamp(dir.y, -1.0, 1.0));
+  let uv = vec2<f32>(azimuth / (2.0 * PI) + 0.5, 0.5 - elevation / PI);
+  return textureSampleLevel(environmentMap, environmentMapSampler, uv, 0.0).rgb;
+}
+
+// March the reflected ray in world space and test it against the depth buffer.
+// Returns rgb + confidence (0 = miss, fall back to the sky).
+fn traceReflection(origin: vec3<f32>, dir: vec3<f32>) -> vec4<f32> {
+  let stepLength = params.ssrMaxDistance / params.ssrSteps;
+  for (var i: i32 = 1; i <= MAX_SSR_STEPS; i++) {
+    if (f32(i) > params.ssrSteps) { break; }
+    let q = origin + dir * stepLength * f32(i);
+    let clip = params.viewProj * vec4<f32>(q, 1.0);
+    if (clip.w <= 0.0) { break; }
+    let ndc = clip.xy / clip.w;
+    let uv = vec2<f32>(ndc.x * 0.5 + 0.5, 0.5 - ndc.y * 0.5);
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) { break; }
+
+    let depth = sceneDepthAt(uv);
+    if (depth >= SKY_DEPTH) { continue; }
+    let sceneDist = distance(params.cameraPosition.xyz, worldFromDepth(uv, depth));
+    let rayDist = distance(params.cameraPosition.xyz, q);
+    if (rayDist > sceneDist && rayDist - sceneDist < params.ssrThickness) {
+      let edge = min(uv, 1.0 - uv);
+      let fade = clamp(min(edge.x, edge.y) * 10.0, 0.0, 1.0) * (1.0 - f32(i) / params.ssrSteps);
+      return vec4<f32>(sceneColorAt(uv), fade);
+    }
+  }
+  return vec4<f32>(0.0);
+}
+
+fn foamPattern(p: vec2<f32>) -> f32 {
+  let t = params.time;
+  let n1 = sin(p.x * 0.63 + t * 0.4) * sin(p.y * 0.63 - t * 0.3);
+  let n2 = sin(p.x * 1.57 + 1.57) * sin(p.y * 1.57 + t * 0.5);
+  let n3 = sin(p.x * 3.14 + 3.14 - t * 0.7) * sin(p.y * 3.14 + 3.14);
+  return clamp((n1 * 0.5 + n2 * 0.3 + n3 * 0.2) * 0.5 + 0.5, 0.0, 1.0);
+}
+
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+  let sceneColor = sceneColorAt(uv);
+  let depth = sceneDepthAt(uv);
+  let isSky = depth >= SKY_DEPTH;
+  let scenePos = worldFromDepth(uv, min(depth, SKY_DEPTH));
+  let camPos = params.cameraPosition.xyz;
+  let viewDir = normalize(scenePos - camPos);
+  let sceneDist = select(distance(camPos, scenePos), 1e30, isSky);
+
+  let tWater = intersectWater(camPos, viewDir);
+  if (tWater < 0.0 || tWater >= sceneDist) {
+    return vec4<f32>(sceneColor, 1.0);
+  }
+
+  let surfacePos = camPos + viewDir * tWater;
+  let up = surfaceUp(surfacePos);
+  let normal = waveNormal(surfacePos, up);
+
+  // Refraction: offset the lookup by the wave normal, unless that lands above the water
+  let thickness = min(sceneDist - tWater, 1e4);
+  let offset = (normal - up).xz * params.refractionStrength * clamp(thickness * 0.05, 0.0, 1.0);
+  var refractUv = clamp(uv + offset, vec2<f32>(0.0), vec2<f32>(1.0));
+  let refractDepth = sceneDepthAt(refractUv);
+  let refractDist = select(distance(camPos, worldFromDepth(refractUv, refractDepth)), 1e30, refractDepth >= SKY_DEPTH);
+  if (refractDist < tWater) { refractUv = uv; }
+  let refracted = sceneColorAt(refractUv);
+
+  let transmittance = exp(-params.absorption.rgb * thickness);
+  let light = 0.35 + 0.65 * max(dot(up, params.sunDirection.xyz), 0.0);
+  let scatter = mix(params.waterColorDeep.rgb, params.waterColorShallow.rgb, transmittance.g) * light;
+  let body = refracted * transmittance + scatter * (1.0 - transmittance);
+
+  // Reflection: SSR first, the sky environment map for misses
+  var reflectDir = reflect(viewDir, normal);
+  let rise = dot(reflectDir, up);
+  if (rise < 0.01) { reflectDir = normalize(reflectDir + up * (0.01 - rise)); }
+  let ssr = traceReflection(surfacePos + up * 0.05, reflectDir);
+  let reflected = mix(sampleEnvironment(reflectDir), ssr.rgb, ssr.a);
+
+  let cosTheta = clamp(dot(-viewDir, normal), 0.0, 1.0);
+  let fresnel = params.fresnelF0 + (1.0 - params.fresnelF0) * pow(1.0 - cosTheta, 5.0);
+  var color = mix(body, reflected, fresnel);
+  color += pow(max(dot(reflectDir, params.sunDirection.xyz), 0.0), 512.0) * params.sunDirection.w;
+
+  // Shoreline foam from the water height above the terrain under this pixel (in chunk height units)
+  let waterDepth = select(-surfaceHeight(scenePos) / max(params.heightScale, 1e-4), 1e6, isSky);
+  let shore = 1.0 - smoothstep(params.foamDepthStart, params.foamDepthEnd, waterDepth);
+  let tangent = tangentFor(up);
+  let foamUv = vec2<f32>(dot(surfacePos, tangent), dot(surfacePos, cross(tangent, up)));
+  let foam = clamp(shore * foamPattern(foamUv) * params.foamIntensity, 0.0, 1.0);
+  color = mix(color, vec3<f32>(light), foam);
+
+  return vec4<f32>(color, 1.0);
+}
+`;
+}
@@ -0,0 +1,36 @@
+// js/node/generateChunks.mjs
+// Headless smoke run of the CPU world generator:
+//   node --import ./js/node/register.mjs js/node/generateChunks.mjs [seed]
+// Loads the 3x3 flat chunks around the origin through ChunkManager and
+// prints each chunk's height range and water features.
+
+import { CPUWorldGenerator } from '../world/cpuWorldGenerator.js';
+import { ChunkManager } from '../ChunkManager.js';
+
+const seed = Number(process.argv[2] ?? 12345);
+const chunkSize = 128;
+
+const worldGenerator = new CPUWorldGenerator(null, null, chunkSize, seed);
+await worldGenerator._ready;
+
+const chunkManager = new ChunkManager(worldGenerator);
+await chunkManager.initialize();
+
+// initialize() only queues the chunks; wait for the queue to drain
+while (chunkManager.chunkQueue.length > 0 || chunkManager.pendingChunks.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+for (const [key, chunk] of chunkManager.loadedChunks) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let y = 0; y < chunk.size; y++) {
+        for (let x = 0; x < chunk.size; x++) {
+            const h = chunk.getHeight(x, y);
+            if (h < min) min = h;
+            if (h > max) max = h;
+        }
+    }
+    const water = chunk.waterFeatures?.length ?? 0;
+    console.log(`chunk ${key}: height ${min.toFixed(2)}..${max.toFixed(2)}, water features ${water}`);
+}
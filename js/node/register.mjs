@@ -0,0 +1,7 @@
+// js/node/register.mjs
+// Preload with `node --import ./js/node/register.mjs <script>` to import the
+// CPU world generation modules (CPUWorldGenerator, ChunkManager, ...) headless.
+
+import { register } from 'node:module';
+
+register('./threeHooks.mjs', import.meta.url);
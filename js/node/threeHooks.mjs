@@ -0,0 +1,14 @@
+// js/node/threeHooks.mjs
+// Module resolve hook for running world generation under Node. The browser
+// modules import three from the jsDelivr CDN; Node cannot load https: URLs,
+// so those specifiers are resolved to the installed `three` package instead.
+
+const THREE_CDN_MODULE = /^https:\/\/cdn\.jsdelivr\.net\/npm\/three@[^/]+\/build\/three\.module\.js$/;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (THREE_CDN_MODULE.test(specifier)) {
+        // The package's "." export is build/three.module.js
+        return nextResolve('three', { ...context, parentURL: import.meta.url });
+    }
+    return nextResolve(specifier, context);
+}
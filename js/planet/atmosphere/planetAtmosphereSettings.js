@@ -24,6 +24,9 @@ export class PlanetAtmosphereSettings {
         this.scaleHeightRayleigh = options.scaleHeightRayleigh ?? 8000;
         this.scaleHeightMie = options.scaleHeightMie ?? 1200;
         
+        // Air density at the surface (kg/m³); falls off with the Rayleigh scale height
+        this.seaLevelDensity = options.seaLevelDensity ?? 1.225;
+
         this.groundAlbedo = options.groundAlbedo ?? 0.3;
         this.sunIntensity = options.sunIntensity ?? 20.0;
         
@@ -52,6 +55,14 @@ export class PlanetAtmosphereSettings {
         return Math.exp(-Math.max(0, altitude) / this.scaleHeightMie);
     }
     
+    /**
+     * Air density in kg/m³ for flight drag; zero above the atmosphere.
+     */
+    getAirDensity(altitude) {
+        if (altitude > this.atmosphereHeight) return 0;
+        return this.seaLevelDensity * this.getRayleighDensity(altitude);
+    }
+
     getOzoneDensity(altitude) {
         const ozoneLayerCenter = 25000;
         const ozoneLayerWidth = 15000;
@@ -98,6 +109,33 @@ export class PlanetAtmosphereSettings {
         ]);
     }
     
+    /**
+     * Constructor-option shape, so fromJSON(toJSON()) round-trips exactly.
+     */
+    toJSON() {
+        return {
+            planetRadius: this.planetRadius,
+            atmosphereHeight: this.atmosphereHeight,
+            rayleighScatteringR: this.rayleighScattering.x,
+            rayleighScatteringG: this.rayleighScattering.y,
+            rayleighScatteringB: this.rayleighScattering.z,
+            mieScattering: this.mieScattering,
+            mieAnisotropy: this.mieAnisotropy,
+            ozoneAbsorptionR: this.ozoneAbsorption.x,
+            ozoneAbsorptionG: this.ozoneAbsorption.y,
+            ozoneAbsorptionB: this.ozoneAbsorption.z,
+            scaleHeightRayleigh: this.scaleHeightRayleigh,
+            scaleHeightMie: this.scaleHeightMie,
+            seaLevelDensity: this.seaLevelDensity,
+            groundAlbedo: this.groundAlbedo,
+            sunIntensity: this.sunIntensity
+        };
+    }
+
+    static fromJSON(json) {
+        return new PlanetAtmosphereSettings(json);
+    }
+
     static createForPlanet(planetRadius, options = {}) {
         const scale = planetRadius / 6371000;
         
@@ -0,0 +1,258 @@
+// js/planet/cubeSphereQuadtree.js
+import { CubeSphereCoords } from './cubeSphereCoords.js';
+import { PlanetaryChunkAddress } from './planetaryChunkAddress.js';
+
+/**
+ * Per-face quadtree over the cube-sphere.
+ *
+ * LOD numbering follows PlanetaryChunkAddress: lod 0 is the finest level
+ * (chunksPerFace x chunksPerFace chunks), each root covers a whole face at
+ * lod = maxLOD. Nodes split when their projected geometric error exceeds
+ * maxScreenSpaceError pixels and merge again below a hysteresis band.
+ */
+export class CubeSphereQuadtree {
+    constructor(planetConfig, chunksPerFace, options = {}) {
+        if (chunksPerFace < 1 || (chunksPerFace & (chunksPerFace - 1)) !== 0) {
+            throw new Error('CubeSphereQuadtree requires a power-of-two chunksPerFace, got ' + chunksPerFace);
+        }
+
+        this.config = planetConfig;
+        this.radius = planetConfig.radius;
+        this.origin = planetConfig.origin;
+        this.chunksPerFace = chunksPerFace;
+        this.maxLOD = Math.round(Math.log2(chunksPerFace));
+
+        // Height samples per chunk edge; a node's geometric error is its sample spacing
+        this.samplesPerChunk = options.samplesPerChunk || planetConfig.surfaceChunkSize || 128;
+        this.maxScreenSpaceError = options.maxScreenSpaceError ?? 2.0;
+        // Split nodes only merge once their error drops below threshold * hysteresis
+        this.mergeHysteresis = options.mergeHysteresis ?? 0.7;
+        this.maxTerrainHeight = planetConfig.maxTerrainHeight || 0;
+
+        this.fov = options.fov ?? (60 * Math.PI / 180);
+        this.viewportHeight = options.viewportHeight ?? 1080;
+
+        this.splitNodes = new Set();
+        // Split set before balancing; an unchanged one means the leaves are too
+        this._refinedNodes = new Set();
+        this.leaves = this.getRootAddresses();
+        this._boundsCache = new Map();
+        this.maxCachedBounds = options.maxCachedBounds ?? 65536;
+    }
+
+    setViewParameters(fovRadians, viewportHeight) {
+        this.fov = fovRadians;
+        this.viewportHeight = viewportHeight;
+    }
+
+    getRootAddresses() {
+        const roots = [];
+        for (let face = 0; face < 6; face++) {
+            roots.push(new PlanetaryChunkAddress(face, 0, 0, this.maxLOD));
+        }
+        return roots;
+    }
+
+    /**
+     * World-space bounding sphere of a node (cached per key).
+     */
+    getNodeBounds(address) {
+        const cached = this._boundsCache.get(address.key);
+        if (cached) return cached;
+
+        const gridSize = address.getGridSize(this.chunksPerFace);
+        const uMin = (address.x / gridSize) * 2 - 1;
+        const uMax = ((address.x + 1) / gridSize) * 2 - 1;
+        const vMin = (address.y / gridSize) * 2 - 1;
+        const vMax = ((address.y + 1) / gridSize) * 2 - 1;
+
+        const center = CubeSphereCoords.faceUVToWorldPosition(
+            address.face, (uMin + uMax) * 0.5, (vMin + vMax) * 0.5, this.radius
+        ).add(this.origin);
+
+        let boundRadius = 0;
+        for (const [u, v] of [[uMin, vMin], [uMax, vMin], [uMin, vMax], [uMax, vMax]]) {
+            const corner = CubeSphereCoords.faceUVToWorldPosition(address.face, u, v, this.radius).add(this.origin);
+            boundRadius = Math.max(boundRadius, corner.distanceTo(center));
+        }
+
+        // Arc length of one node edge on the sphere surface
+        const size = (this.radius * Math.PI * 0.5) / gridSize;
+
+        const bounds = { center, radius: boundRadius, size };
+        if (this._boundsCache.size >= this.maxCachedBounds) this._boundsCache.clear();
+        this._boundsCache.set(address.key, bounds);
+        return bounds;
+    }
+
+    getScreenSpaceError(address, cameraPosition) {
+        const bounds = this.getNodeBounds(address);
+        const distance = Math.max(cameraPosition.distanceTo(bounds.center) - bounds.radius, 1.0);
+        const geometricError = bounds.size / this.samplesPerChunk;
+        const projection = this.viewportHeight / (2 * Math.tan(this.fov * 0.5));
+        return (geometricError * projection) / distance;
+    }
+
+    _isBeyondHorizon(address, cameraPosition) {
+        const distFromCenter = cameraPosition.distanceTo(this.origin);
+        if (distFromCenter <= this.radius) return false;
+
+        const horizon = CubeSphereCoords.getHorizonDistance(distFromCenter - this.radius, this.radius);
+        const bounds = this.getNodeBounds(address);
+        // Mountains poke above the horizon, so pad by the terrain height here only;
+        // padding the SSE bound would pin every nearby node to distance 1
+        return cameraPosition.distanceTo(bounds.center) - bounds.radius - this.maxTerrainHeight > horizon;
+    }
+
+    _shouldSplit(address, cameraPosition, wasSplit) {
+        if (address.lod === 0) return false;
+        if (this._isBeyondHorizon(address, cameraPosition)) return false;
+
+        const threshold = wasSplit
+            ? this.maxScreenSpaceError * this.mergeHysteresis
+            : this.maxScreenSpaceError;
+        return this.getScreenSpaceError(address, cameraPosition) > threshold;
+    }
+
+    /**
+     * Re-evaluate splits for a camera position and return the leaf set.
+     * @param {THREE.Vector3} cameraPosition - world space
+     * @returns {PlanetaryChunkAddress[]}
+     */
+    update(cameraPosition) {
+        const previous = this.splitNodes;
+        const next = new Set();
+
+        const stack = this.getRootAddresses();
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this._shouldSplit(node, cameraPosition, previous.has(node.key))) {
+                next.add(node.key);
+                stack.push(...node.getChildren());
+            }
+        }
+
+        if (next.size === this._refinedNodes.size && [...next].every(key => this._refinedNodes.has(key))) {
+            return this.leaves;
+        }
+
+        this._refinedNodes = next;
+        this.splitNodes = new Set(next);
+        this._balance();
+        this.leaves = this._collectLeaves();
+        return this.leaves;
+    }
+
+    _collectLeaves() {
+        const leaves = [];
+        const stack = this.getRootAddresses();
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this.splitNodes.has(node.key)) {
+                stack.push(...node.getChildren());
+            } else {
+                leaves.push(node);
+            }
+        }
+        return leaves;
+    }
+
+    /**
+     * Restrict neighboring leaves to at most one LOD step apart so chunk
+     * edges can be stitched. A split only affects the new children and the
+     * coarser neighbors they now border, so only those are re-checked.
+     */
+    _balance() {
+        const pending = this._collectLeaves();
+        while (pending.length > 0) {
+            const leaf = pending.pop();
+            if (leaf.lod === 0 || !this.isLeaf(leaf)) continue;
+
+            const neighbors = this.getNeighborLeaves(leaf);
+            if (!neighbors.some(n => n.lod < leaf.lod - 1)) continue;
+
+            this._splitWithAncestors(leaf);
+            pending.push(...leaf.getChildren());
+            for (const neighbor of neighbors) {
+                if (neighbor.lod > leaf.lod) pending.push(neighbor);
+            }
+        }
+    }
+
+    _splitWithAncestors(address) {
+        for (let lod = address.lod; lod <= this.maxLOD; lod++) {
+            this.splitNodes.add(address.getAncestor(lod).key);
+        }
+    }
+
+    isLeaf(address) {
+        if (this.splitNodes.has(address.key)) return false;
+        if (address.lod === this.maxLOD) return true;
+        return this.splitNodes.has(address.getParent().key);
+    }
+
+    /**
+     * Leaf containing the given address. Returns null if the address lies
+     * inside a subdivided node (i.e. the area is covered by finer leaves).
+     */
+    findLeaf(address) {
+        if (this.splitNodes.has(address.key)) return null;
+
+        // Split nodes always have split ancestors, so the leaf is the first
+        // node on the way up whose parent is split
+        let node = address;
+        while (node.lod < this.maxLOD) {
+            const parent = node.getParent();
+            if (this.splitNodes.has(parent.key)) break;
+            node = parent;
+        }
+        return node;
+    }
+
+    /**
+     * Leaves sharing an edge with `address` in one direction. The result
+     * may be one coarser/equal leaf or several finer ones.
+     */
+    getNeighborLeaves(address, direction = null) {
+        if (direction === null) {
+            const all = new Map();
+            for (const dir of ['left', 'right', 'down', 'up']) {
+                for (const n of this.getNeighborLeaves(address, dir)) {
+                    all.set(n.key, n);
+                }
+            }
+            return Array.from(all.values());
+        }
+
+        const neighbor = address.getNeighbor(direction, this.chunksPerFace);
+        if (!neighbor) return [];
+
+        const leaf = this.findLeaf(neighbor);
+        if (leaf) return [leaf];
+
+        // Neighbor is subdivided: descend only into children along our edge.
+        // Checked via their own neighbors so rotated face seams work too.
+        const touches = node => node.getNeighbors(this.chunksPerFace).some(n => address.contains(n));
+        const result = [];
+        const stack = neighbor.getChildren().filter(touches);
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this.splitNodes.has(node.key)) {
+                stack.push(...node.getChildren().filter(touches));
+            } else {
+                result.push(node);
+            }
+        }
+        return result;
+    }
+
+    getStats() {
+        const perLOD = new Array(this.maxLOD + 1).fill(0);
+        for (const leaf of this.leaves) perLOD[leaf.lod]++;
+        return {
+            leaves: this.leaves.length,
+            splitNodes: this.splitNodes.size,
+            perLOD
+        };
+    }
+}
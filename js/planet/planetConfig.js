@@ -11,6 +11,8 @@ export class PlanetConfig {
 
         this.surfaceChunkSize = options.surfaceChunkSize || 128;
         this.maxTerrainHeight = options.maxTerrainHeight || 8000;
+        // m/s² at `radius`; gravity falls off with the inverse square of the distance
+        this.surfaceGravity = options.surfaceGravity ?? 9.81;
 
         this.altitudeZones = {
             surface: options.surfaceAltitude || 2000,
@@ -25,6 +27,9 @@ export class PlanetConfig {
             options.originZ || 0
         );
 
+        // BiomeRegistry JSON or preset name ('default', 'desert', 'tundra'); null keeps the generator's
+        this.biomes = options.biomes ?? null;
+
         this.rotationAxis = new THREE.Vector3(0, 0, 1);
         this.rotationSpeed = options.rotationSpeed || 0.0001;
         this.currentRotation = 0;
@@ -53,6 +58,13 @@ export class PlanetConfig {
         return this.radius;
     }
 
+    /**
+     * GM (m³/s²), from the surface gravity at `radius`.
+     */
+    get gravitationalParameter() {
+        return this.surfaceGravity * this.radius * this.radius;
+    }
+
     getAltitudeZone(altitude) {
         if (altitude < this.altitudeZones.surface) return 'surface';
         if (altitude < this.altitudeZones.low) return 'low';
@@ -74,14 +86,47 @@ export class PlanetConfig {
             name: this.name,
             radius: this.radius,
             atmosphereHeight: this.atmosphereHeight,
+            hasAtmosphere: this.hasAtmosphere,
             seed: this.seed,
-            altitudeZones: this.altitudeZones,
-            hasAtmosphere: this.hasAtmosphere
+            surfaceChunkSize: this.surfaceChunkSize,
+            maxTerrainHeight: this.maxTerrainHeight,
+            surfaceGravity: this.surfaceGravity,
+            altitudeZones: { ...this.altitudeZones },
+            origin: [this.origin.x, this.origin.y, this.origin.z],
+            rotationAxis: [this.rotationAxis.x, this.rotationAxis.y, this.rotationAxis.z],
+            rotationSpeed: this.rotationSpeed,
+            currentRotation: this.currentRotation,
+            biomes: this.biomes,
+            atmosphereSettings: this.atmosphereSettings ? this.atmosphereSettings.toJSON() : null
         };
     }
 
     static fromJSON(json) {
-        return new PlanetConfig(json);
+        const zones = json.altitudeZones || {};
+        const origin = json.origin || [json.originX || 0, json.originY || 0, json.originZ || 0];
+
+        const config = new PlanetConfig({
+            ...json,
+            surfaceAltitude: zones.surface ?? json.surfaceAltitude,
+            lowAltitude: zones.low ?? json.lowAltitude,
+            transitionAltitude: zones.transition ?? json.transitionAltitude,
+            orbitalAltitude: zones.orbital ?? json.orbitalAltitude,
+            originX: origin[0],
+            originY: origin[1],
+            originZ: origin[2],
+            atmosphereSettings: json.atmosphereSettings
+                ? PlanetAtmosphereSettings.fromJSON(json.atmosphereSettings)
+                : undefined
+        });
+
+        if (json.rotationAxis) {
+            config.rotationAxis.set(json.rotationAxis[0], json.rotationAxis[1], json.rotationAxis[2]);
+        }
+        // The constructor treats 0 as "use default"; saved zeros must survive
+        config.rotationSpeed = json.rotationSpeed ?? config.rotationSpeed;
+        config.maxTerrainHeight = json.maxTerrainHeight ?? config.maxTerrainHeight;
+        config.currentRotation = json.currentRotation || 0;
+        return config;
     }
 
     static createEarthLike(options = {}) {
@@ -0,0 +1,177 @@
+// js/planet/planetSurfaceBaker.js
+import { CubeSphereCoords } from './cubeSphereCoords.js';
+import { TerrainNoiseCPU } from '../world/terrainGeneratorCPU.js';
+import { TEXTURE_CONFIG } from '../texture/atlasConfig.js';
+import { SEASONS, TEXTURE_LEVELS } from '../texture/TileConfig.js';
+import { Texture, TextureFormat, TextureFilter } from '../renderer/resources/texture.js';
+import { ORBITAL_BAKE_CONFIG } from '../config/orbitalBakeConfig.js';
+
+/**
+ * Bakes low-resolution albedo, normal and height maps of the whole planet
+ * from the active world generator, for the orbital sphere. Terrain edits
+ * (options.terrainEdits) are applied on top, point sampled per texel.
+ *
+ * Each map holds the six cube faces stacked along v (width N, height 6N);
+ * texel (i, j) of face f is the direction of faceUVToWorldPosition at the
+ * texel centre. Heights are in render units above the planet radius.
+ */
+export class PlanetSurfaceBaker {
+    constructor(worldGenerator, planetConfig, options = {}) {
+        this.worldGenerator = worldGenerator;
+        this.planetConfig = planetConfig;
+        this.faceSize = options.faceSize || ORBITAL_BAKE_CONFIG.faceSize;
+        this.terrainEdits = options.terrainEdits || null;
+    }
+
+    async bake() {
+        await this.worldGenerator._ready;
+
+        const terrain = this.worldGenerator.getCPUTerrain();
+        const N = this.faceSize;
+        const radius = this.planetConfig.radius;
+        const genScale = Math.max(this.worldGenerator.generationHeightScale, 0.0001);
+        const heightScale = this.worldGenerator.renderHeightScale / genScale;
+        const seaLevel = this.worldGenerator.globalWaterLevel * heightScale;
+        const palette = this._buildPalette();
+        const edits = this.terrainEdits?.stamps.length > 0 ? this.terrainEdits : null;
+        // Face-local tile units per unit of cube face coordinate (edits are stored in tiles)
+        const tilesPerFace = (this.worldGenerator.chunksPerFace ?? 16) * this.worldGenerator.chunkSize;
+
+        const startTime = performance.now();
+        const directions = new Float32Array(N * N * 6 * 3);
+        const heights = new Float32Array(N * N * 6);
+        const albedo = new Uint8Array(N * N * 6 * 4);
+
+        for (let face = 0; face < 6; face++) {
+            for (let j = 0; j < N; j++) {
+                for (let i = 0; i < N; i++) {
+                    const u = ((i + 0.5) / N) * 2 - 1;
+                    const v = ((j + 0.5) / N) * 2 - 1;
+                    const dir = CubeSphereCoords.faceUVToWorldPosition(face, u, v, 1);
+                    const index = (face * N + j) * N + i;
+
+                    const [wx, wy, lat] = terrain.getSphereCoord(dir.x, dir.y, dir.z);
+                    let h = terrain.sampleHeight(wx, wy);
+                    let tile = TerrainNoiseCPU.determineTerrain(h, wx, wy, lat, terrain.seed, terrain.biomeRegistry);
+
+                    if (edits) {
+                        const cube = CubeSphereCoords.sphereToCube(dir.x, dir.y, dir.z);
+                        const tx = (cube.u + 1) * 0.5 * tilesPerFace;
+                        const ty = (cube.v + 1) * 0.5 * tilesPerFace;
+                        ({ height: h, tile } = edits.sampleAt(tx, ty, cube.face, h, tile));
+                    }
+
+                    directions[index * 3] = dir.x;
+                    directions[index * 3 + 1] = dir.y;
+                    directions[index * 3 + 2] = dir.z;
+                    heights[index] = h * heightScale;
+
+                    const color = palette.get(tile) || palette.get('default');
+                    albedo[index * 4] = color[0];
+                    albedo[index * 4 + 1] = color[1];
+                    albedo[index * 4 + 2] = color[2];
+                    albedo[index * 4 + 3] = 255;
+                }
+                // Keep the page responsive during the bake
+                if ((j & 15) === 15) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        }
+
+        const normal = this._computeNormals(directions, heights, radius, seaLevel);
+
+        console.log('[PlanetSurfaceBaker] Baked ' + N + 'x' + N + ' x6 surface maps in ' +
+            (performance.now() - startTime).toFixed(0) + 'ms');
+
+        return {
+            albedo: this._createTexture(albedo, TextureFormat.RGBA8),
+            normal: this._createTexture(normal, TextureFormat.RGBA8),
+            height: this._createTexture(heights, TextureFormat.R32F, TextureFilter.NEAREST),
+            faceSize: N,
+            seaLevel
+        };
+    }
+
+    /**
+     * Tile id -> [r, g, b] from each tile's summer micro texture base colour.
+     */
+    _buildPalette() {
+        const palette = new Map();
+        for (const [tile, hex] of Object.entries(ORBITAL_BAKE_CONFIG.tileColors)) {
+            palette.set(Number(tile), this._parseColor(hex));
+        }
+        for (const config of TEXTURE_CONFIG) {
+            const layers = config.textures?.base?.[SEASONS.SUMMER]?.[TEXTURE_LEVELS.MICRO];
+            const hex = layers?.[0]?.[0]?.color;
+            if (hex) palette.set(config.id, this._parseColor(hex));
+        }
+        palette.set('default', this._parseColor(ORBITAL_BAKE_CONFIG.defaultColor));
+        return palette;
+    }
+
+    _parseColor(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    /**
+     * World-space normals from the displaced surface (water flattened to sea
+     * level), differenced within each face.
+     */
+    _computeNormals(directions, heights, radius, seaLevel) {
+        const N = this.faceSize;
+        const normals = new Uint8Array(N * N * 6 * 4);
+        const position = (face, i, j, out) => {
+            const index = (face * N + Math.min(Math.max(j, 0), N - 1)) * N + Math.min(Math.max(i, 0), N - 1);
+            const r = radius + Math.max(heights[index], seaLevel);
+            out[0] = directions[index * 3] * r;
+            out[1] = directions[index * 3 + 1] * r;
+            out[2] = directions[index * 3 + 2] * r;
+        };
+
+        const l = [0, 0, 0], rt = [0, 0, 0], d = [0, 0, 0], up = [0, 0, 0];
+        for (let face = 0; face < 6; face++) {
+            for (let j = 0; j < N; j++) {
+                for (let i = 0; i < N; i++) {
+                    position(face, i - 1, j, l);
+                    position(face, i + 1, j, rt);
+                    position(face, i, j - 1, d);
+                    position(face, i, j + 1, up);
+
+                    const ax = rt[0] - l[0], ay = rt[1] - l[1], az = rt[2] - l[2];
+                    const bx = up[0] - d[0], by = up[1] - d[1], bz = up[2] - d[2];
+                    let nx = ay * bz - az * by;
+                    let ny = az * bx - ax * bz;
+                    let nz = ax * by - ay * bx;
+
+                    const index = (face * N + j) * N + i;
+                    const dx = directions[index * 3], dy = directions[index * 3 + 1], dz = directions[index * 3 + 2];
+                    const len = Math.hypot(nx, ny, nz) || 1;
+                    const sign = (nx * dx + ny * dy + nz * dz) < 0 ? -1 : 1;
+                    nx = nx * sign / len;
+                    ny = ny * sign / len;
+                    nz = nz * sign / len;
+
+                    normals[index * 4] = Math.round((nx * 0.5 + 0.5) * 255);
+                    normals[index * 4 + 1] = Math.round((ny * 0.5 + 0.5) * 255);
+                    normals[index * 4 + 2] = Math.round((nz * 0.5 + 0.5) * 255);
+                    normals[index * 4 + 3] = 255;
+                }
+            }
+        }
+        return normals;
+    }
+
+    _createTexture(data, format, filter = TextureFilter.LINEAR) {
+        return new Texture({
+            width: this.faceSize,
+            height: this.faceSize * 6,
+            format,
+            minFilter: filter,
+            magFilter: filter,
+            generateMipmaps: false,
+            data
+        });
+    }
+}
@@ -1,4 +1,5 @@
-import { CubeSphereFace, getFaceName } from './cubeSphereFace.js';
+import { getFaceNormal, getFaceUp, getFaceRight } from './cubeSphereFace.js';
+import { CubeSphereCoords } from './cubeSphereCoords.js';
 
 export class PlanetaryChunkAddress {
     constructor(face, x, y, lod = 0) {
@@ -20,93 +21,116 @@ export class PlanetaryChunkAddress {
         return new PlanetaryChunkAddress(face, x, y, lod);
     }
     
+    /**
+     * Grid resolution of this address's LOD level.
+     * chunksPerFace is the LOD 0 (finest) resolution; each level up halves it.
+     */
+    getGridSize(chunksPerFace) {
+        return Math.max(1, chunksPerFace >> this.lod);
+    }
+
+    /**
+     * Footprint of this address in LOD 0 chunk coordinates.
+     */
+    getBaseCoords() {
+        const span = 1 << this.lod;
+        return { face: this.face, x: this.x * span, y: this.y * span, span };
+    }
+
+    getParent() {
+        return new PlanetaryChunkAddress(this.face, this.x >> 1, this.y >> 1, this.lod + 1);
+    }
+
+    getChildren() {
+        if (this.lod === 0) return [];
+        const cx = this.x * 2;
+        const cy = this.y * 2;
+        const lod = this.lod - 1;
+        return [
+            new PlanetaryChunkAddress(this.face, cx, cy, lod),
+            new PlanetaryChunkAddress(this.face, cx + 1, cy, lod),
+            new PlanetaryChunkAddress(this.face, cx, cy + 1, lod),
+            new PlanetaryChunkAddress(this.face, cx + 1, cy + 1, lod)
+        ];
+    }
+
+    /**
+     * Ancestor at a coarser (or equal) LOD level, or null if targetLod is finer.
+     */
+    getAncestor(targetLod) {
+        if (targetLod < this.lod) return null;
+        const shift = targetLod - this.lod;
+        return new PlanetaryChunkAddress(this.face, this.x >> shift, this.y >> shift, targetLod);
+    }
+
+    contains(other) {
+        const ancestor = other.getAncestor(this.lod);
+        return ancestor !== null && ancestor.face === this.face &&
+            ancestor.x === this.x && ancestor.y === this.y;
+    }
+
+    /**
+     * Same-level neighbor in one direction ('left', 'right', 'down', 'up'),
+     * wrapping across cube edges.
+     */
+    getNeighbor(direction, chunksPerFace) {
+        const offsets = {
+            left: { dx: -1, dy: 0 },
+            right: { dx: 1, dy: 0 },
+            down: { dx: 0, dy: -1 },
+            up: { dx: 0, dy: 1 }
+        };
+        const offset = offsets[direction];
+        if (!offset) return null;
+
+        const gridSize = this.getGridSize(chunksPerFace);
+        const nx = this.x + offset.dx;
+        const ny = this.y + offset.dy;
+
+        if (nx >= 0 && nx < gridSize && ny >= 0 && ny < gridSize) {
+            // Standard neighbor on same face
+            return new PlanetaryChunkAddress(this.face, nx, ny, this.lod);
+        }
+        // Edge crossing - wrap to neighbor face
+        return this._wrapToAdjacentFace(nx, ny, chunksPerFace);
+    }
+    
     getNeighbors(chunksPerFace) {
         const neighbors = [];
-        const directions = [
-            { dx: -1, dy: 0 }, // Left
-            { dx: 1, dy: 0 },  // Right
-            { dx: 0, dy: -1 }, // Down
-            { dx: 0, dy: 1 }   // Up
-        ];
         
-        for (const { dx, dy } of directions) {
-            const nx = this.x + dx;
-            const ny = this.y + dy;
-            
-            if (nx >= 0 && nx < chunksPerFace && ny >= 0 && ny < chunksPerFace) {
-                // Standard neighbor on same face
-                neighbors.push(new PlanetaryChunkAddress(this.face, nx, ny, this.lod));
-            } else {
-                // Edge crossing - wrap to neighbor face
-                const wrapped = this._wrapToAdjacentFace(nx, ny, chunksPerFace);
-                if (wrapped) {
-                    neighbors.push(wrapped);
-                }
+        for (const direction of ['left', 'right', 'down', 'up']) {
+            const neighbor = this.getNeighbor(direction, chunksPerFace);
+            if (neighbor) {
+                neighbors.push(neighbor);
             }
         }
         return neighbors;
     }
     
     _wrapToAdjacentFace(x, y, chunksPerFace) {
-        const max = chunksPerFace - 1;
-        
-        // Definitions based on Standard Cube Map UV winding
-        // 0:+X, 1:-X, 2:+Y, 3:-Y, 4:+Z, 5:-Z
-        const faceTransitions = {
-            [CubeSphereFace.POSITIVE_X]: { // Right Face
-                left:  { face: CubeSphereFace.POSITIVE_Z, transform: (x, y) => [max, y] },
-                right: { face: CubeSphereFace.NEGATIVE_Z, transform: (x, y) => [0, y] },
-                up:    { face: CubeSphereFace.POSITIVE_Y, transform: (x, y) => [max, max - x] }, // Rotated
-                down:  { face: CubeSphereFace.NEGATIVE_Y, transform: (x, y) => [max, x] }        // Rotated
-            },
-            [CubeSphereFace.NEGATIVE_X]: { // Left Face
-                left:  { face: CubeSphereFace.NEGATIVE_Z, transform: (x, y) => [max, y] },
-                right: { face: CubeSphereFace.POSITIVE_Z, transform: (x, y) => [0, y] },
-                up:    { face: CubeSphereFace.POSITIVE_Y, transform: (x, y) => [0, x] },         // Rotated
-                down:  { face: CubeSphereFace.NEGATIVE_Y, transform: (x, y) => [0, max - x] }    // Rotated
-            },
-            [CubeSphereFace.POSITIVE_Y]: { // Top Face
-                left:  { face: CubeSphereFace.NEGATIVE_X, transform: (x, y) => [y, 0] },         // Rotated
-                right: { face: CubeSphereFace.POSITIVE_X, transform: (x, y) => [max - y, max] }, // Rotated
-                up:    { face: CubeSphereFace.NEGATIVE_Z, transform: (x, y) => [max - x, 0] },   // Rotated
-                down:  { face: CubeSphereFace.POSITIVE_Z, transform: (x, y) => [x, max] }
-            },
-            [CubeSphereFace.NEGATIVE_Y]: { // Bottom Face
-                left:  { face: CubeSphereFace.NEGATIVE_X, transform: (x, y) => [max - y, max] }, // Rotated
-                right: { face: CubeSphereFace.POSITIVE_X, transform: (x, y) => [y, 0] },         // Rotated
-                up:    { face: CubeSphereFace.POSITIVE_Z, transform: (x, y) => [x, 0] },
-                down:  { face: CubeSphereFace.NEGATIVE_Z, transform: (x, y) => [max - x, max] }  // Rotated
-            },
-            [CubeSphereFace.POSITIVE_Z]: { // Front Face
-                left:  { face: CubeSphereFace.NEGATIVE_X, transform: (x, y) => [max, y] },
-                right: { face: CubeSphereFace.POSITIVE_X, transform: (x, y) => [0, y] },
-                up:    { face: CubeSphereFace.POSITIVE_Y, transform: (x, y) => [x, 0] },
-                down:  { face: CubeSphereFace.NEGATIVE_Y, transform: (x, y) => [x, max] }
-            },
-            [CubeSphereFace.NEGATIVE_Z]: { // Back Face
-                left:  { face: CubeSphereFace.POSITIVE_X, transform: (x, y) => [max, y] },
-                right: { face: CubeSphereFace.NEGATIVE_X, transform: (x, y) => [0, y] },
-                up:    { face: CubeSphereFace.POSITIVE_Y, transform: (x, y) => [max - x, 0] },   // Rotated
-                down:  { face: CubeSphereFace.NEGATIVE_Y, transform: (x, y) => [max - x, max] }  // Rotated
-            }
-        };
+        // Wrapping happens on this LOD's grid, so it works at every quadtree level
+        const gridSize = this.getGridSize(chunksPerFace);
         
-        let direction = null;
-        if (x < 0) direction = 'left';
-        else if (x >= chunksPerFace) direction = 'right';
-        else if (y < 0) direction = 'down';
-        else if (y >= chunksPerFace) direction = 'up';
+        if (x >= 0 && x < gridSize && y >= 0 && y < gridSize) return null;
         
-        if (!direction) return null;
+        // Place the out-of-range cell centre on the extended cube face, then
+        // re-project: the dominant axis picks the adjacent face and its UV
+        // winding (same convention as CubeSphereCoords.sphereToCube)
+        const u = ((x + 0.5) / gridSize) * 2 - 1;
+        const v = ((y + 0.5) / gridSize) * 2 - 1;
+        const normal = getFaceNormal(this.face);
+        const right = getFaceRight(this.face);
+        const up = getFaceUp(this.face);
         
-        const transition = faceTransitions[this.face]?.[direction];
-        if (!transition) return null;
+        const px = normal[0] + right[0] * u + up[0] * v;
+        const py = normal[1] + right[1] * u + up[1] * v;
+        const pz = normal[2] + right[2] * u + up[2] * v;
         
-        // Clamp for safety before transforming
-        const cx = Math.max(0, Math.min(max, x));
-        const cy = Math.max(0, Math.min(max, y));
+        const projected = CubeSphereCoords.sphereToCube(px, py, pz);
+        const max = gridSize - 1;
+        const nx = Math.max(0, Math.min(max, Math.floor((projected.u + 1) * 0.5 * gridSize)));
+        const ny = Math.max(0, Math.min(max, Math.floor((projected.v + 1) * 0.5 * gridSize)));
         
-        const [nx, ny] = transition.transform(cx, cy);
-        return new PlanetaryChunkAddress(transition.face, nx, ny, this.lod);
+        return new PlanetaryChunkAddress(projected.face, nx, ny, this.lod);
     }
 }
\ No newline at end of file
@@ -0,0 +1,326 @@
+// js/planet/solarSystem.js
+// Several planets on Keplerian orbits around a sun. The render frame is
+// anchored on the active planet: it stays put while the other planets and the
+// sun are placed relative to it. When the focus (the spaceship) enters another
+// planet's sphere of influence, that planet becomes active and the handover
+// callbacks rebuild terrain streaming around it.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { PlanetConfig } from './planetConfig.js';
+
+/**
+ * Keplerian orbit in the XZ plane (Y up), rotated by inclination and nodes.
+ * Distances in meters, angles in radians, period in seconds.
+ */
+export class PlanetOrbit {
+    constructor(options = {}) {
+        this.semiMajorAxis = options.semiMajorAxis ?? 0;
+        this.eccentricity = options.eccentricity ?? 0;
+        this.inclination = options.inclination ?? 0;
+        this.ascendingNode = options.ascendingNode ?? 0;
+        this.argumentOfPeriapsis = options.argumentOfPeriapsis ?? 0;
+        this.period = options.period ?? 3600;
+        // Mean anomaly at time 0
+        this.phase = options.phase ?? 0;
+    }
+
+    getPosition(time, target = new THREE.Vector3()) {
+        if (this.semiMajorAxis === 0) return target.set(0, 0, 0);
+
+        const e = this.eccentricity;
+        const meanAnomaly = this.phase + (Math.PI * 2 * time) / this.period;
+
+        // Kepler's equation M = E - e sin E, Newton iterations
+        let E = e < 0.8 ? meanAnomaly : Math.PI;
+        for (let i = 0; i < 8; i++) {
+            E -= (E - e * Math.sin(E) - meanAnomaly) / (1 - e * Math.cos(E));
+        }
+
+        const a = this.semiMajorAxis;
+        target.set(a * (Math.cos(E) - e), 0, a * Math.sqrt(1 - e * e) * Math.sin(E));
+        target.applyAxisAngle(_axisY, this.argumentOfPeriapsis);
+        target.applyAxisAngle(_axisX, this.inclination);
+        target.applyAxisAngle(_axisY, this.ascendingNode);
+        return target;
+    }
+
+    toJSON() {
+        return {
+            semiMajorAxis: this.semiMajorAxis,
+            eccentricity: this.eccentricity,
+            inclination: this.inclination,
+            ascendingNode: this.ascendingNode,
+            argumentOfPeriapsis: this.argumentOfPeriapsis,
+            period: this.period,
+            phase: this.phase
+        };
+    }
+
+    static fromJSON(json) {
+        return new PlanetOrbit(json || {});
+    }
+}
+
+const _axisX = new THREE.Vector3(1, 0, 0);
+const _axisY = new THREE.Vector3(0, 1, 0);
+
+export class SolarSystem {
+    constructor(options = {}) {
+        this.sun = {
+            name: options.sunName || 'Sun',
+            mass: options.sunMass ?? 1.989e30,
+            color: new THREE.Color(options.sunColor ?? 0xfff4e0),
+            intensity: options.sunIntensity ?? 1.0,
+            // Render-frame position, updated with the planets
+            position: new THREE.Vector3()
+        };
+
+        this.bodies = [];
+        this.activeBody = null;
+        this.time = options.time ?? 0;
+
+        // Fraction of the SOI radius the focus must clear before the active
+        // planet lets go, so hovering on a boundary doesn't flip back and forth
+        this.soiHysteresis = options.soiHysteresis ?? 0.05;
+
+        // Where the active planet sits in the render frame
+        this.frameOrigin = new THREE.Vector3();
+        this._activeHeliocentric = new THREE.Vector3();
+        this.handoverCallbacks = new Set();
+    }
+
+    /**
+     * Add a planet. The first planet added becomes active.
+     * @param {PlanetConfig} planetConfig
+     * @param {Object} options - orbit (PlanetOrbit or its options), parent body
+     *        name, mass (kg) and soiRadius (m) overrides
+     */
+    addPlanet(planetConfig, options = {}) {
+        if (this.getBody(planetConfig.name)) {
+            throw new Error(`SolarSystem: duplicate planet name "${planetConfig.name}"`);
+        }
+
+        const orbit = options.orbit instanceof PlanetOrbit ? options.orbit : new PlanetOrbit(options.orbit);
+        const body = {
+            name: planetConfig.name,
+            config: planetConfig,
+            orbit,
+            parent: options.parent || null,
+            mass: options.mass ?? SolarSystem.estimateMass(planetConfig.radius),
+            soiRadius: 0,
+            heliocentric: new THREE.Vector3()
+        };
+        body.soiRadius = options.soiRadius ?? this._computeSOIRadius(body);
+        this.bodies.push(body);
+
+        if (!this.activeBody) {
+            this.activeBody = body;
+            this.frameOrigin.copy(planetConfig.origin);
+        }
+        this._placeBodies();
+
+        console.log(`[SolarSystem] Added ${body.name}: a=${orbit.semiMajorAxis.toFixed(0)}m, SOI=${body.soiRadius.toFixed(0)}m`);
+        return body;
+    }
+
+    getBody(name) {
+        return this.bodies.find(b => b.name === name) || null;
+    }
+
+    get activePlanet() {
+        return this.activeBody?.config || null;
+    }
+
+    /**
+     * Planets other than the active one (drawn as orbital impostors).
+     */
+    get inactiveBodies() {
+        return this.bodies.filter(b => b !== this.activeBody);
+    }
+
+    onHandover(callback) {
+        this.handoverCallbacks.add(callback);
+    }
+
+    offHandover(callback) {
+        this.handoverCallbacks.delete(callback);
+    }
+
+    /**
+     * Rock-like density; used when a planet is added without a mass.
+     */
+    static estimateMass(radius) {
+        return (4 / 3) * Math.PI * radius * radius * radius * 5500;
+    }
+
+    /**
+     * Laplace sphere of influence, never smaller than the planet's orbital
+     * altitude zone so the handover happens outside the terrain zones.
+     */
+    _computeSOIRadius(body) {
+        const config = body.config;
+        const minimum = config.radius + config.altitudeZones.orbital * 2;
+        const parent = body.parent ? this.getBody(body.parent) : null;
+        const parentMass = parent ? parent.mass : this.sun.mass;
+        if (body.orbit.semiMajorAxis === 0) return minimum;
+
+        const laplace = body.orbit.semiMajorAxis * Math.pow(body.mass / parentMass, 0.4);
+        return Math.max(laplace, minimum);
+    }
+
+    _getHeliocentric(body, target) {
+        body.orbit.getPosition(this.time, target);
+        if (body.parent) {
+            const parent = this.getBody(body.parent);
+            if (parent) target.add(parent.orbit.getPosition(this.time, new THREE.Vector3()));
+        }
+        return target;
+    }
+
+    /**
+     * Move the planets' origins into the active planet's render frame.
+     */
+    _placeBodies() {
+        for (const body of this.bodies) {
+            this._getHeliocentric(body, body.heliocentric);
+        }
+        if (!this.activeBody) return;
+
+        this._activeHeliocentric.copy(this.activeBody.heliocentric);
+        for (const body of this.bodies) {
+            body.config.origin
+                .copy(body.heliocentric)
+                .sub(this._activeHeliocentric)
+                .add(this.frameOrigin);
+        }
+        this.sun.position.copy(this.frameOrigin).sub(this._activeHeliocentric);
+    }
+
+    /**
+     * Advance the orbits and hand over the active planet if `focusPosition`
+     * (render frame) has entered another planet's sphere of influence.
+     * @returns {Object|null} the newly active body on handover
+     */
+    update(deltaTime, focusPosition = null) {
+        this.time += deltaTime;
+        this._placeBodies();
+
+        if (!focusPosition || this.bodies.length < 2) return null;
+
+        const next = this.findSOIBody(focusPosition);
+        if (!next || next === this.activeBody) return null;
+        return this.setActiveBody(next.name);
+    }
+
+    /**
+     * Body whose SOI contains the position. The smallest SOI wins, and the
+     * active planet keeps the position within its hysteresis band.
+     */
+    findSOIBody(position) {
+        let best = null;
+        for (const body of this.bodies) {
+            let radius = body.soiRadius;
+            if (body === this.activeBody) radius *= 1 + this.soiHysteresis;
+            if (position.distanceTo(body.config.origin) > radius) continue;
+            if (!best || body.soiRadius < best.soiRadius) best = body;
+        }
+        return best;
+    }
+
+    /**
+     * Make a planet active. The frame is re-anchored on the planet where it
+     * is right now, so nothing in the render frame jumps.
+     */
+    setActiveBody(name) {
+        const body = this.getBody(name);
+        if (!body || body === this.activeBody) return null;
+
+        const previous = this.activeBody;
+        this.frameOrigin.copy(body.config.origin);
+        this.activeBody = body;
+        this._placeBodies();
+
+        console.log(`[SolarSystem] SOI handover: ${previous?.name ?? 'none'} -> ${body.name}`);
+        for (const callback of this.handoverCallbacks) {
+            callback(body.config, previous?.config || null);
+        }
+        return body;
+    }
+
+    /**
+     * Direction from a render-frame position towards the sun.
+     */
+    getSunDirection(position, target = new THREE.Vector3()) {
+        return target.copy(this.sun.position).sub(position).normalize();
+    }
+
+    toJSON() {
+        return {
+            sun: { name: this.sun.name, mass: this.sun.mass, color: this.sun.color.getHex(), intensity: this.sun.intensity },
+            time: this.time,
+            active: this.activeBody?.name ?? null,
+            frameOrigin: [this.frameOrigin.x, this.frameOrigin.y, this.frameOrigin.z],
+            bodies: this.bodies.map(body => ({
+                planet: body.config.toJSON(),
+                orbit: body.orbit.toJSON(),
+                parent: body.parent,
+                mass: body.mass,
+                soiRadius: body.soiRadius
+            }))
+        };
+    }
+
+    static fromJSON(json) {
+        const system = new SolarSystem({
+            sunName: json.sun?.name,
+            sunMass: json.sun?.mass,
+            sunColor: json.sun?.color,
+            sunIntensity: json.sun?.intensity,
+            time: json.time
+        });
+        for (const entry of json.bodies || []) {
+            system.addPlanet(PlanetConfig.fromJSON(entry.planet), entry);
+        }
+        if (json.active) {
+            const body = system.getBody(json.active);
+            if (body) system.activeBody = body;
+        }
+        if (json.frameOrigin) {
+            system.frameOrigin.fromArray(json.frameOrigin);
+        }
+        system._placeBodies();
+        return system;
+    }
+
+    /**
+     * Small game-scale system: the home moon plus two neighbours close
+     * enough to fly to.
+     * @param {PlanetConfig} home - planet the game starts on
+     */
+    static createDefault(home, options = {}) {
+        // Game-scale sun so the Laplace SOIs come out at flyable sizes
+        const system = new SolarSystem({ sunMass: 2.0e24, ...options });
+        system.addPlanet(home, {
+            orbit: { semiMajorAxis: 2.0e7, period: 6 * 3600 }
+        });
+        system.addPlanet(PlanetConfig.createSmallMoon({
+            name: 'Ember',
+            radius: 30000,
+            seed: home.seed + 1,
+            surfaceChunkSize: home.surfaceChunkSize,
+            biomes: 'desert'
+        }), {
+            orbit: { semiMajorAxis: 2.0e7, period: 6 * 3600, phase: 0.02 }
+        });
+        system.addPlanet(PlanetConfig.createSmallMoon({
+            name: 'Rime',
+            radius: 40000,
+            seed: home.seed + 2,
+            surfaceChunkSize: home.surfaceChunkSize,
+            biomes: 'tundra'
+        }), {
+            orbit: { semiMajorAxis: 2.0e7, period: 6 * 3600, phase: -0.03, inclination: 0.01 }
+        });
+        return system;
+    }
+}
@@ -2,14 +2,40 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { CubeSphereCoords } from './cubeSphereCoords.js';
 import { PlanetaryChunkAddress } from './planetaryChunkAddress.js';
+import { CubeSphereQuadtree } from './cubeSphereQuadtree.js';
 
 export class SphericalChunkMapper {
-    constructor(planetConfig, chunksPerFace = 16) {
+    /**
+     * @param {PlanetConfig} planetConfig
+     * @param {number|null} chunksPerFace - LOD 0 grid resolution; null derives it from the planet radius
+     * @param {Object} options - useQuadtree plus CubeSphereQuadtree options
+     */
+    constructor(planetConfig, chunksPerFace = null, options = {}) {
         this.config = planetConfig;
-        this.chunksPerFace = chunksPerFace;
         this.origin = planetConfig.origin;
         this.radius = planetConfig.radius;
         this.chunkSize = planetConfig.surfaceChunkSize;
+        this.chunksPerFace = chunksPerFace ??
+            SphericalChunkMapper.computeChunksPerFace(this.radius, this.chunkSize);
+
+        this.quadtree = null;
+        if (options.useQuadtree !== false) {
+            this.quadtree = new CubeSphereQuadtree(planetConfig, this.chunksPerFace, options);
+        }
+    }
+
+    /**
+     * Smallest power-of-two grid whose chunks are no wider than chunkSize
+     * along a face's surface arc.
+     */
+    static computeChunksPerFace(radius, chunkSize) {
+        const faceArc = radius * Math.PI * 0.5;
+        const needed = Math.max(1, Math.ceil(faceArc / chunkSize));
+        return Math.pow(2, Math.ceil(Math.log2(needed)));
+    }
+
+    get maxLOD() {
+        return Math.round(Math.log2(this.chunksPerFace));
     }
 
     worldPositionToChunkKey(position) {
@@ -17,27 +43,63 @@ export class SphericalChunkMapper {
         return address.key;
     }
 
-    worldPositionToChunkAddress(position) {
+    /**
+     * @param {THREE.Vector3} position - world space
+     * @param {number|null} lod - explicit level, or null for the quadtree leaf
+     *        containing the position (LOD 0 without a quadtree)
+     */
+    worldPositionToChunkAddress(position, lod = null) {
         const relativePos = position.clone().sub(this.origin);
+        const level = lod ?? 0;
+        const gridSize = Math.max(1, this.chunksPerFace >> level);
         
         // This calculates which Cube Face and X,Y coords the position belongs to
         const addressData = CubeSphereCoords.getChunkAddress(
             relativePos,
             this.radius,
             this.chunkSize, // Use actual chunk size in meters
-            this.chunksPerFace 
+            gridSize
         );
         
-        return new PlanetaryChunkAddress(
+        const address = new PlanetaryChunkAddress(
             addressData.face,
             addressData.chunkX,
             addressData.chunkY,
-            0 
+            level
         );
+
+        if (lod === null && this.quadtree) {
+            return this.quadtree.findLeaf(address) || address;
+        }
+        return address;
+    }
+
+    /**
+     * Refine the quadtree for the camera and return the keys of its leaves.
+     */
+    updateQuadtree(cameraPosition) {
+        if (!this.quadtree) {
+            return [this.worldPositionToChunkKey(cameraPosition)];
+        }
+        return this.quadtree.update(cameraPosition).map(address => address.key);
+    }
+
+    /**
+     * Edge-adjacent chunks of an address. With a quadtree these are the
+     * current leaves (which may be coarser or finer); otherwise same-level neighbors.
+     */
+    getNeighbors(addressOrKey) {
+        const address = typeof addressOrKey === 'string'
+            ? PlanetaryChunkAddress.fromKey(addressOrKey)
+            : addressOrKey;
+        if (this.quadtree) {
+            return this.quadtree.getNeighborLeaves(address);
+        }
+        return address.getNeighbors(this.chunksPerFace);
     }
 
     getChunksInRadius(cameraPosition, radius) {
-        const centerAddress = this.worldPositionToChunkAddress(cameraPosition);
+        const centerAddress = this.worldPositionToChunkAddress(cameraPosition, 0);
         const radiusInChunks = Math.ceil(radius / this.chunkSize);
         
         const visited = new Set();
@@ -87,14 +149,15 @@ export class SphericalChunkMapper {
         
         // Handle String Key Input (Approximate center)
         const address = PlanetaryChunkAddress.fromKey(input);
+        const gridSize = address.getGridSize(this.chunksPerFace);
         return {
             face: address.face,
             u: 0.5,
             v: 0.5,
-            uMin: address.x / this.chunksPerFace,
-            uMax: (address.x + 1) / this.chunksPerFace,
-            vMin: address.y / this.chunksPerFace,
-            vMax: (address.y + 1) / this.chunksPerFace
+            uMin: address.x / gridSize,
+            uMax: (address.x + 1) / gridSize,
+            vMin: address.y / gridSize,
+            vMax: (address.y + 1) / gridSize
         };
     }
 }
\ No newline at end of file
@@ -1,3 +1,4 @@
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { Texture, TextureFormat, TextureFilter } from '../resources/texture.js';
 
 export class AtmosphericScatteringLUT {
@@ -7,9 +8,25 @@ export class AtmosphericScatteringLUT {
 
         this.transmittanceLUT = null;
         this.multiScatterLUT = null;
+        // Per-frame view LUTs (Hillaire 2020): the sky around the camera and
+        // a froxel volume over its frustum, slices stacked along v
+        this.skyViewLUT = null;
+        this.aerialPerspectiveLUT = null;
 
         this.transmittanceSize = { width: 256, height: 64 };
         this.multiScatterSize = { width: 32, height: 32 };
+        this.skyViewSize = { width: 192, height: 108 };
+        this.aerialPerspectiveSize = { width: 32, height: 32, slices: 32 };
+        this.aerialPerspectiveDistance = 32000;
+
+        // View state for the view LUTs, relative to the planet centre
+        this.viewPosition = new THREE.Vector3();
+        this.viewSunDirection = new THREE.Vector3(0, 1, 0);
+        this.rayMatrix = new THREE.Matrix4();
+        // (projection [0][0], [1][1], max distance, slice count) for samplers
+        this.aerialPerspectiveParams = new THREE.Vector4();
+        this.viewLUTsReady = false;
+        this._viewRotation = new THREE.Matrix4();
 
         this._isDirty = true;
         this._isInitialized = false;
@@ -43,6 +60,24 @@ export class AtmosphericScatteringLUT {
             magFilter: TextureFilter.LINEAR,
             generateMipmaps: false
         });
+
+        this.skyViewLUT = new Texture({
+            width: this.skyViewSize.width,
+            height: this.skyViewSize.height,
+            format: TextureFormat.RGBA16F,
+            minFilter: TextureFilter.LINEAR,
+            magFilter: TextureFilter.LINEAR,
+            generateMipmaps: false
+        });
+
+        this.aerialPerspectiveLUT = new Texture({
+            width: this.aerialPerspectiveSize.width,
+            height: this.aerialPerspectiveSize.height * this.aerialPerspectiveSize.slices,
+            format: TextureFormat.RGBA16F,
+            minFilter: TextureFilter.LINEAR,
+            magFilter: TextureFilter.LINEAR,
+            generateMipmaps: false
+        });
     }
     
     async _initializeResources() {
@@ -183,6 +218,59 @@ export class AtmosphericScatteringLUT {
     _generateTransmittanceLUT() {
         throw new Error('AtmosphericScatteringLUT._generateTransmittanceLUT() must be implemented');
     }
+
+    /**
+     * Rebuild the sky-view and aerial perspective LUTs for this frame's
+     * camera. Needs the transmittance and multi-scatter LUTs from compute().
+     * @param {Object} camera - render-space camera (position, matrixWorldInverse, projectionMatrix)
+     * @param {THREE.Vector3} sunDirection
+     * @param {THREE.Vector3} planetCenter - render space
+     */
+    updateViewLUTs(camera, sunDirection, planetCenter) {
+        if (!this._isInitialized || !this.isComputed) return;
+
+        this.viewPosition.subVectors(camera.position, planetCenter);
+        this.viewSunDirection.copy(sunDirection).normalize();
+
+        // Clip space to a world direction: the view without its translation
+        this._viewRotation.copy(camera.matrixWorldInverse).setPosition(0, 0, 0);
+        this.rayMatrix.multiplyMatrices(camera.projectionMatrix, this._viewRotation).invert();
+
+        const proj = camera.projectionMatrix.elements;
+        this.aerialPerspectiveParams.set(
+            proj[0],
+            proj[5],
+            this.aerialPerspectiveDistance,
+            this.aerialPerspectiveSize.slices
+        );
+
+        this._generateSkyViewLUT();
+        this._generateAerialPerspectiveLUT();
+
+        if (!this.viewLUTsReady) {
+            this.viewLUTsReady = true;
+            this.uniformManager.setAtmosphereLUTs(null, null, this.skyViewLUT, this.aerialPerspectiveLUT);
+        }
+        this.uniformManager.updateAerialPerspectiveParams(
+            this.aerialPerspectiveParams,
+            this._getAerialPerspectiveParamsBuffer()
+        );
+    }
+
+    _generateSkyViewLUT() {
+        throw new Error('AtmosphericScatteringLUT._generateSkyViewLUT() must be implemented');
+    }
+
+    _generateAerialPerspectiveLUT() {
+        throw new Error('AtmosphericScatteringLUT._generateAerialPerspectiveLUT() must be implemented');
+    }
+
+    /**
+     * WebGPU samplers read the aerial perspective params from a buffer.
+     */
+    _getAerialPerspectiveParamsBuffer() {
+        return null;
+    }
     
     getTransmittanceLUT() {
         return this.transmittanceLUT;
@@ -191,6 +279,14 @@ export class AtmosphericScatteringLUT {
     getMultiScatterLUT() {
         return this.multiScatterLUT;
     }
+
+    getSkyViewLUT() {
+        return this.skyViewLUT;
+    }
+
+    getAerialPerspectiveLUT() {
+        return this.aerialPerspectiveLUT;
+    }
     
     dispose() {
         throw new Error('AtmosphericScatteringLUT.dispose() must be implemented');
@@ -323,6 +323,169 @@ vec3 ap_applyWithBlend(vec3 baseColor, AerialPerspectiveResult ap, float blend)
 }
 `;
 
+export const ATMOSPHERE_LUT_SAMPLING_WGSL = `
+// ============================================================================
+// SKY-VIEW AND AERIAL PERSPECTIVE LUTS (see AtmosphericScatteringLUT)
+// ============================================================================
+// Sky-view: u = azimuth away from the sun (0..PI, mirrored), v = view zenith
+// with the horizon at v = 0.5 and rows packed towards it.
+// Aerial perspective: froxels over the camera frustum, slices stacked along
+// v and spaced quadratically in distance; rgb = inscatter for unit sun
+// intensity, a = mean transmittance.
+
+const LUT_PI: f32 = 3.14159265359;
+
+// Tangent frame at the viewer, x towards the sun's azimuth
+fn lut_skyViewFrame(up: vec3<f32>, sunDir: vec3<f32>) -> mat3x3<f32> {
+    var forward = sunDir - up * dot(sunDir, up);
+    if (dot(forward, forward) < 1e-8) {
+        let axis = select(vec3<f32>(1.0, 0.0, 0.0), vec3<f32>(0.0, 0.0, 1.0), abs(up.x) > 0.9);
+        forward = axis - up * dot(axis, up);
+    }
+    forward = normalize(forward);
+    return mat3x3<f32>(forward, cross(up, forward), up);
+}
+
+// Angular radius of the planet seen from viewRadius
+fn lut_planetAngle(viewRadius: f32, planetRadius: f32) -> f32 {
+    return max(asin(clamp(planetRadius / viewRadius, 0.0, 1.0)), 1e-4);
+}
+
+fn lut_skyViewDirection(uv: vec2<f32>, up: vec3<f32>, sunDir: vec3<f32>, viewRadius: f32, planetRadius: f32) -> vec3<f32> {
+    let beta = lut_planetAngle(viewRadius, planetRadius);
+    let zenithHorizon = LUT_PI - beta;
+    var zenith: f32;
+    if (uv.y < 0.5) {
+        let c = 1.0 - 2.0 * uv.y;
+        zenith = zenithHorizon * (1.0 - c * c);
+    } else {
+        let c = uv.y * 2.0 - 1.0;
+        zenith = zenithHorizon + beta * c * c;
+    }
+    let azimuth = uv.x * LUT_PI;
+    let s = sin(zenith);
+    return lut_skyViewFrame(up, sunDir) * vec3<f32>(s * cos(azimuth), s * sin(azimuth), cos(zenith));
+}
+
+fn lut_skyViewUV(dir: vec3<f32>, up: vec3<f32>, sunDir: vec3<f32>, viewRadius: f32, planetRadius: f32) -> vec2<f32> {
+    let beta = lut_planetAngle(viewRadius, planetRadius);
+    let zenithHorizon = LUT_PI - beta;
+    let zenith = acos(clamp(dot(dir, up), -1.0, 1.0));
+    var v: f32;
+    if (zenith < zenithHorizon) {
+        v = 0.5 * (1.0 - sqrt(max(1.0 - zenith / zenithHorizon, 0.0)));
+    } else {
+        v = 0.5 + 0.5 * sqrt(clamp((zenith - zenithHorizon) / beta, 0.0, 1.0));
+    }
+    let local = transpose(lut_skyViewFrame(up, sunDir)) * dir;
+    return vec2<f32>(atan2(abs(local.y), local.x) / LUT_PI, v);
+}
+
+// Screen uv (y up) of a view-space position; projScale = projection [0][0], [1][1]
+fn lut_aerialPerspectiveUV(viewPos: vec3<f32>, projScale: vec2<f32>) -> vec2<f32> {
+    return viewPos.xy * projScale / max(-viewPos.z, 1e-4) * 0.5 + 0.5;
+}
+
+// params = (projScale, max distance, slice count); no slices means no LUT yet
+fn lut_sampleAerialPerspective(lut: texture_2d<f32>, lutSampler: sampler, screenUV: vec2<f32>, viewDistance: f32, params: vec4<f32>) -> vec4<f32> {
+    let slices = params.w;
+    if (slices < 0.5) {
+        return vec4<f32>(0.0, 0.0, 0.0, 1.0);
+    }
+    let slice = sqrt(clamp(viewDistance / params.z, 0.0, 1.0)) * slices - 0.5;
+    let s0 = clamp(floor(slice), 0.0, slices - 1.0);
+    let s1 = min(s0 + 1.0, slices - 1.0);
+
+    // Keep the bilinear footprint inside one slice
+    let size = vec2<f32>(textureDimensions(lut));
+    let sliceHeight = size.y / slices;
+    let x = clamp(screenUV.x, 0.5 / size.x, 1.0 - 0.5 / size.x);
+    let y = clamp(screenUV.y * sliceHeight, 0.5, sliceHeight - 0.5);
+    let a = textureSampleLevel(lut, lutSampler, vec2<f32>(x, (s0 * sliceHeight + y) / size.y), 0.0);
+    let b = textureSampleLevel(lut, lutSampler, vec2<f32>(x, (s1 * sliceHeight + y) / size.y), 0.0);
+    let ap = mix(a, b, clamp(slice - s0, 0.0, 1.0));
+
+    // Nothing at the camera, the first slice at its centre
+    return mix(vec4<f32>(0.0, 0.0, 0.0, 1.0), ap, clamp(slice * 2.0 + 1.0, 0.0, 1.0));
+}
+`;
+
+export const ATMOSPHERE_LUT_SAMPLING_GLSL = `
+// ============================================================================
+// SKY-VIEW AND AERIAL PERSPECTIVE LUTS (GLSL)
+// ============================================================================
+
+const float LUT_PI = 3.14159265359;
+
+mat3 lut_skyViewFrame(vec3 up, vec3 sunDir) {
+    vec3 forward = sunDir - up * dot(sunDir, up);
+    if (dot(forward, forward) < 1e-8) {
+        vec3 axis = abs(up.x) > 0.9 ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0);
+        forward = axis - up * dot(axis, up);
+    }
+    forward = normalize(forward);
+    return mat3(forward, cross(up, forward), up);
+}
+
+float lut_planetAngle(float viewRadius, float planetRadius) {
+    return max(asin(clamp(planetRadius / viewRadius, 0.0, 1.0)), 1e-4);
+}
+
+vec3 lut_skyViewDirection(vec2 uv, vec3 up, vec3 sunDir, float viewRadius, float planetRadius) {
+    float beta = lut_planetAngle(viewRadius, planetRadius);
+    float zenithHorizon = LUT_PI - beta;
+    float zenith;
+    if (uv.y < 0.5) {
+        float c = 1.0 - 2.0 * uv.y;
+        zenith = zenithHorizon * (1.0 - c * c);
+    } else {
+        float c = uv.y * 2.0 - 1.0;
+        zenith = zenithHorizon + beta * c * c;
+    }
+    float azimuth = uv.x * LUT_PI;
+    float s = sin(zenith);
+    return lut_skyViewFrame(up, sunDir) * vec3(s * cos(azimuth), s * sin(azimuth), cos(zenith));
+}
+
+vec2 lut_skyViewUV(vec3 dir, vec3 up, vec3 sunDir, float viewRadius, float planetRadius) {
+    float beta = lut_planetAngle(viewRadius, planetRadius);
+    float zenithHorizon = LUT_PI - beta;
+    float zenith = acos(clamp(dot(dir, up), -1.0, 1.0));
+    float v;
+    if (zenith < zenithHorizon) {
+        v = 0.5 * (1.0 - sqrt(max(1.0 - zenith / zenithHorizon, 0.0)));
+    } else {
+        v = 0.5 + 0.5 * sqrt(clamp((zenith - zenithHorizon) / beta, 0.0, 1.0));
+    }
+    vec3 local = transpose(lut_skyViewFrame(up, sunDir)) * dir;
+    return vec2(atan(abs(local.y), local.x) / LUT_PI, v);
+}
+
+vec2 lut_aerialPerspectiveUV(vec3 viewPos, vec2 projScale) {
+    return viewPos.xy * projScale / max(-viewPos.z, 1e-4) * 0.5 + 0.5;
+}
+
+vec4 lut_sampleAerialPerspective(sampler2D lut, vec2 screenUV, float viewDistance, vec4 params) {
+    float slices = params.w;
+    if (slices < 0.5) {
+        return vec4(0.0, 0.0, 0.0, 1.0);
+    }
+    float slice = sqrt(clamp(viewDistance / params.z, 0.0, 1.0)) * slices - 0.5;
+    float s0 = clamp(floor(slice), 0.0, slices - 1.0);
+    float s1 = min(s0 + 1.0, slices - 1.0);
+
+    vec2 size = vec2(textureSize(lut, 0));
+    float sliceHeight = size.y / slices;
+    float x = clamp(screenUV.x, 0.5 / size.x, 1.0 - 0.5 / size.x);
+    float y = clamp(screenUV.y * sliceHeight, 0.5, sliceHeight - 0.5);
+    vec4 a = textureLod(lut, vec2(x, (s0 * sliceHeight + y) / size.y), 0.0);
+    vec4 b = textureLod(lut, vec2(x, (s1 * sliceHeight + y) / size.y), 0.0);
+    vec4 ap = mix(a, b, clamp(slice - s0, 0.0, 1.0));
+
+    return mix(vec4(0.0, 0.0, 0.0, 1.0), ap, clamp(slice * 2.0 + 1.0, 0.0, 1.0));
+}
+`;
+
 export function getAerialPerspectiveWGSL() {
     return AERIAL_PERSPECTIVE_WGSL;
 }
@@ -330,3 +493,11 @@ export function getAerialPerspectiveWGSL() {
 export function getAerialPerspectiveGLSL() {
     return AERIAL_PERSPECTIVE_GLSL;
 }
+
+export function getAtmosphereLUTSamplingWGSL() {
+    return ATMOSPHERE_LUT_SAMPLING_WGSL;
+}
+
+export function getAtmosphereLUTSamplingGLSL() {
+    return ATMOSPHERE_LUT_SAMPLING_GLSL;
+}
@@ -0,0 +1,147 @@
+// js/renderer/atmosphere/shaders/webgl2/viewLUTs.js
+import { ATMOSPHERE_LUT_SAMPLING_GLSL } from '../aerialPerspectiveCommon.js';
+
+const SKY_VIEW_STEPS = 30;
+const AERIAL_PERSPECTIVE_STEPS = 12;
+
+// GLSL twin of shaders/webgpu/viewLUTs.js; one fragment per LUT texel.
+// Positions are relative to the planet centre.
+const viewLUTCommon = `#version 300 es
+precision highp float;
+
+uniform float uPlanetRadius;
+uniform float uAtmosphereRadius;
+uniform float uRayleighScaleHeight;
+uniform float uMieScaleHeight;
+uniform vec3 uRayleighScattering;
+uniform float uMieScattering;
+uniform vec3 uOzoneAbsorption;
+uniform float uMieAnisotropy;
+uniform vec3 uViewPosition;
+uniform vec3 uSunDirection;
+uniform vec2 uSkyViewSize;
+uniform vec2 uAPSliceSize;
+uniform float uAPSliceCount;
+uniform float uAPMaxDistance;
+uniform mat4 uRayMatrix;
+uniform sampler2D uTransmittanceLUT;
+uniform sampler2D uMultiScatterLUT;
+
+out vec4 fragColor;
+
+${ATMOSPHERE_LUT_SAMPLING_GLSL}
+
+vec2 raySphere(vec3 origin, vec3 dir, float radius) {
+    float b = dot(origin, dir);
+    float c = dot(origin, origin) - radius * radius;
+    float d = b * b - c;
+    if (d < 0.0) return vec2(-1.0);
+    float s = sqrt(d);
+    return vec2(-b - s, -b + s);
+}
+
+float rayleighPhase(float c) {
+    return (3.0 / (16.0 * LUT_PI)) * (1.0 + c * c);
+}
+
+float miePhase(float c, float g) {
+    float g2 = g * g;
+    return (1.0 / (4.0 * LUT_PI)) * (1.0 - g2) / pow(max(1.0 + g2 - 2.0 * g * c, 1e-4), 1.5);
+}
+
+vec3 densities(float altitude) {
+    float h = max(0.0, altitude);
+    float x = (altitude - 25000.0) / 15000.0;
+    return vec3(exp(-h / uRayleighScaleHeight), exp(-h / uMieScaleHeight), max(0.0, 1.0 - x * x));
+}
+
+vec3 transmittanceToTop(float r, float mu) {
+    float H = sqrt(uAtmosphereRadius * uAtmosphereRadius - uPlanetRadius * uPlanetRadius);
+    float rho = sqrt(max(r * r - uPlanetRadius * uPlanetRadius, 0.0));
+    float d = max(-r * mu + sqrt(max(r * r * (mu * mu - 1.0) + uAtmosphereRadius * uAtmosphereRadius, 0.0)), 0.0);
+    float dMin = uAtmosphereRadius - r;
+    float dMax = rho + H;
+    vec2 uv = vec2(clamp(rho / H, 0.0, 1.0), clamp((d - dMin) / max(dMax - dMin, 1e-3), 0.0, 1.0));
+    return textureLod(uTransmittanceLUT, uv, 0.0).rgb;
+}
+
+vec3 multiScatter(float altitude, float muS) {
+    vec2 uv = vec2(muS * 0.5 + 0.5, clamp(altitude / (uAtmosphereRadius - uPlanetRadius), 0.0, 1.0));
+    return textureLod(uMultiScatterLUT, uv, 0.0).rgb;
+}
+
+vec4 integrateScattering(vec3 origin, vec3 dir, float maxDistance, int steps) {
+    vec2 atmoHit = raySphere(origin, dir, uAtmosphereRadius);
+    if (atmoHit.y <= 0.0) return vec4(0.0, 0.0, 0.0, 1.0);
+
+    float tStart = max(atmoHit.x, 0.0);
+    float tEnd = min(atmoHit.y, maxDistance);
+    vec2 groundHit = raySphere(origin, dir, uPlanetRadius);
+    if (groundHit.x > 0.0) tEnd = min(tEnd, groundHit.x);
+    if (tEnd <= tStart) return vec4(0.0, 0.0, 0.0, 1.0);
+
+    float cosTheta = dot(dir, uSunDirection);
+    float phaseR = rayleighPhase(cosTheta);
+    float phaseM = miePhase(cosTheta, uMieAnisotropy);
+    float dt = (tEnd - tStart) / float(steps);
+
+    vec3 inscatter = vec3(0.0);
+    vec3 transmittance = vec3(1.0);
+    for (int i = 0; i < steps; i++) {
+        vec3 p = origin + dir * (tStart + (float(i) + 0.5) * dt);
+        float r = length(p);
+        float altitude = r - uPlanetRadius;
+        vec3 density = densities(altitude);
+
+        vec3 scatterR = uRayleighScattering * density.x;
+        float scatterM = uMieScattering * density.y;
+        vec3 extinction = scatterR + vec3(scatterM) + uOzoneAbsorption * density.z;
+
+        float muS = dot(p / r, uSunDirection);
+        float horizon = -sqrt(max(1.0 - (uPlanetRadius / r) * (uPlanetRadius / r), 0.0));
+        vec3 sun = transmittanceToTop(r, muS) * (muS > horizon ? 1.0 : 0.0);
+
+        vec3 source = (scatterR * phaseR + vec3(scatterM * phaseM)) * sun + multiScatter(altitude, muS);
+
+        vec3 stepTransmittance = exp(-extinction * dt);
+        inscatter += transmittance * (source - source * stepTransmittance) / max(extinction, vec3(1e-9));
+        transmittance *= stepTransmittance;
+    }
+    return vec4(inscatter, dot(transmittance, vec3(1.0 / 3.0)));
+}
+`;
+
+export const viewLUTVertex = `#version 300 es
+precision highp float;
+
+in vec3 position;
+
+void main() {
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+}
+`;
+
+export const skyViewLUTFragment = `${viewLUTCommon}
+void main() {
+    vec2 uv = gl_FragCoord.xy / uSkyViewSize;
+
+    vec3 up = normalize(uViewPosition);
+    float viewRadius = clamp(length(uViewPosition), uPlanetRadius + 1.0, uAtmosphereRadius - 1.0);
+    vec3 dir = lut_skyViewDirection(uv, up, uSunDirection, viewRadius, uPlanetRadius);
+
+    fragColor = vec4(integrateScattering(up * viewRadius, dir, 1e9, ${SKY_VIEW_STEPS}).rgb, 1.0);
+}
+`;
+
+export const aerialPerspectiveLUTFragment = `${viewLUTCommon}
+void main() {
+    float slice = floor(gl_FragCoord.y / uAPSliceSize.y);
+    vec2 uv = vec2(gl_FragCoord.x, gl_FragCoord.y - slice * uAPSliceSize.y) / uAPSliceSize;
+
+    vec4 clip = uRayMatrix * vec4(uv * 2.0 - 1.0, 1.0, 1.0);
+    vec3 dir = normalize(clip.xyz / clip.w);
+    float depth = (slice + 0.5) / uAPSliceCount;
+
+    fragColor = integrateScattering(uViewPosition, dir, uAPMaxDistance * depth * depth, ${AERIAL_PERSPECTIVE_STEPS});
+}
+`;
@@ -0,0 +1,174 @@
+// js/renderer/atmosphere/shaders/webgpu/viewLUTs.js
+import { ATMOSPHERE_LUT_SAMPLING_WGSL } from '../aerialPerspectiveCommon.js';
+
+const SKY_VIEW_STEPS = 30;
+const AERIAL_PERSPECTIVE_STEPS = 12;
+
+// Shared by both passes: view uniforms, LUT lookups and the scattering march.
+// Positions are relative to the planet centre.
+const viewLUTCommon = `
+struct ViewLUTUniforms {
+    planetRadius: f32,
+    atmosphereRadius: f32,
+    rayleighScaleHeight: f32,
+    mieScaleHeight: f32,
+
+    rayleighScattering: vec3<f32>,
+    mieScattering: f32,
+
+    ozoneAbsorption: vec3<f32>,
+    mieAnisotropy: f32,
+
+    viewPosition: vec3<f32>,
+    apMaxDistance: f32,
+
+    sunDirection: vec3<f32>,
+    apSliceCount: f32,
+
+    skyViewSize: vec2<f32>,
+    apSliceSize: vec2<f32>,
+
+    // Clip space to a camera-relative world direction
+    rayMatrix: mat4x4<f32>,
+}
+
+@group(0) @binding(0) var<uniform> atmo: ViewLUTUniforms;
+@group(0) @binding(1) var outputTexture: texture_storage_2d<rgba16float, write>;
+@group(0) @binding(2) var transmittanceLUT: texture_2d<f32>;
+@group(0) @binding(3) var multiScatterLUT: texture_2d<f32>;
+@group(0) @binding(4) var lutSampler: sampler;
+
+${ATMOSPHERE_LUT_SAMPLING_WGSL}
+
+fn raySphere(origin: vec3<f32>, dir: vec3<f32>, radius: f32) -> vec2<f32> {
+    let b = dot(origin, dir);
+    let c = dot(origin, origin) - radius * radius;
+    let d = b * b - c;
+    if (d < 0.0) { return vec2<f32>(-1.0, -1.0); }
+    let s = sqrt(d);
+    return vec2<f32>(-b - s, -b + s);
+}
+
+fn rayleighPhase(c: f32) -> f32 {
+    return (3.0 / (16.0 * LUT_PI)) * (1.0 + c * c);
+}
+
+fn miePhase(c: f32, g: f32) -> f32 {
+    let g2 = g * g;
+    return (1.0 / (4.0 * LUT_PI)) * (1.0 - g2) / pow(max(1.0 + g2 - 2.0 * g * c, 1e-4), 1.5);
+}
+
+// Rayleigh, Mie and ozone density; matches the transmittance LUT
+fn densities(altitude: f32) -> vec3<f32> {
+    let h = max(0.0, altitude);
+    let x = (altitude - 25000.0) / 15000.0;
+    return vec3<f32>(exp(-h / atmo.rayleighScaleHeight), exp(-h / atmo.mieScaleHeight), max(0.0, 1.0 - x * x));
+}
+
+// Inverse of the transmittance LUT's (rho, distance to the top) mapping
+fn transmittanceToTop(r: f32, mu: f32) -> vec3<f32> {
+    let Rg = atmo.planetRadius;
+    let Rt = atmo.atmosphereRadius;
+    let H = sqrt(Rt * Rt - Rg * Rg);
+    let rho = sqrt(max(r * r - Rg * Rg, 0.0));
+    let d = max(-r * mu + sqrt(max(r * r * (mu * mu - 1.0) + Rt * Rt, 0.0)), 0.0);
+    let dMin = Rt - r;
+    let dMax = rho + H;
+    let uv = vec2<f32>(clamp(rho / H, 0.0, 1.0), clamp((d - dMin) / max(dMax - dMin, 1e-3), 0.0, 1.0));
+    return textureSampleLevel(transmittanceLUT, lutSampler, uv, 0.0).rgb;
+}
+
+fn multiScatter(altitude: f32, muS: f32) -> vec3<f32> {
+    let uv = vec2<f32>(muS * 0.5 + 0.5, clamp(altitude / (atmo.atmosphereRadius - atmo.planetRadius), 0.0, 1.0));
+    return textureSampleLevel(multiScatterLUT, lutSampler, uv, 0.0).rgb;
+}
+
+// Inscatter for unit sun intensity (rgb) and mean transmittance (a) along
+// the ray, up to maxDistance or where it leaves the atmosphere or hits the
+// ground
+fn integrateScattering(origin: vec3<f32>, dir: vec3<f32>, maxDistance: f32, steps: i32) -> vec4<f32> {
+    let atmoHit = raySphere(origin, dir, atmo.atmosphereRadius);
+    if (atmoHit.y <= 0.0) { return vec4<f32>(0.0, 0.0, 0.0, 1.0); }
+
+    let tStart = max(atmoHit.x, 0.0);
+    var tEnd = min(atmoHit.y, maxDistance);
+    let groundHit = raySphere(origin, dir, atmo.planetRadius);
+    if (groundHit.x > 0.0) { tEnd = min(tEnd, groundHit.x); }
+    if (tEnd <= tStart) { return vec4<f32>(0.0, 0.0, 0.0, 1.0); }
+
+    let cosTheta = dot(dir, atmo.sunDirection);
+    let phaseR = rayleighPhase(cosTheta);
+    let phaseM = miePhase(cosTheta, atmo.mieAnisotropy);
+    let dt = (tEnd - tStart) / f32(steps);
+
+    var inscatter = vec3<f32>(0.0);
+    var transmittance = vec3<f32>(1.0);
+    for (var i = 0; i < steps; i++) {
+        let p = origin + dir * (tStart + (f32(i) + 0.5) * dt);
+        let r = length(p);
+        let altitude = r - atmo.planetRadius;
+        let density = densities(altitude);
+
+        let scatterR = atmo.rayleighScattering * density.x;
+        let scatterM = atmo.mieScattering * density.y;
+        let extinction = scatterR + vec3<f32>(scatterM) + atmo.ozoneAbsorption * density.z;
+
+        // Sun transmittance, zero in the planet's shadow
+        let muS = dot(p / r, atmo.sunDirection);
+        let horizon = -sqrt(max(1.0 - (atmo.planetRadius / r) * (atmo.planetRadius / r), 0.0));
+        let sun = transmittanceToTop(r, muS) * select(0.0, 1.0, muS > horizon);
+
+        let source = (scatterR * phaseR + vec3<f32>(scatterM * phaseM)) * sun + multiScatter(altitude, muS);
+
+        // Integrated analytically over the step
+        let stepTransmittance = exp(-extinction * dt);
+        inscatter += transmittance * (source - source * stepTransmittance) / max(extinction, vec3<f32>(1e-9));
+        transmittance *= stepTransmittance;
+    }
+    return vec4<f32>(inscatter, dot(transmittance, vec3<f32>(1.0 / 3.0)));
+}
+`;
+
+/**
+ * Sky-view LUT: the sky around the viewer, see lut_skyViewUV. The viewer is
+ * kept inside the atmosphere shell.
+ */
+export const skyViewLUTCompute = `${viewLUTCommon}
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    let size = vec2<u32>(atmo.skyViewSize);
+    if (id.x >= size.x || id.y >= size.y) { return; }
+    let uv = (vec2<f32>(id.xy) + 0.5) / atmo.skyViewSize;
+
+    let up = normalize(atmo.viewPosition);
+    let viewRadius = clamp(length(atmo.viewPosition), atmo.planetRadius + 1.0, atmo.atmosphereRadius - 1.0);
+    let dir = lut_skyViewDirection(uv, up, atmo.sunDirection, viewRadius, atmo.planetRadius);
+
+    let result = integrateScattering(up * viewRadius, dir, 1e9, ${SKY_VIEW_STEPS});
+    textureStore(outputTexture, vec2<i32>(id.xy), vec4<f32>(result.rgb, 1.0));
+}
+`;
+
+/**
+ * Aerial perspective LUT: one thread per froxel, each marching from the
+ * camera to its slice's distance.
+ */
+export const aerialPerspectiveLUTCompute = `${viewLUTCommon}
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) id: vec3<u32>) {
+    let sliceSize = vec2<u32>(atmo.apSliceSize);
+    let slices = u32(atmo.apSliceCount);
+    if (id.x >= sliceSize.x || id.y >= sliceSize.y * slices) { return; }
+
+    let slice = id.y / sliceSize.y;
+    let row = id.y - slice * sliceSize.y;
+    let uv = (vec2<f32>(f32(id.x), f32(row)) + 0.5) / atmo.apSliceSize;
+
+    let clip = atmo.rayMatrix * vec4<f32>(uv * 2.0 - 1.0, 1.0, 1.0);
+    let dir = normalize(clip.xyz / clip.w);
+    let depth = (f32(slice) + 0.5) / atmo.apSliceCount;
+
+    let result = integrateScattering(atmo.viewPosition, dir, atmo.apMaxDistance * depth * depth, ${AERIAL_PERSPECTIVE_STEPS});
+    textureStore(outputTexture, vec2<i32>(id.xy), result);
+}
+`;
@@ -2,7 +2,8 @@ import { AtmosphericScatteringLUT } from './atmosphericScatteringLUT.js';
 import { Geometry } from '../resources/geometry.js';
 import { Material } from '../resources/material.js';
 import { RenderTarget } from '../resources/RenderTarget.js';
-import { TextureFormat } from '../resources/texture.js';
+import { TextureFormat, TextureFilter } from '../resources/texture.js';
+import { viewLUTVertex, skyViewLUTFragment, aerialPerspectiveLUTFragment } from './shaders/webgl2/viewLUTs.js';
 
 export class WebGL2AtmosphericScatteringLUT extends AtmosphericScatteringLUT {
     constructor(backend, uniformManager) {
@@ -10,8 +11,12 @@ export class WebGL2AtmosphericScatteringLUT extends AtmosphericScatteringLUT {
         
         this._transmittanceRT = null;
         this._multiScatterRT = null;
+        this._skyViewRT = null;
+        this._aerialPerspectiveRT = null;
         this._fullscreenQuad = null;
         this._transmittanceMaterial = null;
+        this._skyViewMaterial = null;
+        this._aerialPerspectiveMaterial = null;
     }
     
     async _initializeResources() {
@@ -50,6 +55,32 @@ export class WebGL2AtmosphericScatteringLUT extends AtmosphericScatteringLUT {
         this.multiScatterLUT._gpuTexture = this._multiScatterRT.texture._gpuTexture;
         this.multiScatterLUT.width = this.multiScatterSize.width;
         this.multiScatterLUT.height = this.multiScatterSize.height;
+
+        this._skyViewRT = new RenderTarget(
+            this.skyViewSize.width,
+            this.skyViewSize.height,
+            {
+                format: TextureFormat.RGBA16F,
+                minFilter: TextureFilter.LINEAR,
+                magFilter: TextureFilter.LINEAR,
+                depthBuffer: false
+            }
+        );
+        this.backend.createRenderTarget(this._skyViewRT);
+        this.skyViewLUT._gpuTexture = this._skyViewRT.texture._gpuTexture;
+
+        this._aerialPerspectiveRT = new RenderTarget(
+            this.aerialPerspectiveLUT.width,
+            this.aerialPerspectiveLUT.height,
+            {
+                format: TextureFormat.RGBA16F,
+                minFilter: TextureFilter.LINEAR,
+                magFilter: TextureFilter.LINEAR,
+                depthBuffer: false
+            }
+        );
+        this.backend.createRenderTarget(this._aerialPerspectiveRT);
+        this.aerialPerspectiveLUT._gpuTexture = this._aerialPerspectiveRT.texture._gpuTexture;
     }
     
     _createFullscreenQuad() {
@@ -142,6 +173,44 @@ void main() {
         });
 
         this.backend.compileShader(this._multiScatterMaterial);
+
+        this._skyViewMaterial = this._createViewLUTMaterial('SkyViewLUT_WebGL2', skyViewLUTFragment);
+        this._aerialPerspectiveMaterial = this._createViewLUTMaterial(
+            'AerialPerspectiveLUT_WebGL2',
+            aerialPerspectiveLUTFragment
+        );
+    }
+
+    _createViewLUTMaterial(name, fragmentShader) {
+        const material = new Material({
+            name,
+            vertexShader: viewLUTVertex,
+            fragmentShader,
+            uniforms: {
+                uPlanetRadius: { value: 50000.0 },
+                uAtmosphereRadius: { value: 60000.0 },
+                uRayleighScaleHeight: { value: 800.0 },
+                uMieScaleHeight: { value: 120.0 },
+                uRayleighScattering: { value: [5.5e-5, 13.0e-5, 22.4e-5] },
+                uMieScattering: { value: 21e-5 },
+                uOzoneAbsorption: { value: [0.65e-6, 1.881e-6, 0.085e-6] },
+                uMieAnisotropy: { value: 0.758 },
+                uViewPosition: { value: this.viewPosition },
+                uSunDirection: { value: this.viewSunDirection },
+                uSkyViewSize: { value: [this.skyViewSize.width, this.skyViewSize.height] },
+                uAPSliceSize: { value: [this.aerialPerspectiveSize.width, this.aerialPerspectiveSize.height] },
+                uAPSliceCount: { value: this.aerialPerspectiveSize.slices },
+                uAPMaxDistance: { value: this.aerialPerspectiveDistance },
+                uRayMatrix: { value: this.rayMatrix },
+                uTransmittanceLUT: { value: this.transmittanceLUT },
+                uMultiScatterLUT: { value: this.multiScatterLUT }
+            },
+            depthTest: false,
+            depthWrite: false,
+            side: 'double'
+        });
+        this.backend.compileShader(material);
+        return material;
     }
     
     _getEmbeddedFragmentShader() {
@@ -329,6 +398,42 @@ void main(){
         console.log('[WebGL2AtmosphericScatteringLUT] Multi-scattering LUT created: 32x32');
     }
     
+    _generateSkyViewLUT() {
+        this._drawViewLUT(this._skyViewMaterial, this._skyViewRT);
+    }
+
+    _generateAerialPerspectiveLUT() {
+        this._aerialPerspectiveMaterial.uniforms.uAPMaxDistance.value = this.aerialPerspectiveDistance;
+        this._drawViewLUT(this._aerialPerspectiveMaterial, this._aerialPerspectiveRT);
+    }
+
+    _drawViewLUT(material, renderTarget) {
+        const uniforms = this.uniformManager.uniforms;
+        const mat = material.uniforms;
+
+        mat.uPlanetRadius.value = uniforms.atmospherePlanetRadius.value;
+        mat.uAtmosphereRadius.value = uniforms.atmosphereRadius.value;
+        mat.uRayleighScaleHeight.value = uniforms.atmosphereScaleHeightRayleigh.value;
+        mat.uMieScaleHeight.value = uniforms.atmosphereScaleHeightMie.value;
+
+        const rayleigh = uniforms.atmosphereRayleighScattering.value;
+        mat.uRayleighScattering.value = [rayleigh.x, rayleigh.y, rayleigh.z];
+        mat.uMieScattering.value = uniforms.atmosphereMieScattering.value;
+
+        const ozone = uniforms.atmosphereOzoneAbsorption.value;
+        mat.uOzoneAbsorption.value = [ozone.x, ozone.y, ozone.z];
+        mat.uMieAnisotropy.value = uniforms.atmosphereMieAnisotropy.value;
+
+        const prevViewport = this._getCurrentViewport();
+
+        this.backend.setRenderTarget(renderTarget);
+        this.backend.setViewport(0, 0, renderTarget.width, renderTarget.height);
+        this.backend.draw(this._fullscreenQuad, material);
+
+        this.backend.setRenderTarget(null);
+        this.backend.setViewport(prevViewport.x, prevViewport.y, prevViewport.width, prevViewport.height);
+    }
+
     _getCurrentViewport() {
         const canvas = this.backend.canvas;
         return {
@@ -348,10 +453,20 @@ void main(){
             this.backend.deleteRenderTarget(this._multiScatterRT);
             this._multiScatterRT = null;
         }
-        if (this._transmittanceMaterial) {
-            this.backend.deleteShader(this._transmittanceMaterial);
-            this._transmittanceMaterial = null;
+        if (this._skyViewRT) {
+            this.backend.deleteRenderTarget(this._skyViewRT);
+            this._skyViewRT = null;
         }
+        if (this._aerialPerspectiveRT) {
+            this.backend.deleteRenderTarget(this._aerialPerspectiveRT);
+            this._aerialPerspectiveRT = null;
+        }
+        for (const material of [this._transmittanceMaterial, this._skyViewMaterial, this._aerialPerspectiveMaterial]) {
+            if (material) this.backend.deleteShader(material);
+        }
+        this._transmittanceMaterial = null;
+        this._skyViewMaterial = null;
+        this._aerialPerspectiveMaterial = null;
         if (this._fullscreenQuad) {
             this._fullscreenQuad.dispose();
             this._fullscreenQuad = null;
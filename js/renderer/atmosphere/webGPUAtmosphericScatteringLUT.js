@@ -1,4 +1,5 @@
 import { AtmosphericScatteringLUT } from './atmosphericScatteringLUT.js';
+import { skyViewLUTCompute, aerialPerspectiveLUTCompute } from './shaders/webgpu/viewLUTs.js';
 
 export class WebGPUAtmosphericScatteringLUT extends AtmosphericScatteringLUT {
     constructor(backend, uniformManager) {
@@ -8,8 +9,18 @@ export class WebGPUAtmosphericScatteringLUT extends AtmosphericScatteringLUT {
         this._transmittanceBindGroup = null;
         this._multiScatterPipeline = null;
         this._multiScatterBindGroup = null;
+        this._skyViewPipeline = null;
+        this._skyViewBindGroup = null;
+        this._aerialPerspectivePipeline = null;
+        this._aerialPerspectiveBindGroup = null;
         this._uniformBuffer = null;
         this._sampler = null;
+
+        // ViewLUTUniforms in shaders/webgpu/viewLUTs.js
+        this._viewUniformData = new Float32Array(40);
+        this._viewUniformBuffer = null;
+        this._aerialPerspectiveParamsData = new Float32Array(4);
+        this.aerialPerspectiveParamsBuffer = null;
     }
     
     async _initializeResources() {
@@ -29,6 +40,7 @@ export class WebGPUAtmosphericScatteringLUT extends AtmosphericScatteringLUT {
         await this._createMultiScatterTexture();
         await this._createTransmittancePipeline();
         await this._createMultiScatterPipeline();
+        this._createViewLUTs();
 
         console.log('[WebGPUAtmosphericScatteringLUT] Resources initialized');
         console.log('[WebGPUAtmosphericScatteringLUT] Multi-scattering LUT created: 32x32');
@@ -106,6 +118,58 @@ export class WebGPUAtmosphericScatteringLUT extends AtmosphericScatteringLUT {
         ]);
     }
     
+    _createViewLUTs() {
+        this._viewUniformBuffer = this.backend.createBuffer(this._viewUniformData, 'uniform');
+        this.aerialPerspectiveParamsBuffer = this.backend.createBuffer(this._aerialPerspectiveParamsData, 'uniform');
+
+        this.skyViewLUT._gpuTexture = this.backend.createStorageTexture(
+            this.skyViewSize.width,
+            this.skyViewSize.height,
+            'rgba16float'
+        );
+        this.aerialPerspectiveLUT._gpuTexture = this.backend.createStorageTexture(
+            this.aerialPerspectiveLUT.width,
+            this.aerialPerspectiveLUT.height,
+            'rgba16float'
+        );
+
+        const sky = this._createViewLUTPipeline('Sky-View LUT', skyViewLUTCompute, this.skyViewLUT);
+        this._skyViewPipeline = sky.pipeline;
+        this._skyViewBindGroup = sky.bindGroup;
+
+        const ap = this._createViewLUTPipeline('Aerial Perspective LUT', aerialPerspectiveLUTCompute, this.aerialPerspectiveLUT);
+        this._aerialPerspectivePipeline = ap.pipeline;
+        this._aerialPerspectiveBindGroup = ap.bindGroup;
+    }
+
+    _createViewLUTPipeline(label, shaderSource, output) {
+        const result = this.backend.createComputePipeline({
+            label,
+            shaderSource,
+            bindGroupLayouts: [
+                {
+                    entries: [
+                        { binding: 0, type: 'uniform' },
+                        { binding: 1, type: 'storageTexture', format: 'rgba16float', access: 'write' },
+                        { binding: 2, type: 'texture' },
+                        { binding: 3, type: 'texture' },
+                        { binding: 4, type: 'sampler' }
+                    ]
+                }
+            ]
+        });
+
+        const bindGroup = this.backend.createBindGroup(result.bindGroupLayout, [
+            { binding: 0, resource: this._viewUniformBuffer },
+            { binding: 1, resource: output._gpuTexture },
+            { binding: 2, resource: this.transmittanceLUT._gpuTexture.view },
+            { binding: 3, resource: this.multiScatterLUT._gpuTexture.view },
+            { binding: 4, resource: this._sampler }
+        ]);
+
+        return { pipeline: result.pipeline, bindGroup };
+    }
+
     async _loadTransmittanceShader() {
         const response = await fetch('./js/renderer/atmosphere/shaders/webgpu/transmittanceLUT.wgsl');
         if (!response.ok) {
@@ -292,10 +356,75 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>) {
         console.log('[WebGPUAtmosphericScatteringLUT] Multi-scatter computation complete');
     }
     
+    _generateSkyViewLUT() {
+        this._writeViewUniforms();
+
+        this.backend.dispatchCompute(
+            this._skyViewPipeline,
+            this._skyViewBindGroup,
+            Math.ceil(this.skyViewSize.width / 8),
+            Math.ceil(this.skyViewSize.height / 8),
+            1
+        );
+    }
+
+    _generateAerialPerspectiveLUT() {
+        this.aerialPerspectiveParams.toArray(this._aerialPerspectiveParamsData);
+        this.backend.updateBuffer(this.aerialPerspectiveParamsBuffer, this._aerialPerspectiveParamsData);
+
+        this.backend.dispatchCompute(
+            this._aerialPerspectivePipeline,
+            this._aerialPerspectiveBindGroup,
+            Math.ceil(this.aerialPerspectiveLUT.width / 8),
+            Math.ceil(this.aerialPerspectiveLUT.height / 8),
+            1
+        );
+    }
+
+    _writeViewUniforms() {
+        const d = this._viewUniformData;
+        d.set(this._getAtmosphereUniformData().subarray(0, 11));
+        d[11] = this.uniformManager.uniforms.atmosphereMieAnisotropy.value;
+
+        d[12] = this.viewPosition.x;
+        d[13] = this.viewPosition.y;
+        d[14] = this.viewPosition.z;
+        d[15] = this.aerialPerspectiveDistance;
+
+        d[16] = this.viewSunDirection.x;
+        d[17] = this.viewSunDirection.y;
+        d[18] = this.viewSunDirection.z;
+        d[19] = this.aerialPerspectiveSize.slices;
+
+        d[20] = this.skyViewSize.width;
+        d[21] = this.skyViewSize.height;
+        d[22] = this.aerialPerspectiveSize.width;
+        d[23] = this.aerialPerspectiveSize.height;
+
+        d.set(this.rayMatrix.elements, 24);
+        this.backend.updateBuffer(this._viewUniformBuffer, d);
+    }
+
+    _getAerialPerspectiveParamsBuffer() {
+        return this.aerialPerspectiveParamsBuffer;
+    }
+
     dispose() {
         if (this._uniformBuffer) {
             this.backend.deleteBuffer(this._uniformBuffer);
         }
+        if (this._viewUniformBuffer) {
+            this.backend.deleteBuffer(this._viewUniformBuffer);
+        }
+        if (this.aerialPerspectiveParamsBuffer) {
+            this.backend.deleteBuffer(this.aerialPerspectiveParamsBuffer);
+        }
+        if (this.skyViewLUT._gpuTexture) {
+            this.backend.deleteStorageTexture(this.skyViewLUT._gpuTexture);
+        }
+        if (this.aerialPerspectiveLUT._gpuTexture) {
+            this.backend.deleteStorageTexture(this.aerialPerspectiveLUT._gpuTexture);
+        }
         if (this.transmittanceLUT._gpuTexture) {
             this.backend.deleteStorageTexture(this.transmittanceLUT._gpuTexture);
         }
@@ -177,6 +177,23 @@ export class Backend {
         throw new Error('Backend.createTexture() must be implemented');
     }
 
+    /**
+     * Overwrite a rectangle of an existing GPU texture.
+     * `data` holds width*height texels in the texture's format, tightly packed.
+     * 
+     * @abstract
+     * @param {Texture} texture - Texture that already has a GPU resource
+     * @param {number} x - Left texel
+     * @param {number} y - Top texel
+     * @param {number} width
+     * @param {number} height
+     * @param {ArrayBufferView} data
+     * @returns {void}
+     */
+    updateTextureRegion(texture, x, y, width, height, data) {
+        throw new Error('Backend.updateTextureRegion() must be implemented');
+    }
+
     /**
      * Update an existing texture with new data.
      * Creates the texture if it doesn't exist yet.
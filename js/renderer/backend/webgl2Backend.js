@@ -126,6 +126,7 @@ _initUniformSetters() {
             this.gl.getExtension('WEBKIT_E XT_texture_filter_anisotropic');
         
         this._maxTextureUnits = this.gl.getParameter(this.gl.MAX_TEXTURE_IMAGE_UNITS);
+        this.capabilities.maxTextureImageUnits = this._maxTextureUnits;
         this.capabilities.maxTextureSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
         this.capabilities.maxCubeMapSize = this.gl.getParameter(this.gl.MAX_CUBE_MAP_TEXTURE_SIZE);
         this.capabilities.maxVertexAttributes = this.gl.getParameter(this.gl.MAX_VERTEX_ATTRIBS);
@@ -259,6 +260,21 @@ _initUniformSetters() {
         texture._needsUpload = false;
     }
     
+    updateTextureRegion(texture, x, y, width, height, data) {
+        if (!texture._gpuTexture) return;
+        
+        const gl = this.gl;
+        const gpuTex = texture._gpuTexture;
+        
+        gl.bindTexture(gl.TEXTURE_2D, gpuTex.glTexture);
+        gl.texSubImage2D(
+            gl.TEXTURE_2D, 0, x, y,
+            width, height,
+            gpuTex.format, gpuTex.type, data
+        );
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    
     deleteTexture(texture) {
         if (texture._gpuTexture) {
             this.gl.deleteTexture(texture._gpuTexture.glTexture);
@@ -368,6 +384,9 @@ _initUniformSetters() {
     
     createRenderTarget(renderTarget) {
         const gl = this.gl;
+        if (renderTarget._gpuFramebuffer) {
+            gl.deleteFramebuffer(renderTarget._gpuFramebuffer);
+        }
         const framebuffer = gl.createFramebuffer();
         
         gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
@@ -376,6 +395,10 @@ _initUniformSetters() {
         
         for (let i = 0; i < renderTarget.colorAttachments.length; i++) {
             const colorTex = renderTarget.colorAttachments[i];
+            // Attachments flagged by RenderTarget.setSize() are recreated at the new size
+            if (colorTex._gpuTexture && colorTex._needsUpload) {
+                this.deleteTexture(colorTex);
+            }
             if (!colorTex._gpuTexture) {
                 this.createTexture(colorTex);
             }
@@ -396,6 +419,9 @@ _initUniformSetters() {
         
         if (renderTarget.depthAttachment) {
             const depthTex = renderTarget.depthAttachment;
+            if (depthTex._gpuTexture && depthTex._needsUpload) {
+                this.deleteTexture(depthTex);
+            }
             if (!depthTex._gpuTexture) {
                 this.createTexture(depthTex);
             }
@@ -452,7 +478,11 @@ _initUniformSetters() {
         let bits = 0;
         
         if (color) bits |= gl.COLOR_BUFFER_BIT;
-        if (depth) bits |= gl.DEPTH_BUFFER_BIT;
+        if (depth) {
+            // gl.clear honours the depth mask left behind by the last material
+            gl.depthMask(true);
+            bits |= gl.DEPTH_BUFFER_BIT;
+        }
         if (stencil) bits |= gl.STENCIL_BUFFER_BIT;
         
         if (bits) gl.clear(bits);
@@ -12,6 +12,7 @@ export class WebGPUBackend extends Backend {
         this.format = null;
 
         this._currentRenderTarget = null;
+        this._targetKey = null;
         this._currentPipeline = null;
         this._currentBindGroups = new Map();
         this._commandEncoder = null;
@@ -27,6 +28,8 @@ export class WebGPUBackend extends Backend {
         this._clearColor = { r: 0, g: 0, b: 0, a: 1 };
         this._viewport = { x: 0, y: 0, width: 0, height: 0 };
         this._dummyTexture = null;
+        this._dummyDepthTexture = null;
+        this._dummyBuffer = null;
     }
 
     async initialize() {
@@ -74,6 +77,7 @@ export class WebGPUBackend extends Backend {
 
         this._createDepthTexture();
         this._createDefaultSamplers();
+        this._targetKey = this._getTargetKey(null);
 
         console.log('WebGPUBackend initialized');
     }
@@ -175,6 +179,20 @@ export class WebGPUBackend extends Backend {
         return { data: paddedData, bytesPerRow: alignedBytesPerRow };
     }
 
+    /**
+     * Zeroed stand-in for unbound storage/uniform buffers (reads as no lights
+     * and no shadow cascades); large enough for SunShadowParams.
+     */
+    _getOrCreateDummyBuffer() {
+        if (!this._dummyBuffer) {
+            this._dummyBuffer = this.device.createBuffer({
+                size: 512,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+        }
+        return this._dummyBuffer;
+    }
+
     _getOrCreateDummyTexture() {
         if (!this._dummyTexture) {
             this._dummyTexture = this.device.createTexture({
@@ -196,6 +214,20 @@ export class WebGPUBackend extends Backend {
         return this._dummyTexture;
     }
 
+    /**
+     * Stand-in for unbound texture_depth_2d bindings (the local shadow atlas).
+     */
+    _getOrCreateDummyDepthTexture() {
+        if (!this._dummyDepthTexture) {
+            this._dummyDepthTexture = this.device.createTexture({
+                size: [1, 1],
+                format: 'depth32float',
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.RENDER_ATTACHMENT
+            });
+        }
+        return this._dummyDepthTexture;
+    }
+
     createTexture(texture) {
         const format = this._getTextureFormat(texture.format);
 
@@ -203,10 +235,13 @@ export class WebGPUBackend extends Backend {
             texture._gpuTexture.texture.destroy();
         }
 
+        // Depth formats can't be copy destinations
+        const isDepth = format.startsWith('depth');
         const gpuTexture = this.device.createTexture({
             size: [texture.width, texture.height],
             format: format,
-            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.RENDER_ATTACHMENT |
+                (isDepth ? 0 : GPUTextureUsage.COPY_DST)
         });
 
         if (texture.data) {
@@ -246,6 +281,18 @@ export class WebGPUBackend extends Backend {
         texture._needsUpload = false;
     }
 
+    updateTextureRegion(texture, x, y, width, height, data) {
+        if (!texture._gpuTexture) return;
+
+        // writeTexture (unlike buffer copies) has no 256-byte row alignment rule
+        this.device.queue.writeTexture(
+            { texture: texture._gpuTexture.texture, origin: [x, y] },
+            data,
+            { bytesPerRow: data.byteLength / height },
+            [width, height]
+        );
+    }
+
     createStorageTexture(width, height, format) {
         const gpuFormat = this._getTextureFormat({ format });
 
@@ -286,6 +333,8 @@ export class WebGPUBackend extends Backend {
 
             if (entry.type === 'uniform') {
                 layoutEntry.buffer = { type: 'uniform' };
+            } else if (entry.type === 'storage' || entry.type === 'read-only-storage') {
+                layoutEntry.buffer = { type: entry.type };
             } else if (entry.type === 'storageTexture') {
                 layoutEntry.storageTexture = {
                     access: entry.access === 'read' ? 'read-only' : 'write-only',
@@ -528,7 +577,11 @@ export class WebGPUBackend extends Backend {
         const shaderHash = this._hashCode(material.vertexShader.substring(0, 200) +
                                          material.fragmentShader.substring(0, 200));
 
-        const cacheKey = `${baseType}_${shaderHash}_${layoutKey}`;
+        // Pipelines are baked against the bound target's formats
+        const target = this._getTargetFormats(this._currentRenderTarget);
+        const targetKey = this._targetKey;
+
+        const cacheKey = `${baseType}_${shaderHash}_${layoutKey}_${targetKey}`;
 
         if (this._pipelineCache.has(cacheKey)) {
             material._gpuPipeline = this._pipelineCache.get(cacheKey);
@@ -571,27 +624,28 @@ export class WebGPUBackend extends Backend {
                 fragment: {
                     module: fragmentModule,
                     entryPoint: 'main',
-                    targets: [{
-                        format: this.format,
+                    targets: target.colorFormats.map(format => ({
+                        format,
                         blend: material.transparent ? {
                             color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha', operation: 'add' },
                             alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha', operation: 'add' }
                         } : undefined
-                    }]
+                    }))
                 },
                 primitive: {
                     topology: 'triangle-list',
                     cullMode: material.side === 'double' ? 'none' : material.side === 'back' ? 'front' : 'back',
                     frontFace: 'ccw'
                 },
-                depthStencil: material.depthTest ? {
-                    format: 'depth24plus',
-                    depthWriteEnabled: material.depthWrite,
-                    depthCompare: 'less'
+                // Must match the pass: present whenever the target has depth, even if the material ignores it
+                depthStencil: target.depthFormat ? {
+                    format: target.depthFormat,
+                    depthWriteEnabled: material.depthTest && material.depthWrite,
+                    depthCompare: material.depthTest ? 'less' : 'always'
                 } : undefined
             });
 
-            material._gpuPipeline = { pipeline, bindGroupLayouts, pipelineLayout, vertexBufferLayouts };
+            material._gpuPipeline = { pipeline, bindGroupLayouts, pipelineLayout, vertexBufferLayouts, targetKey };
             this._pipelineCache.set(cacheKey, material._gpuPipeline);
             material._needsCompile = false;
 
@@ -649,6 +703,15 @@ export class WebGPUBackend extends Backend {
                     sampler: {
                         type: 'filtering'
                     }
+                },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    texture: {
+                        sampleType: 'float',
+                        viewDimension: '2d',
+                        multisampled: false
+                    }
                 }
             ]
         });
@@ -656,7 +719,7 @@ export class WebGPUBackend extends Backend {
 
         console.log('  Orbital layouts created:', {
             group0: 'Uniforms (2 buffers)',
-            group1: 'Texture@0 + Sampler@1'
+            group1: 'Texture@0 + Sampler@1 + NormalTexture@2'
         });
 
         return layouts;
@@ -726,8 +789,25 @@ export class WebGPUBackend extends Backend {
 
         layouts.push(this.device.createBindGroupLayout({
             entries: [
+                // Clustered lights (WebGPUClusteredLightManager)
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'read-only-storage' } },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'read-only-storage' } },
+                { binding: 2, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'read-only-storage' } },
+                { binding: 3, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
+                // Local light shadows (WebGPULocalLightShadowRenderer)
+                { binding: 4, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'read-only-storage' } },
+                { binding: 5, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'depth' } },
+                { binding: 6, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
                 { binding: 7, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
-                { binding: 8, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } }
+                { binding: 8, visibility: GPUShaderStage.FRAGMENT, sampler: { type: 'filtering' } },
+                // Sun shadow cascades (CascadedShadowMapRenderer)
+                { binding: 9, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'depth' } },
+                { binding: 10, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'depth' } },
+                { binding: 11, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'depth' } },
+                { binding: 12, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
+                // Aerial perspective LUT and its params (AtmosphericScatteringLUT)
+                { binding: 13, visibility: GPUShaderStage.FRAGMENT, texture: { sampleType: 'float' } },
+                { binding: 14, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } }
             ]
         }));
 
@@ -879,6 +959,9 @@ export class WebGPUBackend extends Backend {
             ? planetTex._gpuTexture.view
             : this._getOrCreateDummyTexture().createView();
 
+        const normalTex = uniforms.planetNormalTexture?.value;
+        const normalView = normalTex?._gpuTexture?.view || this._getOrCreateDummyTexture().createView();
+
         const sampler = this._samplerCache.get('linear');
 
         console.log('  Binding texture:', {
@@ -893,7 +976,8 @@ export class WebGPUBackend extends Backend {
             layout: material._gpuPipeline.bindGroupLayouts[1],
             entries: [
                 { binding: 0, resource: textureView },
-                { binding: 1, resource: sampler }
+                { binding: 1, resource: sampler },
+                { binding: 2, resource: normalView }
             ]
         });
         groups.push(group1);
@@ -986,9 +1070,33 @@ export class WebGPUBackend extends Backend {
             entries: g2Entries
         }));
 
+        const getBuffer = (name) => {
+            const buffer = uniforms[name]?.value;
+            return { buffer: buffer?.gpuBuffer || this._getOrCreateDummyBuffer() };
+        };
+
+        // Shadow maps are null while they are the render target
+        const getDepthView = (name) => {
+            const tex = uniforms[name]?.value;
+            return tex?._gpuTexture?.view || this._getOrCreateDummyDepthTexture().createView();
+        };
+
         const g3Entries = [
+            { binding: 0, resource: getBuffer('clusterLightBuffer') },
+            { binding: 1, resource: getBuffer('clusterGridBuffer') },
+            { binding: 2, resource: getBuffer('clusterIndexBuffer') },
+            { binding: 3, resource: getBuffer('clusterParamsBuffer') },
+            { binding: 4, resource: getBuffer('localShadowMatrixBuffer') },
+            { binding: 5, resource: getDepthView('localShadowAtlas') },
+            { binding: 6, resource: getBuffer('localShadowParamsBuffer') },
             { binding: 7, resource: getView('transmittanceLUT') },
-            { binding: 8, resource: this._samplerCache.get('linear') }
+            { binding: 8, resource: this._samplerCache.get('linear') },
+            { binding: 9, resource: getDepthView('shadowMapCascade0') },
+            { binding: 10, resource: getDepthView('shadowMapCascade1') },
+            { binding: 11, resource: getDepthView('shadowMapCascade2') },
+            { binding: 12, resource: getBuffer('sunShadowParamsBuffer') },
+            { binding: 13, resource: getView('aerialPerspectiveLUT') },
+            { binding: 14, resource: getBuffer('aerialPerspectiveParamsBuffer') }
         ];
         groups.push(this.device.createBindGroup({
             layout: material._gpuPipeline.bindGroupLayouts[3],
@@ -1028,10 +1136,10 @@ export class WebGPUBackend extends Backend {
         data[offset++] = 0;
         data[offset++] = 0;
 
-        const origin = uniforms.planetOrigin?.value;
-        data[offset++] = origin?.x || 0;
-        data[offset++] = origin?.y || 0;
-        data[offset++] = origin?.z || 0;
+        const chunkOrigin = uniforms.chunkOrigin?.value;
+        data[offset++] = chunkOrigin?.x || 0;
+        data[offset++] = chunkOrigin?.y || 0;
+        data[offset++] = chunkOrigin?.z || 0;
         data[offset++] = 0;
 
         intView[offset] = (uniforms.chunkFace?.value ?? -1);
@@ -1134,6 +1242,17 @@ export class WebGPUBackend extends Backend {
         f32[50] = 0;
         f32[51] = 0;
 
+        const renderOrigin = uniforms.renderOrigin?.value;
+        f32[56] = renderOrigin?.x ?? 0;
+        f32[57] = renderOrigin?.y ?? 0;
+        f32[58] = renderOrigin?.z ?? 0;
+        f32[59] = uniforms.surfaceWetness?.value ?? 0;
+
+        f32[60] = uniforms.snowCover?.value ?? 0;
+        f32[61] = 0;
+        f32[62] = 0;
+        f32[63] = 0;
+
         return f32;
     }
 
@@ -1201,7 +1320,8 @@ export class WebGPUBackend extends Backend {
 
     draw(geometry, material, uniforms = {}) {
         if (!this._renderPassEncoder) this.clear(true, true, false);
-        if (material._needsCompile || !material._gpuPipeline) this.compileShader(material);
+        if (material._needsCompile || !material._gpuPipeline ||
+            material._gpuPipeline.targetKey !== this._targetKey) this.compileShader(material);
 
         const allUniforms = { ...material.uniforms, ...uniforms };
         this._ensureTexturesUploaded(allUniforms);
@@ -1269,11 +1389,32 @@ export class WebGPUBackend extends Backend {
         } else {
             this._currentRenderTarget = null;
         }
+        this._targetKey = this._getTargetKey(this._currentRenderTarget);
+    }
+
+    _getTargetFormats(rt) {
+        if (!rt) {
+            return { colorFormats: [this.format], depthFormat: 'depth24plus' };
+        }
+        let depthFormat = null;
+        if (rt.depthAttachment) depthFormat = this._getTextureFormat(rt.depthAttachment.format);
+        else if (rt._depthBuffer) depthFormat = 'depth24plus';
+        return {
+            colorFormats: rt.colorAttachments.map(tex => this._getTextureFormat(tex.format)),
+            depthFormat
+        };
+    }
+
+    _getTargetKey(rt) {
+        const { colorFormats, depthFormat } = this._getTargetFormats(rt);
+        return `${colorFormats.join('+')}_${depthFormat || 'nodepth'}`;
     }
 
     createRenderTarget(rt) {
+        if (rt._gpuRenderTarget?.depthTexture) rt._gpuRenderTarget.depthTexture.destroy();
+        // Attachments flagged by RenderTarget.setSize() are recreated at the new size
         const createView = (tex) => {
-            if (!tex._gpuTexture) this.createTexture(tex);
+            if (!tex._gpuTexture || tex._needsUpload) this.createTexture(tex);
             return tex._gpuTexture.view;
         };
         const cViews = rt.colorAttachments.map(createView);
@@ -1283,9 +1424,11 @@ export class WebGPUBackend extends Backend {
              const dTex = this.device.createTexture({ size: [rt.width, rt.height], format: 'depth24plus', usage: GPUTextureUsage.RENDER_ATTACHMENT });
              dView = dTex.createView();
              rt._gpuRenderTarget = { colorViews: cViews, depthView: dView, depthTexture: dTex };
+             rt._needsSetup = false;
              return;
         }
         rt._gpuRenderTarget = { colorViews: cViews, depthView: dView };
+        rt._needsSetup = false;
     }
 
     deleteRenderTarget(rt) {
@@ -1296,12 +1439,13 @@ export class WebGPUBackend extends Backend {
     clear(color=true, depth=true) {
         this._ensureCommandEncoder();
         const colorAttachments = [];
-        const depthAttachment = {
-            view: this._currentRenderTarget ? this._currentRenderTarget._gpuRenderTarget.depthView : this._depthTexture.createView(),
+        const depthView = this._currentRenderTarget ? this._currentRenderTarget._gpuRenderTarget.depthView : this._depthTexture.createView();
+        const depthAttachment = depthView ? {
+            view: depthView,
             depthClearValue: 1.0,
             depthLoadOp: depth ? 'clear' : 'load',
             depthStoreOp: 'store'
-        };
+        } : undefined;
 
         if (this._currentRenderTarget) {
             this._currentRenderTarget._gpuRenderTarget.colorViews.forEach(view => {
@@ -1352,7 +1496,9 @@ export class WebGPUBackend extends Backend {
 
     setViewport(x,y,w,h) {
         this._viewport = {x,y,width:w,height:h};
-        if (w !== this._depthTexture.width || h !== this._depthTexture.height) this._createDepthTexture();
+        // Only the swapchain depth follows the viewport; render targets own theirs
+        if (!this._currentRenderTarget &&
+            (w !== this._depthTexture.width || h !== this._depthTexture.height)) this._createDepthTexture();
     }
 
     _getBytesPerPixel(format) {
@@ -1398,6 +1544,10 @@ export class WebGPUBackend extends Backend {
             this._dummyTexture.destroy();
             this._dummyTexture = null;
         }
+        if (this._dummyDepthTexture) {
+            this._dummyDepthTexture.destroy();
+            this._dummyDepthTexture = null;
+        }
 
         for (const buffer of this._bufferCache.values()) {
             if (buffer.gpuBuffer) buffer.gpuBuffer.destroy();
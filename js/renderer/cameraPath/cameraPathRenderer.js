@@ -0,0 +1,161 @@
+// js/renderer/cameraPath/cameraPathRenderer.js
+// Preview overlay for a CameraPath: the sampled spline plus a look-direction
+// tick at every keyframe, drawn as constant pixel-width lines. Each segment
+// is a quad whose vertices carry both segment ends (position/normal) and
+// the side to extrude to (uv.x); the vertex shader widens it in screen
+// space. Vertices are stored relative to the path's first point and moved
+// into render space by one double-precision offset per frame.
+// Subclasses build the backend material and write the uniforms.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { Geometry } from '../resources/geometry.js';
+
+// uv.y per segment
+export const CameraPathSegmentKind = {
+    PATH: 0,
+    KEYFRAME: 1
+};
+
+export class CameraPathRenderer {
+    constructor(backend, config = {}) {
+        this.backend = backend;
+        this.enabled = true;
+        this.initialized = false;
+
+        this.config = {
+            lineWidth: config.lineWidth ?? 3,
+            samples: config.samples ?? 512,
+            pathColor: config.pathColor || [1.0, 0.85, 0.2, 0.9],
+            keyframeColor: config.keyframeColor || [0.2, 0.9, 1.0, 0.9],
+            // Fraction of the keyframe's position-to-target distance
+            // drawn as its look tick, capped at keyframeTickLength meters
+            keyframeTickFraction: config.keyframeTickFraction ?? 0.25,
+            keyframeTickLength: config.keyframeTickLength ?? 200,
+            depthTest: config.depthTest ?? true
+        };
+
+        this.geometry = null;
+        this.material = null;
+        this.segmentCount = 0;
+        this._anchor = new THREE.Vector3();
+        this._anchorOffset = new THREE.Vector3();
+        this._viewportSize = new THREE.Vector2(1, 1);
+    }
+
+    async initialize() {
+        this.geometry = new Geometry();
+        this.material = this._createMaterial();
+        if (this.backend.compileShader) {
+            this.backend.compileShader(this.material);
+        }
+        this.initialized = true;
+    }
+
+    /**
+     * Show `path`, or hide the overlay with null.
+     * @param {CameraPath|null} path
+     * @param {THREE.Vector3} center - planet center in render coordinates,
+     *        for great-circle paths
+     */
+    setPath(path, center = null) {
+        if (!this.initialized) return;
+        if (!path || path.keyframes.length === 0) {
+            this.segmentCount = 0;
+            return;
+        }
+
+        const points = path.sample(path.keyframes.length > 1 ? this.config.samples : 1, center);
+        const segments = [];
+        for (let i = 0; i + 1 < points.length; i++) {
+            segments.push([points[i], points[i + 1], CameraPathSegmentKind.PATH]);
+        }
+        for (const key of path.keyframes) {
+            const from = new THREE.Vector3(key.position.x, key.position.y, key.position.z);
+            const look = new THREE.Vector3(key.target.x, key.target.y, key.target.z).sub(from);
+            const length = Math.min(look.length() * this.config.keyframeTickFraction, this.config.keyframeTickLength);
+            if (length <= 0) continue;
+            segments.push([from, from.clone().addScaledVector(look.normalize(), length), CameraPathSegmentKind.KEYFRAME]);
+        }
+        this._buildGeometry(segments, points[0]);
+    }
+
+    _buildGeometry(segments, anchor) {
+        this._anchor.copy(anchor);
+        const count = segments.length;
+        const positions = new Float32Array(count * 12);
+        const others = new Float32Array(count * 12);
+        const uvs = new Float32Array(count * 8);
+        const indices = new Uint32Array(count * 6);
+
+        // Vertex order: A-, A+, B (extruding the other way, since its
+        // segment direction is reversed), B
+        const ends = [[0, 1, -1], [0, 1, 1], [1, 0, -1], [1, 0, 1]];
+        for (let s = 0; s < count; s++) {
+            const [a, b, kind] = segments[s];
+            const points = [a, b];
+            for (let v = 0; v < 4; v++) {
+                const [self, other, side] = ends[v];
+                const p = points[self];
+                const o = points[other];
+                const base = (s * 4 + v) * 3;
+                positions[base] = p.x - anchor.x;
+                positions[base + 1] = p.y - anchor.y;
+                positions[base + 2] = p.z - anchor.z;
+                others[base] = o.x - anchor.x;
+                others[base + 1] = o.y - anchor.y;
+                others[base + 2] = o.z - anchor.z;
+                uvs[(s * 4 + v) * 2] = side;
+                uvs[(s * 4 + v) * 2 + 1] = kind;
+            }
+            const first = s * 4;
+            indices.set([first, first + 1, first + 2, first, first + 2, first + 3], s * 6);
+        }
+
+        this.geometry.setAttribute('position', positions, 3);
+        this.geometry.setAttribute('normal', others, 3);
+        this.geometry.setAttribute('uv', uvs, 2);
+        this.geometry.setIndex(indices);
+        this.segmentCount = count;
+    }
+
+    /**
+     * Values shared by both backends.
+     */
+    getUniformValues(camera, renderOrigin, width, height) {
+        this._anchorOffset.copy(this._anchor);
+        if (renderOrigin) this._anchorOffset.sub(renderOrigin);
+        this._viewportSize.set(width, height);
+        return {
+            viewMatrix: camera.matrixWorldInverse,
+            projectionMatrix: camera.projectionMatrix,
+            anchorOffset: this._anchorOffset,
+            lineWidth: this.config.lineWidth,
+            viewportSize: this._viewportSize,
+            pathColor: this.config.pathColor,
+            keyframeColor: this.config.keyframeColor
+        };
+    }
+
+    /**
+     * @param {Object} camera - frontend camera (render-space matrices)
+     * @param {THREE.Vector3} renderOrigin - FloatingOrigin.origin
+     */
+    render(camera, renderOrigin, width, height) {
+        if (!this.enabled || !this.initialized || this.segmentCount === 0) return;
+        this._writeUniforms(this.getUniformValues(camera, renderOrigin, width, height));
+        this.backend.draw(this.geometry, this.material);
+    }
+
+    _createMaterial() {
+        return null;
+    }
+
+    _writeUniforms(values) {}
+
+    dispose() {
+        if (this.material) this.backend.deleteShader(this.material);
+        this.geometry?.dispose();
+        this.segmentCount = 0;
+        this.initialized = false;
+    }
+}
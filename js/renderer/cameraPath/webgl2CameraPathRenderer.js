@@ -0,0 +1,91 @@
+// js/renderer/cameraPath/webgl2CameraPathRenderer.js
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { CameraPathRenderer } from './cameraPathRenderer.js';
+import { Material } from '../resources/material.js';
+
+export class WebGL2CameraPathRenderer extends CameraPathRenderer {
+    _createMaterial() {
+        return new Material({
+            name: 'CameraPathOverlay_WebGL2',
+            vertexShader: this._getVertexShader(),
+            fragmentShader: this._getFragmentShader(),
+            uniforms: {
+                viewMatrix: { value: new THREE.Matrix4() },
+                projectionMatrix: { value: new THREE.Matrix4() },
+                anchorOffset: { value: new THREE.Vector3() },
+                lineWidth: { value: this.config.lineWidth },
+                viewportSize: { value: new THREE.Vector2(1, 1) },
+                pathColor: { value: new THREE.Vector4().fromArray(this.config.pathColor) },
+                keyframeColor: { value: new THREE.Vector4().fromArray(this.config.keyframeColor) }
+            },
+            transparent: true,
+            depthTest: this.config.depthTest,
+            depthWrite: false,
+            side: 'double'
+        });
+    }
+
+    _writeUniforms(values) {
+        const u = this.material.uniforms;
+        u.viewMatrix.value.copy(values.viewMatrix);
+        u.projectionMatrix.value.copy(values.projectionMatrix);
+        u.anchorOffset.value.copy(values.anchorOffset);
+        u.lineWidth.value = values.lineWidth;
+        u.viewportSize.value.copy(values.viewportSize);
+        u.pathColor.value.fromArray(values.pathColor);
+        u.keyframeColor.value.fromArray(values.keyframeColor);
+    }
+
+    _getVertexShader() {
+        return `#version 300 es
+precision highp float;
+
+in vec3 position;
+in vec3 normal;
+in vec2 uv;
+
+uniform mat4 viewMatrix;
+uniform mat4 projectionMatrix;
+uniform vec3 anchorOffset;
+uniform float lineWidth;
+uniform vec2 viewportSize;
+
+out float vKind;
+
+void main() {
+    // position is this end of the segment, normal the other end
+    vec4 clip = projectionMatrix * viewMatrix * vec4(position + anchorOffset, 1.0);
+    vec4 otherClip = projectionMatrix * viewMatrix * vec4(normal + anchorOffset, 1.0);
+
+    vec2 screen = clip.xy / max(clip.w, 1e-4) * viewportSize;
+    vec2 otherScreen = otherClip.xy / max(otherClip.w, 1e-4) * viewportSize;
+    vec2 dir = otherScreen - screen;
+    if (dot(dir, dir) < 1e-8) dir = vec2(1.0, 0.0);
+    vec2 side = normalize(vec2(-dir.y, dir.x));
+
+    // lineWidth pixels across: half on each side, NDC spans 2 per viewport
+    clip.xy += side * uv.x * lineWidth / viewportSize * clip.w;
+    vKind = uv.y;
+    gl_Position = clip;
+}
+`;
+    }
+
+    _getFragmentShader() {
+        return `#version 300 es
+precision highp float;
+
+in float vKind;
+
+uniform vec4 pathColor;
+uniform vec4 keyframeColor;
+
+out vec4 fragColor;
+
+void main() {
+    fragColor = vKind > 0.5 ? keyframeColor : pathColor;
+}
+`;
+    }
+}
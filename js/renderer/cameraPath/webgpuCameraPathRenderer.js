@@ -0,0 +1,126 @@
+// js/renderer/cameraPath/webgpuCameraPathRenderer.js
+
+import { CameraPathRenderer } from './cameraPathRenderer.js';
+import { Material } from '../resources/material.js';
+
+const UNIFORM_FLOATS = 48;
+
+export class WebGPUCameraPathRenderer extends CameraPathRenderer {
+    _createMaterial() {
+        return new Material({
+            name: 'CameraPathOverlay_WebGPU',
+            vertexShader: this._getVertexShader(),
+            fragmentShader: this._getFragmentShader(),
+            vertexLayout: [
+                { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
+                { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x3' }] },
+                { arrayStride: 8, stepMode: 'vertex', attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x2' }] }
+            ],
+            bindGroupLayoutSpec: [
+                {
+                    label: 'CameraPathParams',
+                    entries: [
+                        { binding: 0, visibility: 'vertex|fragment', buffer: { type: 'uniform' }, name: 'cameraPathUniforms' }
+                    ]
+                }
+            ],
+            uniforms: {
+                cameraPathUniforms: { value: new Float32Array(UNIFORM_FLOATS) }
+            },
+            transparent: true,
+            depthTest: this.config.depthTest,
+            depthWrite: false,
+            side: 'double'
+        });
+    }
+
+    _writeUniforms(values) {
+        const u = this.material.uniforms.cameraPathUniforms.value;
+        u.set(values.viewMatrix.elements, 0);
+        u.set(values.projectionMatrix.elements, 16);
+
+        u[32] = values.anchorOffset.x;
+        u[33] = values.anchorOffset.y;
+        u[34] = values.anchorOffset.z;
+        u[35] = values.lineWidth;
+
+        u[36] = values.viewportSize.x;
+        u[37] = values.viewportSize.y;
+        u[38] = 0;
+        u[39] = 0;
+
+        u.set(values.pathColor, 40);
+        u.set(values.keyframeColor, 44);
+    }
+
+    _getUniformStruct() {
+        return /* wgsl */`
+struct CameraPathUniforms {
+    viewMatrix : mat4x4<f32>,
+    projectionMatrix : mat4x4<f32>,
+    anchorOffset : vec3<f32>,
+    lineWidth : f32,
+    viewportSize : vec2<f32>,
+    _pad0 : f32,
+    _pad1 : f32,
+    pathColor : vec4<f32>,
+    keyframeColor : vec4<f32>,
+};
+
+@group(0) @binding(0) var<uniform> params : CameraPathUniforms;
+
+struct VertexOutput {
+    @builtin(position) clipPosition : vec4<f32>,
+    @location(0) kind : f32,
+};`;
+    }
+
+    _getVertexShader() {
+        return /* wgsl */`
+${this._getUniformStruct()}
+
+struct VertexInput {
+    @location(0) position : vec3<f32>,
+    @location(1) normal : vec3<f32>,
+    @location(2) uv : vec2<f32>,
+};
+
+@vertex
+fn main(input : VertexInput) -> VertexOutput {
+    var output : VertexOutput;
+    let viewProjection = params.projectionMatrix * params.viewMatrix;
+
+    // position is this end of the segment, normal the other end
+    var clip = viewProjection * vec4<f32>(input.position + params.anchorOffset, 1.0);
+    let otherClip = viewProjection * vec4<f32>(input.normal + params.anchorOffset, 1.0);
+
+    let screen = clip.xy / max(clip.w, 1e-4) * params.viewportSize;
+    let otherScreen = otherClip.xy / max(otherClip.w, 1e-4) * params.viewportSize;
+    var dir = otherScreen - screen;
+    if (dot(dir, dir) < 1e-8) {
+        dir = vec2<f32>(1.0, 0.0);
+    }
+    let side = normalize(vec2<f32>(-dir.y, dir.x));
+
+    // lineWidth pixels across: half on each side, NDC spans 2 per viewport
+    let offset = side * input.uv.x * params.lineWidth / params.viewportSize * clip.w;
+    clip = vec4<f32>(clip.xy + offset, clip.zw);
+    output.kind = input.uv.y;
+    output.clipPosition = clip;
+    return output;
+}`;
+    }
+
+    _getFragmentShader() {
+        return /* wgsl */`
+${this._getUniformStruct()}
+
+@fragment
+fn main(input : VertexOutput) -> @location(0) vec4<f32> {
+    if (input.kind > 0.5) {
+        return params.keyframeColor;
+    }
+    return params.pathColor;
+}`;
+    }
+}
@@ -53,9 +53,10 @@ export class CloudRenderer {
         );
         this._tmpInvViewProj.copy(viewProj).invert();
 
-        const weights = this.froxelGrid.getCoverageForWeather(
-            environmentState?.currentWeather,
-            environmentState?.weatherIntensity
+        // Local weather at the camera; worldPosition is unset on render-only cameras
+        const weights = this.froxelGrid.getCoverageAt(
+            environmentState,
+            camera.worldPosition || camera.position
         );
 
         return {
@@ -77,7 +78,11 @@ export class CloudRenderer {
             fogDensity: environmentState?.fogDensity ??
                 uniformManager?.uniforms?.fogDensity?.value ?? 0.0001,
             time: this.time,
-            cloudAnisotropy: this.config.cloudAnisotropy
+            cloudAnisotropy: this.config.cloudAnisotropy,
+            // Haze between the camera and the clouds, see AtmosphericScatteringLUT.updateViewLUTs
+            aerialPerspectiveLUT: uniformManager?.uniforms?.aerialPerspectiveLUT?.value || null,
+            aerialPerspectiveParams: uniformManager?.uniforms?.aerialPerspectiveParams?.value || null,
+            sunIntensity: uniformManager?.uniforms?.atmosphereSunIntensity?.value ?? 20.0
         };
     }
 
@@ -46,6 +46,12 @@ export class FroxelGrid {
         this._up = new THREE.Vector3();
         this._forward = new THREE.Vector3(0, 0, -1);
         this._lastUploadFrame = -1;
+
+        // Cloud coverage per (x, z) froxel column from the local weather
+        this._columnLow = new Float32Array(this.dimensions.x * this.dimensions.z);
+        this._columnHigh = new Float32Array(this.dimensions.x * this.dimensions.z);
+        this._weatherSample = { weather: 'clear', intensity: 0, cell: null };
+        this._worldPos = new THREE.Vector3();
     }
 
     getTexture() {
@@ -74,10 +80,7 @@ export class FroxelGrid {
 
         const fogScaleHeight = uniformManager?.uniforms?.fogScaleHeight?.value || 1200;
         const fogBase = environmentState?.fogDensity ?? uniformManager?.uniforms?.fogDensity?.value ?? this.baseFogDensity;
-        const weatherIntensity = environmentState?.weatherIntensity ?? 0.0;
-        const currentWeather = environmentState?.currentWeather || 'clear';
-
-        const coverage = this._computeCoverage(currentWeather, weatherIntensity);
+        this._updateColumnCoverage(camera, environmentState);
         const sunDir = (environmentState?.sunLightDirection || uniformManager?.uniforms?.sunLightDirection?.value || new THREE.Vector3(0.5, 1, 0.3)).clone().normalize();
 
         let index = 0;
@@ -97,9 +100,10 @@ export class FroxelGrid {
                     const altitude = worldPos.y;
                     const fogDensity = fogBase * Math.exp(-Math.max(0, altitude) / fogScaleHeight);
 
+                    const column = z * dims.x + x;
                     const sample = this._sampleNoise(x, y, z, timeSec);
-                    const lowCloud = this._shapeCumulus(sample.low, altitude, coverage.low);
-                    const highCloud = this._shapeCirrus(sample.high, altitude, coverage.high);
+                    const lowCloud = this._shapeCumulus(sample.low, altitude, this._columnLow[column]);
+                    const highCloud = this._shapeCirrus(sample.high, altitude, this._columnHigh[column]);
 
                     const light = Math.max(0.05, sunDir.dot(this._up) * 0.5 + 0.5);
 
@@ -116,6 +120,46 @@ export class FroxelGrid {
         this._lastUploadFrame = frame;
     }
 
+    /**
+     * Sample the weather cells under each froxel column, so cloud cover
+     * thickens towards a storm before the camera is inside it. Without a
+     * weather system every column uses the camera's weather.
+     */
+    _updateColumnCoverage(camera, environmentState) {
+        const dims = this.dimensions;
+        const count = dims.x * dims.z;
+        if (this._columnLow.length !== count) {
+            this._columnLow = new Float32Array(count);
+            this._columnHigh = new Float32Array(count);
+        }
+
+        if (!environmentState?.sampleWeather) {
+            const coverage = this.getCoverageForWeather(environmentState?.currentWeather || 'clear', environmentState?.weatherIntensity ?? 0.0);
+            this._columnLow.fill(coverage.low);
+            this._columnHigh.fill(coverage.high);
+            return;
+        }
+
+        // Froxels are in render space; weather cells live in world space
+        const renderOrigin = camera.renderOrigin;
+        for (let z = 0; z < dims.z; z++) {
+            const dist = this.maxDistance * (z + 0.5) / dims.z;
+            for (let x = 0; x < dims.x; x++) {
+                const lateralX = (x / (dims.x - 1) - 0.5) * this.volumeSize.x;
+                this._worldPos
+                    .copy(camera.position)
+                    .addScaledVector(this._right, lateralX)
+                    .addScaledVector(this._forward, dist);
+                if (renderOrigin) this._worldPos.add(renderOrigin);
+
+                const local = environmentState.sampleWeather(this._worldPos, this._weatherSample);
+                const coverage = this._computeCoverage(local.weather, local.intensity);
+                this._columnLow[z * dims.x + x] = coverage.low;
+                this._columnHigh[z * dims.x + x] = coverage.high;
+            }
+        }
+    }
+
     _computeCoverage(weather, intensity) {
         const clamped = Math.min(Math.max(intensity || 0, 0), 1);
         let low = 0.18;
@@ -149,6 +193,17 @@ export class FroxelGrid {
         return this._computeCoverage(weather, intensity);
     }
 
+    /**
+     * Coverage of the local weather at a world position.
+     */
+    getCoverageAt(environmentState, worldPosition) {
+        if (!environmentState?.sampleWeather) {
+            return this._computeCoverage(environmentState?.currentWeather, environmentState?.weatherIntensity);
+        }
+        const local = environmentState.sampleWeather(worldPosition, this._weatherSample);
+        return this._computeCoverage(local.weather, local.intensity);
+    }
+
     _shapeCumulus(noiseVal, altitude, coverage) {
         // Cumulus sit low (0-2.5 km)
         const heightFade = this._smoothstep(0, 2500, altitude);
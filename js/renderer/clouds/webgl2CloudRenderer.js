@@ -1,6 +1,7 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { CloudRenderer } from './cloudRenderer.js';
 import { Material } from '../resources/material.js';
+import { ATMOSPHERE_LUT_SAMPLING_GLSL } from '../atmosphere/shaders/aerialPerspectiveCommon.js';
 
 export class WebGL2CloudRenderer extends CloudRenderer {
     async initialize() {
@@ -29,7 +30,10 @@ export class WebGL2CloudRenderer extends CloudRenderer {
                 time: { value: 0 },
                 cloudAnisotropy: { value: this.config.cloudAnisotropy },
                 froxelTexture: { value: this.froxelGrid.getTexture() },
-                cloudBaseColor: { value: new THREE.Vector3(0.9, 0.95, 1.0) }
+                cloudBaseColor: { value: new THREE.Vector3(0.9, 0.95, 1.0) },
+                aerialPerspectiveLUT: { value: null },
+                aerialPerspectiveParams: { value: new THREE.Vector4() },
+                sunIntensity: { value: 20.0 }
             },
             transparent: true,
             depthTest: false,
@@ -62,6 +66,11 @@ export class WebGL2CloudRenderer extends CloudRenderer {
         u.time.value = common.time;
         u.cloudAnisotropy.value = common.cloudAnisotropy;
         u.froxelTexture.value = common.froxelTexture;
+        u.aerialPerspectiveLUT.value = common.aerialPerspectiveLUT;
+        if (common.aerialPerspectiveParams) {
+            u.aerialPerspectiveParams.value.copy(common.aerialPerspectiveParams);
+        }
+        u.sunIntensity.value = common.sunIntensity;
 
         this.backend.draw(this.fullscreenGeometry, this.material);
     }
@@ -106,9 +115,14 @@ export class WebGL2CloudRenderer extends CloudRenderer {
         uniform float cloudAnisotropy;
         uniform vec3 cloudBaseColor;
         uniform sampler2D froxelTexture;
+        uniform sampler2D aerialPerspectiveLUT;
+        uniform vec4 aerialPerspectiveParams;
+        uniform float sunIntensity;
 
         const float PI = 3.14159265359;
 
+        ${ATMOSPHERE_LUT_SAMPLING_GLSL}
+
         vec3 getRayDirection(vec2 uv) {
             vec4 ndc = vec4(uv * 2.0 - 1.0, 1.0, 1.0);
             vec4 world = invViewProjMatrix * ndc;
@@ -144,6 +158,9 @@ export class WebGL2CloudRenderer extends CloudRenderer {
 
             vec3 accum = vec3(0.0);
             float trans = 1.0;
+            // Opacity-weighted distance, where the haze in front is applied
+            float depthSum = 0.0;
+            float depthWeight = 0.0;
 
             float cosSun = dot(rayDir, sunDirection);
             float cloudPhase = henyeiGreenstein(cosSun, cloudAnisotropy);
@@ -166,12 +183,18 @@ export class WebGL2CloudRenderer extends CloudRenderer {
                 vec3 scatter = vec3(density * phase) * (0.65 + 0.6 * cell.a) * cloudBaseColor;
 
                 accum += trans * scatter * stepSize;
-                trans *= exp(-density * stepSize * 1.25);
+                float stepTrans = exp(-density * stepSize * 1.25);
+                float opacity = trans * (1.0 - stepTrans);
+                depthSum += t * opacity;
+                depthWeight += opacity;
+                trans *= stepTrans;
                 if (trans < 0.02) break;
             }
 
-            vec3 color = accum;
             float alpha = clamp(1.0 - trans, 0.0, 1.0);
+            float cloudDistance = depthSum / max(depthWeight, 1e-5);
+            vec4 ap = lut_sampleAerialPerspective(aerialPerspectiveLUT, vUv, cloudDistance, aerialPerspectiveParams);
+            vec3 color = accum * ap.a + ap.rgb * sunIntensity * alpha;
             fragColor = vec4(color, alpha);
         }`;
     }
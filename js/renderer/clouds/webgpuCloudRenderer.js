@@ -1,6 +1,7 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
 import { CloudRenderer } from './cloudRenderer.js';
 import { Material } from '../resources/material.js';
+import { ATMOSPHERE_LUT_SAMPLING_WGSL } from '../atmosphere/shaders/aerialPerspectiveCommon.js';
 
 export class WebGPUCloudRenderer extends CloudRenderer {
     async initialize() {
@@ -22,7 +23,8 @@ export class WebGPUCloudRenderer extends CloudRenderer {
                     label: 'FroxelResources',
                     entries: [
                         { binding: 0, visibility: 'fragment', texture: { sampleType: 'float' }, name: 'froxelTexture' },
-                        { binding: 1, visibility: 'fragment', sampler: { type: 'filtering' }, name: 'froxelSampler' }
+                        { binding: 1, visibility: 'fragment', sampler: { type: 'filtering' }, name: 'froxelSampler' },
+                        { binding: 2, visibility: 'fragment', texture: { sampleType: 'float' }, name: 'aerialPerspectiveLUT' }
                     ]
                 }
             ],
@@ -31,6 +33,7 @@ export class WebGPUCloudRenderer extends CloudRenderer {
                 cloudParams: { value: new Float32Array(32) },
                 froxelTexture: { value: this.froxelGrid.getTexture() },
                 froxelSampler: { value: 'linear' },
+                aerialPerspectiveLUT: { value: null },
                 cloudBaseColor: { value: new Float32Array([0.9, 0.95, 1.0, 1.0]) }
             },
             transparent: true,
@@ -51,6 +54,7 @@ export class WebGPUCloudRenderer extends CloudRenderer {
         const common = this.getCommonUniformValues(camera, environmentState, uniformManager);
         this._writeUniformBuffers(common);
         this.material.uniforms.froxelTexture.value = common.froxelTexture;
+        this.material.uniforms.aerialPerspectiveLUT.value = common.aerialPerspectiveLUT;
 
         this.backend.draw(this.fullscreenGeometry, this.material);
     }
@@ -84,11 +88,18 @@ export class WebGPUCloudRenderer extends CloudRenderer {
         p[16] = common.cloudLowCoverage;
         p[17] = common.cloudHighCoverage;
         p[18] = common.cloudAnisotropy;
-        p[19] = 0;
+        p[19] = common.sunIntensity;
         p[20] = 0.92; // cloud tint r
         p[21] = 0.96; // cloud tint g
         p[22] = 1.0;  // cloud tint b
         p[23] = 1.0;
+
+        // Zero slices until the first aerial perspective LUT pass
+        const ap = common.aerialPerspectiveParams;
+        p[24] = ap?.x ?? 0;
+        p[25] = ap?.y ?? 0;
+        p[26] = ap?.z ?? 0;
+        p[27] = common.aerialPerspectiveLUT ? (ap?.w ?? 0) : 0;
     }
 
     _getVertexShader() {
@@ -137,8 +148,9 @@ struct CloudParams {
     cloudLow : f32,
     cloudHigh : f32,
     cloudAnisotropy : f32,
-    _pad0 : f32,
-    cloudTint : vec4<f32>
+    sunIntensity : f32,
+    cloudTint : vec4<f32>,
+    aerialPerspective : vec4<f32>
 };
 
 struct VertexOutput {
@@ -150,11 +162,14 @@ struct VertexOutput {
 @group(0) @binding(1) var<uniform> params : CloudParams;
 @group(1) @binding(0) var froxelTexture : texture_2d<f32>;
 @group(1) @binding(1) var froxelSampler : sampler;
+@group(1) @binding(2) var aerialPerspectiveLUT : texture_2d<f32>;
 
 // Packed tint in params.cloudTint
 
 const PI : f32 = 3.14159265359;
 
+${ATMOSPHERE_LUT_SAMPLING_WGSL}
+
 fn getRayDirection(uv : vec2<f32>) -> vec3<f32> {
     let ndc = vec4<f32>(uv * 2.0 - 1.0, 1.0, 1.0);
     var world = matrices.invViewProjMatrix * ndc;
@@ -192,6 +207,9 @@ fn main(input : VertexOutput) -> @location(0) vec4<f32> {
 
     var accum = vec3<f32>(0.0);
     var trans = 1.0;
+    // Opacity-weighted distance, where the haze in front is applied
+    var depthSum = 0.0;
+    var depthWeight = 0.0;
 
     let cosSun = dot(rayDir, params.sunDirection);
     let cloudPhase = hgPhase(cosSun, params.cloudAnisotropy);
@@ -212,11 +230,17 @@ fn main(input : VertexOutput) -> @location(0) vec4<f32> {
         let phase = mix(fogPhase, cloudPhase, clamp(cldLow + cldHigh, 0.0, 1.0));
         let scatter = vec3<f32>(density * phase) * (0.65 + 0.6 * cell.a) * params.cloudTint.rgb * mask;
         accum += trans * scatter * stepSize;
-        trans *= exp(-density * stepSize * 1.25 * mask);
+        let stepTrans = exp(-density * stepSize * 1.25 * mask);
+        let opacity = trans * (1.0 - stepTrans);
+        depthSum += t * opacity;
+        depthWeight += opacity;
+        trans *= stepTrans;
     }
 
     let alpha = clamp(1.0 - trans, 0.0, 1.0);
-    return vec4<f32>(accum, alpha);
+    let cloudDistance = depthSum / max(depthWeight, 1e-5);
+    let ap = lut_sampleAerialPerspective(aerialPerspectiveLUT, froxelSampler, input.uv, cloudDistance, params.aerialPerspective);
+    return vec4<f32>(accum * ap.a + ap.rgb * params.sunIntensity * alpha, alpha);
 }`;
     }
 }
@@ -0,0 +1,79 @@
+// js/renderer/floatingOrigin.js
+// Floating origin for camera-relative rendering. World positions stay in
+// doubles on the CPU (plain JS numbers in THREE.Vector3); everything handed to
+// the GPU is made relative to `origin`. The origin jumps to the camera once the
+// camera is more than `rebaseDistance` away from it, so render-space values
+// stay small enough for float32 however large the planet is.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+
+export class FloatingOrigin {
+    constructor(options = {}) {
+        // World position of render-space (0, 0, 0)
+        this.origin = new THREE.Vector3();
+        this.rebaseDistance = options.rebaseDistance ?? 2048;
+        this.enabled = options.enabled !== false;
+        this.rebaseCount = 0;
+
+        this.rebaseCallbacks = new Set();
+        this._delta = new THREE.Vector3();
+    }
+
+    /**
+     * @param {Function} callback - (origin, delta) after every rebase; delta
+     *        is how far the origin moved, so render-space positions held
+     *        elsewhere should subtract it
+     */
+    onRebase(callback) {
+        this.rebaseCallbacks.add(callback);
+    }
+
+    offRebase(callback) {
+        this.rebaseCallbacks.delete(callback);
+    }
+
+    /**
+     * Rebase around the camera if it has drifted too far from the origin.
+     * @param {THREE.Vector3} cameraWorldPosition
+     * @returns {boolean} true if the origin moved
+     */
+    update(cameraWorldPosition) {
+        if (!this.enabled) return false;
+        const limit = this.rebaseDistance * this.rebaseDistance;
+        if (this.origin.distanceToSquared(cameraWorldPosition) <= limit) return false;
+        this.rebase(cameraWorldPosition);
+        return true;
+    }
+
+    rebase(worldPosition) {
+        this._delta.subVectors(worldPosition, this.origin);
+        this.origin.copy(worldPosition);
+        this.rebaseCount++;
+
+        console.log(`[FloatingOrigin] Rebased to (${this.origin.x.toFixed(1)}, ${this.origin.y.toFixed(1)}, ${this.origin.z.toFixed(1)})`);
+        for (const callback of this.rebaseCallbacks) {
+            callback(this.origin, this._delta);
+        }
+    }
+
+    toRender(worldPosition, target = new THREE.Vector3()) {
+        return target.subVectors(worldPosition, this.origin);
+    }
+
+    toWorld(renderPosition, target = new THREE.Vector3()) {
+        return target.addVectors(renderPosition, this.origin);
+    }
+
+    /**
+     * Copy a world-space model matrix with its translation moved into render
+     * space. The subtraction happens in doubles, before anything reaches float32.
+     */
+    toRenderMatrix(worldMatrix, target = new THREE.Matrix4()) {
+        target.copy(worldMatrix);
+        const e = target.elements;
+        e[12] -= this.origin.x;
+        e[13] -= this.origin.y;
+        e[14] -= this.origin.z;
+        return target;
+    }
+}
@@ -11,9 +11,25 @@ import { ClusterGrid } from '../../lighting/clusterGrid.js';
 import { CascadedShadowMapRenderer } from '../../shadows/cascadedShadowMapRenderer.js';
 import { OrbitalSphereRenderer } from '../orbitalSphereRenderer.js';
 import { GenericMeshRenderer } from '../genericMeshRenderer.js';
+import { FloatingOrigin } from '../floatingOrigin.js';
 import { Geometry } from '../resources/geometry.js';
 import { Material } from '../resources/material.js';
 
+// Per-chunk copies of the shared clustered light, shadow and aerial
+// perspective uniforms
+const CHUNK_LIGHTING_UNIFORMS = [
+    'clusterLightBuffer', 'clusterGridBuffer', 'clusterIndexBuffer', 'clusterParamsBuffer',
+    'clusterDataTexture', 'lightDataTexture', 'lightIndicesTexture', 'numLights',
+    'localShadowAtlas', 'localShadowMatrices', 'localShadowParams', 'localShadowNormalOffset',
+    'localShadowMatrixBuffer', 'localShadowParamsBuffer',
+    'shadowMapCascade0', 'shadowMapCascade1', 'shadowMapCascade2',
+    'shadowMatrixCascade0', 'shadowMatrixCascade1', 'shadowMatrixCascade2',
+    'cascadeSplits', 'numCascades', 'shadowBias', 'shadowNormalBias', 'shadowMapSize',
+    'shadowCascadeTexelSize', 'shadowCascadeDepthRange', 'shadowBlendBand',
+    'shadowFilterMode', 'shadowPCFRadius', 'shadowPenumbraScale', 'sunShadowParamsBuffer',
+    'aerialPerspectiveLUT', 'aerialPerspectiveParams', 'aerialPerspectiveParamsBuffer'
+];
+
 export class Frontend {
     constructor(canvas, options = {}) {
         this.canvas = canvas;
@@ -40,9 +56,17 @@ export class Frontend {
         this.masterChunkLoader = null;
         this._instancedTest = null;
 
+        // GPU-facing positions are relative to floatingOrigin.origin;
+        // camera.position/target are render space, worldPosition/worldTarget
+        // the double-precision world values from the game
+        this.floatingOrigin = new FloatingOrigin(options.floatingOrigin);
+
         this.camera = {
             position: new THREE.Vector3(0, 50, 0),
             target: new THREE.Vector3(0, 0, 0),
+            worldPosition: new THREE.Vector3(0, 50, 0),
+            worldTarget: new THREE.Vector3(0, 0, 0),
+            renderOrigin: this.floatingOrigin.origin,
             near: 0.1,
             far: 100000,
             fov: 75,
@@ -57,10 +81,23 @@ export class Frontend {
         this.clusterGrid = null;
         this.lightManager = null;
         this.shadowRenderer = null;
+        this.localShadowRenderer = null;
         this.planetConfig = null;
         this.sphericalMapper = null;
         this.orbitalSphereRenderer = null;
         this.cloudRenderer = null;
+        this.precipitationRenderer = null;
+        this.cameraPathRenderer = null;
+        this.waterMeshRenderer = null;
+        // SolarSystem plus one OrbitalSphereRenderer per planet, by name;
+        // non-active planets are drawn as impostors
+        this.solarSystem = null;
+        this.planetSpheres = new Map();
+
+        this.postProcessingEnabled = options.postProcessing !== false;
+        this.postProcess = null;
+        this.waterPass = null;
+        this.waterRenderer = null;
     }
 
     _setupInstancedDebug() {
@@ -192,20 +229,29 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
             const camTarget = gameState.camera.target;
 
             if (camPos.isVector3) {
-                this.camera.position.copy(camPos);
+                this.camera.worldPosition.copy(camPos);
             } else {
-                this.camera.position.set(camPos.x, camPos.y, camPos.z);
+                this.camera.worldPosition.set(camPos.x, camPos.y, camPos.z);
             }
 
             if (camTarget.isVector3) {
-                this.camera.target.copy(camTarget);
+                this.camera.worldTarget.copy(camTarget);
             } else {
-                this.camera.target.set(camTarget.x, camTarget.y, camTarget.z);
+                this.camera.worldTarget.set(camTarget.x, camTarget.y, camTarget.z);
+            }
+
+            if (gameState.camera.fov) {
+                this.camera.fov = gameState.camera.fov;
             }
 
+            this.floatingOrigin.update(this.camera.worldPosition);
+            this.floatingOrigin.toRender(this.camera.worldPosition, this.camera.position);
+            this.floatingOrigin.toRender(this.camera.worldTarget, this.camera.target);
+
             this._updateCameraMatrices();
         }
 
+        this.uniformManager.setRenderOrigin(this.floatingOrigin.origin);
         this.uniformManager.updateCameraParameters(this.camera);
     }
 
@@ -214,7 +260,9 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         const target = this.camera.target;
 
         const zAxis = new THREE.Vector3().subVectors(position, target).normalize();
-        let up = new THREE.Vector3().copy(position).normalize();
+        let up = new THREE.Vector3().copy(this.camera.worldPosition);
+        if (this.planetConfig) up.sub(this.planetConfig.origin);
+        up.normalize();
 
         if (up.lengthSq() < 0.0001) up.set(0, 1, 0);
 
@@ -312,7 +360,7 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         }
 
         await this.masterChunkLoader.update(
-            this.camera.position,
+            this.camera.worldPosition,
             gameState.terrain,
             deltaTime,
             planetConfig,
@@ -339,7 +387,20 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         }
 
         this.clusterGrid.updateFromCamera(this.camera);
+        this.lightManager.setRenderOrigin(this.floatingOrigin.origin);
         this.lightManager.assignLightsToClusters(this.camera);
+
+        // Assigns shadowMapIndex, so it runs before the light data is packed
+        if (this.localShadowRenderer && this.terrainMeshManager) {
+            const localShadows = this.localShadowRenderer.update(
+                this.lightManager.lights,
+                this.camera,
+                this.floatingOrigin.origin,
+                this.terrainMeshManager.chunkMeshes.values()
+            );
+            this.uniformManager.updateFromLocalShadows(localShadows);
+        }
+
         const clusterTextures = this.lightManager.buildGPUBuffers();
 
         this.uniformManager.updateFromClusteredLights(
@@ -379,6 +440,20 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         this.genericMeshRenderer = new GenericMeshRenderer(this.backend);
         console.log('GenericMeshRenderer initialized');
 
+        if (this.postProcessingEnabled) {
+            const { PostProcessGraph, WaterPass, BloomPass, TonemapPass, ColorGradingPass, FXAAPass } =
+                await import('../postprocessing/index.js');
+            const { WaterRenderer } = await import('../waterRenderer.js');
+            this.postProcess = new PostProcessGraph(this.backend, this.canvas.width, this.canvas.height);
+            this.waterRenderer = new WaterRenderer(this.uniformManager);
+            this.waterPass = this.postProcess.addPass(new WaterPass());
+            this.postProcess.addPass(new BloomPass());
+            this.postProcess.addPass(new TonemapPass());
+            this.postProcess.addPass(new ColorGradingPass());
+            this.postProcess.addPass(new FXAAPass());
+            console.log('PostProcessGraph initialized:', this.postProcess.getOrder().join(' -> '));
+        }
+
         if (this.planetConfig && this.planetConfig.hasAtmosphere) {
             this.uniformManager.updateFromPlanetConfig(this.planetConfig);
 
@@ -422,6 +497,33 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         // Temporarily disable clouds to debug the white sky; re-enable after sky is verified.
         this.cloudRenderer.enabled = false;
 
+        if (this.backendType === 'webgpu') {
+            const { WebGPUPrecipitationRenderer } = await import('../precipitation/webgpuPrecipitationRenderer.js');
+            this.precipitationRenderer = new WebGPUPrecipitationRenderer(this.backend);
+        } else {
+            const { WebGL2PrecipitationRenderer } = await import('../precipitation/webgl2PrecipitationRenderer.js');
+            this.precipitationRenderer = new WebGL2PrecipitationRenderer(this.backend);
+        }
+        await this.precipitationRenderer.initialize();
+
+        if (this.backendType === 'webgpu') {
+            const { WebGPUCameraPathRenderer } = await import('../cameraPath/webgpuCameraPathRenderer.js');
+            this.cameraPathRenderer = new WebGPUCameraPathRenderer(this.backend);
+        } else {
+            const { WebGL2CameraPathRenderer } = await import('../cameraPath/webgl2CameraPathRenderer.js');
+            this.cameraPathRenderer = new WebGL2CameraPathRenderer(this.backend);
+        }
+        await this.cameraPathRenderer.initialize();
+
+        if (this.backendType === 'webgpu') {
+            const { WebGPUWaterMeshRenderer } = await import('../water/webgpuWaterMeshRenderer.js');
+            this.waterMeshRenderer = new WebGPUWaterMeshRenderer(this.backend);
+        } else {
+            const { WebGL2WaterMeshRenderer } = await import('../water/webgl2WaterMeshRenderer.js');
+            this.waterMeshRenderer = new WebGL2WaterMeshRenderer(this.backend);
+        }
+        await this.waterMeshRenderer.initialize();
+
         if (this.atmosphereLUT) {
             const { AerialPerspectiveTest } = await import('../atmosphere/aerialPerspectiveTest.js');
             this.aerialTest = new AerialPerspectiveTest(
@@ -440,18 +542,29 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
             useLogarithmicDepth: true
         });
 
-        this.lightManager = new ClusteredLightManager(this.clusterGrid, {
-            maxLightsPerCluster: 32,
-            maxLightIndices: 8192
-        });
+        if (this.backendType === 'webgpu') {
+            // Culled by compute passes; sized for city-scale night scenes
+            const { WebGPUClusteredLightManager } = await import('../../lighting/webgpuClusteredLightManager.js');
+            this.lightManager = new WebGPUClusteredLightManager(this.backend, this.clusterGrid, {
+                maxLights: 4096,
+                maxLightsPerCluster: 64
+            });
+            this.lightManager.initialize();
 
-        this.shadowRenderer = new CascadedShadowMapRenderer(this.backend, {
-            numCascades: 3,
-            shadowMapSize: 2048,
-            cascadeSplits: [30, 90, 200],
-            shadowBias: 0.001,
-            shadowNormalBias: 0.1
-        });
+            const { WebGPULocalLightShadowRenderer } = await import('../../shadows/webgpuLocalLightShadowRenderer.js');
+            this.localShadowRenderer = new WebGPULocalLightShadowRenderer(this.backend);
+        } else {
+            this.lightManager = new ClusteredLightManager(this.clusterGrid, {
+                maxLightsPerCluster: 32,
+                maxLightIndices: 8192
+            });
+
+            const { WebGL2LocalLightShadowRenderer } = await import('../../shadows/webgl2LocalLightShadowRenderer.js');
+            this.localShadowRenderer = new WebGL2LocalLightShadowRenderer(this.backend);
+        }
+        this.localShadowRenderer.initialize();
+
+        this.shadowRenderer = new CascadedShadowMapRenderer(this.backend);
 
         this.uniformManager.uniforms.ambientLightIntensity.value = 0.5;
         this.uniformManager.uniforms.ambientLightColor.value.set(0xffffff);
@@ -483,19 +596,39 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
     }
 
     async updateShadows(environmentState) {
-        return;
-        if (!this.shadowRenderer) return;
+        if (!this.shadowRenderer || !this.terrainMeshManager) return;
+
+        const sunDir = environmentState?.sunLightDirection ||
+            this.uniformManager.uniforms.sunLightDirection.value;
 
+        // Near cascades redraw every frame; the renderer decides when the
+        // cached far ones need it
         const shadowData = await this.shadowRenderer.renderCascades(
-            this.loadedChunks,
-            environmentState.sunLightDirection,
-            this.camera.position,
-            this.camera
+            this.terrainMeshManager.chunkMeshes.values(),
+            sunDir,
+            this.camera,
+            this.floatingOrigin.origin
         );
 
         this.uniformManager.updateFromShadowRenderer(shadowData);
     }
 
+    /**
+     * Sky-view and aerial perspective LUTs for this frame's camera; the sky,
+     * terrain and clouds sample them instead of marching the atmosphere.
+     */
+    updateAtmosphereViewLUTs(environmentState) {
+        if (!this.atmosphereLUT) return;
+
+        const sunDir = environmentState?.sunLightDirection ||
+            this.uniformManager.uniforms.sunLightDirection.value;
+        this.atmosphereLUT.updateViewLUTs(
+            this.camera,
+            sunDir,
+            this.uniformManager.uniforms.planetCenter.value
+        );
+    }
+
     async render(gameState, environmentState, deltaTime, planetConfig, sphericalMapper) {
         if (!this.textureManager?.loaded || !gameState.terrain) return;
 
@@ -516,12 +649,18 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
 
         await this.updateChunks(gameState, environmentState, deltaTime, planetConfig, sphericalMapper);
         this.updateLighting(environmentState);
+        await this.updateShadows(environmentState);
+        this.updateAtmosphereViewLUTs(environmentState);
 
-        if (this.frameCount % 2 === 0) {
-            await this.updateShadows(environmentState);
+        const postProcess = this.postProcess?.enabled ? this.postProcess : null;
+        if (postProcess && this.waterPass?.enabled) {
+            this.updateWater(gameState, environmentState, deltaTime);
+        }
+        if (postProcess) {
+            postProcess.beginScene();
+        } else {
+            this.backend.setRenderTarget(null);
         }
-
-        this.backend.setRenderTarget(null);
         this.backend.setClearColor(0.0, 0.0, 0.0, 1.0);
         this.backend.clear(true, true, false);
 
@@ -549,13 +688,20 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
             );
             this.orbitalSphereRenderer.render();
         }
+        this.renderPlanetImpostors();
 
         this.renderTerrain();
         this.renderStreamedFeatures();
         this.renderGenericMeshes();
+        this.renderWaterMeshes(environmentState, deltaTime);
+        this.renderPrecipitation(gameState, environmentState, deltaTime);
+        this.renderCameraPath();
         if (this.aerialTest) {
            // this.aerialTest.render();
         }
+        if (postProcess) {
+            postProcess.render({ camera: this.camera, deltaTime, frame: this.frameCount });
+        }
         if (this.backendType === 'webgpu') {
             this.backend.submitCommands();
 
@@ -566,6 +712,92 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         }
     }
 
+    /**
+     * Render the sky environment map and sync the screen-space water pass.
+     * Must run before the scene target is bound.
+     */
+    updateWater(gameState, environmentState, deltaTime) {
+        const sunDir = environmentState?.sunLightDirection ||
+            this.uniformManager.uniforms.sunLightDirection.value;
+
+        let environmentTexture = null;
+        if (this.skyRenderer && this.atmosphereSettings) {
+            environmentTexture = this.skyRenderer.renderEnvironment(
+                this.camera,
+                this.atmosphereSettings,
+                sunDir,
+                this.uniformManager
+            );
+        }
+
+        const heightScale = this._getHeightScale();
+
+        this.waterRenderer.update(deltaTime);
+        this.waterRenderer.updateScreenSpace(this.waterPass, {
+            camera: this.camera,
+            terrain: gameState.terrain,
+            chunkManager: gameState.chunkManager,
+            seaLevel: this.terrainMeshManager?.worldGenerator?.globalWaterLevel ?? null,
+            environmentState,
+            sunDirection: sunDir,
+            heightScale,
+            planetCenter: this.uniformManager.uniforms.planetCenter.value,
+            planetRadius: this.planetConfig?.radius ?? 0,
+            environmentTexture
+        });
+    }
+
+    /**
+     * World meters per chunk height unit.
+     */
+    _getHeightScale() {
+        const worldGenerator = this.terrainMeshManager?.worldGenerator;
+        const renderScale = worldGenerator?.renderHeightScale;
+        const genScale = worldGenerator?.generationHeightScale || renderScale || 1.0;
+        return renderScale ? renderScale / genScale : 1.0;
+    }
+
+    /**
+     * Rain, snow and splashes around the camera. Drawn after the opaque
+     * scene so the depth test hides them behind terrain and features.
+     */
+    renderPrecipitation(gameState, environmentState, deltaTime) {
+        if (!this.precipitationRenderer?.enabled) return;
+        this.precipitationRenderer.update(this.camera, environmentState, {
+            terrain: gameState.terrain,
+            chunkManager: gameState.chunkManager,
+            heightScale: this._getHeightScale(),
+            planetCenter: this.uniformManager.uniforms.planetCenter.value,
+            planetRadius: this.planetConfig?.radius ?? 0,
+            deltaTime
+        });
+        this.precipitationRenderer.render(this.camera);
+    }
+
+    /**
+     * River and lake surfaces of the loaded chunks. Transparent, so drawn
+     * after the opaque terrain and features.
+     */
+    renderWaterMeshes(environmentState, deltaTime) {
+        if (!this.waterMeshRenderer?.enabled || !this.masterChunkLoader) return;
+        const sunDir = environmentState?.sunLightDirection ||
+            this.uniformManager.uniforms.sunLightDirection.value;
+        this.waterMeshRenderer.update(deltaTime);
+        this.waterMeshRenderer.render(this.masterChunkLoader.loadedChunks, this.camera, this.floatingOrigin.origin, sunDir);
+    }
+
+    /**
+     * Preview a CameraPath as a spline overlay, or hide it with null.
+     */
+    setCameraPathOverlay(path) {
+        this.cameraPathRenderer?.setPath(path, this.planetConfig?.origin || null);
+    }
+
+    renderCameraPath() {
+        if (!this.cameraPathRenderer?.enabled) return;
+        this.cameraPathRenderer.render(this.camera, this.floatingOrigin.origin, this.canvas.width, this.canvas.height);
+    }
+
     renderGenericMeshes() {
         if (this._instancedTest) {
             const { geometry, material } = this._instancedTest;
@@ -579,7 +811,7 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         const viewMatrix = this.camera.matrixWorldInverse;
         const projectionMatrix = this.camera.projectionMatrix;
 
-        this.genericMeshRenderer.render(viewMatrix, projectionMatrix);
+        this.genericMeshRenderer.render(viewMatrix, projectionMatrix, this.floatingOrigin);
     }
 
     renderTerrain() {
@@ -630,6 +862,8 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
 
                 const data0 = new Float32Array(count * 4);
                 const data1 = new Float32Array(count * 4);
+                const data2 = new Float32Array(count * 4);
+                const renderOrigin = this.floatingOrigin.origin;
 
                 for (let i = 0; i < entries.length; i++) {
                     const e = entries[i].entry;
@@ -638,21 +872,25 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
                     data0[offsetIndex] = cd.chunkX * cd.size;
                     data0[offsetIndex + 1] = cd.chunkY * cd.size;
                     data0[offsetIndex + 2] = e.faceIndex !== undefined ? e.faceIndex : -1;
-                    const faceSize = this.sphericalMapper?.chunksPerFace || 16;
-                    const chunkLocU = e.localChunkX / faceSize;
-                    const chunkLocV = e.localChunkY / faceSize;
-                    data0[offsetIndex + 3] = chunkLocU;
+                    // Same chunkLocation the chunk's worldOrigin was built from
+                    const chunkLocation = e.material.uniforms.chunkLocation.value;
+                    data0[offsetIndex + 3] = chunkLocation.x;
 
-                    data1[offsetIndex] = chunkLocV;
+                    data1[offsetIndex] = chunkLocation.y;
                     const uv = e.uvTransform || { offsetX: 0, offsetY: 0, scale: 1 };
                     data1[offsetIndex + 1] = uv.offsetX || 0;
                     data1[offsetIndex + 2] = uv.offsetY || 0;
                     data1[offsetIndex + 3] = uv.scale || 1;
+
+                    data2[offsetIndex] = e.worldOrigin.x - renderOrigin.x;
+                    data2[offsetIndex + 1] = e.worldOrigin.y - renderOrigin.y;
+                    data2[offsetIndex + 2] = e.worldOrigin.z - renderOrigin.z;
                 }
 
                 geo.instanceCount = count;
                 geo.setAttribute('instanceData0', data0, 4, false, { stepMode: 'instance', slot: 3 });
                 geo.setAttribute('instanceData1', data1, 4, false, { stepMode: 'instance', slot: 4 });
+                geo.setAttribute('instanceData2', data2, 4, false, { stepMode: 'instance', slot: 5 });
 
                 if (!mat.uniforms.viewMatrix) mat.uniforms.viewMatrix = { value: new THREE.Matrix4() };
                 if (!mat.uniforms.projectionMatrix) mat.uniforms.projectionMatrix = { value: new THREE.Matrix4() };
@@ -662,6 +900,9 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
                 mat.uniforms.projectionMatrix.value.copy(projectionMatrix);
                 mat.uniforms.modelMatrix.value.identity();
                 if (mat.uniforms.useInstancing) mat.uniforms.useInstancing.value = 1.0;
+                this._applyChunkRenderOrigin(entry);
+                this._applyChunkSurfaceWeather(entry);
+                this._applyChunkLighting(entry);
 
                 try {
                     this.backend.draw(geo, mat);
@@ -714,6 +955,9 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
                 if (meshEntry.material.uniforms.useInstancing) {
                     meshEntry.material.uniforms.useInstancing.value = 0.0;
                 }
+                this._applyChunkRenderOrigin(meshEntry);
+                this._applyChunkSurfaceWeather(meshEntry);
+                this._applyChunkLighting(meshEntry);
 
                 try {
                     this.backend.draw(meshEntry.geometry, meshEntry.material);
@@ -737,6 +981,51 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         return drawnCount;
     }
 
+    /**
+     * Chunk positions stay double precision on the CPU; the shader only sees
+     * them relative to the floating origin.
+     */
+    _applyChunkRenderOrigin(meshEntry) {
+        const uniforms = meshEntry.material.uniforms;
+        const origin = this.floatingOrigin.origin;
+        if (uniforms.chunkOrigin && meshEntry.worldOrigin) {
+            uniforms.chunkOrigin.value.subVectors(meshEntry.worldOrigin, origin);
+        }
+        if (uniforms.renderOrigin) uniforms.renderOrigin.value.copy(origin);
+        if (uniforms.planetCenter) uniforms.planetCenter.value.copy(this.uniformManager.uniforms.planetCenter.value);
+    }
+
+    /**
+     * Chunk materials hold copies of the global uniforms; wetness and snow
+     * cover change over game time, so they are refreshed per draw.
+     */
+    _applyChunkSurfaceWeather(meshEntry) {
+        const uniforms = meshEntry.material.uniforms;
+        const global = this.uniformManager.uniforms;
+        if (uniforms.surfaceWetness) uniforms.surfaceWetness.value = global.surfaceWetness.value;
+        if (uniforms.snowCover) uniforms.snowCover.value = global.snowCover.value;
+    }
+
+    /**
+     * Chunk materials hold clones of the lighting uniforms taken when they
+     * were built; bring them up to the shared cluster buffers, shadow maps
+     * and matrices.
+     */
+    _applyChunkLighting(meshEntry) {
+        const uniforms = meshEntry.material.uniforms;
+        const global = this.uniformManager.uniforms;
+        for (const name of CHUNK_LIGHTING_UNIFORMS) {
+            const target = uniforms[name];
+            if (!target) continue;
+            const value = global[name].value;
+            if (value?.isMatrix4 || value?.isVector3 || value?.isVector4) {
+                target.value.copy(value);
+            } else {
+                target.value = value;
+            }
+        }
+    }
+
     renderStreamedFeatures() {
         const manager = this.masterChunkLoader?.streamedFeatureManager;
         if (!manager) return;
@@ -747,19 +1036,93 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         this.camera.aspect = width / height;
         this._updateCameraMatrices();
         this.backend.setViewport(0, 0, width, height);
+        if (this.postProcess) {
+            this.postProcess.resize(width, height);
+        }
     }
 
-    async switchPlanet(planetConfig) {
+    /**
+     * Make `planetConfig` the active planet: atmosphere, lighting uniforms,
+     * LOD config, chunk meshes and the orbital sphere all move over to it.
+     * The caller re-points chunk generation (see GameEngine SOI handover).
+     */
+    async switchPlanet(planetConfig, sphericalMapper = null) {
         const { PlanetAtmosphereSettings } = await import(
             '../../planet/atmosphere/planetAtmosphereSettings.js'
         );
-        this.atmosphereSettings = PlanetAtmosphereSettings.createForPlanet(
+        this.atmosphereSettings = planetConfig.atmosphereSettings || PlanetAtmosphereSettings.createForPlanet(
             planetConfig.radius,
             planetConfig.atmosphereOptions || {}
         );
         if (this.atmosphereLUT) {
             this.atmosphereLUT.invalidate();
         }
+
+        this.planetConfig = planetConfig;
+        this.sphericalMapper = sphericalMapper;
+        this.uniformManager.updateFromPlanetConfig(planetConfig);
+        this.lodManager.setPlanetaryConfig(planetConfig, sphericalMapper);
+        this.terrainMeshManager?.setPlanetaryConfig(planetConfig, sphericalMapper);
+        this.masterChunkLoader?.resetForPlanet(planetConfig.altitudeZoneManager || null);
+
+        this.orbitalSphereRenderer = await this._getPlanetSphere(planetConfig);
+        this.camera.far = planetConfig.radius * 3;
+        this._updateCameraMatrices();
+
+        console.log(`Frontend switched to planet ${planetConfig.name}`);
+    }
+
+    /**
+     * Draw the other planets of `solarSystem` as orbital impostors.
+     */
+    async setSolarSystem(solarSystem) {
+        this.solarSystem = solarSystem;
+        for (const body of solarSystem.bodies) {
+            await this._getPlanetSphere(body.config);
+        }
+    }
+
+    async _getPlanetSphere(planetConfig) {
+        if (this.planetSpheres.has(planetConfig.name)) {
+            return this.planetSpheres.get(planetConfig.name);
+        }
+        if (this.orbitalSphereRenderer?.config === planetConfig) {
+            this.planetSpheres.set(planetConfig.name, this.orbitalSphereRenderer);
+            return this.orbitalSphereRenderer;
+        }
+
+        const { OrbitalSphereRenderer } = await import('../orbitalSphereRenderer.js');
+        const sphere = new OrbitalSphereRenderer(this.backend, planetConfig);
+        await sphere.initialize();
+        this.planetSpheres.set(planetConfig.name, sphere);
+        return sphere;
+    }
+
+    /**
+     * Bake the active planet's surface from `worldGenerator` plus its
+     * TerrainEditLayer and hand the maps to its orbital sphere, replacing the
+     * placeholder pattern.
+     */
+    async bakeOrbitalSurface(worldGenerator, terrainEdits = null) {
+        const sphere = this.orbitalSphereRenderer;
+        if (!sphere || !worldGenerator) return;
+
+        const { PlanetSurfaceBaker } = await import('../../planet/planetSurfaceBaker.js');
+        const maps = await new PlanetSurfaceBaker(worldGenerator, sphere.config, { terrainEdits }).bake();
+        sphere.setPlanetTexture(maps);
+    }
+
+    renderPlanetImpostors() {
+        if (!this.solarSystem) return;
+
+        const sunDir = new THREE.Vector3();
+        for (const body of this.solarSystem.inactiveBodies) {
+            const sphere = this.planetSpheres.get(body.name);
+            if (!sphere) continue;
+            this.solarSystem.getSunDirection(body.config.origin, sunDir);
+            sphere.updateImpostor(this.camera, sunDir);
+            sphere.render();
+        }
     }
 
     async switchPlanetPreset(presetName) {
@@ -779,9 +1142,20 @@ fn main(@location(0) vUv : vec2<f32>) -> @location(0) vec4<f32> {
         if (this.atmosphereLUT) {
             this.atmosphereLUT.dispose();
         }
+        if (this.postProcess) {
+            this.postProcess.dispose();
+            this.waterPass = null;
+        }
+        this.waterRenderer?.cleanup();
+        this.waterMeshRenderer?.cleanup();
+        for (const sphere of this.planetSpheres.values()) {
+            if (sphere !== this.orbitalSphereRenderer) sphere.dispose();
+        }
+        this.planetSpheres.clear();
         this.masterChunkLoader.cleanupAll();
         this.lightManager.cleanup();
         this.shadowRenderer.cleanup();
+        this.localShadowRenderer?.cleanup();
         this.backend.dispose();
     }
 }
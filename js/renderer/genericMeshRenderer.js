@@ -4,6 +4,7 @@ export class GenericMeshRenderer {
     constructor(backend) {
         this.backend = backend;
         this.meshes = new Map(); // key -> {geometry, material, visible, modelMatrix}
+        this._renderMatrix = new THREE.Matrix4();
     }
 
     addMesh(key, threeJsMesh) {
@@ -48,7 +49,11 @@ export class GenericMeshRenderer {
         this.meshes.delete(key);
     }
 
-    render(viewMatrix, projectionMatrix) {
+    /**
+     * Entry model matrices are world space (double precision on the CPU);
+     * with a FloatingOrigin they are moved into render space before upload.
+     */
+    render(viewMatrix, projectionMatrix, floatingOrigin = null) {
         return;
         for (const [key, entry] of this.meshes) {
             if (!entry.visible) continue;
@@ -62,7 +67,10 @@ export class GenericMeshRenderer {
                     entry.material.uniforms.projectionMatrix.value.copy(projectionMatrix);
                 }
                 if (entry.material.uniforms.modelMatrix) {
-                    entry.material.uniforms.modelMatrix.value.copy(entry.modelMatrix);
+                    const modelMatrix = floatingOrigin
+                        ? floatingOrigin.toRenderMatrix(entry.modelMatrix, this._renderMatrix)
+                        : entry.modelMatrix;
+                    entry.material.uniforms.modelMatrix.value.copy(modelMatrix);
                 }
             }
             
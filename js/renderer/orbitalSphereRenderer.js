@@ -2,6 +2,8 @@ import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.m
 import { Geometry } from '../renderer/resources/geometry.js';
 import { Material } from '../renderer/resources/material.js';
 import { Texture, TextureFormat, TextureFilter } from '../renderer/resources/texture.js';
+import { CubeSphereCoords } from '../planet/cubeSphereCoords.js';
+import { ORBITAL_BAKE_CONFIG } from '../config/orbitalBakeConfig.js';
 
 export class OrbitalSphereRenderer {
     constructor(backend, planetConfig) {
@@ -10,6 +12,7 @@ export class OrbitalSphereRenderer {
         this.geometry = null;
         this.material = null;
         this.planetTexture = null;
+        this.normalTexture = null;
         this.visible = false;
         this.opacity = 0;
         
@@ -30,65 +33,64 @@ export class OrbitalSphereRenderer {
         console.log(`OrbitalSphereRenderer initialized for ${this.config.name}`);
     }
     
+    /**
+     * Cube-sphere grid, one patch per face laid out like the baked maps:
+     * uv.x is the face u in [0, 1] and uv.y is face * 2 + v, so the fragment
+     * shader can recover the face without seams between patches.
+     */
     _createGeometry() {
-        const segments = 64;
+        const segments = ORBITAL_BAKE_CONFIG.meshSegments;
         const radius = this.config.radius;
         
-        const vertexCount = (segments + 1) * (segments + 1);
+        const faceVerts = (segments + 1) * (segments + 1);
+        const vertexCount = faceVerts * 6;
         const positions = new Float32Array(vertexCount * 3);
         const normals = new Float32Array(vertexCount * 3);
         const uvs = new Float32Array(vertexCount * 2);
         
         let vertIndex = 0;
-        for (let y = 0; y <= segments; y++) {
-            const v = y / segments;
-            const phi = v * Math.PI;
-            
-            for (let x = 0; x <= segments; x++) {
-                const u = x / segments;
-                const theta = u * Math.PI * 2;
-                
-                const sinPhi = Math.sin(phi);
-                const cosPhi = Math.cos(phi);
-                const sinTheta = Math.sin(theta);
-                const cosTheta = Math.cos(theta);
-                
-                const px = radius * sinPhi * cosTheta;
-                const py = radius * cosPhi;
-                const pz = radius * sinPhi * sinTheta;
-                
-                positions[vertIndex * 3] = px;
-                positions[vertIndex * 3 + 1] = py;
-                positions[vertIndex * 3 + 2] = pz;
-                
-                normals[vertIndex * 3] = sinPhi * cosTheta;
-                normals[vertIndex * 3 + 1] = cosPhi;
-                normals[vertIndex * 3 + 2] = sinPhi * sinTheta;
-                
-                uvs[vertIndex * 2] = u;
-                uvs[vertIndex * 2 + 1] = 1 - v;
-                
-                vertIndex++;
+        for (let face = 0; face < 6; face++) {
+            for (let y = 0; y <= segments; y++) {
+                const v = y / segments;
+                for (let x = 0; x <= segments; x++) {
+                    const u = x / segments;
+                    const dir = CubeSphereCoords.faceUVToWorldPosition(face, u * 2 - 1, v * 2 - 1, 1);
+                    
+                    positions[vertIndex * 3] = dir.x * radius;
+                    positions[vertIndex * 3 + 1] = dir.y * radius;
+                    positions[vertIndex * 3 + 2] = dir.z * radius;
+                    
+                    normals[vertIndex * 3] = dir.x;
+                    normals[vertIndex * 3 + 1] = dir.y;
+                    normals[vertIndex * 3 + 2] = dir.z;
+                    
+                    uvs[vertIndex * 2] = u;
+                    uvs[vertIndex * 2 + 1] = face * 2 + v;
+                    
+                    vertIndex++;
+                }
             }
         }
         
-        const indexCount = segments * segments * 6;
-        const indices = new Uint32Array(indexCount);
+        const indices = new Uint32Array(segments * segments * 6 * 6);
         let indexOffset = 0;
         
-        for (let y = 0; y < segments; y++) {
-            for (let x = 0; x < segments; x++) {
-                const v00 = y * (segments + 1) + x;
-                const v01 = v00 + 1;
-                const v10 = (y + 1) * (segments + 1) + x;
-                const v11 = v10 + 1;
-                
-                indices[indexOffset++] = v00;
-                indices[indexOffset++] = v10;
-                indices[indexOffset++] = v01;
-                indices[indexOffset++] = v01;
-                indices[indexOffset++] = v10;
-                indices[indexOffset++] = v11;
+        for (let face = 0; face < 6; face++) {
+            const base = face * faceVerts;
+            for (let y = 0; y < segments; y++) {
+                for (let x = 0; x < segments; x++) {
+                    const v00 = base + y * (segments + 1) + x;
+                    const v01 = v00 + 1;
+                    const v10 = v00 + segments + 1;
+                    const v11 = v10 + 1;
+                    
+                    indices[indexOffset++] = v00;
+                    indices[indexOffset++] = v01;
+                    indices[indexOffset++] = v10;
+                    indices[indexOffset++] = v01;
+                    indices[indexOffset++] = v11;
+                    indices[indexOffset++] = v10;
+                }
             }
         }
         
@@ -98,116 +100,199 @@ export class OrbitalSphereRenderer {
         this.geometry.setAttribute('uv', uvs, 2);
         this.geometry.setIndex(indices);
         this.geometry.computeBoundingSphere();
+        
+        this._directions = normals;
+        this._uvs = uvs;
     }
     
-async _createMaterial() {
-    const vertexShader = this._apiName === 'webgpu' 
-        ? this._getWebGPUVertexShader() 
-        : this._getWebGL2VertexShader();
-    const fragmentShader = this._apiName === 'webgpu'
-        ? this._getWebGPUFragmentShader()
-        : this._getWebGL2FragmentShader();
-    
-    let vertexLayout = null;
-    if (this._apiName === 'webgpu') {
-        vertexLayout: [
-            { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
-            { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x3' }] },
-            { arrayStride: 8,  stepMode: 'vertex', attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x2' }] }
-        ]
+    async _createMaterial() {
+        const vertexShader = this._apiName === 'webgpu' 
+            ? this._getWebGPUVertexShader() 
+            : this._getWebGL2VertexShader();
+        const fragmentShader = this._apiName === 'webgpu'
+            ? this._getWebGPUFragmentShader()
+            : this._getWebGL2FragmentShader();
+        
+        this.material = new Material({
+            name: 'OrbitalSphereMaterial',
+            vertexShader,
+            fragmentShader,
+            uniforms: {
+                modelMatrix: { value: new THREE.Matrix4() },
+                viewMatrix: { value: new THREE.Matrix4() },
+                projectionMatrix: { value: new THREE.Matrix4() },
+                planetOrigin: { value: this.config.origin.clone() },
+                planetRadius: { value: this.config.radius },
+                sunDirection: { value: new THREE.Vector3(0.5, 0.5, 0.5).normalize() },
+                opacity: { value: 1.0 },
+                planetTexture: { value: null },
+                planetNormalTexture: { value: null },
+                planetTextureSampler: { value: 'linear' } 
+            },
+            side: 'front',
+            depthTest: true,
+            depthWrite: true,
+            transparent: true
+        });
+        
+        this.material._needsCompile = true;
     }
     
-    this.material = new Material({
-        name: 'OrbitalSphereMaterial',
-        vertexShader,
-        fragmentShader,
-        uniforms: {
-            modelMatrix: { value: new THREE.Matrix4() },
-            viewMatrix: { value: new THREE.Matrix4() },
-            projectionMatrix: { value: new THREE.Matrix4() },
-            planetOrigin: { value: this.config.origin.clone() },
-            planetRadius: { value: this.config.radius },
-            sunDirection: { value: new THREE.Vector3(0.5, 0.5, 0.5).normalize() },
-            opacity: { value: 1.0 },
-            planetTexture: { value: null },
-            planetTextureSampler: { value: 'linear' } 
-            
-        },
-        side: 'back',
-        depthTest: true,
-        depthWrite: true,
-        transparent: true,
-        vertexLayout: vertexLayout  
-    });
-    
-    this.material._needsCompile = true;
-}
-    
+    /**
+     * Stand-in maps in the baked layout until PlanetSurfaceBaker finishes:
+     * a lat/lon pattern and the undisplaced sphere's normals.
+     */
     _createPlaceholderTexture() {
-        const size = 512;
-        const data = new Uint8Array(size * size * 4);
+        const size = ORBITAL_BAKE_CONFIG.faceSize;
+        const data = new Uint8Array(size * size * 6 * 4);
+        const normalData = new Uint8Array(size * size * 6 * 4);
         
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                const i = (y * size + x) * 4;
-                
-                const u = x / size;
-                const v = y / size;
-                
-                const lat = (v - 0.5) * Math.PI;
-                const lon = u * Math.PI * 2;
-                
-                const noise1 = Math.sin(lon * 4) * Math.cos(lat * 4) * 0.5 + 0.5;
-                const noise2 = Math.sin(lon * 8 + 1.5) * Math.cos(lat * 8 + 0.7) * 0.3;
-                const combined = noise1 + noise2;
-                
-                const isOcean = combined < 0.45;
-                const isMountain = combined > 0.7;
-                
-                if (isOcean) {
-                    data[i] = 30;
-                    data[i + 1] = 60;
-                    data[i + 2] = 150;
-                } else if (isMountain) {
-                    const snow = Math.abs(lat) > 1.0 || combined > 0.85;
-                    if (snow) {
-                        data[i] = 240;
-                        data[i + 1] = 240;
-                        data[i + 2] = 240;
+        for (let face = 0; face < 6; face++) {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const i = ((face * size + y) * size + x) * 4;
+                    const dir = CubeSphereCoords.faceUVToWorldPosition(
+                        face, ((x + 0.5) / size) * 2 - 1, ((y + 0.5) / size) * 2 - 1, 1
+                    );
+                    
+                    const lat = Math.asin(dir.y);
+                    const lon = Math.atan2(dir.z, dir.x);
+                    
+                    const noise1 = Math.sin(lon * 4) * Math.cos(lat * 4) * 0.5 + 0.5;
+                    const noise2 = Math.sin(lon * 8 + 1.5) * Math.cos(lat * 8 + 0.7) * 0.3;
+                    const combined = noise1 + noise2;
+                    
+                    const isOcean = combined < 0.45;
+                    const isMountain = combined > 0.7;
+                    
+                    if (isOcean) {
+                        data[i] = 30;
+                        data[i + 1] = 60;
+                        data[i + 2] = 150;
+                    } else if (isMountain) {
+                        const snow = Math.abs(lat) > 1.0 || combined > 0.85;
+                        if (snow) {
+                            data[i] = 240;
+                            data[i + 1] = 240;
+                            data[i + 2] = 240;
+                        } else {
+                            data[i] = 100;
+                            data[i + 1] = 80;
+                            data[i + 2] = 60;
+                        }
                     } else {
-                        data[i] = 100;
-                        data[i + 1] = 80;
-                        data[i + 2] = 60;
+                        const green = 80 + combined * 80;
+                        data[i] = 50;
+                        data[i + 1] = green;
+                        data[i + 2] = 30;
                     }
-                } else {
-                    const green = 80 + combined * 80;
-                    data[i] = 50;
-                    data[i + 1] = green;
-                    data[i + 2] = 30;
+                    data[i + 3] = 255;
+                    
+                    normalData[i] = Math.round((dir.x * 0.5 + 0.5) * 255);
+                    normalData[i + 1] = Math.round((dir.y * 0.5 + 0.5) * 255);
+                    normalData[i + 2] = Math.round((dir.z * 0.5 + 0.5) * 255);
+                    normalData[i + 3] = 255;
                 }
-                data[i + 3] = 255;
             }
         }
         
-        this.planetTexture = new Texture({
+        const createMap = (mapData) => new Texture({
             width: size,
-            height: size,
+            height: size * 6,
             format: TextureFormat.RGBA8,
             minFilter: TextureFilter.LINEAR,
             magFilter: TextureFilter.LINEAR,
-            data: data
+            generateMipmaps: false,
+            data: mapData
         });
         
-        this.backend.createTexture(this.planetTexture);
-        this.material.uniforms.planetTexture.value = this.planetTexture;
+        this.setPlanetTexture({ albedo: createMap(data), normal: createMap(normalData) });
     }
     
-    setPlanetTexture(texture) {
-        if (this.planetTexture && this.planetTexture !== texture) {
-            this.backend.deleteTexture(this.planetTexture);
+    /**
+     * Accepts PlanetSurfaceBaker output ({ albedo, normal, height, faceSize,
+     * seaLevel }) or a bare albedo texture in the same stacked-face layout.
+     * A height map displaces the mesh so it lines up with the terrain it
+     * replaces during the high-to-orbital transition.
+     */
+    setPlanetTexture(maps) {
+        if (maps instanceof Texture) {
+            maps = { albedo: maps };
+        }
+        
+        if (maps.albedo) {
+            this.planetTexture = this._replaceTexture(this.planetTexture, maps.albedo);
+            this.material.uniforms.planetTexture.value = this.planetTexture;
+        }
+        if (maps.normal) {
+            this.normalTexture = this._replaceTexture(this.normalTexture, maps.normal);
+            this.material.uniforms.planetNormalTexture.value = this.normalTexture;
+        }
+        if (maps.height?.data) {
+            this._displace(maps.height.data, maps.faceSize, maps.seaLevel || 0);
         }
-        this.planetTexture = texture;
-        this.material.uniforms.planetTexture.value = texture;
+    }
+    
+    _replaceTexture(current, texture) {
+        if (current && current !== texture) {
+            this.backend.deleteTexture(current);
+        }
+        if (!texture._gpuTexture) {
+            this.backend.createTexture(texture);
+        }
+        return texture;
+    }
+    
+    /**
+     * Move each vertex to radius + bilinear height (water held at sea level).
+     * Vertices on shared face edges are averaged so the patches stay closed.
+     */
+    _displace(heights, faceSize, seaLevel) {
+        const radius = this.config.radius;
+        const dirs = this._directions;
+        const uvs = this._uvs;
+        const vertexCount = dirs.length / 3;
+        const radii = new Float32Array(vertexCount);
+        
+        const texel = (face, x, y) => heights[(face * faceSize + y) * faceSize + x];
+        for (let i = 0; i < vertexCount; i++) {
+            const face = Math.floor(uvs[i * 2 + 1] * 0.5);
+            const fx = Math.min(Math.max(uvs[i * 2] * faceSize - 0.5, 0), faceSize - 1);
+            const fy = Math.min(Math.max((uvs[i * 2 + 1] - face * 2) * faceSize - 0.5, 0), faceSize - 1);
+            const x0 = Math.floor(fx), y0 = Math.floor(fy);
+            const x1 = Math.min(x0 + 1, faceSize - 1), y1 = Math.min(y0 + 1, faceSize - 1);
+            const tx = fx - x0, ty = fy - y0;
+            
+            const h0 = texel(face, x0, y0) * (1 - tx) + texel(face, x1, y0) * tx;
+            const h1 = texel(face, x0, y1) * (1 - tx) + texel(face, x1, y1) * tx;
+            radii[i] = radius + Math.max(h0 * (1 - ty) + h1 * ty, seaLevel);
+        }
+        
+        const shared = new Map();
+        const keyOf = (i) => Math.round(dirs[i * 3] * 1e5) + ',' +
+            Math.round(dirs[i * 3 + 1] * 1e5) + ',' + Math.round(dirs[i * 3 + 2] * 1e5);
+        for (let i = 0; i < vertexCount; i++) {
+            const key = keyOf(i);
+            const entry = shared.get(key);
+            if (entry) {
+                entry.sum += radii[i];
+                entry.count++;
+            } else {
+                shared.set(key, { sum: radii[i], count: 1 });
+            }
+        }
+        
+        const positions = new Float32Array(vertexCount * 3);
+        for (let i = 0; i < vertexCount; i++) {
+            const entry = shared.get(keyOf(i));
+            const r = entry.sum / entry.count;
+            positions[i * 3] = dirs[i * 3] * r;
+            positions[i * 3 + 1] = dirs[i * 3 + 1] * r;
+            positions[i * 3 + 2] = dirs[i * 3 + 2] * r;
+        }
+        
+        this.geometry.setAttribute('position', positions, 3);
+        this.geometry.computeBoundingSphere();
     }
     
     update(camera, sunDirection, altitudeZoneManager) {
@@ -221,13 +306,43 @@ async _createMaterial() {
         this.material.uniforms.sunDirection.value.copy(sunDirection).normalize();
         this.material.uniforms.opacity.value = this.opacity;
         
-        const modelMatrix = new THREE.Matrix4();
-        modelMatrix.makeTranslation(
-            this.config.origin.x,
-            this.config.origin.y,
-            this.config.origin.z
-        );
-        this.material.uniforms.modelMatrix.value.copy(modelMatrix);
+        const center = this._getRenderCenter(camera);
+        this.material.uniforms.modelMatrix.value.makeTranslation(center.x, center.y, center.z);
+    }
+
+    /**
+     * Planet origin relative to the camera's floating origin (render space).
+     */
+    _getRenderCenter(camera) {
+        const center = new THREE.Vector3().copy(this.config.origin);
+        if (camera.renderOrigin) center.sub(camera.renderOrigin);
+        return center;
+    }
+    
+    /**
+     * Show this planet as a distant impostor while another planet is active
+     * (no altitude zone blending). A planet beyond half the far plane is
+     * pulled in along the view ray and scaled down by the same factor, so its
+     * apparent size is unchanged and it stays inside the depth range.
+     */
+    updateImpostor(camera, sunDirection) {
+        this.visible = true;
+        this.opacity = 1.0;
+
+        this.material.uniforms.viewMatrix.value.copy(camera.matrixWorldInverse);
+        this.material.uniforms.projectionMatrix.value.copy(camera.projectionMatrix);
+        this.material.uniforms.sunDirection.value.copy(sunDirection).normalize();
+        this.material.uniforms.opacity.value = 1.0;
+
+        const offset = this._getRenderCenter(camera).sub(camera.position);
+        const distance = offset.length();
+        const maxDistance = camera.far * 0.5;
+        const scale = distance > maxDistance ? maxDistance / distance : 1.0;
+        offset.multiplyScalar(scale).add(camera.position);
+
+        this.material.uniforms.modelMatrix.value
+            .makeScale(scale, scale, scale)
+            .setPosition(offset);
     }
     
     render() {
@@ -290,6 +405,7 @@ fn main(input: VertexInput) -> VertexOutput {
     @group(0) @binding(1) var<uniform> fragUniforms: FragmentUniforms;
     @group(1) @binding(0) var planetTexture: texture_2d<f32>;
     @group(1) @binding(1) var textureSampler: sampler;
+    @group(1) @binding(2) var planetNormalTexture: texture_2d<f32>;
     
     struct VertexOutput {
         @builtin(position) clipPosition: vec4<f32>,
@@ -298,11 +414,23 @@ fn main(input: VertexInput) -> VertexOutput {
         @location(2) vWorldPosition: vec3<f32>,
     }
     
+    // Mesh uv (u, face * 2 + v) to the six faces stacked along v, kept half a
+    // texel inside the face so filtering never reads the neighbouring one
+    fn faceLayoutUV(uv: vec2<f32>) -> vec2<f32> {
+        let faceSize = f32(textureDimensions(planetTexture).x);
+        let face = floor(uv.y * 0.5);
+        let inset = 0.5 / faceSize;
+        let faceUV = clamp(vec2<f32>(uv.x, uv.y - face * 2.0), vec2<f32>(inset), vec2<f32>(1.0 - inset));
+        return vec2<f32>(faceUV.x, (face + faceUV.y) / 6.0);
+    }
+    
     @fragment
     fn main(input: VertexOutput) -> @location(0) vec4<f32> {
-        let baseColor = textureSample(planetTexture, textureSampler, input.vUv).rgb;
+        let uv = faceLayoutUV(input.vUv);
+        let baseColor = textureSample(planetTexture, textureSampler, uv).rgb;
+        let bakedNormal = textureSample(planetNormalTexture, textureSampler, uv).xyz * 2.0 - 1.0;
         
-        let normal = normalize(input.vNormal);
+        let normal = normalize(bakedNormal);
         let NdotL = max(dot(normal, fragUniforms.sunDirection), 0.0);
         
         let ambient = 0.1;
@@ -351,6 +479,7 @@ precision highp float;
 uniform vec3 sunDirection;
 uniform float opacity;
 uniform sampler2D planetTexture;
+uniform sampler2D planetNormalTexture;
 
 in vec2 vUv;
 in vec3 vNormal;
@@ -358,10 +487,21 @@ in vec3 vWorldPosition;
 
 out vec4 fragColor;
 
+// See the WGSL faceLayoutUV
+vec2 faceLayoutUV(vec2 uv) {
+    float faceSize = float(textureSize(planetTexture, 0).x);
+    float face = floor(uv.y * 0.5);
+    float inset = 0.5 / faceSize;
+    vec2 faceUV = clamp(vec2(uv.x, uv.y - face * 2.0), vec2(inset), vec2(1.0 - inset));
+    return vec2(faceUV.x, (face + faceUV.y) / 6.0);
+}
+
 void main() {
-    vec3 baseColor = texture(planetTexture, vUv).rgb;
+    vec2 layoutUV = faceLayoutUV(vUv);
+    vec3 baseColor = texture(planetTexture, layoutUV).rgb;
+    vec3 bakedNormal = texture(planetNormalTexture, layoutUV).xyz * 2.0 - 1.0;
     
-    vec3 normal = normalize(vNormal);
+    vec3 normal = normalize(bakedNormal);
     float NdotL = max(dot(normal, sunDirection), 0.0);
     
     float ambient = 0.1;
@@ -385,5 +525,8 @@ void main() {
         if (this.planetTexture) {
             this.backend.deleteTexture(this.planetTexture);
         }
+        if (this.normalTexture) {
+            this.backend.deleteTexture(this.normalTexture);
+        }
     }
 }
@@ -18,8 +18,12 @@ export class InstancedParticleSystem {
         this._position = new THREE.Vector3();
         this._quaternion = new THREE.Quaternion();
         this._scale = new THREE.Vector3();
-        this._cameraWorldPos = new THREE.Vector3();
+        this._cameraRenderPos = new THREE.Vector3();
         this._toBillboard = new THREE.Vector3();
+
+        // Particle positions are simulated in world space; instance matrices
+        // are written relative to the renderer's floating origin
+        this.renderOrigin = new THREE.Vector3();
         
         console.log('InstancedParticleSystem initialized');
     }
@@ -141,9 +145,17 @@ export class InstancedParticleSystem {
         return emitter;
     }
     
+    setRenderOrigin(origin) {
+        this.renderOrigin.copy(origin);
+    }
+
+    _toRender(worldPosition) {
+        return this._position.subVectors(worldPosition, this.renderOrigin);
+    }
+
     update(deltaTime) {
-        // Update camera position for billboarding
-        this.camera.getWorldPosition(this._cameraWorldPos);
+        // Update camera position for billboarding (the camera renders in render space)
+        this.camera.getWorldPosition(this._cameraRenderPos);
         
         for (const [name, emitter] of this.emitters) {
             this.updateEmitter(emitter, deltaTime);
@@ -158,7 +170,7 @@ export class InstancedParticleSystem {
         
         // Update material uniforms
         mesh.material.uniforms.time.value = emitter.time;
-        mesh.material.uniforms.cameraPosition.value.copy(this._cameraWorldPos);
+        mesh.material.uniforms.cameraPosition.value.copy(this._cameraRenderPos);
         
         // Initialize persistent particles once
         if (config.persistent && !emitter.initialized) {
@@ -207,7 +219,7 @@ export class InstancedParticleSystem {
                     if (p.lifetime <= 0) {
                         p.active = false;
                         this._scale.set(0, 0, 0);
-                        this._matrix.compose(p.position, this._quaternion, this._scale);
+                        this._matrix.compose(this._toRender(p.position), this._quaternion, this._scale);
                         mesh.setMatrixAt(i, this._matrix);
                         continue;
                     }
@@ -262,7 +274,7 @@ export class InstancedParticleSystem {
                 // Build matrix
                 if (config.billboard) {
                     // Billboard: always face camera
-                    this._toBillboard.subVectors(this._cameraWorldPos, p.position).normalize();
+                    this._toBillboard.subVectors(this._cameraRenderPos, this._toRender(p.position)).normalize();
                     this._quaternion.setFromUnitVectors(
                         new THREE.Vector3(0, 0, 1),
                         this._toBillboard
@@ -272,7 +284,7 @@ export class InstancedParticleSystem {
                 }
                 
                 this._scale.set(scale, scale, scale);
-                this._matrix.compose(p.position, this._quaternion, this._scale);
+                this._matrix.compose(this._toRender(p.position), this._quaternion, this._scale);
                 mesh.setMatrixAt(i, this._matrix);
                 
                 // Update attributes
@@ -288,7 +300,7 @@ export class InstancedParticleSystem {
             } else {
                 // Hide inactive
                 this._scale.set(0, 0, 0);
-                this._matrix.compose(p.position, this._quaternion, this._scale);
+                this._matrix.compose(this._toRender(p.position), this._quaternion, this._scale);
                 mesh.setMatrixAt(i, this._matrix);
             }
         }
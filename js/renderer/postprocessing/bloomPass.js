@@ -0,0 +1,170 @@
+// js/renderer/postprocessing/bloomPass.js
+// HDR bloom: soft-threshold bright areas into a half-resolution target,
+// separable Gaussian blur, then add back onto the input.
+
+import { PostProcessPass } from './postProcessPass.js';
+import { RenderTarget } from '../resources/renderTarget.js';
+import { TextureFormat, TextureFilter } from '../resources/texture.js';
+
+const BLUR_GLSL = `
+void main() {
+    vec2 stepUv = direction.xy * texelSize.xy * radius;
+    vec3 color = texture(inputTexture, vUv).rgb * 0.2270270;
+    color += texture(inputTexture, vUv + stepUv * 1.3846154).rgb * 0.3162162;
+    color += texture(inputTexture, vUv - stepUv * 1.3846154).rgb * 0.3162162;
+    color += texture(inputTexture, vUv + stepUv * 3.2307692).rgb * 0.0702703;
+    color += texture(inputTexture, vUv - stepUv * 3.2307692).rgb * 0.0702703;
+    fragColor = vec4(color, 1.0);
+}
+`;
+
+const BLUR_WGSL = `
+fn blurSample(uv: vec2<f32>) -> vec3<f32> {
+    return textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb;
+}
+
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    let stepUv = params.direction.xy * params.texelSize.xy * params.radius;
+    var color = blurSample(uv) * 0.2270270;
+    color += blurSample(uv + stepUv * 1.3846154) * 0.3162162;
+    color += blurSample(uv - stepUv * 1.3846154) * 0.3162162;
+    color += blurSample(uv + stepUv * 3.2307692) * 0.0702703;
+    color += blurSample(uv - stepUv * 3.2307692) * 0.0702703;
+    return vec4<f32>(color, 1.0);
+}
+`;
+
+export class BloomPass extends PostProcessPass {
+    constructor(options = {}) {
+        super(options.name || 'bloom', options);
+        this.threshold = options.threshold ?? 1.0;
+        this.knee = options.knee ?? 0.5;
+        this.strength = options.strength ?? 0.3;
+        this.radius = options.radius ?? 1.0;
+        this.iterations = options.iterations ?? 2;
+
+        this.targetA = null;
+        this.targetB = null;
+    }
+
+    initialize(graph) {
+        super.initialize(graph);
+        this._createTargets(graph.width, graph.height);
+
+        this.thresholdMaterial = this.createMaterial('BloomThreshold', {
+            params: { threshold: 1.0, knee: 0.5 },
+            glsl: `
+void main() {
+    // 4-tap box downsample to half resolution
+    vec2 o = texelSize.xy * 0.5;
+    vec3 color = 0.25 * (texture(inputTexture, vUv + vec2(-o.x, -o.y)).rgb +
+                         texture(inputTexture, vUv + vec2(o.x, -o.y)).rgb +
+                         texture(inputTexture, vUv + vec2(-o.x, o.y)).rgb +
+                         texture(inputTexture, vUv + vec2(o.x, o.y)).rgb);
+    float brightness = max(color.r, max(color.g, color.b));
+    float soft = clamp(brightness - threshold + knee, 0.0, 2.0 * knee);
+    soft = soft * soft / (4.0 * knee + 1e-4);
+    float contribution = max(soft, brightness - threshold) / max(brightness, 1e-4);
+    fragColor = vec4(color * contribution, 1.0);
+}
+`,
+            wgsl: `
+fn thresholdSample(uv: vec2<f32>) -> vec3<f32> {
+    return textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb;
+}
+
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    let o = params.texelSize.xy * 0.5;
+    let color = 0.25 * (thresholdSample(uv + vec2<f32>(-o.x, -o.y)) +
+                        thresholdSample(uv + vec2<f32>(o.x, -o.y)) +
+                        thresholdSample(uv + vec2<f32>(-o.x, o.y)) +
+                        thresholdSample(uv + vec2<f32>(o.x, o.y)));
+    let brightness = max(color.r, max(color.g, color.b));
+    var soft = clamp(brightness - params.threshold + params.knee, 0.0, 2.0 * params.knee);
+    soft = soft * soft / (4.0 * params.knee + 1e-4);
+    let contribution = max(soft, brightness - params.threshold) / max(brightness, 1e-4);
+    return vec4<f32>(color * contribution, 1.0);
+}
+`
+        });
+
+        // Same shader twice; each direction keeps its own uniform buffer
+        const blurParams = { direction: [1, 0, 0, 0], radius: 1.0 };
+        this.blurMaterialH = this.createMaterial('BloomBlur', { params: blurParams, glsl: BLUR_GLSL, wgsl: BLUR_WGSL });
+        this.blurMaterialV = this.createMaterial('BloomBlur', { params: blurParams, glsl: BLUR_GLSL, wgsl: BLUR_WGSL });
+
+        this.compositeMaterial = this.createMaterial('BloomComposite', {
+            params: { strength: 0.3 },
+            textures: ['inputTexture', 'bloomTexture'],
+            glsl: `
+void main() {
+    vec3 scene = texture(inputTexture, vUv).rgb;
+    vec3 bloom = texture(bloomTexture, vUv).rgb;
+    fragColor = vec4(scene + bloom * strength, 1.0);
+}
+`,
+            wgsl: `
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    let scene = textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb;
+    let bloom = textureSampleLevel(bloomTexture, bloomTextureSampler, uv, 0.0).rgb;
+    return vec4<f32>(scene + bloom * params.strength, 1.0);
+}
+`
+        });
+    }
+
+    _createTargets(width, height) {
+        const options = {
+            format: TextureFormat.RGBA16F,
+            minFilter: TextureFilter.LINEAR,
+            magFilter: TextureFilter.LINEAR,
+            depthBuffer: false
+        };
+        const w = Math.max(1, Math.floor(width / 2));
+        const h = Math.max(1, Math.floor(height / 2));
+        this.targetA = new RenderTarget(w, h, options);
+        this.targetB = new RenderTarget(w, h, options);
+    }
+
+    resize(width, height) {
+        const w = Math.max(1, Math.floor(width / 2));
+        const h = Math.max(1, Math.floor(height / 2));
+        this.targetA.setSize(w, h);
+        this.targetB.setSize(w, h);
+    }
+
+    render(input, output) {
+        this.drawMaterial(this.thresholdMaterial, this.targetA, {
+            textures: { inputTexture: input },
+            params: { threshold: this.threshold, knee: Math.max(this.knee, 1e-4) }
+        });
+
+        for (let i = 0; i < this.iterations; i++) {
+            this.drawMaterial(this.blurMaterialH, this.targetB, {
+                textures: { inputTexture: this.targetA.texture },
+                params: { direction: [1, 0, 0, 0], radius: this.radius }
+            });
+            this.drawMaterial(this.blurMaterialV, this.targetA, {
+                textures: { inputTexture: this.targetB.texture },
+                params: { direction: [0, 1, 0, 0], radius: this.radius }
+            });
+        }
+
+        this.drawMaterial(this.compositeMaterial, output, {
+            textures: { inputTexture: input, bloomTexture: this.targetA.texture },
+            params: { strength: this.strength }
+        });
+    }
+
+    dispose() {
+        super.dispose();
+        for (const target of [this.targetA, this.targetB]) {
+            if (target) this.graph?.disposeTarget(target);
+        }
+        this.targetA = null;
+        this.targetB = null;
+    }
+}
@@ -0,0 +1,65 @@
+// js/renderer/postprocessing/colorGradingPass.js
+// Lift/gamma/gain plus saturation and contrast. Runs after tonemapping.
+
+import { PostProcessPass } from './postProcessPass.js';
+
+export class ColorGradingPass extends PostProcessPass {
+    constructor(options = {}) {
+        super(options.name || 'colorGrading', options);
+        // RGB triplets; alpha unused
+        this.lift = options.lift ?? [0, 0, 0, 0];
+        this.gammaRGB = options.gammaRGB ?? [1, 1, 1, 0];
+        this.gain = options.gain ?? [1, 1, 1, 0];
+        this.saturation = options.saturation ?? 1.0;
+        this.contrast = options.contrast ?? 1.0;
+    }
+
+    initialize(graph) {
+        super.initialize(graph);
+        this.material = this.createMaterial('ColorGrading', {
+            params: {
+                lift: [0, 0, 0, 0],
+                gammaRGB: [1, 1, 1, 0],
+                gain: [1, 1, 1, 0],
+                saturation: 1.0,
+                contrast: 1.0
+            },
+            glsl: `
+void main() {
+    vec3 color = texture(inputTexture, vUv).rgb;
+    color = gain.rgb * (color + lift.rgb * (1.0 - color));
+    color = pow(max(color, vec3(0.0)), 1.0 / max(gammaRGB.rgb, vec3(0.001)));
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    color = mix(vec3(luma), color, saturation);
+    color = (color - 0.5) * contrast + 0.5;
+    fragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}
+`,
+            wgsl: `
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    var color = textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb;
+    color = params.gain.rgb * (color + params.lift.rgb * (1.0 - color));
+    color = pow(max(color, vec3<f32>(0.0)), 1.0 / max(params.gammaRGB.rgb, vec3<f32>(0.001)));
+    let luma = dot(color, vec3<f32>(0.2126, 0.7152, 0.0722));
+    color = mix(vec3<f32>(luma), color, params.saturation);
+    color = (color - 0.5) * params.contrast + 0.5;
+    return vec4<f32>(clamp(color, vec3<f32>(0.0), vec3<f32>(1.0)), 1.0);
+}
+`
+        });
+    }
+
+    render(input, output) {
+        this.drawMaterial(this.material, output, {
+            textures: { inputTexture: input },
+            params: {
+                lift: this.lift,
+                gammaRGB: this.gammaRGB,
+                gain: this.gain,
+                saturation: this.saturation,
+                contrast: this.contrast
+            }
+        });
+    }
+}
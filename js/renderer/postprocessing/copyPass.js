@@ -0,0 +1,32 @@
+// js/renderer/postprocessing/copyPass.js
+// Straight copy. PostProcessGraph uses it to present the scene when no
+// other pass is enabled.
+
+import { PostProcessPass } from './postProcessPass.js';
+
+export class CopyPass extends PostProcessPass {
+    constructor(options = {}) {
+        super(options.name || 'copy', options);
+    }
+
+    initialize(graph) {
+        super.initialize(graph);
+        this.material = this.createMaterial('Copy', {
+            glsl: `
+void main() {
+    fragColor = vec4(texture(inputTexture, vUv).rgb, 1.0);
+}
+`,
+            wgsl: `
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    return vec4<f32>(textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb, 1.0);
+}
+`
+        });
+    }
+
+    render(input, output) {
+        this.drawMaterial(this.material, output, { textures: { inputTexture: input } });
+    }
+}
@@ -0,0 +1,99 @@
+// js/renderer/postprocessing/fxaaPass.js
+// FXAA (the compact console-style variant). Expects display-range input, so
+// it should run after tonemapping.
+
+import { PostProcessPass } from './postProcessPass.js';
+
+export class FXAAPass extends PostProcessPass {
+    constructor(options = {}) {
+        super(options.name || 'fxaa', options);
+        this.spanMax = options.spanMax ?? 8.0;
+        this.reduceMul = options.reduceMul ?? 1.0 / 8.0;
+        this.reduceMin = options.reduceMin ?? 1.0 / 128.0;
+    }
+
+    initialize(graph) {
+        super.initialize(graph);
+        this.material = this.createMaterial('FXAA', {
+            params: { spanMax: 8.0, reduceMul: 0.125, reduceMin: 0.0078125 },
+            glsl: `
+float fxaaLuma(vec3 c) {
+    return dot(c, vec3(0.299, 0.587, 0.114));
+}
+
+void main() {
+    vec2 texel = texelSize.xy;
+    vec3 rgbNW = texture(inputTexture, vUv + vec2(-1.0, -1.0) * texel).rgb;
+    vec3 rgbNE = texture(inputTexture, vUv + vec2(1.0, -1.0) * texel).rgb;
+    vec3 rgbSW = texture(inputTexture, vUv + vec2(-1.0, 1.0) * texel).rgb;
+    vec3 rgbSE = texture(inputTexture, vUv + vec2(1.0, 1.0) * texel).rgb;
+    vec3 rgbM = texture(inputTexture, vUv).rgb;
+
+    float lumaNW = fxaaLuma(rgbNW);
+    float lumaNE = fxaaLuma(rgbNE);
+    float lumaSW = fxaaLuma(rgbSW);
+    float lumaSE = fxaaLuma(rgbSE);
+    float lumaM = fxaaLuma(rgbM);
+    float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+    float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+    vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+    float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * reduceMul, reduceMin);
+    float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+    dir = clamp(dir * rcpDirMin, vec2(-spanMax), vec2(spanMax)) * texel;
+
+    vec3 rgbA = 0.5 * (texture(inputTexture, vUv + dir * (1.0 / 3.0 - 0.5)).rgb +
+                       texture(inputTexture, vUv + dir * (2.0 / 3.0 - 0.5)).rgb);
+    vec3 rgbB = rgbA * 0.5 + 0.25 * (texture(inputTexture, vUv - dir * 0.5).rgb +
+                                     texture(inputTexture, vUv + dir * 0.5).rgb);
+    float lumaB = fxaaLuma(rgbB);
+    fragColor = vec4((lumaB < lumaMin || lumaB > lumaMax) ? rgbA : rgbB, 1.0);
+}
+`,
+            wgsl: `
+fn fxaaLuma(c: vec3<f32>) -> f32 {
+    return dot(c, vec3<f32>(0.299, 0.587, 0.114));
+}
+
+fn fxaaSample(uv: vec2<f32>) -> vec3<f32> {
+    return textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb;
+}
+
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    let texel = params.texelSize.xy;
+    let rgbNW = fxaaSample(uv + vec2<f32>(-1.0, -1.0) * texel);
+    let rgbNE = fxaaSample(uv + vec2<f32>(1.0, -1.0) * texel);
+    let rgbSW = fxaaSample(uv + vec2<f32>(-1.0, 1.0) * texel);
+    let rgbSE = fxaaSample(uv + vec2<f32>(1.0, 1.0) * texel);
+    let rgbM = fxaaSample(uv);
+
+    let lumaNW = fxaaLuma(rgbNW);
+    let lumaNE = fxaaLuma(rgbNE);
+    let lumaSW = fxaaLuma(rgbSW);
+    let lumaSE = fxaaLuma(rgbSE);
+    let lumaM = fxaaLuma(rgbM);
+    let lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+    let lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+    var dir = vec2<f32>(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+    let dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * params.reduceMul, params.reduceMin);
+    let rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+    dir = clamp(dir * rcpDirMin, vec2<f32>(-params.spanMax), vec2<f32>(params.spanMax)) * texel;
+
+    let rgbA = 0.5 * (fxaaSample(uv + dir * (1.0 / 3.0 - 0.5)) + fxaaSample(uv + dir * (2.0 / 3.0 - 0.5)));
+    let rgbB = rgbA * 0.5 + 0.25 * (fxaaSample(uv - dir * 0.5) + fxaaSample(uv + dir * 0.5));
+    let lumaB = fxaaLuma(rgbB);
+    return vec4<f32>(select(rgbB, rgbA, lumaB < lumaMin || lumaB > lumaMax), 1.0);
+}
+`
+        });
+    }
+
+    render(input, output) {
+        this.drawMaterial(this.material, output, {
+            textures: { inputTexture: input },
+            params: { spanMax: this.spanMax, reduceMul: this.reduceMul, reduceMin: this.reduceMin }
+        });
+    }
+}
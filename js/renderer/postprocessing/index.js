@@ -0,0 +1,8 @@
+export { PostProcessGraph } from './postProcessGraph.js';
+export { PostProcessPass } from './postProcessPass.js';
+export { CopyPass } from './copyPass.js';
+export { WaterPass } from './waterPass.js';
+export { BloomPass } from './bloomPass.js';
+export { TonemapPass, TonemapOperator } from './tonemapPass.js';
+export { ColorGradingPass } from './colorGradingPass.js';
+export { FXAAPass } from './fxaaPass.js';
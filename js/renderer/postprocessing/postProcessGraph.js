@@ -0,0 +1,199 @@
+// js/renderer/postprocessing/postProcessGraph.js
+// HDR post-process chain on the Backend abstraction (WebGL2 and WebGPU).
+// The scene is rendered into an RGBA16F target via beginScene(); render()
+// then runs the enabled passes in order through ping-pong targets, with the
+// last one writing the swapchain. Passes can be toggled and reordered
+// between frames.
+
+import { RenderTarget } from '../resources/renderTarget.js';
+import { TextureFormat, TextureFilter } from '../resources/texture.js';
+import { Geometry } from '../resources/geometry.js';
+import { CopyPass } from './copyPass.js';
+
+export class PostProcessGraph {
+    constructor(backend, width, height) {
+        this.backend = backend;
+        this.width = Math.max(1, width);
+        this.height = Math.max(1, height);
+        this.enabled = true;
+
+        this.passes = [];
+
+        this.sceneTarget = new RenderTarget(this.width, this.height, {
+            format: TextureFormat.RGBA16F,
+            minFilter: TextureFilter.LINEAR,
+            magFilter: TextureFilter.LINEAR,
+            depthBuffer: true
+        });
+        this.pingPong = [0, 1].map(() => new RenderTarget(this.width, this.height, {
+            format: TextureFormat.RGBA16F,
+            minFilter: TextureFilter.LINEAR,
+            magFilter: TextureFilter.LINEAR,
+            depthBuffer: false
+        }));
+
+        this.fullscreenGeometry = this._createFullscreenTriangle();
+
+        // Presents the scene when every pass is disabled
+        this.copyPass = new CopyPass();
+        this.copyPass.initialize(this);
+    }
+
+    _createFullscreenTriangle() {
+        const geometry = new Geometry();
+        geometry.setAttribute('position', new Float32Array([-1, -1, 0, 3, -1, 0, -1, 3, 0]), 3);
+        geometry.setAttribute('normal', new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1]), 3);
+        geometry.setAttribute('uv', new Float32Array([0, 0, 2, 0, 0, 2]), 2);
+        return geometry;
+    }
+
+    /**
+     * HDR colour of the scene rendered since beginScene().
+     */
+    get sceneTexture() {
+        return this.sceneTarget.texture;
+    }
+
+    get sceneDepthTexture() {
+        return this.sceneTarget.depthAttachment;
+    }
+
+    addPass(pass, index = this.passes.length) {
+        if (this.getPass(pass.name)) {
+            throw new Error(`PostProcessGraph: duplicate pass name "${pass.name}"`);
+        }
+        pass.initialize(this);
+        this.passes.splice(index, 0, pass);
+        return pass;
+    }
+
+    removePass(name) {
+        const index = this.passes.findIndex(p => p.name === name);
+        if (index === -1) return null;
+        const [pass] = this.passes.splice(index, 1);
+        pass.dispose();
+        return pass;
+    }
+
+    getPass(name) {
+        return this.passes.find(p => p.name === name) || null;
+    }
+
+    setPassEnabled(name, enabled) {
+        const pass = this.getPass(name);
+        if (pass) pass.enabled = enabled;
+        return pass;
+    }
+
+    /**
+     * Move a pass to a new position in the chain.
+     */
+    movePass(name, index) {
+        const from = this.passes.findIndex(p => p.name === name);
+        if (from === -1) return false;
+        const [pass] = this.passes.splice(from, 1);
+        this.passes.splice(Math.max(0, Math.min(index, this.passes.length)), 0, pass);
+        return true;
+    }
+
+    /**
+     * Reorder by name. Passes not listed keep their relative order at the end.
+     */
+    setOrder(names) {
+        const ordered = names.map(name => this.getPass(name)).filter(Boolean);
+        const rest = this.passes.filter(p => !ordered.includes(p));
+        this.passes = [...ordered, ...rest];
+    }
+
+    getOrder() {
+        return this.passes.map(p => p.name);
+    }
+
+    resize(width, height) {
+        width = Math.max(1, width);
+        height = Math.max(1, height);
+        if (width === this.width && height === this.height) return;
+
+        this.width = width;
+        this.height = height;
+        this.sceneTarget.setSize(width, height);
+        for (const target of this.pingPong) target.setSize(width, height);
+        for (const pass of this.passes) pass.resize(width, height);
+        this.copyPass.resize(width, height);
+        console.log(`[PostProcessGraph] Resized to ${width}x${height}`);
+    }
+
+    /**
+     * Bind the HDR scene target. The caller clears and draws the scene.
+     */
+    beginScene() {
+        const canvas = this.backend.canvas;
+        if (canvas && (canvas.width !== this.width || canvas.height !== this.height)) {
+            this.resize(canvas.width, canvas.height);
+        }
+        this.backend.setRenderTarget(this.sceneTarget);
+        this.backend.setViewport(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Run the enabled passes and present the result.
+     * @param {Object} context - extra per-frame data handed to every pass
+     */
+    render(context = {}) {
+        const passContext = {
+            ...context,
+            graph: this,
+            sceneTexture: this.sceneTexture,
+            sceneDepthTexture: this.sceneDepthTexture
+        };
+
+        const active = this.passes.filter(p => p.enabled);
+        if (active.length === 0) {
+            this.copyPass.render(this.sceneTexture, null, passContext);
+            return;
+        }
+
+        let input = this.sceneTexture;
+        let ping = 0;
+        active.forEach((pass, i) => {
+            const output = i === active.length - 1 ? null : this.pingPong[ping];
+            pass.render(input, output, passContext);
+            if (output) {
+                input = output.texture;
+                ping = 1 - ping;
+            }
+        });
+    }
+
+    /**
+     * Draw a fullscreen material into `target` (null = swapchain).
+     */
+    drawFullscreen(material, target) {
+        this.backend.setRenderTarget(target);
+        if (target) {
+            this.backend.setViewport(0, 0, target.width, target.height);
+        } else {
+            this.backend.setViewport(0, 0, this.width, this.height);
+        }
+        this.backend.clear(true, false, false);
+        this.backend.draw(this.fullscreenGeometry, material);
+    }
+
+    /**
+     * Release a target created by a pass or by the graph.
+     */
+    disposeTarget(target) {
+        this.backend.deleteRenderTarget(target);
+        for (const texture of target.colorAttachments) this.backend.deleteTexture(texture);
+        if (target.depthAttachment) this.backend.deleteTexture(target.depthAttachment);
+        target.dispose();
+    }
+
+    dispose() {
+        for (const pass of this.passes) pass.dispose();
+        this.passes = [];
+        this.copyPass.dispose();
+        this.disposeTarget(this.sceneTarget);
+        for (const target of this.pingPong) this.disposeTarget(target);
+    }
+}
@@ -0,0 +1,244 @@
+// js/renderer/postprocessing/postProcessPass.js
+// Base class for passes run by PostProcessGraph. A pass reads the previous
+// pass's output texture and writes the next render target (null = swapchain).
+// Shaders are written once per API; the param/texture declarations are
+// generated so GLSL uniforms and the WGSL uniform struct always agree.
+
+import { Material } from '../resources/material.js';
+
+const FULLSCREEN_VERTEX_GLSL = `#version 300 es
+out vec2 vUv;
+
+void main() {
+    vec2 pos = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+    vUv = pos;
+    gl_Position = vec4(pos * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+// WebGPU textures have v = 0 on the top row, so flip uv.y
+const FULLSCREEN_VERTEX_WGSL = `
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) uv: vec2<f32>,
+};
+
+@vertex
+fn main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+    let pos = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    var out: VertexOutput;
+    out.position = vec4<f32>(pos * 2.0 - 1.0, 0.0, 1.0);
+    out.uv = vec2<f32>(pos.x, 1.0 - pos.y);
+    return out;
+}
+`;
+
+/**
+ * Param layout shared by both APIs: mat4 params first, then vec4s, then
+ * floats, so the WGSL struct needs no padding. A number is a float, a
+ * 4-element array a vec4 and a 16-element array a mat4. texelSize
+ * (1/w, 1/h, w, h of the first texture) is always present.
+ */
+function buildParamLayout(params) {
+    const mat4s = [];
+    const vec4s = ['texelSize'];
+    const floats = [];
+    for (const [name, value] of Object.entries(params)) {
+        if (typeof value === 'number') floats.push(name);
+        else if (value.length === 16) mat4s.push(name);
+        else vec4s.push(name);
+    }
+    const offsets = {};
+    let offset = 0;
+    for (const name of mat4s) { offsets[name] = offset; offset += 16; }
+    for (const name of vec4s) { offsets[name] = offset; offset += 4; }
+    for (const name of floats) { offsets[name] = offset; offset += 1; }
+    return { mat4s, vec4s, floats, offsets, size: Math.ceil(offset / 4) * 4 };
+}
+
+function buildGLSLHeader(layout, textures, depthTextures) {
+    return [
+        '#version 300 es',
+        'precision highp float;',
+        'in vec2 vUv;',
+        'out vec4 fragColor;',
+        ...layout.mat4s.map(name => `uniform mat4 ${name};`),
+        ...layout.vec4s.map(name => `uniform vec4 ${name};`),
+        ...layout.floats.map(name => `uniform float ${name};`),
+        ...textures.map(name => `uniform sampler2D ${name};`),
+        ...depthTextures.map(name => `uniform sampler2D ${name};`),
+        ''
+    ].join('\n');
+}
+
+// Params are read in WGSL as params.<name>. Depth textures have no sampler;
+// read them with textureLoad().
+function buildWGSLHeader(layout, textures, depthTextures) {
+    const fields = [
+        ...layout.mat4s.map(name => `    ${name}: mat4x4<f32>,`),
+        ...layout.vec4s.map(name => `    ${name}: vec4<f32>,`),
+        ...layout.floats.map(name => `    ${name}: f32,`)
+    ];
+    const bindings = textures.map((name, i) =>
+        `@group(0) @binding(${1 + i * 2}) var ${name}: texture_2d<f32>;\n` +
+        `@group(0) @binding(${2 + i * 2}) var ${name}Sampler: sampler;`
+    );
+    const depthBase = 1 + textures.length * 2;
+    const depthBindings = depthTextures.map((name, i) =>
+        `@group(0) @binding(${depthBase + i}) var ${name}: texture_depth_2d;`
+    );
+    return [
+        'struct PassParams {',
+        ...fields,
+        '};',
+        '@group(0) @binding(0) var<uniform> params: PassParams;',
+        ...bindings,
+        ...depthBindings,
+        ''
+    ].join('\n');
+}
+
+export class PostProcessPass {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.enabled = options.enabled !== false;
+        this.graph = null;
+        this.backend = null;
+        this.materials = [];
+    }
+
+    get isWebGPU() {
+        return this.backend?.getAPIName?.() === 'webgpu';
+    }
+
+    /**
+     * Called once when the pass is added to a graph.
+     */
+    initialize(graph) {
+        this.graph = graph;
+        this.backend = graph.backend;
+    }
+
+    resize(width, height) {}
+
+    /**
+     * @param {Texture} input - previous pass output (or the HDR scene)
+     * @param {RenderTarget|null} output - null renders to the swapchain
+     * @param {Object} context - per-frame data from PostProcessGraph.render()
+     */
+    render(input, output, context) {
+        throw new Error(`PostProcessPass "${this.name}": render() not implemented`);
+    }
+
+    /**
+     * Build a fullscreen material for one shader stage of this pass.
+     * `stage` names the pipeline cache entry, so use one per distinct shader.
+     * `glsl` must define main() writing fragColor; `wgsl` must define
+     * `@fragment fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32>`.
+     */
+    createMaterial(stage, { params = {}, textures = ['inputTexture'], depthTextures = [], glsl, wgsl }) {
+        const layout = buildParamLayout(params);
+        const uniforms = {};
+        let material;
+
+        if (this.isWebGPU) {
+            uniforms.params = { value: new Float32Array(layout.size) };
+            for (const [name, value] of Object.entries(params)) {
+                if (typeof value === 'number') uniforms.params.value[layout.offsets[name]] = value;
+                else uniforms.params.value.set(value, layout.offsets[name]);
+            }
+            const entries = [{ binding: 0, visibility: 'fragment', buffer: { type: 'uniform' }, name: 'params' }];
+            textures.forEach((name, i) => {
+                uniforms[name] = { value: null };
+                uniforms[`${name}Sampler`] = { value: 'linear' };
+                entries.push(
+                    { binding: 1 + i * 2, visibility: 'fragment', texture: { sampleType: 'float' }, name },
+                    { binding: 2 + i * 2, visibility: 'fragment', sampler: { type: 'filtering' }, name: `${name}Sampler` }
+                );
+            });
+            depthTextures.forEach((name, i) => {
+                uniforms[name] = { value: null };
+                entries.push({ binding: 1 + textures.length * 2 + i, visibility: 'fragment', texture: { sampleType: 'depth' }, name });
+            });
+
+            material = new Material({
+                name: `PostProcess_${stage}`,
+                vertexShader: FULLSCREEN_VERTEX_WGSL,
+                fragmentShader: buildWGSLHeader(layout, textures, depthTextures) + wgsl,
+                bindGroupLayoutSpec: [{ label: `PostProcess_${stage}`, entries }],
+                uniforms,
+                vertexLayout: [],
+                depthTest: false,
+                depthWrite: false,
+                side: 'double'
+            });
+        } else {
+            uniforms.texelSize = { value: new Float32Array(4) };
+            for (const [name, value] of Object.entries(params)) {
+                uniforms[name] = { value: typeof value === 'number' ? value : new Float32Array(value) };
+            }
+            for (const name of [...textures, ...depthTextures]) {
+                uniforms[name] = { value: null };
+            }
+
+            material = new Material({
+                name: `PostProcess_${stage}`,
+                vertexShader: FULLSCREEN_VERTEX_GLSL,
+                fragmentShader: buildGLSLHeader(layout, textures, depthTextures) + glsl,
+                uniforms,
+                depthTest: false,
+                depthWrite: false,
+                side: 'double'
+            });
+        }
+
+        material._postLayout = layout;
+        material._postTextures = textures;
+        this.materials.push(material);
+        return material;
+    }
+
+    /**
+     * Set params/textures on a material created by createMaterial() and draw
+     * it fullscreen into `output`.
+     */
+    drawMaterial(material, output, { textures = {}, params = {} } = {}) {
+        const layout = material._postLayout;
+        const first = textures[material._postTextures[0]];
+        const texelSize = first
+            ? [1 / first.width, 1 / first.height, first.width, first.height]
+            : [0, 0, 0, 0];
+
+        if (this.isWebGPU) {
+            const data = material.uniforms.params.value;
+            data.set(texelSize, layout.offsets.texelSize);
+            for (const [name, value] of Object.entries(params)) {
+                const offset = layout.offsets[name];
+                if (offset === undefined) continue;
+                if (typeof value === 'number') data[offset] = value;
+                else data.set(value, offset);
+            }
+        } else {
+            material.uniforms.texelSize.value.set(texelSize);
+            for (const [name, value] of Object.entries(params)) {
+                const uniform = material.uniforms[name];
+                if (!uniform) continue;
+                if (typeof value === 'number') uniform.value = value;
+                else uniform.value.set(value);
+            }
+        }
+
+        for (const [name, texture] of Object.entries(textures)) {
+            if (material.uniforms[name]) material.uniforms[name].value = texture;
+        }
+
+        this.graph.drawFullscreen(material, output);
+    }
+
+    dispose() {
+        for (const material of this.materials) {
+            this.backend?.deleteShader?.(material);
+        }
+        this.materials = [];
+    }
+}
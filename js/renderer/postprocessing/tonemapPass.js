@@ -0,0 +1,56 @@
+// js/renderer/postprocessing/tonemapPass.js
+// Exposure + ACES filmic tonemapping (Narkowicz fit), HDR -> display range.
+
+import { PostProcessPass } from './postProcessPass.js';
+
+export const TonemapOperator = {
+    NONE: 0,
+    ACES: 1
+};
+
+export class TonemapPass extends PostProcessPass {
+    constructor(options = {}) {
+        super(options.name || 'tonemap', options);
+        this.exposure = options.exposure ?? 1.0;
+        this.operator = options.operator ?? TonemapOperator.ACES;
+        // Scene shaders already write display-referred colour, so no encode by default
+        this.gamma = options.gamma ?? 1.0;
+    }
+
+    initialize(graph) {
+        super.initialize(graph);
+        this.material = this.createMaterial('Tonemap', {
+            params: { exposure: 1.0, tonemapMode: 1.0, gamma: 1.0 },
+            glsl: `
+vec3 acesFilm(vec3 x) {
+    return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+}
+
+void main() {
+    vec3 color = texture(inputTexture, vUv).rgb * exposure;
+    color = tonemapMode > 0.5 ? acesFilm(color) : clamp(color, 0.0, 1.0);
+    fragColor = vec4(pow(color, vec3(1.0 / gamma)), 1.0);
+}
+`,
+            wgsl: `
+fn acesFilm(x: vec3<f32>) -> vec3<f32> {
+    return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), vec3<f32>(0.0), vec3<f32>(1.0));
+}
+
+@fragment
+fn main(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
+    var color = textureSampleLevel(inputTexture, inputTextureSampler, uv, 0.0).rgb * params.exposure;
+    color = select(clamp(color, vec3<f32>(0.0), vec3<f32>(1.0)), acesFilm(color), params.tonemapMode > 0.5);
+    return vec4<f32>(pow(color, vec3<f32>(1.0 / params.gamma)), 1.0);
+}
+`
+        });
+    }
+
+    render(input, output) {
+        this.drawMaterial(this.material, output, {
+            textures: { inputTexture: input },
+            params: { exposure: this.exposure, tonemapMode: this.operator, gamma: this.gamma }
+        });
+    }
+}
@@ -0,0 +1,184 @@
+// js/renderer/postprocessing/waterPass.js
+// Screen-space water over the HDR scene: reflections marched against the
+// scene depth (falling back to the SkyRenderer environment map), depth-based
+// refraction with absorption, and shoreline foam. Runs before bloom so the
+// sun glint and bright reflections bloom like the rest of the scene.
+// WaterRenderer.updateScreenSpace() keeps the settings in sync each frame.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { PostProcessPass } from './postProcessPass.js';
+import { Texture, TextureFormat, TextureFilter } from '../resources/texture.js';
+import { WaterMaterialFactory } from '../../mesh/water/WaterMaterialFactory.js';
+
+export class WaterPass extends PostProcessPass {
+    constructor(options = {}) {
+        super(options.name || 'water', options);
+        this.materialFactory = options.materialFactory || new WaterMaterialFactory(null, null);
+
+        // Sea level in chunk height units; multiplied by heightScale for world space
+        this.waterLevel = options.waterLevel ?? 8.0;
+        this.heightScale = options.heightScale ?? 1.0;
+        // World height of the floating origin; the flat water plane is placed relative to it
+        this.renderOriginHeight = 0;
+        // Spherical planets: water is a sphere around planetCenter; radius <= 0 means flat
+        this.planetCenter = new THREE.Vector3();
+        this.planetRadius = 0;
+
+        this.time = 0;
+        this.waveHeight = 0.35;
+        this.waveFrequency = 0.8;
+        this.windSpeed = 5.0;
+        this.windDirection = new THREE.Vector2(1, 0);
+        this.foamIntensity = 0.9;
+        this.foamDepthEnd = 2.5;
+        this.sunDirection = new THREE.Vector3(0.5, 1.0, 0.3).normalize();
+        this.sunIntensity = 1.0;
+
+        this.refractionStrength = options.refractionStrength ?? 0.03;
+        this.ssrMaxDistance = options.ssrMaxDistance ?? 400.0;
+        this.ssrSteps = options.ssrSteps ?? 48;
+        this.ssrThickness = options.ssrThickness ?? 4.0;
+
+        // Lat-long sky from SkyRenderer.renderEnvironment(); null uses a flat sky colour
+        this.environmentTexture = null;
+
+        // Per-pixel water levels near the camera (WaterRenderer.waterLevelMap);
+        // beyond it, or without one, the surface is at waterLevel
+        this.waterLevelMap = null;
+        this._waterMapCenter = [0, 0, 0, 1];
+        this._waterMapAxisX = [1, 0, 0, 0];
+        this._waterMapAxisZ = [0, 0, 1, 1];
+        this._waterMapRange = [0, 1, 0, 0];
+
+        this._viewProj = new THREE.Matrix4();
+        this._invViewProj = new THREE.Matrix4();
+    }
+
+    initialize(graph) {
+        super.initialize(graph);
+        this.material = this.materialFactory.createScreenSpaceMaterial(this);
+
+        this.fallbackEnvironment = new Texture({
+            width: 1,
+            height: 1,
+            format: TextureFormat.RGBA8,
+            minFilter: TextureFilter.LINEAR,
+            magFilter: TextureFilter.LINEAR,
+            generateMipmaps: false,
+            data: new Uint8Array([140, 180, 225, 255])
+        });
+        this.backend.createTexture(this.fallbackEnvironment);
+
+        this.fallbackWaterLevelMap = new Texture({
+            width: 1,
+            height: 1,
+            format: TextureFormat.RGBA8,
+            minFilter: TextureFilter.NEAREST,
+            magFilter: TextureFilter.NEAREST,
+            generateMipmaps: false,
+            data: new Uint8Array([0, 0, 0, 0])
+        });
+        this.backend.createTexture(this.fallbackWaterLevelMap);
+    }
+
+    /**
+     * Use `texture` (packed as in WaterRenderer.updateWaterLevelMap) for the
+     * water levels around map.center. Null disables the map.
+     * @param {Texture|null} texture
+     * @param {Object} map - WaterRenderer.waterMap
+     * @param {THREE.Vector3|null} renderOrigin - FloatingOrigin.origin
+     */
+    setWaterLevelMap(texture, map, renderOrigin = null) {
+        this.waterLevelMap = texture && map?.enabled ? texture : null;
+        if (!this.waterLevelMap) {
+            this._waterMapAxisX[3] = 0;
+            return;
+        }
+
+        const ox = renderOrigin?.x ?? 0;
+        const oy = renderOrigin?.y ?? 0;
+        const oz = renderOrigin?.z ?? 0;
+        this._waterMapCenter[0] = map.center.x - ox;
+        this._waterMapCenter[1] = map.center.y - oy;
+        this._waterMapCenter[2] = map.center.z - oz;
+        this._waterMapCenter[3] = map.size;
+        this._waterMapAxisX[0] = map.axisX.x;
+        this._waterMapAxisX[1] = map.axisX.y;
+        this._waterMapAxisX[2] = map.axisX.z;
+        this._waterMapAxisX[3] = 1;
+        this._waterMapAxisZ[0] = map.axisZ.x;
+        this._waterMapAxisZ[1] = map.axisZ.y;
+        this._waterMapAxisZ[2] = map.axisZ.z;
+        this._waterMapAxisZ[3] = map.resolution;
+        // Flat levels are world heights; the plane is drawn relative to the floating origin
+        this._waterMapRange[0] = map.spherical ? map.min : map.min - oy;
+        this._waterMapRange[1] = map.range;
+    }
+
+    render(input, output, context) {
+        const camera = context.camera;
+        if (!camera || !context.sceneDepthTexture) {
+            this.graph.copyPass.render(input, output, context);
+            return;
+        }
+
+        // Frontend writes matrixWorldInverse directly; updateMatrixWorld() would overwrite it
+        this._viewProj.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this._invViewProj.copy(this._viewProj).invert();
+
+        const waterLevel = this.waterLevel * this.heightScale;
+        const spherical = this.planetRadius > 0 && isFinite(this.planetRadius);
+        if (this.waterLevelMap?._needsUpload) {
+            this.backend.updateTexture(this.waterLevelMap);
+        }
+
+        this.drawMaterial(this.material, output, {
+            textures: {
+                inputTexture: input,
+                environmentMap: this.environmentTexture || this.fallbackEnvironment,
+                sceneDepth: context.sceneDepthTexture,
+                waterLevelMap: this.waterLevelMap || this.fallbackWaterLevelMap
+            },
+            params: {
+                invViewProj: this._invViewProj.elements,
+                viewProj: this._viewProj.elements,
+                cameraPosition: [camera.position.x, camera.position.y, camera.position.z, 1.0],
+                waterSurface: spherical
+                    ? [this.planetCenter.x, this.planetCenter.y, this.planetCenter.z, this.planetRadius]
+                    : [0, 0, 0, 0],
+                waterMapCenter: this._waterMapCenter,
+                waterMapAxisX: this._waterMapAxisX,
+                waterMapAxisZ: this._waterMapAxisZ,
+                waterMapRange: this._waterMapRange,
+                sunDirection: [this.sunDirection.x, this.sunDirection.y, this.sunDirection.z, this.sunIntensity],
+                windDirection: [this.windDirection.x, this.windDirection.y, 0, 0],
+                waterLevel: spherical ? waterLevel : waterLevel - this.renderOriginHeight,
+                heightScale: this.heightScale,
+                time: this.time,
+                waveHeight: this.waveHeight,
+                waveFrequency: this.waveFrequency,
+                windSpeed: this.windSpeed,
+                foamIntensity: this.foamIntensity,
+                foamDepthEnd: this.foamDepthEnd,
+                refractionStrength: this.refractionStrength,
+                ssrMaxDistance: this.ssrMaxDistance,
+                ssrSteps: this.ssrSteps,
+                ssrThickness: this.ssrThickness
+            }
+        });
+    }
+
+    dispose() {
+        super.dispose();
+        if (this.fallbackEnvironment) {
+            this.backend?.deleteTexture(this.fallbackEnvironment);
+            this.fallbackEnvironment.dispose();
+            this.fallbackEnvironment = null;
+        }
+        if (this.fallbackWaterLevelMap) {
+            this.backend?.deleteTexture(this.fallbackWaterLevelMap);
+            this.fallbackWaterLevelMap.dispose();
+            this.fallbackWaterLevelMap = null;
+        }
+    }
+}
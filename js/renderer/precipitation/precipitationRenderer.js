@@ -0,0 +1,378 @@
+// js/renderer/precipitation/precipitationRenderer.js
+// Camera-anchored rain, snow and rain splashes. Every particle is an
+// instanced quad with a fixed random seed; the vertex shader places it in a
+// box around the camera that scrolls with the fall velocity and wind, so the
+// CPU only advances one drift offset per layer. Splashes sit on a small
+// terrain height map around the camera, which also hides drops below ground.
+// Subclasses build the backend material and write the per-layer uniforms.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { Geometry } from '../resources/geometry.js';
+import { Texture, TextureFormat, TextureFilter, TextureWrap } from '../resources/texture.js';
+import { SeededRandom } from '../../seededRandom.js';
+
+// Shader `mode` per layer
+export const PrecipitationMode = {
+    RAIN: 0,
+    SNOW: 1,
+    SPLASH: 2
+};
+
+// Ground height written where no chunk is loaded; drops and splashes ignore it
+const NO_GROUND = -1.0e6;
+
+export class PrecipitationRenderer {
+    constructor(backend, config = {}) {
+        this.backend = backend;
+        this.enabled = true;
+        this.initialized = false;
+        this.time = 0;
+
+        this.config = {
+            boxSize: config.boxSize || new THREE.Vector3(50, 30, 50),
+            maxRainDrops: config.maxRainDrops ?? 12000,
+            maxSnowFlakes: config.maxSnowFlakes ?? 8000,
+            maxSplashes: config.maxSplashes ?? 1500,
+            rainFallSpeed: config.rainFallSpeed ?? 9.0,
+            snowFallSpeed: config.snowFallSpeed ?? 1.2,
+            // How much of the wind speed each layer picks up
+            rainWindFactor: config.rainWindFactor ?? 0.6,
+            snowWindFactor: config.snowWindFactor ?? 1.0,
+            rainDropWidth: config.rainDropWidth ?? 0.025,
+            snowFlakeSize: config.snowFlakeSize ?? 0.06,
+            splashSize: config.splashSize ?? 0.18,
+            // Splash cycles per second per splash instance
+            splashRate: config.splashRate ?? 1.5,
+            // Streak length = fall speed * exposure, like motion blur
+            streakExposure: config.streakExposure ?? 0.04,
+            occlusionResolution: config.occlusionResolution ?? 64,
+            occlusionSize: config.occlusionSize ?? 64,
+            seed: config.seed ?? 'precipitation'
+        };
+
+        this.layers = {};
+        this.occlusionTexture = null;
+        this.occlusionEnabled = false;
+        this._occlusionData = null;
+        this._occlusionCenter = new THREE.Vector2(Infinity, Infinity);
+        this._occlusionChunkCount = -1;
+        this._occlusionOffset = new THREE.Vector2();
+
+        // Local frame: axisX/axisZ span the ground, axisUp points away from the planet
+        this._axisX = new THREE.Vector3(1, 0, 0);
+        this._axisUp = new THREE.Vector3(0, 1, 0);
+        this._axisZ = new THREE.Vector3(0, 0, 1);
+        this._cameraWorld = new THREE.Vector3();
+        this._cameraHeight = 0;
+        this._samplePoint = new THREE.Vector3();
+        this._pole = new THREE.Vector3(0, 1, 0);
+    }
+
+    async initialize() {
+        const rng = new SeededRandom(this.config.seed);
+        this.layers = {
+            rain: this._createLayer(PrecipitationMode.RAIN, this.config.maxRainDrops, rng.fork('rain')),
+            snow: this._createLayer(PrecipitationMode.SNOW, this.config.maxSnowFlakes, rng.fork('snow')),
+            splash: this._createLayer(PrecipitationMode.SPLASH, this.config.maxSplashes, rng.fork('splash'))
+        };
+
+        const res = this.config.occlusionResolution;
+        this._occlusionData = new Float32Array(res * res).fill(NO_GROUND);
+        this.occlusionTexture = new Texture({
+            width: res,
+            height: res,
+            format: TextureFormat.R32F,
+            minFilter: TextureFilter.NEAREST,
+            magFilter: TextureFilter.NEAREST,
+            wrapS: TextureWrap.CLAMP,
+            wrapT: TextureWrap.CLAMP,
+            generateMipmaps: false,
+            data: this._occlusionData
+        });
+
+        this.initialized = true;
+    }
+
+    _createLayer(mode, maxCount, rng) {
+        const geometry = this._createQuadGeometry();
+        const seeds = new Float32Array(maxCount * 4);
+        for (let i = 0; i < seeds.length; i++) {
+            seeds[i] = rng.next();
+        }
+        geometry.setAttribute('instanceSeed', seeds, 4, false, { stepMode: 'instance', slot: 3 });
+        geometry.instanceCount = 0;
+
+        return {
+            mode,
+            maxCount,
+            geometry,
+            material: null,
+            count: 0,
+            intensity: 0,
+            // Accumulated fall + wind travel in the local frame (meters, doubles)
+            drift: new THREE.Vector3(),
+            driftOffset: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            color: [1, 1, 1, 1],
+            particleSize: 0.1,
+            streakLength: 0
+        };
+    }
+
+    _createQuadGeometry() {
+        const geom = new Geometry();
+        geom.setAttribute('position', new Float32Array([
+            -0.5, -0.5, 0,
+             0.5, -0.5, 0,
+             0.5,  0.5, 0,
+            -0.5,  0.5, 0
+        ]), 3);
+        geom.setAttribute('normal', new Float32Array([
+            0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1
+        ]), 3);
+        geom.setAttribute('uv', new Float32Array([
+            0, 0, 1, 0, 1, 1, 0, 1
+        ]), 2);
+        geom.setIndex(new Uint16Array([0, 1, 2, 0, 2, 3]));
+        return geom;
+    }
+
+    /**
+     * @param {Object} camera - frontend camera (render-space position plus
+     *        worldPosition)
+     * @param {EnvironmentState} environmentState
+     * @param {Object} options - terrain (chunk map), chunkManager (ground
+     *        heights on planets), heightScale, planetCenter (render space),
+     *        planetRadius (0 on flat terrain) and deltaTime in seconds
+     */
+    update(camera, environmentState, { terrain = null, chunkManager = null, heightScale = 1.0, planetCenter = null, planetRadius = 0, deltaTime = 0 } = {}) {
+        if (!this.enabled || !this.initialized || !camera) return;
+        const dt = Math.min(Math.max(deltaTime || 0, 0), 0.1);
+        this.time += dt;
+
+        this._cameraWorld.copy(camera.worldPosition || camera.position);
+        const spherical = planetRadius > 0 && !!planetCenter;
+        this._updateFrame(camera, spherical ? planetCenter : null);
+        // Heights run along axisUp: world y on flat terrain, altitude above the radius on planets
+        this._cameraHeight = spherical
+            ? camera.position.distanceTo(planetCenter) - planetRadius
+            : this._cameraWorld.y;
+
+        const weather = environmentState?.currentWeather || 'clear';
+        const intensity = THREE.MathUtils.clamp(environmentState?.weatherIntensity ?? 0, 0, 1);
+        const raining = weather === 'rain' || weather === 'storm';
+        const snowing = weather === 'snow';
+
+        const windDirection = environmentState?.windDirection;
+        const windSpeed = environmentState?.windSpeed ?? 0;
+        const windX = (windDirection?.x ?? 0) * windSpeed;
+        const windZ = (windDirection?.y ?? 0) * windSpeed;
+        const brightness = this._getBrightness(environmentState);
+
+        const cfg = this.config;
+        const rain = this.layers.rain;
+        rain.intensity = raining ? intensity : 0;
+        rain.velocity.set(windX * cfg.rainWindFactor, -cfg.rainFallSpeed * (1 + 0.4 * intensity), windZ * cfg.rainWindFactor);
+        rain.particleSize = cfg.rainDropWidth;
+        rain.streakLength = THREE.MathUtils.clamp(rain.velocity.length() * cfg.streakExposure, 0.3, 1.5);
+        rain.color = [0.70 * brightness, 0.75 * brightness, 0.80 * brightness, weather === 'storm' ? 0.45 : 0.35];
+
+        const snow = this.layers.snow;
+        snow.intensity = snowing ? intensity : 0;
+        snow.velocity.set(windX * cfg.snowWindFactor, -cfg.snowFallSpeed, windZ * cfg.snowWindFactor);
+        snow.particleSize = cfg.snowFlakeSize;
+        snow.color = [0.95 * brightness, 0.96 * brightness, 1.0 * brightness, 0.9];
+
+        const splash = this.layers.splash;
+        splash.intensity = raining ? intensity : 0;
+        splash.particleSize = cfg.splashSize;
+        splash.color = [0.80 * brightness, 0.85 * brightness, 0.90 * brightness, 0.5];
+
+        for (const layer of Object.values(this.layers)) {
+            layer.count = Math.floor(layer.maxCount * layer.intensity);
+            layer.drift.addScaledVector(layer.velocity, dt);
+            this._updateDriftOffset(layer);
+        }
+
+        // Planet chunks are quadtree leaves, looked up through the ChunkManager
+        const sampler = spherical ? chunkManager : null;
+        this.occlusionEnabled = !!terrain && terrain.size > 0 && (!spherical || !!sampler?.getSphericalHeight);
+        if (this.occlusionEnabled && (rain.count > 0 || splash.count > 0)) {
+            this._updateOcclusion(terrain, heightScale, sampler);
+        }
+    }
+
+    /**
+     * Up is away from the planet center on spherical planets; the ground
+     * axes are east and north there, so wind (east, north) maps straight on.
+     */
+    _updateFrame(camera, planetCenter) {
+        if (!planetCenter) {
+            this._axisX.set(1, 0, 0);
+            this._axisUp.set(0, 1, 0);
+            this._axisZ.set(0, 0, 1);
+            return;
+        }
+
+        this._axisUp.subVectors(camera.position, planetCenter);
+        if (this._axisUp.lengthSq() < 1e-6) this._axisUp.set(0, 1, 0);
+        this._axisUp.normalize();
+        this._axisX.crossVectors(this._pole, this._axisUp);
+        if (this._axisX.lengthSq() < 1e-8) this._axisX.set(1, 0, 0);
+        this._axisX.normalize();
+        this._axisZ.crossVectors(this._axisUp, this._axisX);
+    }
+
+    /**
+     * Fold the camera's world position into the drift on the CPU so the
+     * shader only wraps small numbers: offset = (drift - camera) mod box.
+     */
+    _updateDriftOffset(layer) {
+        const box = this.config.boxSize;
+        const cam = this._cameraWorld;
+        const wrap = (value, size) => value - Math.floor(value / size) * size;
+        layer.driftOffset.set(
+            wrap(layer.drift.x - cam.dot(this._axisX), box.x),
+            wrap(layer.drift.y - cam.dot(this._axisUp), box.y),
+            wrap(layer.drift.z - cam.dot(this._axisZ), box.z)
+        );
+    }
+
+    /**
+     * Refill the ground height map when the camera crosses a texel or new
+     * chunks load. Texture x/y run along axisX/axisZ; heights are world
+     * meters along axisUp and the shader subtracts the camera's height.
+     * On planets each texel is sampled from the quadtree leaf under it via
+     * ChunkManager.getSphericalHeight.
+     */
+    _updateOcclusion(terrain, heightScale, sphericalSampler = null) {
+        const res = this.config.occlusionResolution;
+        const size = this.config.occlusionSize;
+        const texel = size / res;
+        const cam = this._cameraWorld;
+        const camX = sphericalSampler ? cam.dot(this._axisX) : cam.x;
+        const camZ = sphericalSampler ? cam.dot(this._axisZ) : cam.z;
+
+        const centerX = Math.floor(camX / texel) * texel;
+        const centerZ = Math.floor(camZ / texel) * texel;
+        // The shader gets the camera's offset into the map
+        this._occlusionOffset.set(camX - centerX + size * 0.5, camZ - centerZ + size * 0.5);
+
+        if (centerX === this._occlusionCenter.x && centerZ === this._occlusionCenter.y &&
+            terrain.size === this._occlusionChunkCount) {
+            return;
+        }
+        this._occlusionCenter.set(centerX, centerZ);
+        this._occlusionChunkCount = terrain.size;
+
+        const chunkSize = terrain.values().next().value?.size;
+        const data = this._occlusionData;
+        for (let y = 0; y < res; y++) {
+            const z = centerZ - size * 0.5 + (y + 0.5) * texel;
+            for (let x = 0; x < res; x++) {
+                const wx = centerX - size * 0.5 + (x + 0.5) * texel;
+                data[y * res + x] = sphericalSampler
+                    ? this._getSphericalGroundHeight(sphericalSampler, wx - camX, z - camZ, heightScale)
+                    : this._getGroundHeight(terrain, chunkSize, wx, z, heightScale);
+            }
+        }
+
+        this.occlusionTexture.setData(data, res, res);
+        this._uploadOcclusion();
+    }
+
+    _getGroundHeight(terrain, chunkSize, x, z, heightScale) {
+        if (!chunkSize) return NO_GROUND;
+        const chunkX = Math.floor(x / chunkSize);
+        const chunkY = Math.floor(z / chunkSize);
+        const chunk = terrain.get(`${chunkX},${chunkY}`);
+        const height = chunk?.getHeight?.(x - chunkX * chunkSize, z - chunkY * chunkSize);
+        return height === undefined || height === null ? NO_GROUND : height * heightScale;
+    }
+
+    /**
+     * Altitude of the ground below the point offset (dx, dz) from the
+     * camera along the local ground axes.
+     */
+    _getSphericalGroundHeight(chunkManager, dx, dz, heightScale) {
+        const point = this._samplePoint
+            .copy(this._cameraWorld)
+            .addScaledVector(this._axisX, dx)
+            .addScaledVector(this._axisZ, dz);
+        const height = chunkManager.getSphericalHeight(point);
+        return height === undefined || height === null ? NO_GROUND : height * heightScale;
+    }
+
+    /**
+     * Push the height map to the GPU. WebGL2 uploads dirty textures when it
+     * binds them, so only backends that don't need to override this.
+     */
+    _uploadOcclusion() {}
+
+    _getBrightness(environmentState) {
+        const sun = environmentState?.sunLightIntensity ?? 1.0;
+        const ambient = environmentState?.ambientLightIntensity ?? 0.5;
+        const thunder = environmentState?.thunderLightIntensity ?? 0;
+        return THREE.MathUtils.clamp(0.5 * sun + 0.5 * ambient + 0.2 * thunder, 0.15, 1.0);
+    }
+
+    /**
+     * Values shared by both backends for one layer.
+     */
+    getLayerUniformValues(layer, camera) {
+        const cfg = this.config;
+        return {
+            viewMatrix: camera.matrixWorldInverse,
+            projectionMatrix: camera.projectionMatrix,
+            cameraPosition: camera.position,
+            time: this.time,
+            axisX: this._axisX,
+            axisUp: this._axisUp,
+            axisZ: this._axisZ,
+            mode: layer.mode,
+            intensity: layer.intensity,
+            particleSize: layer.particleSize,
+            boxSize: cfg.boxSize,
+            streakLength: layer.streakLength,
+            driftOffset: layer.driftOffset,
+            occlusionEnabled: this.occlusionEnabled ? 1.0 : 0.0,
+            velocity: layer.velocity,
+            occlusionSize: cfg.occlusionSize,
+            color: layer.color,
+            occlusionOffset: this._occlusionOffset,
+            occlusionResolution: cfg.occlusionResolution,
+            splashRate: cfg.splashRate,
+            cameraHeight: this._cameraHeight
+        };
+    }
+
+    render(camera) {
+        if (!this.enabled || !this.initialized || !camera) return;
+
+        for (const layer of Object.values(this.layers)) {
+            if (layer.count <= 0 || !layer.material) continue;
+            // Splashes need ground heights
+            if (layer.mode === PrecipitationMode.SPLASH && !this.occlusionEnabled) continue;
+
+            this._writeLayerUniforms(layer, this.getLayerUniformValues(layer, camera));
+            layer.geometry.instanceCount = layer.count;
+            this.backend.draw(layer.geometry, layer.material);
+        }
+    }
+
+    _writeLayerUniforms(layer, values) {}
+
+    dispose() {
+        for (const layer of Object.values(this.layers)) {
+            if (layer.material) this.backend.deleteShader(layer.material);
+            layer.geometry.dispose();
+        }
+        if (this.occlusionTexture) {
+            this.backend.deleteTexture(this.occlusionTexture);
+            this.occlusionTexture.dispose();
+            this.occlusionTexture = null;
+        }
+        this.layers = {};
+        this.initialized = false;
+    }
+}
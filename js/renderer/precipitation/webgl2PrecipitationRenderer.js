@@ -0,0 +1,222 @@
+// js/renderer/precipitation/webgl2PrecipitationRenderer.js
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { PrecipitationRenderer } from './precipitationRenderer.js';
+import { Material } from '../resources/material.js';
+
+export class WebGL2PrecipitationRenderer extends PrecipitationRenderer {
+    async initialize() {
+        await super.initialize();
+
+        for (const [name, layer] of Object.entries(this.layers)) {
+            layer.material = this._createMaterial(name);
+            if (this.backend.compileShader) {
+                this.backend.compileShader(layer.material);
+            }
+        }
+    }
+
+    _createMaterial(name) {
+        return new Material({
+            name: `Precipitation_${name}_WebGL2`,
+            vertexShader: this._getVertexShader(),
+            fragmentShader: this._getFragmentShader(),
+            uniforms: {
+                viewMatrix: { value: new THREE.Matrix4() },
+                projectionMatrix: { value: new THREE.Matrix4() },
+                cameraPosition: { value: new THREE.Vector3() },
+                time: { value: 0 },
+                axisX: { value: new THREE.Vector3(1, 0, 0) },
+                mode: { value: 0 },
+                axisUp: { value: new THREE.Vector3(0, 1, 0) },
+                intensity: { value: 0 },
+                axisZ: { value: new THREE.Vector3(0, 0, 1) },
+                particleSize: { value: 0.1 },
+                boxSize: { value: this.config.boxSize.clone() },
+                streakLength: { value: 0 },
+                driftOffset: { value: new THREE.Vector3() },
+                occlusionEnabled: { value: 0 },
+                velocity: { value: new THREE.Vector3() },
+                occlusionSize: { value: this.config.occlusionSize },
+                color: { value: new THREE.Vector4(1, 1, 1, 1) },
+                occlusionOffset: { value: new THREE.Vector2() },
+                occlusionResolution: { value: this.config.occlusionResolution },
+                splashRate: { value: this.config.splashRate },
+                cameraHeight: { value: 0 },
+                occlusionMap: { value: this.occlusionTexture }
+            },
+            transparent: true,
+            depthTest: true,
+            depthWrite: false,
+            side: 'double'
+        });
+    }
+
+    _writeLayerUniforms(layer, values) {
+        const u = layer.material.uniforms;
+        u.viewMatrix.value.copy(values.viewMatrix);
+        u.projectionMatrix.value.copy(values.projectionMatrix);
+        u.cameraPosition.value.copy(values.cameraPosition);
+        u.time.value = values.time;
+        u.axisX.value.copy(values.axisX);
+        u.mode.value = values.mode;
+        u.axisUp.value.copy(values.axisUp);
+        u.intensity.value = values.intensity;
+        u.axisZ.value.copy(values.axisZ);
+        u.particleSize.value = values.particleSize;
+        u.boxSize.value.copy(values.boxSize);
+        u.streakLength.value = values.streakLength;
+        u.driftOffset.value.copy(values.driftOffset);
+        u.occlusionEnabled.value = values.occlusionEnabled;
+        u.velocity.value.copy(values.velocity);
+        u.occlusionSize.value = values.occlusionSize;
+        u.color.value.fromArray(values.color);
+        u.occlusionOffset.value.copy(values.occlusionOffset);
+        u.occlusionResolution.value = values.occlusionResolution;
+        u.splashRate.value = values.splashRate;
+        u.cameraHeight.value = values.cameraHeight;
+    }
+
+    _getVertexShader() {
+        return `#version 300 es
+precision highp float;
+precision highp int;
+
+in vec3 position;
+in vec3 normal;
+in vec2 uv;
+in vec4 instanceSeed;
+
+uniform mat4 viewMatrix;
+uniform mat4 projectionMatrix;
+uniform vec3 cameraPosition;
+uniform float time;
+uniform vec3 axisX;
+uniform float mode;
+uniform vec3 axisUp;
+uniform vec3 axisZ;
+uniform float particleSize;
+uniform vec3 boxSize;
+uniform float streakLength;
+uniform vec3 driftOffset;
+uniform float occlusionEnabled;
+uniform vec3 velocity;
+uniform float occlusionSize;
+uniform vec2 occlusionOffset;
+uniform float occlusionResolution;
+uniform float splashRate;
+uniform float cameraHeight;
+uniform highp sampler2D occlusionMap;
+
+out vec2 vUv;
+out float vFade;
+
+const float NO_GROUND = -1.0e6;
+
+// Seed position in the camera box, scrolled by the drift and wrapped around the camera
+vec3 wrapInBox(vec3 seed) {
+    vec3 p = seed * boxSize + driftOffset;
+    return p - floor(p / boxSize) * boxSize - boxSize * 0.5;
+}
+
+// Terrain height below a local position, relative to the camera
+float groundHeight(vec3 local) {
+    if (occlusionEnabled < 0.5) return NO_GROUND;
+    vec2 texUv = (local.xz + occlusionOffset) / occlusionSize;
+    if (texUv.x < 0.0 || texUv.y < 0.0 || texUv.x >= 1.0 || texUv.y >= 1.0) return NO_GROUND;
+    float height = texelFetch(occlusionMap, ivec2(texUv * occlusionResolution), 0).r;
+    if (height <= NO_GROUND) return NO_GROUND;
+    return height - cameraHeight;
+}
+
+vec3 toRenderSpace(vec3 local) {
+    return cameraPosition + axisX * local.x + axisUp * local.y + axisZ * local.z;
+}
+
+void main() {
+    vec2 corner = position.xy;
+    vUv = uv;
+    vFade = 0.0;
+
+    vec3 local = wrapInBox(instanceSeed.xyz);
+    float ground = groundHeight(local);
+
+    // Fade towards the box faces so wrapping particles don't pop
+    vec3 halfBox = boxSize * 0.5;
+    float edge = max(abs(local.x) / halfBox.x, abs(local.z) / halfBox.z);
+    float fade = (1.0 - smoothstep(0.7, 1.0, edge)) * (1.0 - smoothstep(0.7, 1.0, abs(local.y) / halfBox.y));
+
+    vec3 worldPos;
+    if (mode > 1.5) {
+        // Splash: a ring that grows and fades on the ground, restarting each cycle
+        if (ground <= NO_GROUND) {
+            gl_Position = vec4(2.0, 2.0, 2.0, 0.0);
+            return;
+        }
+        float phase = fract(time * splashRate + instanceSeed.w);
+        local.y = ground + 0.03;
+        float radius = particleSize * (0.3 + phase);
+        worldPos = toRenderSpace(local) + (axisX * corner.x + axisZ * corner.y) * radius * 2.0;
+        fade *= 1.0 - phase;
+    } else {
+        if (local.y < ground) {
+            gl_Position = vec4(2.0, 2.0, 2.0, 0.0);
+            return;
+        }
+
+        if (mode > 0.5) {
+            // Snow: camera-facing flakes that flutter as they fall
+            float t = time * (0.8 + instanceSeed.w) + instanceSeed.w * 6.2831853;
+            local.x += sin(t) * 0.35;
+            local.z += cos(t * 1.3) * 0.35;
+            vec3 right = vec3(viewMatrix[0][0], viewMatrix[1][0], viewMatrix[2][0]);
+            vec3 up = vec3(viewMatrix[0][1], viewMatrix[1][1], viewMatrix[2][1]);
+            float size = particleSize * (0.6 + 0.8 * instanceSeed.w);
+            worldPos = toRenderSpace(local) + (right * corner.x + up * corner.y) * size;
+        } else {
+            // Rain: streaks stretched along the fall velocity, turned to face the camera
+            vec3 center = toRenderSpace(local);
+            vec3 dir = normalize(axisX * velocity.x + axisUp * velocity.y + axisZ * velocity.z);
+            vec3 side = cross(dir, cameraPosition - center);
+            if (dot(side, side) < 1e-8) side = axisX;
+            side = normalize(side);
+            worldPos = center + side * corner.x * particleSize + dir * corner.y * streakLength;
+        }
+    }
+
+    vFade = fade;
+    gl_Position = projectionMatrix * viewMatrix * vec4(worldPos, 1.0);
+}
+`;
+    }
+
+    _getFragmentShader() {
+        return `#version 300 es
+precision highp float;
+
+in vec2 vUv;
+in float vFade;
+
+uniform float mode;
+uniform vec4 color;
+
+out vec4 fragColor;
+
+void main() {
+    float alpha = color.a * vFade;
+    vec2 c = vUv * 2.0 - 1.0;
+    if (mode > 1.5) {
+        float r = length(c);
+        alpha *= smoothstep(0.55, 0.8, r) * (1.0 - smoothstep(0.8, 1.0, r));
+    } else if (mode > 0.5) {
+        alpha *= 1.0 - smoothstep(0.3, 1.0, length(c));
+    } else {
+        // Thin across the streak, fading towards its tail
+        alpha *= (1.0 - abs(c.x)) * smoothstep(-1.0, -0.2, c.y);
+    }
+    if (alpha < 0.003) discard;
+    fragColor = vec4(color.rgb, alpha);
+}
+`;
+    }
+}
@@ -0,0 +1,279 @@
+// js/renderer/precipitation/webgpuPrecipitationRenderer.js
+
+import { PrecipitationRenderer } from './precipitationRenderer.js';
+import { Material } from '../resources/material.js';
+
+const UNIFORM_FLOATS = 72;
+
+export class WebGPUPrecipitationRenderer extends PrecipitationRenderer {
+    async initialize() {
+        await super.initialize();
+
+        // Bind-group textures aren't uploaded on draw, so create it up front
+        this.backend.createTexture(this.occlusionTexture);
+
+        for (const [name, layer] of Object.entries(this.layers)) {
+            layer.material = this._createMaterial(name);
+            if (this.backend.compileShader) {
+                this.backend.compileShader(layer.material);
+            }
+        }
+    }
+
+    /**
+     * One material per layer: spec-path uniform buffers are keyed by
+     * material, and all three layers draw in the same frame.
+     */
+    _createMaterial(name) {
+        return new Material({
+            name: `Precipitation_${name}_WebGPU`,
+            vertexShader: this._getVertexShader(),
+            fragmentShader: this._getFragmentShader(),
+            vertexLayout: [
+                { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
+                { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x3' }] },
+                { arrayStride: 8, stepMode: 'vertex', attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x2' }] },
+                { arrayStride: 16, stepMode: 'instance', attributes: [{ shaderLocation: 3, offset: 0, format: 'float32x4' }] }
+            ],
+            bindGroupLayoutSpec: [
+                {
+                    label: 'PrecipitationParams',
+                    entries: [
+                        { binding: 0, visibility: 'vertex|fragment', buffer: { type: 'uniform' }, name: 'precipitationUniforms' },
+                        { binding: 1, visibility: 'vertex', texture: { sampleType: 'unfilterable-float' }, name: 'occlusionMap' }
+                    ]
+                }
+            ],
+            uniforms: {
+                precipitationUniforms: { value: new Float32Array(UNIFORM_FLOATS) },
+                occlusionMap: { value: this.occlusionTexture }
+            },
+            transparent: true,
+            depthTest: true,
+            depthWrite: false,
+            side: 'double'
+        });
+    }
+
+    _uploadOcclusion() {
+        this.backend.updateTexture(this.occlusionTexture);
+    }
+
+    _writeLayerUniforms(layer, values) {
+        const u = layer.material.uniforms.precipitationUniforms.value;
+        u.set(values.viewMatrix.elements, 0);
+        u.set(values.projectionMatrix.elements, 16);
+
+        u[32] = values.cameraPosition.x;
+        u[33] = values.cameraPosition.y;
+        u[34] = values.cameraPosition.z;
+        u[35] = values.time;
+
+        u[36] = values.axisX.x;
+        u[37] = values.axisX.y;
+        u[38] = values.axisX.z;
+        u[39] = values.mode;
+
+        u[40] = values.axisUp.x;
+        u[41] = values.axisUp.y;
+        u[42] = values.axisUp.z;
+        u[43] = values.intensity;
+
+        u[44] = values.axisZ.x;
+        u[45] = values.axisZ.y;
+        u[46] = values.axisZ.z;
+        u[47] = values.particleSize;
+
+        u[48] = values.boxSize.x;
+        u[49] = values.boxSize.y;
+        u[50] = values.boxSize.z;
+        u[51] = values.streakLength;
+
+        u[52] = values.driftOffset.x;
+        u[53] = values.driftOffset.y;
+        u[54] = values.driftOffset.z;
+        u[55] = values.occlusionEnabled;
+
+        u[56] = values.velocity.x;
+        u[57] = values.velocity.y;
+        u[58] = values.velocity.z;
+        u[59] = values.occlusionSize;
+
+        u.set(values.color, 60);
+
+        u[64] = values.occlusionOffset.x;
+        u[65] = values.occlusionOffset.y;
+        u[66] = values.occlusionResolution;
+        u[67] = values.splashRate;
+
+        u[68] = values.cameraHeight;
+        u[69] = 0;
+        u[70] = 0;
+        u[71] = 0;
+    }
+
+    _getUniformStruct() {
+        return /* wgsl */`
+struct PrecipitationUniforms {
+    viewMatrix : mat4x4<f32>,
+    projectionMatrix : mat4x4<f32>,
+    cameraPosition : vec3<f32>,
+    time : f32,
+    axisX : vec3<f32>,
+    mode : f32,
+    axisUp : vec3<f32>,
+    intensity : f32,
+    axisZ : vec3<f32>,
+    particleSize : f32,
+    boxSize : vec3<f32>,
+    streakLength : f32,
+    driftOffset : vec3<f32>,
+    occlusionEnabled : f32,
+    velocity : vec3<f32>,
+    occlusionSize : f32,
+    color : vec4<f32>,
+    occlusionOffset : vec2<f32>,
+    occlusionResolution : f32,
+    splashRate : f32,
+    cameraHeight : f32,
+    _pad0 : f32,
+    _pad1 : f32,
+    _pad2 : f32,
+};
+
+@group(0) @binding(0) var<uniform> params : PrecipitationUniforms;
+
+struct VertexOutput {
+    @builtin(position) clipPosition : vec4<f32>,
+    @location(0) uv : vec2<f32>,
+    @location(1) fade : f32,
+};`;
+    }
+
+    _getVertexShader() {
+        return /* wgsl */`
+${this._getUniformStruct()}
+
+@group(0) @binding(1) var occlusionMap : texture_2d<f32>;
+
+struct VertexInput {
+    @location(0) position : vec3<f32>,
+    @location(1) normal : vec3<f32>,
+    @location(2) uv : vec2<f32>,
+    @location(3) seed : vec4<f32>,
+};
+
+const NO_GROUND : f32 = -1.0e6;
+
+// Seed position in the camera box, scrolled by the drift and wrapped around the camera
+fn wrapInBox(seed : vec3<f32>) -> vec3<f32> {
+    let p = seed * params.boxSize + params.driftOffset;
+    return p - floor(p / params.boxSize) * params.boxSize - params.boxSize * 0.5;
+}
+
+// Terrain height below a local position, relative to the camera
+fn groundHeight(local : vec3<f32>) -> f32 {
+    if (params.occlusionEnabled < 0.5) {
+        return NO_GROUND;
+    }
+    let uv = (local.xz + params.occlusionOffset) / params.occlusionSize;
+    if (uv.x < 0.0 || uv.y < 0.0 || uv.x >= 1.0 || uv.y >= 1.0) {
+        return NO_GROUND;
+    }
+    let texel = vec2<i32>(uv * params.occlusionResolution);
+    let height = textureLoad(occlusionMap, texel, 0).r;
+    if (height <= NO_GROUND) {
+        return NO_GROUND;
+    }
+    return height - params.cameraHeight;
+}
+
+fn toRenderSpace(local : vec3<f32>) -> vec3<f32> {
+    return params.cameraPosition + params.axisX * local.x + params.axisUp * local.y + params.axisZ * local.z;
+}
+
+@vertex
+fn main(input : VertexInput) -> VertexOutput {
+    var output : VertexOutput;
+    let corner = input.position.xy;
+    output.uv = input.uv;
+
+    var local = wrapInBox(input.seed.xyz);
+    let ground = groundHeight(local);
+
+    // Fade towards the box faces so wrapping particles don't pop
+    let halfBox = params.boxSize * 0.5;
+    let edge = max(abs(local.x) / halfBox.x, abs(local.z) / halfBox.z);
+    var fade = (1.0 - smoothstep(0.7, 1.0, edge)) * (1.0 - smoothstep(0.7, 1.0, abs(local.y) / halfBox.y));
+
+    var worldPos : vec3<f32>;
+    if (params.mode > 1.5) {
+        // Splash: a ring that grows and fades on the ground, restarting each cycle
+        if (ground <= NO_GROUND) {
+            output.clipPosition = vec4<f32>(2.0, 2.0, 2.0, 0.0);
+            return output;
+        }
+        let phase = fract(params.time * params.splashRate + input.seed.w);
+        local.y = ground + 0.03;
+        let radius = params.particleSize * (0.3 + phase);
+        worldPos = toRenderSpace(local) + (params.axisX * corner.x + params.axisZ * corner.y) * radius * 2.0;
+        fade *= 1.0 - phase;
+    } else {
+        if (local.y < ground) {
+            output.clipPosition = vec4<f32>(2.0, 2.0, 2.0, 0.0);
+            return output;
+        }
+
+        if (params.mode > 0.5) {
+            // Snow: camera-facing flakes that flutter as they fall
+            let t = params.time * (0.8 + input.seed.w) + input.seed.w * 6.2831853;
+            local.x += sin(t) * 0.35;
+            local.z += cos(t * 1.3) * 0.35;
+            let right = vec3<f32>(params.viewMatrix[0][0], params.viewMatrix[1][0], params.viewMatrix[2][0]);
+            let up = vec3<f32>(params.viewMatrix[0][1], params.viewMatrix[1][1], params.viewMatrix[2][1]);
+            let size = params.particleSize * (0.6 + 0.8 * input.seed.w);
+            worldPos = toRenderSpace(local) + (right * corner.x + up * corner.y) * size;
+        } else {
+            // Rain: streaks stretched along the fall velocity, turned to face the camera
+            let center = toRenderSpace(local);
+            let velocity = params.axisX * params.velocity.x + params.axisUp * params.velocity.y + params.axisZ * params.velocity.z;
+            let dir = normalize(velocity);
+            var side = cross(dir, params.cameraPosition - center);
+            if (dot(side, side) < 1e-8) {
+                side = params.axisX;
+            }
+            side = normalize(side);
+            worldPos = center + side * corner.x * params.particleSize + dir * corner.y * params.streakLength;
+        }
+    }
+
+    output.fade = fade;
+    output.clipPosition = params.projectionMatrix * params.viewMatrix * vec4<f32>(worldPos, 1.0);
+    return output;
+}`;
+    }
+
+    _getFragmentShader() {
+        return /* wgsl */`
+${this._getUniformStruct()}
+
+@fragment
+fn main(input : VertexOutput) -> @location(0) vec4<f32> {
+    var alpha = params.color.a * input.fade;
+    let c = input.uv * 2.0 - 1.0;
+    if (params.mode > 1.5) {
+        let r = length(c);
+        alpha *= smoothstep(0.55, 0.8, r) * (1.0 - smoothstep(0.8, 1.0, r));
+    } else if (params.mode > 0.5) {
+        alpha *= 1.0 - smoothstep(0.3, 1.0, length(c));
+    } else {
+        // Thin across the streak, fading towards its tail
+        alpha *= (1.0 - abs(c.x)) * smoothstep(-1.0, -0.2, c.y);
+    }
+    if (alpha < 0.003) {
+        discard;
+    }
+    return vec4<f32>(params.color.rgb, alpha);
+}`;
+    }
+}
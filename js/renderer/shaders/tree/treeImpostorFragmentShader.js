@@ -0,0 +1,55 @@
+/**
+ * Build fragment shader for octahedral tree impostors: baked albedo with
+ * coverage in alpha and object-space normals, lit like the tree mesh.
+ * @returns {string} Fragment shader code
+ */
+export function buildTreeImpostorFragmentShader() {
+    return `
+        uniform sampler2D map;
+        uniform vec4 albedoUVRect;
+        uniform vec4 normalUVRect;
+        uniform float alphaCutoff;
+
+        // Lighting uniforms
+        uniform vec3 sunLightDirection;
+        uniform vec3 sunLightColor;
+        uniform float sunLightIntensity;
+        uniform vec3 ambientLightColor;
+        uniform float ambientLightIntensity;
+        uniform vec3 skyAmbientColor;
+        uniform vec3 groundAmbientColor;
+
+        uniform vec3 fogColor;
+        uniform float fogDensity;
+
+        varying vec2 vFrameUv;
+        varying vec3 vAxisX;
+        varying vec3 vAxisY;
+        varying vec3 vAxisZ;
+        varying vec3 vWorldPosition;
+        varying float vDistanceToCamera;
+
+        vec2 atlasUv(vec4 rect, vec2 uv) {
+            return vec2(mix(rect.x, rect.z, uv.x), mix(rect.y, rect.w, uv.y));
+        }
+
+        void main() {
+            vec4 albedo = texture2D(map, atlasUv(albedoUVRect, vFrameUv));
+            if (albedo.a < alphaCutoff) discard;
+
+            vec3 objectNormal = texture2D(map, atlasUv(normalUVRect, vFrameUv)).xyz * 2.0 - 1.0;
+            vec3 N = normalize(mat3(vAxisX, vAxisY, vAxisZ) * objectNormal);
+            vec3 sun = normalize(sunLightDirection);
+            float NdLsun = max(dot(N, sun), 0.0);
+
+            float hemi = clamp(N.y * 0.5 + 0.5, 0.0, 1.0);
+            vec3 ambient = mix(groundAmbientColor, skyAmbientColor, hemi) * ambientLightIntensity;
+            vec3 light = sunLightColor * sunLightIntensity * NdLsun + ambient + vec3(0.2);
+
+            vec3 lit = albedo.rgb * light;
+
+            float fogF = 1.0 - exp(-fogDensity * vDistanceToCamera);
+            gl_FragColor = vec4(mix(lit, fogColor, clamp(fogF, 0.0, 0.8)), 1.0);
+        }
+    `;
+}
@@ -0,0 +1,68 @@
+/**
+ * Build vertex shader for octahedral tree impostors. The geometry is a unit
+ * quad; each vertex picks the baked frame nearest the view direction and
+ * spans the impostor's bounding sphere in that frame's basis (see
+ * TreeImpostorBaker).
+ * @param {boolean} isInstanced - Whether to use instancing
+ * @returns {string} Vertex shader code
+ */
+export function buildTreeImpostorVertexShader(isInstanced = true) {
+    return `
+        ${isInstanced ? '#define USE_INSTANCING' : ''}
+
+        uniform vec3 impostorCenter;
+        uniform float impostorRadius;
+        uniform float framesPerSide;
+
+        varying vec2 vFrameUv;
+        varying vec3 vAxisX;
+        varying vec3 vAxisY;
+        varying vec3 vAxisZ;
+        varying vec3 vWorldPosition;
+        varying float vDistanceToCamera;
+
+        vec2 hemiOctEncode(vec3 d) {
+            d.y = max(d.y, 0.0);
+            d /= abs(d.x) + d.y + abs(d.z);
+            return vec2(d.x + d.z, d.x - d.z);
+        }
+
+        vec3 hemiOctDecode(vec2 e) {
+            vec2 xz = vec2(e.x + e.y, e.x - e.y) * 0.5;
+            return normalize(vec3(xz.x, 1.0 - abs(xz.x) - abs(xz.y), xz.y));
+        }
+
+        void main() {
+            #ifdef USE_INSTANCING
+                mat4 objectMatrix = modelMatrix * instanceMatrix;
+            #else
+                mat4 objectMatrix = modelMatrix;
+            #endif
+            mat3 objectRotation = mat3(objectMatrix);
+
+            // View direction in object space, snapped to the nearest frame
+            vec3 centerWorld = (objectMatrix * vec4(impostorCenter, 1.0)).xyz;
+            vec3 viewDir = normalize(inverse(objectRotation) * (cameraPosition - centerWorld));
+            vec2 grid = (hemiOctEncode(viewDir) * 0.5 + 0.5) * (framesPerSide - 1.0);
+            vec2 frame = clamp(floor(grid + 0.5), vec2(0.0), vec2(framesPerSide - 1.0));
+            vec3 frameDir = hemiOctDecode(frame / (framesPerSide - 1.0) * 2.0 - 1.0);
+
+            vec3 right = abs(frameDir.y) > 0.999
+                ? vec3(1.0, 0.0, 0.0)
+                : normalize(cross(vec3(0.0, 1.0, 0.0), frameDir));
+            vec3 up = cross(frameDir, right);
+            vec3 local = impostorCenter + (right * position.x + up * position.y) * impostorRadius * 2.0;
+
+            vFrameUv = (frame + uv) / framesPerSide;
+            vAxisX = normalize(objectRotation[0]);
+            vAxisY = normalize(objectRotation[1]);
+            vAxisZ = normalize(objectRotation[2]);
+
+            vec4 worldPos = objectMatrix * vec4(local, 1.0);
+            vWorldPosition = worldPos.xyz;
+            vDistanceToCamera = length(cameraPosition - worldPos.xyz);
+
+            gl_Position = projectionMatrix * viewMatrix * worldPos;
+        }
+    `;
+}
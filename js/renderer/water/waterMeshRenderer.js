@@ -0,0 +1,115 @@
+// js/renderer/water/waterMeshRenderer.js
+// Draws the river ribbons and lake surfaces built by WaterMeshManager.
+// Each mesh stores float32 positions relative to its chunk corner
+// (worldOrigin, double precision) and is moved into render space by
+// worldOrigin - renderOrigin per draw. Meshes get their material on first
+// draw; WaterMeshManager releases it with the mesh.
+// Subclasses build the backend material and write the uniforms.
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+
+// Uniform `kind` per mesh
+export const WaterMeshKind = {
+    RIVER: 0,
+    LAKE: 1
+};
+
+export class WaterMeshRenderer {
+    constructor(backend, config = {}) {
+        this.backend = backend;
+        this.enabled = true;
+        this.initialized = false;
+
+        this.config = {
+            riverColor: config.riverColor || [0.10, 0.28, 0.32, 0.85],
+            lakeColor: config.lakeColor || [0.06, 0.20, 0.30, 0.9],
+            // Downstream texture scroll in river widths per second
+            flowSpeed: config.flowSpeed ?? 0.6,
+            // Meshes whose bounds are farther than this from the camera are skipped
+            maxDistance: config.maxDistance ?? 6000
+        };
+
+        this.time = 0;
+        this._anchorOffset = new THREE.Vector3();
+        this._sunDirection = new THREE.Vector3(0, 1, 0);
+    }
+
+    async initialize() {
+        this.initialized = true;
+    }
+
+    update(deltaTime) {
+        if (Number.isFinite(deltaTime) && deltaTime > 0) {
+            this.time += Math.min(deltaTime, 0.1);
+        }
+    }
+
+    /**
+     * @param {Map} loadedChunks - MasterChunkLoader.loadedChunks
+     * @param {Object} camera - frontend camera (render-space matrices)
+     * @param {THREE.Vector3} renderOrigin - FloatingOrigin.origin
+     * @param {THREE.Vector3} [sunDirection]
+     */
+    render(loadedChunks, camera, renderOrigin, sunDirection = null) {
+        if (!this.enabled || !this.initialized || !loadedChunks) return;
+        if (sunDirection) this._sunDirection.copy(sunDirection).normalize();
+
+        const maxDistSq = this.config.maxDistance * this.config.maxDistance;
+        for (const entry of loadedChunks.values()) {
+            if (!entry.waterMeshes || entry.waterMeshes.length === 0) continue;
+
+            for (const mesh of entry.waterMeshes) {
+                if (!mesh.geometry || !mesh.geometry.index) continue;
+
+                this._anchorOffset.copy(mesh.worldOrigin);
+                if (renderOrigin) this._anchorOffset.sub(renderOrigin);
+                if (!this._isNear(mesh, camera, maxDistSq)) continue;
+
+                if (!mesh.material) {
+                    mesh.material = this._createMaterial(mesh.name);
+                    if (this.backend.compileShader) this.backend.compileShader(mesh.material);
+                }
+                this._writeUniforms(mesh.material, this.getUniformValues(mesh, camera));
+                this.backend.draw(mesh.geometry, mesh.material);
+            }
+        }
+    }
+
+    _isNear(mesh, camera, maxDistSq) {
+        const sphere = mesh.geometry.boundingSphere;
+        if (!sphere) return true;
+        const dx = this._anchorOffset.x + sphere.center.x - camera.position.x;
+        const dy = this._anchorOffset.y + sphere.center.y - camera.position.y;
+        const dz = this._anchorOffset.z + sphere.center.z - camera.position.z;
+        const reach = Math.sqrt(maxDistSq) + sphere.radius;
+        return dx * dx + dy * dy + dz * dz <= reach * reach;
+    }
+
+    /**
+     * Values shared by both backends; anchorOffset must already be set.
+     */
+    getUniformValues(mesh, camera) {
+        const isLake = mesh.userData?.type === 'lake';
+        return {
+            viewMatrix: camera.matrixWorldInverse,
+            projectionMatrix: camera.projectionMatrix,
+            anchorOffset: this._anchorOffset,
+            time: this.time,
+            cameraPosition: camera.position,
+            kind: isLake ? WaterMeshKind.LAKE : WaterMeshKind.RIVER,
+            sunDirection: this._sunDirection,
+            flowSpeed: isLake ? 0 : this.config.flowSpeed,
+            waterColor: isLake ? this.config.lakeColor : this.config.riverColor
+        };
+    }
+
+    _createMaterial(name) {
+        return null;
+    }
+
+    _writeUniforms(material, values) {}
+
+    cleanup() {
+        this.time = 0;
+    }
+}
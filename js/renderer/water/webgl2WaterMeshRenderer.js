@@ -0,0 +1,113 @@
+// js/renderer/water/webgl2WaterMeshRenderer.js
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { WaterMeshRenderer } from './waterMeshRenderer.js';
+import { Material } from '../resources/material.js';
+
+export class WebGL2WaterMeshRenderer extends WaterMeshRenderer {
+    _createMaterial(name) {
+        return new Material({
+            name: `WaterMesh_${name}_WebGL2`,
+            vertexShader: this._getVertexShader(),
+            fragmentShader: this._getFragmentShader(),
+            uniforms: {
+                viewMatrix: { value: new THREE.Matrix4() },
+                projectionMatrix: { value: new THREE.Matrix4() },
+                anchorOffset: { value: new THREE.Vector3() },
+                time: { value: 0 },
+                cameraPosition: { value: new THREE.Vector3() },
+                kind: { value: 0 },
+                sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+                flowSpeed: { value: 0 },
+                waterColor: { value: new THREE.Vector4() }
+            },
+            transparent: true,
+            depthTest: true,
+            depthWrite: false,
+            side: 'double'
+        });
+    }
+
+    _writeUniforms(material, values) {
+        const u = material.uniforms;
+        u.viewMatrix.value.copy(values.viewMatrix);
+        u.projectionMatrix.value.copy(values.projectionMatrix);
+        u.anchorOffset.value.copy(values.anchorOffset);
+        u.time.value = values.time;
+        u.cameraPosition.value.copy(values.cameraPosition);
+        u.kind.value = values.kind;
+        u.sunDirection.value.copy(values.sunDirection);
+        u.flowSpeed.value = values.flowSpeed;
+        u.waterColor.value.fromArray(values.waterColor);
+    }
+
+    _getVertexShader() {
+        return `#version 300 es
+precision highp float;
+
+in vec3 position;
+in vec3 normal;
+in vec2 uv;
+
+uniform mat4 viewMatrix;
+uniform mat4 projectionMatrix;
+uniform vec3 anchorOffset;
+
+out vec3 vRenderPosition;
+out vec3 vNormal;
+out vec2 vUv;
+
+void main() {
+    vRenderPosition = position + anchorOffset;
+    vNormal = normal;
+    vUv = uv;
+    gl_Position = projectionMatrix * viewMatrix * vec4(vRenderPosition, 1.0);
+}
+`;
+    }
+
+    _getFragmentShader() {
+        return `#version 300 es
+precision highp float;
+
+in vec3 vRenderPosition;
+in vec3 vNormal;
+in vec2 vUv;
+
+uniform float time;
+uniform vec3 cameraPosition;
+uniform float kind;
+uniform vec3 sunDirection;
+uniform float flowSpeed;
+uniform vec4 waterColor;
+
+out vec4 fragColor;
+
+void main() {
+    vec3 n = normalize(vNormal);
+    vec3 viewDir = normalize(cameraPosition - vRenderPosition);
+
+    // Rivers: streaks scrolling downstream (uv.y is distance in widths);
+    // lakes: slow ripples over the chunk uv
+    float ripple;
+    float edge = 1.0;
+    if (kind < 0.5) {
+        float along = vUv.y - time * flowSpeed;
+        ripple = sin(along * 6.2831 + sin(vUv.x * 9.0 + along * 2.0));
+        edge = smoothstep(0.0, 0.15, vUv.x) * (1.0 - smoothstep(0.85, 1.0, vUv.x));
+    } else {
+        vec2 p = vUv * 64.0;
+        ripple = sin(p.x + time * 0.7) * sin(p.y - time * 0.5);
+    }
+
+    float fresnel = pow(1.0 - max(dot(n, viewDir), 0.0), 5.0);
+    vec3 reflected = reflect(-normalize(sunDirection), n);
+    float specular = pow(max(dot(reflected, viewDir), 0.0), 64.0);
+
+    vec3 color = mix(waterColor.rgb, vec3(0.55, 0.68, 0.8), fresnel * 0.6);
+    color += ripple * 0.03 + specular * 0.6;
+    fragColor = vec4(color, waterColor.a * edge);
+}
+`;
+    }
+}
@@ -0,0 +1,137 @@
+// js/renderer/water/webgpuWaterMeshRenderer.js
+
+import { WaterMeshRenderer } from './waterMeshRenderer.js';
+import { Material } from '../resources/material.js';
+
+const UNIFORM_FLOATS = 48;
+
+export class WebGPUWaterMeshRenderer extends WaterMeshRenderer {
+    _createMaterial(name) {
+        return new Material({
+            name: `WaterMesh_${name}_WebGPU`,
+            vertexShader: this._getVertexShader(),
+            fragmentShader: this._getFragmentShader(),
+            vertexLayout: [
+                { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }] },
+                { arrayStride: 12, stepMode: 'vertex', attributes: [{ shaderLocation: 1, offset: 0, format: 'float32x3' }] },
+                { arrayStride: 8, stepMode: 'vertex', attributes: [{ shaderLocation: 2, offset: 0, format: 'float32x2' }] }
+            ],
+            bindGroupLayoutSpec: [
+                {
+                    label: 'WaterMeshParams',
+                    entries: [
+                        { binding: 0, visibility: 'vertex|fragment', buffer: { type: 'uniform' }, name: 'waterMeshUniforms' }
+                    ]
+                }
+            ],
+            uniforms: {
+                waterMeshUniforms: { value: new Float32Array(UNIFORM_FLOATS) }
+            },
+            transparent: true,
+            depthTest: true,
+            depthWrite: false,
+            side: 'double'
+        });
+    }
+
+    _writeUniforms(material, values) {
+        const u = material.uniforms.waterMeshUniforms.value;
+        u.set(values.viewMatrix.elements, 0);
+        u.set(values.projectionMatrix.elements, 16);
+
+        u[32] = values.anchorOffset.x;
+        u[33] = values.anchorOffset.y;
+        u[34] = values.anchorOffset.z;
+        u[35] = values.time;
+
+        u[36] = values.cameraPosition.x;
+        u[37] = values.cameraPosition.y;
+        u[38] = values.cameraPosition.z;
+        u[39] = values.kind;
+
+        u[40] = values.sunDirection.x;
+        u[41] = values.sunDirection.y;
+        u[42] = values.sunDirection.z;
+        u[43] = values.flowSpeed;
+
+        u.set(values.waterColor, 44);
+    }
+
+    _getUniformStruct() {
+        return /* wgsl */`
+struct WaterMeshUniforms {
+    viewMatrix : mat4x4<f32>,
+    projectionMatrix : mat4x4<f32>,
+    anchorOffset : vec3<f32>,
+    time : f32,
+    cameraPosition : vec3<f32>,
+    kind : f32,
+    sunDirection : vec3<f32>,
+    flowSpeed : f32,
+    waterColor : vec4<f32>,
+};
+
+@group(0) @binding(0) var<uniform> params : WaterMeshUniforms;
+
+struct VertexOutput {
+    @builtin(position) clipPosition : vec4<f32>,
+    @location(0) renderPosition : vec3<f32>,
+    @location(1) normal : vec3<f32>,
+    @location(2) uv : vec2<f32>,
+};`;
+    }
+
+    _getVertexShader() {
+        return /* wgsl */`
+${this._getUniformStruct()}
+
+struct VertexInput {
+    @location(0) position : vec3<f32>,
+    @location(1) normal : vec3<f32>,
+    @location(2) uv : vec2<f32>,
+};
+
+@vertex
+fn main(input : VertexInput) -> VertexOutput {
+    var output : VertexOutput;
+    let renderPosition = input.position + params.anchorOffset;
+    output.clipPosition = params.projectionMatrix * params.viewMatrix * vec4<f32>(renderPosition, 1.0);
+    output.renderPosition = renderPosition;
+    output.normal = input.normal;
+    output.uv = input.uv;
+    return output;
+}`;
+    }
+
+    _getFragmentShader() {
+        return /* wgsl */`
+${this._getUniformStruct()}
+
+@fragment
+fn main(input : VertexOutput) -> @location(0) vec4<f32> {
+    let n = normalize(input.normal);
+    let viewDir = normalize(params.cameraPosition - input.renderPosition);
+
+    // Rivers: streaks scrolling downstream (uv.y is distance in widths);
+    // lakes: slow ripples over the chunk uv
+    var ripple : f32;
+    var edge = 1.0;
+    if (params.kind < 0.5) {
+        let along = input.uv.y - params.time * params.flowSpeed;
+        ripple = sin(along * 6.2831 + sin(input.uv.x * 9.0 + along * 2.0));
+        edge = smoothstep(0.0, 0.15, input.uv.x) * (1.0 - smoothstep(0.85, 1.0, input.uv.x));
+    } else {
+        let p = input.uv * 64.0;
+        ripple = sin(p.x + params.time * 0.7) * sin(p.y - params.time * 0.5);
+    }
+
+    let fresnel = pow(1.0 - max(dot(n, viewDir), 0.0), 5.0);
+    let reflected = reflect(-normalize(params.sunDirection), n);
+    let specular = pow(max(dot(reflected, viewDir), 0.0), 64.0);
+
+    var color = mix(params.waterColor.rgb, vec3<f32>(0.55, 0.68, 0.8), fresnel * 0.6);
+    color += vec3<f32>(ripple * 0.03 + specular * 0.6);
+    return vec4<f32>(color, params.waterColor.a * edge);
+}`;
+    }
+}
@@ -1,6 +1,7 @@
 // ./js/renderer/water/WaterRenderer.js
 import { BaseRenderer } from './BaseRenderer.js';
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { Texture, TextureFormat, TextureFilter, TextureWrap } from './resources/texture.js';
 
 export class WaterRenderer extends BaseRenderer {
     constructor(uniformManager) {
@@ -9,30 +10,53 @@ export class WaterRenderer extends BaseRenderer {
         this.globalTime = 0;
         this.lastFrameTime = null;
         this.maxDeltaTime = 0.1;
-    }
+        this.defaultWaterLevel = 8.0;
 
-    render(loadedChunks, gameState, camera, environmentState) {
-        if (!loadedChunks || loadedChunks.length === 0) return;
-    
-        for (const chunkEntry of loadedChunks) {
-            if (!chunkEntry.waterMeshes || chunkEntry.waterMeshes.length === 0) continue;
-    
-            for (const waterMesh of chunkEntry.waterMeshes) {
-                const material = waterMesh.material;
-                if (!material || !material.uniforms) continue;
-                
-             
-                material.uniforms.time.value = this.globalTime;
-                
-                this.updateWaterUniforms(material, environmentState);
-                
-                // Distance culling
-                if (camera) {
-                    const distance = camera.position.distanceTo(waterMesh.position);
-                    waterMesh.visible = distance <= 1000;
-                }
-            }
-        }
+        // Same uniform shape as WaterMaterialFactory materials so updateWaterUniforms() drives both
+        this.screenSpaceUniforms = {
+            windDirection: { value: new THREE.Vector2(1, 0) },
+            windSpeed: { value: 5.0 },
+            waveHeight: { value: 0.35 },
+            waveFrequency: { value: 0.8 },
+            foamIntensity: { value: 0.9 },
+            foamDepthEnd: { value: 2.5 }
+        };
+
+        // Water surface heights around the camera for the screen-space pass:
+        // res x res texels over size meters along the ground axes, 16-bit
+        // levels between min and max packed into r/g, a = 0 where no chunk
+        // is loaded. Refilled when the camera leaves the middle of the map or
+        // new chunks load.
+        this.waterMap = {
+            resolution: 128,
+            size: 4096,
+            refreshInterval: 500,
+            enabled: false,
+            center: new THREE.Vector3(),
+            axisX: new THREE.Vector3(1, 0, 0),
+            axisZ: new THREE.Vector3(0, 0, 1),
+            min: 0,
+            range: 1,
+            spherical: false,
+            chunkCount: -1,
+            lastRefresh: -Infinity
+        };
+        const res = this.waterMap.resolution;
+        this._waterMapLevels = new Float32Array(res * res);
+        this.waterLevelMap = new Texture({
+            width: res,
+            height: res,
+            format: TextureFormat.RGBA8,
+            minFilter: TextureFilter.NEAREST,
+            magFilter: TextureFilter.NEAREST,
+            wrapS: TextureWrap.CLAMP,
+            wrapT: TextureWrap.CLAMP,
+            generateMipmaps: false,
+            data: new Uint8Array(res * res * 4)
+        });
+        this._pole = new THREE.Vector3(0, 1, 0);
+        this._samplePoint = new THREE.Vector3();
+        this._planetOrigin = new THREE.Vector3();
     }
 
     updateWaterUniforms(material, environmentState) {
@@ -110,6 +134,156 @@ export class WaterRenderer extends BaseRenderer {
         }
     }
 
+    /**
+     * Water surface height (chunk height units) under a world position:
+     * ChunkData.getWaterHeight() of the chunk below, found by its flat
+     * "x,y" key or, on planets, through the quadtree leaf lookup of
+     * ChunkManager.getSphericalWaterHeight(). Null when that chunk isn't
+     * loaded.
+     */
+    getWaterLevelAt(terrain, worldPosition, chunkManager = null) {
+        if (chunkManager?.useSphericalProjection) {
+            return chunkManager.getSphericalWaterHeight(worldPosition);
+        }
+        if (!terrain || terrain.size === 0) return null;
+
+        const size = terrain.values().next().value?.size;
+        if (!size) return null;
+
+        const chunkX = Math.floor(worldPosition.x / size);
+        const chunkY = Math.floor(worldPosition.z / size);
+        const chunk = terrain.get(`${chunkX},${chunkY}`);
+        return chunk?.getWaterHeight?.(worldPosition.x - chunkX * size, worldPosition.z - chunkY * size) ?? null;
+    }
+
+    /**
+     * Refill the water level map around the camera when it has moved a
+     * quarter of the map from its center, or chunks loaded or unloaded
+     * (at most every refreshInterval ms). Levels are world meters along
+     * the map's up axis: world y on flat terrain, altitude above the
+     * radius on planets.
+     */
+    updateWaterLevelMap(cameraWorld, { terrain, chunkManager = null, heightScale = 1.0, planetOrigin = null } = {}) {
+        const map = this.waterMap;
+        const spherical = !!planetOrigin && !!chunkManager?.useSphericalProjection;
+        const chunkCount = terrain?.size ?? 0;
+        const now = performance.now();
+
+        const moved = cameraWorld.distanceTo(map.center) > map.size * 0.25;
+        const reloaded = chunkCount !== map.chunkCount && now - map.lastRefresh > map.refreshInterval;
+        const first = map.chunkCount < 0;
+        if (!first && spherical === map.spherical && !moved && !reloaded) return false;
+
+        map.center.copy(cameraWorld);
+        map.spherical = spherical;
+        map.chunkCount = chunkCount;
+        map.lastRefresh = now;
+        if (spherical) {
+            const up = this._samplePoint.subVectors(cameraWorld, planetOrigin).normalize();
+            map.axisX.crossVectors(this._pole, up);
+            if (map.axisX.lengthSq() < 1e-8) map.axisX.set(1, 0, 0);
+            map.axisX.normalize();
+            map.axisZ.crossVectors(up, map.axisX);
+        } else {
+            map.axisX.set(1, 0, 0);
+            map.axisZ.set(0, 0, 1);
+        }
+
+        const res = map.resolution;
+        const texel = map.size / res;
+        const levels = this._waterMapLevels;
+        let min = Infinity;
+        let max = -Infinity;
+        for (let y = 0; y < res; y++) {
+            const dz = (y + 0.5) * texel - map.size * 0.5;
+            for (let x = 0; x < res; x++) {
+                const dx = (x + 0.5) * texel - map.size * 0.5;
+                const point = this._samplePoint.copy(map.center)
+                    .addScaledVector(map.axisX, dx)
+                    .addScaledVector(map.axisZ, dz);
+                const height = this.getWaterLevelAt(terrain, point, spherical ? chunkManager : null);
+                const level = height === null || height === undefined ? NaN : height * heightScale;
+                levels[y * res + x] = level;
+                if (level < min) min = level;
+                if (level > max) max = level;
+            }
+        }
+
+        map.enabled = min <= max;
+        if (!map.enabled) return true;
+        map.min = min;
+        map.range = Math.max(max - min, 1e-3);
+
+        const data = this.waterLevelMap.data;
+        for (let i = 0; i < levels.length; i++) {
+            const level = levels[i];
+            if (Number.isNaN(level)) {
+                data[i * 4 + 3] = 0;
+                continue;
+            }
+            const q = Math.round((level - min) / map.range * 65535);
+            data[i * 4] = q >> 8;
+            data[i * 4 + 1] = q & 255;
+            data[i * 4 + 2] = 0;
+            data[i * 4 + 3] = 255;
+        }
+        this.waterLevelMap.setData(data, res, res);
+        return true;
+    }
+
+    /**
+     * Feed the screen-space WaterPass for this frame: wind/wave/foam from the
+     * environment, the sea level, the water level map around the camera and
+     * the sky environment map.
+     */
+    updateScreenSpace(waterPass, { camera, terrain, chunkManager = null, seaLevel = null, environmentState, sunDirection, heightScale = 1.0, planetCenter = null, planetRadius = 0, environmentTexture = null } = {}) {
+        if (!waterPass) return;
+
+        const u = this.screenSpaceUniforms;
+        this.updateWaterUniforms({ uniforms: u }, environmentState);
+
+        waterPass.time = this.globalTime;
+        waterPass.windDirection.copy(u.windDirection.value);
+        waterPass.windSpeed = u.windSpeed.value;
+        waterPass.waveHeight = u.waveHeight.value;
+        waterPass.waveFrequency = u.waveFrequency.value;
+        waterPass.foamIntensity = u.foamIntensity.value;
+        waterPass.foamDepthEnd = u.foamDepthEnd.value;
+
+        waterPass.heightScale = heightScale;
+        waterPass.waterLevel = seaLevel ?? this.defaultWaterLevel;
+        if (planetCenter) {
+            waterPass.planetCenter.copy(planetCenter);
+        }
+        waterPass.planetRadius = planetRadius;
+
+        if (camera) {
+            // Chunk lookups are in world space; the pass draws relative to the floating origin
+            const cameraWorld = camera.worldPosition || camera.position;
+            const renderOrigin = camera.renderOrigin || null;
+            waterPass.renderOriginHeight = renderOrigin?.y ?? 0;
+
+            const spherical = planetRadius > 0 && !!planetCenter;
+            if (spherical) {
+                this._planetOrigin.copy(planetCenter);
+                if (renderOrigin) this._planetOrigin.add(renderOrigin);
+            }
+            this.updateWaterLevelMap(cameraWorld, {
+                terrain,
+                chunkManager,
+                heightScale,
+                planetOrigin: spherical ? this._planetOrigin : null
+            });
+            waterPass.setWaterLevelMap(this.waterLevelMap, this.waterMap, renderOrigin);
+        }
+
+        if (sunDirection) {
+            waterPass.sunDirection.copy(sunDirection).normalize();
+        }
+        waterPass.sunIntensity = environmentState?.sunLightIntensity ?? 1.0;
+        waterPass.environmentTexture = environmentTexture;
+    }
+
     // Called by renderer with deltaTime
     update(deltaTime) {
         // Validate deltaTime
@@ -155,5 +329,7 @@ export class WaterRenderer extends BaseRenderer {
     cleanup() {
         this.globalTime = 0;
         this.lastFrameTime = null;
+        this.waterMap.enabled = false;
+        this.waterMap.chunkCount = -1;
     }
 }
\ No newline at end of file
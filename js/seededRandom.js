@@ -0,0 +1,66 @@
+// js/seededRandom.js
+// Small seedable PRNG (mulberry32) for simulation code that has to replay
+// the same way from the same seed: weather, wind, lightning. The whole state
+// is one 32-bit integer, so it can be saved and restored with getState().
+
+export class SeededRandom {
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence. Any number (or string) is hashed to a 32-bit state.
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = SeededRandom.hashSeed(seed);
+        return this;
+    }
+
+    static hashSeed(seed) {
+        const text = String(seed);
+        let h = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * @returns {number} uniform in [0, 1)
+     */
+    next() {
+        let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Independent stream derived from this seed, so adding draws to one
+     * system doesn't shift the sequence of another.
+     */
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -1,21 +1,111 @@
 import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
-import { RenderTarget } from '../renderer/resources/RenderTarget.js';
-import { Material } from '../renderer/resources/material.js';
+import { RenderTarget } from '../renderer/resources/renderTarget.js';
 import { TextureFormat, TextureFilter } from '../renderer/resources/texture.js';
+import { ShadowCasterPass } from './shadowCasterPass.js';
+import { CASCADED_SHADOW_CONFIG } from '../config/shadowConfig.js';
+
+// Receivers have three cascade slots
+const MAX_CASCADES = 3;
+
+// Cascade radii are rounded up to this, so float noise in the slice fit
+// never changes the texel size
+const RADIUS_QUANTUM = 1 / 16;
+
+// WebGPU clips depth to [0, w]: squeeze the GL projection's [-w, w] into it,
+// so both backends store the same window depth
+const WEBGPU_DEPTH_REMAP = new THREE.Matrix4().set(
+    1, 0, 0, 0,
+    0, 1, 0, 0,
+    0, 0, 0.5, 0.5,
+    0, 0, 0, 1
+);
+
+/**
+ * Far view depth of each cascade.
+ * @param {number} near
+ * @param {number} far
+ * @param {number} count
+ * @param {string} scheme - 'log', 'linear', 'pssm' or 'manual'
+ * @param {number} lambda - PSSM blend: 1 is log, 0 linear
+ * @param {number[]} manualSplits - used by 'manual'
+ * @returns {number[]}
+ */
+export function computeCascadeSplits(near, far, count, scheme = 'pssm', lambda = 0.75, manualSplits = []) {
+    const splits = [];
+    for (let i = 1; i <= count; i++) {
+        const t = i / count;
+        const log = near * Math.pow(far / near, t);
+        const linear = near + (far - near) * t;
+
+        switch (scheme) {
+            case 'log':
+                splits.push(log);
+                break;
+            case 'linear':
+                splits.push(linear);
+                break;
+            case 'manual':
+                splits.push(manualSplits[i - 1] ?? far);
+                break;
+            default:
+                splits.push(lambda * log + (1 - lambda) * linear);
+        }
+    }
+    return splits;
+}
 
+/**
+ * Cascaded sun shadows over the terrain, drawn by a ShadowCasterPass.
+ *
+ * Each cascade is the bounding sphere of its view depth slice; the sphere's
+ * radius only depends on the split and the camera's fov/aspect, and its
+ * centre is snapped to whole texels along the light's axes, so edges don't
+ * swim as the camera moves or turns. The fit is kept in world space and
+ * rebased on the render origin every frame.
+ *
+ * Near cascades are redrawn every update. The last `cachedCascades` are
+ * fitted with a margin and kept until the camera's slice leaves them, the
+ * sun turns past `sunUpdateThreshold` or their casters change (chunks
+ * loaded, unloaded or swapped); `invalidate()` forces a redraw.
+ */
 export class CascadedShadowMapRenderer {
     constructor(backend, options = {}) {
         this.backend = backend;
         this.apiName = backend.getAPIName?.() || 'webgl2';
 
-        this.numCascades = options.numCascades || 3;
-        this.shadowMapSize = options.shadowMapSize || 2048;
-        this.cascadeSplits = options.cascadeSplits || [30, 90, 200];
+        const config = { ...CASCADED_SHADOW_CONFIG, ...options };
+        this.numCascades = Math.min(config.numCascades, MAX_CASCADES);
+        this.shadowMapSize = config.shadowMapSize;
+        this.splitScheme = config.splitScheme;
+        this.splitLambda = config.splitLambda;
+        this.manualSplits = config.cascadeSplits;
+        this.maxShadowDistance = config.maxShadowDistance;
+        this.casterDistance = config.casterDistance;
+        this.cachedCascades = THREE.MathUtils.clamp(config.cachedCascades, 0, this.numCascades);
+        this.cacheMargin = config.cacheMargin;
+        this.sunUpdateCos = Math.cos(THREE.MathUtils.degToRad(config.sunUpdateThreshold));
+
+        this.shadowBias = config.depthBias;
+        this.shadowNormalBias = config.normalBias;
+        this.blendBand = config.blendBand;
+        this.filter = config.filter;
+        this.pcfRadius = config.pcfRadius;
+        this.penumbraScale = Math.tan(THREE.MathUtils.degToRad(config.sunAngularRadius));
+
+        this.splits = [];
+        this.cascades = [];
+        this.casterPass = null;
+        this.paramsBuffer = null;
+        this._paramsData = new Float32Array(68);
 
-        this.shadowBias = 0.0005;
-        this.shadowNormalBias = 0.05;
+        this._cameraToRender = new THREE.Matrix4();
+        this._forward = new THREE.Vector3();
+        this._sliceCenter = new THREE.Vector3();
+        this._lightSpace = new THREE.Vector3();
+        this._world = new THREE.Matrix4();
+        this._zero = new THREE.Vector3();
 
-        this.cascades = [];
+        this.frameCount = 0;
         this.initialized = false;
     }
 
@@ -27,57 +117,11 @@ export class CascadedShadowMapRenderer {
         }
 
         const shaders = await this._loadShaders();
-   
-this.depthMaterial = new Material({
-    vertexShader: shaders.vertexShader,
-    fragmentShader: shaders.fragmentShader,
-    uniforms: {
-        modelMatrix: { value: new THREE.Matrix4() },
-        viewMatrix: { value: new THREE.Matrix4() },
-        projectionMatrix: { value: new THREE.Matrix4() }
-    },
-    side: 'double',
-    vertexLayout: this.apiName === 'webgpu' ? [
-        {
-            arrayStride: 12,
-            stepMode: 'vertex',
-            attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }]
-        }
-    ] : undefined
-});
-
-this.instancedDepthMaterial = new Material({
-    vertexShader: shaders.instancedVertexShader,
-    fragmentShader: shaders.fragmentShader,
-    uniforms: {
-        modelMatrix: { value: new THREE.Matrix4() },
-        viewMatrix: { value: new THREE.Matrix4() },
-        projectionMatrix: { value: new THREE.Matrix4() }
-    },
-    side: 'double',
-    vertexLayout: this.apiName === 'webgpu' ? [
-        // Position
-        {
-            arrayStride: 12,
-            stepMode: 'vertex',
-            attributes: [{ shaderLocation: 0, offset: 0, format: 'float32x3' }]
-        },
-        // Instance matrix (4 slots)
-        {
-            arrayStride: 64,
-            stepMode: 'instance',
-            attributes: [
-                { shaderLocation: 1, offset: 0,  format: 'float32x4' },
-                { shaderLocation: 2, offset: 16, format: 'float32x4' },
-                { shaderLocation: 3, offset: 32, format: 'float32x4' },
-                { shaderLocation: 4, offset: 48, format: 'float32x4' }
-            ]
-        }
-    ] : undefined
-});
+        this.casterPass = new ShadowCasterPass(this.backend, shaders.fragmentShader);
 
-        this.backend.compileShader(this.depthMaterial);
-        this.backend.compileShader(this.instancedDepthMaterial);
+        if (this.apiName === 'webgpu') {
+            this.paramsBuffer = this.backend.createBuffer(this._paramsData, 'uniform');
+        }
 
         this.frameCount = 0;
         this.initialized = true;
@@ -88,71 +132,108 @@ this.instancedDepthMaterial = new Material({
     async _loadShaders() {
         if (this.apiName === 'webgpu') {
             const module = await import('./shaders/webgpu/shadow.js');
-            return {
-                vertexShader: module.shadowDepthVertex,
-                fragmentShader: module.shadowDepthFragment,
-                instancedVertexShader: module.shadowDepthInstancedVertex
-            };
+            return { fragmentShader: module.casterDepthFragment };
         } else {
             const module = await import('./shaders/webgl2/shadow.js');
-            return {
-                vertexShader: module.shadowDepthVertex,
-                fragmentShader: module.shadowDepthFragment,
-                instancedVertexShader: module.shadowDepthInstancedVertex
-            };
+            return { fragmentShader: module.casterDepthFragment };
         }
     }
-    
 
     createCascade(index) {
-        const sizes = [4096, 2048, 1024];
-        const size = sizes[index] || 2048;
-    
-        const cascade = {
+        const size = this.shadowMapSize;
+
+        return {
             index: index,
-            camera: {
-                left: -50,
-                right: 50,
-                top: 50,
-                bottom: -50,
-                near: 0.5,
-                far: 500,
-                position: new THREE.Vector3(),
-                projectionMatrix: new THREE.Matrix4(),
-                matrixWorldInverse: new THREE.Matrix4()
-            },
+            cached: index >= this.numCascades - this.cachedCascades,
             renderTarget: new RenderTarget(size, size, {
-                format: TextureFormat.RGBA8,
-                minFilter: TextureFilter.LINEAR,
-                magFilter: TextureFilter.LINEAR,
-                depthBuffer: true
+                format: TextureFormat.R8,
+                depthFormat: TextureFormat.DEPTH32F,
+                minFilter: TextureFilter.NEAREST,
+                magFilter: TextureFilter.NEAREST
             }),
+            split: { near: 0, far: 0 },
+            // World-space fit
+            lightDirection: new THREE.Vector3(),
+            rotation: new THREE.Matrix4(),
+            center: new THREE.Vector3(),
+            eye: new THREE.Vector3(),
+            radius: 0,
+            texelSize: 0,
+            depthRange: 0,
+            // Render-space matrices
+            renderEye: new THREE.Vector3(),
+            viewMatrix: new THREE.Matrix4(),
+            projectionMatrix: new THREE.Matrix4(),
+            drawProjectionMatrix: new THREE.Matrix4(),
             shadowMatrix: new THREE.Matrix4(),
-            split: {
-                near: index === 0 ? 0 : this.cascadeSplits[index - 1],
-                far: this.cascadeSplits[index]
-            },
+            // Geometries drawn at the last render
+            casters: new Set(),
+            valid: false,
             shadowMapSize: size,
             lastUpdateFrame: 0
         };
-    
-        return cascade;
     }
 
-    async renderCascades(scene, lightDirection, cameraPosition, camera) {
+    setSplitScheme(scheme, lambda = this.splitLambda) {
+        this.splitScheme = scheme;
+        this.splitLambda = lambda;
+        this.invalidate();
+    }
+
+    setFilter(filter) {
+        this.filter = filter;
+    }
+
+    /**
+     * Redraw every cascade at the next update.
+     */
+    invalidate() {
+        for (const cascade of this.cascades) {
+            cascade.valid = false;
+        }
+    }
+
+    /**
+     * @param {Iterable<Object>} terrainChunks - TerrainMeshManager mesh entries
+     * @param {THREE.Vector3} lightDirection - towards the sun
+     * @param {Object} camera - frontend camera (render-space matrixWorldInverse)
+     * @param {THREE.Vector3} renderOrigin
+     */
+    async renderCascades(terrainChunks, lightDirection, camera, renderOrigin) {
         if (!this.initialized) {
             await this.initialize();
         }
 
         this.frameCount++;
+        this._updateSplits(camera);
+
+        this._cameraToRender.copy(camera.matrixWorldInverse).invert();
+        this._forward.setFromMatrixColumn(this._cameraToRender, 2).negate().normalize();
+
+        const sunDirection = lightDirection.clone().normalize();
+        const chunks = ShadowCasterPass.collectCasters(terrainChunks);
+
+        for (const cascade of this.cascades) {
+            const sliceRadius = this._fitSlice(cascade, camera);
 
-        this.renderCascade(scene, lightDirection, cameraPosition, camera, this.cascades[0]);
-        this.renderCascade(scene, lightDirection, cameraPosition, camera, this.cascades[1]);
+            let redraw = !cascade.cached || !cascade.valid ||
+                cascade.lightDirection.dot(sunDirection) < this.sunUpdateCos ||
+                !this._containsSlice(cascade, sliceRadius);
 
-        if (this.frameCount % 2 === 0) {
-            this.renderCascade(scene, lightDirection, cameraPosition, camera, this.cascades[2]);
+            if (redraw) {
+                const radius = cascade.cached ? sliceRadius * (1 + this.cacheMargin) : sliceRadius;
+                this._fitCascade(cascade, sunDirection, radius);
+            }
+
+            const casters = chunks.filter(entry => this._chunkInCascade(entry, cascade));
+            if (!redraw && !this._sameCasters(cascade, casters)) redraw = true;
+
+            this._updateMatrices(cascade, renderOrigin);
+            if (redraw) this.renderCascade(cascade, casters, renderOrigin);
         }
 
+        if (this.paramsBuffer) this._uploadParams();
+
         return this._getCachedShadowData();
     }
 
@@ -160,162 +241,184 @@ this.instancedDepthMaterial = new Material({
         return {
             cascades: this.cascades,
             numCascades: this.numCascades,
+            splits: this.splits,
             shadowBias: this.shadowBias,
             shadowNormalBias: this.shadowNormalBias,
-            shadowMapSize: this.shadowMapSize
+            shadowMapSize: this.shadowMapSize,
+            blendBand: this.blendBand,
+            filter: this.filter,
+            pcfRadius: this.pcfRadius,
+            penumbraScale: this.penumbraScale,
+            paramsBuffer: this.paramsBuffer
         };
     }
 
-    renderCascade(scene, lightDirection, cameraPosition, camera, cascade) {
-        const { far } = cascade.split;
-
-        const cascadeCenter = new THREE.Vector3(
-            cameraPosition.x,
-            0,
-            cameraPosition.z
+    _updateSplits(camera) {
+        const far = this.splitScheme === 'manual'
+            ? this.manualSplits[this.numCascades - 1]
+            : this.maxShadowDistance;
+        this.splits = computeCascadeSplits(
+            camera.near, far, this.numCascades,
+            this.splitScheme, this.splitLambda, this.manualSplits
         );
+        for (let i = 0; i < this.numCascades; i++) {
+            this.cascades[i].split.near = i === 0 ? camera.near : this.splits[i - 1];
+            this.cascades[i].split.far = this.splits[i];
+        }
+    }
 
-        const fov = camera.fov * Math.PI / 180;
-        const frustumHeight = 2.0 * Math.tan(fov / 2) * far;
-        const frustumWidth = frustumHeight * camera.aspect;
-
-        const padding = 20;
-        const cameraSize = Math.max(frustumWidth, frustumHeight) / 2 + padding;
+    /**
+     * Bounding sphere of the cascade's view slice: centre (world) into
+     * `_sliceCenter`, returns the radius. The tightest sphere through both
+     * end rectangles sits on the view axis, clamped to the far plane.
+     */
+    _fitSlice(cascade, camera) {
+        const { near, far } = cascade.split;
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        const k2 = tanHalfFov * tanHalfFov * (1 + camera.aspect * camera.aspect);
+
+        const centerDepth = Math.min((far + near) * (1 + k2) / 2, far);
+        const radius = Math.sqrt((centerDepth - near) ** 2 + near * near * k2);
+        const farRadius = Math.sqrt((far - centerDepth) ** 2 + far * far * k2);
+
+        this._sliceCenter.copy(camera.worldPosition).addScaledVector(this._forward, centerDepth);
+        return Math.ceil(Math.max(radius, farRadius) / RADIUS_QUANTUM) * RADIUS_QUANTUM;
+    }
 
-        cascade.camera.left = -cameraSize;
-        cascade.camera.right = cameraSize;
-        cascade.camera.top = cameraSize;
-        cascade.camera.bottom = -cameraSize;
-        cascade.camera.near = 0.5;
-        cascade.camera.far = 500;
+    /**
+     * Light axes from the sun direction; the centre is snapped to texels
+     * along them (depth is left alone, it doesn't swim).
+     */
+    _fitCascade(cascade, sunDirection, radius) {
+        const up = Math.abs(sunDirection.y) > 0.99 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+        cascade.lightDirection.copy(sunDirection);
+        cascade.rotation.lookAt(sunDirection, this._zero, up);
+
+        cascade.radius = radius;
+        cascade.texelSize = 2 * radius / this.shadowMapSize;
+        cascade.depthRange = 2 * radius + this.casterDistance;
+
+        const light = this._toLightSpace(cascade, this._sliceCenter, this._lightSpace);
+        light.x = Math.round(light.x / cascade.texelSize) * cascade.texelSize;
+        light.y = Math.round(light.y / cascade.texelSize) * cascade.texelSize;
+        cascade.center.set(light.x, light.y, light.z).applyMatrix4(cascade.rotation);
+
+        cascade.eye.copy(cascade.center).addScaledVector(sunDirection, radius + this.casterDistance);
+        cascade.projectionMatrix.makeOrthographic(-radius, radius, radius, -radius, 0, cascade.depthRange);
+        cascade.drawProjectionMatrix.copy(cascade.projectionMatrix);
+        if (this.apiName === 'webgpu') {
+            cascade.drawProjectionMatrix.premultiply(WEBGPU_DEPTH_REMAP);
+        }
+    }
 
-        this._updateOrthographicProjection(cascade.camera);
+    _toLightSpace(cascade, point, target) {
+        // Rotation is orthonormal: its transpose takes world to light axes
+        const e = cascade.rotation.elements;
+        return target.set(
+            e[0] * point.x + e[1] * point.y + e[2] * point.z,
+            e[4] * point.x + e[5] * point.y + e[6] * point.z,
+            e[8] * point.x + e[9] * point.y + e[10] * point.z
+        );
+    }
 
-        const lightDistance = 200;
-        const shadowCameraPos = lightDirection.clone()
-            .multiplyScalar(lightDistance)
-            .add(cascadeCenter);
+    /**
+     * Whether the current slice sphere (`_sliceCenter`) still fits in a
+     * cached cascade.
+     */
+    _containsSlice(cascade, sliceRadius) {
+        const offset = this._toLightSpace(cascade, this._lightSpace.subVectors(this._sliceCenter, cascade.center), this._lightSpace);
+        const reach = cascade.radius - sliceRadius;
+        return Math.abs(offset.x) <= reach && Math.abs(offset.y) <= reach && Math.abs(offset.z) <= reach;
+    }
 
-        const worldUnitsPerTexel = (cameraSize * 2) / cascade.shadowMapSize;
-        shadowCameraPos.x = Math.floor(shadowCameraPos.x / worldUnitsPerTexel) * worldUnitsPerTexel;
-        shadowCameraPos.z = Math.floor(shadowCameraPos.z / worldUnitsPerTexel) * worldUnitsPerTexel;
+    /**
+     * Chunk sphere against the cascade box, which reaches `casterDistance`
+     * towards the sun.
+     */
+    _chunkInCascade(meshEntry, cascade) {
+        const extent = ShadowCasterPass.getChunkRadius(meshEntry);
+        const offset = this._toLightSpace(cascade, this._lightSpace.subVectors(meshEntry.worldOrigin, cascade.center), this._lightSpace);
+        const reach = cascade.radius + extent;
+        return Math.abs(offset.x) <= reach && Math.abs(offset.y) <= reach &&
+            offset.z >= -reach && offset.z <= reach + this.casterDistance;
+    }
 
-        cascade.camera.position.copy(shadowCameraPos);
+    _sameCasters(cascade, casters) {
+        if (casters.length !== cascade.casters.size) return false;
+        return casters.every(entry => cascade.casters.has(entry.geometry));
+    }
 
-        this._lookAt(cascade.camera, cascadeCenter);
+    _updateMatrices(cascade, renderOrigin) {
+        cascade.renderEye.subVectors(cascade.eye, renderOrigin);
+        this._world.copy(cascade.rotation).setPosition(cascade.renderEye);
+        cascade.viewMatrix.copy(this._world).invert();
 
+        // Texture rows run top-down on WebGPU
+        const ySign = this.apiName === 'webgpu' ? -0.5 : 0.5;
         cascade.shadowMatrix.set(
             0.5, 0.0, 0.0, 0.5,
-            0.0, 0.5, 0.0, 0.5,
+            0.0, ySign, 0.0, 0.5,
             0.0, 0.0, 0.5, 0.5,
             0.0, 0.0, 0.0, 1.0
         );
-        cascade.shadowMatrix.multiply(cascade.camera.projectionMatrix);
-        cascade.shadowMatrix.multiply(cascade.camera.matrixWorldInverse);
-
-        this.backend.setRenderTarget(cascade.renderTarget);
-        this.backend.setClearColor(1, 1, 1, 1);
-        this.backend.clear(true, true, false);
-
-        this._renderSceneDepth(scene, cascade.camera);
-
-        this.backend.setRenderTarget(null);
-
-        cascade.lastUpdateFrame = this.frameCount;
+        cascade.shadowMatrix.multiply(cascade.projectionMatrix);
+        cascade.shadowMatrix.multiply(cascade.viewMatrix);
     }
 
-    _updateOrthographicProjection(camera) {
-        const dx = (camera.right - camera.left) / 2;
-        const dy = (camera.top - camera.bottom) / 2;
-        const cx = (camera.right + camera.left) / 2;
-        const cy = (camera.top + camera.bottom) / 2;
-
-        const left = cx - dx;
-        const right = cx + dx;
-        const top = cy + dy;
-        const bottom = cy - dy;
-
-        const p = camera.projectionMatrix.elements;
-
-        p[0] = 2 / (right - left);
-        p[4] = 0;
-        p[8] = 0;
-        p[12] = -(right + left) / (right - left);
-
-        p[1] = 0;
-        p[5] = 2 / (top - bottom);
-        p[9] = 0;
-        p[13] = -(top + bottom) / (top - bottom);
-
-        p[2] = 0;
-        p[6] = 0;
-        p[10] = -2 / (camera.far - camera.near);
-        p[14] = -(camera.far + camera.near) / (camera.far - camera.near);
-
-        p[3] = 0;
-        p[7] = 0;
-        p[11] = 0;
-        p[15] = 1;
-    }
+    renderCascade(cascade, casters, renderOrigin) {
+        const pass = this.casterPass;
+        pass.begin(cascade.renderTarget);
 
-    _lookAt(camera, target) {
-        const position = camera.position;
-
-        const zAxis = new THREE.Vector3().subVectors(position, target).normalize();
-        const xAxis = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), zAxis).normalize();
-        const yAxis = new THREE.Vector3().crossVectors(zAxis, xAxis);
-
-        const te = camera.matrixWorldInverse.elements;
-
-        te[0] = xAxis.x; te[4] = xAxis.y; te[8] = xAxis.z;
-        te[1] = yAxis.x; te[5] = yAxis.y; te[9] = yAxis.z;
-        te[2] = zAxis.x; te[6] = zAxis.y; te[10] = zAxis.z;
+        const camera = {
+            viewMatrix: cascade.viewMatrix,
+            projectionMatrix: cascade.drawProjectionMatrix,
+            position: cascade.renderEye
+        };
+        for (const meshEntry of casters) {
+            pass.draw(meshEntry, camera, renderOrigin);
+        }
 
-        te[12] = -xAxis.dot(position);
-        te[13] = -yAxis.dot(position);
-        te[14] = -zAxis.dot(position);
+        pass.end();
 
-        te[3] = 0; te[7] = 0; te[11] = 0; te[15] = 1;
+        cascade.casters = new Set(casters.map(entry => entry.geometry));
+        cascade.valid = true;
+        cascade.lastUpdateFrame = this.frameCount;
     }
 
-    _renderSceneDepth(scene, shadowCamera) {
-        const viewMatrix = shadowCamera.matrixWorldInverse;
-        const projectionMatrix = shadowCamera.projectionMatrix;
-
-        this.depthMaterial.uniforms.viewMatrix.value = viewMatrix;
-        this.depthMaterial.uniforms.projectionMatrix.value = projectionMatrix;
-        this.instancedDepthMaterial.uniforms.viewMatrix.value = viewMatrix;
-        this.instancedDepthMaterial.uniforms.projectionMatrix.value = projectionMatrix;
-
-        for (const [chunkKey, entry] of scene.entries()) {
-            if (!entry || !entry.meshEntry) continue;
-
-            const meshEntry = entry.meshEntry;
-            if (!meshEntry.visible) continue;
-
-            const modelMatrix = new THREE.Matrix4();
-            modelMatrix.makeTranslation(
-                meshEntry.position.x,
-                meshEntry.position.y,
-                meshEntry.position.z
-            );
-
-            this.depthMaterial.uniforms.modelMatrix.value = modelMatrix;
-            this.backend.draw(meshEntry.geometry, this.depthMaterial);
-        }
+    /**
+     * SunShadowParams in the WebGPU terrain shader.
+     */
+    _uploadParams() {
+        const p = this._paramsData;
+        p.fill(0);
+        this.cascades.forEach((cascade, i) => {
+            p.set(cascade.shadowMatrix.elements, i * 16);
+            p[48 + i] = this.splits[i];
+            p[52 + i] = cascade.texelSize;
+            p[56 + i] = cascade.depthRange;
+        });
+        p[51] = this.numCascades;
+        p[60] = this.shadowBias;
+        p[61] = this.shadowNormalBias;
+        p[62] = this.blendBand;
+        p[63] = this.filter;
+        p[64] = this.shadowMapSize;
+        p[65] = this.pcfRadius;
+        p[66] = this.penumbraScale;
+        this.backend.updateBuffer(this.paramsBuffer, p);
     }
 
     cleanup() {
         for (const cascade of this.cascades) {
+            this.backend.deleteRenderTarget(cascade.renderTarget);
             cascade.renderTarget.dispose();
         }
-        if (this.depthMaterial) {
-            this.backend.deleteShader(this.depthMaterial);
-            this.depthMaterial.dispose();
-        }
-        if (this.instancedDepthMaterial) {
-            this.backend.deleteShader(this.instancedDepthMaterial);
-            this.instancedDepthMaterial.dispose();
+        this.cascades = [];
+        this.casterPass?.cleanup();
+        if (this.paramsBuffer) {
+            this.backend.deleteBuffer(this.paramsBuffer);
+            this.paramsBuffer = null;
         }
+        this.initialized = false;
     }
 }
@@ -0,0 +1,233 @@
+// js/shadows/localLightShadowRenderer.js
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { RenderTarget } from '../renderer/resources/renderTarget.js';
+import { TextureFormat, TextureFilter } from '../renderer/resources/texture.js';
+import { LightType } from '../lighting/lightManager.js';
+import { ShadowAtlas, CUBE_FACE_COUNT } from './shadowAtlas.js';
+import { ShadowCasterPass } from './shadowCasterPass.js';
+import { LOCAL_LIGHT_SHADOW_CONFIG } from '../config/shadowConfig.js';
+
+// Same order as localShadowCubeFace() in the lighting modules
+const CUBE_FACES = [
+    { direction: new THREE.Vector3(1, 0, 0), up: new THREE.Vector3(0, 1, 0) },
+    { direction: new THREE.Vector3(-1, 0, 0), up: new THREE.Vector3(0, 1, 0) },
+    { direction: new THREE.Vector3(0, 1, 0), up: new THREE.Vector3(0, 0, 1) },
+    { direction: new THREE.Vector3(0, -1, 0), up: new THREE.Vector3(0, 0, 1) },
+    { direction: new THREE.Vector3(0, 0, 1), up: new THREE.Vector3(0, 1, 0) },
+    { direction: new THREE.Vector3(0, 0, -1), up: new THREE.Vector3(0, 1, 0) }
+];
+
+const MAX_SPOT_FOV = THREE.MathUtils.degToRad(170);
+
+/**
+ * Shadow atlas for point and spot lights. Terrain chunks in a light's range
+ * are drawn into its tiles by a ShadowCasterPass.
+ *
+ * Each tile's shadow matrix maps a render-space position straight to atlas
+ * texels (xy / w) with the light-space depth in w; the lighting modules
+ * compare that against the linearised stored depth, using the light's
+ * radius as the far plane. Backend subclasses own the matrix/param
+ * resources.
+ */
+export class LocalLightShadowRenderer {
+    constructor(backend, options = {}) {
+        this.backend = backend;
+
+        const config = { ...LOCAL_LIGHT_SHADOW_CONFIG, ...options };
+        this.atlas = new ShadowAtlas(config);
+        this.updateInterval = Math.max(1, config.updateInterval);
+        this.nearPlane = config.nearPlane;
+        this.depthBias = config.depthBias;
+        this.normalBias = config.normalBias;
+
+        // Whether atlas rows count down from the top (viewport and texel origin)
+        this.flipY = false;
+
+        this.atlasTarget = null;
+        this.tileCameras = [];
+        this.matrices = new Float32Array(this.atlas.tileCount * 16);
+        // atlasSize, tileSize, near, depthBias
+        this.params = new THREE.Vector4(this.atlas.atlasSize, this.atlas.tileSize, this.nearPlane, this.depthBias);
+        // Normal offset per unit of receiver distance: normalBias texels of a 90 degree tile
+        this.normalOffset = this.normalBias * 2.0 / this.atlas.tileSize;
+
+        this.casterPass = null;
+
+        this._world = new THREE.Matrix4();
+        this._texelMatrix = new THREE.Matrix4();
+        this._zero = new THREE.Vector3();
+
+        this.frameCount = 0;
+        this.initialized = false;
+    }
+
+    initialize() {
+        if (this.initialized) return;
+
+        const size = this.atlas.atlasSize;
+        this.atlasTarget = new RenderTarget(size, size, {
+            format: TextureFormat.R8,
+            depthFormat: TextureFormat.DEPTH32F,
+            minFilter: TextureFilter.NEAREST,
+            magFilter: TextureFilter.NEAREST
+        });
+
+        this.casterPass = new ShadowCasterPass(this.backend, this._getDepthFragmentShader());
+        this._createGPUResources();
+        this.initialized = true;
+
+        console.log(`LocalLightShadowRenderer initialized: ${size}px atlas, ${this.atlas.tileCount} tiles of ${this.atlas.tileSize}px`);
+    }
+
+    /**
+     * Re-allocate and redraw the atlas every `updateInterval` frames; the
+     * shadow matrices follow the render origin every frame. Runs before the
+     * light buffers are packed so they carry this update's shadowMapIndex.
+     * @param {Light[]} lights
+     * @param {Object} camera - frontend camera (worldPosition is used for ranking)
+     * @param {THREE.Vector3} renderOrigin
+     * @param {Iterable<Object>} terrainChunks - TerrainMeshManager mesh entries
+     */
+    update(lights, camera, renderOrigin, terrainChunks) {
+        if (!this.initialized) this.initialize();
+
+        const redraw = this.frameCount % this.updateInterval === 0;
+        this.frameCount++;
+
+        if (redraw) {
+            this._buildTileCameras(this.atlas.allocate(lights, camera.worldPosition || camera.position));
+        }
+        this._updateMatrices(renderOrigin);
+        if (redraw) {
+            this._renderAtlas(renderOrigin, terrainChunks);
+        }
+        this._uploadMatrices();
+
+        return this.getShadowData();
+    }
+
+    getShadowData() {
+        return {
+            atlas: this.atlasTarget.depthAttachment,
+            params: this.params,
+            normalOffset: this.normalOffset,
+            stats: this.atlas.getStats()
+        };
+    }
+
+    /**
+     * One camera per allocated tile: world-space light position, the
+     * orientation of the face (point) or cone (spot) and its projection.
+     */
+    _buildTileCameras(allocations) {
+        this.tileCameras = [];
+
+        for (const { light, firstTile } of allocations) {
+            const far = Math.max(light.radius, this.nearPlane * 2);
+
+            if (light.type === LightType.POINT) {
+                for (let face = 0; face < CUBE_FACE_COUNT; face++) {
+                    const { direction, up } = CUBE_FACES[face];
+                    this.tileCameras.push(this._createTileCamera(light, firstTile + face, direction, up, Math.PI / 2, far));
+                }
+            } else {
+                const direction = light.direction.clone().normalize();
+                const up = Math.abs(direction.y) > 0.99 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+                const fov = Math.min(2 * light.angle + 0.1, MAX_SPOT_FOV);
+                this.tileCameras.push(this._createTileCamera(light, firstTile, direction, up, fov, far));
+            }
+        }
+    }
+
+    _createTileCamera(light, tile, direction, up, fov, far) {
+        const near = this.nearPlane;
+        const top = near * Math.tan(fov / 2);
+        return {
+            tile,
+            light,
+            position: light.position.clone(),
+            radius: light.radius,
+            rotation: new THREE.Matrix4().lookAt(this._zero, direction, up),
+            projectionMatrix: new THREE.Matrix4().makePerspective(-top, top, top, -top, near, far),
+            viewMatrix: new THREE.Matrix4(),
+            renderPosition: new THREE.Vector3()
+        };
+    }
+
+    _updateMatrices(renderOrigin) {
+        for (const tileCamera of this.tileCameras) {
+            tileCamera.renderPosition.subVectors(tileCamera.position, renderOrigin);
+            this._world.copy(tileCamera.rotation).setPosition(tileCamera.renderPosition);
+            tileCamera.viewMatrix.copy(this._world).invert();
+
+            const rect = this.atlas.getTileRect(tileCamera.tile);
+            const half = rect.size * 0.5;
+            const ySign = this.flipY ? -1 : 1;
+            this._texelMatrix.set(
+                half, 0, 0, rect.x + half,
+                0, half * ySign, 0, rect.y + half,
+                0, 0, 1, 0,
+                0, 0, 0, 1
+            );
+            this._texelMatrix.multiply(tileCamera.projectionMatrix).multiply(tileCamera.viewMatrix);
+            this.matrices.set(this._texelMatrix.elements, tileCamera.tile * 16);
+        }
+    }
+
+    _renderAtlas(renderOrigin, terrainChunks) {
+        const pass = this.casterPass;
+        pass.begin(this.atlasTarget);
+
+        const chunks = ShadowCasterPass.collectCasters(terrainChunks);
+        let lastLight = null;
+        let casters = [];
+        for (const tileCamera of this.tileCameras) {
+            if (tileCamera.light !== lastLight) {
+                casters = chunks.filter(entry => this._chunkInRange(entry, tileCamera));
+                lastLight = tileCamera.light;
+            }
+            if (casters.length === 0) continue;
+
+            const rect = this.atlas.getTileRect(tileCamera.tile);
+            this.backend.setViewport(rect.x, rect.y, rect.size, rect.size);
+
+            const camera = {
+                viewMatrix: tileCamera.viewMatrix,
+                projectionMatrix: tileCamera.projectionMatrix,
+                position: tileCamera.renderPosition
+            };
+            for (const meshEntry of casters) {
+                pass.draw(meshEntry, camera, renderOrigin);
+            }
+        }
+
+        pass.end();
+    }
+
+    _chunkInRange(meshEntry, tileCamera) {
+        const extent = ShadowCasterPass.getChunkRadius(meshEntry);
+        return meshEntry.worldOrigin.distanceTo(tileCamera.position) <= tileCamera.radius + extent;
+    }
+
+    _createGPUResources() {
+        throw new Error('LocalLightShadowRenderer._createGPUResources() must be implemented');
+    }
+
+    _uploadMatrices() {
+        throw new Error('LocalLightShadowRenderer._uploadMatrices() must be implemented');
+    }
+
+    _getDepthFragmentShader() {
+        throw new Error('LocalLightShadowRenderer._getDepthFragmentShader() must be implemented');
+    }
+
+    cleanup() {
+        this.casterPass?.cleanup();
+        if (this.atlasTarget) {
+            this.backend.deleteRenderTarget(this.atlasTarget);
+            this.atlasTarget.dispose();
+        }
+        this.tileCameras = [];
+        this.initialized = false;
+    }
+}
@@ -0,0 +1,83 @@
+// js/shadows/shadowAtlas.js
+import { LightType } from '../lighting/lightManager.js';
+
+export const CUBE_FACE_COUNT = 6;
+
+/**
+ * Budgeted tile allocator for the local light shadow atlas. Tiles are
+ * numbered row by row; a point light gets six consecutive tiles (+X, -X,
+ * +Y, -Y, +Z, -Z), a spot light one. Allocation writes the first tile into
+ * `light.shadowMapIndex`, or -1 for lights that got none.
+ */
+export class ShadowAtlas {
+    constructor(options = {}) {
+        this.atlasSize = options.atlasSize || 4096;
+        this.tileSize = options.tileSize || 512;
+        this.maxShadowedLights = options.maxShadowedLights ?? 8;
+
+        this.tilesPerRow = Math.floor(this.atlasSize / this.tileSize);
+        this.tileCount = this.tilesPerRow * this.tilesPerRow;
+
+        this.allocations = [];
+    }
+
+    static getTileCount(light) {
+        return light.type === LightType.POINT ? CUBE_FACE_COUNT : 1;
+    }
+
+    /**
+     * Texel rect of a tile; `y` counts rows in the backend's texel order.
+     */
+    getTileRect(tile) {
+        return {
+            x: (tile % this.tilesPerRow) * this.tileSize,
+            y: Math.floor(tile / this.tilesPerRow) * this.tileSize,
+            size: this.tileSize
+        };
+    }
+
+    /**
+     * Hand out tiles to the shadow-casting lights that matter most to the
+     * camera: bright, large and close. `cameraPosition` is in the lights'
+     * (world) space.
+     * @returns {Array<{light: Light, firstTile: number, tileCount: number}>}
+     */
+    allocate(lights, cameraPosition) {
+        const candidates = [];
+        for (const light of lights) {
+            light.shadowMapIndex = -1;
+            if (!light.enabled || !light.castShadow) continue;
+            if (light.type !== LightType.POINT && light.type !== LightType.SPOT) continue;
+
+            const distance = light.position.distanceTo(cameraPosition);
+            const priority = light.intensity * light.radius / Math.max(distance - light.radius, 1.0);
+            candidates.push({ light, priority });
+        }
+        candidates.sort((a, b) => b.priority - a.priority);
+
+        this.allocations = [];
+        let nextTile = 0;
+        for (const { light } of candidates) {
+            if (this.allocations.length >= this.maxShadowedLights) break;
+
+            const tileCount = ShadowAtlas.getTileCount(light);
+            // Spots can still fill the last few tiles after a point light no longer fits
+            if (nextTile + tileCount > this.tileCount) continue;
+
+            light.shadowMapIndex = nextTile;
+            this.allocations.push({ light, firstTile: nextTile, tileCount });
+            nextTile += tileCount;
+        }
+
+        return this.allocations;
+    }
+
+    getStats() {
+        const usedTiles = this.allocations.reduce((sum, a) => sum + a.tileCount, 0);
+        return {
+            shadowedLights: this.allocations.length,
+            usedTiles,
+            tileCount: this.tileCount
+        };
+    }
+}
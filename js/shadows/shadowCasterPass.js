@@ -0,0 +1,153 @@
+// js/shadows/shadowCasterPass.js
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.178.0/build/three.module.js';
+import { Material } from '../renderer/resources/material.js';
+
+// Shadow maps are render targets while casters draw; none may be bound
+const SHADOW_MAP_UNIFORMS = ['shadowMapCascade0', 'shadowMapCascade1', 'shadowMapCascade2', 'localShadowAtlas'];
+
+/**
+ * Draws terrain chunks into a shadow map with depth-only twins of their own
+ * materials (same vertex shader), so the shadows match the displaced
+ * surface. Shared by the sun cascades and the local light atlas.
+ *
+ * WebGPU writes a material's uniform buffer when a draw is recorded, so
+ * there every caster is submitted as its own pass over the bound target.
+ */
+export class ShadowCasterPass {
+    constructor(backend, depthFragmentShader) {
+        this.backend = backend;
+        this.depthFragmentShader = depthFragmentShader;
+        this.submitPerDraw = backend.getAPIName?.() === 'webgpu';
+
+        this._depthMaterials = new Map();
+        this._depthMaterialBySource = new WeakMap();
+
+        this._identity = new THREE.Matrix4();
+        this._chunkOrigin = new THREE.Vector3();
+    }
+
+    /**
+     * Chunk entries that can be drawn as casters.
+     * @param {Iterable<Object>} terrainChunks - TerrainMeshManager mesh entries
+     */
+    static collectCasters(terrainChunks) {
+        const casters = [];
+        for (const meshEntry of terrainChunks) {
+            if (meshEntry?.visible && meshEntry.geometry && meshEntry.material && meshEntry.worldOrigin) {
+                casters.push(meshEntry);
+            }
+        }
+        return casters;
+    }
+
+    /**
+     * Conservative radius around a chunk's world origin (a corner): its
+     * diagonal plus the height range.
+     */
+    static getChunkRadius(meshEntry) {
+        const u = meshEntry.material.uniforms;
+        const size = u.chunkFace?.value >= 0
+            ? u.chunkSizeUV.value * 2.0 * u.planetRadius.value
+            : (u.chunkSize?.value || 0);
+        return size * Math.SQRT2 + (u.heightScale?.value || 0);
+    }
+
+    /**
+     * Bind `renderTarget` and clear it to the far plane.
+     */
+    begin(renderTarget) {
+        const backend = this.backend;
+        backend.setRenderTarget(renderTarget);
+        backend.setViewport(0, 0, renderTarget.width, renderTarget.height);
+        backend.setClearColor(1, 1, 1, 1);
+        backend.clear(true, true, false);
+        if (this.submitPerDraw) backend.submitCommands();
+    }
+
+    /**
+     * Draw one chunk with the shadow camera's matrices.
+     * @param {Object} meshEntry
+     * @param {{viewMatrix: THREE.Matrix4, projectionMatrix: THREE.Matrix4, position: THREE.Vector3}} camera
+     *        render-space shadow camera
+     * @param {THREE.Vector3} renderOrigin
+     */
+    draw(meshEntry, camera, renderOrigin) {
+        const backend = this.backend;
+        const source = meshEntry.material;
+        this._chunkOrigin.subVectors(meshEntry.worldOrigin, renderOrigin);
+
+        const uniforms = {
+            ...source.uniforms,
+            viewMatrix: { value: camera.viewMatrix },
+            projectionMatrix: { value: camera.projectionMatrix },
+            modelMatrix: { value: this._identity },
+            cameraPosition: { value: camera.position },
+            chunkOrigin: { value: this._chunkOrigin },
+            renderOrigin: { value: renderOrigin },
+            useInstancing: { value: 0.0 }
+        };
+        for (const name of SHADOW_MAP_UNIFORMS) {
+            uniforms[name] = { value: null };
+        }
+
+        // Instanced chunk geometry is drawn one chunk at a time here
+        const geometry = meshEntry.geometry;
+        const instanceCount = geometry.instanceCount;
+        geometry.instanceCount = 1;
+
+        if (this.submitPerDraw) {
+            // Loads the target with the current viewport
+            backend.clear(false, false);
+            backend.draw(geometry, this.getDepthMaterial(source), uniforms);
+            backend.submitCommands();
+        } else {
+            backend.draw(geometry, this.getDepthMaterial(source), uniforms);
+        }
+
+        geometry.instanceCount = instanceCount;
+    }
+
+    /**
+     * Back to the canvas.
+     */
+    end() {
+        const backend = this.backend;
+        backend.setRenderTarget(null);
+        backend.setViewport(0, 0, backend.canvas.width, backend.canvas.height);
+    }
+
+    /**
+     * Depth-only twin of a caster material: its vertex shader, layout and
+     * defines with a trivial fragment stage. Shared by every chunk with the
+     * same shader and defines.
+     */
+    getDepthMaterial(source) {
+        let material = this._depthMaterialBySource.get(source);
+        if (material) return material;
+
+        const key = `${source.name}|${JSON.stringify(source.defines || {})}|${source.vertexShader}`;
+        material = this._depthMaterials.get(key);
+        if (!material) {
+            material = new Material({
+                name: source.name,
+                vertexShader: source.vertexShader,
+                fragmentShader: this.depthFragmentShader,
+                vertexLayout: source.vertexLayout,
+                bindGroupLayoutSpec: source.bindGroupLayoutSpec,
+                defines: { ...source.defines },
+                side: 'double'
+            });
+            this._depthMaterials.set(key, material);
+        }
+        this._depthMaterialBySource.set(source, material);
+        return material;
+    }
+
+    cleanup() {
+        for (const material of this._depthMaterials.values()) {
+            this.backend.deleteShader(material);
+        }
+        this._depthMaterials.clear();
+        this._depthMaterialBySource = new WeakMap();
+    }
+}
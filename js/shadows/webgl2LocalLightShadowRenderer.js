@@ -0,0 +1,42 @@
+// js/shadows/webgl2LocalLightShadowRenderer.js
+import { LocalLightShadowRenderer } from './localLightShadowRenderer.js';
+import { Texture, TextureFormat, TextureFilter } from '../renderer/resources/texture.js';
+import { casterDepthFragment } from './shaders/webgl2/shadow.js';
+
+/**
+ * WebGL2: shadow matrices go to the terrain shader as a one-row RGBA32F
+ * texture, four texels (columns) per tile.
+ */
+export class WebGL2LocalLightShadowRenderer extends LocalLightShadowRenderer {
+    _createGPUResources() {
+        this.matrixTexture = new Texture({
+            width: this.atlas.tileCount * 4,
+            height: 1,
+            format: TextureFormat.RGBA32F,
+            minFilter: TextureFilter.NEAREST,
+            magFilter: TextureFilter.NEAREST,
+            generateMipmaps: false,
+            data: this.matrices
+        });
+    }
+
+    _uploadMatrices() {
+        this.backend.updateTexture(this.matrixTexture);
+    }
+
+    _getDepthFragmentShader() {
+        return casterDepthFragment;
+    }
+
+    getShadowData() {
+        return { ...super.getShadowData(), matrices: this.matrixTexture };
+    }
+
+    cleanup() {
+        if (this.matrixTexture) {
+            this.backend.deleteTexture(this.matrixTexture);
+            this.matrixTexture = null;
+        }
+        super.cleanup();
+    }
+}
@@ -0,0 +1,48 @@
+// js/shadows/webgpuLocalLightShadowRenderer.js
+import { LocalLightShadowRenderer } from './localLightShadowRenderer.js';
+import { casterDepthFragment } from './shaders/webgpu/shadow.js';
+
+/**
+ * WebGPU: shadow matrices and params are buffers in terrain group 3.
+ */
+export class WebGPULocalLightShadowRenderer extends LocalLightShadowRenderer {
+    constructor(backend, options = {}) {
+        super(backend, options);
+        this.flipY = true;
+        this._paramsData = new Float32Array(8);
+    }
+
+    _createGPUResources() {
+        this.matrixBuffer = this.backend.createBuffer(this.matrices, 'storage');
+        this.paramsBuffer = this.backend.createBuffer(this._paramsData, 'uniform');
+    }
+
+    _uploadMatrices() {
+        this.backend.updateBuffer(this.matrixBuffer, this.matrices);
+
+        // LocalShadowParams in the clustered lighting module
+        const p = this._paramsData;
+        p[0] = this.params.x;
+        p[1] = this.params.y;
+        p[2] = this.params.z;
+        p[3] = this.params.w;
+        p[4] = this.normalOffset;
+        this.backend.updateBuffer(this.paramsBuffer, p);
+    }
+
+    _getDepthFragmentShader() {
+        return casterDepthFragment;
+    }
+
+    getShadowData() {
+        return { ...super.getShadowData(), matrices: this.matrixBuffer, paramsBuffer: this.paramsBuffer };
+    }
+
+    cleanup() {
+        this.backend.deleteBuffer(this.matrixBuffer);
+        this.backend.deleteBuffer(this.paramsBuffer);
+        this.matrixBuffer = null;
+        this.paramsBuffer = null;
+        super.cleanup();
+    }
+}
@@ -871,6 +871,70 @@ export class TextureAtlasManager {
         return this.getAtlasTexture(TEXTURE_LEVELS.PROP);
     }
 
+    /**
+     * Pixels of one atlas slot (textureSize square), e.g. as a bake source.
+     */
+    getTextureImageData(level, texturePath) {
+        const atlas = this.atlases.get(level);
+        const index = this.getTextureIndex(level, texturePath);
+        if (!atlas?.context || index < 0) return null;
+
+        const layout = atlas.layout;
+        const padding = layout.padding !== undefined ? layout.padding : this.PADDING;
+        const x = (index % layout.tilesPerRow) * layout.paddedTextureSize + padding;
+        const y = Math.floor(index / layout.tilesPerRow) * layout.paddedTextureSize + padding;
+        return atlas.context.getImageData(x, y, layout.textureSize, layout.textureSize);
+    }
+
+    /**
+     * Draw generated pixels ({ width, height, data }, textureSize square) into
+     * the next free slot of a level's atlas under `key` and re-upload the
+     * atlas. Returns the slot index, or -1 when the atlas is full.
+     */
+    addGeneratedTexture(level, key, image) {
+        const atlas = this.atlases.get(level);
+        if (!atlas?.context || !atlas.layout) return -1;
+        if (atlas.textureMap.has(key)) return atlas.textureMap.get(key);
+
+        let index = 0;
+        for (const used of atlas.textureMap.values()) index = Math.max(index, used + 1);
+        for (const used of atlas.seasonalTextureMap.values()) {
+            if (used !== undefined) index = Math.max(index, used + 1);
+        }
+        if (index >= atlas.layout.maxCapacity) return -1;
+
+        const layout = atlas.layout;
+        const padding = layout.padding !== undefined ? layout.padding : this.PADDING;
+        const x = (index % layout.tilesPerRow) * layout.paddedTextureSize + padding;
+        const y = Math.floor(index / layout.tilesPerRow) * layout.paddedTextureSize + padding;
+
+        const pixels = image.data instanceof Uint8ClampedArray
+            ? image.data
+            : new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+        atlas.context.putImageData(new ImageData(pixels, image.width, image.height), x, y);
+        this.extendPadding(atlas.context, x, y, layout.textureSize, padding);
+        atlas.textureMap.set(key, index);
+
+        // Patch only this slot (with its padding) into the texture's CPU copy and the GPU
+        if (atlas.texture?.data) {
+            const size = layout.paddedTextureSize;
+            const region = new Uint8Array(atlas.context.getImageData(x - padding, y - padding, size, size).data.buffer);
+            const rowBytes = size * 4;
+            for (let row = 0; row < size; row++) {
+                const dst = ((y - padding + row) * atlas.texture.width + (x - padding)) * 4;
+                atlas.texture.data.set(region.subarray(row * rowBytes, (row + 1) * rowBytes), dst);
+            }
+            if (this._backend && atlas.texture._gpuTexture) {
+                this._backend.updateTextureRegion(atlas.texture, x - padding, y - padding, size, size, region);
+            } else {
+                atlas.texture._needsUpload = true;
+            }
+        }
+
+        console.log(`Added generated texture ${key} to ${level} atlas at index ${index}`);
+        return index;
+    }
+
     getPropUV(propType) {
         const path = TextureConfigHelper.getPropTexturePath(propType);
         if (!path) return null;
@@ -251,6 +251,13 @@ const REUSABLE_TEXTURES = {
   ROCK_ALL: [
     { type: "turbulence", octaves: 5, frequency: 0.06, color: "#b8b8b8", turbulencePower: 1.18, opacity: 1, seed: 20101 }
   ],
+
+  // ROAD texture (packed dirt with gravel, reused across all seasons)
+  ROAD_ALL: [
+    { type: "fbm", octaves: 5, frequency: 0.045, color: "#8a7355", opacity: 1, seed: 70101 },
+    { type: "turbulence", octaves: 3, frequency: 0.22, color: "#a39a8c", turbulencePower: 1.4, opacity: 0.45, blendMode: "overlay", seed: 70102 },
+    { type: "perlin", octaves: 2, frequency: 0.5, color: "#5e4d3a", opacity: 0.25, blendMode: "multiply", seed: 70103 }
+  ],
   
   // MACRO shared texture (1 unique for all tiles)
   MACRO_SHARED: [
@@ -417,6 +424,46 @@ export const TEXTURE_CONFIG = [
       }
     }
   },
+  {
+    id: TILE_TYPES.ROAD,
+    name: 'ROAD',
+    textures: {
+      base: {
+        [SEASONS.SPRING]: {
+          [TEXTURE_LEVELS.MICRO]: [
+            REUSABLE_TEXTURES.ROAD_ALL
+          ],
+          [TEXTURE_LEVELS.MACRO_1024]: [
+            REUSABLE_TEXTURES.MACRO_SHARED
+          ]
+        },
+        [SEASONS.SUMMER]: {
+          [TEXTURE_LEVELS.MICRO]: [
+            REUSABLE_TEXTURES.ROAD_ALL
+          ],
+          [TEXTURE_LEVELS.MACRO_1024]: [
+            REUSABLE_TEXTURES.MACRO_SHARED
+          ]
+        },
+        [SEASONS.AUTUMN]: {
+          [TEXTURE_LEVELS.MICRO]: [
+            REUSABLE_TEXTURES.ROAD_ALL
+          ],
+          [TEXTURE_LEVELS.MACRO_1024]: [
+            REUSABLE_TEXTURES.MACRO_SHARED
+          ]
+        },
+        [SEASONS.WINTER]: {
+          [TEXTURE_LEVELS.MICRO]: [
+            REUSABLE_TEXTURES.ROAD_ALL
+          ],
+          [TEXTURE_LEVELS.MACRO_1024]: [
+            REUSABLE_TEXTURES.MACRO_SHARED
+          ]
+        }
+      }
+    }
+  },
   {
     id: TILE_TYPES.ROCK,
     name: 'Rock',
@@ -125,9 +125,10 @@ export class TextureCache {
      * @param {number} lod - LOD level
      * @param {number|null} face - Cube face for spherical
      * @param {Object} config - LOD atlas config
+     * @param {number} span - Base chunks per side the UV transform covers (quadtree nodes)
      * @returns {Object|null} {texture, atlasKey, uvTransform} or null
      */
-    getLODAtlasForChunk(chunkX, chunkY, type, lod, face = null, config = null) {
+    getLODAtlasForChunk(chunkX, chunkY, type, lod, face = null, config = null, span = 1) {
         const cfg = config || this.lodAtlasConfig;
         if (!cfg) {
             console.warn('[TextureCache] No LOD atlas config set');
@@ -148,7 +149,7 @@ export class TextureCache {
         entry.lastAccess = performance.now();
         
         // Calculate UV transform
-        const uvTransform = cfg.getChunkUVTransform(chunkX, chunkY, lod);
+        const uvTransform = cfg.getChunkUVTransform(chunkX, chunkY, lod, span);
         
         return {
             texture: entry.texture,
@@ -12,6 +12,7 @@ export const TILE_TYPES = {
     CAVE_ENTRANCE: 10,
     SWAMP: 11,
     DIRT: 12,
+    ROAD: 13,
     COMPLEX_DEEP_WATER: 101,
     COMPLEX_WATER: 102,
     COMPLEX_GRASS: 103,
@@ -3,8 +3,21 @@
 
 import { DataTextureConfig, DEFAULT_ATLAS_CONFIG } from './dataTextureConfiguration.js';
 import { TextureAtlasKey } from './textureAtlasKey.js';
+import { TreeFeature } from './features/treeFeature.js';
+import { BiomeRegistry } from './biomeRegistry.js';
+import { StreamedAssetConfig } from '../mesh/streamed/streamedAssetConfig.js';
+import { CPUTerrainGenerator } from './terrainGeneratorCPU.js';
+import { HydrologyMap } from './hydrology.js';
+import { RoadNetwork } from './roadNetwork.js';
 
 export class BaseWorldGenerator {
+
+    // Terrain generator fields that feed the compute shaders' noise
+    static NOISE_PARAMS = [
+        'worldScale', 'elevationScale', 'detailScale', 'ridgeScale',
+        'plateauScale', 'valleyScale', 'heightScale'
+    ];
+
     constructor(renderer, textureCache, chunkSize, seed) {
         this.backend = renderer;
         this.textureCache = textureCache;
@@ -46,6 +59,11 @@ export class BaseWorldGenerator {
         
         // Track pending atlas generations to avoid duplicates
         this._pendingAtlases = new Map();
+
+        // Promise of the planet's HydrologyMap, built on first use
+        this._hydrology = null;
+        // CPU terrain for point height queries, made on first use
+        this._surfaceTerrain = null;
         
         this._ready = this.initialize();
     }
@@ -68,6 +86,206 @@ export class BaseWorldGenerator {
         // Override in subclass
     }
 
+    /**
+     * Everything that determines generated terrain, for world files.
+     * Noise scales live on the tiledTerrain instance (same fields on all backends).
+     */
+    getTerrainParams() {
+        const terrain = this.modules.tiledTerrain.instance;
+        const params = {
+            seed: this.seed,
+            chunkSize: this.chunkSize,
+            globalWaterLevel: this.globalWaterLevel,
+            generationHeightScale: this.generationHeightScale,
+            renderHeightScale: this.renderHeightScale,
+            macroConfig: { ...this.macroConfig },
+            splatConfig: { ...this.splatConfig },
+            noise: null,
+            biomes: null,
+            featureDistribution: null
+        };
+
+        if (terrain) {
+            params.noise = {};
+            for (const key of BaseWorldGenerator.NOISE_PARAMS) {
+                params.noise[key] = terrain[key];
+            }
+            params.biomes = terrain.biomeRegistry.toJSON();
+            params.featureDistribution = JSON.parse(JSON.stringify(terrain.featureDistribution));
+        }
+        return params;
+    }
+
+    /**
+     * Apply params from getTerrainParams(). Chunk size is fixed at construction,
+     * so a mismatch is reported rather than applied.
+     */
+    async applyTerrainParams(params) {
+        await this._ready;
+
+        if (params.chunkSize !== undefined && params.chunkSize !== this.chunkSize) {
+            console.warn('[BaseWorldGenerator] World file chunkSize ' + params.chunkSize +
+                ' does not match generator chunkSize ' + this.chunkSize);
+        }
+
+        this._hydrology = null;
+        this._roads = null;
+        this._surfaceTerrain = null;
+        if (params.seed !== undefined) this.seed = params.seed;
+        if (params.globalWaterLevel !== undefined) this.globalWaterLevel = params.globalWaterLevel;
+        if (params.generationHeightScale !== undefined) this.generationHeightScale = params.generationHeightScale;
+        if (params.renderHeightScale !== undefined) this.renderHeightScale = params.renderHeightScale;
+        if (params.macroConfig) Object.assign(this.macroConfig, params.macroConfig);
+        if (params.splatConfig) Object.assign(this.splatConfig, params.splatConfig);
+
+        const terrain = this.modules.tiledTerrain.instance;
+        if (!terrain) return;
+
+        terrain.seed = this.seed;
+        terrain.macroConfig = this.macroConfig;
+        terrain.splatDensity = this.splatConfig.splatDensity;
+        terrain.splatKernelSize = this.splatConfig.splatKernelSize;
+        for (const key of BaseWorldGenerator.NOISE_PARAMS) {
+            if (params.noise && params.noise[key] !== undefined) terrain[key] = params.noise[key];
+        }
+        if (params.biomes) {
+            await this.setBiomeRegistry(BiomeRegistry.fromJSON(params.biomes));
+        }
+        if (params.featureDistribution) {
+            terrain.initializeStreamedTypes(params.featureDistribution);
+        }
+    }
+
+    /**
+     * The CPU generator is the reference for the GPU passes; GPU backends get
+     * one configured from their terrain params.
+     */
+    getCPUTerrain() {
+        const instance = this.modules.tiledTerrain.instance;
+        if (instance instanceof CPUTerrainGenerator) {
+            return instance;
+        }
+
+        const params = this.getTerrainParams();
+        const terrain = new CPUTerrainGenerator(params.seed, params.chunkSize, params.macroConfig, params.splatConfig);
+        if (params.noise) {
+            for (const key of BaseWorldGenerator.NOISE_PARAMS) {
+                if (params.noise[key] !== undefined) terrain[key] = params.noise[key];
+            }
+        }
+        terrain.heightScale = this.generationHeightScale;
+        terrain.chunksPerFace = instance?.chunksPerFace ?? terrain.chunksPerFace;
+        if (instance?.biomeRegistry) {
+            terrain.setBiomeRegistry(instance.biomeRegistry);
+        }
+        terrain.initialize();
+        return terrain;
+    }
+
+    /**
+     * Hydrology for the active planet, built on first use and rebuilt after
+     * terrain params change. Resolves to null for flat worlds.
+     */
+    getHydrology() {
+        if (!this.planetConfig || !this.modules.tiledTerrain.instance) {
+            return Promise.resolve(null);
+        }
+        if (!this._hydrology) {
+            const hydrology = new HydrologyMap(this.getCPUTerrain(), { seaLevel: this.globalWaterLevel });
+            this._hydrology = hydrology.build().catch(error => {
+                console.error('[BaseWorldGenerator] Hydrology build failed:', error);
+                return null;
+            });
+        }
+        return this._hydrology;
+    }
+
+    /**
+     * Procedural height at a (fractional) surface tile: global tiles on flat
+     * worlds, face-local tiles on a planet. Integer tiles match the chunk
+     * height pass, before roads, hydrology and edits.
+     */
+    sampleSurfaceHeight(face, tx, ty) {
+        if (!this._surfaceTerrain) {
+            this._surfaceTerrain = this.getCPUTerrain();
+        }
+        const size = this.chunkSize;
+        const cx = Math.floor(tx / size);
+        const cy = Math.floor(ty / size);
+        const [wx, wy] = this._surfaceTerrain.getWorldCoord(cx, cy, tx - cx * size, ty - cy * size, size + 1, face ?? -1);
+        return this._surfaceTerrain.sampleHeight(wx, wy);
+    }
+
+    /**
+     * Road network for the active world, created on first use and reset
+     * after terrain params change. Routes are planned lazily per chunk.
+     */
+    getRoadNetwork() {
+        if (!this.modules.tiledTerrain.instance) return null;
+        if (!this._roads) {
+            this._roads = new RoadNetwork(this.getCPUTerrain(), {
+                chunkSize: this.chunkSize,
+                seaLevel: this.globalWaterLevel,
+                seed: this.seed,
+                spherical: !!this.planetConfig,
+                planetRadius: this.planetConfig?.radius,
+                heightScale: this.renderHeightScale / Math.max(this.generationHeightScale, 0.0001)
+            });
+        }
+        return this._roads;
+    }
+
+    /**
+     * Flatten roads into a generated chunk and paint them into its tile and
+     * splat textures. Runs before hydrology so rivers ford the roads.
+     */
+    async applyRoads(chunkData) {
+        const roads = this.getRoadNetwork();
+        if (!roads || !roads.applyToChunk(chunkData)) return;
+
+        this.refreshChunkTextures(chunkData);
+        this.refreshChunkSplat(chunkData);
+    }
+
+    /**
+     * Carve rivers into a generated chunk, fill its water data and add its
+     * river and lake water features. Runs after the sea-level water feature.
+     */
+    async applyHydrology(chunkData) {
+        const hydrology = await this.getHydrology();
+        if (!hydrology) return;
+
+        if (hydrology.applyToChunk(chunkData)) {
+            this.refreshChunkTextures(chunkData);
+        }
+
+        const base = { chunkX: chunkData.chunkX, chunkY: chunkData.chunkY, chunkSize: this.chunkSize };
+        chunkData.waterFeatures = chunkData.waterFeatures || [];
+        if (chunkData.rivers.length > 0) {
+            chunkData.waterFeatures.push({ ...base, type: 'river' });
+        }
+        for (const lake of chunkData.lakes) {
+            chunkData.waterFeatures.push({ ...base, type: 'lake', lakeId: lake.id, waterLevel: lake.surfaceHeight });
+        }
+    }
+
+    /**
+     * Compile a biome registry into the terrain generator and point the
+     * streamed asset valid-tile lists at its feature mix. Set it before
+     * chunks are generated; cached chunks keep their old tiles.
+     */
+    async setBiomeRegistry(biomeRegistry) {
+        await this._ready;
+
+        const terrain = this.modules.tiledTerrain.instance;
+        if (terrain) {
+            terrain.setBiomeRegistry(biomeRegistry);
+        }
+        biomeRegistry.applyToStreamedAssetConfig(StreamedAssetConfig);
+        console.log('[BaseWorldGenerator] Biome registry set: ' + biomeRegistry.name +
+            ' (' + biomeRegistry.biomes.length + ' biomes)');
+    }
+
     /**
      * Check if atlas exists for a chunk (all required texture types)
      */
@@ -210,6 +428,66 @@ export class BaseWorldGenerator {
         }
     }
 
+    /**
+     * Scatter static features (trees) over a generated chunk. Coarse
+     * quadtree nodes get none; they are only seen from far away.
+     */
+    generateObjectData(chunkData, chunkX, chunkY) {
+        if (chunkData.span > 1) return;
+        const staticFeatures = chunkData.staticFeatures || [];
+        const chunkSize = this.chunkSize;
+
+        const chunkSeed = this.seed + chunkX * 73856093 + chunkY * 19349663;
+        const rng = this.createSeededRandom(chunkSeed);
+
+        const waterLevel = this.globalWaterLevel;
+
+        const centerX = Math.floor(chunkSize / 2);
+        const centerY = Math.floor(chunkSize / 2);
+        const centerTile = chunkData.getTile(centerX, centerY);
+        const isGrassland = centerTile === 3;
+        const isTundra = centerTile === 6;
+        const isRocky = centerTile === 5 || centerTile === 7;
+
+        const treeCount = isGrassland ? (1 + Math.floor(rng() * 6)) :
+                         isTundra ? (1 + Math.floor(rng() * 3)) :
+                         isRocky ? (1 + Math.floor(rng() * 2)) :
+                         (3 + Math.floor(rng() * 4));
+
+        for (let i = 0; i < treeCount; i++) {
+            const localX = 4 + rng() * (chunkSize - 8);
+            const localZ = 4 + rng() * (chunkSize - 8);
+            const height = chunkData.getHeight(localX, localZ);
+
+            if (height < waterLevel) continue;
+            if (chunkData.getWaterDepth(localX, localZ) > 0) continue;
+            if (chunkData.getRoadWeight(localX, localZ) > 0) continue;
+
+            const waterMargin = 2.0;
+            if (height < waterLevel + waterMargin) continue;
+
+            const slope = this.calculateSlope(chunkData, localX, localZ);
+            if (slope > 0.5) continue;
+
+            const tree = new TreeFeature({
+                subtype: 'BIRCH',
+                variant: Math.floor(rng() * 3),
+                position: {
+                    x: chunkX * chunkSize + localX,
+                    y: height,
+                    z: chunkY * chunkSize + localZ
+                },
+                rotation: rng() * Math.PI * 2,
+                scale: 0.7 + rng() * 0.5,
+                shapeSeed: Math.floor(rng() * 100000)
+            });
+
+            staticFeatures.push(tree);
+        }
+
+        chunkData.staticFeatures = staticFeatures;
+    }
+
     /**
      * Seeded random number generator
      */
@@ -234,11 +512,145 @@ export class BaseWorldGenerator {
     }
 
     /**
-     * Set planet configuration for spherical terrain
+     * Push a chunk's CPU-side heights/tiles back into its GPU textures after
+     * terrain edits. Atlas chunks update their sub-rectangle (at whatever
+     * resolution the atlas LOD stores them); legacy per-chunk textures are
+     * rewritten whole. Texel layout matches the terrain compute passes:
+     * height (h,0,0,1), normal (n*0.5+0.5,1), tile (id/255,0,0,1).
+     */
+    refreshChunkTextures(chunkData) {
+        const refs = chunkData.textureRefs;
+        if (!refs || !refs.heightTexture || !chunkData.heights) return false;
+
+        const heightTex = refs.heightTexture;
+        let x = 0, y = 0, width = heightTex.width, height = heightTex.height;
+        let tileX = 0, tileY = 0, tileWidth = refs.tileTexture?.width || 0, tileHeight = refs.tileTexture?.height || 0;
+
+        if (refs.useAtlasMode && refs.uvTransform) {
+            const uv = refs.uvTransform;
+            x = Math.round(uv.offsetX * heightTex.width);
+            y = Math.round(uv.offsetY * heightTex.height);
+            width = height = Math.max(1, Math.round(uv.scale * heightTex.width));
+            if (refs.tileTexture) {
+                tileX = Math.round(uv.offsetX * refs.tileTexture.width);
+                tileY = Math.round(uv.offsetY * refs.tileTexture.height);
+                tileWidth = tileHeight = Math.max(1, Math.round(uv.scale * refs.tileTexture.width));
+            }
+        }
+
+        // Atlas regions hold `width` samples per chunk edge (the shared edge
+        // sample lives in the neighbour); legacy textures hold size + 1
+        const size = chunkData.size;
+        const samples = refs.useAtlasMode ? width : width - 1;
+        const step = size / Math.max(1, samples);
+
+        // Exact grid samples where possible; getHeight clamps just short of the far edge
+        const sample = (hx, hy) => (Number.isInteger(hx) && Number.isInteger(hy) && hx >= 0 && hy >= 0 && hx <= size && hy <= size)
+            ? chunkData.getHeightRaw(hx, hy)
+            : chunkData.getHeight(hx, hy);
+
+        const heightData = new Float32Array(width * height * 4);
+        const normalData = new Float32Array(width * height * 4);
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                const hx = i * step, hy = j * step;
+                const o = (j * width + i) * 4;
+                heightData[o] = sample(hx, hy);
+                heightData[o + 3] = 1.0;
+
+                const hL = sample(hx - 1, hy);
+                const hR = sample(hx + 1, hy);
+                const hD = sample(hx, hy - 1);
+                const hU = sample(hx, hy + 1);
+                const nx = hL - hR, ny = 2.0, nz = hD - hU;
+                const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+                normalData[o] = (nx / len) * 0.5 + 0.5;
+                normalData[o + 1] = (ny / len) * 0.5 + 0.5;
+                normalData[o + 2] = (nz / len) * 0.5 + 0.5;
+                normalData[o + 3] = 1.0;
+            }
+        }
+
+        this._writeTextureRegion(heightTex, x, y, width, height, heightData);
+        if (refs.normalTexture && refs.normalTexture !== heightTex) {
+            this._writeTextureRegion(refs.normalTexture, x, y, width, height, normalData);
+        }
+
+        if (refs.tileTexture && refs.tileTexture !== heightTex && chunkData.tiles && tileWidth > 0) {
+            const tileStep = size / tileWidth;
+            const tileData = new Float32Array(tileWidth * tileHeight * 4);
+            for (let j = 0; j < tileHeight; j++) {
+                for (let i = 0; i < tileWidth; i++) {
+                    const o = (j * tileWidth + i) * 4;
+                    const tile = chunkData.getTile(Math.floor(i * tileStep), Math.floor(j * tileStep)) || 0;
+                    tileData[o] = tile / 255.0;
+                    tileData[o + 3] = 1.0;
+                }
+            }
+            this._writeTextureRegion(refs.tileTexture, tileX, tileY, tileWidth, tileHeight, tileData);
+        }
+        return true;
+    }
+
+    /**
+     * Rerun the splat pass (CPU port) over a chunk's edited tiles and write
+     * it over the chunk's splat texels. Atlases that store the chunk at
+     * another resolution are left alone.
+     */
+    refreshChunkSplat(chunkData) {
+        const refs = chunkData.textureRefs;
+        const splatTex = refs?.splatDataTexture;
+        if (!splatTex || !chunkData.tiles) return false;
+
+        const terrain = this.getCPUTerrain();
+        const size = chunkData.size;
+        const splatSize = size * terrain.splatDensity;
+
+        let x = 0, y = 0, width = splatTex.width, height = splatTex.height;
+        if (refs.useAtlasMode && refs.uvTransform) {
+            const uv = refs.uvTransform;
+            x = Math.round(uv.offsetX * splatTex.width);
+            y = Math.round(uv.offsetY * splatTex.height);
+            width = height = Math.round(uv.scale * splatTex.width);
+        }
+        if (width !== splatSize || height !== splatSize) return false;
+
+        const tileData = new Float32Array(size * size * 4);
+        for (let i = 0; i < size * size; i++) {
+            tileData[i * 4] = chunkData.tiles[i] / 255.0;
+            tileData[i * 4 + 3] = 1.0;
+        }
+        this._writeTextureRegion(splatTex, x, y, width, height, terrain.runSplatPass(tileData, size));
+        return true;
+    }
+
+    _writeTextureRegion(texture, x, y, width, height, data) {
+        // CPU-backed textures: patch the source data and let the backend re-upload
+        if (texture.data && x === 0 && y === 0 && width === texture.width && height === texture.height &&
+            texture.data.length === data.length) {
+            texture.data.set(data);
+            texture._needsUpload = true;
+            return;
+        }
+        if (texture._gpuTexture && this.backend?.updateTextureRegion) {
+            this.backend.updateTextureRegion(texture, x, y, width, height, data);
+        }
+    }
+
+    /**
+     * Set planet configuration for spherical terrain. chunksPerFace is the
+     * planet's chunk grid (SphericalChunkMapper.chunksPerFace), which the
+     * terrain passes map face UVs with.
      */
-    setPlanetConfig(config) {
+    setPlanetConfig(config, chunksPerFace = 16) {
         this.planetConfig = config;
-        console.log('[BaseWorldGenerator] Planet config set: radius=' + config.radius);
+        this.chunksPerFace = chunksPerFace;
+        this._hydrology = null;
+        this._roads = null;
+        this._surfaceTerrain = null;
+        const terrain = this.modules.tiledTerrain.instance;
+        if (terrain) terrain.chunksPerFace = chunksPerFace;
+        console.log('[BaseWorldGenerator] Planet config set: radius=' + config.radius + ', chunksPerFace=' + chunksPerFace);
     }
 
     dispose() {
@@ -0,0 +1,546 @@
+// js/world/biomeRegistry.js
+// Data-driven tile selection. A registry is a list of biomes, each with
+// altitude/temperature/moisture/latitude ranges, a noise mask, a tile palette
+// and a feature mix. It compiles into the determineTerrain() function of the
+// WGSL and GLSL terrain compute shaders, a matching JS evaluator for the CPU
+// reference generator, the tile-keyed feature distribution and the
+// StreamedAssetConfig valid-tile lists.
+
+import { TILE_TYPES } from '../types.js';
+
+// The splat passes only blend tile ids 1..8
+const MAX_SPLAT_TILE = 8;
+
+const CLIMATE_TERMS = ['temperature', 'moisture', 'latitude'];
+
+/**
+ * Defaults for the climate fields every biome range is tested against.
+ * Heights are generation units (0..heightScale, ~40).
+ */
+export const DEFAULT_CLIMATE = {
+    // Temperature: 1 at the equator at sea level, minus latitude and altitude cooling, plus noise
+    latitudeCooling: 0.8,
+    lapseRate: 0.0125,
+    temperatureScale: 0.0008,
+    temperatureNoise: 0.2,
+    // Moisture: 0..1 low frequency noise
+    moistureScale: 0.001
+};
+
+/**
+ * Format a number as a float literal valid in both WGSL and GLSL.
+ */
+function floatLiteral(value) {
+    if (Number.isInteger(value)) return value.toFixed(1);
+    return String(value);
+}
+
+function clamp01(x) {
+    return Math.min(Math.max(x, 0.0), 1.0);
+}
+
+/**
+ * A value range with linear fades. The weight ramps 0 -> 1 over
+ * [min, min + fade] and 1 -> 0 over [max, max + fade]; a missing bound is
+ * open. { max: 0, fade: 22 } on altitude is "lowlands, gone by h = 22".
+ */
+export class BiomeRange {
+    constructor(options = {}) {
+        this.min = options.min ?? null;
+        this.max = options.max ?? null;
+        this.fade = options.fade ?? 0.1;
+    }
+
+    get unbounded() {
+        return this.min === null && this.max === null;
+    }
+
+    evaluate(v) {
+        let w = 1.0;
+        if (this.min !== null) {
+            w = clamp01((v - this.min) / this.fade);
+        }
+        if (this.max !== null) {
+            const falling = 1.0 - clamp01((v - this.max) / this.fade);
+            w = this.min !== null ? w * falling : falling;
+        }
+        return w;
+    }
+
+    /**
+     * Same expression as evaluate(), as shader source (identical in WGSL and GLSL).
+     */
+    compile(variable) {
+        const rising = this.min !== null
+            ? `clamp((${variable} - ${floatLiteral(this.min)}) / ${floatLiteral(this.fade)}, 0.0, 1.0)`
+            : null;
+        const falling = this.max !== null
+            ? `(1.0 - clamp((${variable} - ${floatLiteral(this.max)}) / ${floatLiteral(this.fade)}, 0.0, 1.0))`
+            : null;
+        if (rising && falling) return `${rising} * ${falling}`;
+        return rising || falling || '1.0';
+    }
+
+    toJSON() {
+        return { min: this.min, max: this.max, fade: this.fade };
+    }
+}
+
+export class Biome {
+    constructor(options = {}) {
+        this.name = options.name || 'biome';
+        // Tile names (TILE_TYPES keys). With several entries a detail noise picks one.
+        this.palette = Array.isArray(options.palette) ? [...options.palette] : [options.palette || 'GRASS'];
+        this.paletteScale = options.paletteScale ?? 0.05;
+
+        this.altitude = new BiomeRange(options.altitude);
+        this.temperature = new BiomeRange(options.temperature);
+        this.moisture = new BiomeRange(options.moisture);
+        this.latitude = new BiomeRange(options.latitude);
+
+        // pow(0.5 + 0.5 * octaveNoise(wx * scale, wy * scale, octaves), exponent), or none
+        this.mask = options.mask ? {
+            scale: options.mask.scale ?? 0.007,
+            exponent: options.mask.exponent ?? 1.0,
+            octaves: options.mask.octaves ?? 3
+        } : null;
+        this.weight = options.weight ?? 1.0;
+
+        // Feature name -> { prob, maxDensity }, applied to every palette tile
+        this.features = { ...(options.features || {}) };
+    }
+
+    get tileIds() {
+        return this.palette.map(name => TILE_TYPES[name]);
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            palette: [...this.palette],
+            paletteScale: this.paletteScale,
+            altitude: this.altitude.toJSON(),
+            temperature: this.temperature.toJSON(),
+            moisture: this.moisture.toJSON(),
+            latitude: this.latitude.toJSON(),
+            mask: this.mask ? { ...this.mask } : null,
+            weight: this.weight,
+            features: JSON.parse(JSON.stringify(this.features))
+        };
+    }
+}
+
+export class BiomeRegistry {
+    constructor(options = {}) {
+        this.name = options.name || 'custom';
+        this.climate = { ...DEFAULT_CLIMATE, ...(options.climate || {}) };
+        this.biomes = [];
+        for (const biome of options.biomes || []) {
+            this.addBiome(biome);
+        }
+    }
+
+    addBiome(options) {
+        const biome = options instanceof Biome ? options : new Biome(options);
+        for (const tileName of biome.palette) {
+            const id = TILE_TYPES[tileName];
+            if (id === undefined) {
+                throw new Error(`BiomeRegistry: unknown tile "${tileName}" in biome "${biome.name}"`);
+            }
+            if (id < 1 || id > MAX_SPLAT_TILE) {
+                console.warn(`BiomeRegistry: tile ${tileName} (${id}) in biome "${biome.name}" is outside the splat range 1..${MAX_SPLAT_TILE}`);
+            }
+        }
+        this.biomes.push(biome);
+        return biome;
+    }
+
+    getBiome(name) {
+        return this.biomes.find(biome => biome.name === name) || null;
+    }
+
+    /**
+     * Climate terms some biome actually tests; the rest are left out of the
+     * compiled code so unused fields cost nothing.
+     */
+    _usedTerms() {
+        const used = new Set();
+        for (const biome of this.biomes) {
+            for (const term of CLIMATE_TERMS) {
+                if (!biome[term].unbounded) used.add(term);
+            }
+        }
+        return used;
+    }
+
+    // ==================== SHADER COMPILATION ====================
+
+    /**
+     * Shader body shared by both languages. decl(name, expr) declares a local.
+     */
+    _compileBody(decl, mutableDecl) {
+        if (this.biomes.length === 0) {
+            throw new Error('BiomeRegistry: cannot compile an empty registry');
+        }
+
+        const c = this.climate;
+        const used = this._usedTerms();
+        const lines = [];
+
+        if (used.has('temperature')) {
+            const ts = floatLiteral(c.temperatureScale);
+            lines.push(decl('temperature', `clamp(1.0 - lat * ${floatLiteral(c.latitudeCooling)} - h * ${floatLiteral(c.lapseRate)}` +
+                ` + ${floatLiteral(c.temperatureNoise)} * octaveNoise(wx * ${ts} + 1733.0, wy * ${ts} - 917.0, 2, seed), 0.0, 1.0)`));
+        }
+        if (used.has('moisture')) {
+            const ms = floatLiteral(c.moistureScale);
+            lines.push(decl('moisture', `clamp(0.5 + 0.5 * octaveNoise(wx * ${ms} - 4271.0, wy * ${ms} + 2953.0, 2, seed), 0.0, 1.0)`));
+        }
+
+        this.biomes.forEach((biome, i) => {
+            const factors = [];
+            if (!biome.altitude.unbounded) factors.push(biome.altitude.compile('h'));
+            if (!biome.temperature.unbounded) factors.push(biome.temperature.compile('temperature'));
+            if (!biome.moisture.unbounded) factors.push(biome.moisture.compile('moisture'));
+            if (!biome.latitude.unbounded) factors.push(biome.latitude.compile('lat'));
+            if (biome.mask) {
+                const s = floatLiteral(biome.mask.scale);
+                factors.push(`pow(0.5 + 0.5 * octaveNoise(wx * ${s}, wy * ${s}, ${biome.mask.octaves}, seed), ${floatLiteral(biome.mask.exponent)})`);
+            }
+            if (biome.weight !== 1.0) factors.push(floatLiteral(biome.weight));
+            lines.push(decl(`w${i}`, factors.length > 0 ? factors.join(' * ') : '1.0') + ` // ${biome.name}`);
+        });
+
+        // Later biomes win ties, matching the original hand-written selection
+        lines.push(mutableDecl('best', 'w0'));
+        lines.push(mutableDecl('biome', '0'));
+        for (let i = 1; i < this.biomes.length; i++) {
+            lines.push(`if (w${i} >= best) { best = w${i}; biome = ${i}; }`);
+        }
+
+        this.biomes.forEach((biome, i) => {
+            const ids = biome.tileIds;
+            lines.push(`if (biome == ${i}) {`);
+            if (ids.length === 1) {
+                lines.push(`    return ${ids[0]}u; // ${biome.palette[0]}`);
+            } else {
+                const s = floatLiteral(biome.paletteScale);
+                lines.push('    ' + decl(`p${i}`, `clamp(0.5 + 0.5 * octaveNoise(wx * ${s} + 611.0, wy * ${s} - 389.0, 2, seed), 0.0, 0.9999) * ${floatLiteral(ids.length)}`));
+                for (let k = 0; k < ids.length - 1; k++) {
+                    lines.push(`    if (p${i} < ${floatLiteral(k + 1)}) { return ${ids[k]}u; } // ${biome.palette[k]}`);
+                }
+                lines.push(`    return ${ids[ids.length - 1]}u; // ${biome.palette[ids.length - 1]}`);
+            }
+            lines.push('}');
+        });
+        lines.push(`return ${this.biomes[0].tileIds[0]}u;`);
+
+        return lines.map(line => '    ' + line).join('\n');
+    }
+
+    /**
+     * WGSL determineTerrain(h, wx, wy, lat, seed) -> u32. lat is 0 at the
+     * equator and 1 at the poles (always 0 for flat terrain).
+     */
+    compileWGSL() {
+        const body = this._compileBody(
+            (name, expr) => `let ${name} = ${expr};`,
+            (name, expr) => `var ${name} = ${expr};`
+        );
+        return `// Generated by BiomeRegistry "${this.name}"
+fn determineTerrain(h: f32, wx: f32, wy: f32, lat: f32, seed: i32) -> u32 {
+${body}
+}`;
+    }
+
+    /**
+     * GLSL ES 3.0 equivalent of compileWGSL().
+     */
+    compileGLSL() {
+        const body = this._compileBody(
+            (name, expr) => `float ${name} = ${expr};`,
+            (name, expr) => name === 'biome' ? `int ${name} = ${expr};` : `float ${name} = ${expr};`
+        );
+        return `// Generated by BiomeRegistry "${this.name}"
+uint determineTerrain(float h, float wx, float wy, float lat, int seed) {
+${body}
+}`;
+    }
+
+    // ==================== CPU EVALUATION ====================
+
+    /**
+     * JS port of the compiled determineTerrain(). octaveNoise is the CPU
+     * reference noise (passed in to keep this module free of generator imports).
+     */
+    selectTile(h, wx, wy, lat, seed, octaveNoise) {
+        const biome = this.selectBiome(h, wx, wy, lat, seed, octaveNoise);
+        const ids = biome.tileIds;
+        if (ids.length === 1) return ids[0];
+
+        const s = biome.paletteScale;
+        const p = Math.min(Math.max(0.5 + 0.5 * octaveNoise(wx * s + 611.0, wy * s - 389.0, 2, seed), 0.0), 0.9999) * ids.length;
+        return ids[Math.min(Math.floor(p), ids.length - 1)];
+    }
+
+    /**
+     * The biome whose palette selectTile() draws from at this position.
+     */
+    selectBiome(h, wx, wy, lat, seed, octaveNoise) {
+        const c = this.climate;
+        const used = this._usedTerms();
+
+        const climate = { h, lat, temperature: 0, moisture: 0 };
+        if (used.has('temperature')) {
+            climate.temperature = clamp01(1.0 - lat * c.latitudeCooling - h * c.lapseRate +
+                c.temperatureNoise * octaveNoise(wx * c.temperatureScale + 1733.0, wy * c.temperatureScale - 917.0, 2, seed));
+        }
+        if (used.has('moisture')) {
+            climate.moisture = clamp01(0.5 + 0.5 * octaveNoise(wx * c.moistureScale - 4271.0, wy * c.moistureScale + 2953.0, 2, seed));
+        }
+
+        let best = 0;
+        let bestIndex = 0;
+        for (let i = 0; i < this.biomes.length; i++) {
+            const biome = this.biomes[i];
+            let w = 1.0;
+            let hasFactor = false;
+            const multiply = (f) => {
+                w = hasFactor ? w * f : f;
+                hasFactor = true;
+            };
+            if (!biome.altitude.unbounded) multiply(biome.altitude.evaluate(h));
+            if (!biome.temperature.unbounded) multiply(biome.temperature.evaluate(climate.temperature));
+            if (!biome.moisture.unbounded) multiply(biome.moisture.evaluate(climate.moisture));
+            if (!biome.latitude.unbounded) multiply(biome.latitude.evaluate(lat));
+            if (biome.mask) {
+                const s = biome.mask.scale;
+                multiply(Math.pow(0.5 + 0.5 * octaveNoise(wx * s, wy * s, biome.mask.octaves, seed), biome.mask.exponent));
+            }
+            if (biome.weight !== 1.0) multiply(biome.weight);
+
+            if (i === 0 || w >= best) {
+                best = w;
+                bestIndex = i;
+            }
+        }
+
+        return this.biomes[bestIndex];
+    }
+
+    // ==================== FEATURES ====================
+
+    /**
+     * Tile-name keyed { feature: { prob, maxDensity } }, the format
+     * initializeStreamedTypes() takes. Tiles shared by several biomes keep
+     * the highest probability/density per feature.
+     */
+    getFeatureDistribution() {
+        const distribution = {};
+        for (const biome of this.biomes) {
+            for (const tileName of biome.palette) {
+                const tileFeatures = distribution[tileName] || (distribution[tileName] = {});
+                for (const [feature, config] of Object.entries(biome.features)) {
+                    const existing = tileFeatures[feature];
+                    tileFeatures[feature] = existing
+                        ? { prob: Math.max(existing.prob, config.prob), maxDensity: Math.max(existing.maxDensity, config.maxDensity) }
+                        : { prob: config.prob, maxDensity: config.maxDensity };
+                }
+            }
+        }
+        return distribution;
+    }
+
+    /**
+     * Tile ids on which a feature can spawn.
+     */
+    getValidTiles(feature) {
+        const tiles = [];
+        for (const biome of this.biomes) {
+            if (!(biome.features[feature]?.prob > 0)) continue;
+            for (const id of biome.tileIds) {
+                if (!tiles.includes(id)) tiles.push(id);
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Rewrite validTiles of StreamedAssetConfig entries that name a feature.
+     * Entries whose feature no biome uses get an empty list (never spawned).
+     * Lists are updated in place so copies taken at registration follow along.
+     */
+    applyToStreamedAssetConfig(assetConfig) {
+        for (const asset of assetConfig) {
+            const feature = asset.config.feature;
+            if (!feature) continue;
+
+            const tiles = this.getValidTiles(feature);
+            if (Array.isArray(asset.config.validTiles)) {
+                asset.config.validTiles.length = 0;
+                asset.config.validTiles.push(...tiles);
+            } else {
+                asset.config.validTiles = tiles;
+            }
+        }
+    }
+
+    // ==================== SERIALIZATION ====================
+
+    toJSON() {
+        return {
+            name: this.name,
+            climate: { ...this.climate },
+            biomes: this.biomes.map(biome => biome.toJSON())
+        };
+    }
+
+    /**
+     * Accepts toJSON() output or a preset name.
+     */
+    static fromJSON(json) {
+        if (typeof json === 'string') {
+            return BiomeRegistry.createPreset(json);
+        }
+        return new BiomeRegistry(json);
+    }
+
+    // ==================== PRESETS ====================
+
+    /**
+     * The original hand-written grass/rock/tundra selection, bit for bit.
+     */
+    static createDefault() {
+        return new BiomeRegistry({
+            name: 'default',
+            biomes: [
+                {
+                    name: 'grassland',
+                    palette: ['GRASS'],
+                    altitude: { max: 0, fade: 22 },
+                    mask: { scale: 0.007, exponent: 1.2 },
+                    features: {
+                        grass: { prob: 0.8, maxDensity: 64 },
+                        rock: { prob: 0.05, maxDensity: 8 },
+                        flower: { prob: 0.15, maxDensity: 16 }
+                    }
+                },
+                {
+                    name: 'rock',
+                    palette: ['ROCK'],
+                    altitude: { min: 0, fade: 22 },
+                    mask: { scale: 0.009, exponent: 2.0 },
+                    features: {
+                        rock: { prob: 0.9, maxDensity: 72 },
+                        pebble: { prob: 0.1, maxDensity: 16 }
+                    }
+                },
+                {
+                    name: 'tundra',
+                    palette: ['TUNDRA'],
+                    altitude: { min: 0, fade: 22 },
+                    mask: { scale: 0.006, exponent: 2.0 },
+                    features: {
+                        grass: { prob: 0.2, maxDensity: 16 },
+                        pebble: { prob: 0.4, maxDensity: 24 }
+                    }
+                }
+            ]
+        });
+    }
+
+    static createDesert() {
+        return new BiomeRegistry({
+            name: 'desert',
+            climate: { moistureScale: 0.0006 },
+            biomes: [
+                {
+                    name: 'dunes',
+                    palette: ['SAND'],
+                    altitude: { max: 14, fade: 8 },
+                    mask: { scale: 0.004, exponent: 1.0 },
+                    features: {
+                        pebble: { prob: 0.6, maxDensity: 32 },
+                        rock: { prob: 0.1, maxDensity: 8 }
+                    }
+                },
+                {
+                    name: 'mesa',
+                    palette: ['STONE', 'ROCK'],
+                    paletteScale: 0.03,
+                    altitude: { min: 10, fade: 8 },
+                    mask: { scale: 0.008, exponent: 1.5 },
+                    features: {
+                        rock: { prob: 0.9, maxDensity: 72 },
+                        pebble: { prob: 0.1, maxDensity: 16 }
+                    }
+                },
+                {
+                    name: 'oasis',
+                    palette: ['GRASS'],
+                    altitude: { max: 4, fade: 4 },
+                    moisture: { min: 0.78, fade: 0.04 },
+                    features: {
+                        grass: { prob: 0.8, maxDensity: 64 },
+                        flower: { prob: 0.2, maxDensity: 16 }
+                    }
+                }
+            ]
+        });
+    }
+
+    static createTundra() {
+        return new BiomeRegistry({
+            name: 'tundra',
+            climate: { latitudeCooling: 0.6, lapseRate: 0.02 },
+            biomes: [
+                {
+                    name: 'steppe',
+                    palette: ['GRASS'],
+                    temperature: { min: 0.55, fade: 0.1 },
+                    mask: { scale: 0.007, exponent: 1.2 },
+                    features: {
+                        grass: { prob: 0.6, maxDensity: 32 },
+                        flower: { prob: 0.05, maxDensity: 4 }
+                    }
+                },
+                {
+                    name: 'tundra',
+                    palette: ['TUNDRA'],
+                    temperature: { max: 0.6, fade: 0.15 },
+                    mask: { scale: 0.006, exponent: 1.0 },
+                    features: {
+                        grass: { prob: 0.2, maxDensity: 12 },
+                        pebble: { prob: 0.5, maxDensity: 24 }
+                    }
+                },
+                {
+                    name: 'scree',
+                    palette: ['ROCK', 'STONE'],
+                    altitude: { min: 12, fade: 10 },
+                    mask: { scale: 0.009, exponent: 2.0 },
+                    features: {
+                        rock: { prob: 0.9, maxDensity: 72 }
+                    }
+                }
+            ]
+        });
+    }
+
+    static createPreset(presetName) {
+        switch (presetName.toLowerCase()) {
+            case 'default':
+            case 'temperate':
+                return BiomeRegistry.createDefault();
+            case 'desert':
+                return BiomeRegistry.createDesert();
+            case 'tundra':
+                return BiomeRegistry.createTundra();
+            default:
+                console.warn(`Unknown biome preset: ${presetName}, using default`);
+                return BiomeRegistry.createDefault();
+        }
+    }
+}
+
+export const DEFAULT_BIOME_REGISTRY = BiomeRegistry.createDefault();
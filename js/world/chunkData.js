@@ -6,6 +6,9 @@ export class ChunkData {
         this.chunkX = chunkX;
         this.chunkY = chunkY;
         this.size = size;
+        // Base chunks per side this chunk covers: 1, or 2^lod for a coarse
+        // planet quadtree node (same sample count, spread span times wider)
+        this.span = 1;
         
         // Use typed arrays for better GPU compatibility
         this.tiles = new Uint32Array(size * size);
@@ -34,6 +37,17 @@ export class ChunkData {
         this.hasWater = false; // True if any part of terrain is below water
         this.isFullySubmerged = false; // True if ALL terrain is below water
         this.isFullyAboveWater = false; 
+
+        // Hydrology (HydrologyMap.applyToChunk), one value per height sample
+        this.waterData = null; // Water surface height; sea level where dry
+        this.waterDepth = null;
+        this.waterFlow = null; // Flow direction * speed (x, z pairs, tiles)
+        this.waterType = null; // WaterType per sample
+        this.rivers = []; // River polylines for ribbon meshes
+        this.lakes = []; // { id, surfaceHeight } of lakes in this chunk
+
+        // Roads (RoadNetwork.applyToChunk): road weight per height sample
+        this.roadMask = null;
     }
    // Simple check: is this chunk's terrain below water level?
    calculateWaterVisibility(globalWaterLevel) {
@@ -64,7 +78,8 @@ export class ChunkData {
 
     // NEW: Water accessors
     getWaterHeight(x, y) {
-        if (!this.waterData) return null;
+        // Without per-vertex water data the chunk has one flat water plane
+        if (!this.waterData) return this.waterPlaneHeight;
         const ix = Math.floor(x);
         const iy = Math.floor(y);
         if (ix < 0 || ix > this.size || iy < 0 || iy > this.size) return null;
@@ -79,6 +94,31 @@ export class ChunkData {
         return this.waterDepth[iy * (this.size + 1) + ix];
     }
 
+    getWaterFlow(x, y) {
+        if (!this.waterFlow) return null;
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        if (ix < 0 || ix > this.size || iy < 0 || iy > this.size) return null;
+        const index = (iy * (this.size + 1) + ix) * 2;
+        return { x: this.waterFlow[index], y: this.waterFlow[index + 1] };
+    }
+
+    getWaterType(x, y) {
+        if (!this.waterType) return null;
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        if (ix < 0 || ix > this.size || iy < 0 || iy > this.size) return null;
+        return this.waterType[iy * (this.size + 1) + ix];
+    }
+
+    getRoadWeight(x, y) {
+        if (!this.roadMask) return 0;
+        const ix = Math.round(x);
+        const iy = Math.round(y);
+        if (ix < 0 || ix > this.size || iy < 0 || iy > this.size) return 0;
+        return this.roadMask[iy * (this.size + 1) + ix];
+    }
+
     // Interpolated height access (matches terrain rendering) - this should be the main method
     getHeight(x, y) {
         // Convert to floating point for interpolation
@@ -0,0 +1,108 @@
+import { BaseWorldGenerator } from './baseWorldGenerator.js';
+import { CPUTerrainGenerator } from './terrainGeneratorCPU.js';
+import { ChunkData } from './chunkData.js';
+
+/**
+ * World generator that runs the terrain passes in plain JavaScript.
+ * Needs no GPU device or canvas, so ChunkManager can drive it headless;
+ * under Node preload js/node/register.mjs so the three CDN import resolves
+ * (see `npm run generate:cpu`). In the browser select it with
+ * `new GameEngine(canvasId, { worldGenerator: 'cpu' })` or `?generator=cpu`.
+ */
+export class CPUWorldGenerator extends BaseWorldGenerator {
+    constructor(backend, textureCache, chunkSize, seed) {
+        super(backend, textureCache, chunkSize, seed);
+
+        // A 2048x2048 atlas is far too slow to fill on the CPU; chunks are
+        // generated one at a time and cached as legacy per-chunk textures.
+        this.useAtlasMode = false;
+        this.generationHeightScale = 40.0;
+        this.renderHeightScale = 2000.0;
+    }
+
+    getAPIName() {
+        return 'CPU';
+    }
+
+    async initializeAPI() {
+        // Nothing to acquire
+    }
+
+    async initializeModules() {
+        if (this.modules.tiledTerrain.enabled) {
+            this.modules.tiledTerrain.instance = new CPUTerrainGenerator(
+                this.seed,
+                this.chunkSize,
+                this.macroConfig,
+                this.splatConfig,
+                this.textureCache
+            );
+            this.modules.tiledTerrain.instance.heightScale = this.generationHeightScale;
+            this.modules.tiledTerrain.instance.initialize();
+        }
+    }
+
+    async generateChunk(chunkX, chunkY, face = null, lod = 0, span = 1) {
+        await this._ready;
+
+        // Validate inputs
+        if (typeof chunkX !== 'number' || isNaN(chunkX) ||
+            typeof chunkY !== 'number' || isNaN(chunkY)) {
+            console.error('[CPUWorldGenerator] Invalid chunk coordinates: (' + chunkX + ',' + chunkY + ')');
+            throw new Error('Invalid chunk coordinates: chunkX=' + chunkX + ', chunkY=' + chunkY);
+        }
+
+        const chunkData = new ChunkData(chunkX, chunkY, this.chunkSize);
+        const genScale = Math.max(this.generationHeightScale, 0.0001);
+        chunkData.heightScale = this.renderHeightScale / genScale;
+        chunkData.face = face;
+        chunkData.lodLevel = lod;
+        chunkData.span = span;
+        chunkData.useAtlasMode = false;
+
+        if (this.planetConfig) {
+            chunkData.isSpherical = true;
+            chunkData.baseAltitude = this.planetConfig.radius;
+        }
+
+        if (this.modules.tiledTerrain.enabled && this.modules.tiledTerrain.instance) {
+            await this.modules.tiledTerrain.instance.generateTerrain(chunkData, chunkX, chunkY, face, span);
+        }
+
+        chunkData.calculateWaterVisibility(this.globalWaterLevel);
+
+        if (chunkData.hasWater || chunkData.isFullySubmerged) {
+            chunkData.waterFeatures = [{
+                type: 'water',
+                chunkX: chunkX,
+                chunkY: chunkY,
+                waterLevel: this.globalWaterLevel,
+                chunkSize: this.chunkSize,
+                waterType: chunkData.isFullySubmerged ? 'deep' : 'shallow'
+            }];
+        } else {
+            chunkData.waterFeatures = [];
+        }
+
+        await this.applyRoads(chunkData);
+        await this.applyHydrology(chunkData);
+
+        if (this.modules.staticObjects.enabled && !chunkData.isFullySubmerged) {
+            this.generateObjectData(chunkData, chunkX, chunkY);
+        }
+
+        return chunkData;
+    }
+
+    releaseChunk(chunkX, chunkY, face = null) {
+        if (this.textureCache?.removeChunk) {
+            this.textureCache.removeChunk(chunkX, chunkY);
+        }
+    }
+
+    dispose() {
+        if (this.modules.tiledTerrain.instance) {
+            this.modules.tiledTerrain.instance.dispose();
+        }
+    }
+}
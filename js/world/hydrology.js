@@ -0,0 +1,561 @@
+// js/world/hydrology.js
+// Planet-wide hydrology on a cube-sphere grid: depression filling, flow
+// directions and accumulation, lakes in filled basins and rivers along the
+// accumulated flow. applyToChunk() carves the rivers into a chunk's heights
+// and fills its water data.
+
+import { TerrainNoiseCPU } from './terrainGeneratorCPU.js';
+import { HYDROLOGY_CONFIG } from '../config/hydrologyConfig.js';
+
+export const WaterType = {
+    NONE: 0,
+    OCEAN: 1,
+    LAKE: 2,
+    RIVER: 3
+};
+
+const NEIGHBOR_OFFSETS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [-1, 1], [1, -1], [-1, -1]
+];
+
+function smoothstep(t) {
+    const x = Math.max(0, Math.min(1, t));
+    return x * x * (3 - 2 * x);
+}
+
+/**
+ * Face (u, v) in [0, 1] of a direction projected onto a given face's cube
+ * plane; the inverse of getSpherePoint. Directions outside the face land
+ * outside [0, 1]. Null for the opposite hemisphere.
+ */
+function faceUVOn(face, dx, dy, dz) {
+    const major = [dx, -dx, dy, -dy, dz, -dz][face];
+    if (major <= 1e-6) return null;
+
+    const cx = dx / major, cy = dy / major, cz = dz / major;
+    let x, y;
+    if (face === 0) { x = -cz; y = cy; }
+    else if (face === 1) { x = cz; y = cy; }
+    else if (face === 2) { x = cx; y = -cz; }
+    else if (face === 3) { x = cx; y = cz; }
+    else if (face === 4) { x = cx; y = cy; }
+    else { x = -cx; y = cy; }
+    return [(x + 1) * 0.5, (y + 1) * 0.5];
+}
+
+function faceOfDirection(dx, dy, dz) {
+    const ax = Math.abs(dx), ay = Math.abs(dy), az = Math.abs(dz);
+    if (ax >= ay && ax >= az) return dx > 0 ? 0 : 1;
+    if (ay >= az) return dy > 0 ? 2 : 3;
+    return dz > 0 ? 4 : 5;
+}
+
+/**
+ * Min-heap of cell indices ordered by height, first in first out on ties so
+ * flats drain in breadth-first order. Each cell is pushed at most once.
+ */
+class CellQueue {
+    constructor(capacity) {
+        this.cells = new Int32Array(capacity);
+        this.keys = new Float64Array(capacity);
+        this.order = new Float64Array(capacity);
+        this.size = 0;
+        this._seq = 0;
+    }
+
+    push(cell, key) {
+        let i = this.size++;
+        const seq = this._seq++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.keys[parent] < key || (this.keys[parent] === key && this.order[parent] < seq)) break;
+            this.cells[i] = this.cells[parent];
+            this.keys[i] = this.keys[parent];
+            this.order[i] = this.order[parent];
+            i = parent;
+        }
+        this.cells[i] = cell;
+        this.keys[i] = key;
+        this.order[i] = seq;
+    }
+
+    pop() {
+        const top = this.cells[0];
+        const last = --this.size;
+        const cell = this.cells[last], key = this.keys[last], seq = this.order[last];
+        let i = 0;
+        while (true) {
+            let child = i * 2 + 1;
+            if (child >= last) break;
+            if (child + 1 < last && (this.keys[child + 1] < this.keys[child] ||
+                (this.keys[child + 1] === this.keys[child] && this.order[child + 1] < this.order[child]))) {
+                child++;
+            }
+            if (key < this.keys[child] || (key === this.keys[child] && seq < this.order[child])) break;
+            this.cells[i] = this.cells[child];
+            this.keys[i] = this.keys[child];
+            this.order[i] = this.order[child];
+            i = child;
+        }
+        this.cells[i] = cell;
+        this.keys[i] = key;
+        this.order[i] = seq;
+        return top;
+    }
+}
+
+/**
+ * Hydrology of the whole planet from a CPU terrain generator (see
+ * BaseWorldGenerator.getCPUTerrain).
+ *
+ * Cell (i, j) of face f has index (f * N + j) * N + i and samples the
+ * terrain at the getSpherePoint direction of its centre, so the grid lines
+ * up with the chunk grid: chunk tile (tx, ty) on a face sits at grid
+ * coordinate tx / tilesPerCell.
+ *
+ * Depressions are filled by a priority flood from the ocean (every cell at
+ * or below sea level); the flood order gives each cell its downstream cell,
+ * which also drains flats and filled basins towards their spill point.
+ */
+export class HydrologyMap {
+    constructor(terrain, options = {}) {
+        this.terrain = terrain;
+        this.options = { ...HYDROLOGY_CONFIG, ...options };
+        this.faceResolution = this.options.faceResolution;
+        this.seaLevel = options.seaLevel ?? 8.0;
+        this.cellCount = 6 * this.faceResolution * this.faceResolution;
+
+        this.directions = null;
+        this.heights = null;
+        this.filled = null;
+        this.neighbors = null;
+        this.flowTo = null;
+        this.accumulation = null;
+        this.isOcean = null;
+        this.lakeId = null;
+        this.riverWidth = null;
+        this.riverDepth = null;
+        this.lakes = [];
+    }
+
+    async build() {
+        const startTime = performance.now();
+
+        await this._sampleHeights();
+        this._buildNeighbors();
+        this._floodFill();
+        this._accumulate();
+        this._labelLakes();
+        this._markRivers();
+
+        let riverCells = 0;
+        for (let c = 0; c < this.cellCount; c++) {
+            if (this.riverWidth[c] > 0) riverCells++;
+        }
+        console.log('[HydrologyMap] Built ' + this.faceResolution + 'x' + this.faceResolution + ' x6 grid: ' +
+            this.lakes.length + ' lakes, ' + riverCells + ' river cells in ' +
+            (performance.now() - startTime).toFixed(0) + 'ms');
+        return this;
+    }
+
+    async _sampleHeights() {
+        const N = this.faceResolution;
+        this.directions = new Float32Array(this.cellCount * 3);
+        this.heights = new Float32Array(this.cellCount);
+
+        for (let face = 0; face < 6; face++) {
+            for (let j = 0; j < N; j++) {
+                for (let i = 0; i < N; i++) {
+                    const c = (face * N + j) * N + i;
+                    const [dx, dy, dz] = TerrainNoiseCPU.getSpherePoint(face, (i + 0.5) / N, (j + 0.5) / N);
+                    const [wx, wy] = this.terrain.getSphereCoord(dx, dy, dz);
+                    this.directions[c * 3] = dx;
+                    this.directions[c * 3 + 1] = dy;
+                    this.directions[c * 3 + 2] = dz;
+                    this.heights[c] = this.terrain.sampleHeight(wx, wy);
+                }
+                // Keep the page responsive while sampling
+                if ((j & 15) === 15) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        }
+    }
+
+    cellAt(dx, dy, dz) {
+        const N = this.faceResolution;
+        const face = faceOfDirection(dx, dy, dz);
+        const [u, v] = faceUVOn(face, dx, dy, dz);
+        const i = Math.min(N - 1, Math.max(0, Math.floor(u * N)));
+        const j = Math.min(N - 1, Math.max(0, Math.floor(v * N)));
+        return (face * N + j) * N + i;
+    }
+
+    /**
+     * Eight neighbours per cell (-1 where a cube corner leaves a gap). Off-face
+     * offsets are extended over the face plane and land on the adjacent face.
+     */
+    _buildNeighbors() {
+        const N = this.faceResolution;
+        this.neighbors = new Int32Array(this.cellCount * 8).fill(-1);
+
+        for (let face = 0; face < 6; face++) {
+            for (let j = 0; j < N; j++) {
+                for (let i = 0; i < N; i++) {
+                    const c = (face * N + j) * N + i;
+                    for (let k = 0; k < 8; k++) {
+                        const ni = i + NEIGHBOR_OFFSETS[k][0];
+                        const nj = j + NEIGHBOR_OFFSETS[k][1];
+                        let nb;
+                        if (ni >= 0 && ni < N && nj >= 0 && nj < N) {
+                            nb = (face * N + nj) * N + ni;
+                        } else {
+                            const p = TerrainNoiseCPU.getSpherePoint(face, (ni + 0.5) / N, (nj + 0.5) / N);
+                            nb = this.cellAt(p[0], p[1], p[2]);
+                        }
+                        if (nb !== c) this.neighbors[c * 8 + k] = nb;
+                    }
+                }
+            }
+        }
+    }
+
+    _floodFill() {
+        const count = this.cellCount;
+        this.filled = Float32Array.from(this.heights);
+        this.flowTo = new Int32Array(count).fill(-1);
+        this.isOcean = new Uint8Array(count);
+        this.floodOrder = new Int32Array(count);
+
+        const visited = new Uint8Array(count);
+        const queue = new CellQueue(count);
+
+        let lowest = 0;
+        for (let c = 0; c < count; c++) {
+            if (this.heights[c] < this.heights[lowest]) lowest = c;
+            if (this.heights[c] <= this.seaLevel) {
+                this.isOcean[c] = 1;
+                this.filled[c] = this.seaLevel;
+                visited[c] = 1;
+                queue.push(c, this.seaLevel);
+            }
+        }
+        // A planet without ocean drains to its lowest point
+        if (queue.size === 0) {
+            visited[lowest] = 1;
+            queue.push(lowest, this.heights[lowest]);
+        }
+
+        let n = 0;
+        while (queue.size > 0) {
+            const c = queue.pop();
+            this.floodOrder[n++] = c;
+            for (let k = 0; k < 8; k++) {
+                const nb = this.neighbors[c * 8 + k];
+                if (nb < 0 || visited[nb]) continue;
+                visited[nb] = 1;
+                this.filled[nb] = Math.max(this.heights[nb], this.filled[c]);
+                this.flowTo[nb] = c;
+                queue.push(nb, this.filled[nb]);
+            }
+        }
+    }
+
+    /**
+     * Upstream cell count; the flood order is downstream-first, so walking
+     * it backwards visits every cell after all of its upstream cells.
+     */
+    _accumulate() {
+        this.accumulation = new Float32Array(this.cellCount).fill(1);
+        for (let n = this.cellCount - 1; n >= 0; n--) {
+            const c = this.floodOrder[n];
+            const down = this.flowTo[c];
+            if (down >= 0) this.accumulation[down] += this.accumulation[c];
+        }
+    }
+
+    /**
+     * Connected filled cells sharing one surface height form a basin; basins
+     * that are deep and large enough become lakes.
+     */
+    _labelLakes() {
+        const { minLakeDepth, minLakeCells } = this.options;
+        this.lakeId = new Int32Array(this.cellCount).fill(-1);
+        this.lakes = [];
+
+        const isFilled = (c) => !this.isOcean[c] && this.filled[c] - this.heights[c] > 1e-4;
+        const seen = new Uint8Array(this.cellCount);
+        const stack = [];
+        const basin = [];
+
+        for (let start = 0; start < this.cellCount; start++) {
+            if (seen[start] || !isFilled(start)) continue;
+
+            const surface = this.filled[start];
+            let maxDepth = 0;
+            basin.length = 0;
+            stack.push(start);
+            seen[start] = 1;
+            while (stack.length > 0) {
+                const c = stack.pop();
+                basin.push(c);
+                maxDepth = Math.max(maxDepth, surface - this.heights[c]);
+                for (let k = 0; k < 8; k++) {
+                    const nb = this.neighbors[c * 8 + k];
+                    if (nb < 0 || seen[nb] || !isFilled(nb) || Math.abs(this.filled[nb] - surface) > 1e-5) continue;
+                    seen[nb] = 1;
+                    stack.push(nb);
+                }
+            }
+
+            if (basin.length < minLakeCells || maxDepth < minLakeDepth) continue;
+            const id = this.lakes.length;
+            for (const c of basin) this.lakeId[c] = id;
+            this.lakes.push({ id, surfaceHeight: surface, cellCount: basin.length, maxDepth });
+        }
+    }
+
+    _markRivers() {
+        const { riverThreshold, riverWidth, riverDepth } = this.options;
+        this.riverWidth = new Float32Array(this.cellCount);
+        this.riverDepth = new Float32Array(this.cellCount);
+
+        for (let c = 0; c < this.cellCount; c++) {
+            const acc = this.accumulation[c];
+            if (acc < riverThreshold || this.isOcean[c] || this.lakeId[c] >= 0 || this.flowTo[c] < 0) continue;
+            const t = Math.sqrt(acc / riverThreshold);
+            this.riverWidth[c] = Math.min(riverWidth.max, riverWidth.min * t);
+            this.riverDepth[c] = Math.min(riverDepth.max, riverDepth.min * t);
+        }
+    }
+
+    /**
+     * Carve rivers into a cube-sphere chunk and fill its water data (see
+     * ChunkData). Flat chunks and coarse quadtree nodes (span > 1, where a
+     * sample is several tiles apart) are left alone.
+     * @returns {boolean} true if heights changed
+     */
+    applyToChunk(chunkData) {
+        const face = chunkData.face;
+        if (face === null || face === undefined || face < 0 || !this.filled || !chunkData.heights) return false;
+        if ((chunkData.span ?? 1) > 1) return false;
+
+        const size = chunkData.size;
+        const stride = size + 1;
+        const N = this.faceResolution;
+        const tilesPerFace = size * this.terrain.chunksPerFace;
+        const tilesPerCell = tilesPerFace / N;
+        const originX = chunkData.chunkX * size;
+        const originY = chunkData.chunkY * size;
+        const bankWidth = this.options.bankWidth;
+
+        const segments = this._collectSegments(face, originX, originY, size, tilesPerFace);
+
+        const waterData = new Float32Array(stride * stride).fill(this.seaLevel);
+        const waterDepth = new Float32Array(stride * stride);
+        const waterFlow = new Float32Array(stride * stride * 2);
+        const waterType = new Uint8Array(stride * stride);
+        const lakesInChunk = new Map();
+        let carved = false;
+
+        for (let y = 0; y <= size; y++) {
+            for (let x = 0; x <= size; x++) {
+                const index = y * stride + x;
+                const h = chunkData.heights[index];
+
+                // Channel profile: bed across the river, easing back to the terrain over the banks
+                let target = h;
+                let river = null;
+                let riverSurface = 0;
+                let riverDistance = Infinity;
+                for (const seg of segments) {
+                    const ex = seg.bx - seg.ax, ey = seg.by - seg.ay;
+                    const t = Math.max(0, Math.min(1, ((x - seg.ax) * ex + (y - seg.ay) * ey) / seg.lengthSq));
+                    const px = seg.ax + ex * t - x, py = seg.ay + ey * t - y;
+                    const distance = Math.sqrt(px * px + py * py);
+                    const half = (seg.widthA + (seg.widthB - seg.widthA) * t) * 0.5;
+                    if (distance >= half + bankWidth) continue;
+
+                    const surface = seg.surfaceA + (seg.surfaceB - seg.surfaceA) * t;
+                    const bed = surface - (seg.depthA + (seg.depthB - seg.depthA) * t);
+                    const s = distance <= half ? 0 : smoothstep((distance - half) / bankWidth);
+                    target = Math.min(target, bed + (h - bed) * s);
+
+                    if (distance < half && distance < riverDistance) {
+                        river = seg;
+                        riverSurface = surface;
+                        riverDistance = distance;
+                    }
+                }
+                if (target < h) {
+                    chunkData.setHeightExtended(x, y, target);
+                    carved = true;
+                }
+                const ground = chunkData.heights[index];
+
+                let surface = this.seaLevel;
+                if (ground < this.seaLevel) {
+                    waterType[index] = WaterType.OCEAN;
+                } else {
+                    const lake = this._lakeAt((originX + x) / tilesPerCell, (originY + y) / tilesPerCell, face, ground);
+                    if (lake) {
+                        waterType[index] = WaterType.LAKE;
+                        surface = lake.surfaceHeight;
+                        lakesInChunk.set(lake.id, lake);
+                    } else if (river) {
+                        waterType[index] = WaterType.RIVER;
+                        surface = riverSurface;
+                        waterFlow[index * 2] = river.flowX;
+                        waterFlow[index * 2 + 1] = river.flowY;
+                    }
+                }
+                if (waterType[index] !== WaterType.NONE) {
+                    waterData[index] = surface;
+                    waterDepth[index] = Math.max(0, surface - ground);
+                }
+            }
+        }
+
+        chunkData.waterData = waterData;
+        chunkData.waterDepth = waterDepth;
+        chunkData.waterFlow = waterFlow;
+        chunkData.waterType = waterType;
+        chunkData.lakes = [...lakesInChunk.values()].map(lake => ({ id: lake.id, surfaceHeight: lake.surfaceHeight }));
+        chunkData.rivers = this._chainRivers(segments.filter(seg => {
+            // Each segment is meshed by the chunk holding its midpoint
+            const mx = (seg.ax + seg.bx) * 0.5, my = (seg.ay + seg.by) * 0.5;
+            return mx >= 0 && mx < size && my >= 0 && my < size;
+        }));
+        return carved;
+    }
+
+    /**
+     * Highest lake among the cells around a grid position whose surface is
+     * above `ground`, so shorelines follow the chunk's own heights.
+     */
+    _lakeAt(gx, gy, face, ground) {
+        const N = this.faceResolution;
+        const i0 = Math.floor(gx - 0.5), j0 = Math.floor(gy - 0.5);
+        let best = null;
+        for (let j = j0; j <= j0 + 1; j++) {
+            for (let i = i0; i <= i0 + 1; i++) {
+                const c = (face * N + Math.min(N - 1, Math.max(0, j))) * N + Math.min(N - 1, Math.max(0, i));
+                const id = this.lakeId[c];
+                if (id < 0) continue;
+                const lake = this.lakes[id];
+                if (lake.surfaceHeight > ground && (!best || lake.surfaceHeight > best.surfaceHeight)) best = lake;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * River segments (cell centre to downstream cell centre) that can reach
+     * the chunk, in chunk-local tiles. Cells across a face edge are projected
+     * onto this face's plane.
+     */
+    _collectSegments(face, originX, originY, size, tilesPerFace) {
+        const N = this.faceResolution;
+        const tilesPerCell = tilesPerFace / N;
+        const { riverWidth, bankWidth, flowSpeed } = this.options;
+        const reach = riverWidth.max * 0.5 + bankWidth;
+        const margin = reach + tilesPerCell * 2;
+
+        const i0 = Math.max(0, Math.floor((originX - margin) / tilesPerCell));
+        const i1 = Math.min(N - 1, Math.floor((originX + size + margin) / tilesPerCell));
+        const j0 = Math.max(0, Math.floor((originY - margin) / tilesPerCell));
+        const j1 = Math.min(N - 1, Math.floor((originY + size + margin) / tilesPerCell));
+
+        const cells = new Set();
+        for (let j = j0; j <= j1; j++) {
+            for (let i = i0; i <= i1; i++) {
+                const c = (face * N + j) * N + i;
+                cells.add(c);
+                if (i === 0 || j === 0 || i === N - 1 || j === N - 1) {
+                    for (let k = 0; k < 8; k++) {
+                        const nb = this.neighbors[c * 8 + k];
+                        if (nb >= 0) cells.add(nb);
+                    }
+                }
+            }
+        }
+
+        const segments = [];
+        for (const c of cells) {
+            if (this.riverWidth[c] <= 0) continue;
+            const down = this.flowTo[c];
+            const a = this._tileOnFace(c, face, tilesPerFace);
+            const b = this._tileOnFace(down, face, tilesPerFace);
+            if (!a || !b) continue;
+
+            const ax = a[0] - originX, ay = a[1] - originY;
+            const bx = b[0] - originX, by = b[1] - originY;
+            if (Math.max(ax, bx) < -reach || Math.min(ax, bx) > size + reach ||
+                Math.max(ay, by) < -reach || Math.min(ay, by) > size + reach) continue;
+
+            const lengthSq = Math.max((bx - ax) * (bx - ax) + (by - ay) * (by - ay), 1e-6);
+            const length = Math.sqrt(lengthSq);
+            const surfaceA = this.filled[c];
+            const surfaceB = Math.min(surfaceA, this.filled[down]);
+            const speed = Math.min(flowSpeed.max, flowSpeed.min + (surfaceA - surfaceB) / length * flowSpeed.perSlope);
+            // Mouths keep the river's size down to the lake or sea
+            const downIsRiver = this.riverWidth[down] > 0;
+
+            segments.push({
+                from: c,
+                to: down,
+                ax, ay, bx, by,
+                lengthSq,
+                widthA: this.riverWidth[c],
+                widthB: downIsRiver ? this.riverWidth[down] : this.riverWidth[c],
+                depthA: this.riverDepth[c],
+                depthB: downIsRiver ? this.riverDepth[down] : this.riverDepth[c],
+                surfaceA,
+                surfaceB,
+                flowX: (bx - ax) / length * speed,
+                flowY: (by - ay) / length * speed
+            });
+        }
+        return segments;
+    }
+
+    _tileOnFace(cell, face, tilesPerFace) {
+        const uv = faceUVOn(face, this.directions[cell * 3], this.directions[cell * 3 + 1], this.directions[cell * 3 + 2]);
+        return uv ? [uv[0] * tilesPerFace, uv[1] * tilesPerFace] : null;
+    }
+
+    /**
+     * Join segments into polylines for ribbon meshes. A polyline ends at a
+     * confluence or where the river leaves the chunk.
+     */
+    _chainRivers(segments) {
+        const byFrom = new Map();
+        const hasUpstream = new Set();
+        for (const seg of segments) {
+            byFrom.set(seg.from, seg);
+            hasUpstream.add(seg.to);
+        }
+
+        const point = (x, y, width, surface, seg) => ({ x, y, width, surface, flowX: seg.flowX, flowY: seg.flowY });
+        const visited = new Set();
+        const rivers = [];
+        const walk = (seg) => {
+            const points = [point(seg.ax, seg.ay, seg.widthA, seg.surfaceA, seg)];
+            while (seg && !visited.has(seg)) {
+                visited.add(seg);
+                points.push(point(seg.bx, seg.by, seg.widthB, seg.surfaceB, seg));
+                seg = byFrom.get(seg.to);
+            }
+            rivers.push({ points });
+        };
+
+        for (const seg of segments) {
+            if (!hasUpstream.has(seg.from)) walk(seg);
+        }
+        for (const seg of segments) {
+            if (!visited.has(seg)) walk(seg);
+        }
+        return rivers;
+    }
+}
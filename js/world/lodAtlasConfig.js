@@ -53,26 +53,45 @@ export class LODAtlasConfig {
         return n > 0 && (n & (n - 1)) === 0;
     }
     
+    /**
+     * Levels up to log2(chunksPerAtlas) halve the resolution over the same
+     * coverage; past that an atlas covers a single 2^lod chunk wide quadtree
+     * node, so a node of any level gets as many texels as a LOD 0 chunk.
+     */
     _buildLODConfigs() {
         const configs = [];
+        const texelsPerChunk = this.baseTextureSize / this.chunksPerAtlas;
         
         for (let lod = 0; lod < this.maxLODLevels; lod++) {
             const divisor = Math.pow(2, lod);
+            const chunksPerAtlas = Math.max(this.chunksPerAtlas, divisor);
+            const worldCoverage = chunksPerAtlas * this.baseChunkSize;
+            const textureSize = Math.max(64, texelsPerChunk * Math.max(1, this.chunksPerAtlas / divisor));
             
             configs.push({
                 lod: lod,
-                textureSize: Math.max(64, Math.floor(this.baseTextureSize / divisor)),
-                pixelsPerMeter: (this.baseTextureSize / divisor) / this.worldCoverage,
+                textureSize: textureSize,
+                pixelsPerMeter: textureSize / worldCoverage,
                 // Vertex grid size for geometry (segments + 1 vertices per side)
                 gridSegments: Math.max(4, Math.floor(this.baseChunkSize / divisor)),
                 metersPerVertex: divisor,
-                worldCoverage: this.worldCoverage,
-                chunksPerAtlas: this.chunksPerAtlas
+                worldCoverage: worldCoverage,
+                chunksPerAtlas: chunksPerAtlas
             });
         }
         
         return configs;
     }
+
+    /**
+     * Add or drop levels, e.g. to reach the root of a planet's quadtree.
+     */
+    setMaxLODLevels(maxLODLevels) {
+        if (maxLODLevels === this.maxLODLevels) return;
+        this.maxLODLevels = maxLODLevels;
+        this.lodConfigs = this._buildLODConfigs();
+        console.log(`[LODAtlasConfig] LOD levels: ${this.maxLODLevels}`);
+    }
     
     _defaultLODDistances() {
         // Push mid/low LODs farther out to reduce near-field pops
@@ -104,9 +123,10 @@ export class LODAtlasConfig {
         return this.lodConfigs[clampedLOD];
     }
     
-    getAtlasCoords(worldX, worldY) {
-        const atlasX = Math.floor(worldX / this.worldCoverage);
-        const atlasY = Math.floor(worldY / this.worldCoverage);
+    getAtlasCoords(worldX, worldY, lod = 0) {
+        const coverage = this.getConfigForLOD(lod).worldCoverage;
+        const atlasX = Math.floor(worldX / coverage);
+        const atlasY = Math.floor(worldY / coverage);
         return { atlasX, atlasY };
     }
     
@@ -116,22 +136,27 @@ export class LODAtlasConfig {
         return { chunkX, chunkY };
     }
     
-    getLocalChunkPosition(chunkX, chunkY) {
-        const atlasX = Math.floor(chunkX / this.chunksPerAtlas);
-        const atlasY = Math.floor(chunkY / this.chunksPerAtlas);
-        const localX = chunkX - (atlasX * this.chunksPerAtlas);
-        const localY = chunkY - (atlasY * this.chunksPerAtlas);
+    getLocalChunkPosition(chunkX, chunkY, lod = 0) {
+        const chunksPerAtlas = this.getConfigForLOD(lod).chunksPerAtlas;
+        const atlasX = Math.floor(chunkX / chunksPerAtlas);
+        const atlasY = Math.floor(chunkY / chunksPerAtlas);
+        const localX = chunkX - (atlasX * chunksPerAtlas);
+        const localY = chunkY - (atlasY * chunksPerAtlas);
         return { localX, localY, atlasX, atlasY };
     }
     
-    getChunkUVTransform(chunkX, chunkY) {
-        const { localX, localY } = this.getLocalChunkPosition(chunkX, chunkY);
-        const uvScale = 1.0 / this.chunksPerAtlas;
+    /**
+     * UV rectangle of a chunk (or of a span x span block of chunks starting
+     * at chunkX, chunkY) in its atlas at the given level.
+     */
+    getChunkUVTransform(chunkX, chunkY, lod = 0, span = 1) {
+        const { localX, localY } = this.getLocalChunkPosition(chunkX, chunkY, lod);
+        const uvScale = 1.0 / this.getConfigForLOD(lod).chunksPerAtlas;
         
         return {
             offsetX: localX * uvScale,
             offsetY: localY * uvScale,
-            scale: uvScale
+            scale: uvScale * span
         };
     }
 }
@@ -23,10 +23,11 @@ export class LODTextureAtlasKey {
         
         this.lodConfig = config.getConfigForLOD(lod);
         
-        this._worldMinX = atlasX * config.worldCoverage;
-        this._worldMaxX = this._worldMinX + config.worldCoverage;
-        this._worldMinY = atlasY * config.worldCoverage;
-        this._worldMaxY = this._worldMinY + config.worldCoverage;
+        const coverage = this.lodConfig.worldCoverage;
+        this._worldMinX = atlasX * coverage;
+        this._worldMaxX = this._worldMinX + coverage;
+        this._worldMinY = atlasY * coverage;
+        this._worldMaxY = this._worldMinY + coverage;
     }
     
     toString() {
@@ -40,14 +41,14 @@ export class LODTextureAtlasKey {
     static fromChunkCoords(chunkX, chunkY, lod, face = null, config = DEFAULT_LOD_ATLAS_CONFIG) {
         const worldX = chunkX * config.baseChunkSize;
         const worldY = chunkY * config.baseChunkSize;
-        const { atlasX, atlasY } = config.getAtlasCoords(worldX, worldY);
+        const { atlasX, atlasY } = config.getAtlasCoords(worldX, worldY, lod);
         
         return new LODTextureAtlasKey(atlasX, atlasY, lod, face, config);
     }
     
     static fromWorldPosition(worldX, worldY, distance, face = null, config = DEFAULT_LOD_ATLAS_CONFIG) {
         const lod = config.getLODForDistance(distance);
-        const { atlasX, atlasY } = config.getAtlasCoords(worldX, worldY);
+        const { atlasX, atlasY } = config.getAtlasCoords(worldX, worldY, lod);
         
         return new LODTextureAtlasKey(atlasX, atlasY, lod, face, config);
     }
@@ -79,8 +80,8 @@ export class LODTextureAtlasKey {
         return new LODTextureAtlasKey(atlasX, atlasY, lod, face, config);
     }
     
-    getChunkUVTransform(chunkX, chunkY) {
-        return this.config.getChunkUVTransform(chunkX, chunkY);
+    getChunkUVTransform(chunkX, chunkY, span = 1) {
+        return this.config.getChunkUVTransform(chunkX, chunkY, this.lod, span);
     }
     
     containsWorldPosition(worldX, worldY) {
@@ -100,18 +101,19 @@ export class LODTextureAtlasKey {
             maxX: this._worldMaxX,
             minY: this._worldMinY,
             maxY: this._worldMaxY,
-            width: this.config.worldCoverage,
-            height: this.config.worldCoverage
+            width: this.lodConfig.worldCoverage,
+            height: this.lodConfig.worldCoverage
         };
     }
     
     getCoveredChunks() {
         const chunks = [];
-        const baseChunkX = this.atlasX * this.config.chunksPerAtlas;
-        const baseChunkY = this.atlasY * this.config.chunksPerAtlas;
+        const chunksPerAtlas = this.lodConfig.chunksPerAtlas;
+        const baseChunkX = this.atlasX * chunksPerAtlas;
+        const baseChunkY = this.atlasY * chunksPerAtlas;
         
-        for (let y = 0; y < this.config.chunksPerAtlas; y++) {
-            for (let x = 0; x < this.config.chunksPerAtlas; x++) {
+        for (let y = 0; y < chunksPerAtlas; y++) {
+            for (let x = 0; x < chunksPerAtlas; x++) {
                 chunks.push({
                     chunkX: baseChunkX + x,
                     chunkY: baseChunkY + y
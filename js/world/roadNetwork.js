@@ -0,0 +1,557 @@
+// js/world/roadNetwork.js
+// Road and trail network between settlements. Settlements are seeded per
+// region of chunks and linked to their nearest neighbours by a slope-aware
+// A* over the terrain heightfield; applyToChunk() flattens and banks the
+// terrain along the routes and paints road tiles.
+
+import { TILE_TYPES } from '../types.js';
+import { ROAD_CONFIG } from '../config/roadConfig.js';
+
+const NEIGHBOR_OFFSETS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [-1, 1], [1, -1], [-1, -1]
+];
+
+function smoothstep(t) {
+    const x = Math.max(0, Math.min(1, t));
+    return x * x * (3 - 2 * x);
+}
+
+function hashInts(...values) {
+    let h = 0x811c9dc5;
+    for (const v of values) {
+        h = Math.imul(h ^ (v | 0), 0x01000193);
+        h ^= h >>> 15;
+    }
+    return h >>> 0;
+}
+
+function seededRandom(seed) {
+    let s = seed >>> 0;
+    return function() {
+        s = (s + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(s ^ (s >>> 15), 1 | s);
+        t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Centred moving average over `radius` points on each side; the ends keep
+ * their own values so routes still meet their settlements.
+ */
+function smoothValues(values, radius) {
+    const out = values.slice();
+    for (let i = 1; i < values.length - 1; i++) {
+        const r = Math.min(radius, i, values.length - 1 - i);
+        let sum = 0;
+        for (let k = i - r; k <= i + r; k++) sum += values[k];
+        out[i] = sum / (2 * r + 1);
+    }
+    return out;
+}
+
+/**
+ * Min-heap of lattice nodes for the A* open set. A node may be pushed again
+ * with a lower key; stale entries are skipped by the closed set.
+ */
+class NodeQueue {
+    constructor() {
+        this.nodes = [];
+        this.keys = [];
+    }
+
+    get size() {
+        return this.nodes.length;
+    }
+
+    push(node, key) {
+        let i = this.nodes.length;
+        this.nodes.push(node);
+        this.keys.push(key);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.keys[parent] <= key) break;
+            this.nodes[i] = this.nodes[parent];
+            this.keys[i] = this.keys[parent];
+            i = parent;
+        }
+        this.nodes[i] = node;
+        this.keys[i] = key;
+    }
+
+    pop() {
+        const top = this.nodes[0];
+        const node = this.nodes.pop();
+        const key = this.keys.pop();
+        const last = this.nodes.length;
+        if (last === 0) return top;
+
+        let i = 0;
+        while (true) {
+            let child = i * 2 + 1;
+            if (child >= last) break;
+            if (child + 1 < last && this.keys[child + 1] < this.keys[child]) child++;
+            if (key <= this.keys[child]) break;
+            this.nodes[i] = this.nodes[child];
+            this.keys[i] = this.keys[child];
+            i = child;
+        }
+        this.nodes[i] = node;
+        this.keys[i] = key;
+        return top;
+    }
+}
+
+/**
+ * Road network over a CPU terrain generator (see
+ * BaseWorldGenerator.getCPUTerrain), in surface tile coordinates: global
+ * tiles for flat worlds, face-local tiles on a planet. Routes stay on their
+ * face. Everything is derived from the seed, so each chunk finds the same
+ * settlements and routes no matter which chunk asked first.
+ *
+ * Heights come from the same getWorldCoord mapping as the chunk height
+ * pass, so a route's profile matches the chunk heightfield it is stamped
+ * into. Routes are planned lazily and kept in a small LRU cache.
+ */
+export class RoadNetwork {
+    /**
+     * @param {import('./terrainGeneratorCPU.js').CPUTerrainGenerator} terrain
+     * @param {Object} options - chunkSize, seaLevel, spherical, seed and ROAD_CONFIG overrides
+     */
+    constructor(terrain, options = {}) {
+        this.terrain = terrain;
+        this.options = { ...ROAD_CONFIG, ...options };
+        this.chunkSize = this.options.chunkSize ?? terrain.chunkSize;
+        this.seaLevel = this.options.seaLevel ?? 0;
+        this.seed = this.options.seed ?? terrain.seed;
+        this.spherical = !!this.options.spherical;
+
+        // World units per chunk height unit (renderHeightScale / generationHeightScale)
+        this.heightScale = this.options.heightScale ?? 1;
+
+        this.regionTiles = this.options.regionChunks * this.chunkSize;
+        this.faceTiles = this.spherical ? this.chunkSize * terrain.chunksPerFace : Infinity;
+        this.tileLength = this._measureTileLength();
+
+        this._sites = new Map();
+        this._routes = new Map();
+    }
+
+    /**
+     * World length of one tile, which grades are measured against: one unit
+     * on flat worlds, a face's surface arc over its tiles on a planet.
+     */
+    _measureTileLength() {
+        if (!this.spherical) return 1;
+        return (this.options.planetRadius ?? 50000) * Math.PI * 0.5 / this.faceTiles;
+    }
+
+    /**
+     * Rise over run between two heights `tiles` apart, in world units.
+     */
+    gradeBetween(heightA, heightB, tiles) {
+        return Math.abs(heightA - heightB) * this.heightScale / (tiles * this.tileLength);
+    }
+
+    /**
+     * Terrain height at a (fractional) surface tile; integer tiles match
+     * the chunk's height samples.
+     */
+    heightAt(face, tx, ty) {
+        const size = this.chunkSize;
+        const cx = Math.floor(tx / size);
+        const cy = Math.floor(ty / size);
+        const [wx, wy] = this.terrain.getWorldCoord(cx, cy, tx - cx * size, ty - cy * size, size + 1, face);
+        return this.terrain.sampleHeight(wx, wy);
+    }
+
+    /**
+     * Settlement of a region, or null when the region has none.
+     */
+    getSite(face, rx, ry) {
+        const key = `${face}:${rx},${ry}`;
+        if (!this._sites.has(key)) {
+            this._sites.set(key, this._placeSite(face, rx, ry, key));
+        }
+        return this._sites.get(key);
+    }
+
+    _placeSite(face, rx, ry, id) {
+        const R = this.regionTiles;
+        if (this.spherical && (rx < 0 || ry < 0 || (rx + 1) * R > this.faceTiles || (ry + 1) * R > this.faceTiles)) {
+            return null;
+        }
+
+        const { siteChance, siteAttempts, siteMaxSlope, siteMinElevation } = this.options;
+        const rng = seededRandom(hashInts(this.seed, face, rx, ry));
+        if (rng() > siteChance) return null;
+
+        const inset = R * 0.15;
+        let best = null;
+        for (let i = 0; i < siteAttempts; i++) {
+            const x = rx * R + inset + rng() * (R - 2 * inset);
+            const y = ry * R + inset + rng() * (R - 2 * inset);
+            const height = this.heightAt(face, x, y);
+            if (height < this.seaLevel + siteMinElevation) continue;
+
+            const slope = this._slopeAt(face, x, y, height);
+            if (slope > siteMaxSlope) continue;
+            if (!best || slope < best.slope) best = { x, y, height, slope };
+        }
+        return best ? { id, face, rx, ry, x: best.x, y: best.y, height: best.height, links: null } : null;
+    }
+
+    _slopeAt(face, x, y, height) {
+        const d = 4;
+        let slope = 0;
+        for (const [dx, dy] of NEIGHBOR_OFFSETS.slice(0, 4)) {
+            slope = Math.max(slope, this.gradeBetween(this.heightAt(face, x + dx * d, y + dy * d), height, d));
+        }
+        return slope;
+    }
+
+    /**
+     * The nearest settlements in the surrounding regions a site links to.
+     */
+    getLinks(site) {
+        if (site.links) return site.links;
+
+        const { linksPerSite, maxLinkDistance } = this.options;
+        const candidates = [];
+        for (let ry = site.ry - 1; ry <= site.ry + 1; ry++) {
+            for (let rx = site.rx - 1; rx <= site.rx + 1; rx++) {
+                if (rx === site.rx && ry === site.ry) continue;
+                const other = this.getSite(site.face, rx, ry);
+                if (!other) continue;
+                const distance = Math.hypot(other.x - site.x, other.y - site.y);
+                if (distance <= maxLinkDistance) candidates.push({ site: other, distance });
+            }
+        }
+        candidates.sort((a, b) => a.distance - b.distance);
+        site.links = candidates.slice(0, linksPerSite).map(c => c.site);
+        return site.links;
+    }
+
+    /**
+     * Routes that pass within the tile rectangle [x0, x1] x [y0, y1].
+     */
+    routesNear(face, x0, y0, x1, y1) {
+        const R = this.regionTiles;
+        const { maxLinkDistance, searchMargin } = this.options;
+        const reach = maxLinkDistance + searchMargin;
+
+        const routes = new Map();
+        for (let ry = Math.floor((y0 - reach) / R); ry <= Math.floor((y1 + reach) / R); ry++) {
+            for (let rx = Math.floor((x0 - reach) / R); rx <= Math.floor((x1 + reach) / R); rx++) {
+                const site = this.getSite(face, rx, ry);
+                if (!site) continue;
+
+                for (const other of this.getLinks(site)) {
+                    const key = site.id < other.id ? `${site.id}|${other.id}` : `${other.id}|${site.id}`;
+                    if (routes.has(key)) continue;
+                    // A route never leaves its endpoints' box grown by the search margin
+                    if (Math.max(site.x, other.x) + searchMargin < x0 || Math.min(site.x, other.x) - searchMargin > x1 ||
+                        Math.max(site.y, other.y) + searchMargin < y0 || Math.min(site.y, other.y) - searchMargin > y1) continue;
+
+                    const route = this.getRoute(key, site, other);
+                    if (route && route.maxX >= x0 && route.minX <= x1 && route.maxY >= y0 && route.minY <= y1) {
+                        routes.set(key, route);
+                    }
+                }
+            }
+        }
+        return [...routes.values()];
+    }
+
+    getRoute(key, a, b) {
+        if (this._routes.has(key)) {
+            const route = this._routes.get(key);
+            this._routes.delete(key);
+            this._routes.set(key, route);
+            return route;
+        }
+
+        // Plan from the lower id so both endpoints produce the same route
+        const [from, to] = a.id < b.id ? [a, b] : [b, a];
+        const path = this._findPath(from, to);
+        const route = path ? this._buildRoute(key, from.face, path) : null;
+
+        this._routes.set(key, route);
+        if (this._routes.size > this.options.routeCacheSize) {
+            this._routes.delete(this._routes.keys().next().value);
+        }
+        return route;
+    }
+
+    /**
+     * A* between two sites over a lattice of gridStep tiles aligned to the
+     * surface origin. Heights are sampled only for nodes the search reaches.
+     * Shallow water is crossed on a causeway at shore height, at fordCost
+     * times the cost. Returns the path as tile positions, or null when no
+     * passable route exists.
+     */
+    _findPath(a, b) {
+        const { gridStep: step, searchMargin, slopeCost, maxGrade, shoreMargin, maxFordDepth, fordCost } = this.options;
+        const face = a.face;
+        const maxNode = this.spherical ? Math.floor(this.faceTiles / step) : Infinity;
+
+        const gx0 = Math.max(this.spherical ? 0 : -Infinity, Math.floor((Math.min(a.x, b.x) - searchMargin) / step));
+        const gy0 = Math.max(this.spherical ? 0 : -Infinity, Math.floor((Math.min(a.y, b.y) - searchMargin) / step));
+        const gx1 = Math.min(maxNode, Math.ceil((Math.max(a.x, b.x) + searchMargin) / step));
+        const gy1 = Math.min(maxNode, Math.ceil((Math.max(a.y, b.y) + searchMargin) / step));
+        const w = gx1 - gx0 + 1;
+        const h = gy1 - gy0 + 1;
+
+        const heights = new Float32Array(w * h).fill(NaN);
+        const cost = new Float64Array(w * h).fill(Infinity);
+        const from = new Int32Array(w * h).fill(-1);
+        const closed = new Uint8Array(w * h);
+        const minHeight = this.seaLevel + shoreMargin;
+        // Road height over a node: the terrain, or the causeway over shallow water
+        const heightOf = node => {
+            if (Number.isNaN(heights[node])) {
+                heights[node] = this.heightAt(face, (gx0 + node % w) * step, (gy0 + Math.floor(node / w)) * step);
+            }
+            return Math.max(heights[node], minHeight);
+        };
+
+        const nodeAt = (x, y) => {
+            const i = Math.min(w - 1, Math.max(0, Math.round(x / step) - gx0));
+            const j = Math.min(h - 1, Math.max(0, Math.round(y / step) - gy0));
+            return j * w + i;
+        };
+        const start = nodeAt(a.x, a.y);
+        const goal = nodeAt(b.x, b.y);
+        const goalX = goal % w, goalY = Math.floor(goal / w);
+
+        const queue = new NodeQueue();
+        cost[start] = 0;
+        queue.push(start, 0);
+
+        while (queue.size > 0) {
+            const node = queue.pop();
+            if (closed[node]) continue;
+            closed[node] = 1;
+            if (node === goal) break;
+
+            const nx = node % w, ny = Math.floor(node / w);
+            const hn = heightOf(node);
+            for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+                const mx = nx + dx, my = ny + dy;
+                if (mx < 0 || my < 0 || mx >= w || my >= h) continue;
+                const next = my * w + mx;
+                if (closed[next]) continue;
+
+                const hm = heightOf(next);
+                const ground = heights[next];
+                if (ground < this.seaLevel - maxFordDepth) continue;
+                const length = step * (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                const grade = this.gradeBetween(hm, hn, length);
+                if (grade > maxGrade) continue;
+
+                const wet = ground < minHeight ? fordCost : 1;
+                const total = cost[node] + length * wet * (1 + slopeCost * grade * grade);
+                if (total < cost[next]) {
+                    cost[next] = total;
+                    from[next] = node;
+                    queue.push(next, total + Math.hypot(mx - goalX, my - goalY) * step);
+                }
+            }
+        }
+
+        if (!closed[goal]) return null;
+
+        const path = [];
+        for (let node = goal; node !== -1; node = from[node]) {
+            path.push({ x: (gx0 + node % w) * step, y: (gy0 + Math.floor(node / w)) * step });
+        }
+        path.reverse();
+        path[0] = { x: a.x, y: a.y };
+        if (path.length > 1) path[path.length - 1] = { x: b.x, y: b.y };
+        else path.push({ x: b.x, y: b.y });
+        return path;
+    }
+
+    /**
+     * Smooth a lattice path into a road centreline sampled every
+     * pointSpacing tiles, with an eased height profile and a bank (cross
+     * slope, height per tile towards the left) that tilts into each curve.
+     */
+    _buildRoute(id, face, path) {
+        const { pointSpacing, gradeSmoothing, bankPerCurvature, maxBank } = this.options;
+
+        // Chaikin corner cutting takes the lattice's 45 degree kinks out
+        let line = path;
+        for (let pass = 0; pass < 2; pass++) {
+            const next = [line[0]];
+            for (let i = 0; i < line.length - 1; i++) {
+                const p = line[i], q = line[i + 1];
+                next.push({ x: p.x * 0.75 + q.x * 0.25, y: p.y * 0.75 + q.y * 0.25 });
+                next.push({ x: p.x * 0.25 + q.x * 0.75, y: p.y * 0.25 + q.y * 0.75 });
+            }
+            next.push(line[line.length - 1]);
+            line = next;
+        }
+
+        const points = [{ x: line[0].x, y: line[0].y }];
+        let carry = 0;
+        for (let i = 0; i < line.length - 1; i++) {
+            const p = line[i], q = line[i + 1];
+            const length = Math.hypot(q.x - p.x, q.y - p.y);
+            let t = pointSpacing - carry;
+            while (t < length) {
+                points.push({ x: p.x + (q.x - p.x) * t / length, y: p.y + (q.y - p.y) * t / length });
+                t += pointSpacing;
+            }
+            carry = length - (t - pointSpacing);
+        }
+        const end = line[line.length - 1];
+        if (Math.hypot(end.x - points[points.length - 1].x, end.y - points[points.length - 1].y) > 1e-3) {
+            points.push({ x: end.x, y: end.y });
+        }
+
+        const minHeight = this.seaLevel + this.options.shoreMargin;
+        const heights = smoothValues(points.map(p => Math.max(minHeight, this.heightAt(face, p.x, p.y))), gradeSmoothing);
+
+        // Signed turn per tile; positive curves left, so the right edge is raised
+        const banks = points.map((p, i) => {
+            if (i === 0 || i === points.length - 1) return 0;
+            const a = points[i - 1], b = points[i + 1];
+            const ax = p.x - a.x, ay = p.y - a.y;
+            const bx = b.x - p.x, by = b.y - p.y;
+            const turn = Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+            const curvature = turn / Math.max(1e-6, (Math.hypot(ax, ay) + Math.hypot(bx, by)) * 0.5);
+            return Math.max(-maxBank, Math.min(maxBank, -curvature * bankPerCurvature));
+        });
+        const smoothBanks = smoothValues(banks, gradeSmoothing);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        points.forEach((p, i) => {
+            p.height = heights[i];
+            p.bank = smoothBanks[i];
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+
+        const reach = this.options.roadWidth * 0.5 + this.options.shoulderWidth;
+        return { id, face, points, minX: minX - reach, minY: minY - reach, maxX: maxX + reach, maxY: maxY + reach };
+    }
+
+    /**
+     * Flatten and bank the chunk's heights along nearby routes, paint ROAD
+     * tiles under the road surface and store the road weight per height
+     * sample (1 on the road, easing to 0 across the shoulders). Returns
+     * whether anything changed.
+     */
+    applyToChunk(chunkData) {
+        chunkData.roadMask = null;
+        if (!chunkData.heights) return false;
+
+        const face = chunkData.face ?? -1;
+        if (this.spherical && face < 0) return false;
+        // Coarse quadtree nodes sample several tiles apart; roads are narrower
+        if ((chunkData.span ?? 1) > 1) return false;
+
+        const size = chunkData.size;
+        const originX = chunkData.chunkX * size;
+        const originY = chunkData.chunkY * size;
+        const { roadWidth, shoulderWidth } = this.options;
+        const half = roadWidth * 0.5;
+        const reach = half + shoulderWidth;
+
+        const routes = this.routesNear(face, originX - reach, originY - reach, originX + size + reach, originY + size + reach);
+        const segments = this._collectSegments(routes, originX, originY, size, reach);
+        if (segments.length === 0) return false;
+
+        const stride = size + 1;
+        const roadMask = new Float32Array(stride * stride);
+        const hit = {};
+        let changed = false;
+
+        for (let y = 0; y <= size; y++) {
+            for (let x = 0; x <= size; x++) {
+                if (!this._nearest(segments, x, y, reach, hit)) continue;
+
+                // Banked surface, held at the edge height across the shoulders
+                const lateral = Math.max(-half, Math.min(half, hit.lateral));
+                const surface = hit.height + hit.bank * lateral;
+                const weight = hit.distance <= half ? 1 : 1 - smoothstep((hit.distance - half) / shoulderWidth);
+                if (weight <= 0) continue;
+
+                const index = y * stride + x;
+                const h = chunkData.heights[index];
+                chunkData.setHeightExtended(x, y, h + (surface - h) * weight);
+                roadMask[index] = weight;
+                changed = true;
+            }
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!this._nearest(segments, x + 0.5, y + 0.5, half, hit)) continue;
+                chunkData.setTile(x, y, TILE_TYPES.ROAD);
+                changed = true;
+            }
+        }
+
+        if (changed) chunkData.roadMask = roadMask;
+        return changed;
+    }
+
+    /**
+     * Route segments within `reach` of the chunk, in chunk-local tiles.
+     */
+    _collectSegments(routes, originX, originY, size, reach) {
+        const segments = [];
+        for (const route of routes) {
+            const points = route.points;
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i], b = points[i + 1];
+                const ax = a.x - originX, ay = a.y - originY;
+                const bx = b.x - originX, by = b.y - originY;
+                if (Math.max(ax, bx) < -reach || Math.min(ax, bx) > size + reach ||
+                    Math.max(ay, by) < -reach || Math.min(ay, by) > size + reach) continue;
+
+                const lengthSq = Math.max((bx - ax) * (bx - ax) + (by - ay) * (by - ay), 1e-6);
+                segments.push({
+                    ax, ay, bx, by,
+                    lengthSq,
+                    length: Math.sqrt(lengthSq),
+                    heightA: a.height,
+                    heightB: b.height,
+                    bankA: a.bank,
+                    bankB: b.bank
+                });
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Closest segment to (x, y) within `maxDistance`. Fills `out` with the
+     * distance, the signed lateral offset (positive left of travel) and the
+     * interpolated height and bank; returns false when none is in reach.
+     */
+    _nearest(segments, x, y, maxDistance, out) {
+        let best = maxDistance;
+        let found = false;
+        for (const seg of segments) {
+            const ex = seg.bx - seg.ax, ey = seg.by - seg.ay;
+            const t = Math.max(0, Math.min(1, ((x - seg.ax) * ex + (y - seg.ay) * ey) / seg.lengthSq));
+            const px = x - (seg.ax + ex * t), py = y - (seg.ay + ey * t);
+            const distance = Math.sqrt(px * px + py * py);
+            if (distance >= best) continue;
+
+            best = distance;
+            found = true;
+            out.distance = distance;
+            out.lateral = (ex * py - ey * px) / seg.length;
+            out.height = seg.heightA + (seg.heightB - seg.heightA) * t;
+            out.bank = seg.bankA + (seg.bankB - seg.bankA) * t;
+        }
+        return found;
+    }
+}
@@ -39,9 +39,10 @@ const uint GRASS = 3u;
 const uint STONE = 5u;
 const uint ROCK = 7u;
 const uint TUNDRA = 8u;
+const uint ROAD = 13u;
 
 bool validTile(uint t) {
-    return (t >= 1u && t <= 8u);
+    return (t >= 1u && t <= 8u) || t == ROAD;
 }
 
 void main() {
@@ -58,8 +59,8 @@ void main() {
     int N = max(1, u_kernelSize);
     int halfN = N / 2;
 
-    float weightedCounts[9];
-    for (int k = 0; k < 9; k++) {
+    float weightedCounts[14];
+    for (int k = 0; k < 14; k++) {
         weightedCounts[k] = 0.0;
     }
 
@@ -85,7 +86,7 @@ void main() {
             vec4 tileSample = texelFetch(u_tileMap, sampleCoord, 0);
             uint t = uint(tileSample.r * 255.0 + 0.5);
 
-            if (t < 9u && validTile(t)) {
+            if (t < 14u && validTile(t)) {
                 weightedCounts[t] += weight;
                 totalWeight += weight;
             }
@@ -98,7 +99,7 @@ void main() {
     uint top2Type = 0u;
     float top2Weight = 0.0;
 
-    for (uint k = 0u; k < 9u; k++) {
+    for (uint k = 0u; k < 14u; k++) {
         float w = weightedCounts[k];
         if (w > top1Weight) {
             top2Type = top1Type;
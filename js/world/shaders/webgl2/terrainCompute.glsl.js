@@ -1,6 +1,7 @@
 // js/world/shaders/webgl2/terrainCompute.glsl.js - FIXED with face support
 
 import { TERRAIN_NOISE_GLSL } from './terrainNoise.glsl.js';
+import { DEFAULT_BIOME_REGISTRY } from '../../biomeRegistry.js';
 
 export const terrainVertexShader = `#version 300 es
 precision highp float;
@@ -16,7 +17,11 @@ void main() {
 }
 `;
 
-export const terrainFragmentShader = `#version 300 es
+/**
+ * Terrain fragment shader with tile selection compiled from a BiomeRegistry.
+ */
+export function createTerrainFragmentShader(biomeRegistry = DEFAULT_BIOME_REGISTRY) {
+    return `#version 300 es
 precision highp float;
 precision highp int;
 
@@ -32,9 +37,14 @@ uniform float u_worldScale;
 uniform int u_outputType;
 uniform int u_face;
 uniform int u_textureSize;
+uniform int u_chunksPerFace;
+// Base chunks the output texture spans along each axis
+uniform int u_chunkSpan;
 
 ${TERRAIN_NOISE_GLSL}
 
+${biomeRegistry.compileGLSL()}
+
 // SPHERICAL: Convert face + UV to sphere point
 vec3 getSpherePoint(int face, float u, float v) {
     vec3 cubePos;
@@ -56,14 +66,18 @@ void main() {
     
     // Calculate world position
     float wx, wy;
+    float lat = 0.0; // 0 at the equator, 1 at the poles
     
     if (u_face >= 0) {
         // SPHERICAL MODE: Use face + UV to get 3D sphere position
-        float totalChunks = 16.0; // chunksPerFace
-        float normalizedU = (float(u_chunkCoord.x) + pixelCoord.x / float(u_textureSize)) / totalChunks;
-        float normalizedV = (float(u_chunkCoord.y) + pixelCoord.y / float(u_textureSize)) / totalChunks;
+        float totalChunks = float(u_chunksPerFace);
+        float span = float(u_chunkSpan);
+        float normalizedU = (float(u_chunkCoord.x) + span * pixelCoord.x / float(u_textureSize)) / totalChunks;
+        float normalizedV = (float(u_chunkCoord.y) + span * pixelCoord.y / float(u_textureSize)) / totalChunks;
         
-        vec3 spherePos = getSpherePoint(u_face, normalizedU, normalizedV) * 50000.0;
+        vec3 sphereDir = getSpherePoint(u_face, normalizedU, normalizedV);
+        vec3 spherePos = sphereDir * 50000.0;
+        lat = asin(clamp(abs(sphereDir.z), 0.0, 1.0)) / 1.5707963;
         
         // Use spherical coordinates for noise sampling (consistent across faces)
         wx = spherePos.x + spherePos.z * 0.5;
@@ -96,7 +110,7 @@ void main() {
     } else if (u_outputType == 2) {
         // --- TILE ID MAP ---
         float h0 = terrainHeight(wx, wy, u_seed, u_elevationScale, u_heightScale);
-        uint t = determineTerrain(h0, wx, wy, u_seed);
+        uint t = determineTerrain(h0, wx, wy, lat, u_seed);
 
         float tileNormalized = float(t) / 255.0;
         o_output = vec4(tileNormalized, 0.0, 0.0, 1.0);
@@ -109,4 +123,7 @@ void main() {
         o_output = vec4(0.0);
     }
 }
-`;
\ No newline at end of file
+`;
+}
+
+export const terrainFragmentShader = createTerrainFragmentShader();
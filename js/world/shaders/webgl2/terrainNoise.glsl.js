@@ -129,20 +129,4 @@ float terrainHeight(float wx, float wy, int seed, float elevationScale, float he
 
     return elevation * heightScale;
 }
-
-// Determine tile type based on height and noise
-uint determineTerrain(float h, float wx, float wy, int seed) {
-    float t = clamp((h - 0.0) / 22.0, 0.0, 1.0);
-    float rockMask = pow(0.5 + 0.5 * octaveNoise(wx * 0.009, wy * 0.009, 3, seed), 2.0);
-    float tundraMask = pow(0.5 + 0.5 * octaveNoise(wx * 0.006, wy * 0.006, 3, seed), 2.0);
-    float grassMask = pow(0.5 + 0.5 * octaveNoise(wx * 0.007, wy * 0.007, 3, seed), 1.2);
-
-    float wGrass = (1.0 - t) * grassMask;
-    float wRock = t * rockMask;
-    float wTundra = t * tundraMask;
-
-    if (wGrass > wRock && wGrass > wTundra) return 3u; // GRASS
-    if (wRock > wTundra) return 7u; // ROCK
-    return 8u; // TUNDRA
-}
 `;
\ No newline at end of file
@@ -18,9 +18,10 @@ const GRASS: u32 = 3u;
 const STONE: u32 = 5u;
 const ROCK: u32 = 7u;
 const TUNDRA: u32 = 8u;
+const ROAD: u32 = 13u;
 
 fn validTile(t: u32) -> bool {
-    return (t >= 1u && t <= 8u);
+    return (t >= 1u && t <= 8u) || t == ROAD;
 }
 
 @compute @workgroup_size(8, 8)
@@ -43,9 +44,9 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let N = max(1, uniforms.kernelSize);
     let halfN = N / 2;
 
-    // Weighted counts for each tile type (0-8)
-    var weightedCounts: array<f32, 9>;
-    for (var k = 0; k < 9; k++) {
+    // Weighted counts for each tile type (0-8, ROAD)
+    var weightedCounts: array<f32, 14>;
+    for (var k = 0; k < 14; k++) {
         weightedCounts[k] = 0.0;
     }
 
@@ -72,7 +73,7 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
             let tileSample = textureLoad(tileMap, clampedCoord, 0);
             let t = u32(tileSample.r * 255.0 + 0.5);
 
-            if (t < 9u && validTile(t)) {
+            if (t < 14u && validTile(t)) {
                 weightedCounts[t] += weight;
                 totalWeight += weight;
             }
@@ -85,7 +86,7 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     var top2Type: u32 = 0u;
     var top2Weight: f32 = 0.0;
 
-    for (var k = 0u; k < 9u; k++) {
+    for (var k = 0u; k < 14u; k++) {
         let w = weightedCounts[k];
         if (w > top1Weight) {
             top2Type = top1Type;
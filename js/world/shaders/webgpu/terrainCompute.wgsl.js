@@ -1,4 +1,9 @@
-export function createTerrainComputeShader() {
+import { DEFAULT_BIOME_REGISTRY } from '../../biomeRegistry.js';
+
+/**
+ * Terrain compute shader with tile selection compiled from a BiomeRegistry.
+ */
+export function createTerrainComputeShader(biomeRegistry = DEFAULT_BIOME_REGISTRY) {
     return `
 struct Uniforms {
     chunkCoord: vec2<i32>,
@@ -15,6 +20,9 @@ struct Uniforms {
     worldScale: f32,
     outputType: i32,
     face: i32,
+    chunksPerFace: i32,
+    // Base chunks the output texture spans along each axis
+    chunkSpan: i32,
 }
 
 @group(0) @binding(0) var<uniform> uniforms: Uniforms;
@@ -158,20 +166,7 @@ fn terrainHeight(wx: f32, wy: f32, seed: i32, elevationScale: f32, heightScale:
     return elevation * heightScale;
 }
 
-fn determineTerrain(h: f32, wx: f32, wy: f32, seed: i32) -> u32 {
-    let t = clamp((h - 0.0) / 22.0, 0.0, 1.0);
-    let rockMask = pow(0.5 + 0.5 * octaveNoise(wx * 0.009, wy * 0.009, 3, seed), 2.0);
-    let tundraMask = pow(0.5 + 0.5 * octaveNoise(wx * 0.006, wy * 0.006, 3, seed), 2.0);
-    let grassMask = pow(0.5 + 0.5 * octaveNoise(wx * 0.007, wy * 0.007, 3, seed), 1.2);
-
-    let wGrass = (1.0 - t) * grassMask;
-    let wRock = t * rockMask;
-    let wTundra = t * tundraMask;
-
-    if (wGrass > wRock && wGrass > wTundra) { return 3u; } // GRASS
-    if (wRock > wTundra) { return 7u; } // ROCK
-    return 8u; // TUNDRA
-}
+${biomeRegistry.compileWGSL()}
 
 // ==================== MAIN COMPUTE SHADER ====================
 
@@ -188,14 +183,18 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     // Calculate world position
     var wx: f32;
     var wy: f32;
+    var lat = 0.0; // 0 at the equator, 1 at the poles
     
     if (uniforms.face >= 0) {
         // SPHERICAL MODE: Use face + UV to get 3D sphere position
-        let totalChunks = 16.0; // chunksPerFace
-        let normalizedU = (f32(uniforms.chunkCoord.x) + pixelCoord.x / f32(texSize.x)) / totalChunks;
-        let normalizedV = (f32(uniforms.chunkCoord.y) + pixelCoord.y / f32(texSize.y)) / totalChunks;
+        let totalChunks = f32(uniforms.chunksPerFace);
+        let span = f32(uniforms.chunkSpan);
+        let normalizedU = (f32(uniforms.chunkCoord.x) + span * pixelCoord.x / f32(texSize.x)) / totalChunks;
+        let normalizedV = (f32(uniforms.chunkCoord.y) + span * pixelCoord.y / f32(texSize.y)) / totalChunks;
         
-        let spherePos = getSpherePoint(uniforms.face, normalizedU, normalizedV) * 50000.0;
+        let sphereDir = getSpherePoint(uniforms.face, normalizedU, normalizedV);
+        let spherePos = sphereDir * 50000.0;
+        lat = asin(clamp(abs(sphereDir.z), 0.0, 1.0)) / 1.5707963;
         
         // Use spherical coordinates for noise sampling (consistent across faces)
         wx = spherePos.x + spherePos.z * 0.5;
@@ -232,7 +231,7 @@ fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     } else if (uniforms.outputType == 2) {
         // TILE ID MAP
         let h0 = terrainHeight(wx, wy, uniforms.seed, uniforms.elevationScale, uniforms.heightScale);
-        let t = determineTerrain(h0, wx, wy, uniforms.seed);
+        let t = determineTerrain(h0, wx, wy, lat, uniforms.seed);
 
         let tileNormalized = f32(t) / 255.0;
         output = vec4<f32>(tileNormalized, 0.0, 0.0, 1.0);
@@ -0,0 +1,468 @@
+// js/world/terrainEdits.js
+// Persistent terrain edit layer. Brush stamps are stored per chunk address
+// and replayed on top of procedural output whenever a chunk is (re)generated.
+
+import { PlanetaryChunkAddress } from '../planet/planetaryChunkAddress.js';
+import { getFaceNormal, getFaceRight, getFaceUp } from '../planet/cubeSphereFace.js';
+
+export const TerrainBrushOp = {
+    RAISE: 'raise',
+    LOWER: 'lower',
+    FLATTEN: 'flatten',
+    SMOOTH: 'smooth',
+    CRATER: 'crater',
+    PAINT_TILE: 'paintTile'
+};
+
+// Crater rims reach past the bowl radius
+const CRATER_RIM_EXTENT = 1.3;
+
+function smoothFalloff(distance, radius) {
+    if (distance >= radius) return 0;
+    const t = 1 - distance / radius;
+    return t * t * (3 - 2 * t);
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function faceWithNormal(normal) {
+    for (let face = 0; face < 6; face++) {
+        if (dot(getFaceNormal(face), normal) === 1) return face;
+    }
+    return null;
+}
+
+/**
+ * Face-local tile coordinates of a point of `face` on the plane of the
+ * adjacent `target` face, with the cube unfolded about their shared edge.
+ * Unfolding keeps distances across the edge, so tile grids line up.
+ */
+function unfoldToFace(face, x, y, target, faceTiles) {
+    const normal = getFaceNormal(face);
+    const right = getFaceRight(face);
+    const up = getFaceUp(face);
+    const u = (x / faceTiles) * 2 - 1;
+    const v = (y / faceTiles) * 2 - 1;
+    const p = [0, 1, 2].map(i => normal[i] + right[i] * u + up[i] * v);
+
+    // Whatever lies short of the target's plane folds out along this face's normal
+    const targetNormal = getFaceNormal(target);
+    const fold = 1 - dot(p, targetNormal);
+    const q = p.map((c, i) => c + (normal[i] + targetNormal[i]) * fold);
+    return {
+        x: (dot(q, getFaceRight(target)) + 1) * 0.5 * faceTiles,
+        y: (dot(q, getFaceUp(target)) + 1) * 0.5 * faceTiles
+    };
+}
+
+/**
+ * A single brush stamp. Coordinates are in tile units on the chunk grid:
+ * world X/Z for flat terrain, face-local for cube-sphere faces. Heights and
+ * strengths are in chunk height units (ChunkData.heights, before heightScale).
+ */
+export class TerrainStamp {
+    constructor(options = {}) {
+        this.id = options.id ?? 0;
+        this.op = options.op || TerrainBrushOp.RAISE;
+        this.face = options.face ?? null;
+        this.x = options.x || 0;
+        this.y = options.y || 0;
+        this.radius = options.radius || 8;
+        this.strength = options.strength ?? 1.0;
+        this.targetHeight = options.targetHeight ?? null;
+        this.tileId = options.tileId ?? null;
+    }
+
+    /**
+     * Radius of the area the stamp changes.
+     */
+    get influenceRadius() {
+        return this.op === TerrainBrushOp.CRATER ? this.radius * CRATER_RIM_EXTENT : this.radius;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            op: this.op,
+            face: this.face,
+            x: this.x,
+            y: this.y,
+            radius: this.radius,
+            strength: this.strength,
+            targetHeight: this.targetHeight,
+            tileId: this.tileId
+        };
+    }
+}
+
+export class TerrainEditLayer {
+    constructor(chunkSize) {
+        this.chunkSize = chunkSize;
+        // Chunk key -> stamps in application order. Planetary chunks use
+        // PlanetaryChunkAddress keys (LOD 0), flat chunks ChunkManager's "x,y".
+        this.stampsByChunk = new Map();
+        this.stamps = [];
+        this._nextId = 1;
+
+        // Set by setSurface(): the planet's face grid (null for flat worlds)
+        // and the procedural height at a surface tile, heightAt(face, x, y)
+        this.chunksPerFace = null;
+        this.heightAt = null;
+    }
+
+    /**
+     * Attach the surface the stamps sit on. The face grid lets stamps near a
+     * cube edge spill into the neighbouring face; the height sampler is the
+     * shared field smoothing reads, so chunks on both sides of a seam agree.
+     * @param {Object} surface - { chunksPerFace, heightAt(face, x, y) }
+     */
+    setSurface({ chunksPerFace = null, heightAt = null } = {}) {
+        this.heightAt = heightAt;
+        if (chunksPerFace === this.chunksPerFace) return;
+
+        this.chunksPerFace = chunksPerFace;
+        this.stampsByChunk.clear();
+        for (const stamp of this.stamps) {
+            this._indexStamp(stamp);
+        }
+    }
+
+    static chunkKey(chunkX, chunkY, face = null) {
+        if (face === null || face === undefined) {
+            return `${chunkX},${chunkY}`;
+        }
+        return new PlanetaryChunkAddress(face, chunkX, chunkY, 0).key;
+    }
+
+    /**
+     * Chunks whose height samples a stamp can touch. Neighbouring chunks share
+     * their edge row, so both sides of a seam get the stamp.
+     */
+    getAffectedChunks(stamp) {
+        const r = stamp.influenceRadius;
+        const minX = Math.floor((stamp.x - r) / this.chunkSize);
+        const maxX = Math.floor((stamp.x + r) / this.chunkSize);
+        const minY = Math.floor((stamp.y - r) / this.chunkSize);
+        const maxY = Math.floor((stamp.y + r) / this.chunkSize);
+        const gridSize = stamp.face !== null ? (this.chunksPerFace ?? Infinity) : Infinity;
+
+        const chunks = [];
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                if (stamp.face !== null && (cx < 0 || cy < 0 || cx >= gridSize || cy >= gridSize)) continue;
+                chunks.push({ chunkX: cx, chunkY: cy, face: stamp.face });
+            }
+        }
+        return chunks;
+    }
+
+    /**
+     * The stamp as placed on each face it reaches: itself, plus a copy
+     * unfolded onto every adjacent face its footprint crosses into. Copies
+     * share the stamp's id. Flat stamps, and planets without a face grid
+     * yet, only have the stamp itself.
+     */
+    getPlacements(stamp) {
+        const placements = [stamp];
+        if (stamp.face === null || !this.chunksPerFace) return placements;
+
+        const faceTiles = this.chunksPerFace * this.chunkSize;
+        const r = stamp.influenceRadius;
+        const right = getFaceRight(stamp.face);
+        const up = getFaceUp(stamp.face);
+        const crossings = [];
+        if (stamp.x - r < 0) crossings.push(right.map(c => -c));
+        if (stamp.x + r > faceTiles) crossings.push(right);
+        if (stamp.y - r < 0) crossings.push(up.map(c => -c));
+        if (stamp.y + r > faceTiles) crossings.push(up);
+
+        for (const normal of crossings) {
+            const face = faceWithNormal(normal);
+            const { x, y } = unfoldToFace(stamp.face, stamp.x, stamp.y, face, faceTiles);
+            placements.push(new TerrainStamp({ ...stamp.toJSON(), face, x, y }));
+        }
+        return placements;
+    }
+
+    /**
+     * Record a stamp. Returns the stored stamp and the chunks it touches so
+     * the caller can patch loaded chunks; each chunk carries the placement
+     * (see getPlacements) to apply to it.
+     */
+    addStamp(options) {
+        const stamp = options instanceof TerrainStamp ? options : new TerrainStamp(options);
+        stamp.id = this._nextId++;
+        this.stamps.push(stamp);
+        return { stamp, chunks: this._indexStamp(stamp) };
+    }
+
+    _indexStamp(stamp) {
+        const chunks = [];
+        for (const placed of this.getPlacements(stamp)) {
+            for (const { chunkX, chunkY, face } of this.getAffectedChunks(placed)) {
+                const key = TerrainEditLayer.chunkKey(chunkX, chunkY, face);
+                if (!this.stampsByChunk.has(key)) {
+                    this.stampsByChunk.set(key, []);
+                }
+                this.stampsByChunk.get(key).push(placed);
+                chunks.push({ chunkX, chunkY, face, stamp: placed });
+            }
+        }
+        return chunks;
+    }
+
+    getStampsForChunk(chunkX, chunkY, face = null) {
+        return this.stampsByChunk.get(TerrainEditLayer.chunkKey(chunkX, chunkY, face)) || [];
+    }
+
+    /**
+     * Stamps stored for the chunk holding a tile point. Points on a face's
+     * far edge belong to its last chunk.
+     */
+    _getStampsAt(x, y, face) {
+        let chunkX = Math.floor(x / this.chunkSize);
+        let chunkY = Math.floor(y / this.chunkSize);
+        if (face !== null && this.chunksPerFace) {
+            chunkX = Math.max(0, Math.min(this.chunksPerFace - 1, chunkX));
+            chunkY = Math.max(0, Math.min(this.chunksPerFace - 1, chunkY));
+        }
+        return this.getStampsForChunk(chunkX, chunkY, face);
+    }
+
+    hasEdits(chunkX, chunkY, face = null) {
+        return this.getStampsForChunk(chunkX, chunkY, face).length > 0;
+    }
+
+    /**
+     * Replay every stamp for this chunk onto freshly generated data. Coarse
+     * quadtree nodes (span > 1) are skipped; stamps are in base chunk tiles.
+     * @returns {boolean} true if anything was applied
+     */
+    applyToChunk(chunkData) {
+        if ((chunkData.span ?? 1) > 1) return false;
+        const face = chunkData.face ?? null;
+        const stamps = this.getStampsForChunk(chunkData.chunkX, chunkData.chunkY, face);
+        for (const stamp of stamps) {
+            this.applyStamp(chunkData, stamp);
+        }
+        return stamps.length > 0;
+    }
+
+    /**
+     * Apply one stamp to a chunk (heights and/or tiles).
+     */
+    applyStamp(chunkData, stamp) {
+        if (stamp.op === TerrainBrushOp.PAINT_TILE) {
+            this._paintTiles(chunkData, stamp);
+            return;
+        }
+        if (!chunkData.heights) return;
+
+        const size = chunkData.size;
+        const stride = size + 1;
+        const originX = chunkData.chunkX * size;
+        const originY = chunkData.chunkY * size;
+        const r = stamp.influenceRadius;
+
+        const x0 = Math.max(0, Math.floor(stamp.x - r - originX));
+        const x1 = Math.min(size, Math.ceil(stamp.x + r - originX));
+        const y0 = Math.max(0, Math.floor(stamp.y - r - originY));
+        const y1 = Math.min(size, Math.ceil(stamp.y + r - originY));
+        if (x0 > x1 || y0 > y1) return;
+
+        // Smoothing reads neighbours: from the shared height field when a
+        // surface is attached, otherwise from an untouched copy of the chunk
+        const smooth = stamp.op === TerrainBrushOp.SMOOTH;
+        const source = smooth && !this.heightAt ? Float32Array.from(chunkData.heights) : chunkData.heights;
+        const amount = Math.max(0, Math.min(1, stamp.strength));
+
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const dx = originX + x - stamp.x;
+                const dy = originY + y - stamp.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                const index = y * stride + x;
+
+                if (smooth) {
+                    const w = amount * smoothFalloff(distance, stamp.radius);
+                    if (w <= 0) continue;
+                    const mean = this.heightAt
+                        ? this._fieldMean(stamp, originX + x, originY + y)
+                        : this._chunkMean(source, x, y, size);
+                    chunkData.heights[index] = source[index] + (mean - source[index]) * w;
+                } else {
+                    chunkData.heights[index] = this._editHeight(stamp, distance, chunkData.heights[index]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Mean of a chunk's height samples around (x, y), for layers without a
+     * shared height field. Samples past the chunk edge are skipped.
+     */
+    _chunkMean(source, x, y, size) {
+        const stride = size + 1;
+        let sum = 0, count = 0;
+        for (let oy = -1; oy <= 1; oy++) {
+            for (let ox = -1; ox <= 1; ox++) {
+                const sx = x + ox, sy = y + oy;
+                if (sx < 0 || sx > size || sy < 0 || sy > size) continue;
+                sum += source[sy * stride + sx];
+                count++;
+            }
+        }
+        return sum / count;
+    }
+
+    /**
+     * Mean of the shared height field over a tile and its eight neighbours,
+     * as it stood before `stamp`. Neighbours past a face edge are read on
+     * the adjacent face, so every chunk along a seam sees the same samples.
+     */
+    _fieldMean(stamp, x, y) {
+        let sum = 0;
+        for (let oy = -1; oy <= 1; oy++) {
+            for (let ox = -1; ox <= 1; ox++) {
+                const p = this._wrapTile(stamp.face, x + ox, y + oy);
+                sum += this._fieldHeight(p.face, p.x, p.y, stamp.id);
+            }
+        }
+        return sum / 9;
+    }
+
+    /**
+     * Procedural height plus the height stamps recorded before stamp
+     * `beforeId`. Earlier smoothing is left out of the field.
+     */
+    _fieldHeight(face, x, y, beforeId) {
+        let height = this.heightAt(face, x, y);
+        for (const stamp of this._getStampsAt(x, y, face)) {
+            if (stamp.id >= beforeId) break;
+            if (stamp.op === TerrainBrushOp.SMOOTH || stamp.op === TerrainBrushOp.PAINT_TILE) continue;
+            height = this._editHeight(stamp, Math.hypot(x - stamp.x, y - stamp.y), height);
+        }
+        return height;
+    }
+
+    /**
+     * A tile point past one edge of its face, moved onto the adjacent face.
+     * Points on the face, and past a cube corner, are returned as they are.
+     */
+    _wrapTile(face, x, y) {
+        if (face === null || !this.chunksPerFace) return { face, x, y };
+        const faceTiles = this.chunksPerFace * this.chunkSize;
+        const outX = x < 0 ? -1 : (x > faceTiles ? 1 : 0);
+        const outY = y < 0 ? -1 : (y > faceTiles ? 1 : 0);
+        if ((outX !== 0) === (outY !== 0)) return { face, x, y };
+
+        const normal = outX !== 0
+            ? getFaceRight(face).map(c => c * outX)
+            : getFaceUp(face).map(c => c * outY);
+        const target = faceWithNormal(normal);
+        return { face: target, ...unfoldToFace(face, x, y, target, faceTiles) };
+    }
+
+    /**
+     * Height after a raise, lower, flatten or crater stamp at `distance` tiles
+     * from its centre.
+     */
+    _editHeight(stamp, distance, h) {
+        switch (stamp.op) {
+            case TerrainBrushOp.RAISE:
+                return h + stamp.strength * smoothFalloff(distance, stamp.radius);
+            case TerrainBrushOp.LOWER:
+                return h - stamp.strength * smoothFalloff(distance, stamp.radius);
+            case TerrainBrushOp.FLATTEN: {
+                const target = stamp.targetHeight ?? h;
+                const amount = Math.max(0, Math.min(1, stamp.strength));
+                return h + (target - h) * amount * smoothFalloff(distance, stamp.radius);
+            }
+            case TerrainBrushOp.CRATER:
+                return h + this._craterProfile(distance / stamp.radius) * stamp.strength;
+            default:
+                return h;
+        }
+    }
+
+    /**
+     * Edited height and tile at a single point of the tile grid, for samplers
+     * that don't hold chunk data (the orbital surface bake). Smoothing reads
+     * the shared height field and is left out when no surface is attached.
+     * @param {number} height - procedural height (chunk height units)
+     * @param {number} tile - procedural tile id
+     * @returns {{height: number, tile: number}}
+     */
+    sampleAt(x, y, face, height, tile) {
+        for (const stamp of this._getStampsAt(x, y, face)) {
+            const distance = Math.hypot(x - stamp.x, y - stamp.y);
+            if (stamp.op === TerrainBrushOp.PAINT_TILE) {
+                if (stamp.tileId !== null && distance <= stamp.radius) tile = stamp.tileId;
+            } else if (stamp.op !== TerrainBrushOp.SMOOTH) {
+                height = this._editHeight(stamp, distance, height);
+            } else if (this.heightAt) {
+                const w = Math.max(0, Math.min(1, stamp.strength)) * smoothFalloff(distance, stamp.radius);
+                if (w > 0) height += (this._fieldMean(stamp, x, y) - height) * w;
+            }
+        }
+        return { height, tile };
+    }
+
+    /**
+     * Parabolic bowl (-1 at the centre, 0 at the radius) plus a raised rim.
+     */
+    _craterProfile(t) {
+        if (t >= CRATER_RIM_EXTENT) return 0;
+        const bowl = t < 1 ? t * t - 1 : 0;
+        const rimT = (t - 1) / 0.15;
+        const rim = 0.25 * Math.exp(-rimT * rimT);
+        return bowl + rim;
+    }
+
+    _paintTiles(chunkData, stamp) {
+        if (!chunkData.tiles || stamp.tileId === null) return;
+
+        const size = chunkData.size;
+        const originX = chunkData.chunkX * size;
+        const originY = chunkData.chunkY * size;
+        const r = stamp.radius;
+
+        const x0 = Math.max(0, Math.floor(stamp.x - r - originX));
+        const x1 = Math.min(size - 1, Math.ceil(stamp.x + r - originX));
+        const y0 = Math.max(0, Math.floor(stamp.y - r - originY));
+        const y1 = Math.min(size - 1, Math.ceil(stamp.y + r - originY));
+
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                // Tiles are cells; test their centres
+                const dx = originX + x + 0.5 - stamp.x;
+                const dy = originY + y + 0.5 - stamp.y;
+                if (dx * dx + dy * dy <= r * r) {
+                    chunkData.tiles[y * size + x] = stamp.tileId;
+                }
+            }
+        }
+    }
+
+    clear() {
+        this.stamps = [];
+        this.stampsByChunk.clear();
+        this._nextId = 1;
+    }
+
+    toJSON() {
+        return { stamps: this.stamps.map(stamp => stamp.toJSON()) };
+    }
+
+    /**
+     * Replace the layer's contents with saved stamps (in their saved order).
+     */
+    loadJSON(json) {
+        this.clear();
+        for (const saved of json?.stamps || []) {
+            this.addStamp(new TerrainStamp(saved));
+        }
+    }
+}
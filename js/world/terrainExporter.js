@@ -0,0 +1,546 @@
+// js/world/terrainExporter.js
+// Pulls a region of generated terrain out of the engine for offline tools:
+// 16-bit heightmaps (PNG + raw), a TILE_TYPES raster and a glTF (GLB) mesh.
+// Pure CPU - no canvas, no GPU device - so it runs headless with
+// CPUTerrainGenerator / CPUWorldGenerator.
+
+import { ChunkData } from './chunkData.js';
+import { TILE_TYPES } from '../types.js';
+import { TerrainGeometryBuilder } from '../mesh/terrain/terrainGeometryBuilder.js';
+import { PlanetaryChunkAddress } from '../planet/planetaryChunkAddress.js';
+
+// ==================== BINARY HELPERS ====================
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes, start = 0, end = bytes.length) {
+    let c = 0xFFFFFFFF;
+    for (let i = start; i < end; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function adler32(bytes) {
+    let a = 1, b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * zlib stream made of stored (uncompressed) deflate blocks. Larger than a
+ * real deflate, but valid everywhere and needs no compression library.
+ */
+function zlibStore(data) {
+    const MAX_BLOCK = 65535;
+    const blockCount = Math.max(1, Math.ceil(data.length / MAX_BLOCK));
+    const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+    let p = 0;
+    out[p++] = 0x78;
+    out[p++] = 0x01;
+
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * MAX_BLOCK;
+        const len = Math.min(MAX_BLOCK, data.length - start);
+        out[p++] = block === blockCount - 1 ? 1 : 0;
+        out[p++] = len & 0xFF;
+        out[p++] = (len >>> 8) & 0xFF;
+        out[p++] = ~len & 0xFF;
+        out[p++] = (~len >>> 8) & 0xFF;
+        out.set(data.subarray(start, start + len), p);
+        p += len;
+    }
+
+    const adler = adler32(data);
+    out[p++] = (adler >>> 24) & 0xFF;
+    out[p++] = (adler >>> 16) & 0xFF;
+    out[p++] = (adler >>> 8) & 0xFF;
+    out[p++] = adler & 0xFF;
+    return out;
+}
+
+/**
+ * Encode a grayscale PNG. `pixels` holds one sample per pixel; bitDepth 16
+ * samples are written big-endian as the PNG spec requires.
+ */
+function encodeGrayscalePNG(width, height, pixels, bitDepth) {
+    const bytesPerPixel = bitDepth / 8;
+    const rowBytes = width * bytesPerPixel + 1;
+    const raw = new Uint8Array(rowBytes * height);
+
+    for (let y = 0; y < height; y++) {
+        let p = y * rowBytes;
+        raw[p++] = 0; // filter: none
+        for (let x = 0; x < width; x++) {
+            const value = pixels[y * width + x];
+            if (bitDepth === 16) {
+                raw[p++] = (value >>> 8) & 0xFF;
+            }
+            raw[p++] = value & 0xFF;
+        }
+    }
+
+    const ihdr = new Uint8Array(13);
+    const ihdrView = new DataView(ihdr.buffer);
+    ihdrView.setUint32(0, width);
+    ihdrView.setUint32(4, height);
+    ihdr[8] = bitDepth;
+    ihdr[9] = 0;  // color type: grayscale
+    ihdr[10] = 0; // compression
+    ihdr[11] = 0; // filter
+    ihdr[12] = 0; // interlace
+
+    const chunks = [
+        ['IHDR', ihdr],
+        ['IDAT', zlibStore(raw)],
+        ['IEND', new Uint8Array(0)]
+    ];
+
+    let total = 8;
+    for (const [, data] of chunks) total += 12 + data.length;
+
+    const png = new Uint8Array(total);
+    const view = new DataView(png.buffer);
+    png.set([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], 0);
+
+    let offset = 8;
+    for (const [type, data] of chunks) {
+        view.setUint32(offset, data.length);
+        for (let i = 0; i < 4; i++) png[offset + 4 + i] = type.charCodeAt(i);
+        png.set(data, offset + 8);
+        view.setUint32(offset + 8 + data.length, crc32(png, offset + 4, offset + 8 + data.length));
+        offset += 12 + data.length;
+    }
+    return png;
+}
+
+// ==================== EXPORTER ====================
+
+export class TerrainExporter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.heightScale] - multiplier applied to raw chunk heights;
+     *        defaults to each chunk's own heightScale (render scale), or 1
+     * @param {number} [options.lodLevel=0] - TerrainGeometryBuilder LOD for the mesh
+     * @param {Object} [options.subdivisions] - TerrainGeometryBuilder subdivision map
+     */
+    constructor(options = {}) {
+        this.heightScale = options.heightScale ?? null;
+        this.lodLevel = options.lodLevel ?? 0;
+        this.subdivisions = options.subdivisions || null;
+    }
+
+    // ==================== CHUNK COLLECTION ====================
+
+    /**
+     * Generate every chunk in an inclusive rectangle. `generator` is either a
+     * world generator (generateChunk) or a terrain generator (generateTerrain),
+     * e.g. CPUWorldGenerator or CPUTerrainGenerator.
+     */
+    static async collectRegion(generator, x0, y0, x1, y1, face = null) {
+        const chunks = [];
+        for (let y = Math.min(y0, y1); y <= Math.max(y0, y1); y++) {
+            for (let x = Math.min(x0, x1); x <= Math.max(x0, x1); x++) {
+                chunks.push(await TerrainExporter._generate(generator, x, y, face));
+            }
+        }
+        return chunks;
+    }
+
+    /**
+     * Generate the chunks covered by a set of PlanetaryChunkAddress (or keys).
+     * Coarser addresses expand to the LOD 0 chunks they span.
+     */
+    static async collectAddresses(generator, addresses) {
+        const seen = new Set();
+        const chunks = [];
+        for (const entry of addresses) {
+            const address = typeof entry === 'string' ? PlanetaryChunkAddress.fromKey(entry) : entry;
+            const base = address.getBaseCoords();
+            for (let dy = 0; dy < base.span; dy++) {
+                for (let dx = 0; dx < base.span; dx++) {
+                    const key = `${base.face}:${base.x + dx},${base.y + dy}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    chunks.push(await TerrainExporter._generate(generator, base.x + dx, base.y + dy, base.face));
+                }
+            }
+        }
+        return chunks;
+    }
+
+    static async _generate(generator, chunkX, chunkY, face) {
+        if (typeof generator.generateChunk === 'function') {
+            return generator.generateChunk(chunkX, chunkY, face, 0);
+        }
+        const chunkData = new ChunkData(chunkX, chunkY, generator.chunkSize);
+        chunkData.face = face;
+        await generator.generateTerrain(chunkData, chunkX, chunkY, face);
+        return chunkData;
+    }
+
+    // ==================== RASTERS ====================
+
+    /**
+     * Lay the chunks out on one grid. All chunks must share size and face.
+     */
+    getRegionBounds(chunks) {
+        if (!chunks || chunks.length === 0) {
+            throw new Error('TerrainExporter: no chunks to export');
+        }
+        const size = chunks[0].size;
+        const face = chunks[0].face ?? null;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        for (const chunk of chunks) {
+            if (chunk.size !== size) {
+                throw new Error(`TerrainExporter: mixed chunk sizes (${size} vs ${chunk.size})`);
+            }
+            if ((chunk.face ?? null) !== face) {
+                throw new Error(`TerrainExporter: chunks span several cube faces (${face} vs ${chunk.face}); export one face at a time`);
+            }
+            minX = Math.min(minX, chunk.chunkX);
+            minY = Math.min(minY, chunk.chunkY);
+            maxX = Math.max(maxX, chunk.chunkX);
+            maxY = Math.max(maxY, chunk.chunkY);
+        }
+
+        return {
+            size, face, minX, minY, maxX, maxY,
+            chunksX: maxX - minX + 1,
+            chunksY: maxY - minY + 1
+        };
+    }
+
+    _heightScaleFor(chunk) {
+        return this.heightScale ?? chunk.heightScale ?? 1;
+    }
+
+    /**
+     * Stitch chunk heights into one float raster. Neighbouring chunks share
+     * their edge row/column, so the raster is chunks*size + 1 samples wide.
+     * Cells without a chunk are NaN.
+     */
+    buildHeightRaster(chunks) {
+        const bounds = this.getRegionBounds(chunks);
+        const { size } = bounds;
+        const width = bounds.chunksX * size + 1;
+        const height = bounds.chunksY * size + 1;
+        const data = new Float32Array(width * height).fill(NaN);
+
+        let min = Infinity, max = -Infinity;
+        for (const chunk of chunks) {
+            if (!chunk.heights) continue;
+            const scale = this._heightScaleFor(chunk);
+            const ox = (chunk.chunkX - bounds.minX) * size;
+            const oy = (chunk.chunkY - bounds.minY) * size;
+            for (let y = 0; y <= size; y++) {
+                for (let x = 0; x <= size; x++) {
+                    const h = chunk.heights[y * (size + 1) + x] * scale;
+                    data[(oy + y) * width + ox + x] = h;
+                    if (h < min) min = h;
+                    if (h > max) max = h;
+                }
+            }
+        }
+
+        if (min === Infinity) {
+            min = 0;
+            max = 0;
+        }
+        return { width, height, data, min, max, bounds };
+    }
+
+    /**
+     * Tile IDs (TILE_TYPES) per cell; chunks*size wide. 0 where no chunk.
+     */
+    buildTileRaster(chunks) {
+        const bounds = this.getRegionBounds(chunks);
+        const { size } = bounds;
+        const width = bounds.chunksX * size;
+        const height = bounds.chunksY * size;
+        const data = new Uint8Array(width * height);
+
+        let clipped = 0;
+        for (const chunk of chunks) {
+            if (!chunk.tiles) continue;
+            const ox = (chunk.chunkX - bounds.minX) * size;
+            const oy = (chunk.chunkY - bounds.minY) * size;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const tile = chunk.tiles[y * size + x];
+                    if (tile > 255) clipped++;
+                    data[(oy + y) * width + ox + x] = tile > 255 ? 0 : tile;
+                }
+            }
+        }
+
+        if (clipped > 0) {
+            console.warn(`TerrainExporter: ${clipped} tile IDs above 255 written as 0`);
+        }
+        return { width, height, data, bounds };
+    }
+
+    _quantizeHeights(raster) {
+        const range = raster.max - raster.min;
+        const out = new Uint16Array(raster.data.length);
+        for (let i = 0; i < raster.data.length; i++) {
+            const h = raster.data[i];
+            if (Number.isNaN(h) || range <= 0) continue;
+            out[i] = Math.round(((h - raster.min) / range) * 65535);
+        }
+        return out;
+    }
+
+    /**
+     * 16-bit grayscale PNG; heights normalised to [min, max] (see metadata).
+     */
+    exportHeightmapPNG(chunks) {
+        const raster = this.buildHeightRaster(chunks);
+        return encodeGrayscalePNG(raster.width, raster.height, this._quantizeHeights(raster), 16);
+    }
+
+    /**
+     * Headerless little-endian uint16 (.r16), same normalisation as the PNG.
+     */
+    exportHeightmapRaw(chunks) {
+        const raster = this.buildHeightRaster(chunks);
+        const samples = this._quantizeHeights(raster);
+        const bytes = new Uint8Array(samples.length * 2);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < samples.length; i++) {
+            view.setUint16(i * 2, samples[i], true);
+        }
+        return bytes;
+    }
+
+    /**
+     * 8-bit PNG whose pixel values are TILE_TYPES IDs.
+     */
+    exportTileRaster(chunks) {
+        const raster = this.buildTileRaster(chunks);
+        return encodeGrayscalePNG(raster.width, raster.height, raster.data, 8);
+    }
+
+    /**
+     * GeoTIFF-style sidecar: how raster pixels map back to world units and
+     * heights, plus the tile legend.
+     */
+    buildMetadata(chunks) {
+        const heights = this.buildHeightRaster(chunks);
+        const { bounds } = heights;
+
+        const tileLegend = {};
+        for (const [name, id] of Object.entries(TILE_TYPES)) {
+            if (id <= 255) tileLegend[id] = name;
+        }
+
+        return {
+            format: 'lumi3d-terrain-export',
+            version: 1,
+            face: bounds.face,
+            chunkSize: bounds.size,
+            chunkRange: { minX: bounds.minX, minY: bounds.minY, maxX: bounds.maxX, maxY: bounds.maxY },
+            heightmap: {
+                width: heights.width,
+                height: heights.height,
+                bitDepth: 16,
+                minHeight: heights.min,
+                maxHeight: heights.max,
+                // world = minHeight + (sample / 65535) * (maxHeight - minHeight)
+                heightScale: this._heightScaleFor(chunks[0])
+            },
+            tiles: {
+                width: bounds.chunksX * bounds.size,
+                height: bounds.chunksY * bounds.size,
+                legend: tileLegend
+            },
+            // Raster (0,0) sits at this world/face-local position; one pixel per unit
+            tiepoint: [bounds.minX * bounds.size, bounds.minY * bounds.size],
+            pixelScale: [1, 1]
+        };
+    }
+
+    // ==================== GLTF ====================
+
+    /**
+     * Binary glTF with one node per chunk, built from TerrainGeometryBuilder.
+     * Chunks are placed at chunkX*size / chunkY*size in X/Z (face-local for
+     * spherical chunks).
+     */
+    exportGLB(chunks) {
+        const bounds = this.getRegionBounds(chunks);
+        const bufferParts = [];
+        let byteLength = 0;
+
+        const gltf = {
+            asset: { version: '2.0', generator: 'Lumi3d TerrainExporter' },
+            scene: 0,
+            scenes: [{ nodes: [] }],
+            nodes: [],
+            meshes: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+
+        const addBufferView = (typedArray, target) => {
+            const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+            gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+            bufferParts.push(bytes);
+            byteLength += bytes.length;
+            const pad = (4 - (byteLength % 4)) % 4;
+            if (pad) {
+                bufferParts.push(new Uint8Array(pad));
+                byteLength += pad;
+            }
+            return gltf.bufferViews.length - 1;
+        };
+
+        const addAccessor = (typedArray, componentType, type, count, target, extra = {}) => {
+            gltf.accessors.push({
+                bufferView: addBufferView(typedArray, target),
+                componentType,
+                count,
+                type,
+                ...extra
+            });
+            return gltf.accessors.length - 1;
+        };
+
+        const ARRAY_BUFFER = 34962;
+        const ELEMENT_ARRAY_BUFFER = 34963;
+        const FLOAT = 5126;
+        const UNSIGNED_INT = 5125;
+
+        for (const chunk of chunks) {
+            const geometry = TerrainGeometryBuilder.build(chunk, 0, 0, this.lodLevel, false,
+                this.subdivisions ? { subdivisions: this.subdivisions } : {});
+
+            const scale = this._heightScaleFor(chunk);
+            const positions = Float32Array.from(geometry.getAttribute('position').data);
+            for (let i = 1; i < positions.length; i += 3) positions[i] *= scale;
+            const uvs = geometry.getAttribute('uv').data;
+            const indices = geometry.getIndex().data;
+            const normals = this._computeNormals(positions, indices);
+
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            for (let i = 0; i < positions.length; i += 3) {
+                for (let c = 0; c < 3; c++) {
+                    min[c] = Math.min(min[c], positions[i + c]);
+                    max[c] = Math.max(max[c], positions[i + c]);
+                }
+            }
+
+            const vertexCount = positions.length / 3;
+            const position = addAccessor(positions, FLOAT, 'VEC3', vertexCount, ARRAY_BUFFER, { min, max });
+            const normal = addAccessor(normals, FLOAT, 'VEC3', vertexCount, ARRAY_BUFFER);
+            const uv = addAccessor(uvs, FLOAT, 'VEC2', vertexCount, ARRAY_BUFFER);
+            const index = addAccessor(Uint32Array.from(indices), UNSIGNED_INT, 'SCALAR', indices.length, ELEMENT_ARRAY_BUFFER);
+
+            gltf.meshes.push({
+                name: `chunk_${chunk.chunkX}_${chunk.chunkY}`,
+                primitives: [{ attributes: { POSITION: position, NORMAL: normal, TEXCOORD_0: uv }, indices: index }]
+            });
+            gltf.nodes.push({
+                name: `chunk_${chunk.chunkX}_${chunk.chunkY}`,
+                mesh: gltf.meshes.length - 1,
+                translation: [chunk.chunkX * bounds.size, 0, chunk.chunkY * bounds.size]
+            });
+            gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+        }
+
+        gltf.buffers.push({ byteLength });
+        return this._packGLB(gltf, bufferParts, byteLength);
+    }
+
+    _computeNormals(positions, indices) {
+        const normals = new Float32Array(positions.length);
+        for (let i = 0; i < indices.length; i += 3) {
+            const a = indices[i] * 3, b = indices[i + 1] * 3, c = indices[i + 2] * 3;
+            const e1x = positions[b] - positions[a], e1y = positions[b + 1] - positions[a + 1], e1z = positions[b + 2] - positions[a + 2];
+            const e2x = positions[c] - positions[a], e2y = positions[c + 1] - positions[a + 1], e2z = positions[c + 2] - positions[a + 2];
+            const nx = e1y * e2z - e1z * e2y;
+            const ny = e1z * e2x - e1x * e2z;
+            const nz = e1x * e2y - e1y * e2x;
+            for (const v of [a, b, c]) {
+                normals[v] += nx;
+                normals[v + 1] += ny;
+                normals[v + 2] += nz;
+            }
+        }
+        for (let i = 0; i < normals.length; i += 3) {
+            const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]);
+            if (len > 0) {
+                normals[i] /= len;
+                normals[i + 1] /= len;
+                normals[i + 2] /= len;
+            } else {
+                normals[i + 1] = 1;
+            }
+        }
+        return normals;
+    }
+
+    _packGLB(gltf, bufferParts, binLength) {
+        let jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+        const jsonPad = (4 - (jsonBytes.length % 4)) % 4;
+        if (jsonPad) {
+            const padded = new Uint8Array(jsonBytes.length + jsonPad).fill(0x20);
+            padded.set(jsonBytes);
+            jsonBytes = padded;
+        }
+
+        const total = 12 + 8 + jsonBytes.length + 8 + binLength;
+        const glb = new Uint8Array(total);
+        const view = new DataView(glb.buffer);
+
+        view.setUint32(0, 0x46546C67, true); // 'glTF'
+        view.setUint32(4, 2, true);
+        view.setUint32(8, total, true);
+
+        view.setUint32(12, jsonBytes.length, true);
+        view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+        glb.set(jsonBytes, 20);
+
+        let offset = 20 + jsonBytes.length;
+        view.setUint32(offset, binLength, true);
+        view.setUint32(offset + 4, 0x004E4942, true); // 'BIN\0'
+        offset += 8;
+        for (const part of bufferParts) {
+            glb.set(part, offset);
+            offset += part.length;
+        }
+        return glb;
+    }
+
+    // ==================== BUNDLE ====================
+
+    /**
+     * Everything at once, keyed by file name. Values are Uint8Array, or a
+     * string for the JSON sidecar; callers write them with fs or a download link.
+     */
+    exportAll(chunks, baseName = 'terrain') {
+        return {
+            [`${baseName}_height.png`]: this.exportHeightmapPNG(chunks),
+            [`${baseName}_height.r16`]: this.exportHeightmapRaw(chunks),
+            [`${baseName}_tiles.png`]: this.exportTileRaster(chunks),
+            [`${baseName}.glb`]: this.exportGLB(chunks),
+            [`${baseName}.json`]: JSON.stringify(this.buildMetadata(chunks), null, 2)
+        };
+    }
+}
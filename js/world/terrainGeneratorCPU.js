@@ -0,0 +1,540 @@
+// js/world/terrainGeneratorCPU.js
+// Pure JavaScript port of terrainCompute.wgsl.js / terrainCompute.glsl.js and
+// splatCompute.wgsl.js. Used as the headless terrain backend and as the golden
+// reference TerrainValidator diffs the GPU paths against.
+
+import { DEFAULT_BIOME_REGISTRY } from './biomeRegistry.js';
+import { SHADER_CONSTANTS } from './shaders/common/terrainCommon.js';
+import { StreamedAssetConfig } from '../mesh/streamed/streamedAssetConfig.js';
+import { TILE_TYPES } from '../types.js';
+import { Texture, TextureFormat, TextureFilter, TextureWrap } from '../renderer/resources/texture.js';
+
+const OUTPUT_TYPES = SHADER_CONSTANTS.OUTPUT_TYPES;
+
+// Noise-space radius baked into the compute shaders' spherical branch
+const SHADER_SPHERE_RADIUS = 50000.0;
+
+// ==================== NOISE FUNCTIONS ====================
+// Integer math uses Math.imul / >>> 0 to reproduce u32 wrap-around.
+
+function hash2d(px, py, seed) {
+    let h = (Math.imul(px, 374761393) + Math.imul(py, 668265263) + Math.imul(seed, 982451653)) >>> 0;
+    h = (h ^ (h >>> 13)) >>> 0;
+    h = Math.imul(h, 1274126177) >>> 0;
+    h = (h ^ (h >>> 16)) >>> 0;
+    return h;
+}
+
+function fade(t) {
+    return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
+}
+
+function grad(h, x, y) {
+    const g = h & 7;
+    const u = g < 4 ? x : y;
+    const v = g < 4 ? y : x;
+    return ((g & 1) === 0 ? u : -u) + ((g & 2) === 0 ? v : -v);
+}
+
+function mix(a, b, t) {
+    return a * (1.0 - t) + b * t;
+}
+
+function clamp(x, lo, hi) {
+    return Math.max(lo, Math.min(hi, x));
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = clamp((x - edge0) / (edge1 - edge0), 0.0, 1.0);
+    return t * t * (3.0 - 2.0 * t);
+}
+
+function perlin2D(x, y, seed) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = x - ix;
+    const fy = y - iy;
+    const u = fade(fx);
+    const v = fade(fy);
+
+    const a = hash2d(ix, iy, seed);
+    const b = hash2d(ix + 1, iy, seed);
+    const c = hash2d(ix, iy + 1, seed);
+    const d = hash2d(ix + 1, iy + 1, seed);
+
+    const x1 = mix(grad(a, fx, fy), grad(b, fx - 1.0, fy), u);
+    const x2 = mix(grad(c, fx, fy - 1.0), grad(d, fx - 1.0, fy - 1.0), u);
+    return mix(x1, x2, v);
+}
+
+function octaveNoise(x, y, octaves, seed) {
+    let value = 0.0;
+    let amplitude = 1.0;
+    let frequency = 1.0;
+    let maxValue = 0.0;
+
+    for (let i = 0; i < Math.min(octaves, 16); i++) {
+        value += perlin2D(x * frequency, y * frequency, seed) * amplitude;
+        maxValue += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2.0;
+    }
+
+    return value / maxValue;
+}
+
+function ridgedNoise(x, y, octaves, seed) {
+    let value = 0.0;
+    let amplitude = 1.0;
+    let frequency = 1.0;
+    let maxValue = 0.0;
+
+    for (let i = 0; i < Math.min(octaves, 16); i++) {
+        const n = 1.0 - Math.abs(perlin2D(x * frequency, y * frequency, seed));
+        value += n * n * amplitude;
+        maxValue += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2.0;
+    }
+
+    return value / maxValue;
+}
+
+function biomeMask(wx, wy, seed) {
+    const b = octaveNoise(wx * 0.004, wy * 0.004, 3, seed);
+    return (b + 1.0) * 0.5;
+}
+
+function warp(px, py, seed) {
+    const w0 = octaveNoise(px * 0.001, py * 0.001, 2, seed) * 15.0;
+    const w1 = octaveNoise((px + 39784.0) * 0.001, (py - 9083.0) * 0.001, 2, seed) * 15.0;
+    return [px + w0, py + w1];
+}
+
+function regionRoughness(wx, wy, seed) {
+    const noise = octaveNoise(wx * 0.00007, wy * 0.00007, 2, seed);
+    return clamp(0.25 + 0.75 * noise, 0.0, 1.0);
+}
+
+// SPHERICAL: Convert face + UV to sphere point (same axis layout as the shaders)
+function getSpherePoint(face, u, v) {
+    const x = u * 2.0 - 1.0;
+    const y = v * 2.0 - 1.0;
+    let cx, cy, cz;
+
+    if (face === 0) { cx = 1.0; cy = y; cz = -x; }        // +X
+    else if (face === 1) { cx = -1.0; cy = y; cz = x; }   // -X
+    else if (face === 2) { cx = x; cy = 1.0; cz = -y; }   // +Y
+    else if (face === 3) { cx = x; cy = -1.0; cz = y; }   // -Y
+    else if (face === 4) { cx = x; cy = y; cz = 1.0; }    // +Z
+    else { cx = -x; cy = y; cz = -1.0; }                  // -Z
+
+    const len = Math.sqrt(cx * cx + cy * cy + cz * cz);
+    return [cx / len, cy / len, cz / len];
+}
+
+function terrainHeight(wx, wy, seed, elevationScale, heightScale) {
+    const biome = biomeMask(wx, wy, seed);
+    const plainsZone = 0.4;
+    const mountainZone = 0.6;
+    const blend = smoothstep(plainsZone, mountainZone, biome);
+
+    // Plains generation
+    const plainsBase = octaveNoise(wx * 0.005, wy * 0.005, 2, seed) * 0.10;
+    const plainsDetail = octaveNoise(wx * 0.03, wy * 0.03, 2, seed) * 0.07;
+    const plains = clamp(plainsBase + plainsDetail, -1.0, 1.0);
+
+    // Mountain generation with domain warping (rotate45 inlined)
+    const [warpedX, warpedY] = warp(wx, wy, seed);
+    const s = 0.70710678;
+    const rotX = warpedX * s - warpedY * s;
+    const rotY = warpedX * s + warpedY * s;
+    const roughness = regionRoughness(wx, wy, seed);
+
+    const baseScale = elevationScale * mix(1.0, 0.36, roughness);
+    const amplitude = mix(0.8, 1.6, roughness);
+    const mountainBase = octaveNoise(rotX * baseScale, rotY * baseScale, 6, seed) * amplitude;
+    const mountainRidge = ridgedNoise(rotX * 0.004, rotY * 0.004, 2, seed);
+    const mountains = mix(mountainBase, mountainRidge, roughness);
+
+    const elevation = mix(plains, Math.pow((mountains + 1.0) * 0.5, 1.25), blend);
+
+    return elevation * heightScale;
+}
+
+// Tile selection is compiled from a BiomeRegistry; this evaluates the same expressions
+function determineTerrain(h, wx, wy, lat, seed, biomeRegistry = DEFAULT_BIOME_REGISTRY) {
+    return biomeRegistry.selectTile(h, wx, wy, lat, seed, octaveNoise);
+}
+
+export const TerrainNoiseCPU = {
+    hash2d,
+    perlin2D,
+    octaveNoise,
+    ridgedNoise,
+    biomeMask,
+    warp,
+    regionRoughness,
+    getSpherePoint,
+    terrainHeight,
+    determineTerrain
+};
+
+export class CPUTerrainGenerator {
+    constructor(seed, chunkSize, macroConfig, splatConfig, textureCache = null) {
+        this.seed = seed;
+        this.chunkSize = chunkSize;
+        this.macroConfig = macroConfig;
+        this.splatDensity = splatConfig.splatDensity || 4;
+        this.splatKernelSize = splatConfig.splatKernelSize || 5;
+        this.textureCache = textureCache;
+
+        this.worldScale = 1.0;
+        this.elevationScale = 0.04;
+        this.detailScale = 0.08;
+        this.ridgeScale = 0.02;
+        this.plateauScale = 0.005;
+        this.valleyScale = 0.012;
+        this.heightScale = 40.0;
+        this.biomeRegistry = DEFAULT_BIOME_REGISTRY;
+        // Planet chunk grid per cube face edge (the chunksPerFace uniform);
+        // BaseWorldGenerator.setPlanetConfig sets it from the planet radius
+        this.chunksPerFace = 16;
+
+        // 0.0 samples integer texel coords like the WGSL dispatch (global_id).
+        // The WebGL2 fragment pass samples texel centres; use 0.5 to diff against it.
+        this.texelOffset = 0.0;
+
+        this.streamedTypes = new Map();
+        this.initializeStreamedTypes();
+        this.initialized = false;
+    }
+
+    initialize() {
+        this.initialized = true;
+    }
+
+    /**
+     * Switch tile selection to another biome registry and take over its feature mix.
+     */
+    setBiomeRegistry(biomeRegistry) {
+        this.biomeRegistry = biomeRegistry;
+        this.initializeStreamedTypes(biomeRegistry.getFeatureDistribution());
+    }
+
+    initializeStreamedTypes(distribution = this.biomeRegistry.getFeatureDistribution()) {
+        this.featureDistribution = distribution;
+        this.streamedTypes.clear();
+        for (const [tileType, features] of Object.entries(distribution)) {
+            for (const [name, config] of Object.entries(features)) {
+                this.streamedTypes.set(name, {
+                    name,
+                    prob: config.prob,
+                    maxDensity: config.maxDensity,
+                    validTiles: [TILE_TYPES[tileType]]
+                });
+            }
+        }
+    }
+
+    /**
+     * Map a texel of a generation pass to noise-space coordinates and latitude.
+     * Mirrors the world position block of the compute shaders' main(); span is
+     * the chunkSpan uniform (base chunks covered by the texture on a planet).
+     */
+    getWorldCoord(chunkCoordX, chunkCoordY, px, py, textureSize, face = -1, span = 1) {
+        const sx = px + this.texelOffset;
+        const sy = py + this.texelOffset;
+
+        if (face !== null && face >= 0) {
+            const normalizedU = (chunkCoordX + span * sx / textureSize) / this.chunksPerFace;
+            const normalizedV = (chunkCoordY + span * sy / textureSize) / this.chunksPerFace;
+            const p = getSpherePoint(face, normalizedU, normalizedV);
+            return this.getSphereCoord(p[0], p[1], p[2]);
+        }
+
+        return [chunkCoordX * this.chunkSize + sx, chunkCoordY * this.chunkSize + sy, 0.0];
+    }
+
+    /**
+     * Noise-space coordinates and latitude for a unit direction from the
+     * planet centre; the spherical branch of getWorldCoord for any direction.
+     */
+    getSphereCoord(dx, dy, dz) {
+        const spx = dx * SHADER_SPHERE_RADIUS;
+        const spy = dy * SHADER_SPHERE_RADIUS;
+        const spz = dz * SHADER_SPHERE_RADIUS;
+        const lat = Math.asin(clamp(Math.abs(dz), 0.0, 1.0)) / 1.5707963;
+        return [spx + spz * 0.5, spy + spz * 0.5, lat];
+    }
+
+    sampleHeight(wx, wy) {
+        return terrainHeight(wx, wy, this.seed, this.elevationScale, this.heightScale);
+    }
+
+    /**
+     * Biome of the active registry at a noise-space position, before
+     * hydrology, roads and edits.
+     */
+    sampleBiome(wx, wy, lat = 0.0) {
+        return this.biomeRegistry.selectBiome(this.sampleHeight(wx, wy), wx, wy, lat, this.seed, octaveNoise);
+    }
+
+    /**
+     * Evaluate one output type of the terrain pass at a noise-space position.
+     * Writes RGBA into out[offset..offset+3].
+     */
+    sampleOutput(outputType, wx, wy, out, offset, lat = 0.0) {
+        out[offset + 3] = 1.0;
+
+        if (outputType === OUTPUT_TYPES.HEIGHT) {
+            out[offset] = this.sampleHeight(wx, wy);
+        } else if (outputType === OUTPUT_TYPES.NORMAL) {
+            const e = 0.1;
+            const hL = this.sampleHeight(wx - e, wy);
+            const hR = this.sampleHeight(wx + e, wy);
+            const hD = this.sampleHeight(wx, wy - e);
+            const hU = this.sampleHeight(wx, wy + e);
+
+            const nx = hL - hR;
+            const ny = 2.0 * e;
+            const nz = hD - hU;
+            const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            out[offset] = (nx / len) * 0.5 + 0.5;
+            out[offset + 1] = (ny / len) * 0.5 + 0.5;
+            out[offset + 2] = (nz / len) * 0.5 + 0.5;
+        } else if (outputType === OUTPUT_TYPES.TILE) {
+            const h0 = this.sampleHeight(wx, wy);
+            out[offset] = determineTerrain(h0, wx, wy, lat, this.seed, this.biomeRegistry) / 255.0;
+        } else if (outputType === OUTPUT_TYPES.MACRO) {
+            out[offset] = biomeMask(wx, wy, this.seed);
+        }
+    }
+
+    /**
+     * Run one terrain pass over a width x height region into an RGBA32F array.
+     * textureSize is the size the shader would see from textureDimensions().
+     */
+    runTerrainPass(outputType, chunkCoordX, chunkCoordY, width, height, textureSize, face = -1, span = 1) {
+        const data = new Float32Array(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const [wx, wy, lat] = this.getWorldCoord(chunkCoordX, chunkCoordY, x, y, textureSize, face, span);
+                this.sampleOutput(outputType, wx, wy, data, (y * width + x) * 4, lat);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Port of splatCompute.wgsl.js for a single (non-atlas) chunk tile map.
+     * Output packing: [weight1, type1/255, weight2, type2/255]
+     */
+    runSplatPass(tileData, tileSize) {
+        const splatSize = tileSize * this.splatDensity;
+        const data = new Float32Array(splatSize * splatSize * 4);
+        const N = Math.max(1, this.splatKernelSize);
+        const halfN = Math.floor(N / 2);
+        const weightedCounts = new Float32Array(TILE_TYPES.ROAD + 1);
+
+        for (let sy = 0; sy < splatSize; sy++) {
+            for (let sx = 0; sx < splatSize; sx++) {
+                const tileCoordX = sx / this.splatDensity;
+                const tileCoordY = sy / this.splatDensity;
+
+                weightedCounts.fill(0);
+                let totalWeight = 0.0;
+
+                for (let dy = -halfN; dy <= halfN; dy++) {
+                    for (let dx = -halfN; dx <= halfN; dx++) {
+                        const u = clamp((tileCoordX + dx) / tileSize, 0.0, 1.0);
+                        const v = clamp((tileCoordY + dy) / tileSize, 0.0, 1.0);
+
+                        const dist = Math.sqrt(dx * dx + dy * dy) / Math.max(1, halfN);
+                        const weight = Math.exp(-2.0 * dist * dist);
+
+                        const cx = clamp(Math.trunc(u * tileSize), 0, tileSize - 1);
+                        const cy = clamp(Math.trunc(v * tileSize), 0, tileSize - 1);
+                        const t = Math.floor(tileData[(cy * tileSize + cx) * 4] * 255.0 + 0.5);
+
+                        if ((t >= 1 && t <= 8) || t === TILE_TYPES.ROAD) {
+                            weightedCounts[t] += weight;
+                            totalWeight += weight;
+                        }
+                    }
+                }
+
+                let top1Type = 0, top1Weight = 0.0;
+                let top2Type = 0, top2Weight = 0.0;
+                for (let k = 0; k < weightedCounts.length; k++) {
+                    const w = weightedCounts[k];
+                    if (w > top1Weight) {
+                        top2Type = top1Type;
+                        top2Weight = top1Weight;
+                        top1Type = k;
+                        top1Weight = w;
+                    } else if (w > top2Weight) {
+                        top2Type = k;
+                        top2Weight = w;
+                    }
+                }
+
+                const o = (sy * splatSize + sx) * 4;
+                if (totalWeight > 0.001) {
+                    data[o] = top1Weight / totalWeight;
+                    data[o + 2] = top2Weight / totalWeight;
+                }
+                data[o + 1] = top1Type / 255.0;
+                data[o + 3] = top2Type / 255.0;
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Generate every per-chunk output in the same RGBA layout the GPU
+     * generators read back, so results can be diffed texel for texel.
+     * A planet chunk with span > 1 is a coarse quadtree node: the same texel
+     * counts stretched over span x span base chunks.
+     */
+    generateTerrainData(chunkX, chunkY, face = null, span = 1) {
+        if (!this.initialized) this.initialize();
+
+        const size = this.chunkSize + 1;
+        const tileSize = this.chunkSize;
+        const splatSize = this.chunkSize * this.splatDensity;
+        const faceValue = face !== null ? face : -1;
+
+        const heightData = this.runTerrainPass(OUTPUT_TYPES.HEIGHT, chunkX, chunkY, size, size, size, faceValue, span);
+        const normalData = this.runTerrainPass(OUTPUT_TYPES.NORMAL, chunkX, chunkY, size, size, size, faceValue, span);
+        const tileData = this.runTerrainPass(OUTPUT_TYPES.TILE, chunkX, chunkY, tileSize, tileSize, tileSize, faceValue, span);
+        const macroData = this.runTerrainPass(OUTPUT_TYPES.MACRO, chunkX, chunkY, splatSize, splatSize, splatSize, faceValue, span);
+        const splatData = this.runSplatPass(tileData, tileSize);
+
+        return { heightData, normalData, tileData, macroData, splatData };
+    }
+
+    // Per-chunk generation (same entry point as WebGL2TerrainGenerator)
+    async generateTerrain(chunkData, chunkX, chunkY, face = null, span = 1) {
+        const result = this.generateTerrainData(chunkX, chunkY, face, span);
+
+        this.populateChunkData(chunkData, chunkX, chunkY, result);
+
+        if (this.textureCache) {
+            // The per-chunk cache is keyed by base chunk, so coarse nodes keep theirs on textureRefs
+            chunkData.textureRefs = this.cacheChunkTextures(chunkX, chunkY, result, span === 1);
+        }
+
+        return result;
+    }
+
+    populateChunkData(chunkData, chunkX, chunkY, result) {
+        const tileSize = this.chunkSize;
+        const size = this.chunkSize + 1;
+        const { heightData, normalData, tileData, macroData } = result;
+
+        const tilesCount = tileSize * tileSize;
+        chunkData.tiles = new Uint32Array(tilesCount);
+        for (let i = 0; i < tilesCount; i++) {
+            chunkData.tiles[i] = Math.round(tileData[i * 4] * 255);
+        }
+
+        const heightsCount = size * size;
+        chunkData.heights = new Float32Array(heightsCount);
+        chunkData.normals = new Float32Array(heightsCount * 3);
+        for (let i = 0; i < heightsCount; i++) {
+            chunkData.heights[i] = heightData[i * 4];
+            chunkData.normals[i * 3] = normalData[i * 4] * 2.0 - 1.0;
+            chunkData.normals[i * 3 + 1] = normalData[i * 4 + 1] * 2.0 - 1.0;
+            chunkData.normals[i * 3 + 2] = normalData[i * 4 + 2] * 2.0 - 1.0;
+        }
+
+        // Macro pass output is the biome mask at splat resolution
+        const splatSize = this.chunkSize * this.splatDensity;
+        chunkData.macroMask = new Float32Array(splatSize * splatSize);
+        for (let i = 0; i < chunkData.macroMask.length; i++) {
+            chunkData.macroMask[i] = macroData[i * 4];
+        }
+
+        chunkData.splatDensity = this.splatDensity;
+        chunkData.offsetX = chunkX * this.chunkSize;
+        chunkData.offsetZ = chunkY * this.chunkSize;
+        chunkData.featureDistribution = this.generateFeatureDistributionForChunk(
+            chunkX, chunkY, chunkData.tiles
+        );
+    }
+
+    createDataTexture(data, width, height, filter = TextureFilter.NEAREST) {
+        const texture = new Texture({
+            width: width,
+            height: height,
+            format: TextureFormat.RGBA32F,
+            minFilter: filter,
+            magFilter: filter,
+            wrapS: TextureWrap.CLAMP,
+            wrapT: TextureWrap.CLAMP,
+            generateMipmaps: false,
+            data: data
+        });
+        return texture;
+    }
+
+    /**
+     * Upload CPU results as per-chunk data textures (legacy cache layout read
+     * by TerrainMeshManager._getChunkTextures).
+     */
+    cacheChunkTextures(chunkX, chunkY, result, addToCache = true) {
+        const size = this.chunkSize + 1;
+        const tileSize = this.chunkSize;
+        const splatSize = this.chunkSize * this.splatDensity;
+
+        const textures = {
+            height: this.createDataTexture(result.heightData, size, size),
+            normal: this.createDataTexture(result.normalData, size, size, TextureFilter.LINEAR),
+            tile: this.createDataTexture(result.tileData, tileSize, tileSize),
+            macro: this.createDataTexture(result.macroData, splatSize, splatSize, TextureFilter.LINEAR),
+            splatData: this.createDataTexture(result.splatData, splatSize, splatSize, TextureFilter.LINEAR)
+        };
+
+        if (addToCache) {
+            for (const [type, texture] of Object.entries(textures)) {
+                this.textureCache.set(chunkX, chunkY, type, texture, texture.data.byteLength);
+            }
+        }
+
+        return {
+            chunkX,
+            chunkY,
+            useAtlasMode: false,
+            isWebGPU: false,
+            heightTexture: textures.height,
+            normalTexture: textures.normal,
+            tileTexture: textures.tile,
+            splatDataTexture: textures.splatData,
+            macroTexture: textures.macro
+        };
+    }
+
+    generateFeatureDistributionForChunk(chunkX, chunkZ, tiles) {
+        const featureMix = {};
+        const totalTiles = tiles.length || 1;
+
+        for (const asset of StreamedAssetConfig) {
+            const typeName = asset.typeName.toLowerCase();
+            const valid = asset.config.validTiles || [];
+            let matches = 0;
+            for (let i = 0; i < tiles.length; i++) {
+                if (valid.includes(tiles[i])) matches++;
+            }
+            featureMix[typeName] = matches / totalTiles;
+        }
+
+        return { featureMix };
+    }
+
+    dispose() {
+        this.streamedTypes.clear();
+        this.initialized = false;
+    }
+}
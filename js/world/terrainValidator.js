@@ -1,67 +1,106 @@
 export class TerrainValidator {
-    constructor(webgl2Generator, webgpuGenerator) {
+    /**
+     * @param {WebGL2TerrainGenerator|null} webgl2Generator
+     * @param {WebGPUTerrainGenerator|null} webgpuGenerator
+     * @param {CPUTerrainGenerator|null} referenceGenerator - golden reference; when set,
+     *        each GPU path is diffed against it instead of against each other
+     */
+    constructor(webgl2Generator, webgpuGenerator, referenceGenerator = null) {
         this.webgl2 = webgl2Generator;
         this.webgpu = webgpuGenerator;
+        this.reference = referenceGenerator;
     }
 
-    async validateChunk(chunkX, chunkY, tolerance = 0.001) {
+    async validateChunk(chunkX, chunkY, tolerance = 0.001, face = null) {
         console.log(` Validating chunk ${chunkX},${chunkY}...`);
-        console.log("a", this.webgl2, this.webgpu);
+
+        if (this.reference) {
+            let valid = true;
+            for (const [label, generator] of [['GL2', this.webgl2], ['GPU', this.webgpu]]) {
+                if (!generator || !generator.generateTerrain) continue;
+                const ok = await this.validateAgainstReference(generator, chunkX, chunkY, tolerance, face, label);
+                valid = valid && ok;
+            }
+            return valid;
+        }
+
         // Generate using WebGL2
         const gl2ChunkData = { tiles: null, heights: null };
-        await this.webgl2.generateTerrain(gl2ChunkData, chunkX, chunkY);
-        
-        // Generate using WebGPU  
+        await this.webgl2.generateTerrain(gl2ChunkData, chunkX, chunkY, face);
+
+        // Generate using WebGPU
         const gpuChunkData = { tiles: null, heights: null };
-        await this.webgpu.generateTerrain(gpuChunkData, chunkX, chunkY);
-        
+        await this.webgpu.generateTerrain(gpuChunkData, chunkX, chunkY, face);
+
+        return this._compareChunkData(chunkX, chunkY, gl2ChunkData, gpuChunkData, 'GL2', 'GPU', tolerance);
+    }
+
+    /**
+     * Diff one generator's chunk output against the CPU reference.
+     */
+    async validateAgainstReference(generator, chunkX, chunkY, tolerance = 0.001, face = null, label = 'GPU') {
+        const refChunkData = { tiles: null, heights: null };
+        this.reference.populateChunkData(refChunkData, chunkX, chunkY,
+            this.reference.generateTerrainData(chunkX, chunkY, face));
+
+        const testChunkData = { tiles: null, heights: null };
+        await generator.generateTerrain(testChunkData, chunkX, chunkY, face);
+
+        return this._compareChunkData(chunkX, chunkY, refChunkData, testChunkData, 'CPU', label, tolerance);
+    }
+
+    _compareChunkData(chunkX, chunkY, a, b, labelA, labelB, tolerance) {
         // Compare heights
         const heightErrors = [];
-        const size = this.webgl2.chunkSize + 1;
-        
+        const size = this._chunkSize() + 1;
+
         for (let i = 0; i < size * size; i++) {
-            const diff = Math.abs(gl2ChunkData.heights[i] - gpuChunkData.heights[i]);
-            if (diff > tolerance) {
+            const diff = Math.abs(a.heights[i] - b.heights[i]);
+            if (!(diff <= tolerance)) {
                 const x = i % size;
                 const y = Math.floor(i / size);
-                heightErrors.push({ x, y, gl2: gl2ChunkData.heights[i], gpu: gpuChunkData.heights[i], diff });
+                heightErrors.push({ x, y, a: a.heights[i], b: b.heights[i], diff });
             }
         }
-        
+
         // Compare tiles
         const tileErrors = [];
-        const tileSize = this.webgl2.chunkSize;
-        
+        const tileSize = this._chunkSize();
+
         for (let i = 0; i < tileSize * tileSize; i++) {
-            if (gl2ChunkData.tiles[i] !== gpuChunkData.tiles[i]) {
+            if (a.tiles[i] !== b.tiles[i]) {
                 const x = i % tileSize;
                 const y = Math.floor(i / tileSize);
-                tileErrors.push({ x, y, gl2: gl2ChunkData.tiles[i], gpu: gpuChunkData.tiles[i] });
+                tileErrors.push({ x, y, a: a.tiles[i], b: b.tiles[i] });
             }
         }
-        
+
         // Report results
         if (heightErrors.length === 0 && tileErrors.length === 0) {
-            console.log(` Chunk ${chunkX},${chunkY} validated successfully!`);
+            console.log(` Chunk ${chunkX},${chunkY} validated successfully (${labelA} vs ${labelB})!`);
             return true;
         } else {
-            console.error(`Chunk ${chunkX},${chunkY} validation failed!`);
+            console.error(`Chunk ${chunkX},${chunkY} validation failed (${labelA} vs ${labelB})!`);
             console.error(`   Height errors: ${heightErrors.length}`);
             if (heightErrors.length > 0 && heightErrors.length <= 10) {
                 heightErrors.forEach(e => {
-                    console.error(`     (${e.x},${e.y}): GL2=${e.gl2.toFixed(4)} GPU=${e.gpu.toFixed(4)} diff=${e.diff.toFixed(6)}`);
+                    console.error(`     (${e.x},${e.y}): ${labelA}=${e.a.toFixed(4)} ${labelB}=${e.b.toFixed(4)} diff=${e.diff.toFixed(6)}`);
                 });
             }
             console.error(`   Tile errors: ${tileErrors.length}`);
             if (tileErrors.length > 0 && tileErrors.length <= 10) {
                 tileErrors.forEach(e => {
-                    console.error(`     (${e.x},${e.y}): GL2=${e.gl2} GPU=${e.gpu}`);
+                    console.error(`     (${e.x},${e.y}): ${labelA}=${e.a} ${labelB}=${e.b}`);
                 });
             }
             return false;
         }
     }
 
+    _chunkSize() {
+        return (this.reference || this.webgl2 || this.webgpu).chunkSize;
+    }
+
     async validateMultipleChunks(count = 9) {
         const results = [];
         for (let y = 0; y < Math.sqrt(count); y++) {
@@ -70,9 +109,9 @@ export class TerrainValidator {
                 results.push({ x, y, valid });
             }
         }
-        
+
         const passed = results.filter(r => r.valid).length;
         console.log(`\n Validation complete: ${passed}/${results.length} chunks passed`);
         return passed === results.length;
     }
-}
\ No newline at end of file
+}
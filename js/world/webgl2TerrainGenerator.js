@@ -4,9 +4,9 @@ import { Texture, TextureFormat, TextureFilter, TextureWrap } from '../renderer/
 import { RenderTarget } from '../renderer/resources/RenderTarget.js';
 import { Geometry } from '../renderer/resources/geometry.js';
 import { Material } from '../renderer/resources/material.js';
-import { terrainVertexShader, terrainFragmentShader } from './shaders/webgl2/terrainCompute.glsl.js';
+import { terrainVertexShader, createTerrainFragmentShader } from './shaders/webgl2/terrainCompute.glsl.js';
 import { splatVertexShader, splatFragmentShader } from './shaders/webgl2/splatCompute.glsl.js';
-import { BASE_FEATURE_DISTRIBUTION } from './shaders/featureDistribution.js';
+import { DEFAULT_BIOME_REGISTRY } from './biomeRegistry.js';
 import { StreamedAssetConfig } from '../mesh/streamed/streamedAssetConfig.js';
 import { TILE_TYPES } from '../types.js';
 
@@ -28,6 +28,9 @@ export class WebGL2TerrainGenerator {
         this.plateauScale = 0.005;
         this.valleyScale = 0.012;
         this.heightScale = 40.0;
+        this.biomeRegistry = DEFAULT_BIOME_REGISTRY;
+        // Planet chunk grid per cube face edge; set from the planet radius
+        this.chunksPerFace = 16;
 
         this.streamedTypes = new Map();
         this.initializeStreamedTypes();
@@ -81,7 +84,7 @@ export class WebGL2TerrainGenerator {
     createTerrainMaterial() {
         return new Material({
             vertexShader: terrainVertexShader,
-            fragmentShader: terrainFragmentShader,
+            fragmentShader: createTerrainFragmentShader(this.biomeRegistry),
             uniforms: {
                 u_chunkCoord: { value: [0, 0], type: 'ivec2' },
                 u_chunkSize: { value: this.chunkSize, type: 'int' },
@@ -97,7 +100,9 @@ export class WebGL2TerrainGenerator {
                 u_worldScale: { value: this.worldScale, type: 'float' },
                 u_outputType: { value: 0, type: 'int' },
                 u_face: { value: -1, type: 'int' },
-                u_textureSize: { value: this.chunkSize + 1, type: 'int' }
+                u_textureSize: { value: this.chunkSize + 1, type: 'int' },
+                u_chunksPerFace: { value: this.chunksPerFace, type: 'int' },
+                u_chunkSpan: { value: 1, type: 'int' }
             },
             depthTest: false,
             depthWrite: false
@@ -122,8 +127,26 @@ export class WebGL2TerrainGenerator {
         });
     }
     
-    initializeStreamedTypes() {
-        for (const [tileType, features] of Object.entries(BASE_FEATURE_DISTRIBUTION)) {
+    /**
+     * Switch tile selection to another biome registry. Recompiles the terrain
+     * shader if it already exists; chunks generated before keep their tiles.
+     */
+    setBiomeRegistry(biomeRegistry) {
+        this.biomeRegistry = biomeRegistry;
+        this.initializeStreamedTypes(biomeRegistry.getFeatureDistribution());
+
+        if (this.terrainMaterial) {
+            this.backend.deleteShader(this.terrainMaterial);
+            this.terrainMaterial.dispose();
+            this.terrainMaterial = this.createTerrainMaterial();
+            this.backend.compileShader(this.terrainMaterial);
+        }
+    }
+
+    initializeStreamedTypes(distribution = this.biomeRegistry.getFeatureDistribution()) {
+        this.featureDistribution = distribution;
+        this.streamedTypes.clear();
+        for (const [tileType, features] of Object.entries(distribution)) {
             for (const [name, config] of Object.entries(features)) {
                 this.streamedTypes.set(name, {
                     name,
@@ -210,6 +233,8 @@ export class WebGL2TerrainGenerator {
         // Set uniforms for atlas generation
         this.terrainMaterial.uniforms.u_chunkCoord.value = [atlasChunkX, atlasChunkY];
         this.terrainMaterial.uniforms.u_face.value = face;
+        this.terrainMaterial.uniforms.u_chunksPerFace.value = this.chunksPerFace;
+        this.terrainMaterial.uniforms.u_chunkSpan.value = config.chunksPerAxis;
         this.terrainMaterial.uniforms.u_textureSize.value = heightNormalSize;
 
         // Generate height
@@ -385,17 +410,23 @@ export class WebGL2TerrainGenerator {
         return data;
     }
     // Legacy per-chunk generation (backward compatibility)
-    async generateTerrain(chunkData, chunkX, chunkY, face = null) {
+    /**
+     * Per-chunk generation. A span > 1 generates a coarse quadtree node over
+     * span x span base chunks; the per-chunk cache is keyed by base chunk, so
+     * its textures only live on chunkData.textureRefs.
+     */
+    async generateTerrain(chunkData, chunkX, chunkY, face = null, span = 1) {
         if (!this.initialized) {
             this.initialize();
         }
         
-        let heightTexture = this.textureCache.get(chunkX, chunkY, 'height');
-        let normalTexture = this.textureCache.get(chunkX, chunkY, 'normal');
-        let tileTexture = this.textureCache.get(chunkX, chunkY, 'tile');
-        let splatWeightTexture = this.textureCache.get(chunkX, chunkY, 'splatWeight');
-        let splatTypeTexture = this.textureCache.get(chunkX, chunkY, 'splatType');
-        let macroTexture = this.textureCache.get(chunkX, chunkY, 'macro');
+        const useCache = span === 1;
+        let heightTexture = useCache ? this.textureCache.get(chunkX, chunkY, 'height') : null;
+        let normalTexture = useCache ? this.textureCache.get(chunkX, chunkY, 'normal') : null;
+        let tileTexture = useCache ? this.textureCache.get(chunkX, chunkY, 'tile') : null;
+        let splatWeightTexture = useCache ? this.textureCache.get(chunkX, chunkY, 'splatWeight') : null;
+        let splatTypeTexture = useCache ? this.textureCache.get(chunkX, chunkY, 'splatType') : null;
+        let macroTexture = useCache ? this.textureCache.get(chunkX, chunkY, 'macro') : null;
 
         const hasAllTextures = heightTexture && normalTexture && tileTexture &&
                                splatWeightTexture && splatTypeTexture && macroTexture;
@@ -403,7 +434,7 @@ export class WebGL2TerrainGenerator {
         let heightData, tileData;
 
         if (!hasAllTextures) {
-            const result = await this.generateAllTexturesForChunk(chunkX, chunkY, face);
+            const result = await this.generateAllTexturesForChunk(chunkX, chunkY, face, span);
 
             const size = this.chunkSize + 1;
             const tileSize = this.chunkSize;
@@ -416,17 +447,19 @@ export class WebGL2TerrainGenerator {
             const splatWeightSizeBytes = splatSize * splatSize * 4 * 4;
             const splatTypeSizeBytes = splatSize * splatSize * 4 * 4;
 
-            this.textureCache.set(chunkX, chunkY, 'height', result.textures.height, heightSizeBytes);
-            this.textureCache.set(chunkX, chunkY, 'normal', result.textures.normal, normalSizeBytes);
-            this.textureCache.set(chunkX, chunkY, 'tile', result.textures.tile, tileSizeBytes);
-            this.textureCache.set(chunkX, chunkY, 'splatWeight', result.textures.splatWeight, splatWeightSizeBytes);
-            this.textureCache.set(chunkX, chunkY, 'splatType', result.textures.splatType, splatTypeSizeBytes);
-            this.textureCache.set(chunkX, chunkY, 'macro', result.textures.macro, macroSizeBytes);
+            if (useCache) {
+                this.textureCache.set(chunkX, chunkY, 'height', result.textures.height, heightSizeBytes);
+                this.textureCache.set(chunkX, chunkY, 'normal', result.textures.normal, normalSizeBytes);
+                this.textureCache.set(chunkX, chunkY, 'tile', result.textures.tile, tileSizeBytes);
+                this.textureCache.set(chunkX, chunkY, 'splatWeight', result.textures.splatWeight, splatWeightSizeBytes);
+                this.textureCache.set(chunkX, chunkY, 'splatType', result.textures.splatType, splatTypeSizeBytes);
+                this.textureCache.set(chunkX, chunkY, 'macro', result.textures.macro, macroSizeBytes);
+            }
 
             heightTexture = result.textures.height;
             normalTexture = result.textures.normal;
             tileTexture = result.textures.tile;
-            splatWeight = result.textures.splatWeight;
+            splatWeightTexture = result.textures.splatWeight;
             splatTypeTexture = result.textures.splatType;
             macroTexture = result.textures.macro;
 
@@ -478,7 +511,7 @@ export class WebGL2TerrainGenerator {
         );
     }
 
-    async generateAllTexturesForChunk(chunkX, chunkY, face = null) {
+    async generateAllTexturesForChunk(chunkX, chunkY, face = null, span = 1) {
         const size = this.chunkSize + 1;
         const tileSize = this.chunkSize;
         const splatSize = this.chunkSize * this.splatDensity;
@@ -515,6 +548,8 @@ export class WebGL2TerrainGenerator {
 
         this.terrainMaterial.uniforms.u_chunkCoord.value = [chunkX, chunkY];
         this.terrainMaterial.uniforms.u_face.value = faceValue;
+        this.terrainMaterial.uniforms.u_chunksPerFace.value = this.chunksPerFace;
+        this.terrainMaterial.uniforms.u_chunkSpan.value = span;
 
         this.terrainMaterial.uniforms.u_textureSize.value = size;
         this.terrainMaterial.uniforms.u_outputType.value = 0;
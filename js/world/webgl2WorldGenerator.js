@@ -2,7 +2,6 @@
 import { BaseWorldGenerator } from './baseWorldGenerator.js';
 import { WebGL2TerrainGenerator } from "./webgl2TerrainGenerator.js";
 import { ChunkData } from "./chunkData.js";
-import { TreeFeature } from './features/treeFeature.js';
 import { TextureAtlasKey } from './textureAtlasKey.js';
 
 export class WebGL2WorldGenerator extends BaseWorldGenerator {
@@ -53,7 +52,7 @@ export class WebGL2WorldGenerator extends BaseWorldGenerator {
         }
     }
 
-    async generateChunk(chunkX, chunkY, face = null, lod = 0) {
+    async generateChunk(chunkX, chunkY, face = null, lod = 0, span = 1) {
         await this._ready;
         
         // Validate inputs
@@ -67,16 +66,18 @@ export class WebGL2WorldGenerator extends BaseWorldGenerator {
         const genScale = Math.max(this.generationHeightScale, 0.0001);
         chunkData.heightScale = this.renderHeightScale / genScale;
         chunkData.face = face;
+        chunkData.span = span;
         
         if (this.planetConfig) {
             chunkData.isSpherical = true;
             chunkData.baseAltitude = this.planetConfig.radius;
         }
         
-        if (this.useAtlasMode) {
+        // The fixed-resolution atlas only holds base chunks; coarse quadtree nodes get their own textures
+        if (this.useAtlasMode && span === 1) {
             await this._setupAtlasTextures(chunkData, chunkX, chunkY, face);
         } else {
-            await this._setupLegacyTextures(chunkData, chunkX, chunkY, face);
+            await this._setupLegacyTextures(chunkData, chunkX, chunkY, face, span);
         }
 
         chunkData.calculateWaterVisibility(this.globalWaterLevel);
@@ -94,6 +95,9 @@ export class WebGL2WorldGenerator extends BaseWorldGenerator {
             chunkData.waterFeatures = [];
         }
 
+        await this.applyRoads(chunkData);
+        await this.applyHydrology(chunkData);
+
         if (this.modules.staticObjects.enabled && !chunkData.isFullySubmerged) {
             this.generateObjectData(chunkData, chunkX, chunkY);
         }
@@ -187,67 +191,14 @@ export class WebGL2WorldGenerator extends BaseWorldGenerator {
         }
     }
 
-    async _setupLegacyTextures(chunkData, chunkX, chunkY, face = null) {
+    async _setupLegacyTextures(chunkData, chunkX, chunkY, face = null, span = 1) {
         chunkData.useAtlasMode = false;
         
         if (this.modules.tiledTerrain.enabled && this.modules.tiledTerrain.instance) {
-            await this.modules.tiledTerrain.instance.generateTerrain(chunkData, chunkX, chunkY, face);
+            await this.modules.tiledTerrain.instance.generateTerrain(chunkData, chunkX, chunkY, face, span);
         }
     }
 
-    generateObjectData(chunkData, chunkX, chunkY) {
-        const staticFeatures = chunkData.staticFeatures || [];
-        const chunkSize = this.chunkSize;
-
-        const chunkSeed = this.seed + chunkX * 73856093 + chunkY * 19349663;
-        const rng = this.createSeededRandom(chunkSeed);
-
-        const waterLevel = this.globalWaterLevel;
-
-        const centerX = Math.floor(chunkSize / 2);
-        const centerY = Math.floor(chunkSize / 2);
-        const centerTile = chunkData.getTile(centerX, centerY);
-        const isGrassland = centerTile === 3;
-        const isTundra = centerTile === 6;
-        const isRocky = centerTile === 5 || centerTile === 7;
-
-        const treeCount = isGrassland ? (1 + Math.floor(rng() * 6)) :
-                         isTundra ? (1 + Math.floor(rng() * 3)) :
-                         isRocky ? (1 + Math.floor(rng() * 2)) :
-                         (3 + Math.floor(rng() * 4));
-
-        for (let i = 0; i < treeCount; i++) {
-            const localX = 4 + rng() * (chunkSize - 8);
-            const localZ = 4 + rng() * (chunkSize - 8);
-            const height = chunkData.getHeight(localX, localZ);
-
-            if (height < waterLevel) continue;
-
-            const waterMargin = 2.0;
-            if (height < waterLevel + waterMargin) continue;
-
-            const slope = this.calculateSlope(chunkData, localX, localZ);
-            if (slope > 0.5) continue;
-
-            const tree = new TreeFeature({
-                subtype: 'BIRCH',
-                variant: Math.floor(rng() * 3),
-                position: {
-                    x: chunkX * chunkSize + localX,
-                    y: height,
-                    z: chunkY * chunkSize + localZ
-                },
-                rotation: rng() * Math.PI * 2,
-                scale: 0.7 + rng() * 0.5,
-                shapeSeed: Math.floor(rng() * 100000)
-            });
-
-            staticFeatures.push(tree);
-        }
-
-        chunkData.staticFeatures = staticFeatures;
-    }
-
     dispose() {
         if (this.modules.tiledTerrain.instance) {
             this.modules.tiledTerrain.instance.dispose();
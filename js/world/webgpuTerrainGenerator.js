@@ -2,7 +2,7 @@
 
 import { createTerrainComputeShader } from './shaders/webgpu/terrainCompute.wgsl.js';
 import { createSplatComputeShader } from './shaders/webgpu/splatCompute.wgsl.js';
-import { BASE_FEATURE_DISTRIBUTION } from './shaders/featureDistribution.js';
+import { DEFAULT_BIOME_REGISTRY } from './biomeRegistry.js';
 import { StreamedAssetConfig } from '../mesh/streamed/streamedAssetConfig.js';
 import { TILE_TYPES } from '../types.js';
 import { Texture, TextureFormat, TextureFilter } from '../renderer/resources/texture.js';
@@ -29,10 +29,13 @@ export class WebGPUTerrainGenerator {
         this.plateauScale = 0.005;
         this.valleyScale = 0.012;
         // Match the height scale used for tile selection/meshing so heights land in
-        // the expected 0..40 range (determineTerrain thresholds around 22)
+        // the expected 0..40 range (the default biome registry's altitude fades end at 22)
         this.heightScale = 40.0;
+        this.biomeRegistry = DEFAULT_BIOME_REGISTRY;
         // Optional LOD atlas config injected by world generator
         this.lodAtlasConfig = null;
+        // Planet chunk grid per cube face edge; set from the planet radius
+        this.chunksPerFace = 16;
 
         this.streamedTypes = new Map();
         this.initializeStreamedTypes();
@@ -62,8 +65,23 @@ export class WebGPUTerrainGenerator {
         this.initialized = true;
     }
 
-    initializeStreamedTypes() {
-        for (const [tileType, features] of Object.entries(BASE_FEATURE_DISTRIBUTION)) {
+    /**
+     * Switch tile selection to another biome registry. Rebuilds the terrain
+     * pipeline if it already exists; chunks generated before keep their tiles.
+     */
+    setBiomeRegistry(biomeRegistry) {
+        this.biomeRegistry = biomeRegistry;
+        this.initializeStreamedTypes(biomeRegistry.getFeatureDistribution());
+
+        if (this.terrainPipeline) {
+            this.createTerrainPipeline();
+        }
+    }
+
+    initializeStreamedTypes(distribution = this.biomeRegistry.getFeatureDistribution()) {
+        this.featureDistribution = distribution;
+        this.streamedTypes.clear();
+        for (const [tileType, features] of Object.entries(distribution)) {
             for (const [name, config] of Object.entries(features)) {
                 this.streamedTypes.set(name, {
                     name,
@@ -76,11 +94,6 @@ export class WebGPUTerrainGenerator {
     }
 
     async initializePipelines() {
-        const terrainShaderCode = createTerrainComputeShader();
-        this.terrainShaderModule = this.device.createShaderModule({
-            label: 'Terrain Compute', code: terrainShaderCode
-        });
-
         const splatShaderCode = createSplatComputeShader();
         this.splatShaderModule = this.device.createShaderModule({
             label: 'Splat Compute', code: splatShaderCode
@@ -104,10 +117,7 @@ export class WebGPUTerrainGenerator {
                 }
             ]
         });
-        this.terrainPipeline = this.device.createComputePipeline({
-            layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.terrainBindGroupLayout] }),
-            compute: { module: this.terrainShaderModule, entryPoint: 'main' }
-        });
+        this.createTerrainPipeline();
 
         this.splatBindGroupLayout = this.device.createBindGroupLayout({
             entries: [
@@ -127,6 +137,17 @@ export class WebGPUTerrainGenerator {
         });
     }
 
+    createTerrainPipeline() {
+        const terrainShaderCode = createTerrainComputeShader(this.biomeRegistry);
+        this.terrainShaderModule = this.device.createShaderModule({
+            label: 'Terrain Compute', code: terrainShaderCode
+        });
+        this.terrainPipeline = this.device.createComputePipeline({
+            layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.terrainBindGroupLayout] }),
+            compute: { module: this.terrainShaderModule, entryPoint: 'main' }
+        });
+    }
+
     createGPUTexture(width, height, format = 'rgba32float') {
         return this.device.createTexture({
             size: [width, height],
@@ -173,10 +194,11 @@ export class WebGPUTerrainGenerator {
         const gpuSplatData = this.createGPUTexture(splatSize, splatSize, textureFormat);
 
 
-        await this.runTerrainPassAtlas(gpuHeight, atlasChunkX, atlasChunkY, face, 0, heightNormalSize, heightNormalSize, config.chunkSize);
-        await this.runTerrainPassAtlas(gpuNormal, atlasChunkX, atlasChunkY, face, 1, heightNormalSize, heightNormalSize, config.chunkSize);
-        await this.runTerrainPassAtlas(gpuTile, atlasChunkX, atlasChunkY, face, 2, tileSize, tileSize, config.chunkSize);
-        await this.runTerrainPassAtlas(gpuMacro, atlasChunkX, atlasChunkY, face, 3, splatSize, splatSize, config.chunkSize);
+        const span = config.chunksPerAxis;
+        await this.runTerrainPassAtlas(gpuHeight, atlasChunkX, atlasChunkY, face, 0, heightNormalSize, heightNormalSize, config.chunkSize, span);
+        await this.runTerrainPassAtlas(gpuNormal, atlasChunkX, atlasChunkY, face, 1, heightNormalSize, heightNormalSize, config.chunkSize, span);
+        await this.runTerrainPassAtlas(gpuTile, atlasChunkX, atlasChunkY, face, 2, tileSize, tileSize, config.chunkSize, span);
+        await this.runTerrainPassAtlas(gpuMacro, atlasChunkX, atlasChunkY, face, 3, splatSize, splatSize, config.chunkSize, span);
         
         // Splat pass doesn't need face (relies on texture data), but we match the pattern
         await this.runSplatPassAtlas(gpuHeight, gpuTile, gpuSplatData, atlasChunkX, atlasChunkY, splatSize, splatSize, config.chunkSize);
@@ -240,12 +262,14 @@ export class WebGPUTerrainGenerator {
         console.log(`[WebGPUTerrainGenerator] Generating LOD ${atlasKey.lod} atlas:`, {
             key: atlasKey.toString(),
             textureSize: `${textureSize}×${textureSize}`,
-            worldCoverage: `${config.worldCoverage}m`,
+            worldCoverage: `${lodConfig.worldCoverage}m`,
             pixelsPerMeter: lodConfig.pixelsPerMeter
         });
         
-        const worldOriginX = atlasKey.atlasX * config.worldCoverage;
-        const worldOriginY = atlasKey.atlasY * config.worldCoverage;
+        // Coverage grows past the base atlas at coarse levels (see LODAtlasConfig)
+        const span = lodConfig.chunksPerAtlas;
+        const chunkCoordX = atlasKey.atlasX * span;
+        const chunkCoordY = atlasKey.atlasY * span;
         
         const gpuHeight = this.createGPUTexture(textureSize, textureSize, 'rgba32float');
         const gpuNormal = this.createGPUTexture(textureSize, textureSize, 'rgba32float');
@@ -253,17 +277,12 @@ export class WebGPUTerrainGenerator {
         const gpuMacro = this.createGPUTexture(textureSize, textureSize, 'rgba32float');
         const gpuSplatData = this.createGPUTexture(textureSize, textureSize, 'rgba32float');
         
-        await this.runLODTerrainPass(gpuHeight, worldOriginX, worldOriginY, 
-            config.worldCoverage, atlasKey.face, 0, textureSize, atlasKey.lod);
-        await this.runLODTerrainPass(gpuNormal, worldOriginX, worldOriginY,
-            config.worldCoverage, atlasKey.face, 1, textureSize, atlasKey.lod);
-        await this.runLODTerrainPass(gpuTile, worldOriginX, worldOriginY,
-            config.worldCoverage, atlasKey.face, 2, textureSize, atlasKey.lod);
-        await this.runLODTerrainPass(gpuMacro, worldOriginX, worldOriginY,
-            config.worldCoverage, atlasKey.face, 3, textureSize, atlasKey.lod);
+        await this.runLODTerrainPass(gpuHeight, chunkCoordX, chunkCoordY, span, atlasKey.face, 0, textureSize);
+        await this.runLODTerrainPass(gpuNormal, chunkCoordX, chunkCoordY, span, atlasKey.face, 1, textureSize);
+        await this.runLODTerrainPass(gpuTile, chunkCoordX, chunkCoordY, span, atlasKey.face, 2, textureSize);
+        await this.runLODTerrainPass(gpuMacro, chunkCoordX, chunkCoordY, span, atlasKey.face, 3, textureSize);
         
-        await this.runLODSplatPass(gpuHeight, gpuTile, gpuSplatData,
-            worldOriginX, worldOriginY, config.worldCoverage, textureSize, atlasKey.lod);
+        await this.runLODSplatPass(gpuHeight, gpuTile, gpuSplatData, chunkCoordX, chunkCoordY, span, textureSize);
         
         const textures = {
             height: this.wrapGPUTexture(gpuHeight, textureSize, textureSize, 'rgba32float'),
@@ -347,8 +366,8 @@ export class WebGPUTerrainGenerator {
     }
     
 
-    async runTerrainPassAtlas(outTex, atlasChunkX, atlasChunkY, face, type, w, h, chunkSize) {
-        const data = new ArrayBuffer(64);
+    async runTerrainPassAtlas(outTex, atlasChunkX, atlasChunkY, face, type, w, h, chunkSize, chunkSpan = 1) {
+        const data = new ArrayBuffer(80);
         const v = new DataView(data);
         
         v.setInt32(0, atlasChunkX, true);
@@ -367,6 +386,8 @@ export class WebGPUTerrainGenerator {
         v.setInt32(52, type, true);
         // Write Face ID to byte 56
         v.setInt32(56, face, true); 
+        v.setInt32(60, this.chunksPerFace, true);
+        v.setInt32(64, chunkSpan, true);
 
         this.device.queue.writeBuffer(this.terrainUniformBuffer, 0, data);
         
@@ -386,14 +407,17 @@ export class WebGPUTerrainGenerator {
         this.device.queue.submit([enc.finish()]);
     }
 
-    async runLODTerrainPass(outTex, worldOriginX, worldOriginY, worldCoverage, face, type, textureSize, lod) {
+    /**
+     * Terrain pass for an LOD atlas: the texture spans chunkSpan x chunkSpan
+     * base chunks from (chunkCoordX, chunkCoordY) at whatever resolution it has.
+     */
+    async runLODTerrainPass(outTex, chunkCoordX, chunkCoordY, chunkSpan, face, type, textureSize) {
         const data = new ArrayBuffer(80);
         const v = new DataView(data);
         
-        // World-space parameters (constant for all LODs)
-        v.setFloat32(0, worldOriginX, true);
-        v.setFloat32(4, worldOriginY, true);
-        v.setFloat32(8, worldCoverage, true);
+        v.setInt32(0, chunkCoordX, true);
+        v.setInt32(4, chunkCoordY, true);
+        v.setInt32(8, this.chunkSize, true);
         v.setInt32(12, this.seed, true);
         
         // Noise parameters
@@ -407,11 +431,10 @@ export class WebGPUTerrainGenerator {
         v.setFloat32(44, this.plateauScale, true);
         v.setFloat32(48, this.worldScale, true);
         
-        // Output type and LOD
         v.setInt32(52, type, true);
         v.setInt32(56, face !== null ? face : -1, true);
-        v.setInt32(60, lod, true);
-        v.setInt32(64, textureSize, true);
+        v.setInt32(60, this.chunksPerFace, true);
+        v.setInt32(64, chunkSpan, true);
         
         this.device.queue.writeBuffer(this.terrainUniformBuffer, 0, data);
         
@@ -465,11 +488,8 @@ export class WebGPUTerrainGenerator {
      * Run splat generation for LOD atlases.
      * chunkSize is expressed in texels-per-chunk for the current atlas resolution.
      */
-    async runLODSplatPass(hTex, tTex, splatDataTex, worldOriginX, worldOriginY, worldCoverage, textureSize, lod) {
-        const chunksPerAtlas = Math.max(1, Math.floor(worldCoverage / this.chunkSize));
+    async runLODSplatPass(hTex, tTex, splatDataTex, chunkCoordX, chunkCoordY, chunksPerAtlas, textureSize) {
         const chunkSizeTex = Math.max(1, Math.floor(textureSize / chunksPerAtlas));
-        const chunkCoordX = Math.floor(worldOriginX / this.chunkSize);
-        const chunkCoordY = Math.floor(worldOriginY / this.chunkSize);
 
         const data = new ArrayBuffer(80);
         const v = new DataView(data);
@@ -501,7 +521,11 @@ export class WebGPUTerrainGenerator {
     }
 
 
-    async extractChunkDataFromAtlas(atlasKey, chunkX, chunkY, config, face = null) {
+    /**
+     * Read a chunk's heights and tiles back from its atlas. A span > 1 reads
+     * the span x span block of a coarse quadtree node.
+     */
+    async extractChunkDataFromAtlas(atlasKey, chunkX, chunkY, config, face = null, span = 1) {
         const lod = atlasKey?.lod ?? 0;
         const heightAtlasData =
             this.textureCache.getLODAtlasForChunk?.(chunkX, chunkY, 'height', lod, face, config) ||
@@ -512,7 +536,7 @@ export class WebGPUTerrainGenerator {
         
         if (!heightAtlasData || !tileAtlasData) return null;
 
-        const localPos = config.getLocalChunkPosition(chunkX, chunkY);
+        const localPos = config.getLocalChunkPosition(chunkX, chunkY, lod);
         const gpuHeightTex = heightAtlasData.texture._gpuTexture?.texture;
         const gpuTileTex = tileAtlasData.texture._gpuTexture?.texture;
         if (!gpuHeightTex || !gpuTileTex) return null;
@@ -521,27 +545,20 @@ export class WebGPUTerrainGenerator {
         const lodCfg = config.getConfigForLOD ? config.getConfigForLOD(lod) : null;
         const atlasTextureSize = lodCfg?.textureSize || config.textureSize;
         const chunksPerAtlas = lodCfg?.chunksPerAtlas || config.chunksPerAtlas || 1;
-        const texelsPerChunk = Math.max(1, Math.floor(atlasTextureSize / chunksPerAtlas));
+        // Coarse levels hold less than one texel per base chunk, so scale before rounding
+        const texelsPerChunk = atlasTextureSize / chunksPerAtlas;
+        const texels = Math.max(1, Math.round(texelsPerChunk * span));
 
-        const offsetX = localPos.localX * texelsPerChunk;
-        const offsetY = localPos.localY * texelsPerChunk;
+        const offsetX = Math.floor(localPos.localX * texelsPerChunk);
+        const offsetY = Math.floor(localPos.localY * texelsPerChunk);
 
         try {
+            // The extra height row/column repeats the atlas edge where it runs out
             const heightData = await this.readTextureSubregion(
-                gpuHeightTex,
-                offsetX,
-                offsetY,
-                Math.min(texelsPerChunk + 1, atlasTextureSize - offsetX),
-                Math.min(texelsPerChunk + 1, atlasTextureSize - offsetY),
-                atlasTextureSize
+                gpuHeightTex, offsetX, offsetY, texels + 1, texels + 1, atlasTextureSize
             );
             const tileData = await this.readTextureSubregion(
-                gpuTileTex,
-                offsetX,
-                offsetY,
-                Math.min(texelsPerChunk, atlasTextureSize - offsetX),
-                Math.min(texelsPerChunk, atlasTextureSize - offsetY),
-                atlasTextureSize
+                gpuTileTex, offsetX, offsetY, texels, texels, atlasTextureSize
             );
             return { heightData, tileData };
         } catch(e) { console.error(e); return null; }
@@ -571,11 +588,12 @@ export class WebGPUTerrainGenerator {
         const fullData = new Float32Array(readBuffer.getMappedRange());
         const subregion = new Float32Array(width * height * 4);
         
+        // Reads past the texture edge clamp to it
         for (let y = 0; y < height; y++) {
-            const srcRow = offsetY + y;
+            const srcRow = Math.min(offsetY + y, textureHeight - 1);
             const srcRowOffset = (srcRow * alignedBytesPerRow) / 4; 
             for (let x = 0; x < width; x++) {
-                const srcIdx = srcRowOffset + (offsetX + x) * 4;
+                const srcIdx = srcRowOffset + Math.min(offsetX + x, textureWidth - 1) * 4;
                 const dstIdx = (y * width + x) * 4;
                 subregion.set(fullData.subarray(srcIdx, srcIdx + 4), dstIdx);
             }
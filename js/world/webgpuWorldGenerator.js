@@ -1,7 +1,6 @@
 import { BaseWorldGenerator } from './baseWorldGenerator.js';
 import { WebGPUTerrainGenerator } from "./webgpuTerrainGenerator.js";
 import { ChunkData } from "./chunkData.js";
-import { TreeFeature } from './features/treeFeature.js';
 import { TextureAtlasKey } from './textureAtlasKey.js';
 import { LODAtlasConfig } from './lodAtlasConfig.js';
 import { LODTextureAtlasKey } from './lodTextureAtlasKey.js';
@@ -85,7 +84,18 @@ export class WebGPUWorldGenerator extends BaseWorldGenerator {
         }
     }
 
-    async generateChunk(chunkX, chunkY, face = null, lod = 0) {
+    /**
+     * Apply the planet config and extend the LOD atlas chain so the
+     * coarsest quadtree node (a whole face) still has a level.
+     */
+    setPlanetConfig(config, chunksPerFace = 16) {
+        super.setPlanetConfig(config, chunksPerFace);
+        if (config) {
+            this.lodAtlasConfig.setMaxLODLevels(Math.max(5, Math.log2(chunksPerFace) + 1));
+        }
+    }
+
+    async generateChunk(chunkX, chunkY, face = null, lod = 0, span = 1) {
         await this._ready;
         
         // Validate inputs - protect against NaN from ChunkManager bugs
@@ -100,13 +110,14 @@ export class WebGPUWorldGenerator extends BaseWorldGenerator {
         chunkData.heightScale = this.renderHeightScale / genScale;
         chunkData.face = face;
         chunkData.lodLevel = lod;
+        chunkData.span = span;
         if (this.planetConfig) {
             chunkData.isSpherical = true;
             chunkData.baseAltitude = this.planetConfig.radius;
         }
         
         if (this.useAtlasMode) {
-            await this._setupAtlasTextures(chunkData, chunkX, chunkY, face, lod);
+            await this._setupAtlasTextures(chunkData, chunkX, chunkY, face, lod, span);
         } else {
             await this._setupLegacyTextures(chunkData, chunkX, chunkY);
         }
@@ -126,6 +137,9 @@ export class WebGPUWorldGenerator extends BaseWorldGenerator {
             chunkData.waterFeatures = [];
         }
 
+        await this.applyRoads(chunkData);
+        await this.applyHydrology(chunkData);
+
         if (this.modules.staticObjects.enabled && !chunkData.isFullySubmerged) {
             this.generateObjectData(chunkData, chunkX, chunkY);
         }
@@ -134,16 +148,18 @@ export class WebGPUWorldGenerator extends BaseWorldGenerator {
     }
 
     /**
-     * Setup atlas textures for a chunk (LOD-aware)
+     * Setup atlas textures for a chunk (LOD-aware). A span > 1 is a coarse
+     * quadtree node covering span x span base chunks at lodLevel.
      */
-    async _setupAtlasTextures(chunkData, chunkX, chunkY, face, lodLevel = 0) {
+    async _setupAtlasTextures(chunkData, chunkX, chunkY, face, lodLevel = 0, span = 1) {
         const cfg = this.lodAtlasConfig || this.atlasConfig;
         const targetLOD = Math.max(0, Math.min(lodLevel || 0, cfg.maxLODLevels ? cfg.maxLODLevels - 1 : 8));
         const faceId = face ?? null;
 
-        // Ensure required LOD atlases exist (generate missing levels up to targetLOD)
+        // Ensure required LOD atlases exist (generate missing levels up to targetLOD;
+        // coarse nodes never fall back to finer levels, so they only need their own)
         if (this.modules.tiledTerrain.enabled && this.modules.tiledTerrain.instance?.generateLODAtlasTextures && this.textureCache?.hasLODAtlasForChunk) {
-            for (let lod = 0; lod <= targetLOD; lod++) {
+            for (let lod = span > 1 ? targetLOD : 0; lod <= targetLOD; lod++) {
                 const hasLOD = this.textureCache.hasLODAtlasForChunk(chunkX, chunkY, 'height', lod, faceId, cfg);
                 if (!hasLOD) {
                     const atlasKey = LODTextureAtlasKey.fromChunkCoords(chunkX, chunkY, lod, faceId, cfg);
@@ -165,7 +181,7 @@ export class WebGPUWorldGenerator extends BaseWorldGenerator {
         let atlasTextures = {};
 
         if (this.textureCache.getLODAtlasForChunk && cfg) {
-            const fetchLOD = (type) => this.textureCache.getLODAtlasForChunk(chunkX, chunkY, type, targetLOD, faceId, cfg);
+            const fetchLOD = (type) => this.textureCache.getLODAtlasForChunk(chunkX, chunkY, type, targetLOD, faceId, cfg, span);
             const h = fetchLOD('height');
             const n = fetchLOD('normal');
             const t = fetchLOD('tile');
@@ -218,19 +234,19 @@ export class WebGPUWorldGenerator extends BaseWorldGenerator {
             macroTexture: atlasTextures.macro
         };
         
-        await this._extractChunkGameplayData(chunkData, atlasKey, chunkX, chunkY, cfg, faceId);
+        await this._extractChunkGameplayData(chunkData, atlasKey, chunkX, chunkY, cfg, faceId, span);
     }
 
     /**
      * Extract height and tile data for gameplay from atlas
      */
-    async _extractChunkGameplayData(chunkData, atlasKey, chunkX, chunkY, config = this.atlasConfig, face = null) {
+    async _extractChunkGameplayData(chunkData, atlasKey, chunkX, chunkY, config = this.atlasConfig, face = null, span = 1) {
         // For now, populate with placeholder data
         // Full implementation would read subregion from GPU texture
         
         const terrainGen = this.modules.tiledTerrain.instance;
         if (terrainGen && terrainGen.extractChunkDataFromAtlas) {
-            const data = await terrainGen.extractChunkDataFromAtlas(atlasKey, chunkX, chunkY, config, face);
+            const data = await terrainGen.extractChunkDataFromAtlas(atlasKey, chunkX, chunkY, config, face, span);
             if (data) {
                 this._populateChunkDataFromExtract(chunkData, chunkX, chunkY, data.heightData, data.tileData);
                 return;
@@ -290,59 +306,6 @@ export class WebGPUWorldGenerator extends BaseWorldGenerator {
         }
     }
 
-    generateObjectData(chunkData, chunkX, chunkY) {
-        const staticFeatures = chunkData.staticFeatures || [];
-        const chunkSize = this.chunkSize;
-
-        const chunkSeed = this.seed + chunkX * 73856093 + chunkY * 19349663;
-        const rng = this.createSeededRandom(chunkSeed);
-
-        const waterLevel = this.globalWaterLevel;
-
-        const centerX = Math.floor(chunkSize / 2);
-        const centerY = Math.floor(chunkSize / 2);
-        const centerTile = chunkData.getTile(centerX, centerY);
-        const isGrassland = centerTile === 3;
-        const isTundra = centerTile === 6;
-        const isRocky = centerTile === 5 || centerTile === 7;
-
-        const treeCount = isGrassland ? (1 + Math.floor(rng() * 6)) :
-                         isTundra ? (1 + Math.floor(rng() * 3)) :
-                         isRocky ? (1 + Math.floor(rng() * 2)) :
-                         (3 + Math.floor(rng() * 4));
-
-        for (let i = 0; i < treeCount; i++) {
-            const localX = 4 + rng() * (chunkSize - 8);
-            const localZ = 4 + rng() * (chunkSize - 8);
-            const height = chunkData.getHeight(localX, localZ);
-
-            if (height < waterLevel) continue;
-
-            const waterMargin = 2.0;
-            if (height < waterLevel + waterMargin) continue;
-
-            const slope = this.calculateSlope(chunkData, localX, localZ);
-            if (slope > 0.5) continue;
-
-            const tree = new TreeFeature({
-                subtype: 'BIRCH',
-                variant: Math.floor(rng() * 3),
-                position: {
-                    x: chunkX * chunkSize + localX,
-                    y: height,
-                    z: chunkY * chunkSize + localZ
-                },
-                rotation: rng() * Math.PI * 2,
-                scale: 0.7 + rng() * 0.5,
-                shapeSeed: Math.floor(rng() * 100000)
-            });
-
-            staticFeatures.push(tree);
-        }
-
-        chunkData.staticFeatures = staticFeatures;
-    }
-
     dispose() {
         if (this.modules.tiledTerrain.instance) {
             this.modules.tiledTerrain.instance.dispose();
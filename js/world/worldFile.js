@@ -0,0 +1,152 @@
+// js/world/worldFile.js
+// Versioned world save format. Captures everything needed to regenerate a
+// planet exactly (planet + atmosphere, terrain generator params, biome
+// registry, feature distribution, terrain edits) plus the solar system
+// (orbits, active planet, every planet's edits) and the runtime state
+// (camera, spaceship, GameTime).
+
+import { PlanetConfig } from '../planet/planetConfig.js';
+import { SolarSystem } from '../planet/solarSystem.js';
+import { TerrainEditLayer } from './terrainEdits.js';
+
+export const WORLD_FILE_FORMAT = 'lumi3d-world';
+export const WORLD_FILE_VERSION = 1;
+
+/**
+ * WORLD_FILE_MIGRATIONS[n] upgrades a version n file to version n + 1.
+ * When adding fields to a released format: bump WORLD_FILE_VERSION and
+ * append a migration that fills in the new fields with the values older
+ * builds implicitly used.
+ */
+export const WORLD_FILE_MIGRATIONS = [
+    // 0 -> 1: bare PlanetConfig.toJSON() output, written before world files
+    // existed. Those builds had no edits, the default biomes and a single planet
+    (legacy) => ({
+        format: WORLD_FILE_FORMAT,
+        version: 1,
+        savedAt: null,
+        planet: legacy,
+        terrain: legacy.seed !== undefined ? { biomes: 'default', seed: legacy.seed } : null,
+        edits: { stamps: [] },
+        solarSystem: null,
+        planetEdits: {},
+        camera: null,
+        spaceship: null,
+        time: null
+    })
+];
+
+export class WorldFile {
+    /**
+     * Snapshot the given engine parts into a plain object. Any part may be omitted.
+     */
+    static capture({ planetConfig = null, worldGenerator = null, terrainEdits = null, solarSystem = null, planetEdits = null, camera = null, spaceship = null, gameTime = null } = {}) {
+        return {
+            format: WORLD_FILE_FORMAT,
+            version: WORLD_FILE_VERSION,
+            savedAt: new Date().toISOString(),
+            planet: planetConfig ? planetConfig.toJSON() : null,
+            terrain: worldGenerator ? worldGenerator.getTerrainParams() : null,
+            edits: terrainEdits ? terrainEdits.toJSON() : { stamps: [] },
+            solarSystem: solarSystem ? solarSystem.toJSON() : null,
+            // Edit layers of every planet by name; `edits` repeats the active one's
+            planetEdits: planetEdits
+                ? Object.fromEntries(Array.from(planetEdits, ([name, layer]) => [name, layer.toJSON()]))
+                : {},
+            camera: camera ? camera.toJSON() : null,
+            spaceship: spaceship ? spaceship.toJSON() : null,
+            time: gameTime ? gameTime.toJSON() : null
+        };
+    }
+
+    static stringify(data) {
+        return JSON.stringify(data, null, 2);
+    }
+
+    static parse(text) {
+        return WorldFile.migrate(JSON.parse(text));
+    }
+
+    /**
+     * Bring any supported file up to WORLD_FILE_VERSION.
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('WorldFile: not a world file');
+        }
+
+        let version = data.version;
+        if (version === undefined) {
+            if (data.radius === undefined) {
+                throw new Error('WorldFile: missing version');
+            }
+            version = 0;
+        }
+        if (version > WORLD_FILE_VERSION) {
+            throw new Error(`WorldFile: version ${version} is newer than supported version ${WORLD_FILE_VERSION}`);
+        }
+
+        let migrated = data;
+        while (version < WORLD_FILE_VERSION) {
+            console.log(`[WorldFile] Migrating world file v${version} -> v${version + 1}`);
+            migrated = WORLD_FILE_MIGRATIONS[version](migrated);
+            version = migrated.version;
+        }
+        return migrated;
+    }
+
+    /**
+     * PlanetConfig for the file, or null for a flat world.
+     */
+    static createPlanetConfig(data) {
+        return data.planet ? PlanetConfig.fromJSON(data.planet) : null;
+    }
+
+    /**
+     * SolarSystem saved in the file (its active planet is the one to stream),
+     * or null when the file has none.
+     */
+    static createSolarSystem(data) {
+        return data.solarSystem ? SolarSystem.fromJSON(data.solarSystem) : null;
+    }
+
+    /**
+     * Apply generator params and runtime state. The planet and solar system
+     * are rebuilt with createPlanetConfig() / createSolarSystem() before the
+     * renderer/generator are created.
+     */
+    static async restore(data, { worldGenerator = null, terrainEdits = null, planetEdits = null, solarSystem = null, camera = null, spaceship = null, gameTime = null } = {}) {
+        if (worldGenerator && data.terrain) {
+            await worldGenerator.applyTerrainParams(data.terrain);
+        }
+        if (terrainEdits && data.edits) {
+            terrainEdits.loadJSON(data.edits);
+        }
+        if (planetEdits && data.planetEdits) {
+            // The active planet's layer is `terrainEdits`, restored from `edits`
+            for (const [name, json] of Object.entries(data.planetEdits)) {
+                let layer = planetEdits.get(name);
+                if (layer === terrainEdits) continue;
+                if (!layer) {
+                    layer = new TerrainEditLayer(terrainEdits?.chunkSize ?? 128);
+                    planetEdits.set(name, layer);
+                }
+                layer.loadJSON(json);
+            }
+        }
+        if (solarSystem && data.solarSystem) {
+            // Orbits only; changing the active planet needs a restart
+            solarSystem.time = data.solarSystem.time ?? solarSystem.time;
+            solarSystem.update(0);
+        }
+        if (spaceship && data.spaceship) {
+            spaceship.loadState(data.spaceship);
+        }
+        if (camera && data.camera) {
+            camera.loadState(data.camera);
+        }
+        if (gameTime && data.time) {
+            gameTime.loadState(data.time);
+        }
+    }
+}
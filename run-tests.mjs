@@ -2,14 +2,17 @@ import puppeteer from 'puppeteer';
 
 const BASE_URL = 'http://localhost:8765';
 
-async function runTest(page, testUrl, testName) {
+async function runTest(page, testUrl, testName, timeout = 5000) {
     console.log(`\n=== Running ${testName} ===`);
 
     try {
         await page.goto(testUrl, { waitUntil: 'networkidle0', timeout: 10000 });
 
-        // Wait for tests to complete
-        await page.waitForSelector('#summary', { timeout: 5000 });
+        // Wait for tests to complete (the summary is filled in last)
+        await page.waitForFunction(
+            () => document.querySelector('#summary')?.textContent.trim().length > 0,
+            { timeout }
+        );
 
         // Get results
         const summary = await page.$eval('#summary', el => el.textContent);
@@ -49,11 +52,24 @@ async function main() {
         { url: `${BASE_URL}/test-altitude-fog.html`, name: 'Altitude Fog (3.2)' },
         { url: `${BASE_URL}/test-aerial-perspective.html`, name: 'Aerial Perspective (3.1)' },
         { url: `${BASE_URL}/test-lut-regeneration.html`, name: 'LUT Regeneration (2.4)' },
+        // Builds the full planet drainage grid
+        { url: `${BASE_URL}/test-hydrology.html`, name: 'Planetary Hydrology', timeout: 120000 },
+        // Plans routes and generates chunks on the CPU
+        { url: `${BASE_URL}/test-road-network.html`, name: 'Road Network', timeout: 60000 },
+        { url: `${BASE_URL}/test-flight-recording.html`, name: 'Flight Recording' },
+        { url: `${BASE_URL}/test-seeded-random.html`, name: 'SeededRandom' },
+        { url: `${BASE_URL}/test-cascade-splits.html`, name: 'Cascade Splits' },
+        { url: `${BASE_URL}/test-input-action-map.html`, name: 'InputActionMap' },
+        { url: `${BASE_URL}/test-camera-sequencer.html`, name: 'Camera Sequencer' },
+        { url: `${BASE_URL}/test-cube-sphere-quadtree.html`, name: 'Cube-Sphere Quadtree', timeout: 30000 },
+        { url: `${BASE_URL}/test-world-file.html`, name: 'World File', timeout: 30000 },
+        { url: `${BASE_URL}/test-weather-system.html`, name: 'Weather System' },
+        { url: `${BASE_URL}/test-terrain-edits.html`, name: 'Terrain Edits' },
     ];
 
     const results = [];
     for (const test of tests) {
-        const result = await runTest(page, test.url, test.name);
+        const result = await runTest(page, test.url, test.name, test.timeout);
         results.push(result);
     }
 